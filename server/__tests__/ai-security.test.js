@@ -2,7 +2,7 @@
  * AI Security Service Tests
  *
  * Tests for prompt injection protection, jailbreak detection,
- * and output validation.
+ * and output validation (including streamed output).
  */
 
 import {
@@ -11,6 +11,7 @@ import {
   detectJailbreakAttempt,
   validateLLMOutput,
   detectCodeInjection,
+  createStreamingOutputValidator,
   createSecurityContext,
   securityCheck,
   SecurityError,
@@ -280,6 +281,51 @@ describe('AI Security Service', () => {
     });
   });
 
+  describe('createStreamingOutputValidator', () => {
+    test('releases text at sentence and line boundaries', () => {
+      const validator = createStreamingOutputValidator('chat');
+      expect(validator.push('The cap rate is 6.')).toMatchObject({ release: '', abort: false });
+      expect(validator.push('5%. NOI is')).toMatchObject({ release: 'The cap rate is 6.5%.', abort: false });
+      expect(validator.push(' $500,000\nDSCR')).toMatchObject({ release: ' NOI is $500,000\n' });
+      expect(validator.flush()).toMatchObject({ release: 'DSCR', abort: false });
+      expect(validator.getState()).toMatchObject({
+        assembled: 'The cap rate is 6.5%. NOI is $500,000\nDSCR',
+        released: 'The cap rate is 6.5%. NOI is $500,000\nDSCR',
+        aborted: false,
+      });
+    });
+
+    test('releases long text without a boundary once the buffer fills', () => {
+      const validator = createStreamingOutputValidator('chat', { maxBuffer: 10 });
+      expect(validator.push('12345').release).toBe('');
+      expect(validator.push('678901').release).toBe('12345678901');
+    });
+
+    test('withholds the chunk with a high severity issue and aborts', () => {
+      const validator = createStreamingOutputValidator('chat');
+      validator.push('Here is the deal summary. ');
+      const step = validator.push('The api_key=sk_test_REDACTED_DUMMY_KEY_FOR_TESTS is stored here.\n');
+      expect(step.abort).toBe(true);
+      expect(step.release).toBe('');
+      expect(step.validation.severity).toBe('high');
+
+      expect(validator.push('More text.')).toMatchObject({ release: '', abort: true });
+      expect(validator.flush()).toMatchObject({ release: '', abort: true });
+      const state = validator.getState();
+      expect(state.released).toBe('Here is the deal summary.');
+      expect(state.assembled).toContain('api_key');
+      expect(state.validation.valid).toBe(false);
+    });
+
+    test('lets lower severity issues through but reports them', () => {
+      const validator = createStreamingOutputValidator('chat');
+      const step = validator.push('You can use exec() to run code.\n');
+      expect(step.abort).toBe(false);
+      expect(step.release).toBe('You can use exec() to run code.\n');
+      expect(validator.getState().validation.valid).toBe(false);
+    });
+  });
+
   describe('detectCodeInjection', () => {
     test('detects eval', () => {
       const result = detectCodeInjection('eval(input)');
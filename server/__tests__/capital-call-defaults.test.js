@@ -0,0 +1,154 @@
+/**
+ * Capital Call Defaults Tests
+ *
+ * Tests share class default terms, grace period and default assessment,
+ * default interest, and the cap table effect of each remedy (forfeiture,
+ * follow-on cover call, dilution and forced sale).
+ */
+
+import {
+  DEFAULT_TERMS,
+  validateDefaultTerms,
+  resolveDefaultTerms,
+  assessAllocation,
+  accrueDefaultInterest,
+  defaultBalance,
+  planRemedy
+} from '../services/capital-call-defaults.js';
+
+const LP_ACTORS = [
+  { id: 'lp-a', entityName: 'Alpha LP', ownershipPct: 50, commitment: 500000 },
+  { id: 'lp-b', entityName: 'Beta LP', ownershipPct: 30, commitment: 300000 },
+  { id: 'lp-c', entityName: 'Gamma LP', ownershipPct: 20, commitment: 200000 }
+];
+
+const CONTRIBUTED = { 'lp-a': 250000, 'lp-b': 150000, 'lp-c': 100000 };
+
+const BASE = {
+  defaulterId: 'lp-a',
+  lpActors: LP_ACTORS,
+  contributedByLp: CONTRIBUTED,
+  shortfall: 100000,
+  accruedInterest: 1500,
+  terms: DEFAULT_TERMS
+};
+
+function byLp(plan, field) {
+  return Object.fromEntries(plan.changes.map(c => [c.lpActorId, c[field]]));
+}
+
+describe('Capital Call Defaults', () => {
+  // ============================================================================
+  // TERMS AND ASSESSMENT
+  // ============================================================================
+
+  test('validateDefaultTerms checks each term', () => {
+    expect(validateDefaultTerms(null)).toEqual([]);
+    expect(validateDefaultTerms({ graceDays: 15, interestRate: 0.12, remedies: ['COVER_CALL'] })).toEqual([]);
+    expect(validateDefaultTerms('strict')).toEqual(['defaultTerms must be an object']);
+    expect(validateDefaultTerms({ graceDays: 2.5, interestRate: 12, remedies: ['COVER_CALL', 'EVICTION'], forfeiturePct: 1.5 })).toEqual([
+      'graceDays must be a whole number of days between 0 and 365',
+      'interestRate must be between 0 and 1 (e.g., 0.10 for 10% a year)',
+      'Unknown remedies: EVICTION (allowed: FORFEITURE, FORCED_SALE, DILUTION, COVER_CALL)',
+      'forfeiturePct must be between 0 and 1'
+    ]);
+    expect(validateDefaultTerms({ remedies: [] })).toEqual(['remedies must be a non-empty list']);
+  });
+
+  test('resolveDefaultTerms merges share class terms over the defaults', () => {
+    expect(resolveDefaultTerms(null)).toEqual(DEFAULT_TERMS);
+    expect(resolveDefaultTerms({ defaultTerms: JSON.stringify({ graceDays: 5, remedies: ['DILUTION'] }) }))
+      .toEqual({ ...DEFAULT_TERMS, graceDays: 5, remedies: ['DILUTION'] });
+    expect(resolveDefaultTerms({ defaultTerms: '{not json' })).toEqual(DEFAULT_TERMS);
+  });
+
+  test('assessAllocation moves from current to grace to default', () => {
+    const call = { status: 'ISSUED', dueDate: new Date('2025-03-01T00:00:00Z') };
+    const allocation = { amount: 100000, fundedAmount: 40000 };
+    const terms = { ...DEFAULT_TERMS, graceDays: 10 };
+
+    expect(assessAllocation(allocation, call, terms, new Date('2025-02-28T00:00:00Z')).state).toBe('CURRENT');
+
+    const grace = assessAllocation(allocation, call, terms, new Date('2025-03-05T00:00:00Z'));
+    expect(grace).toMatchObject({ state: 'GRACE', shortfall: 60000, daysPastDue: 4 });
+    expect(grace.graceEndsAt.toISOString()).toBe('2025-03-11T00:00:00.000Z');
+
+    expect(assessAllocation(allocation, call, terms, new Date('2025-03-12T00:00:00Z')).state).toBe('DEFAULT');
+    expect(assessAllocation({ amount: 100000, fundedAmount: 100000 }, call, terms, new Date('2025-04-01')).state).toBe('FUNDED');
+    expect(assessAllocation(allocation, { ...call, status: 'DRAFT' }, terms, new Date('2025-04-01')).state).toBe('NOT_DUE');
+  });
+
+  test('default interest accrues from the due date until the default closes', () => {
+    expect(accrueDefaultInterest(100000, 0.10, '2025-01-01', '2025-04-11')).toBe(2739.73);
+    expect(accrueDefaultInterest(100000, 0.10, '2025-04-11', '2025-01-01')).toBe(0);
+
+    const record = { status: 'DEFAULTED', shortfall: 100000, interestRate: 0.10, dueDate: new Date('2025-01-01T00:00:00Z') };
+    expect(defaultBalance(record, new Date('2025-04-11T00:00:00Z'))).toEqual({
+      shortfall: 100000,
+      accruedInterest: 2739.73,
+      totalDue: 102739.73,
+      accruedThrough: '2025-04-11T00:00:00.000Z'
+    });
+
+    const cured = { ...record, status: 'CURED', closedAt: new Date('2025-02-01T00:00:00Z') };
+    expect(defaultBalance(cured, new Date('2025-12-31')).accruedInterest).toBe(849.32);
+    expect(defaultBalance({ ...cured, status: 'WAIVED' }).accruedInterest).toBe(0);
+  });
+
+  // ============================================================================
+  // REMEDIES
+  // ============================================================================
+
+  test('forfeiture moves a share of the interest to the other LPs', () => {
+    const plan = planRemedy({ ...BASE, remedy: 'FORFEITURE', coverShortfall: false });
+
+    expect(plan.forfeiture).toEqual({ pct: 0.5, ownershipForfeited: 25, capitalForfeited: 125000 });
+    expect(byLp(plan, 'ownershipPctAfter')).toEqual({ 'lp-a': 25, 'lp-b': 45, 'lp-c': 30 });
+    expect(byLp(plan, 'commitmentAfter')).toEqual({ 'lp-a': 500000, 'lp-b': 300000, 'lp-c': 200000 });
+    expect(plan.coverCall).toBeNull();
+  });
+
+  test('cover call spreads the shortfall and its commitment pro rata', () => {
+    const plan = planRemedy({ ...BASE, remedy: 'COVER_CALL', coverShortfall: false });
+
+    expect(plan.coverCall).toEqual({
+      totalAmount: 100000,
+      allocations: [{ lpActorId: 'lp-b', amount: 60000 }, { lpActorId: 'lp-c', amount: 40000 }]
+    });
+    expect(byLp(plan, 'ownershipPctAfter')).toEqual({ 'lp-a': 40, 'lp-b': 36, 'lp-c': 24 });
+    expect(byLp(plan, 'commitmentAfter')).toEqual({ 'lp-a': 400000, 'lp-b': 360000, 'lp-c': 240000 });
+  });
+
+  test('dilution and forced sale conserve ownership and commitment', () => {
+    const diluted = planRemedy({ ...BASE, remedy: 'DILUTION' });
+    expect(byLp(diluted, 'ownershipPctAfter')).toEqual({ 'lp-a': 17.857143, 'lp-b': 49.285714, 'lp-c': 32.857143 });
+    expect(diluted.dilution).toEqual({ penaltyPct: 0.5, contributed: 250000, penalizedCapital: 125000 });
+
+    const sale = planRemedy({ ...BASE, remedy: 'FORCED_SALE', nav: 400000 });
+    expect(sale.sale).toMatchObject({ nav: 400000, price: 280000, interestOffset: 1500, proceedsToDefaulter: 278500 });
+    expect(sale.sale.buyers).toEqual([{ lpActorId: 'lp-b', price: 168000 }, { lpActorId: 'lp-c', price: 112000 }]);
+    expect(byLp(sale, 'ownershipPctAfter')).toEqual({ 'lp-a': 0, 'lp-b': 60, 'lp-c': 40 });
+    expect(byLp(sale, 'commitmentAfter')).toEqual({ 'lp-a': 0, 'lp-b': 600000, 'lp-c': 400000 });
+
+    for (const plan of [diluted, sale]) {
+      expect(plan.totals.ownershipAfter).toBe(plan.totals.ownershipBefore);
+      expect(plan.totals.commitmentAfter).toBe(plan.totals.commitmentBefore);
+    }
+
+    expect(planRemedy({ ...BASE, remedy: 'FORCED_SALE', salePrice: 200000 }).sale)
+      .toMatchObject({ nav: null, discountPct: null, price: 200000 });
+  });
+
+  test('planRemedy rejects unavailable remedies and missing inputs', () => {
+    expect(planRemedy({ ...BASE, remedy: 'EVICTION' }))
+      .toEqual({ error: 'remedy must be one of FORFEITURE, FORCED_SALE, DILUTION, COVER_CALL' });
+    expect(planRemedy({ ...BASE, remedy: 'FORFEITURE', terms: { ...DEFAULT_TERMS, remedies: ['COVER_CALL'] } }))
+      .toEqual({ error: "Remedy FORFEITURE is not available under this share class's default terms" });
+    expect(planRemedy({ ...BASE, remedy: 'FORCED_SALE' }))
+      .toEqual({ error: "Forced sale needs the defaulting LP's NAV (approve a valuation mark) or a salePrice" });
+    expect(planRemedy({ ...BASE, remedy: 'DILUTION', defaulterId: 'lp-x' }))
+      .toEqual({ error: 'Defaulting LP is not an active LP of the deal' });
+    expect(planRemedy({ ...BASE, remedy: 'DILUTION', lpActors: [LP_ACTORS[0]] }))
+      .toEqual({ error: 'No other LPs to take up the remedy' });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Consent Voting Tests
+ *
+ * Tests the voting roll frozen from a cap table snapshot, ownership-weighted
+ * tallies, auto-resolution at threshold or deadline and the certificate digest.
+ */
+
+import {
+  canTransition,
+  validateMajorEvent,
+  buildVotingRoll,
+  tallyConsents,
+  determineOutcome,
+  buildConsentCertificate
+} from '../services/consent-voting.js';
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const DEADLINE = new Date('2026-06-15T00:00:00Z');
+
+// Frozen snapshot lpOwnership: class B carries no vote
+const LP_OWNERSHIP = [
+  { lpActorId: 'lp-1', entityName: 'Harbor Pension', ownershipPct: 40, shareClass: { code: 'A', votingRights: true } },
+  { lpActorId: 'lp-2', entityName: 'Cedar Family Office', ownershipPct: 20, shareClass: { code: 'A', votingRights: true } },
+  { lpActorId: 'lp-3', entityName: 'Pine Trust', ownershipPct: 20, shareClass: { code: 'A', votingRights: true } },
+  { lpActorId: 'lp-4', entityName: 'Birch Co-Invest', ownershipPct: 20, shareClass: { code: 'B', votingRights: false } }
+];
+
+function rollWith(decisions) {
+  return buildVotingRoll(LP_OWNERSHIP).voters.map(voter => ({
+    ...voter,
+    decision: decisions[voter.lpActorId] || null
+  }));
+}
+
+describe('Consent Voting', () => {
+  // ============================================================================
+  // ANNOUNCEMENT
+  // ============================================================================
+
+  test('consent opens from draft and resolves once', () => {
+    expect(canTransition('DRAFT', 'CONSENT_OPEN')).toBe(true);
+    expect(canTransition('CONSENT_OPEN', 'APPROVED')).toBe(true);
+    expect(canTransition('APPROVED', 'REJECTED')).toBe(false);
+    expect(canTransition('REJECTED', 'CONSENT_OPEN')).toBe(false);
+  });
+
+  test('validateMajorEvent requires a future deadline and a valid threshold for consent', () => {
+    const base = { eventType: 'REFINANCE', title: 'Refinance senior loan', documentPackIds: ['doc-1'] };
+
+    expect(validateMajorEvent(base, { now: NOW })).toEqual([]);
+    expect(validateMajorEvent({ ...base, requiresConsent: true, consentDeadline: DEADLINE, consentThreshold: 0.67 }, { now: NOW })).toEqual([]);
+    expect(validateMajorEvent({
+      eventType: 'MERGER',
+      title: '',
+      documentPackIds: 'doc-1',
+      requiresConsent: true,
+      consentThreshold: 1.5,
+      consentDeadline: '2026-05-01'
+    }, { now: NOW })).toEqual([
+      'eventType must be one of REFINANCE, SALE, CAPITAL_CALL, AMENDMENT, CONSENT_REQUEST',
+      'title is required',
+      'documentPackIds must be an array of document IDs',
+      'consentThreshold must be greater than 0 and at most 1',
+      'consentDeadline must be in the future'
+    ]);
+  });
+
+  test('buildVotingRoll excludes classes without voting rights', () => {
+    const { voters, excluded } = buildVotingRoll(LP_OWNERSHIP);
+
+    expect(voters.map(v => v.lpActorId)).toEqual(['lp-1', 'lp-2', 'lp-3']);
+    expect(excluded).toEqual([
+      { lpActorId: 'lp-4', entityName: 'Birch Co-Invest', shareClassCode: 'B', votingWeight: 20 }
+    ]);
+    // Snapshots frozen before voting rights were captured still vote
+    expect(buildVotingRoll([{ lpActorId: 'x', ownershipPct: 10, shareClass: { code: 'A' } }]).voters).toHaveLength(1);
+  });
+
+  // ============================================================================
+  // TALLY
+  // ============================================================================
+
+  test('tally is weighted by ownership of the voting classes', () => {
+    const tally = tallyConsents(rollWith({ 'lp-1': 'APPROVE', 'lp-2': 'REJECT' }), 0.5);
+
+    expect(tally.totalWeight).toBe(80);
+    expect(tally.approvePct).toBeCloseTo(0.5, 10);
+    expect(tally.rejectPct).toBeCloseTo(0.25, 10);
+    expect(tally.pendingPct).toBeCloseTo(0.25, 10);
+    expect(tally.votedCount).toBe(2);
+    expect(tally.voterCount).toBe(3);
+  });
+
+  describe('determineOutcome', () => {
+    test('approves as soon as the threshold is met', () => {
+      const tally = tallyConsents(rollWith({ 'lp-1': 'APPROVE', 'lp-2': 'APPROVE' }), 0.67);
+
+      expect(determineOutcome(tally, { deadline: DEADLINE, now: NOW })).toEqual({ status: 'APPROVED', reason: 'THRESHOLD_MET' });
+    });
+
+    test('rejects early when outstanding votes cannot reach the threshold', () => {
+      // 40% approve + 20% outstanding = 75% of the vote, short of 80%
+      const tally = tallyConsents(rollWith({ 'lp-1': 'APPROVE', 'lp-2': 'ABSTAIN' }), 0.8);
+
+      expect(determineOutcome(tally, { deadline: DEADLINE, now: NOW })).toEqual({ status: 'REJECTED', reason: 'THRESHOLD_UNREACHABLE' });
+    });
+
+    test('stays open while undecided and rejects at the deadline', () => {
+      const tally = tallyConsents(rollWith({ 'lp-1': 'APPROVE' }), 0.67);
+
+      expect(determineOutcome(tally, { deadline: DEADLINE, now: NOW })).toBeNull();
+      expect(determineOutcome(tally, { deadline: DEADLINE, now: DEADLINE })).toEqual({ status: 'REJECTED', reason: 'DEADLINE' });
+    });
+
+    test('a two-thirds threshold is met by exactly two thirds', () => {
+      const consents = [
+        { lpActorId: 'a', votingWeight: 100 / 3, decision: 'APPROVE' },
+        { lpActorId: 'b', votingWeight: 100 / 3, decision: 'APPROVE' },
+        { lpActorId: 'c', votingWeight: 100 / 3, decision: null }
+      ];
+
+      expect(determineOutcome(tallyConsents(consents, 2 / 3), { now: NOW }).status).toBe('APPROVED');
+    });
+  });
+
+  // ============================================================================
+  // CERTIFICATE
+  // ============================================================================
+
+  test('certificate digest covers the votes and is stable across consent order', () => {
+    const consents = rollWith({ 'lp-1': 'APPROVE', 'lp-2': 'APPROVE' });
+    const tally = tallyConsents(consents, 0.67);
+    const params = {
+      majorEvent: { id: 'me-1', dealId: 'deal-1', eventType: 'SALE', title: 'Sale of property', documentPackIds: '["doc-1"]', consentDeadline: DEADLINE },
+      snapshot: { id: 'snap-1', capTableHash: 'abc123' },
+      tally,
+      outcome: determineOutcome(tally, { now: NOW }),
+      resolvedAt: NOW,
+      certifiedBy: { id: 'system', name: 'Consent Tally' }
+    };
+
+    const first = buildConsentCertificate({ ...params, consents });
+    const reversed = buildConsentCertificate({ ...params, consents: [...consents].reverse() });
+    const altered = buildConsentCertificate({ ...params, consents: rollWith({ 'lp-1': 'APPROVE', 'lp-2': 'ABSTAIN' }) });
+
+    expect(first.certificateHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(reversed.certificateHash).toBe(first.certificateHash);
+    expect(altered.certificateHash).not.toBe(first.certificateHash);
+    expect(first.payload.outcome).toBe('APPROVED');
+    expect(first.payload.documentPackIds).toEqual(['doc-1']);
+    expect(first.payload.votes.map(v => v.decision)).toEqual(['APPROVE', 'APPROVE', null]);
+  });
+});
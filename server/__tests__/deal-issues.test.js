@@ -0,0 +1,163 @@
+/**
+ * Deal Issue Tests
+ *
+ * Tests the incident status machine, the LP-safe view and feed entry,
+ * severity-based notification policy and escalation of unresolved
+ * CRITICAL issues.
+ */
+
+import {
+  canTransition,
+  validateIssue,
+  validateStatusChange,
+  validatePublish,
+  shouldNotifyDealTeam,
+  buildLpIssueView,
+  toLpFeedItem
+} from '../services/deal-issues.js';
+import { evaluateIssueEscalation, ESCALATION_LEVELS } from '../services/escalation-rules.js';
+
+const OPENED = new Date('2026-03-10T08:00:00Z');
+
+function hoursAfterOpen(hours) {
+  return new Date(OPENED.getTime() + hours * 60 * 60 * 1000);
+}
+
+const ISSUE = {
+  id: 'issue-1',
+  dealId: 'deal-1',
+  title: 'Roof damage after storm',
+  category: 'CASUALTY',
+  severity: 'CRITICAL',
+  status: 'OPEN',
+  occurredAt: new Date('2026-03-09T22:00:00Z'),
+  whatHappened: 'Hail breached the roof membrane over units 4-9; adjuster says coverage may be disputed',
+  impact: 'Six units offline for an estimated 60 days',
+  whatWeAreDoing: 'Temporary repairs complete; insurance claim filed',
+  lpSummary: 'A storm damaged part of the roof. Affected units are temporarily offline.',
+  ownerUserId: 'gp-owner',
+  ownerName: 'Dana Asset Manager',
+  resolution: null,
+  escalationLevel: 0,
+  escalatedAt: null,
+  publishedAt: new Date('2026-03-10T12:00:00Z'),
+  publishedByName: 'Dana Asset Manager',
+  createdBy: 'gp-creator',
+  createdByName: 'Sam Analyst',
+  createdAt: OPENED
+};
+
+describe('Deal Issues', () => {
+  // ============================================================================
+  // STATUS MACHINE
+  // ============================================================================
+
+  test('issues move forward, can be reopened once resolved, and closed is final', () => {
+    expect(canTransition('OPEN', 'INVESTIGATING')).toBe(true);
+    expect(canTransition('MITIGATING', 'RESOLVED')).toBe(true);
+    expect(canTransition('RESOLVED', 'INVESTIGATING')).toBe(true);
+    expect(canTransition('OPEN', 'CLOSED')).toBe(false);
+    expect(canTransition('CLOSED', 'OPEN')).toBe(false);
+  });
+
+  test('validateIssue checks required fields and enums', () => {
+    expect(validateIssue({ title: 'Tenant default', whatHappened: 'Anchor tenant missed rent', category: 'TENANT_DEFAULT', severity: 'HIGH' })).toEqual([]);
+    expect(validateIssue({ title: ' ', severity: 'URGENT', category: 'FLOOD', attachmentIds: 'doc-1' })).toEqual([
+      'title is required',
+      'whatHappened is required',
+      'severity must be one of LOW, MEDIUM, HIGH, CRITICAL',
+      'category must be one of CASUALTY, TENANT_DEFAULT, LITIGATION, ENVIRONMENTAL, REGULATORY, FINANCING, OTHER',
+      'attachmentIds must be an array of document IDs'
+    ]);
+    // PATCH only validates what is sent
+    expect(validateIssue({ severity: 'LOW' }, { partial: true })).toEqual([]);
+  });
+
+  test('resolving requires a resolution', () => {
+    const mitigating = { ...ISSUE, status: 'MITIGATING' };
+
+    expect(validateStatusChange(mitigating, 'RESOLVED')).toEqual(['resolution is required to resolve an issue']);
+    expect(validateStatusChange(mitigating, 'RESOLVED', { resolution: 'Roof replaced; claim paid' })).toEqual([]);
+    expect(validateStatusChange(ISSUE, 'CLOSED')).toEqual(['Cannot move issue from OPEN to CLOSED']);
+  });
+
+  // ============================================================================
+  // LP VIEW
+  // ============================================================================
+
+  test('publishing needs an LP-safe summary', () => {
+    expect(validatePublish(ISSUE)).toEqual([]);
+    expect(validatePublish({ ...ISSUE, lpSummary: null })).toEqual(['lpSummary is required before publishing to LPs']);
+  });
+
+  test('LP view hides internal fields and internal updates', () => {
+    const updates = [
+      { id: 'u2', updateText: 'Claim accepted by carrier', lpVisible: true, statusTo: 'MITIGATING', createdByName: 'Dana', createdAt: new Date('2026-03-12T09:00:00Z') },
+      { id: 'u1', updateText: 'Adjuster pushing back on coverage', lpVisible: false, createdByName: 'Dana', createdAt: new Date('2026-03-11T09:00:00Z') },
+      { id: 'u0', updateText: 'Temporary repairs complete', lpVisible: true, createdByName: 'Dana', createdAt: new Date('2026-03-10T18:00:00Z') }
+    ];
+
+    const view = buildLpIssueView(ISSUE, updates);
+
+    expect(view.summary).toBe(ISSUE.lpSummary);
+    expect(view).not.toHaveProperty('whatHappened');
+    expect(view).not.toHaveProperty('ownerName');
+    expect(view).not.toHaveProperty('resolution');
+    expect(view.updates.map(u => u.id)).toEqual(['u0', 'u2']);
+  });
+
+  test('feed entry is an issue alert dated by the latest LP-visible activity', () => {
+    const updates = [
+      { id: 'u1', lpVisible: false, createdAt: new Date('2026-03-14T09:00:00Z') },
+      { id: 'u2', lpVisible: true, createdAt: new Date('2026-03-12T09:00:00Z') }
+    ];
+
+    const item = toLpFeedItem(ISSUE, updates);
+
+    expect(item.updateType).toBe('ISSUE_ALERT');
+    expect(item.source).toBe('DEAL_ISSUE');
+    expect(item.headline).toBe(ISSUE.lpSummary);
+    expect(item.publishedAt).toBe('2026-03-12T09:00:00.000Z');
+    expect(toLpFeedItem(ISSUE).publishedAt).toBe('2026-03-10T12:00:00.000Z');
+  });
+
+  // ============================================================================
+  // NOTIFICATIONS AND ESCALATION
+  // ============================================================================
+
+  test('deal team is notified for new or raised HIGH and CRITICAL issues only', () => {
+    expect(shouldNotifyDealTeam(null, 'CRITICAL')).toBe(true);
+    expect(shouldNotifyDealTeam(null, 'MEDIUM')).toBe(false);
+    expect(shouldNotifyDealTeam('MEDIUM', 'HIGH')).toBe(true);
+    expect(shouldNotifyDealTeam('CRITICAL', 'HIGH')).toBe(false);
+  });
+
+  describe('evaluateIssueEscalation', () => {
+    test('only unresolved CRITICAL issues escalate', () => {
+      expect(evaluateIssueEscalation({ ...ISSUE, severity: 'HIGH' }, hoursAfterOpen(48)).shouldEscalate).toBe(false);
+      expect(evaluateIssueEscalation({ ...ISSUE, status: 'RESOLVED' }, hoursAfterOpen(48)).shouldEscalate).toBe(false);
+      expect(evaluateIssueEscalation(ISSUE, hoursAfterOpen(3)).shouldEscalate).toBe(false);
+    });
+
+    test('escalates to the owner, then the deal team', () => {
+      expect(evaluateIssueEscalation(ISSUE, hoursAfterOpen(5))).toEqual({
+        shouldEscalate: true,
+        level: ESCALATION_LEVELS.CREATOR,
+        escalateTo: ['gp-owner'],
+        hoursUnresolved: 5
+      });
+      expect(evaluateIssueEscalation(ISSUE, hoursAfterOpen(25)).escalateTo).toEqual(['gp-owner', 'gp-creator', 'deal-team']);
+    });
+
+    test('repeats a level only after the cool-off, but a higher level goes immediately', () => {
+      const escalated = { ...ISSUE, escalationLevel: ESCALATION_LEVELS.CREATOR, escalatedAt: hoursAfterOpen(20) };
+
+      expect(evaluateIssueEscalation(escalated, hoursAfterOpen(22))).toEqual({ shouldEscalate: false, reason: 'cool_off' });
+      expect(evaluateIssueEscalation(escalated, hoursAfterOpen(24)).level).toBe(ESCALATION_LEVELS.DEAL_TEAM);
+
+      const atTeam = { ...ISSUE, escalationLevel: ESCALATION_LEVELS.DEAL_TEAM, escalatedAt: hoursAfterOpen(24) };
+      expect(evaluateIssueEscalation(atTeam, hoursAfterOpen(30)).shouldEscalate).toBe(false);
+      expect(evaluateIssueEscalation(atTeam, hoursAfterOpen(36)).shouldEscalate).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Multi-Tranche Debt Stack Tests
+ *
+ * Tests calculateDebtStack sizing and covenant testing, the combined
+ * metrics, tranche overrides, per-tranche debt service in the cash-flow
+ * engines, and tranche fields in the sensitivity calculator.
+ */
+
+import {
+  calculateDebtStack,
+  calculateDebtSizing,
+  normalizeDebtTranches,
+  resolveTrancheRate
+} from '../services/debt-sizing-calculator.js';
+import {
+  calculateUnderwriting,
+  projectDetailedCashFlows,
+  projectMonthlyCashFlows
+} from '../services/underwriting-calculator.js';
+import {
+  calculateSensitivityMatrix,
+  createScenarioFromCell,
+  getSensitivityOptions
+} from '../services/sensitivity-calculator.js';
+
+const STACK = [
+  { id: 'senior', type: 'SENIOR', fixedRate: 0.06, amortization: 30, ioMonths: 24 },
+  { id: 'mezz', type: 'MEZZANINE', rateType: 'FLOATING', index: 'SOFR', spread: 0.07, floor: 0.10 },
+  { id: 'pref', type: 'PREFERRED_EQUITY', fixedRate: 0.12, amount: 800000 }
+];
+
+const STACK_PARAMS = {
+  noi: 1000000,
+  purchasePrice: 16000000,
+  units: 100,
+  tranches: STACK
+};
+
+const BASE_MODEL = {
+  purchasePrice: 10000000,
+  grossPotentialRent: 1200000,
+  vacancyRate: 0.05,
+  otherIncome: 50000,
+  operatingExpenses: 450000,
+  loanAmount: 6500000,
+  interestRate: 0.065,
+  amortization: 30,
+  ioPeriod: 2,
+  exitCapRate: 0.06,
+  holdPeriod: 5,
+  rentGrowth: 0.03,
+  expenseGrowth: 0.025,
+  analysisStartDate: '2026-01-01'
+};
+
+const MODEL_TRANCHES = [
+  { id: 'senior', type: 'SENIOR', amount: 6000000, fixedRate: 0.06, amortization: 30, ioMonths: 24 },
+  { id: 'mezz', type: 'MEZZANINE', amount: 1500000, rateType: 'FLOATING', index: 'SOFR', spread: 0.06 }
+];
+
+describe('Multi-Tranche Debt Stack', () => {
+  // ============================================================================
+  // TRANCHE NORMALIZATION
+  // ============================================================================
+
+  describe('normalizeDebtTranches', () => {
+    test('orders by priority and applies type defaults', () => {
+      const tranches = normalizeDebtTranches([
+        { id: 'b', type: 'MEZZANINE', priority: 2, fixedRate: 0.11 },
+        { id: 'a', type: 'SENIOR', priority: 1, fixedRate: 0.06 }
+      ]);
+
+      expect(tranches.map(t => t.id)).toEqual(['a', 'b']);
+      expect(tranches[0].covenants.minDSCR).toBe(1.25);
+      expect(tranches[1].amortization).toBe(0);
+      expect(tranches[1].ioMonths).toBeNull();
+    });
+
+    test('floating rate is index plus spread, subject to the floor', () => {
+      expect(resolveTrancheRate({ rateType: 'FLOATING', index: 'SOFR', spread: 0.03 }, { SOFR: 0.04 }))
+        .toBeCloseTo(0.07, 10);
+      expect(resolveTrancheRate({ rateType: 'FLOATING', index: 'SOFR', spread: 0.03, floor: 0.08 }, { SOFR: 0.04 }))
+        .toBeCloseTo(0.08, 10);
+    });
+
+    test('overrides are applied by tranche id', () => {
+      const [senior] = normalizeDebtTranches(STACK, { overrides: { senior: { fixedRate: 0.07 } } });
+      expect(senior.rate).toBe(0.07);
+    });
+  });
+
+  // ============================================================================
+  // SIZING AND COVENANTS
+  // ============================================================================
+
+  describe('calculateDebtStack', () => {
+    test('sizes each tranche behind the debt senior to it', () => {
+      const result = calculateDebtStack(STACK_PARAMS);
+      const [senior, mezz, pref] = result.tranches;
+
+      expect(senior.sized).toBe(true);
+      expect(senior.amount).toBe(10400000); // 65% LTV
+      expect(mezz.sized).toBe(true);
+      expect(mezz.rate).toBeCloseTo(0.113, 10); // SOFR 4.3% + 700bps
+      expect(mezz.attachmentLTV).toBeCloseTo(0.65, 6);
+      expect(mezz.detachmentLTV).toBeCloseTo(0.80, 6);
+      expect(pref.sized).toBe(false);
+      expect(pref.amount).toBe(800000);
+    });
+
+    test('combined metrics cover debt and the full stack', () => {
+      const { combined } = calculateDebtStack(STACK_PARAMS);
+
+      expect(combined.totalDebt).toBe(12800000);
+      expect(combined.totalStack).toBe(13600000);
+      expect(combined.totalLeverage).toBeCloseTo(0.80, 6);
+      expect(combined.combinedDSCR).toBeCloseTo(1000000 / combined.annualDebtService, 10);
+      expect(combined.allInCoverage).toBeLessThan(combined.combinedDSCR);
+      expect(combined.lastDollarBasis).toBe(13600000);
+      expect(combined.lastDollarPerUnit).toBe(136000);
+    });
+
+    test('reports covenant breaches on the cumulative stack', () => {
+      const result = calculateDebtStack({
+        ...STACK_PARAMS,
+        tranches: [
+          { id: 'senior', type: 'SENIOR', fixedRate: 0.06, amount: 12000000 },
+          { id: 'mezz', type: 'MEZZANINE', fixedRate: 0.11, amount: 1000000 }
+        ]
+      });
+
+      const seniorLTV = result.tranches[0].covenantTests.find(t => t.covenant === 'LTV');
+      expect(seniorLTV.passes).toBe(false);
+      expect(result.covenantBreaches.length).toBeGreaterThan(0);
+    });
+
+    test('sizing without prior debt is unchanged', () => {
+      const result = calculateDebtSizing({ noi: 1000000, purchasePrice: 16000000, interestRate: 0.06 });
+      expect(result.combinedMetrics).toBeUndefined();
+    });
+  });
+
+  // ============================================================================
+  // CASH FLOW INTEGRATION
+  // ============================================================================
+
+  describe('per-tranche debt service', () => {
+    test('annual engine sums tranche debt service', () => {
+      const result = projectDetailedCashFlows({ ...BASE_MODEL, debtTranches: MODEL_TRANCHES });
+
+      for (const year of result.years) {
+        const byTranche = year.debtService.byTranche;
+        expect(byTranche).toHaveLength(2);
+        const total = byTranche.reduce((sum, t) => sum + t.totalPayment, 0);
+        expect(total).toBeCloseTo(year.debtService.totalDebtService, -1);
+      }
+      expect(result.years[0].debtService.beginningBalance).toBe(7500000);
+      expect(result.years[2].debtService.byTranche[0].principalPayment).toBeGreaterThan(0);
+      expect(result.years[2].debtService.byTranche[1].principalPayment).toBe(0);
+      expect(result.assumptions.debtTranches).toHaveLength(2);
+    });
+
+    test('single-loan models have no tranche breakdown', () => {
+      const result = projectDetailedCashFlows(BASE_MODEL);
+      expect(result.years[0].debtService.byTranche).toBeUndefined();
+    });
+
+    test('monthly rollups carry the tranche breakdown', () => {
+      const result = projectMonthlyCashFlows({ ...BASE_MODEL, debtTranches: MODEL_TRANCHES });
+
+      expect(result.months[0].debtService.byTranche[1].interestPayment).toBeCloseTo(1500000 * 0.103 / 12, 0);
+      expect(result.years[0].debtService.byTranche[1].totalPayment).toBeCloseTo(154500, -1);
+    });
+
+    test('year-one metrics use the stack', () => {
+      const result = calculateUnderwriting({ ...BASE_MODEL, debtTranches: MODEL_TRANCHES });
+
+      expect(result.debtMetrics.annualDebtService).toBeCloseTo(360000 + 154500, 0);
+      expect(result.debtMetrics.byTranche).toHaveLength(2);
+    });
+  });
+
+  // ============================================================================
+  // SENSITIVITY
+  // ============================================================================
+
+  describe('tranche sensitivities', () => {
+    const model = { ...BASE_MODEL, debtTranches: MODEL_TRANCHES };
+
+    test('options list tranche fields when the model has a stack', () => {
+      const fields = getSensitivityOptions(model).fields.map(f => f.value);
+
+      expect(fields).toContain('tranche:senior:fixedRate');
+      expect(fields).toContain('tranche:mezz:spread');
+      expect(getSensitivityOptions().fields.some(f => f.value.startsWith('tranche:'))).toBe(false);
+    });
+
+    test('matrix flexes a tranche through trancheOverrides', () => {
+      const result = calculateSensitivityMatrix(model, 'tranche:mezz:spread', 'exitCapRate', 'dscr', {
+        xRange: { min: 0.04, max: 0.08, step: 0.02, format: 'percent', decimals: 1 }
+      });
+
+      const row = result.matrix[0];
+      expect(row[0].value).toBeGreaterThan(row[2].value);
+      expect(result.xAxis.label).toBe('Mezzanine Loan Spread');
+    });
+
+    test('scenario from cell stores tranche values as overrides', () => {
+      const scenario = createScenarioFromCell(model, 'tranche:mezz:spread', 0.05, 'exitCapRate', 0.06);
+
+      expect(scenario.assumptions).toEqual({
+        exitCapRate: 0.06,
+        trancheOverrides: { mezz: { spread: 0.05 } }
+      });
+    });
+  });
+});
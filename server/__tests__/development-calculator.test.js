@@ -0,0 +1,166 @@
+/**
+ * Development Calculator Tests
+ *
+ * Tests the cost budget and spend curves, construction loan sizing with the
+ * interest reserve, the equity-first funding order, returns on cost and the
+ * annual flows handed to calculateWaterfall.
+ */
+
+import {
+  validateDevelopmentBudget,
+  resolveDevelopmentBudget,
+  sCurveWeights,
+  summarizeBudget,
+  projectDevelopment,
+  buildDevelopmentWaterfallFlows,
+  summarizeDevelopment
+} from '../services/development-calculator.js';
+
+const BUDGET = {
+  constructionStart: '2026-01-01',
+  constructionMonths: 12,
+  landCost: 2000000,
+  lineItems: [
+    { name: 'Vertical construction', category: 'HARD', amount: 10000000 },
+    { name: 'Permits', category: 'SOFT', amount: 500000, spendCurve: 'UPFRONT' },
+    { name: 'Architecture', category: 'SOFT', amount: 600000 }
+  ],
+  loanTerms: { ltc: 0.6, interestRate: 0.08, originationFeePct: 0.01 },
+  leaseUpTerms: { monthsToStabilization: 12 }
+};
+
+// $1.2M stabilized NOI
+const MODEL = {
+  grossPotentialRent: 2000000,
+  vacancyRate: 0.05,
+  otherIncome: 0,
+  operatingExpenses: 700000,
+  rentGrowth: 0.03,
+  expenseGrowth: 0.02,
+  exitCapRate: 0.055,
+  holdPeriod: 4,
+  totalUnits: 100
+};
+
+describe('Development Calculator', () => {
+  // ============================================================================
+  // BUDGET
+  // ============================================================================
+
+  test('S-curve weights sum to one and peak mid-construction', () => {
+    const weights = sCurveWeights(18);
+
+    expect(weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+    expect(weights[0]).toBeCloseTo(weights[17], 10);
+    expect(weights[8]).toBeGreaterThan(weights[0] * 3);
+  });
+
+  test('contingency applies by category and spend curves place the costs', () => {
+    const costs = summarizeBudget(resolveDevelopmentBudget(BUDGET));
+
+    expect(costs.hardContingency).toBeCloseTo(500000, 2);
+    expect(costs.softContingency).toBeCloseTo(33000, 2);
+    expect(costs.totalBeforeFinancing).toBeCloseTo(2000000 + 10500000 + 1133000, 2);
+    // Land and upfront permits at closing; architecture straight-line
+    expect(costs.schedule[0]).toBeCloseTo(2000000 + 515000, 2);
+    expect(costs.lineItems[2].spendCurve).toBe('STRAIGHT_LINE');
+    expect(costs.schedule.reduce((a, b) => a + b, 0)).toBeCloseTo(costs.totalBeforeFinancing, 2);
+  });
+
+  test('validateDevelopmentBudget reports bad input', () => {
+    const errors = validateDevelopmentBudget({
+      lineItems: [{ category: 'OTHER', amount: -1, spendCurve: 'BELL' }],
+      constructionMonths: 0,
+      loanTerms: { ltc: 1.2 },
+      leaseUpTerms: { monthsToStabilization: 0 }
+    });
+
+    expect(errors).toHaveLength(7);
+    expect(validateDevelopmentBudget(BUDGET)).toEqual([]);
+    expect(validateDevelopmentBudget({})).toEqual(['lineItems must be a non-empty array']);
+  });
+
+  // ============================================================================
+  // FUNDING
+  // ============================================================================
+
+  describe('construction loan', () => {
+    const projection = projectDevelopment(BUDGET, MODEL);
+
+    test('loan is sized on loan-to-cost of the all-in budget', () => {
+      const { budget, sources, loan } = projection;
+
+      expect(sources.loan).toBeCloseTo(0.6 * budget.totalCost, -1);
+      expect(budget.financingFees).toBeCloseTo(0.01 * sources.loan, -1);
+      expect(budget.totalCost).toBeCloseTo(
+        budget.landCost + budget.hardCosts + budget.softCosts + budget.hardContingency + budget.softContingency +
+        budget.financingFees + budget.interestReserve + budget.leaseUpDeficit, -1
+      );
+      expect(loan.interestReserve).toBeGreaterThan(0);
+      expect(loan.payoffAtSale).toBeCloseTo(loan.commitment, -1);
+    });
+
+    test('equity funds before the first loan draw', () => {
+      const firstDraw = projection.schedule.findIndex(row => row.loanDraw > 0);
+      const equityBefore = projection.schedule.slice(0, firstDraw + 1).reduce((sum, row) => sum + row.equityDraw, 0);
+
+      expect(firstDraw).toBeGreaterThan(0);
+      expect(equityBefore).toBeCloseTo(projection.sources.equity, -1);
+      expect(projection.schedule.slice(firstDraw + 1).every(row => row.equityDraw === 0)).toBe(true);
+    });
+
+    test('interest is capitalized through stabilization and paid from NOI after', () => {
+      const { schedule, timeline } = projection;
+
+      expect(schedule[timeline.stabilizationMonth].capitalizedInterest).toBeGreaterThan(0);
+      expect(schedule[timeline.stabilizationMonth + 1].capitalizedInterest).toBe(0);
+      expect(schedule[0].interest).toBe(0);
+    });
+  });
+
+  // ============================================================================
+  // RETURNS
+  // ============================================================================
+
+  test('returns on cost and development spread', () => {
+    const { returns, budget } = projectDevelopment({ ...BUDGET, marketCapRate: 0.05 }, MODEL);
+
+    expect(returns.untrendedStabilizedNOI).toBe(1200000);
+    expect(returns.untrendedReturnOnCost).toBeCloseTo(1200000 / budget.totalCost, 4);
+    expect(returns.trendedReturnOnCost).toBeGreaterThan(returns.untrendedReturnOnCost);
+    expect(returns.yieldOnCost).toBe(returns.trendedReturnOnCost);
+    expect(returns.developmentSpreadBps).toBe(Math.round((returns.yieldOnCost - 0.05) * 10000));
+    expect(returns.leveredIRR).toBeGreaterThan(returns.unleveredIRR);
+  });
+
+  test('a sale before a stabilized year is moved with a warning', () => {
+    const { timeline, warnings } = projectDevelopment({ ...BUDGET, holdMonths: 18 }, MODEL);
+
+    expect(timeline.saleMonth).toBe(36);
+    expect(timeline.saleDate).toBe('2029-01-01');
+    expect(warnings[0]).toMatch(/moved to month 36/);
+  });
+
+  // ============================================================================
+  // WATERFALL AND MEMO
+  // ============================================================================
+
+  test('buildDevelopmentWaterfallFlows rolls distributions up by year', () => {
+    const projection = projectDevelopment(BUDGET, MODEL);
+    const { cashFlows, dates, equity } = buildDevelopmentWaterfallFlows(projection);
+
+    expect(cashFlows).toHaveLength(4);
+    expect(dates).toEqual(['2026-01-01', '2026-12-31', '2027-12-31', '2028-12-31', '2029-12-31']);
+    expect(equity).toBe(projection.sources.equity);
+    // Nothing to distribute during construction; the sale lands in year 4
+    expect(cashFlows[0]).toBe(0);
+    expect(cashFlows[3]).toBeGreaterThan(equity);
+  });
+
+  test('summarizeDevelopment keeps the memo fields and drops the schedule', () => {
+    const summary = summarizeDevelopment(projectDevelopment(BUDGET, MODEL));
+
+    expect(Object.keys(summary)).toEqual(['budget', 'sources', 'timeline', 'returns', 'warnings']);
+    expect(summary.budget.costPerUnit).toBe(Math.round(summary.budget.totalCost / 100));
+  });
+});
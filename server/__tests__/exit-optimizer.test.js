@@ -0,0 +1,162 @@
+/**
+ * Exit Optimizer Tests
+ *
+ * Tests evaluation of individual exit plans (hold period, exit cap,
+ * refinance timing), the joint search with its DSCR constraint and
+ * efficient frontier, and scenario templates built from a plan.
+ */
+
+import {
+  evaluateExitPlan,
+  optimizeExitPlan,
+  createScenarioFromExitPlan,
+  MAX_EXIT_CAP_RATES
+} from '../services/sensitivity-calculator.js';
+import { projectDetailedCashFlows } from '../services/underwriting-calculator.js';
+
+const MODEL = {
+  purchasePrice: 10000000,
+  grossPotentialRent: 1200000,
+  vacancyRate: 0.05,
+  otherIncome: 50000,
+  operatingExpenses: 450000,
+  loanAmount: 6000000,
+  interestRate: 0.065,
+  exitCapRate: 0.06,
+  holdPeriod: 5,
+  rentGrowth: 0.03,
+  expenseGrowth: 0.02
+};
+
+describe('Exit Optimizer', () => {
+  // ============================================================================
+  // SINGLE PLAN
+  // ============================================================================
+
+  describe('evaluateExitPlan', () => {
+    test('a plan without a refinance matches the detailed projection', () => {
+      const plan = evaluateExitPlan(MODEL, { exitYear: 5, exitCapRate: 0.06 });
+      const projection = projectDetailedCashFlows(MODEL, 5);
+
+      expect(plan.id).toBe('Y5-C600-R0');
+      expect(plan.cashFlows).toHaveLength(6);
+      expect(plan.irr).toBeCloseTo(projection.totals.irr, 3);
+      expect(plan.equityMultiple).toBeCloseTo(
+        (projection.totals.totalCashDistributed + projection.totals.totalSaleProceeds) / projection.totals.equityInvested, 3
+      );
+      expect(plan.refinance).toBeNull();
+    });
+
+    test('a refinance pays off the old loan and distributes net proceeds', () => {
+      const plan = evaluateExitPlan(MODEL, { exitYear: 7, exitCapRate: 0.06, refinanceYear: 3 }, { ltv: 0.6, costRate: 0.01 });
+      const { refinance } = plan;
+
+      expect(refinance.year).toBe(3);
+      expect(refinance.newLoanAmount).toBeCloseTo(refinance.propertyValue * 0.6, -1);
+      expect(refinance.netProceeds).toBeCloseTo(
+        refinance.newLoanAmount - refinance.existingBalance - refinance.costs, -1
+      );
+
+      const noRefi = evaluateExitPlan(MODEL, { exitYear: 7, exitCapRate: 0.06 });
+      expect(plan.cashFlows[3] - noRefi.cashFlows[3]).toBeCloseTo(refinance.netProceeds, -1);
+    });
+
+    test('flags plans that breach the DSCR constraint', () => {
+      const plan = evaluateExitPlan(MODEL, { exitYear: 5, exitCapRate: 0.05, refinanceYear: 1 }, { ltv: 0.8 }, 1.25);
+
+      expect(plan.minDSCR).toBeLessThan(1.25);
+      expect(plan.feasible).toBe(false);
+    });
+
+    test('rejects a refinance on or after the exit year', () => {
+      expect(() => evaluateExitPlan(MODEL, { exitYear: 5, exitCapRate: 0.06, refinanceYear: 5 }))
+        .toThrow(/before exit year/);
+    });
+  });
+
+  // ============================================================================
+  // JOINT SEARCH
+  // ============================================================================
+
+  describe('optimizeExitPlan', () => {
+    test('searches every exit year, cap rate and refinance year', () => {
+      const result = optimizeExitPlan(MODEL, { exitYears: [3, 5], exitCapRates: [0.06] });
+
+      // 3-year: no refi + refi in years 1-2; 5-year: no refi + refi in years 1-4
+      expect(result.searchSpace.planCount).toBe(3 + 5);
+      expect(result.byExitYear.map(r => r.exitYear)).toEqual([3, 5]);
+    });
+
+    test('the chosen plan maximizes the objective among feasible plans', () => {
+      for (const objective of ['irr', 'equityMultiple', 'profit']) {
+        const result = optimizeExitPlan(MODEL, { objective, allowRefinance: false });
+        const feasible = result.plans.filter(p => p.feasible);
+        const best = Math.max(...feasible.map(p => p[objective]));
+
+        expect(result.chosenPlan[objective]).toBe(best);
+      }
+    });
+
+    test('longer holds win on profit, shorter on IRR without refinancing', () => {
+      const options = { exitYears: [5, 7], exitCapRates: [0.06], allowRefinance: false, minDSCR: null };
+
+      expect(optimizeExitPlan(MODEL, { ...options, objective: 'profit' }).chosenPlan.exitYear).toBe(7);
+      expect(optimizeExitPlan(MODEL, { ...options, objective: 'irr' }).chosenPlan.exitYear).toBe(5);
+    });
+
+    test('efficient frontier holds no dominated plans', () => {
+      const { frontier, plans } = optimizeExitPlan(MODEL);
+
+      expect(frontier.length).toBeGreaterThan(0);
+      for (const point of frontier) {
+        const dominated = plans.some(p => p.feasible &&
+          p.irr > point.irr && p.equityMultiple > point.equityMultiple);
+        expect(dominated).toBe(false);
+      }
+    });
+
+    test('explains the gap to other hold periods', () => {
+      const result = optimizeExitPlan(MODEL, { exitYears: [5, 7], allowRefinance: false });
+      const other = result.byExitYear.find(r => r.exitYear !== result.chosenPlan.exitYear);
+
+      expect(other.vsChosen.irr).toBeLessThanOrEqual(0);
+      expect(result.rationale).toHaveLength(2);
+      expect(result.rationale[0]).toMatch(/maximizes Levered IRR/);
+    });
+
+    test('returns no plan when the DSCR constraint cannot be met', () => {
+      const result = optimizeExitPlan(MODEL, { minDSCR: 10 });
+
+      expect(result.chosenPlan).toBeNull();
+      expect(result.warnings[0]).toMatch(/10\.00x/);
+    });
+
+    test('rejects unknown objectives', () => {
+      expect(() => optimizeExitPlan(MODEL, { objective: 'npv' })).toThrow(/Unknown exit objective/);
+    });
+
+    test('rejects search spaces over the exit year and cap rate limits', () => {
+      const exitCapRates = Array.from({ length: MAX_EXIT_CAP_RATES + 1 }, (_, i) => 0.05 + i * 0.0025);
+
+      expect(() => optimizeExitPlan(MODEL, { exitCapRates })).toThrow(/limited to 30 exit years and 10 exit cap rates/);
+      expect(() => optimizeExitPlan(MODEL, { exitYears: Array(31).fill(5) })).toThrow(/limited/);
+    });
+  });
+
+  test('createScenarioFromExitPlan records only the assumptions scenarios apply', () => {
+    const optimization = optimizeExitPlan(MODEL, { exitYears: [5, 7] });
+    const scenario = createScenarioFromExitPlan(optimization.chosenPlan, optimization);
+
+    expect(scenario.name).toMatch(/^Exit Plan: \d+-year hold/);
+    expect(scenario.assumptions).toEqual({
+      holdPeriod: optimization.chosenPlan.exitYear,
+      exitCapRate: optimization.chosenPlan.exitCapRate
+    });
+    expect(scenario.description).toMatch(/Optimized for Levered IRR with min DSCR 1\.20x/);
+
+    const refinanced = evaluateExitPlan(MODEL, { exitYear: 7, exitCapRate: 0.06, refinanceYear: 3 });
+    const refiScenario = createScenarioFromExitPlan(refinanced);
+    expect(refiScenario.assumptions).not.toHaveProperty('refinance');
+    expect(refiScenario.name).toBe('Exit Plan: 7-year hold at 6.00% exit cap, refinance in year 3');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Fee Accrual Period Close Tests
+ *
+ * Accruals are booked to a calendar quarter, so the period guard must find
+ * the quarter's accounting period by year/quarter: stored period dates are
+ * local time and can end before the UTC quarter bounds the fee engine uses.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+let periods = [];
+const feeInvoiceFindUnique = jest.fn();
+
+jest.unstable_mockModule('../db.js', () => ({
+  getPrisma: () => ({
+    accountingPeriod: {
+      findFirst: async ({ where }) => periods.find(p =>
+        p.dealId === where.dealId &&
+        (where.year === undefined || (p.year === where.year && p.quarter === where.quarter)) &&
+        (where.startDate === undefined || (p.startDate <= where.startDate.lte && p.endDate >= where.endDate.gte))
+      ) || null
+    },
+    feeInvoice: { findUnique: feeInvoiceFindUnique }
+  })
+}));
+
+jest.unstable_mockModule('../routes/auth.js', () => ({
+  extractAuthUser: async () => ({ id: 'gp-1', name: 'GP', role: 'GP', status: 'ACTIVE' })
+}));
+
+const { handleAccrueFees } = await import('../routes/fees.js');
+const { checkPeriodOpen, checkQuarterOpen } = await import('../services/period-guard.js');
+const { quarterBounds } = await import('../services/fee-engine.js');
+
+// Same boundaries handleCreatePeriod stores (local time, whole seconds)
+function closedQuarter(year, quarter, status = 'HARD_CLOSE') {
+  return {
+    id: `period-${year}-Q${quarter}`,
+    dealId: 'deal-1',
+    year,
+    quarter,
+    periodType: 'QUARTERLY',
+    startDate: new Date(year, (quarter - 1) * 3, 1),
+    endDate: new Date(year, quarter * 3, 0, 23, 59, 59),
+    status
+  };
+}
+
+function mockResponse() {
+  const res = {
+    status: null,
+    body: null,
+    writeHead(status) { res.status = status; },
+    end(payload) { res.body = JSON.parse(payload); }
+  };
+  return res;
+}
+
+describe('Fee accrual and period close', () => {
+  beforeEach(() => {
+    periods = [closedQuarter(2026, 1)];
+    feeInvoiceFindUnique.mockReset();
+  });
+
+  test('a hard-closed quarter rejects accrual before any invoice is read', async () => {
+    const res = mockResponse();
+
+    await handleAccrueFees({}, res, 'deal-1', async () => ({ year: 2026, quarter: 1 }));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Cannot accrue management fees: Period 2026 Q1 is hard-closed. No changes allowed.');
+    expect(feeInvoiceFindUnique).not.toHaveBeenCalled();
+  });
+
+  test('the quarter lookup finds the period the UTC quarter end can miss', async () => {
+    const { endDate } = quarterBounds(2026, 1);
+
+    await expect(checkQuarterOpen('deal-1', 2026, 1)).resolves.toMatchObject({
+      allowed: false,
+      periodId: 'period-2026-Q1'
+    });
+    await expect(checkQuarterOpen('deal-1', 2026, 2)).resolves.toEqual({ allowed: true });
+    // Local period end has no milliseconds, so the date lookup can fall past it
+    if (periods[0].endDate < endDate) {
+      await expect(checkPeriodOpen('deal-1', endDate)).resolves.toEqual({ allowed: true });
+    }
+  });
+});
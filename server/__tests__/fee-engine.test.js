@@ -0,0 +1,243 @@
+/**
+ * Fee Engine Tests
+ *
+ * Tests quarterly management fee accrual on committed, invested and NAV
+ * bases, step-downs after the investment period, fee offsets, fund expense
+ * allocation, deduction of fees from distribution allocations and the
+ * settlement lifecycle (pending until paid, reversed on cancel).
+ */
+
+import {
+  quarterBounds,
+  resolveFeeSegments,
+  calculateQuarterlyFees,
+  calculateInvestedCapital,
+  applyFeeDeductions,
+  reverseFeeDeductions,
+  summarizeFeeSettlements
+} from '../services/fee-engine.js';
+
+const CLASS_A = { id: 'class-a', code: 'A', managementFee: 0.02, feeBasis: 'COMMITTED' };
+
+const LP_ONE = { id: 'lp-1', entityName: 'LP One', commitment: 1000000, ownershipPct: 75, shareClass: CLASS_A };
+const LP_TWO = { id: 'lp-2', entityName: 'LP Two', commitment: 333333.33, ownershipPct: 25, shareClass: CLASS_A };
+
+describe('Fee Engine', () => {
+  // ============================================================================
+  // PERIODS AND TERMS
+  // ============================================================================
+
+  describe('quarterBounds', () => {
+    test('returns inclusive UTC bounds and day count', () => {
+      const q1 = quarterBounds(2026, 1);
+
+      expect(q1.label).toBe('Q1 2026');
+      expect(q1.startDate.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+      expect(q1.endDate.toISOString().split('T')[0]).toBe('2026-03-31');
+      expect(q1.days).toBe(90);
+      expect(quarterBounds(2028, 1).days).toBe(91);
+    });
+  });
+
+  describe('resolveFeeSegments', () => {
+    test('splits the quarter at the end of the investment period', () => {
+      const segments = resolveFeeSegments(
+        { ...CLASS_A, investmentPeriodEnd: '2026-05-01', stepDownFee: 0.01, stepDownBasis: 'INVESTED' },
+        quarterBounds(2026, 2)
+      );
+
+      expect(segments).toHaveLength(2);
+      expect(segments[0]).toMatchObject({ days: 30, rate: 0.02, basis: 'COMMITTED', steppedDown: false });
+      expect(segments[1]).toMatchObject({ days: 61, rate: 0.01, basis: 'INVESTED', steppedDown: true });
+    });
+
+    test('keeps the original rate when no step-down rate is set', () => {
+      const [segment] = resolveFeeSegments(
+        { ...CLASS_A, investmentPeriodEnd: '2025-12-31' },
+        quarterBounds(2026, 1)
+      );
+
+      expect(segment).toMatchObject({ rate: 0.02, basis: 'COMMITTED', steppedDown: true });
+    });
+  });
+
+  // ============================================================================
+  // QUARTERLY FEES
+  // ============================================================================
+
+  describe('calculateQuarterlyFees', () => {
+    test('charges a quarter of the annual rate on commitments', () => {
+      const { lines, totals } = calculateQuarterlyFees({ lpActors: [LP_ONE], year: 2026, quarter: 1 });
+
+      expect(lines[0].managementFee).toBe(5000);
+      expect(lines[0].totalDue).toBe(5000);
+      expect(totals.managementFee).toBe(5000);
+    });
+
+    test('pro-rates the step-down by day', () => {
+      const lp = {
+        ...LP_ONE,
+        shareClass: { ...CLASS_A, investmentPeriodEnd: '2026-05-01', stepDownFee: 0.01, stepDownBasis: 'INVESTED' }
+      };
+      const { lines } = calculateQuarterlyFees({
+        lpActors: [lp],
+        year: 2026,
+        quarter: 2,
+        investedByLp: { 'lp-1': 600000 }
+      });
+
+      const expected = 1000000 * 0.02 / 4 * 30 / 91 + 600000 * 0.01 / 4 * 61 / 91;
+      expect(lines[0].managementFee).toBeCloseTo(expected, 1);
+      expect(lines[0].basis).toBe('INVESTED');
+      expect(lines[0].feeRate).toBe(0.01);
+    });
+
+    test('NAV basis uses deal NAV times ownership and warns when missing', () => {
+      const lp = { ...LP_ONE, shareClass: { ...CLASS_A, feeBasis: 'NAV' } };
+
+      const withNav = calculateQuarterlyFees({ lpActors: [lp], year: 2026, quarter: 1, nav: 2000000 });
+      expect(withNav.lines[0].basisAmount).toBe(1500000);
+      expect(withNav.lines[0].managementFee).toBe(7500);
+
+      const withoutNav = calculateQuarterlyFees({ lpActors: [lp], year: 2026, quarter: 1 });
+      expect(withoutNav.lines[0].managementFee).toBe(0);
+      expect(withoutNav.warnings).toHaveLength(1);
+    });
+
+    test('offsets are shared by commitment and capped at the fee', () => {
+      const lpTwo = { ...LP_TWO, shareClass: { ...CLASS_A, feeOffsetPct: 0.5 } };
+      const { lines, totals } = calculateQuarterlyFees({
+        lpActors: [LP_ONE, lpTwo],
+        year: 2026,
+        quarter: 1,
+        offsets: [{ description: 'Acquisition fee', amount: 40000 }]
+      });
+
+      expect(lines[0].offsetAmount).toBe(5000);
+      expect(lines[0].netManagementFee).toBe(0);
+      expect(lines[1].offsetAmount).toBeCloseTo(1666.67, 2);
+      expect(totals.unappliedOffsets).toBeGreaterThan(0);
+    });
+
+    test('fund expenses are allocated pro-rata by commitment', () => {
+      const { lines, totals } = calculateQuarterlyFees({
+        lpActors: [LP_ONE, LP_TWO],
+        year: 2026,
+        quarter: 1,
+        fundExpenses: [{ description: 'Audit', amount: 20000 }]
+      });
+
+      expect(lines[0].expenseShare).toBe(15000);
+      expect(lines[1].expenseShare).toBe(5000);
+      expect(totals.fundExpenses).toBe(20000);
+    });
+  });
+
+  // ============================================================================
+  // INVESTED CAPITAL AND SETTLEMENT
+  // ============================================================================
+
+  test('calculateInvestedCapital excludes fee calls and later activity', () => {
+    const invested = calculateInvestedCapital(
+      [
+        { lpActorId: 'lp-1', fundedAmount: 500000, fundedAt: '2026-01-15', capitalCall: { purpose: 'INITIAL_FUNDING' } },
+        { lpActorId: 'lp-1', fundedAmount: 5000, fundedAt: '2026-02-01', capitalCall: { purpose: 'MANAGEMENT_FEE' } },
+        { lpActorId: 'lp-1', fundedAmount: 100000, fundedAt: '2026-05-01', capitalCall: { purpose: 'CAPEX' } }
+      ],
+      [
+        { lpActorId: 'lp-1', grossAmount: 50000, status: 'PAID', paidAt: '2026-03-01', distribution: { type: 'RETURN_OF_CAPITAL' } },
+        { lpActorId: 'lp-1', grossAmount: 20000, status: 'PAID', paidAt: '2026-03-01', distribution: { type: 'CASH_DISTRIBUTION' } }
+      ],
+      new Date('2026-04-01')
+    );
+
+    expect(invested).toEqual({ 'lp-1': 450000 });
+  });
+
+  test('applyFeeDeductions caps each deduction at the net distribution', () => {
+    const result = applyFeeDeductions(
+      [
+        { id: 'a1', lpActorId: 'lp-1', grossAmount: 10000, withholdingAmount: 0, netAmount: 10000 },
+        { id: 'a2', lpActorId: 'lp-2', grossAmount: 3000, withholdingAmount: 0, netAmount: 3000 }
+      ],
+      { 'lp-1': 5000, 'lp-2': 4000 }
+    );
+
+    expect(result.allocations[0]).toMatchObject({ feeAmount: 5000, netAmount: 5000 });
+    expect(result.allocations[1]).toMatchObject({ feeAmount: 3000, netAmount: 0 });
+    expect(result.totalDeducted).toBe(8000);
+  });
+
+  describe('settlement lifecycle', () => {
+    const INVOICE = {
+      totalDue: 6000,
+      lines: [
+        { lpActorId: 'lp-1', totalDue: 4500 },
+        { lpActorId: 'lp-2', totalDue: 1500 }
+      ]
+    };
+    const ALLOCATIONS = [
+      { id: 'a1', lpActorId: 'lp-1', grossAmount: 10000, withholdingAmount: 0, feeAmount: 0, netAmount: 10000 },
+      { id: 'a2', lpActorId: 'lp-2', grossAmount: 1000, withholdingAmount: 0, feeAmount: 0, netAmount: 1000 }
+    ];
+
+    function deduct() {
+      const { allocations, deductions } = applyFeeDeductions(ALLOCATIONS, summarizeFeeSettlements(INVOICE).outstandingByLp);
+      const settlements = allocations
+        .filter(alloc => deductions[alloc.lpActorId])
+        .map(alloc => ({
+          lpActorId: alloc.lpActorId,
+          method: 'DISTRIBUTION',
+          allocationId: alloc.id,
+          amount: deductions[alloc.lpActorId],
+          status: 'PENDING'
+        }));
+      return { allocations, settlements };
+    }
+
+    test('deductions from a draft distribution hold the balance but do not settle it', () => {
+      const { settlements } = deduct();
+      const summary = summarizeFeeSettlements(INVOICE, settlements);
+
+      expect(summary).toMatchObject({ status: 'INVOICED', settledAmount: 0, pendingAmount: 5500, settledAt: null });
+      // Only lp-2's uncovered 500 is left to deduct or call
+      expect(summary.outstandingByLp).toEqual({ 'lp-1': 0, 'lp-2': 500 });
+    });
+
+    test('paid allocations settle their lines', () => {
+      const { settlements } = deduct();
+      settlements[0] = { ...settlements[0], status: 'SETTLED', settledAt: new Date('2026-04-10') };
+
+      expect(summarizeFeeSettlements(INVOICE, settlements)).toMatchObject({
+        status: 'PARTIALLY_SETTLED',
+        settledAmount: 4500,
+        settledByLp: { 'lp-1': 4500 },
+        settledAt: null
+      });
+
+      const paid = settlements.map(s => ({ ...s, status: 'SETTLED', settledAt: new Date('2026-04-12') }));
+      paid.push({ lpActorId: 'lp-2', method: 'CAPITAL_CALL', allocationId: 'c1', amount: 500, status: 'SETTLED', settledAt: new Date('2026-05-01') });
+      const summary = summarizeFeeSettlements(INVOICE, paid);
+      expect(summary).toMatchObject({ status: 'SETTLED', settledAmount: 6000, pendingAmount: 0 });
+      expect(summary.settledAt.toISOString()).toBe('2026-05-01T00:00:00.000Z');
+    });
+
+    test('cancelling the distribution after settling restores allocations and the balance', () => {
+      const { allocations, settlements } = deduct();
+
+      const restored = reverseFeeDeductions(allocations, settlements);
+      expect(restored).toEqual(ALLOCATIONS);
+
+      const reversed = settlements.map(s => ({ ...s, status: 'REVERSED' }));
+      expect(summarizeFeeSettlements(INVOICE, reversed)).toMatchObject({
+        status: 'ACCRUED',
+        settledAmount: 0,
+        pendingAmount: 0,
+        outstandingByLp: { 'lp-1': 4500, 'lp-2': 1500 }
+      });
+      // Settled deductions stay on the allocation
+      const settled = [{ ...settlements[0], status: 'SETTLED' }, settlements[1]];
+      expect(reverseFeeDeductions(allocations, settled).map(a => a.netAmount)).toEqual([5500, 1000]);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Floating Rate Debt Tests
+ *
+ * Tests forward curve parsing and interpolation, cap and swap cash flows,
+ * the effective hedged rate, rate-path DSCR stress testing, and floating
+ * terms in the cash-flow engines and debt sizing.
+ */
+
+import {
+  parseForwardCurveCSV,
+  normalizeForwardCurve,
+  forwardRateForMonth,
+  calculateFloatingDebtSchedule,
+  performRatePathStressTest
+} from '../services/floating-rate-calculator.js';
+import { calculateDebtSizing } from '../services/debt-sizing-calculator.js';
+import {
+  calculateUnderwriting,
+  projectDetailedCashFlows,
+  projectMonthlyCashFlows
+} from '../services/underwriting-calculator.js';
+
+const FLAT_CURVE = [{ month: 1, rate: 0.05 }];
+
+const LOAN = {
+  loanAmount: 1000000,
+  spread: 0.03,
+  forwardCurve: FLAT_CURVE,
+  months: 12
+};
+
+const BASE_MODEL = {
+  purchasePrice: 10000000,
+  grossPotentialRent: 1200000,
+  vacancyRate: 0.05,
+  otherIncome: 50000,
+  operatingExpenses: 450000,
+  loanAmount: 7000000,
+  interestRate: 0.07,
+  exitCapRate: 0.06,
+  holdPeriod: 3,
+  analysisStartDate: '2026-01-01'
+};
+
+describe('Floating Rate Debt', () => {
+  // ============================================================================
+  // FORWARD CURVE
+  // ============================================================================
+
+  describe('forward curve', () => {
+    test('parses CSV with a header, dates and explicit rate units', () => {
+      const { points, errors } = parseForwardCurveCSV(
+        'date,rate_pct\n2026-01-01,4.30%\n1/1/2027,3.9\n2028-01-01,0.5'
+      );
+
+      expect(errors).toEqual([]);
+      expect(points).toEqual([
+        { date: '2026-01-01', rate: 0.043 },
+        { date: '2027-01-01', rate: 0.039 },
+        { date: '2028-01-01', rate: 0.005 }
+      ]);
+    });
+
+    test('keeps sub-1% curves in the stated unit instead of guessing', () => {
+      const decimal = parseForwardCurveCSV('1,0.0025\n12,0.0075', { rateUnit: 'decimal' });
+      expect(decimal).toEqual({ points: [{ month: 1, rate: 0.0025 }, { month: 12, rate: 0.0075 }], errors: [] });
+
+      // Near-zero SOFR entered in percent: 0.25% and 0.75%, not 25% and 75%
+      const percent = parseForwardCurveCSV('month,rate (%)\n1,0.25\n12,0.75');
+      expect(percent.points).toEqual([{ month: 1, rate: 0.0025 }, { month: 12, rate: 0.0075 }]);
+      expect(parseForwardCurveCSV('1,0.50%\n12,1.25%').points).toEqual([{ month: 1, rate: 0.005 }, { month: 12, rate: 0.0125 }]);
+    });
+
+    test('rejects rates without a unit', () => {
+      const { points, errors } = parseForwardCurveCSV('date,rate\n2026-01-01,0.5\n2027-01-01,4.1%');
+
+      expect(points).toEqual([{ date: '2027-01-01', rate: 0.041 }]);
+      expect(errors).toEqual([expect.stringMatching(/^Line 2: rate "0.5" has no unit/)]);
+      expect(parseForwardCurveCSV('1,4.1', { rateUnit: 'bps' }).errors[0]).toMatch(/Unknown rate unit "bps"/);
+    });
+
+    test('reports bad rows with line numbers', () => {
+      const { points, errors } = parseForwardCurveCSV('12,4.1\nsoon,4.2\n24,abc', { rateUnit: 'percent' });
+
+      expect(points).toEqual([{ month: 12, rate: 0.041 }]);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toMatch(/^Line 2/);
+    });
+
+    test('interpolates between points and holds flat beyond the ends', () => {
+      const curve = normalizeForwardCurve(
+        [{ date: '2026-01-01', rate: 0.04 }, { date: '2027-01-01', rate: 0.03 }],
+        '2026-01-01'
+      );
+
+      expect(curve).toEqual([{ month: 1, rate: 0.04 }, { month: 13, rate: 0.03 }]);
+      expect(forwardRateForMonth(curve, 7)).toBeCloseTo(0.035, 10);
+      expect(forwardRateForMonth(curve, 40)).toBe(0.03);
+    });
+  });
+
+  // ============================================================================
+  // HEDGES AND EFFECTIVE RATE
+  // ============================================================================
+
+  describe('calculateFloatingDebtSchedule', () => {
+    test('unhedged interest is index plus spread', () => {
+      const result = calculateFloatingDebtSchedule(LOAN);
+
+      expect(result.monthlySchedule[0].couponRate).toBeCloseTo(0.08, 10);
+      expect(result.schedule[0].interestPayment).toBeCloseTo(80000, 6);
+      expect(result.schedule[0].effectiveRate).toBeCloseTo(0.08, 10);
+    });
+
+    test('index floor applies to the index, not the spread', () => {
+      const result = calculateFloatingDebtSchedule({
+        ...LOAN,
+        forwardCurve: [{ month: 1, rate: 0.005 }],
+        indexFloor: 0.01
+      });
+
+      expect(result.monthlySchedule[0].couponRate).toBeCloseTo(0.04, 10);
+    });
+
+    test('cap pays out above the strike until expiry', () => {
+      const result = calculateFloatingDebtSchedule({
+        ...LOAN,
+        cap: { strike: 0.04, termMonths: 6, cost: 12000 }
+      });
+
+      expect(result.monthlySchedule[0].capPayout).toBeCloseTo(1000000 * 0.01 / 12, 6);
+      expect(result.monthlySchedule[6].capPayout).toBe(0);
+      expect(result.monthlySchedule[0].capCostAmortization).toBe(2000);
+      expect(result.monthlySchedule[0].effectiveRate).toBeCloseTo(0.07 + 0.024, 10);
+      expect(result.capCost).toBe(12000);
+    });
+
+    test('pay-fixed swap locks the effective rate at fixed leg plus spread', () => {
+      const result = calculateFloatingDebtSchedule({
+        ...LOAN,
+        forwardCurve: [{ month: 1, rate: 0.03 }, { month: 12, rate: 0.06 }],
+        swap: { fixedRate: 0.04 }
+      });
+
+      for (const month of result.monthlySchedule) {
+        expect(month.effectiveRate).toBeCloseTo(0.07, 10);
+      }
+    });
+
+    test('amortizing floating loans pay down principal', () => {
+      const result = calculateFloatingDebtSchedule({ ...LOAN, amortization: 30, ioMonths: 6 });
+
+      expect(result.monthlySchedule[5].principalPayment).toBe(0);
+      expect(result.monthlySchedule[6].principalPayment).toBeGreaterThan(0);
+      expect(result.schedule[0].endingBalance).toBeLessThan(LOAN.loanAmount);
+    });
+  });
+
+  // ============================================================================
+  // RATE PATH STRESS TEST
+  // ============================================================================
+
+  describe('performRatePathStressTest', () => {
+    test('runs flat, forward and shocked paths', () => {
+      const result = performRatePathStressTest({ ...LOAN, months: 24, noi: 100000, minDSCR: 1.2 });
+
+      expect(result.paths.map(p => p.id)).toEqual(['FLAT', 'FORWARD', 'UP_100', 'UP_200', 'UP_300']);
+      expect(result.paths[0].minDSCR).toBeCloseTo(1.25, 6);
+      expect(result.paths[4].minDSCR).toBeCloseTo(100000 / 110000, 6);
+      expect(result.worstPath).toBe('UP_300');
+      expect(result.summary.passesAllPaths).toBe(false);
+    });
+
+    test('a cap protects DSCR in the shocked paths', () => {
+      const result = performRatePathStressTest({
+        ...LOAN,
+        noi: 100000,
+        cap: { strike: 0.055, cost: 0 }
+      });
+      const up300 = result.paths.find(p => p.id === 'UP_300');
+
+      expect(up300.minDSCR).toBeCloseTo(100000 / 85000, 6);
+      expect(up300.unhedgedMinDSCR).toBeCloseTo(100000 / 110000, 6);
+    });
+
+    test('debt sizing stress test uses rate paths for floating loans', () => {
+      const result = calculateDebtSizing({
+        noi: 700000,
+        purchasePrice: 10000000,
+        interestRate: 0.08,
+        amortization: 0,
+        loanTerm: 3,
+        lenderProfile: 'BRIDGE',
+        floatingRate: { spread: 0.03, forwardCurve: FLAT_CURVE }
+      });
+
+      expect(result.stressTest.ratePaths.paths).toHaveLength(5);
+      expect(result.stressTest.tests.some(t => t.scenario === 'Forward +300bps')).toBe(true);
+      expect(result.stressTest.tests.some(t => /^Rate \+/.test(t.scenario))).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // CASH FLOW INTEGRATION
+  // ============================================================================
+
+  describe('floating terms in the cash-flow engines', () => {
+    const model = {
+      ...BASE_MODEL,
+      floatingRate: {
+        spread: 0.03,
+        forwardCurve: [{ date: '2026-01-01', rate: 0.043 }, { date: '2028-01-01', rate: 0.036 }],
+        cap: { strike: 0.045, termMonths: 24, cost: 120000 }
+      }
+    };
+
+    test('annual debt service follows the forward curve', () => {
+      const result = projectDetailedCashFlows(model);
+
+      expect(result.years[0].debtService.isInterestOnly).toBe(true);
+      expect(result.years[0].debtService.totalDebtService)
+        .toBeGreaterThan(result.years[2].debtService.totalDebtService);
+      expect(result.years[2].debtService.indexRate).toBeCloseTo(0.036, 5);
+      expect(result.assumptions.floatingRate.capCost).toBe(120000);
+    });
+
+    test('cap premium is funded with equity', () => {
+      const fixed = projectDetailedCashFlows(BASE_MODEL);
+      const floating = projectDetailedCashFlows(model);
+
+      expect(floating.totals.equityInvested).toBe(fixed.totals.equityInvested + 120000);
+    });
+
+    test('monthly engine matches the annual engine', () => {
+      const annual = projectDetailedCashFlows(model);
+      const monthly = projectMonthlyCashFlows(model);
+
+      expect(monthly.years[1].debtService.totalDebtService)
+        .toBeCloseTo(annual.years[1].debtService.totalDebtService, -1);
+    });
+
+    test('year-one metrics use the forward curve', () => {
+      const result = calculateUnderwriting(model);
+      const expected = projectDetailedCashFlows(model).years[0].debtService.totalDebtService;
+
+      expect(result.debtMetrics.annualDebtService).toBeCloseTo(expected, 0);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * K-1 Tax Tests
+ *
+ * Tests input validation, waterfall and capital allocation of partnership
+ * items, K-1 line items, the tax basis capital account (including prior-year
+ * K-1s and transfers), state apportionment and reconciliation.
+ */
+
+import {
+  allocateByWeight,
+  validateTaxYearInputs,
+  apportionToStates,
+  buildK1Packages,
+  hashK1Data
+} from '../services/k1-tax.js';
+
+const LP_ACTORS = [
+  { id: 'lp-a', entityName: 'Alpha LP', email: 'alpha@example.com', ownershipPct: 60, status: 'ACTIVE' },
+  { id: 'lp-b', entityName: 'Beta LP', email: 'beta@example.com', ownershipPct: 40, status: 'ACTIVE' }
+];
+
+// 300k / 200k funded in 2024, 60k / 40k in 2025
+const CAPITAL_CALLS = [
+  {
+    status: 'FUNDED', dueDate: new Date('2024-03-01'), allocations: [
+      { lpActorId: 'lp-a', fundedAmount: 300000, fundedAt: new Date('2024-03-01') },
+      { lpActorId: 'lp-b', fundedAmount: 200000, fundedAt: new Date('2024-03-01') }
+    ]
+  },
+  {
+    status: 'FUNDED', dueDate: new Date('2025-06-01'), allocations: [
+      { lpActorId: 'lp-a', fundedAmount: 60000, fundedAt: new Date('2025-06-01') },
+      { lpActorId: 'lp-b', fundedAmount: 40000, fundedAt: new Date('2025-06-01') }
+    ]
+  }
+];
+
+// Waterfall paid 30k / 10k; the tax distribution is split evenly and does not
+// drive income allocation
+const DISTRIBUTIONS = [
+  {
+    type: 'CASH_DISTRIBUTION', status: 'PAID', distributionDate: new Date('2025-09-30'), allocations: [
+      { lpActorId: 'lp-a', grossAmount: 30000, netAmount: 30000, withholdingAmount: 0, status: 'PAID' },
+      { lpActorId: 'lp-b', grossAmount: 10000, netAmount: 9000, withholdingAmount: 1000, status: 'PAID' }
+    ]
+  },
+  {
+    type: 'TAX_DISTRIBUTION', status: 'PAID', distributionDate: new Date('2025-12-15'), allocations: [
+      { lpActorId: 'lp-a', grossAmount: 5000, netAmount: 5000, withholdingAmount: 0, status: 'PAID' },
+      { lpActorId: 'lp-b', grossAmount: 5000, netAmount: 5000, withholdingAmount: 0, status: 'PAID' }
+    ]
+  }
+];
+
+const INPUTS = {
+  ordinaryIncome: 10000,
+  rentalIncome: 120000,
+  depreciation: 45000,
+  interestIncome: 1234.57,
+  longTermCapitalGain: 50000,
+  unrecapturedSection1250Gain: 20000,
+  otherDeductions: 3000,
+  gpAllocationPct: 20,
+  liabilities: { nonrecourse: 1000000, qualifiedNonrecourse: 500000, recourse: 100000 }
+};
+
+function build(overrides = {}, records = {}) {
+  return buildK1Packages(
+    { year: 2025, inputs: INPUTS, stateApportionment: [{ state: 'TX', pct: 60 }, { state: 'CA', pct: 40 }], ...overrides },
+    { lpActors: LP_ACTORS, capitalCalls: CAPITAL_CALLS, distributions: DISTRIBUTIONS, ...records }
+  );
+}
+
+function packageFor(result, lpActorId) {
+  return result.packages.find(p => p.lpActorId === lpActorId);
+}
+
+describe('K-1 Tax Reporting', () => {
+  // ============================================================================
+  // VALIDATION AND HELPERS
+  // ============================================================================
+
+  test('validateTaxYearInputs checks amounts, GP allocation and state apportionment', () => {
+    expect(validateTaxYearInputs(INPUTS, [{ state: 'TX', pct: 60 }, { state: 'CA', pct: 40 }])).toEqual([]);
+    expect(validateTaxYearInputs(
+      { ordinaryIncome: '10k', depreciation: -5, longTermCapitalGain: 100, unrecapturedSection1250Gain: 200, gpAllocationPct: 120, liabilities: { recourse: -1 } },
+      [{ state: 'Texas', pct: 50 }, { state: 'CA', pct: 30 }, { state: 'CA', pct: 0 }]
+    )).toEqual([
+      'ordinaryIncome must be a number',
+      'depreciation must not be negative',
+      'unrecapturedSection1250Gain cannot exceed longTermCapitalGain',
+      'gpAllocationPct must be between 0 and 100',
+      'liabilities.recourse must be a non-negative number',
+      'Each state must be a two-letter code',
+      'State CA is listed more than once',
+      'Apportionment for CA must be between 0 and 100',
+      'State apportionment must total 100% (got 80%)'
+    ]);
+  });
+
+  test('allocateByWeight splits to the cent and keeps the total', () => {
+    const parts = allocateByWeight(100, new Map([['a', 1], ['b', 1], ['c', 1]]));
+    expect([...parts.values()]).toEqual([33.34, 33.33, 33.33]);
+    expect([...allocateByWeight(-100, new Map([['a', 1], ['b', 1], ['c', 1]])).values()]).toEqual([-33.34, -33.33, -33.33]);
+    expect([...allocateByWeight(50, new Map([['a', 0], ['b', 0]])).values()]).toEqual([0, 0]);
+    expect(apportionToStates(1000.01, [{ state: 'TX', pct: 50 }, { state: 'CA', pct: 50 }]))
+      .toEqual([{ state: 'TX', pct: 50, income: 500.01 }, { state: 'CA', pct: 50, income: 500 }]);
+  });
+
+  // ============================================================================
+  // ALLOCATION
+  // ============================================================================
+
+  test('income follows the waterfall after the GP share; deductions follow capital', () => {
+    const result = build();
+    expect(result.profitBasis).toBe('WATERFALL');
+    expect(result.gpShare).toMatchObject({ ordinaryIncome: 2000, rentalIncome: 24000, longTermCapitalGain: 10000, depreciation: 0 });
+
+    // 75% / 25% of the waterfall; 60% / 40% of capital (500k + 100k contributed)
+    const alpha = packageFor(result, 'lp-a');
+    expect(alpha.lines).toEqual({
+      ordinaryIncome: 6000,
+      netRentalIncome: 45000,
+      interestIncome: 740.75,
+      ordinaryDividends: 0,
+      shortTermCapitalGain: 0,
+      longTermCapitalGain: 30000,
+      unrecapturedSection1250Gain: 12000,
+      section1231Gain: 0,
+      otherDeductions: 1800,
+      distributions: 35000
+    });
+    expect(alpha.supplemental).toEqual({ depreciationAllocated: 27000, rentalIncomeBeforeDepreciation: 72000, federalWithholding: 0 });
+    expect(alpha.sharePct).toMatchObject({ profit: 60, loss: 60 });
+
+    const beta = packageFor(result, 'lp-b');
+    expect(beta.lines).toMatchObject({ ordinaryIncome: 2000, netRentalIncome: 6000, interestIncome: 246.91, otherDeductions: 1200, distributions: 15000 });
+    expect(beta.supplemental.federalWithholding).toBe(1000);
+    expect(beta.sharePct).toMatchObject({ profit: 20, loss: 40 });
+
+    expect(alpha.lineItems.find(i => i.line === '19')).toEqual({
+      line: '19', code: 'A', label: 'Distributions - cash and marketable securities', amount: 35000
+    });
+  });
+
+  test('income follows capital when nothing came out of the waterfall', () => {
+    const result = build({}, { distributions: [DISTRIBUTIONS[1]] });
+    expect(result.profitBasis).toBe('CAPITAL');
+    expect(packageFor(result, 'lp-a').lines.ordinaryIncome).toBe(4800);
+    expect(packageFor(result, 'lp-b').lines.ordinaryIncome).toBe(3200);
+  });
+
+  test('losses are not shared with the GP', () => {
+    const result = build({ inputs: { ordinaryIncome: -10000, gpAllocationPct: 20 } });
+    expect(result.gpShare.ordinaryIncome).toBe(0);
+    expect(packageFor(result, 'lp-a').lines.ordinaryIncome).toBe(-6000);
+    expect(packageFor(result, 'lp-b').lines.ordinaryIncome).toBe(-4000);
+  });
+
+  // ============================================================================
+  // PART II
+  // ============================================================================
+
+  test('capital account rolls from history and liabilities follow the profit share', () => {
+    const alpha = packageFor(build(), 'lp-a');
+    expect(alpha.capitalAccount).toEqual({
+      method: 'TAX_BASIS',
+      beginning: 300000,
+      beginningSource: 'HISTORY',
+      contributed: 60000,
+      currentYearIncome: 79940.75,
+      otherIncreaseDecrease: 0,
+      withdrawalsDistributions: 35000,
+      ending: 404940.75
+    });
+    // Limited partners take no recourse debt
+    expect(alpha.liabilities).toEqual({ nonrecourse: 600000, qualifiedNonrecourse: 300000, recourse: 0 });
+  });
+
+  test('prior-year K-1 endings and transfers carry into the capital account', () => {
+    const transfer = {
+      id: 'tr-1', status: 'COMPLETED', fromLpActorId: 'lp-a', toLpActorId: 'lp-c',
+      effectiveDate: new Date('2025-07-01'), contributedTransferred: 90000, distributionsTransferred: 0
+    };
+    const result = build({}, {
+      lpActors: [...LP_ACTORS, { id: 'lp-c', entityName: 'Gamma LP', email: 'gamma@example.com', ownershipPct: 0, status: 'ACTIVE' }],
+      transfers: [transfer, { id: 'tr-old', status: 'COMPLETED', fromLpActorId: 'lp-b', toLpActorId: 'lp-c', effectiveDate: new Date('2025-02-01') }],
+      priorPackages: [{ lpActorId: 'lp-a', data: { capitalAccount: { ending: 310000 } } }]
+    });
+
+    const alpha = packageFor(result, 'lp-a');
+    expect(alpha.capitalAccount).toMatchObject({ beginning: 310000, beginningSource: 'PRIOR_K1', otherIncreaseDecrease: -90000 });
+    const gamma = packageFor(result, 'lp-c');
+    expect(gamma.capitalAccount).toMatchObject({ beginning: 0, otherIncreaseDecrease: 90000 });
+    expect(result.warnings).toEqual(['Transfer tr-old has no conveyed capital recorded; capital accounts exclude it']);
+  });
+
+  // ============================================================================
+  // STATES AND RECONCILIATION
+  // ============================================================================
+
+  test('state apportionment, reconciliation and data hash', () => {
+    const result = build();
+    for (const pkg of result.packages) {
+      const stateTotal = pkg.stateAllocations.reduce((s, a) => s + a.income, 0);
+      expect(Math.round(stateTotal * 100) / 100).toBe(pkg.capitalAccount.currentYearIncome);
+    }
+    expect(packageFor(result, 'lp-a').stateAllocations).toEqual([
+      { state: 'TX', pct: 60, income: 47964.45 },
+      { state: 'CA', pct: 40, income: 31976.3 }
+    ]);
+
+    expect(result.reconciliation.balanced).toBe(true);
+    expect(result.reconciliation.items.find(i => i.item === 'interestIncome'))
+      .toEqual({ item: 'interestIncome', total: 1234.57, gpShare: 246.91, lpTotal: 987.66, difference: 0 });
+
+    expect(hashK1Data(packageFor(build(), 'lp-a'))).toBe(hashK1Data(packageFor(result, 'lp-a')));
+    expect(hashK1Data(packageFor(result, 'lp-a'))).not.toBe(hashK1Data(packageFor(result, 'lp-b')));
+  });
+});
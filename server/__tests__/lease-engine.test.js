@@ -0,0 +1,242 @@
+/**
+ * Lease Cash Flow Engine Tests
+ *
+ * Tests contractual bumps, rollover with renewal probability blending,
+ * recovery structures, the expiration schedule and rollover-risk report,
+ * and aggregation into the projectDetailedCashFlows shape.
+ */
+
+import {
+  resolveLeasingAssumptions,
+  validateLeaseTerms,
+  buildLeaseCashFlows,
+  calculateWALT,
+  projectLeaseByLeaseCashFlows
+} from '../services/lease-cash-flow-engine.js';
+
+// 10,000 SF at $30/SF, expiring well after the horizon
+const LONG_LEASE = {
+  unitNumber: '100',
+  tenant: 'Acme',
+  sqft: 10000,
+  currentRent: 25000,
+  marketRent: 25000,
+  leaseStart: '2025-07-01',
+  leaseEnd: '2040-06-30',
+  status: 'OCCUPIED'
+};
+
+const OPTIONS = {
+  startDate: '2026-01-01',
+  years: 5,
+  recoverableExpenses: 100000,
+  expenseGrowth: 0.02,
+  generalVacancyRate: 0
+};
+
+const withAssumptions = (overrides = {}) => ({ ...OPTIONS, assumptions: resolveLeasingAssumptions(overrides) });
+
+describe('Lease Cash Flow Engine', () => {
+  // ============================================================================
+  // ASSUMPTIONS
+  // ============================================================================
+
+  test('resolveLeasingAssumptions merges stored JSON over defaults', () => {
+    const resolved = resolveLeasingAssumptions(JSON.stringify({ renewalProbability: 0.5, unknown: 1, tiNewPSF: null }));
+
+    expect(resolved.renewalProbability).toBe(0.5);
+    expect(resolved.tiNewPSF).toBe(30);
+    expect(resolved).not.toHaveProperty('unknown');
+  });
+
+  test('validateLeaseTerms reports bad input', () => {
+    const errors = validateLeaseTerms({
+      recoveryType: 'MODIFIED',
+      renewalProbability: 1.5,
+      escalation: { type: 'CPI' },
+      downtimeMonths: -1
+    });
+
+    expect(errors).toHaveLength(4);
+    expect(validateLeaseTerms({ recoveryType: 'BASE_YEAR', escalation: { type: 'FIXED', amountPSF: 1 } })).toEqual([]);
+  });
+
+  // ============================================================================
+  // CONTRACT RENT
+  // ============================================================================
+
+  describe('contractual bumps', () => {
+    test('percent bumps land on lease anniversaries', () => {
+      const { annual } = buildLeaseCashFlows([LONG_LEASE], withAssumptions({ contractualBump: 0.03 }));
+
+      // Six months at $300k/yr, six months after the July bump
+      expect(annual[0].potentialBaseRent).toBeCloseTo(150000 + 150000 * 1.03, 2);
+      expect(annual[1].potentialBaseRent).toBeCloseTo(150000 * 1.03 + 150000 * 1.03 ** 2, 2);
+    });
+
+    test('fixed $/SF bumps from lease terms', () => {
+      const lease = { ...LONG_LEASE, leaseTerms: JSON.stringify({ escalation: { type: 'FIXED', amountPSF: 1 } }) };
+      const { annual } = buildLeaseCashFlows([lease], withAssumptions());
+
+      expect(annual[0].potentialBaseRent).toBeCloseTo(150000 + 31 * 10000 / 2, 2);
+    });
+  });
+
+  // ============================================================================
+  // ROLLOVER
+  // ============================================================================
+
+  describe('rollover', () => {
+    const EXPIRING = { ...LONG_LEASE, leaseEnd: '2026-06-30', leaseTerms: { escalation: { type: 'PERCENT', rate: 0 } } };
+
+    test('a certain renewal has no downtime and renewal TI and free rent', () => {
+      const { annual, expirationSchedule } = buildLeaseCashFlows(
+        [{ ...EXPIRING, leaseTerms: { ...EXPIRING.leaseTerms, renewalProbability: 1 } }],
+        withAssumptions({ marketRentGrowth: 0 })
+      );
+
+      expect(annual[0].turnoverVacancy).toBe(0);
+      expect(annual[0].tenantImprovements).toBe(10 * 10000);
+      expect(annual[0].freeRent).toBeCloseTo(25000, 2);
+      expect(expirationSchedule[0]).toMatchObject({ year: 1, renewalProbability: 1, downtimeMonths: 0 });
+    });
+
+    test('a tenant on notice leaves: full downtime at market rent and new-lease costs', () => {
+      const { annual, expirationSchedule } = buildLeaseCashFlows(
+        [{ ...EXPIRING, status: 'NOTICE', marketRent: 30000 }],
+        withAssumptions({ marketRentGrowth: 0, downtimeMonths: 6, freeRentNewMonths: 4, lcNewPct: 0.05 })
+      );
+
+      // Downtime July-December at $36/SF
+      expect(annual[0].turnoverVacancy).toBeCloseTo(6 * 30000, 2);
+      expect(annual[0].potentialBaseRent).toBeCloseTo(6 * 25000 + 6 * 30000, 2);
+      // New lease commences January of year 2 with 4 months free
+      expect(annual[1].freeRent).toBeCloseTo(4 * 30000, 2);
+      expect(annual[1].tenantImprovements).toBe(30 * 10000);
+      expect(expirationSchedule[0]).toMatchObject({ renewalProbability: 0, downtimeMonths: 6, markToMarket: 0.2 });
+      expect(expirationSchedule[0].leasingCommissions).toBeGreaterThan(0.05 * 60 * 30000);
+    });
+
+    test('renewal probability blends downtime and leasing costs', () => {
+      const { expirationSchedule } = buildLeaseCashFlows(
+        [EXPIRING],
+        withAssumptions({ renewalProbability: 0.5, downtimeMonths: 6, tiNewPSF: 30, tiRenewalPSF: 10 })
+      );
+
+      expect(expirationSchedule[0].downtimeMonths).toBe(3);
+      expect(expirationSchedule[0].tenantImprovements).toBe(20 * 10000);
+    });
+
+    test('vacant units absorb before the first speculative lease', () => {
+      const { annual, expirationSchedule } = buildLeaseCashFlows(
+        [{ unitNumber: '200', sqft: 5000, marketRent: 10000, status: 'VACANT' }],
+        withAssumptions({ downtimeMonths: 9, newLeaseTermMonths: 24 })
+      );
+
+      expect(annual[0].turnoverVacancy).toBeCloseTo(9 * 10000, 2);
+      expect(annual[0].occupancy).toBeCloseTo(3 / 12, 10);
+      expect(expirationSchedule[0]).toMatchObject({ unitNumber: '200', speculative: true, year: 3 });
+    });
+
+    test('month-to-month leases roll in month one with a warning', () => {
+      const { expirationSchedule, warnings } = buildLeaseCashFlows(
+        [{ ...LONG_LEASE, status: 'MTM' }],
+        withAssumptions()
+      );
+
+      expect(expirationSchedule[0]).toMatchObject({ leaseEnd: '2026-01-31', year: 1 });
+      expect(warnings[0]).toMatch(/month-to-month/);
+    });
+  });
+
+  // ============================================================================
+  // RECOVERIES
+  // ============================================================================
+
+  describe('recoveries', () => {
+    const expensesPSF = (year) => 10 * 1.02 ** year;
+
+    test('NNN recovers the pro-rata share of all expenses', () => {
+      const { annual } = buildLeaseCashFlows([LONG_LEASE], { ...withAssumptions(), buildingSF: 20000, recoverableExpenses: 200000 });
+
+      expect(annual[0].expenseRecoveries).toBeCloseTo(100000, 2);
+      expect(annual[1].expenseRecoveries).toBeCloseTo(102000, 2);
+    });
+
+    test('base year recovers increases over the lease start year', () => {
+      const lease = { ...LONG_LEASE, leaseStart: '2026-03-01', leaseTerms: { recoveryType: 'BASE_YEAR' } };
+      const { annual } = buildLeaseCashFlows([lease], withAssumptions());
+
+      expect(annual[0].expenseRecoveries).toBeCloseTo(0, 2);
+      expect(annual[2].expenseRecoveries).toBeCloseTo((expensesPSF(2) - expensesPSF(0)) * 10000, 2);
+    });
+
+    test('expense stop recovers expenses above the stop', () => {
+      const lease = { ...LONG_LEASE, leaseTerms: { recoveryType: 'EXPENSE_STOP', expenseStopPSF: 9 } };
+      const { annual } = buildLeaseCashFlows([lease], withAssumptions());
+
+      expect(annual[0].expenseRecoveries).toBeCloseTo(10000, 2);
+      expect(annual[1].expenseRecoveries).toBeCloseTo((expensesPSF(1) - 9) * 10000, 2);
+    });
+
+    test('gross leases recover nothing', () => {
+      const { annual } = buildLeaseCashFlows([LONG_LEASE], withAssumptions({ recoveryType: 'GROSS' }));
+
+      expect(annual.every(line => line.expenseRecoveries === 0)).toBe(true);
+    });
+  });
+
+  // ============================================================================
+  // REPORTS AND PROJECTION
+  // ============================================================================
+
+  test('rollover risk flags years with large expirations', () => {
+    const units = [
+      { ...LONG_LEASE, leaseEnd: '2027-03-31' },
+      { unitNumber: '200', tenant: 'Beta', sqft: 1000, currentRent: 2500, marketRent: 2500, leaseEnd: '2029-03-31' }
+    ];
+    const { rolloverRisk } = buildLeaseCashFlows(units, withAssumptions());
+
+    expect(rolloverRisk).toHaveLength(5);
+    expect(rolloverRisk[1]).toMatchObject({ year: 2, tenants: ['Acme'], expiringSF: 10000, risk: 'HIGH' });
+    expect(rolloverRisk[3]).toMatchObject({ year: 4, expiringSF: 1000, risk: 'LOW' });
+    expect(rolloverRisk[3].cumulativePctOfBuildingSF).toBe(1);
+  });
+
+  test('calculateWALT weights remaining term by SF and rent', () => {
+    const walt = calculateWALT([
+      { ...LONG_LEASE, leaseEnd: '2028-01-01' },
+      { unitNumber: '200', sqft: 10000, currentRent: 5000, leaseEnd: '2030-01-01' },
+      { unitNumber: '300', sqft: 5000, status: 'VACANT' }
+    ], '2026-01-01');
+
+    expect(walt.bySF).toBeCloseTo(3, 1);
+    expect(walt.byRent).toBeCloseTo(2.33, 1);
+  });
+
+  test('projectLeaseByLeaseCashFlows returns the detailed projection shape', () => {
+    const model = {
+      purchasePrice: 4000000,
+      operatingExpenses: 100000,
+      loanAmount: 2400000,
+      interestRate: 0.06,
+      exitCapRate: 0.07,
+      holdPeriod: 5,
+      vacancyRate: 0,
+      monthlyAssumptions: JSON.stringify({ analysisStartDate: '2026-01-01' })
+    };
+    const result = projectLeaseByLeaseCashFlows(model, [{ ...LONG_LEASE, leaseEnd: '2027-12-31' }]);
+    const [year1, year2] = result.years;
+
+    expect(result.years).toHaveLength(5);
+    expect(year1.revenue.effectiveGrossIncome).toBeCloseTo(year1.revenue.grossPotentialRent + year1.revenue.expenseRecoveries, -1);
+    expect(year2.leasingCosts.total).toBe(0);
+    expect(result.years[2].leasingCosts.total).toBeGreaterThan(0);
+    expect(result.years[2].beforeTaxCashFlow).toBeCloseTo(
+      result.years[2].noi - result.years[2].leasingCosts.total - result.years[2].debtService.totalDebtService, -1
+    );
+    expect(result.leaseExpirationSchedule[0].leaseEnd).toBe('2027-12-31');
+    expect(result.rolloverRisk[1].risk).toBe('HIGH');
+    expect(result.exit.exitNOI).toBeGreaterThan(0);
+  });
+});
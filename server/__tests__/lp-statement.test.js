@@ -11,8 +11,12 @@ import {
   requireLPDealAccess,
   calculateCapitalCallSummary,
   calculateDistributionSummary,
-  calculatePerformance
+  calculateFeeSummary,
+  calculatePerformance,
+  buildInvestorLedger,
+  calculateLedgerMetrics
 } from "../services/lp-statement-service.js";
+import { calculateXIRR } from "../services/underwriting-calculator.js";
 
 describe("LP Statement Service", () => {
   let prisma;
@@ -186,6 +190,24 @@ describe("LP Statement Service", () => {
     });
   });
 
+  describe("calculateFeeSummary", () => {
+    it("should total fee lines and skip voided invoices", () => {
+      const lines = [
+        { managementFee: 5000, offsetAmount: 1000, expenseShare: 500, totalDue: 4500, settledAmount: 4500, invoice: { status: "SETTLED" } },
+        { managementFee: 5000, offsetAmount: 0, expenseShare: 0, totalDue: 5000, settledAmount: 0, invoice: { status: "ACCRUED" } },
+        { managementFee: 9999, totalDue: 9999, invoice: { status: "VOID" } }
+      ];
+
+      const summary = calculateFeeSummary(lines);
+
+      expect(summary.totalManagementFees).toBe(10000);
+      expect(summary.totalOffsets).toBe(1000);
+      expect(summary.totalDue).toBe(9500);
+      expect(summary.outstanding).toBe(5000);
+      expect(summary.quarterCount).toBe(2);
+    });
+  });
+
   describe("calculatePerformance", () => {
     it("should calculate performance metrics", () => {
       const lpActor = { id: "test", commitment: 100000 };
@@ -224,6 +246,131 @@ describe("LP Statement Service", () => {
     });
   });
 
+  describe("buildInvestorLedger / calculateLedgerMetrics", () => {
+    const calls = [
+      {
+        id: "cca-1",
+        amount: 100000,
+        fundedAmount: 100000,
+        status: "FUNDED",
+        fundedAt: new Date("2024-01-15"),
+        capitalCall: { id: "cc-1", title: "Initial", dueDate: new Date("2024-01-10"), createdAt: new Date("2023-12-20") }
+      },
+      {
+        id: "cca-2",
+        amount: 50000,
+        fundedAmount: 50000,
+        status: "FUNDED",
+        fundedAt: null,
+        capitalCall: { id: "cc-2", title: "Capex", dueDate: new Date("2024-07-01"), createdAt: new Date("2024-06-01") }
+      },
+      {
+        id: "cca-3",
+        amount: 25000,
+        fundedAmount: 0,
+        status: "PENDING",
+        fundedAt: null,
+        capitalCall: { id: "cc-3", title: "Pending", dueDate: new Date("2025-03-01"), createdAt: new Date("2025-02-01") }
+      }
+    ];
+
+    const distributions = [
+      {
+        id: "da-1",
+        grossAmount: 20000,
+        netAmount: 20000,
+        status: "PAID",
+        paidAt: new Date("2025-01-20"),
+        distribution: { id: "d-1", title: "Q4 2024", distributionDate: new Date("2025-01-15"), createdAt: new Date("2025-01-05") }
+      },
+      {
+        id: "da-2",
+        grossAmount: 30000,
+        netAmount: 30000,
+        status: "PENDING",
+        paidAt: null,
+        distribution: { id: "d-2", title: "Q1 2025", distributionDate: new Date("2025-04-15"), createdAt: new Date("2025-04-01") }
+      }
+    ];
+
+    it("should include only funded calls and paid distributions, in date order", () => {
+      const ledger = buildInvestorLedger(calls, distributions);
+
+      expect(ledger.map(e => e.id)).toEqual(["cca-1", "cca-2", "da-1"]);
+      expect(ledger[0].date.toISOString().slice(0, 10)).toBe("2024-01-15");
+      expect(ledger[1].date.toISOString().slice(0, 10)).toBe("2024-07-01"); // falls back to due date
+      expect(ledger[0].amount).toBe(-100000);
+      expect(ledger[2].amount).toBe(20000);
+    });
+
+    it("should exclude activity after asOfDate", () => {
+      const ledger = buildInvestorLedger(calls, distributions, { asOfDate: "2024-12-31" });
+      expect(ledger.map(e => e.id)).toEqual(["cca-1", "cca-2"]);
+    });
+
+    it("should add priced transfers as purchase and sale flows", () => {
+      const transfer = {
+        id: "tr-1",
+        status: "COMPLETED",
+        fromLpActorId: "lp-seller",
+        toLpActorId: "lp-buyer",
+        effectiveDate: new Date("2025-03-01"),
+        price: 80000
+      };
+
+      const buyer = buildInvestorLedger([], [], { lpActorId: "lp-buyer", transfers: [transfer] });
+      expect(buyer.map(e => [e.type, e.amount])).toEqual([["TRANSFER_PURCHASE", -80000]]);
+
+      const seller = buildInvestorLedger(calls, distributions, { lpActorId: "lp-seller", transfers: [transfer] });
+      expect(seller.map(e => e.type)).toEqual(["CONTRIBUTION", "CONTRIBUTION", "DISTRIBUTION", "TRANSFER_SALE"]);
+      expect(seller[3].amount).toBe(80000);
+    });
+
+    it("should compute DPI, TVPI and RVPI from the ledger", () => {
+      const ledger = buildInvestorLedger(calls, distributions);
+      const realized = calculateLedgerMetrics(ledger, { asOfDate: "2025-06-30" });
+      const marked = calculateLedgerMetrics(ledger, { asOfDate: "2025-06-30", residualValue: 160000 });
+
+      expect(realized.paidIn).toBe(150000);
+      expect(realized.distributed).toBe(20000);
+      expect(realized.dpi).toBeCloseTo(0.1333, 4);
+      expect(realized.rvpi).toBeNull();
+      expect(realized.tvpi).toBeCloseTo(realized.dpi, 10);
+
+      expect(marked.rvpi).toBeCloseTo(1.0667, 4);
+      expect(marked.tvpi).toBeCloseTo(1.2, 10);
+      expect(marked.irr).toBeGreaterThan(0);
+    });
+
+    it("should use actual dates for since-inception IRR", () => {
+      const ledger = buildInvestorLedger(calls, distributions);
+      const metrics = calculateLedgerMetrics(ledger, { asOfDate: "2025-06-30", residualValue: 160000 });
+
+      const expected = calculateXIRR([
+        { date: "2024-01-15", amount: -100000 },
+        { date: "2024-07-01", amount: -50000 },
+        { date: "2025-01-20", amount: 20000 },
+        { date: "2025-06-30", amount: 160000 }
+      ]);
+      expect(metrics.irr).toBeCloseTo(expected, 8);
+    });
+
+    it("should add since-inception returns to calculatePerformance when given a ledger", () => {
+      const ledger = buildInvestorLedger(calls, distributions);
+      const perf = calculatePerformance(
+        { id: "lp-1", commitment: 200000 },
+        { totalFunded: 150000, totalPending: 25000 },
+        { totalPaid: 20000, totalNet: 50000 },
+        ledger,
+        { asOfDate: "2025-06-30", residualValue: 160000 }
+      );
+
+      expect(perf.unrealizedValue).toBe(160000);
+      expect(perf.sinceInception.tvpi).toBeCloseTo(1.2, 10);
+      expect(perf.sinceInception.firstContributionDate).toBe("2024-01-15T00:00:00.000Z");
+    });
+  });
+
   describe("buildLPStatement", () => {
     it("should build complete statement structure", async () => {
       const statement = await buildLPStatement(testDealId, testLpActor.id);
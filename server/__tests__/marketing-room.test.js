@@ -0,0 +1,216 @@
+/**
+ * Marketing Room Tests
+ *
+ * Tests room validation and lifecycle, soft-circle rules, the commitment
+ * tracker and conversion funnel, the prospect-safe room view and
+ * per-viewer watermarks.
+ */
+
+import {
+  validateRoom,
+  validateStatusChange,
+  validateAccessRequest,
+  validateIndication,
+  suggestOwnershipPct,
+  buildCommitmentTracker,
+  buildConversionFunnel,
+  buildProspectRoomView,
+  buildWatermark,
+  buildWatermarkedDocumentHtml,
+  escapeHtml
+} from '../services/marketing-room.js';
+
+const ROOM = {
+  id: 'room-1',
+  dealId: 'deal-1',
+  status: 'OPEN',
+  isGated: true,
+  offeringName: 'Riverside Apartments',
+  strategy: 'Value-add multifamily',
+  minCommitment: 100000,
+  targetCommitment: 5000000,
+  targetReturnIRR: '15-18%',
+  targetMultiple: '1.9x',
+  thesis: JSON.stringify(['Below-replacement basis', 'Submarket rent growth']),
+  keyRisks: JSON.stringify([{ risk: 'Lease-up pace', severity: 'HIGH' }]),
+  documentIds: JSON.stringify(['doc-1']),
+  createdBy: 'gp-1',
+  createdByName: 'GP User'
+};
+
+describe('Marketing Room', () => {
+  // ============================================================================
+  // ROOM VALIDATION AND LIFECYCLE
+  // ============================================================================
+
+  test('validateRoom checks amounts, thesis, risks and documents', () => {
+    expect(validateRoom({ minCommitment: 50000, thesis: ['Strong basis'], documentIds: ['doc-1'] })).toEqual([]);
+    expect(validateRoom({
+      minCommitment: -1,
+      thesis: 'one long paragraph',
+      keyRisks: [{ risk: 'Rates', severity: 'SEVERE' }],
+      documentIds: [42],
+      targetCloseDate: 'soon'
+    })).toEqual([
+      'minCommitment must be a positive number',
+      'thesis must be an array of bullet points',
+      'keyRisks must be an array of { risk, severity } with severity LOW, MEDIUM, HIGH',
+      'documentIds must be an array of document IDs',
+      'targetCloseDate must be a valid date'
+    ]);
+  });
+
+  test('validateRoom compares minimum against the stored target on edit', () => {
+    expect(validateRoom({ minCommitment: 6000000 }, { existing: ROOM }))
+      .toEqual(['minCommitment cannot exceed targetCommitment']);
+    expect(validateRoom({ minCommitment: 6000000, targetCommitment: 10000000 }, { existing: ROOM })).toEqual([]);
+  });
+
+  test('opening requires an offering name, target and thesis', () => {
+    const draft = { status: 'DRAFT', offeringName: null, targetCommitment: null, thesis: null };
+
+    expect(validateStatusChange(draft, 'OPEN')).toEqual([
+      'offeringName is required to open the room',
+      'targetCommitment is required to open the room',
+      'thesis is required to open the room'
+    ]);
+    expect(validateStatusChange({ ...ROOM, status: 'DRAFT' }, 'OPEN')).toEqual([]);
+    expect(validateStatusChange(ROOM, 'CLOSED')).toEqual([]);
+    expect(validateStatusChange(draft, 'CLOSED')).toEqual(['Cannot move marketing room from DRAFT to CLOSED']);
+    expect(validateStatusChange(ROOM, 'ARCHIVED')).toEqual(['status must be one of DRAFT, OPEN, CLOSED']);
+  });
+
+  // ============================================================================
+  // SOFT CIRCLES
+  // ============================================================================
+
+  test('indications must meet the minimum while the room is open', () => {
+    expect(validateIndication(ROOM, { indicatedAmount: 250000 })).toEqual([]);
+    expect(validateIndication(ROOM, { indicatedAmount: 50000 }))
+      .toEqual(['indicatedAmount must be at least the minimum commitment of 100000']);
+    expect(validateIndication({ ...ROOM, status: 'CLOSED' }, { indicatedAmount: 'lots' })).toEqual([
+      'The offering is not accepting indications',
+      'indicatedAmount must be a positive number'
+    ]);
+    expect(validateIndication(ROOM, { indicatedAmount: 250000 }, { status: 'CONVERTED' }))
+      .toEqual(['This indication has already been converted to an invitation']);
+  });
+
+  test('access requests cap and sanitize the free-text fields', () => {
+    expect(validateAccessRequest({ name: 'Ann Lee', company: 'Lee Family Office' })).toEqual([]);
+    expect(validateAccessRequest({})).toEqual([]);
+    expect(validateAccessRequest({ name: 'a'.repeat(121), company: 42 })).toEqual([
+      'name must be at most 120 characters',
+      'company must be a string'
+    ]);
+    expect(validateAccessRequest({ name: 'Ann <img src=x onerror=alert(1)>' }))
+      .toEqual(['name contains characters that are not allowed']);
+    expect(escapeHtml(`<b>"Ann" & 'Co'</b>`)).toBe('&lt;b&gt;&quot;Ann&quot; &amp; &#39;Co&#39;&lt;/b&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+
+  test('suggested ownership is the share of the raise target', () => {
+    expect(suggestOwnershipPct(250000, ROOM)).toBe(5);
+    expect(suggestOwnershipPct(1000000, { targetCommitment: 3000000 })).toBe(33.3333);
+    expect(suggestOwnershipPct(9000000, ROOM)).toBe(100);
+    expect(suggestOwnershipPct(250000, { targetCommitment: null })).toBeNull();
+  });
+
+  // ============================================================================
+  // TRACKER AND FUNNEL
+  // ============================================================================
+
+  const ACCESS = [
+    { id: 'a-1', email: 'ann@example.com', status: 'APPROVED', viewCount: 4 },
+    { id: 'a-2', email: 'bob@example.com', status: 'APPROVED', viewCount: 1 },
+    { id: 'a-3', email: 'cat@example.com', status: 'APPROVED', viewCount: 2 },
+    { id: 'a-5', email: 'eve@example.com', status: 'APPROVED', viewCount: 0 },
+    { id: 'a-4', email: 'dan@example.com', status: 'PENDING', viewCount: 0 }
+  ];
+  const INTERESTS = [
+    { id: 'i-1', email: 'ann@example.com', indicatedAmount: 1000000, status: 'CONVERTED', invitationId: 'inv-1' },
+    { id: 'i-2', email: 'bob@example.com', indicatedAmount: 500000, status: 'CONVERTED', invitationId: 'inv-2' },
+    { id: 'i-3', email: 'cat@example.com', indicatedAmount: 250000, status: 'INDICATED' },
+    { id: 'i-4', email: 'eve@example.com', indicatedAmount: 750000, status: 'WITHDRAWN' }
+  ];
+  const INVITATIONS = [
+    { id: 'inv-1', status: 'ACCEPTED', commitment: 1000000 },
+    { id: 'inv-2', status: 'PENDING', commitment: 400000 }
+  ];
+
+  test('commitment tracker separates soft-circled, invited and committed', () => {
+    expect(buildCommitmentTracker(ROOM, INTERESTS, INVITATIONS)).toEqual({
+      targetCommitment: 5000000,
+      minCommitment: 100000,
+      softCircled: 1750000,
+      invited: 400000,
+      committed: 1000000,
+      softCircledPct: 35,
+      committedPct: 20,
+      remaining: 4000000,
+      indicationCount: 3,
+      averageIndication: 583333.33
+    });
+  });
+
+  test('conversion funnel counts prospects reaching each stage', () => {
+    const funnel = buildConversionFunnel(ACCESS, INTERESTS, INVITATIONS);
+
+    expect(funnel.map(stage => [stage.key, stage.count, stage.rate])).toEqual([
+      ['requested', 5, null],
+      ['approved', 4, 0.8],
+      ['viewed', 3, 0.75],
+      ['indicated', 3, 1],
+      ['converted', 2, 0.667],
+      ['committed', 1, 0.5]
+    ]);
+    expect(buildConversionFunnel([], [], []).every(stage => stage.count === 0 && stage.rate === null)).toBe(true);
+  });
+
+  // ============================================================================
+  // PROSPECT VIEW
+  // ============================================================================
+
+  test('prospect view exposes offering content but not internal fields', () => {
+    const view = buildProspectRoomView(
+      ROOM,
+      [{ id: 'doc-1', filename: 'Offering Memorandum.pdf', documentType: 'OM', mimeType: 'application/pdf', sizeBytes: 1024, storageKey: 'deals/deal-1/om.pdf' }],
+      { indicatedAmount: 250000, status: 'INDICATED', shareClassId: null, notes: null, indicatedAt: '2026-06-01T00:00:00.000Z', invitationId: null }
+    );
+
+    expect(view.thesis).toEqual(['Below-replacement basis', 'Submarket rent growth']);
+    expect(view.keyRisks).toEqual([{ risk: 'Lease-up pace', severity: 'HIGH' }]);
+    expect(view.documents[0]).not.toHaveProperty('storageKey');
+    expect(view.myIndication.indicatedAmount).toBe(250000);
+    expect(view).not.toHaveProperty('createdBy');
+    expect(view).not.toHaveProperty('documentIds');
+  });
+
+  test('watermark identifies the viewer and carries the fingerprint', () => {
+    const access = { id: 'a-1', email: 'ann@example.com', name: 'Ann Lee', company: 'Lee Family Office' };
+
+    expect(buildWatermark(access, 'A1B2C3D4E5F6', new Date('2026-06-02T15:00:00Z'))).toEqual({
+      text: 'CONFIDENTIAL - Prepared for Ann Lee, Lee Family Office <ann@example.com> - 2026-06-02 - A1B2C3D4E5F6',
+      fingerprint: 'A1B2C3D4E5F6'
+    });
+    expect(buildWatermark({ email: 'x@example.com' }, 'FP', new Date('2026-06-02T15:00:00Z')).text)
+      .toBe('CONFIDENTIAL - Prepared for x@example.com <x@example.com> - 2026-06-02 - FP');
+  });
+
+  test('watermarked copy stamps every page and escapes the viewer text', () => {
+    const watermark = buildWatermark({ email: 'x@example.com', name: '<Ann & Co>' }, 'A1B2C3D4E5F6', new Date('2026-06-02T15:00:00Z'));
+    const pages = [
+      { pageNumber: 1, mimeType: 'image/png', data: Buffer.from('page-one') },
+      { pageNumber: 2, mimeType: 'image/png', data: Buffer.from('page-two') }
+    ];
+
+    const html = buildWatermarkedDocumentHtml(pages, watermark, 'OM "final".pdf');
+
+    expect(html.match(/class="wm-page"/g)).toHaveLength(2);
+    expect(html.match(/class="wm-stamp">[^<]*A1B2C3D4E5F6</g)).toHaveLength(2);
+    expect(html).toContain(`data:image/png;base64,${Buffer.from('page-two').toString('base64')}`);
+    expect(html).toContain('Prepared for &lt;Ann &amp; Co&gt;');
+    expect(html).not.toContain('<Ann & Co>');
+    expect(html).toContain('<title>OM &quot;final&quot;.pdf</title>');
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Monte Carlo Simulator Tests
+ *
+ * Tests the seedable RNG, distribution sampling and correlation, percentile
+ * bands, hurdle and DSCR covenant breach probabilities, and tornado swings.
+ */
+
+import {
+  createRng,
+  resolveDistributions,
+  validateSimulationOptions,
+  buildCholesky,
+  generateDraws,
+  percentileBands,
+  runMonteCarlo,
+  calculateTornado
+} from '../services/monte-carlo-simulator.js';
+import { projectDetailedCashFlows } from '../services/underwriting-calculator.js';
+
+const MODEL = {
+  purchasePrice: 10000000,
+  grossPotentialRent: 1200000,
+  vacancyRate: 0.05,
+  otherIncome: 50000,
+  operatingExpenses: 450000,
+  loanAmount: 6000000,
+  interestRate: 0.065,
+  exitCapRate: 0.06,
+  holdPeriod: 5,
+  rentGrowth: 0.03,
+  expenseGrowth: 0.02
+};
+
+const FIXED = Object.fromEntries(
+  ['rentGrowth', 'vacancyRate', 'exitCapRate', 'expenseGrowth', 'interestRate'].map(v => [v, { type: 'fixed' }])
+);
+
+function correlation(xs, ys) {
+  const mean = (a) => a.reduce((s, v) => s + v, 0) / a.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    cov += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return cov / Math.sqrt(vx * vy);
+}
+
+describe('Monte Carlo Simulator', () => {
+  // ============================================================================
+  // RNG AND DISTRIBUTIONS
+  // ============================================================================
+
+  test('createRng is reproducible for a seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const c = createRng('deal-123');
+
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect(c()).not.toBe(first[0]);
+    expect(first.every(v => v >= 0 && v < 1)).toBe(true);
+  });
+
+  test('resolveDistributions centres defaults on the base model', () => {
+    const dists = resolveDistributions(MODEL, { exitCapRate: { type: 'triangular', min: 0.055, max: 0.07 } });
+
+    expect(dists.rentGrowth).toMatchObject({ type: 'normal', mean: 0.03, stdDev: 0.01 });
+    expect(dists.vacancyRate.min).toBe(0);
+    expect(dists.exitCapRate).toEqual({ type: 'triangular', min: 0.055, mode: 0.06, max: 0.07 });
+  });
+
+  test('validateSimulationOptions reports bad input', () => {
+    const errors = validateSimulationOptions({
+      iterations: 5,
+      distributions: { capRate: { type: 'normal' }, vacancyRate: { type: 'uniform', min: 0.1, max: 0.05 } },
+      correlations: [{ a: 'rentGrowth', b: 'rentGrowth', rho: 0.5 }]
+    });
+
+    expect(errors).toHaveLength(4);
+  });
+
+  test('buildCholesky rejects impossible correlations', () => {
+    expect(() => buildCholesky(['a', 'b', 'c'], [
+      { a: 'a', b: 'b', rho: 0.9 },
+      { a: 'b', b: 'c', rho: 0.9 },
+      { a: 'a', b: 'c', rho: -0.9 }
+    ])).toThrow(/positive definite/);
+  });
+
+  test('generateDraws honours correlations across distribution types', () => {
+    const distributions = resolveDistributions(MODEL, {
+      exitCapRate: { type: 'triangular', min: 0.05, max: 0.07 },
+      vacancyRate: { type: 'uniform', min: 0.03, max: 0.08 }
+    });
+    const draws = generateDraws(distributions, [
+      { a: 'rentGrowth', b: 'exitCapRate', rho: -0.8 },
+      { a: 'vacancyRate', b: 'interestRate', rho: 0.6 }
+    ], 4000, createRng(11));
+
+    expect(correlation(draws.map(d => d.rentGrowth), draws.map(d => d.exitCapRate))).toBeCloseTo(-0.8, 1);
+    expect(correlation(draws.map(d => d.vacancyRate), draws.map(d => d.interestRate))).toBeCloseTo(0.6, 1);
+    expect(Math.abs(correlation(draws.map(d => d.rentGrowth), draws.map(d => d.expenseGrowth)))).toBeLessThan(0.05);
+    expect(draws.every(d => d.exitCapRate >= 0.05 && d.exitCapRate <= 0.07)).toBe(true);
+  });
+
+  test('percentileBands interpolates', () => {
+    const bands = percentileBands([1, 2, 3, 4, 5, null]);
+
+    expect(bands.p50).toBe(3);
+    expect(bands.p25).toBe(2);
+    expect(bands.p10).toBeCloseTo(1.4, 10);
+    expect(bands.mean).toBe(3);
+  });
+
+  // ============================================================================
+  // SIMULATION
+  // ============================================================================
+
+  describe('runMonteCarlo', () => {
+    test('same seed gives the same result', () => {
+      const a = runMonteCarlo(MODEL, { iterations: 50, seed: 7 });
+      const b = runMonteCarlo(MODEL, { iterations: 50, seed: 7 });
+
+      expect(a.metrics.irr).toEqual(b.metrics.irr);
+      expect(a.seed).toBe(7);
+    });
+
+    test('fixed inputs collapse the bands to the deterministic result', () => {
+      const result = runMonteCarlo(MODEL, { iterations: 20, seed: 1, distributions: FIXED });
+      const base = projectDetailedCashFlows(MODEL).totals;
+
+      expect(result.metrics.irr.p5).toBe(base.irr);
+      expect(result.metrics.irr.p95).toBe(base.irr);
+      expect(result.tornado).toEqual([]);
+    });
+
+    test('reports the correlations it applied', () => {
+      const result = runMonteCarlo(MODEL, {
+        iterations: 10,
+        seed: 3,
+        correlations: [{ a: 'rentGrowth', b: 'exitCapRate', rho: -0.8 }]
+      });
+
+      expect(result.correlations).toHaveLength(1);
+      expect(result.completed).toBe(10);
+    });
+
+    test('reports hurdle and covenant breach probabilities', () => {
+      const result = runMonteCarlo(MODEL, {
+        iterations: 300,
+        seed: 99,
+        hurdles: [0.08, 0.5],
+        dscrCovenants: [1.25, 5]
+      });
+
+      expect(result.hurdles[0].probabilityBelow).toBeLessThan(0.1);
+      expect(result.hurdles[1].probabilityBelow).toBe(1);
+      expect(result.covenants[1].probabilityBreach).toBe(1);
+      expect(result.yearly).toHaveLength(5);
+      expect(result.yearly[0].dscr.p50).toBeGreaterThan(1);
+    });
+
+    test('throws on invalid options', () => {
+      expect(() => runMonteCarlo(MODEL, { iterations: 1 })).toThrow(/iterations/);
+    });
+  });
+
+  test('calculateTornado ranks inputs by IRR swing', () => {
+    const tornado = calculateTornado(MODEL, resolveDistributions(MODEL, {
+      expenseGrowth: { type: 'fixed' },
+      interestRate: { type: 'normal', stdDev: 0.0001 }
+    }));
+
+    expect(tornado.map(t => t.variable)).not.toContain('expenseGrowth');
+    expect(tornado[0].swing).toBeGreaterThanOrEqual(tornado[tornado.length - 1].swing);
+    expect(tornado[tornado.length - 1].variable).toBe('interestRate');
+    expect(tornado.reduce((s, t) => s + t.contribution, 0)).toBeCloseTo(1, 10);
+    // Higher exit cap means lower IRR
+    const exitCap = tornado.find(t => t.variable === 'exitCapRate');
+    expect(exitCap.highIRR).toBeLessThan(exitCap.lowIRR);
+  });
+});
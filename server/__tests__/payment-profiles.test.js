@@ -0,0 +1,191 @@
+/**
+ * LP Payment Profile Tests
+ *
+ * Tests envelope encryption of bank and tax identifiers, payment detail
+ * validation, masked views, change verification rules and the
+ * distribution cooling-off hold.
+ */
+
+import crypto from 'node:crypto';
+import { createStaticKeyProvider, encryptFields, decryptFields } from '../services/payment-vault.js';
+import {
+  isValidRoutingNumber,
+  validatePaymentDetails,
+  splitPaymentDetails,
+  buildMaskedProfile,
+  validateVerification,
+  replacesExistingDetails,
+  findPaymentHolds,
+  parseCoolingOffDays
+} from '../services/payment-profiles.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-05-20T12:00:00Z');
+
+const provider = createStaticKeyProvider(crypto.randomBytes(32));
+
+const PROFILE = {
+  id: 'profile-1',
+  lpActorId: 'lp-1',
+  bankName: 'First National',
+  accountName: 'Acme Family Trust',
+  accountType: 'CHECKING',
+  accountNumberLast4: '6789',
+  routingNumberLast4: '0021',
+  taxIdType: 'EIN',
+  taxIdLast4: '4321',
+  encryptedData: '{"iv":"x","tag":"y","ciphertext":"z"}',
+  encryptedDek: '{"iv":"x","tag":"y","ciphertext":"z"}',
+  kekId: provider.kekId,
+  detailsChangedAt: null,
+  mailingAddress: null
+};
+
+const PENDING_CHANGE = {
+  id: 'change-1',
+  lpActorId: 'lp-1',
+  status: 'PENDING_VERIFICATION',
+  accountNumberLast4: '1111',
+  routingNumberLast4: '0021',
+  requestedBy: 'lp-user-1'
+};
+
+describe('LP Payment Profiles', () => {
+  // ============================================================================
+  // ENVELOPE ENCRYPTION
+  // ============================================================================
+
+  describe('payment vault', () => {
+    test('round-trips fields without storing them in clear', () => {
+      const sealed = encryptFields({ accountNumber: '000123456789', taxId: '121234321' }, { context: 'lp-1', provider });
+
+      expect(sealed.kekId).toBe(provider.kekId);
+      expect(sealed.encryptedData).not.toContain('123456789');
+      expect(decryptFields(sealed, { context: 'lp-1', provider })).toEqual({ accountNumber: '000123456789', taxId: '121234321' });
+    });
+
+    test('uses a fresh data key per record', () => {
+      const a = encryptFields({ taxId: '121234321' }, { context: 'lp-1', provider });
+      const b = encryptFields({ taxId: '121234321' }, { context: 'lp-1', provider });
+
+      expect(a.encryptedDek).not.toBe(b.encryptedDek);
+      expect(a.encryptedData).not.toBe(b.encryptedData);
+    });
+
+    test('ciphertext is bound to its record and key', () => {
+      const sealed = encryptFields({ accountNumber: '000123456789' }, { context: 'lp-1', provider });
+      const otherProvider = createStaticKeyProvider(crypto.randomBytes(32));
+
+      // Moving the ciphertext to another LP fails authentication
+      expect(() => decryptFields(sealed, { context: 'lp-2', provider })).toThrow();
+      expect(() => decryptFields(sealed, { context: 'lp-1', provider: otherProvider })).toThrow(/sealed with key/);
+      expect(decryptFields({ encryptedData: null }, { context: 'lp-1', provider })).toEqual({});
+    });
+  });
+
+  // ============================================================================
+  // VALIDATION AND MASKING
+  // ============================================================================
+
+  test('routing numbers must pass the ABA checksum', () => {
+    expect(isValidRoutingNumber('021000021')).toBe(true);
+    expect(isValidRoutingNumber('0210-00021')).toBe(true);
+    expect(isValidRoutingNumber('021000022')).toBe(false);
+    expect(isValidRoutingNumber('12345')).toBe(false);
+  });
+
+  test('validatePaymentDetails requires bank fields together and valid tax IDs', () => {
+    expect(validatePaymentDetails({ accountNumber: '000123456789', routingNumber: '021000021', accountType: 'CHECKING' })).toEqual([]);
+    expect(validatePaymentDetails({ taxIdType: 'SSN', taxId: '123-45-6789' })).toEqual([]);
+    expect(validatePaymentDetails({})).toEqual(['At least one payment detail is required']);
+    expect(validatePaymentDetails({ accountNumber: '12', accountType: 'BROKERAGE' })).toEqual([
+      'accountNumber must be 4-17 digits',
+      'routingNumber is required with accountNumber',
+      'accountType must be one of CHECKING, SAVINGS'
+    ]);
+    expect(validatePaymentDetails({ taxIdType: 'SSN', taxId: '666-12-3456' })).toEqual(['taxId is not a valid SSN']);
+    expect(validatePaymentDetails({ taxId: '12-3456789' })).toEqual(['taxIdType must be one of SSN, EIN']);
+  });
+
+  test('splitPaymentDetails separates values to encrypt and keeps only last 4 in clear', () => {
+    const { details, sensitive, last4 } = splitPaymentDetails({
+      bankName: 'First National',
+      accountNumber: '0001-2345-6789',
+      routingNumber: '021000021'
+    });
+
+    expect(details).toEqual({ bankName: 'First National' });
+    expect(sensitive).toEqual({ accountNumber: '000123456789', routingNumber: '021000021' });
+    expect(last4).toEqual({ accountNumberLast4: '6789', routingNumberLast4: '0021' });
+  });
+
+  test('masked profile never exposes stored ciphertext', () => {
+    const masked = buildMaskedProfile(PROFILE, { now: NOW });
+
+    expect(masked.accountNumber).toBe('••••6789');
+    expect(masked.taxId).toBe('••••4321');
+    expect(masked.paymentHoldUntil).toBeNull();
+    expect(masked).not.toHaveProperty('encryptedData');
+    expect(masked).not.toHaveProperty('encryptedDek');
+  });
+
+  // ============================================================================
+  // CHANGE VERIFICATION
+  // ============================================================================
+
+  test('verification needs a callback method, notes and a second person', () => {
+    expect(validateVerification(PENDING_CHANGE, { method: 'PHONE_CALLBACK', notes: 'Called number on file' }, { id: 'gp-1' })).toEqual([]);
+    expect(validateVerification(PENDING_CHANGE, { method: 'EMAIL' }, { id: 'lp-user-1' })).toEqual([
+      'method must be one of PHONE_CALLBACK, VIDEO_CALL, IN_PERSON',
+      'notes are required (who was contacted, on which number on file)',
+      'A change cannot be verified by the person who requested it'
+    ]);
+    expect(validateVerification({ ...PENDING_CHANGE, status: 'APPLIED' }, { method: 'PHONE_CALLBACK', notes: 'ok' }, { id: 'gp-1' }))
+      .toEqual(['Change request is APPLIED']);
+  });
+
+  test('only replacing details already on file starts a cooling-off period', () => {
+    expect(replacesExistingDetails(null, PENDING_CHANGE)).toBe(false);
+    expect(replacesExistingDetails({ ...PROFILE, accountNumberLast4: null }, PENDING_CHANGE)).toBe(false);
+    expect(replacesExistingDetails(PROFILE, PENDING_CHANGE)).toBe(true);
+    expect(replacesExistingDetails(PROFILE, { bankName: 'First National' })).toBe(false);
+  });
+
+  // ============================================================================
+  // DISTRIBUTION HOLDS
+  // ============================================================================
+
+  test('allocations to recently changed profiles are held', () => {
+    const allocations = [
+      { id: 'alloc-1', lpActorId: 'lp-1' },
+      { id: 'alloc-2', lpActorId: 'lp-2' },
+      { id: 'alloc-3', lpActorId: 'lp-3' }
+    ];
+    const profiles = [
+      { ...PROFILE, lpActorId: 'lp-1', detailsChangedAt: new Date(NOW.getTime() - 3 * DAY_MS) },
+      { ...PROFILE, lpActorId: 'lp-2', detailsChangedAt: new Date(NOW.getTime() - 30 * DAY_MS) }
+    ];
+
+    expect(findPaymentHolds(allocations, profiles, { now: NOW, coolingOffDays: 10 })).toEqual([{
+      allocationId: 'alloc-1',
+      lpActorId: 'lp-1',
+      detailsChangedAt: '2026-05-17T12:00:00.000Z',
+      holdUntil: '2026-05-27T12:00:00.000Z'
+    }]);
+    expect(findPaymentHolds(allocations, profiles, { now: NOW, coolingOffDays: 2 })).toEqual([]);
+    expect(buildMaskedProfile(profiles[0], { now: NOW, coolingOffDays: 10 }).paymentHoldUntil).toBe('2026-05-27T12:00:00.000Z');
+  });
+
+  test('cooling-off setting keeps an explicit 0 and rejects negatives', () => {
+    expect(parseCoolingOffDays(undefined)).toBe(10);
+    expect(parseCoolingOffDays('')).toBe(10);
+    expect(parseCoolingOffDays('soon')).toBe(10);
+    expect(parseCoolingOffDays('0')).toBe(0);
+    expect(parseCoolingOffDays('14')).toBe(14);
+    expect(() => parseCoolingOffDays('-1')).toThrow(/must be a non-negative number of days/);
+
+    const allocations = [{ id: 'alloc-1', lpActorId: 'lp-1' }];
+    const profiles = [{ ...PROFILE, lpActorId: 'lp-1', detailsChangedAt: NOW }];
+    expect(findPaymentHolds(allocations, profiles, { now: NOW, coolingOffDays: 0 })).toEqual([]);
+  });
+});
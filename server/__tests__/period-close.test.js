@@ -0,0 +1,255 @@
+/**
+ * Period Close Package Tests
+ *
+ * Tests the quarter-end close package: period activity, LP capital account
+ * roll-forward, reconciliation exceptions, balanced journal entries and
+ * the CSV / IIF exports for GL import.
+ */
+
+import {
+  buildClosePackage,
+  hashClosePackage,
+  journalToCsv,
+  journalToIif
+} from '../services/period-close.js';
+
+const PERIOD = {
+  id: 'period-q2',
+  dealId: 'deal-1',
+  year: 2026,
+  quarter: 2,
+  periodType: 'QUARTERLY',
+  startDate: new Date('2026-04-01T00:00:00Z'),
+  endDate: new Date('2026-06-30T23:59:59Z')
+};
+
+// Commitments after Alpha transferred 100k of its original 600k to Gamma
+const LP_ACTORS = [
+  { id: 'lp-a', entityName: 'Alpha Fund', commitment: 500000 },
+  { id: 'lp-b', entityName: 'Beta Trust', commitment: 400000 },
+  { id: 'lp-c', entityName: 'Gamma LLC', commitment: 100000 }
+];
+
+function buildData() {
+  return {
+    lpActors: LP_ACTORS,
+    capitalCalls: [
+      {
+        id: 'call-1', title: 'Initial funding', purpose: 'INITIAL_FUNDING', status: 'FUNDED',
+        totalAmount: 500000, dueDate: new Date('2026-02-15'),
+        allocations: [
+          { id: 'cca-1', lpActorId: 'lp-a', amount: 300000, fundedAmount: 300000, status: 'FUNDED', fundedAt: new Date('2026-02-10') },
+          { id: 'cca-2', lpActorId: 'lp-b', amount: 200000, fundedAmount: 200000, status: 'FUNDED', fundedAt: new Date('2026-02-12') }
+        ]
+      },
+      {
+        id: 'call-2', title: 'Capex', purpose: 'CAPEX', status: 'PARTIALLY_FUNDED',
+        totalAmount: 100000, dueDate: new Date('2026-05-01'),
+        allocations: [
+          { id: 'cca-3', lpActorId: 'lp-a', amount: 60000, fundedAmount: 60000, status: 'FUNDED', fundedAt: new Date('2026-04-28') },
+          { id: 'cca-4', lpActorId: 'lp-b', amount: 40000, fundedAmount: 0, status: 'PENDING', fundedAt: null }
+        ]
+      }
+    ],
+    distributions: [
+      {
+        id: 'dist-1', title: 'Q2 distribution', type: 'CASH_DISTRIBUTION', status: 'PAID',
+        totalAmount: 50000, distributionDate: new Date('2026-06-15'),
+        allocations: [
+          { id: 'da-1', lpActorId: 'lp-a', grossAmount: 30000, withholdingAmount: 0, feeAmount: 3000, netAmount: 27000, status: 'PAID', paidAt: new Date('2026-06-16') },
+          { id: 'da-2', lpActorId: 'lp-b', grossAmount: 20000, withholdingAmount: 500, feeAmount: 2000, netAmount: 17500, status: 'PAID', paidAt: new Date('2026-06-16') }
+        ]
+      }
+    ],
+    feeInvoices: [
+      {
+        id: 'fee-q1', year: 2026, quarter: 1, status: 'SETTLED', periodEnd: new Date('2026-03-31T23:59:59Z'),
+        managementFee: 5000, offsetAmount: 0, fundExpenses: 0, totalDue: 5000,
+        settledAmount: 5000, settledAt: new Date('2026-06-15'),
+        lines: [
+          { id: 'fl-1', lpActorId: 'lp-a', managementFee: 3000, offsetAmount: 0, expenseShare: 0, totalDue: 3000 },
+          { id: 'fl-2', lpActorId: 'lp-b', managementFee: 2000, offsetAmount: 0, expenseShare: 0, totalDue: 2000 }
+        ]
+      },
+      {
+        id: 'fee-q2', year: 2026, quarter: 2, status: 'ACCRUED', periodId: 'period-q2', periodEnd: new Date('2026-06-30T23:59:59Z'),
+        managementFee: 5000, offsetAmount: 0, fundExpenses: 1000, totalDue: 6000, settledAmount: 0,
+        lines: [
+          { id: 'fl-3', lpActorId: 'lp-a', managementFee: 3000, offsetAmount: 0, expenseShare: 600, totalDue: 3600 },
+          { id: 'fl-4', lpActorId: 'lp-b', managementFee: 2000, offsetAmount: 0, expenseShare: 400, totalDue: 2400 }
+        ]
+      }
+    ],
+    transfers: [
+      {
+        id: 'tr-1', fromLpActorId: 'lp-a', toLpActorId: 'lp-c', status: 'COMPLETED',
+        effectiveDate: new Date('2026-05-15'), completedAt: new Date('2026-05-15'),
+        transferAmount: 100000, transferPct: 10
+      }
+    ]
+  };
+}
+
+describe('Period Close Package', () => {
+  test('rolls each capital account forward through the period', () => {
+    const pkg = buildClosePackage(PERIOD, buildData());
+    const byLp = Object.fromEntries(pkg.rollForward.rows.map(row => [row.lpActorId, row]));
+
+    // Alpha: 300k funded - 3k Q1 fee; +60k, transfer 1/6 of 357k, -27k paid, -3.6k Q2 fee
+    expect(byLp['lp-a']).toMatchObject({
+      beginning: 297000,
+      contributions: 60000,
+      distributions: 27000,
+      feeAllocations: -3600,
+      transfersOut: 59500,
+      allocations: -63100,
+      ending: 266900
+    });
+    // Beta: withholding is part of its distribution, the fee deducted is not
+    expect(byLp['lp-b']).toMatchObject({ beginning: 198000, distributions: 18000, feeAllocations: -2400, ending: 177600 });
+    expect(byLp['lp-c']).toMatchObject({ beginning: 0, transfersIn: 59500, ending: 59500 });
+
+    for (const row of pkg.rollForward.rows) {
+      expect(row.beginning + row.contributions - row.distributions + row.allocations).toBeCloseTo(row.ending, 2);
+    }
+    expect(pkg.rollForward.totals).toEqual({
+      beginning: 495000,
+      contributions: 60000,
+      distributions: 45000,
+      allocations: -6000,
+      ending: 504000
+    });
+  });
+
+  test('summarises the period activity', () => {
+    const pkg = buildClosePackage(PERIOD, buildData());
+
+    expect(pkg.summary).toEqual({
+      capitalCalled: 100000,
+      capitalFunded: 60000,
+      distributionsPaid: 50000,
+      withholding: 500,
+      feesAccrued: 6000,
+      transfersCompleted: 1,
+      capitalTransferred: 59500,
+      errorCount: 0,
+      warningCount: 1
+    });
+    expect(pkg.capitalCalls.map(c => c.id)).toEqual(['call-2']);
+    expect(pkg.fees.map(f => f.id)).toEqual(['fee-q2']);
+    expect(pkg.transfers[0]).toMatchObject({ fromEntityName: 'Alpha Fund', toEntityName: 'Gamma LLC', capitalTransferred: 59500 });
+  });
+
+  test('journal entries balance and cover each kind of activity', () => {
+    const { journal } = buildClosePackage(PERIOD, buildData());
+
+    expect(journal.totalDebits).toBe(175500);
+    expect(journal.totalCredits).toBe(175500);
+    for (const entry of journal.entries) {
+      const debits = entry.lines.reduce((s, l) => s + l.debit, 0);
+      const credits = entry.lines.reduce((s, l) => s + l.credit, 0);
+      expect(debits).toBeCloseTo(credits, 2);
+    }
+    expect(journal.entries.map(e => e.type).sort()).toEqual([
+      'CAPITAL_CONTRIBUTION', 'DISTRIBUTION', 'DISTRIBUTION', 'FEE_ACCRUAL', 'FEE_ACCRUAL', 'TRANSFER'
+    ]);
+
+    const betaDistribution = journal.entries.find(e => e.id === 'DP-da-2');
+    expect(betaDistribution.lines.map(l => [l.account, l.debit, l.credit])).toEqual([
+      ['3000', 18000, 0],
+      ['2100', 2000, 0],
+      ['1000', 0, 19500],
+      ['2200', 0, 500]
+    ]);
+  });
+
+  test('flags allocations that do not reconcile', () => {
+    const data = buildData();
+    data.capitalCalls[1].totalAmount = 120000;
+    data.distributions[0].allocations[0].netAmount = 26000;
+    data.distributions[0].allocations.push({
+      id: 'da-3', lpActorId: 'lp-gone', grossAmount: 0, withholdingAmount: 0, feeAmount: 0, netAmount: 0, status: 'PAID'
+    });
+    data.transfers.push({
+      id: 'tr-2', fromLpActorId: 'lp-b', toLpActorId: 'lp-c', status: 'APPROVED',
+      effectiveDate: new Date('2026-06-20'), transferAmount: 50000, transferPct: 5
+    });
+
+    const { exceptions, summary } = buildClosePackage(PERIOD, data);
+
+    expect(exceptions.map(e => [e.code, e.severity, e.refId])).toEqual([
+      ['CAPITAL_CALL_ALLOCATION_MISMATCH', 'ERROR', 'call-2'],
+      ['CAPITAL_CALL_UNFUNDED', 'WARNING', 'call-2'],
+      ['DISTRIBUTION_NET_MISMATCH', 'ERROR', 'dist-1'],
+      ['UNKNOWN_LP', 'ERROR', 'dist-1'],
+      ['TRANSFER_NOT_COMPLETED', 'WARNING', 'tr-2']
+    ]);
+    expect(summary.errorCount).toBe(3);
+  });
+
+  test('package reflects period end, so later payments keep the hash', () => {
+    const unpaid = buildData();
+    unpaid.distributions[0].allocations[1] = { ...unpaid.distributions[0].allocations[1], status: 'PROCESSING', paidAt: null };
+    const paidAfterClose = buildData();
+    paidAfterClose.distributions[0].allocations[1].paidAt = new Date('2026-07-03');
+
+    const before = buildClosePackage(PERIOD, unpaid);
+    const after = buildClosePackage(PERIOD, paidAfterClose);
+
+    expect(before.exceptions.some(e => e.code === 'DISTRIBUTION_UNPAID')).toBe(true);
+    expect(hashClosePackage(after)).toBe(hashClosePackage(before));
+    expect(hashClosePackage(buildClosePackage(PERIOD, buildData()))).not.toBe(hashClosePackage(before));
+  });
+
+  test('LPs admitted or renamed after close keep the hash', () => {
+    const closed = hashClosePackage(buildClosePackage(PERIOD, buildData()));
+
+    const later = buildData();
+    later.lpActors = [
+      { ...LP_ACTORS[0], entityName: 'Zeta Holdings' },
+      ...LP_ACTORS.slice(1),
+      { id: 'lp-d', entityName: 'Delta Partners', commitment: 250000, createdAt: new Date('2026-08-01') }
+    ];
+    const pkg = buildClosePackage(PERIOD, later);
+
+    expect(pkg.rollForward.rows.map(r => r.lpActorId)).not.toContain('lp-d');
+    expect(hashClosePackage(pkg)).toBe(closed);
+  });
+
+  test('a PAID allocation without paidAt counts from the distribution date', () => {
+    const data = buildData();
+    data.distributions.push({
+      id: 'dist-2', title: 'July distribution', type: 'CASH_DISTRIBUTION', status: 'PAID',
+      totalAmount: 10000, distributionDate: new Date('2026-07-15'),
+      allocations: [
+        { id: 'da-4', lpActorId: 'lp-a', grossAmount: 10000, withholdingAmount: 0, feeAmount: 0, netAmount: 10000, status: 'PAID', paidAt: null }
+      ]
+    });
+    data.distributions[0].allocations[1].paidAt = null;
+
+    const pkg = buildClosePackage(PERIOD, data);
+    const byLp = Object.fromEntries(pkg.rollForward.rows.map(r => [r.lpActorId, r]));
+
+    // July's payment is outside Q2; dist-1 still counts on its June date
+    expect(byLp['lp-a'].distributions).toBe(27000);
+    expect(byLp['lp-b'].distributions).toBe(18000);
+    expect(pkg.exceptions.some(e => e.code === 'DISTRIBUTION_UNPAID')).toBe(false);
+  });
+
+  test('exports journal entries as CSV and IIF', () => {
+    const { journal } = buildClosePackage(PERIOD, buildData());
+    const contribution = journal.entries.filter(e => e.type === 'CAPITAL_CONTRIBUTION');
+
+    expect(journalToCsv(contribution)).toBe(
+      'Entry,Date,Account,Account Name,Name,Debit,Credit,Memo,Reference\n' +
+      'CC-cca-3,2026-04-28,1000,Cash,Alpha Fund,60000.00,,Capital call: Capex,call-2\n' +
+      "CC-cca-3,2026-04-28,3000,Partners' Capital,Alpha Fund,,60000.00,Capital call: Capex,call-2\n"
+    );
+
+    const iif = journalToIif(contribution).split('\r\n');
+    expect(iif[0]).toBe('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO');
+    expect(iif[3]).toBe('TRNS\t\tGENERAL JOURNAL\t04/28/2026\t1000 Cash\tAlpha Fund\t60000.00\tCC-cca-3\tCapital call: Capex');
+    expect(iif[4]).toBe("SPL\t\tGENERAL JOURNAL\t04/28/2026\t3000 Partners' Capital\tAlpha Fund\t-60000.00\tCC-cca-3\tCapital call: Capex");
+    expect(iif[5]).toBe('ENDTRNS');
+  });
+});
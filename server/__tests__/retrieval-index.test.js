@@ -0,0 +1,141 @@
+/**
+ * Retrieval Index Tests
+ *
+ * Tests tokenizing and query expansion, page and cell chunking with citation
+ * spans, hashed embeddings, and hybrid BM25/vector ranking of deal facts.
+ */
+
+import {
+  EMBEDDING_DIMENSIONS,
+  stem,
+  tokenize,
+  expandQuery,
+  embedText,
+  cosineSimilarity,
+  chunkPages,
+  chunkCells,
+  analyzeText,
+  bm25Scores,
+  rankEntries
+} from '../services/retrieval-index.js';
+
+function entry(text, fact) {
+  return { ...analyzeText(text), fact };
+}
+
+const ENTRIES = [
+  entry('Net operating income: 1,200,000', { type: 'UNDERWRITING_INPUT', fieldPath: 'netOperatingIncome' }),
+  entry('Loan amount: 8,000,000 mortgage at 6.5% interest', { type: 'UNDERWRITING_INPUT', fieldPath: 'loanAmount' }),
+  entry('The roof reserve is funded at $250 per unit per year.', { type: 'DOCUMENT_CHUNK', fieldPath: null }),
+  entry('Vacancy rate: 5% (rent roll) vs 8% (T12)', { type: 'CONFLICT', fieldPath: 'vacancyRate' })
+];
+
+describe('Retrieval Index', () => {
+  // ============================================================================
+  // TEXT ANALYSIS
+  // ============================================================================
+
+  test('tokenize stems words, drops stopwords and normalizes numbers', () => {
+    expect(stem('taxes')).toBe('tax');
+    expect(stem('leasing')).toBe(stem('leased'));
+    expect(tokenize('The property taxes were 1,250,000 in 2024 and leased units'))
+      .toEqual(['property', 'tax', '1250000', '2024', 'lease', 'unit']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  test('expandQuery adds synonyms at a lower weight', () => {
+    const weights = expandQuery('NOI and cap rate');
+    expect(weights.get('noi')).toBe(1);
+    expect(weights.get('cap')).toBe(1);
+    expect(weights.get('income')).toBe(0.5);
+    expect(weights.get('capitalization')).toBe(0.5);
+    expect(weights.has('and')).toBe(false);
+  });
+
+  test('embedText is normalized and favours shared vocabulary', () => {
+    const noi = embedText('net operating income');
+    expect(noi).toHaveLength(EMBEDDING_DIMENSIONS);
+    expect(cosineSimilarity(noi, noi)).toBeCloseTo(1, 3);
+    expect(cosineSimilarity(noi, embedText('operating income net'))).toBeCloseTo(1, 3);
+    expect(cosineSimilarity(noi, embedText('roof replacement'))).toBeLessThan(0.2);
+    expect(cosineSimilarity(noi, embedText(''))).toBe(0);
+  });
+
+  // ============================================================================
+  // CHUNKING
+  // ============================================================================
+
+  test('chunkPages keeps chunks within a page with overlapping character spans', () => {
+    const words = Array.from({ length: 150 }, (_, i) => `w${i}`).join(' ');
+    const chunks = chunkPages([
+      { pageNumber: 1, text: words },
+      { pageNumber: 2, text: 'Roof reserve of $250 per unit.' }
+    ]);
+
+    expect(chunks.map(c => [c.chunkIndex, c.pageNumber, c.charStart, c.charEnd])).toEqual([
+      [0, 1, 0, 489],
+      [1, 1, 390, 639],
+      [2, 2, 0, 30]
+    ]);
+    expect(words.slice(chunks[1].charStart, chunks[1].charEnd)).toBe(chunks[1].text);
+    expect(chunks[1].text.startsWith('w100 ')).toBe(true);
+  });
+
+  test('chunkCells groups rows per sheet into labelled cell ranges', () => {
+    const chunks = chunkCells([
+      { sheetName: 'T12', row: 10, col: 1, value: 'Roof Reserve', label: null },
+      { sheetName: 'T12', row: 10, col: 2, value: 25000, label: 'Roof Reserve' },
+      { sheetName: 'T12', row: 11, col: 2, value: '', label: null },
+      { sheetName: 'T12', row: 22, col: 4, value: 9, label: 'Units' },
+      { sheetName: 'Debt', row: 3, col: 28, value: 0.065, label: 'Rate' }
+    ], { rowsPerChunk: 2 });
+
+    expect(chunks).toEqual([
+      { chunkIndex: 0, sheetName: 'T12', cellRange: 'T12!A10:D22', text: 'Roof Reserve: 25000\nUnits: 9' },
+      { chunkIndex: 1, sheetName: 'Debt', cellRange: 'Debt!AB3:AB3', text: 'Rate: 0.065' }
+    ]);
+  });
+
+  test('analyzeText hashes the text together with its citation metadata', () => {
+    const plain = analyzeText('NOI is 1.2M');
+    expect(plain.terms).toEqual({ noi: 1, '1.2': 1, m: 1 });
+    expect(plain.termCount).toBe(3);
+    expect(analyzeText('NOI is 1.2M').contentHash).toBe(plain.contentHash);
+    expect(analyzeText('NOI is 1.2M', { pageNumber: 2 }).contentHash).not.toBe(plain.contentHash);
+  });
+
+  // ============================================================================
+  // RANKING
+  // ============================================================================
+
+  test('bm25Scores only credits entries containing query terms', () => {
+    const scores = bm25Scores(expandQuery('roof reserve'), ENTRIES);
+    expect(scores[2]).toBeGreaterThan(0);
+    expect([scores[0], scores[1], scores[3]]).toEqual([0, 0, 0]);
+  });
+
+  test('rankEntries finds facts by synonym and returns nothing off-topic', () => {
+    const top = question => rankEntries(question, ENTRIES).map(r => r.entry.fact.fieldPath);
+
+    expect(top('What is the NOI?')).toEqual(['netOperatingIncome']);
+    expect(top('how big is the mortgage')[0]).toBe('loanAmount');
+    expect(top('roof reserve')[0]).toBeNull();
+    expect(top('weather in paris')).toEqual([]);
+    expect(rankEntries('', ENTRIES)).toEqual([]);
+  });
+
+  test('rankEntries boosts verified facts and conflicts when asked about discrepancies', () => {
+    const verified = [
+      entry('Vacancy rate: 5%', { type: 'UNDERWRITING_INPUT', fieldPath: 'a' }),
+      entry('Vacancy rate: 5%', { type: 'UNDERWRITING_INPUT', fieldPath: 'b', verification: { verifiedBy: 'gp-1' } })
+    ];
+    expect(rankEntries('vacancy rate', verified)[0].entry.fact.fieldPath).toBe('b');
+
+    const conflicts = [
+      entry('Vacancy conflict between sources', { type: 'UNDERWRITING_INPUT', fieldPath: 'x' }),
+      entry('Vacancy conflict between sources', { type: 'CONFLICT', fieldPath: 'y' })
+    ];
+    expect(rankEntries('is there a vacancy conflict', conflicts)[0].entry.fact.type).toBe('CONFLICT');
+    expect(rankEntries('vacancy', ENTRIES, { limit: 1 })).toHaveLength(1);
+  });
+});
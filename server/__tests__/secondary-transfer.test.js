@@ -0,0 +1,220 @@
+/**
+ * Secondary Transfer Tests
+ *
+ * Tests secondary terms validation, position roll-forward with accrued
+ * preferred return, the economics conveyed by a partial transfer, ROFR
+ * windows and post-transfer capital account reconciliation.
+ */
+
+import {
+  validateSecondaryTerms,
+  rollPositionForward,
+  splitAccruedPref,
+  buildTransferEconomics,
+  selectRofrHolders,
+  rofrExpiry,
+  evaluateRofr,
+  validateRofrResponse,
+  calculateTransferSummary,
+  calculateCapitalAccount
+} from '../services/secondary-transfer.js';
+
+// Seller funded 400k of a 1M commitment and received a 20k distribution
+const CALLS = [
+  { id: 'cca-1', amount: 400000, fundedAmount: 400000, status: 'FUNDED', fundedAt: new Date('2025-01-01'), capitalCall: { id: 'call-1', title: 'Initial' } }
+];
+const DISTRIBUTIONS = [
+  { id: 'da-1', grossAmount: 20000, netAmount: 20000, status: 'PAID', paidAt: new Date('2025-07-01'), distribution: { id: 'dist-1', title: 'Q2' } }
+];
+const EFFECTIVE = new Date('2026-01-01');
+
+function sellerPosition() {
+  return rollPositionForward({
+    lpActorId: 'lp-seller',
+    capitalCallAllocations: CALLS,
+    distributionAllocations: DISTRIBUTIONS,
+    prefRate: 0.08,
+    asOfDate: EFFECTIVE
+  });
+}
+
+describe('Secondary Transfers', () => {
+  // ============================================================================
+  // TERMS
+  // ============================================================================
+
+  test('validateSecondaryTerms checks price, NAV, pref split and ROFR window', () => {
+    expect(validateSecondaryTerms({ price: 80000, navAtTransfer: 95000, prefSplitMethod: 'TRANSFEREE', rofrDays: 30 })).toEqual([]);
+    expect(validateSecondaryTerms({
+      price: -1,
+      navAtTransfer: 'par',
+      prefSplitMethod: 'PRO_RATA',
+      rofrDays: 7.5
+    })).toEqual([
+      'price must be a non-negative number',
+      'navAtTransfer must be a non-negative number',
+      'prefToTransferorPct must be between 0 and 100 for PRO_RATA',
+      'rofrDays must be a whole number between 0 and 180'
+    ]);
+    expect(validateSecondaryTerms({ prefSplitMethod: 'SELLER' }))
+      .toEqual(['prefSplitMethod must be one of TRANSFEROR, TRANSFEREE, PRO_RATA']);
+  });
+
+  // ============================================================================
+  // POSITION AND ECONOMICS
+  // ============================================================================
+
+  test('distributions pay accrued pref before returning capital', () => {
+    // 181 days on 400k, then 184 days on the capital left after the distribution
+    expect(sellerPosition()).toEqual({
+      contributed: 400000,
+      distributed: 20000,
+      unreturnedCapital: 395868.49,
+      accruedPref: 15964.89
+    });
+  });
+
+  test('a partial transfer conveys history and unfunded commitment pro rata', () => {
+    const economics = buildTransferEconomics({
+      transfer: { transferAmount: 250000, price: 80000, prefSplitMethod: 'PRO_RATA', prefToTransferorPct: 60 },
+      fromLp: { commitment: 1000000 },
+      position: sellerPosition()
+    });
+
+    expect(economics).toEqual({
+      price: 80000,
+      navAtTransfer: 95000,
+      navSource: 'BOOK',
+      premiumDiscountPct: -15.79,
+      transferFraction: 0.25,
+      contributedTransferred: 100000,
+      distributionsTransferred: 5000,
+      unfundedTransferred: 150000,
+      unreturnedCapitalTransferred: 98967.12,
+      prefSplitMethod: 'PRO_RATA',
+      accruedPrefTransferred: 3991.22,
+      prefToTransferor: 2394.73,
+      prefToTransferee: 1596.49
+    });
+    expect(economics.contributedTransferred + economics.unfundedTransferred).toBe(250000);
+  });
+
+  test('a GP-entered NAV prices the premium and the default keeps pref with the seller', () => {
+    const economics = buildTransferEconomics({
+      transfer: { transferAmount: 250000, price: 110000, navAtTransfer: 100000 },
+      fromLp: { commitment: 1000000 },
+      position: sellerPosition()
+    });
+
+    expect(economics).toMatchObject({ navSource: 'GP', navAtTransfer: 100000, premiumDiscountPct: 10 });
+    expect(economics).toMatchObject({ prefSplitMethod: 'TRANSFEROR', prefToTransferor: 3991.22, prefToTransferee: 0 });
+    expect(splitAccruedPref(1000, 'TRANSFEREE')).toEqual({ prefToTransferor: 0, prefToTransferee: 1000 });
+  });
+
+  test('completed transfers carry conveyed capital and pref into later roll-forwards', () => {
+    const transfer = {
+      id: 'tr-1', status: 'COMPLETED', fromLpActorId: 'lp-seller', toLpActorId: 'lp-buyer', effectiveDate: EFFECTIVE,
+      ...buildTransferEconomics({
+        transfer: { transferAmount: 250000, prefSplitMethod: 'TRANSFEREE' },
+        fromLp: { commitment: 1000000 },
+        position: sellerPosition()
+      })
+    };
+    const later = new Date('2026-12-31');
+
+    const buyer = rollPositionForward({ lpActorId: 'lp-buyer', priorTransfers: [transfer], prefRate: 0.08, asOfDate: later });
+    expect(buyer).toMatchObject({ contributed: 100000, distributed: 5000, unreturnedCapital: 98967.12 });
+    // Conveyed pref plus 364 days on the conveyed capital
+    expect(buyer.accruedPref).toBeCloseTo(3991.22 + 98967.12 * 0.08 * 364 / 365, 1);
+
+    const seller = rollPositionForward({
+      lpActorId: 'lp-seller', capitalCallAllocations: CALLS, distributionAllocations: DISTRIBUTIONS,
+      priorTransfers: [transfer], prefRate: 0.08, asOfDate: later
+    });
+    expect(seller).toMatchObject({ contributed: 300000, distributed: 15000, unreturnedCapital: 296901.37 });
+  });
+
+  // ============================================================================
+  // RIGHT OF FIRST REFUSAL
+  // ============================================================================
+
+  test('ROFR goes to active LPs other than the parties', () => {
+    const lps = [
+      { id: 'lp-seller', status: 'ACTIVE' },
+      { id: 'lp-buyer', status: 'ACTIVE' },
+      { id: 'lp-c', status: 'ACTIVE' },
+      { id: 'lp-d', status: 'INACTIVE' },
+      { id: 'lp-e', status: 'ACTIVE' }
+    ];
+    expect(selectRofrHolders(lps, { fromLpActorId: 'lp-seller', toLpActorId: 'lp-buyer' })).toEqual(['lp-c', 'lp-e']);
+    expect(rofrExpiry(new Date('2026-03-01T12:00:00Z'), 30).toISOString()).toBe('2026-03-31T12:00:00.000Z');
+    expect(rofrExpiry(null, 30)).toBeNull();
+  });
+
+  test('approval waits for the ROFR window unless every holder waives', () => {
+    const transfer = { status: 'PENDING', rofrDays: 30, rofrExpiresAt: new Date('2026-03-31T00:00:00Z') };
+    const during = new Date('2026-03-15');
+    const after = new Date('2026-04-01');
+    const notices = [{ lpActorId: 'lp-c', status: 'WAIVED' }, { lpActorId: 'lp-e', status: 'PENDING' }];
+
+    expect(evaluateRofr({ rofrDays: null }, [])).toMatchObject({ required: false, status: 'NOT_REQUIRED', canApprove: true });
+    expect(evaluateRofr(transfer, notices, during)).toMatchObject({ status: 'OPEN', pending: ['lp-e'], waived: ['lp-c'], canApprove: false });
+    expect(evaluateRofr(transfer, notices, after)).toMatchObject({ status: 'EXPIRED', canApprove: true });
+    expect(evaluateRofr(transfer, [notices[0], { lpActorId: 'lp-e', status: 'WAIVED' }], during))
+      .toMatchObject({ status: 'WAIVED', canApprove: true });
+    expect(evaluateRofr(transfer, [notices[0], { lpActorId: 'lp-e', status: 'EXERCISED' }], after))
+      .toMatchObject({ status: 'EXERCISED', exercised: ['lp-e'], canApprove: false });
+
+    expect(validateRofrResponse(transfer, notices[1], 'EXERCISE', during)).toEqual([]);
+    expect(validateRofrResponse({ ...transfer, status: 'CANCELLED' }, notices[0], 'MAYBE', after)).toEqual([
+      'decision must be one of WAIVE, EXERCISE',
+      'Transfer is no longer open for ROFR (CANCELLED)',
+      'ROFR notice has already been answered',
+      'ROFR window has closed'
+    ]);
+  });
+
+  // ============================================================================
+  // STATEMENT RECONCILIATION
+  // ============================================================================
+
+  test('capital accounts reconcile on both sides after a partial transfer', () => {
+    const transfer = {
+      id: 'tr-1', status: 'COMPLETED', fromLpActorId: 'lp-seller', toLpActorId: 'lp-buyer',
+      effectiveDate: EFFECTIVE, transferAmount: 250000, transferPct: 25,
+      ...buildTransferEconomics({
+        transfer: { transferAmount: 250000, price: 80000 },
+        fromLp: { commitment: 1000000 },
+        position: sellerPosition()
+      })
+    };
+    const fees = { totalDue: 0 };
+    const noCalls = { totalFunded: 0 };
+    const noDistributions = { totalPaid: 0 };
+
+    const seller = calculateCapitalAccount(
+      { commitment: 750000 },
+      { totalFunded: 400000 },
+      { totalPaid: 20000 },
+      fees,
+      calculateTransferSummary('lp-seller', [transfer])
+    );
+    expect(seller).toMatchObject({ unfunded: 450000, balance: 285000, reconciled: true, differences: [] });
+    expect(seller.contributed).toEqual({ own: 400000, transferredIn: 0, transferredOut: 100000, total: 300000 });
+
+    const buyer = calculateCapitalAccount(
+      { commitment: 250000 }, noCalls, noDistributions, fees,
+      calculateTransferSummary('lp-buyer', [transfer])
+    );
+    expect(buyer).toMatchObject({ unfunded: 150000, balance: 95000, reconciled: true });
+    expect(calculateTransferSummary('lp-buyer', [transfer])).toMatchObject({ purchasePrice: 80000, commitmentIn: 250000, transferCount: 1 });
+
+    // A transfer that conveyed less than the commitment it moved is flagged
+    const short = calculateCapitalAccount(
+      { commitment: 250000 }, noCalls, noDistributions, fees,
+      calculateTransferSummary('lp-buyer', [{ ...transfer, unfundedTransferred: 100000 }])
+    );
+    expect(short.reconciled).toBe(false);
+    expect(short.differences).toEqual(['Transfers in moved commitment 250000.00 but conveyed 200000.00']);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Subscription Workflow Tests
+ *
+ * Tests the subscription status machine, investor detail validation for
+ * draft saves and submission, signature matching and initial funding sizing.
+ */
+
+import {
+  SUBSCRIPTION_STATUSES,
+  canTransition,
+  isEditableByLP,
+  pickSubscriptionDetails,
+  validateSubscriptionDetails,
+  validateSignature,
+  calculateInitialFunding,
+  initialFundingDueDate
+} from '../services/subscription-workflow.js';
+
+const COMPLETE_ENTITY = {
+  lpEntityName: 'Harbor Pension Fund',
+  lpEntityType: 'PENSION',
+  signatoryName: 'Dana Reyes',
+  signatoryTitle: 'Chief Investment Officer',
+  taxClassification: 'TAX_EXEMPT',
+  address: JSON.stringify({ street: '1 Main St', city: 'Boston', state: 'MA', postalCode: '02110', country: 'US' })
+};
+
+describe('Subscription Workflow', () => {
+  // ============================================================================
+  // STATE MACHINE
+  // ============================================================================
+
+  describe('canTransition', () => {
+    test('follows the happy path to FUNDED', () => {
+      const path = ['DRAFT', 'SUBMITTED', 'COUNTERSIGN_PENDING', 'ACCEPTED', 'FUNDED'];
+
+      for (let i = 0; i < path.length - 1; i++) {
+        expect(canTransition(path[i], path[i + 1])).toBe(true);
+      }
+    });
+
+    test('GP can return a submission to draft or reject before acceptance only', () => {
+      expect(canTransition('SUBMITTED', 'DRAFT')).toBe(true);
+      expect(canTransition('SUBMITTED', 'REJECTED')).toBe(true);
+      expect(canTransition('COUNTERSIGN_PENDING', 'REJECTED')).toBe(true);
+      expect(canTransition('ACCEPTED', 'REJECTED')).toBe(false);
+    });
+
+    test('no skipping countersignature and terminal states stay terminal', () => {
+      expect(canTransition('DRAFT', 'ACCEPTED')).toBe(false);
+      expect(canTransition('SUBMITTED', 'ACCEPTED')).toBe(false);
+      expect(canTransition('REJECTED', 'DRAFT')).toBe(false);
+      expect(canTransition('FUNDED', 'ACCEPTED')).toBe(false);
+      expect(canTransition('UNKNOWN', 'DRAFT')).toBe(false);
+    });
+  });
+
+  test('only drafts are editable by the LP', () => {
+    expect(isEditableByLP({ status: SUBSCRIPTION_STATUSES.DRAFT })).toBe(true);
+    expect(isEditableByLP({ status: SUBSCRIPTION_STATUSES.SUBMITTED })).toBe(false);
+  });
+
+  // ============================================================================
+  // VALIDATION
+  // ============================================================================
+
+  test('pickSubscriptionDetails drops fields the LP cannot set', () => {
+    const details = pickSubscriptionDetails({
+      lpEntityType: 'LLC',
+      commitmentAmount: 1,
+      status: 'ACCEPTED',
+      shareClass: 'B'
+    });
+
+    expect(details).toEqual({ lpEntityType: 'LLC' });
+  });
+
+  test('draft saves validate only the values supplied', () => {
+    expect(validateSubscriptionDetails({ lpEntityType: 'TRUST' })).toEqual([]);
+    expect(validateSubscriptionDetails({
+      lpEntityType: 'PARTNERSHIP',
+      taxClassification: 'EXEMPT',
+      lpEntityName: ' ',
+      address: 'not json'
+    })).toHaveLength(4);
+  });
+
+  test('submission requires every field for the sub-doc', () => {
+    expect(validateSubscriptionDetails(COMPLETE_ENTITY, { requireComplete: true })).toEqual([]);
+
+    const errors = validateSubscriptionDetails(
+      { lpEntityName: 'Harbor', lpEntityType: 'FUND', signatoryName: 'Dana Reyes', address: JSON.stringify({ street: '1 Main St' }) },
+      { requireComplete: true }
+    );
+    expect(errors).toEqual([
+      'taxClassification is required',
+      'signatoryTitle is required for entity investors',
+      'address is missing city, postalCode, country'
+    ]);
+  });
+
+  test('individuals sign without a title', () => {
+    const individual = { ...COMPLETE_ENTITY, lpEntityType: 'INDIVIDUAL', taxClassification: 'INDIVIDUAL', signatoryTitle: null };
+
+    expect(validateSubscriptionDetails(individual, { requireComplete: true })).toEqual([]);
+  });
+
+  test('validateSignature matches the signatory ignoring case and spacing', () => {
+    expect(validateSignature(COMPLETE_ENTITY, '  dana   REYES ')).toBeNull();
+    expect(validateSignature(COMPLETE_ENTITY, 'Dan Reyes')).toMatch(/must match/);
+    expect(validateSignature(COMPLETE_ENTITY, '')).toMatch(/required/);
+    expect(validateSignature({ signatoryName: null }, 'Dana Reyes')).toMatch(/must match/);
+  });
+
+  // ============================================================================
+  // ACCEPTANCE
+  // ============================================================================
+
+  test('calculateInitialFunding calls a share of the commitment in cents', () => {
+    expect(calculateInitialFunding(1000000)).toBe(1000000);
+    expect(calculateInitialFunding(333333.33, 0.25)).toBe(83333.33);
+    expect(() => calculateInitialFunding(1000000, 0)).toThrow(/initialFundingPct/);
+    expect(() => calculateInitialFunding(1000000, 1.5)).toThrow(/initialFundingPct/);
+  });
+
+  test('initialFundingDueDate defaults to ten days after acceptance', () => {
+    const acceptedAt = new Date('2026-03-01T12:00:00Z');
+
+    expect(initialFundingDueDate(acceptedAt).toISOString()).toBe('2026-03-11T12:00:00.000Z');
+    expect(initialFundingDueDate(acceptedAt, 30).toISOString()).toBe('2026-03-31T12:00:00.000Z');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Monthly Cash Flow Engine Tests
+ *
+ * Tests projectDetailedCashFlows in monthly/quarterly mode: lease-up curves,
+ * free-rent burn-off, month-level IO switchover, and the rollups derived
+ * from the monthly series.
+ */
+
+import {
+  projectDetailedCashFlows,
+  projectMonthlyCashFlows,
+  rollUpCashFlows
+} from '../services/underwriting-calculator.js';
+
+const BASE_MODEL = {
+  purchasePrice: 10000000,
+  grossPotentialRent: 1200000,
+  vacancyRate: 0.05,
+  otherIncome: 50000,
+  operatingExpenses: 450000,
+  loanAmount: 6500000,
+  interestRate: 0.065,
+  amortization: 30,
+  ioPeriod: 2,
+  exitCapRate: 0.06,
+  holdPeriod: 5,
+  rentGrowth: 0.03,
+  expenseGrowth: 0.025,
+  analysisStartDate: '2026-01-01'
+};
+
+describe('Monthly Cash Flow Engine', () => {
+  // ============================================================================
+  // GRANULARITY ROUTING
+  // ============================================================================
+
+  describe('projectDetailedCashFlows granularity', () => {
+    test('annual mode keeps the year-by-year shape', () => {
+      const result = projectDetailedCashFlows(BASE_MODEL);
+
+      expect(result.granularity).toBeUndefined();
+      expect(result.years).toHaveLength(5);
+      expect(result.months).toBeUndefined();
+    });
+
+    test('monthly mode returns months, quarters and years', () => {
+      const result = projectDetailedCashFlows(BASE_MODEL, null, { granularity: 'monthly' });
+
+      expect(result.granularity).toBe('monthly');
+      expect(result.months).toHaveLength(60);
+      expect(result.quarters).toHaveLength(20);
+      expect(result.years).toHaveLength(5);
+      expect(result.periods).toBe(result.months);
+    });
+
+    test('quarterly mode returns quarters as periods', () => {
+      const result = projectDetailedCashFlows(BASE_MODEL, 3, { granularity: 'quarterly' });
+
+      expect(result.periods).toHaveLength(12);
+      expect(result.periods[0].label).toBe('Y1 Q1');
+      expect(result.periods[4].label).toBe('Y2 Q1');
+    });
+  });
+
+  // ============================================================================
+  // ROLLUPS
+  // ============================================================================
+
+  describe('rollups', () => {
+    test('stabilized monthly rollup matches the annual engine', () => {
+      const annual = projectDetailedCashFlows(BASE_MODEL);
+      const monthly = projectMonthlyCashFlows(BASE_MODEL);
+
+      for (let i = 0; i < 5; i++) {
+        expect(monthly.years[i].noi).toBeCloseTo(annual.years[i].noi, -1);
+        expect(monthly.years[i].debtService.totalDebtService)
+          .toBeCloseTo(annual.years[i].debtService.totalDebtService, -1);
+        expect(monthly.years[i].debtService.endingBalance)
+          .toBeCloseTo(annual.years[i].debtService.endingBalance, -1);
+      }
+      expect(monthly.exit.netEquityProceeds).toBeCloseTo(annual.exit.netEquityProceeds, -2);
+    });
+
+    test('quarterly rollup sums to annual rollup', () => {
+      const monthly = projectMonthlyCashFlows(BASE_MODEL);
+      const q1to4 = monthly.quarters.slice(0, 4).reduce((sum, q) => sum + q.noi, 0);
+
+      expect(q1to4).toBeCloseTo(monthly.years[0].noi, -1);
+    });
+
+    test('rollUpCashFlows carries balances from first and last month', () => {
+      const monthly = projectMonthlyCashFlows({ ...BASE_MODEL, ioPeriod: 0 });
+      const years = rollUpCashFlows(
+        monthly.months.map(m => ({ ...m })),
+        'annual',
+        { loanAmount: BASE_MODEL.loanAmount, purchasePrice: BASE_MODEL.purchasePrice }
+      );
+
+      expect(years[0].debtService.beginningBalance).toBe(BASE_MODEL.loanAmount);
+      expect(years[0].debtService.endingBalance).toBe(monthly.months[11].debtService.endingBalance);
+    });
+  });
+
+  // ============================================================================
+  // LEASE-UP AND FREE RENT
+  // ============================================================================
+
+  describe('lease-up and free rent', () => {
+    test('linear lease-up ramps occupancy to stabilized', () => {
+      const result = projectMonthlyCashFlows({
+        ...BASE_MODEL,
+        leaseUp: { startOccupancy: 0.5, months: 10, curve: 'LINEAR' }
+      });
+
+      expect(result.months[0].occupancy).toBeCloseTo(0.545, 3);
+      expect(result.months[9].occupancy).toBeCloseTo(0.95, 6);
+      expect(result.months[20].occupancy).toBeCloseTo(0.95, 6);
+      expect(result.totals.stabilizationMonth).toBe(10);
+    });
+
+    test('S-curve lease-up stabilizes at the end of the lease-up period', () => {
+      const result = projectMonthlyCashFlows({
+        ...BASE_MODEL,
+        leaseUp: { startOccupancy: 0.4, months: 18, curve: 'S_CURVE' }
+      });
+
+      expect(result.months[2].occupancy).toBeLessThan(0.45);
+      expect(result.months[17].occupancy).toBeCloseTo(0.95, 6);
+      expect(result.totals.stabilizationMonth).toBe(18);
+    });
+
+    test('explicit occupancy curve overrides lease-up', () => {
+      const result = projectMonthlyCashFlows({
+        ...BASE_MODEL,
+        occupancyCurve: [0.6, 0.7, 0.8],
+        leaseUp: { startOccupancy: 0.1, months: 24 }
+      });
+
+      expect(result.months.slice(0, 3).map(m => m.occupancy)).toEqual([0.6, 0.7, 0.8]);
+    });
+
+    test('free rent burns off linearly', () => {
+      const result = projectMonthlyCashFlows({
+        ...BASE_MODEL,
+        freeRent: { initialPercent: 0.10, burnOffMonths: 4 }
+      });
+
+      const concessions = result.months.slice(0, 6).map(m => Math.abs(m.revenue.freeRent));
+      expect(concessions[0]).toBe(9500); // 100k GPR × 95% occupied × 10%
+      expect(concessions[1]).toBeLessThan(concessions[0]);
+      expect(concessions[4]).toBe(0);
+      expect(concessions[5]).toBe(0);
+    });
+
+    test('lease-up lowers returns versus a stabilized acquisition', () => {
+      const stabilized = projectMonthlyCashFlows(BASE_MODEL);
+      const leaseUp = projectMonthlyCashFlows({
+        ...BASE_MODEL,
+        leaseUp: { startOccupancy: 0.5, months: 12 }
+      });
+
+      expect(leaseUp.years[0].noi).toBeLessThan(stabilized.years[0].noi);
+      expect(leaseUp.totals.irr).toBeLessThan(stabilized.totals.irr);
+    });
+  });
+
+  // ============================================================================
+  // DEBT SERVICE
+  // ============================================================================
+
+  describe('month-level IO switchover', () => {
+    test('ioMonths switches to amortization mid-year', () => {
+      const result = projectMonthlyCashFlows({ ...BASE_MODEL, ioMonths: 18 });
+
+      expect(result.months[17].debtService.isInterestOnly).toBe(true);
+      expect(result.months[17].debtService.principalPayment).toBe(0);
+      expect(result.months[18].debtService.isInterestOnly).toBe(false);
+      expect(result.months[18].debtService.principalPayment).toBeGreaterThan(0);
+      expect(result.years[1].debtService.isInterestOnly).toBe(false);
+      expect(result.assumptions.ioMonths).toBe(18);
+    });
+  });
+
+  // ============================================================================
+  // DATED RETURNS
+  // ============================================================================
+
+  describe('dated equity cash flows', () => {
+    test('equity flows are dated from the analysis start date', () => {
+      const result = projectMonthlyCashFlows(BASE_MODEL);
+
+      expect(result.equityCashFlows).toHaveLength(61);
+      expect(result.equityCashFlows[0]).toEqual({ date: '2026-01-01', amount: -3500000 });
+      expect(result.equityCashFlows[1].date).toBe('2026-01-31');
+      expect(result.equityCashFlows[60].date).toBe('2030-12-31');
+      expect(result.exit.date).toBe('2030-12-31');
+    });
+
+    test('annualized IRR is in a sensible range', () => {
+      const result = projectMonthlyCashFlows(BASE_MODEL);
+
+      expect(result.totals.irr).toBeGreaterThan(0.10);
+      expect(result.totals.irr).toBeLessThan(0.40);
+    });
+  });
+});
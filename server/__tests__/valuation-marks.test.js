@@ -0,0 +1,219 @@
+/**
+ * Valuation Marks Tests
+ *
+ * Tests mark validation, the approval workflow (including self-approval),
+ * direct cap / DCF / appraisal valuation, the change history diff and the
+ * allocation of net equity value to LP NAV through the waterfall.
+ */
+
+import {
+  quarterEndDate,
+  validateMarkRequest,
+  checkTransition,
+  nextStatus,
+  diffMark,
+  trailingNoiFromT12,
+  valueProperty,
+  allocateNav,
+  hashNav
+} from '../services/valuation-marks.js';
+import { projectDetailedCashFlows } from '../services/underwriting-calculator.js';
+
+const LP_ACTORS = [
+  { id: 'lp-a', entityName: 'Alpha LP', ownershipPct: 60, commitment: 600000, status: 'ACTIVE' },
+  { id: 'lp-b', entityName: 'Beta LP', ownershipPct: 40, commitment: 400000, status: 'ACTIVE' }
+];
+
+const CAPITAL_CALLS = [
+  {
+    status: 'FUNDED', dueDate: new Date('2024-01-01'), allocations: [
+      { lpActorId: 'lp-a', fundedAmount: 600000, fundedAt: new Date('2024-01-01') },
+      { lpActorId: 'lp-b', fundedAmount: 400000, fundedAt: new Date('2024-01-01') }
+    ]
+  }
+];
+
+// 8% pref, then 80/20 to a 12% IRR, then 70/30
+const STRUCTURE = {
+  lpEquity: 1000000,
+  gpEquity: 0,
+  preferredReturn: 0.08,
+  promoteTiers: JSON.stringify([
+    { hurdle: 0.12, lpSplit: 0.8, gpSplit: 0.2 },
+    { hurdle: 999, lpSplit: 0.7, gpSplit: 0.3 }
+  ]),
+  gpCatchUp: false
+};
+
+const MODEL_INPUTS = {
+  purchasePrice: 2000000,
+  grossPotentialRent: 250000,
+  vacancyRate: 0.05,
+  otherIncome: 0,
+  operatingExpenses: 60000,
+  taxes: 20000,
+  insurance: 5000,
+  management: 0.04,
+  reserves: 5000,
+  loanAmount: 1300000,
+  interestRate: 0.06,
+  amortization: 30,
+  loanTerm: 10,
+  ioPeriod: 0,
+  exitCapRate: 0.065,
+  holdPeriod: 5,
+  rentGrowth: 0.03,
+  expenseGrowth: 0.02
+};
+
+const T12 = [
+  { category: 'REVENUE', lineItem: 'Rental Income', annualAmount: 200000 },
+  { category: 'EXPENSE', lineItem: 'Taxes', annualAmount: 50000 },
+  { category: 'EXPENSE', lineItem: 'R&M', annualAmount: 30000 }
+];
+
+function sumNav(nav) {
+  return Math.round(nav.byLp.reduce((s, row) => s + row.nav, 0) * 100) / 100;
+}
+
+describe('Valuation Marks', () => {
+  // ============================================================================
+  // VALIDATION AND WORKFLOW
+  // ============================================================================
+
+  test('validateMarkRequest checks period and method inputs', () => {
+    expect(validateMarkRequest({ year: 2025, quarter: 4, method: 'DIRECT_CAP', inputs: { capRate: 0.06 } })).toEqual([]);
+    expect(validateMarkRequest({ year: 2025, quarter: 5, method: 'DIRECT_CAP', inputs: { capRate: 6, sellingCostPct: 1.5 } })).toEqual([
+      'quarter must be 1, 2, 3 or 4',
+      'capRate must be between 0 and 1',
+      'sellingCostPct must be between 0 and 1'
+    ]);
+    expect(validateMarkRequest({ year: 2025, quarter: 1, method: 'DCF', inputs: { discountRate: 0.1, holdYears: 40 } }))
+      .toEqual(['holdYears must be a whole number between 1 and 30']);
+    expect(validateMarkRequest({ method: 'APPRAISAL', inputs: { appraisedValue: 0, debtBalance: -1 } }, { partial: true })).toEqual([
+      'appraisedValue must be a positive number',
+      'appraiser is required for an appraisal mark',
+      'debtBalance must be a non-negative number'
+    ]);
+    expect(validateMarkRequest({ year: 2025, quarter: 1, method: 'GUESS' }))
+      .toEqual(['method must be one of DIRECT_CAP, DCF, APPRAISAL']);
+    expect(quarterEndDate(2025, 2).toISOString()).toBe('2025-06-30T23:59:59.999Z');
+  });
+
+  test('approval workflow enforces status, memo and self-approval', () => {
+    const draft = { status: 'DRAFT', createdBy: 'gp-1', memo: '' };
+    expect(checkTransition(draft, 'SUBMIT', { id: 'gp-1' })).toBe('A supporting memo is required before submitting');
+    expect(checkTransition({ ...draft, memo: 'Q4 mark' }, 'SUBMIT', { id: 'gp-1' })).toBeNull();
+    expect(checkTransition(draft, 'APPROVE', { id: 'gp-2' })).toBe('Cannot approve a mark with status DRAFT');
+
+    const submitted = { status: 'SUBMITTED', createdBy: 'gp-1', submittedBy: 'gp-3', memo: 'Q4 mark' };
+    expect(checkTransition(submitted, 'APPROVE', { id: 'gp-1' }))
+      .toBe('Cannot approve your own valuation mark - requires another GP/Admin to approve');
+    expect(checkTransition(submitted, 'APPROVE', { id: 'gp-3' }))
+      .toBe('Cannot approve your own valuation mark - requires another GP/Admin to approve');
+    expect(checkTransition(submitted, 'APPROVE', { id: 'gp-2' })).toBeNull();
+    expect(checkTransition(submitted, 'EDIT', { id: 'gp-1' })).toBe('Cannot edit a mark with status SUBMITTED');
+
+    expect(checkTransition({ status: 'REJECTED' }, 'EDIT', { id: 'gp-1' })).toBeNull();
+    expect(nextStatus('EDIT')).toBe('DRAFT');
+    expect(checkTransition({ status: 'APPROVED' }, 'REJECT', { id: 'gp-2' })).toBe('Cannot reject a mark with status APPROVED');
+  });
+
+  test('diffMark records changed fields only', () => {
+    const before = { method: 'DIRECT_CAP', inputs: { capRate: 0.06 }, memo: 'a', netEquityValue: 100, status: 'DRAFT' };
+    const after = { method: 'DIRECT_CAP', inputs: { capRate: 0.065 }, memo: 'a', netEquityValue: 90, status: 'DRAFT' };
+    expect(diffMark(before, after)).toEqual([
+      { field: 'inputs', from: { capRate: 0.06 }, to: { capRate: 0.065 } },
+      { field: 'netEquityValue', from: 100, to: 90 }
+    ]);
+    expect(diffMark({}, { method: 'APPRAISAL' })).toEqual([{ field: 'method', from: null, to: 'APPRAISAL' }]);
+  });
+
+  // ============================================================================
+  // VALUATION METHODS
+  // ============================================================================
+
+  test('direct cap uses GP NOI, then T12, then underwriting NOI', () => {
+    expect(trailingNoiFromT12(T12)).toEqual({ noi: 120000, revenue: 200000, expenses: 80000 });
+    expect(trailingNoiFromT12([])).toBeNull();
+
+    const fromT12 = valueProperty('DIRECT_CAP', { capRate: 0.06, sellingCostPct: 0.02, otherNetAssets: 25000 }, {
+      t12LineItems: T12, debtBalance: 1300000
+    });
+    expect(fromT12).toMatchObject({
+      grossAssetValue: 2000000,
+      debtBalance: 1300000,
+      sellingCosts: 40000,
+      otherNetAssets: 25000,
+      netEquityValue: 685000
+    });
+    expect(fromT12.details).toMatchObject({ trailingNoi: 120000, noiSource: 'T12' });
+
+    expect(valueProperty('DIRECT_CAP', { capRate: 0.05, trailingNoi: 110000 }, { t12LineItems: T12 }).details.noiSource).toBe('GP_INPUT');
+    expect(valueProperty('DIRECT_CAP', { capRate: 0.05 }, { model: { netOperatingIncome: 100000 } }))
+      .toMatchObject({ grossAssetValue: 2000000, details: { noiSource: 'UNDERWRITING' } });
+    expect(valueProperty('DIRECT_CAP', { capRate: 0.05 }, {})).toEqual({ error: 'No trailing NOI: enter trailingNoi or load a T12' });
+  });
+
+  test('DCF discounts the projected equity cash flows and reversion', () => {
+    const result = valueProperty('DCF', { discountRate: 0.12, holdYears: 5 }, { modelInputs: MODEL_INPUTS });
+    const projection = projectDetailedCashFlows(MODEL_INPUTS, 5);
+    const expected = projection.years.reduce((s, y) => s + y.beforeTaxCashFlow / Math.pow(1.12, y.year), 0)
+      + projection.exit.netEquityProceeds / Math.pow(1.12, 5);
+
+    expect(result.netEquityValue).toBeCloseTo(expected, 1);
+    expect(result.debtBalance).toBe(1300000);
+    expect(result.grossAssetValue).toBeCloseTo(expected + 1300000, 1);
+
+    // A higher discount rate lowers the mark
+    expect(valueProperty('DCF', { discountRate: 0.15 }, { modelInputs: MODEL_INPUTS }).netEquityValue)
+      .toBeLessThan(result.netEquityValue);
+    expect(valueProperty('DCF', { discountRate: 0.12 }, {})).toEqual({ error: 'DCF requires an underwriting model for the deal' });
+  });
+
+  test('appraisal override nets debt and records the appraiser', () => {
+    const result = valueProperty('APPRAISAL', {
+      appraisedValue: 2500000, appraiser: 'CBRE', appraisalDate: '2025-12-15', debtBalance: 1250000
+    }, { debtBalance: 1300000 });
+    expect(result).toMatchObject({ grossAssetValue: 2500000, debtBalance: 1250000, netEquityValue: 1250000 });
+    expect(result.details).toEqual({ appraiser: 'CBRE', appraisalDate: '2025-12-15', reportReference: null });
+  });
+
+  // ============================================================================
+  // LP NAV
+  // ============================================================================
+
+  test('NAV runs through the waterfall after paid distributions', () => {
+    const nav = allocateNav({
+      netEquityValue: 1500000,
+      asOfDate: new Date('2025-12-31'),
+      structure: STRUCTURE,
+      lpActors: LP_ACTORS,
+      capitalCalls: CAPITAL_CALLS,
+      distributions: [
+        { status: 'PAID', distributionDate: new Date('2025-06-30'), totalAmount: 50000 },
+        { status: 'APPROVED', distributionDate: new Date('2025-09-30'), totalAmount: 99999 }
+      ]
+    });
+
+    expect(nav.method).toBe('WATERFALL');
+    expect(nav.lpTotal + nav.gpTotal).toBeCloseTo(1500000, 2);
+    expect(nav.gpTotal).toBeGreaterThan(0);
+    expect(sumNav(nav)).toBe(nav.lpTotal);
+    expect(nav.byLp.map(row => row.lpActorId)).toEqual(['lp-a', 'lp-b']);
+    expect(nav.byLp[0].nav / nav.byLp[1].nav).toBeCloseTo(1.5, 4);
+  });
+
+  test('NAV falls back to ownership without a structure and floors at zero', () => {
+    const proRata = allocateNav({ netEquityValue: 900000, asOfDate: new Date('2025-12-31'), lpActors: LP_ACTORS });
+    expect(proRata).toMatchObject({ method: 'PRO_RATA', lpTotal: 900000, gpTotal: 0 });
+    expect(proRata.byLp.map(row => row.nav)).toEqual([540000, 360000]);
+
+    const underwater = allocateNav({ netEquityValue: -50000, asOfDate: new Date('2025-12-31'), lpActors: LP_ACTORS });
+    expect(underwater.lpTotal).toBe(0);
+    expect(underwater.warnings).toEqual(['Net equity value is negative; LP NAV is floored at zero']);
+
+    expect(hashNav(proRata)).toBe(hashNav({ ...proRata }));
+    expect(hashNav(proRata)).not.toBe(hashNav(underwater));
+  });
+});
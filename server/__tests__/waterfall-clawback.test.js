@@ -0,0 +1,156 @@
+/**
+ * Waterfall Mode and Clawback Tests
+ *
+ * Tests European (whole-fund) vs American (deal-by-deal) distribution,
+ * interim promote tracking, and the clawback/true-up schedule per GP entity.
+ */
+
+import {
+  calculateWaterfall,
+  calculateClawback,
+  normalizeGpEntities,
+  formatWaterfallForDisplay,
+  groupLPsByClassPriority
+} from '../services/waterfall-calculator.js';
+
+const STRUCTURE = {
+  lpEquity: 900000,
+  gpEquity: 100000,
+  preferredReturn: 0.08,
+  promoteTiers: [{ hurdle: Infinity, lpSplit: 0.80, gpSplit: 0.20 }],
+  gpCatchUp: false
+};
+
+const AMERICAN = { ...STRUCTURE, waterfallMode: 'AMERICAN' };
+
+// Strong interim cash flow, weak sale
+const WEAK_EXIT = [200000, 200000, 200000, 600000];
+
+describe('Waterfall Mode and Clawback', () => {
+  // ============================================================================
+  // WATERFALL MODES
+  // ============================================================================
+
+  describe('waterfall modes', () => {
+    test('defaults to European with no clawback', () => {
+      const result = calculateWaterfall(WEAK_EXIT, STRUCTURE);
+
+      expect(result.summary.waterfallMode).toBe('EUROPEAN');
+      expect(result.clawback).toBeNull();
+      expect(result.yearlyDistributions.every(d => d.promotePaid === 0)).toBe(true);
+    });
+
+    test('American pays pref and promote before capital comes back', () => {
+      const result = calculateWaterfall(WEAK_EXIT, AMERICAN);
+      const [year1] = result.yearlyDistributions;
+
+      expect(year1.lpCapitalReturned).toBe(0);
+      expect(year1.lpPrefPaid).toBe(72000);
+      expect(year1.promotePaid).toBeCloseTo(12800, 6);
+      expect(result.summary.lpCapitalReturned).toBe(540000);
+    });
+
+    test('capital event periods return capital on a refinance', () => {
+      const result = calculateWaterfall([200000, 1200000, 100000, 600000], AMERICAN, {
+        capitalEventPeriods: [2, 4]
+      });
+
+      expect(result.yearlyDistributions[0].lpCapitalReturned).toBe(0);
+      expect(result.yearlyDistributions[1].lpCapitalReturned).toBe(900000);
+    });
+
+    test('unknown modes fall back to European', () => {
+      const result = calculateWaterfall(WEAK_EXIT, { ...STRUCTURE, waterfallMode: 'GLOBAL' });
+      expect(result.summary.waterfallMode).toBe('EUROPEAN');
+    });
+  });
+
+  // ============================================================================
+  // CLAWBACK AND TRUE-UP
+  // ============================================================================
+
+  describe('clawback', () => {
+    test('claws back excess promote net of taxes per GP entity', () => {
+      const result = calculateWaterfall(WEAK_EXIT, {
+        ...AMERICAN,
+        gpEntities: [
+          { id: 'sponsor', name: 'Sponsor LLC', promoteShare: 0.75, taxRate: 0.30 },
+          { id: 'mgmt', name: 'Management Co', promoteShare: 0.25 }
+        ]
+      });
+      const { clawback } = result;
+      const [sponsor, mgmt] = clawback.byEntity;
+
+      expect(clawback.promotePaid).toBeCloseTo(38400, 6);
+      expect(clawback.promoteEarned).toBe(0);
+      expect(sponsor.promotePaid).toBeCloseTo(28800, 6);
+      expect(sponsor.taxesPaid).toBeCloseTo(8640, 6);
+      expect(sponsor.clawbackDue).toBeCloseTo(20160, 6);
+      expect(mgmt.clawbackDue).toBeCloseTo(9600, 6);
+      expect(clawback.clawbackDue).toBeCloseTo(29760, 6);
+      expect(clawback.trueUpDue).toBe(0);
+      expect(clawback.adjustedLpReturn).toBeCloseTo(result.summary.lpTotalReturn + 29760, 6);
+      expect(clawback.adjustedGpReturn).toBeCloseTo(result.summary.gpTotalReturn - 29760, 6);
+    });
+
+    test('owes the GP a true-up when interim promote falls short', () => {
+      const { clawback } = calculateWaterfall([50000, 50000, 50000, 2000000], AMERICAN);
+
+      expect(clawback.promoteEarned).toBeGreaterThan(clawback.promotePaid);
+      expect(clawback.trueUpDue).toBeCloseTo(clawback.promoteEarned - clawback.promotePaid, 6);
+      expect(clawback.clawbackDue).toBe(0);
+    });
+
+    test('schedule tracks cumulative promote paid by entity', () => {
+      const { schedule } = calculateClawback({
+        yearlyDistributions: [{ year: 1, promotePaid: 1000 }, { year: 2, promotePaid: 3000 }],
+        promoteEarned: 2000,
+        gpEntities: [{ id: 'a', promoteShare: 3 }, { id: 'b', promoteShare: 1 }]
+      });
+
+      expect(schedule[1].cumulativePromotePaid).toBe(4000);
+      expect(schedule[1].byEntity).toEqual({ a: 2250, b: 750 });
+    });
+
+    test('per-class waterfalls settle against the per-class European run', () => {
+      const perClassConfig = groupLPsByClassPriority([
+        { lpActorId: 'a', ownershipPct: 50, commitment: 450000, shareClass: { id: '1', code: 'A', name: 'A', preferredReturn: 0.08, priority: 1 } },
+        { lpActorId: 'b', ownershipPct: 50, commitment: 450000, shareClass: { id: '2', code: 'B', name: 'B', preferredReturn: 0.10, priority: 2 } }
+      ]);
+      const result = calculateWaterfall(WEAK_EXIT, AMERICAN, { useClassTerms: true, perClassConfig });
+
+      expect(result.byClass.A).toBeDefined();
+      expect(result.yearlyDistributions[0].byClass.A.capitalReturn).toBe(0);
+      expect(result.clawback.promotePaid).toBeGreaterThan(0);
+      expect(result.clawback.clawbackDue).toBeCloseTo(result.clawback.promotePaid - result.clawback.promoteEarned, 6);
+    });
+  });
+
+  // ============================================================================
+  // HELPERS AND DISPLAY
+  // ============================================================================
+
+  describe('normalizeGpEntities', () => {
+    test('defaults to a single General Partner', () => {
+      expect(normalizeGpEntities(null, 0.2)).toEqual([
+        { id: 'GP', name: 'General Partner', promoteShare: 1, taxRate: 0.2 }
+      ]);
+    });
+
+    test('rescales promote shares to sum to one', () => {
+      const entities = normalizeGpEntities([{ name: 'A', promoteShare: 60 }, { name: 'B', promoteShare: 20 }]);
+
+      expect(entities.map(e => e.promoteShare)).toEqual([0.75, 0.25]);
+      expect(entities[1].id).toBe('gp-2');
+    });
+  });
+
+  test('formatWaterfallForDisplay includes mode and clawback', () => {
+    const formatted = formatWaterfallForDisplay(calculateWaterfall(WEAK_EXIT, AMERICAN));
+
+    expect(formatted.summary.waterfallMode).toBe('AMERICAN');
+    expect(formatted.structure.waterfallMode).toBe('American (deal-by-deal)');
+    expect(formatted.clawback.clawbackDue).toBe('$38,400');
+    expect(formatted.clawback.byEntity[0].name).toBe('General Partner');
+  });
+});
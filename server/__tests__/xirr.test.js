@@ -0,0 +1,121 @@
+/**
+ * XIRR / Dated Cash Flow Tests
+ *
+ * Tests calculateXIRR/calculateXNPV against Excel reference values and
+ * dated IRRs in the waterfall calculator.
+ */
+
+import { calculateXIRR, calculateXNPV } from '../services/underwriting-calculator.js';
+import { calculateWaterfall } from '../services/waterfall-calculator.js';
+
+// Excel XIRR documentation example
+const EXCEL_FLOWS = [
+  { date: '2008-01-01', amount: -10000 },
+  { date: '2008-03-01', amount: 2750 },
+  { date: '2008-10-30', amount: 4250 },
+  { date: '2009-02-15', amount: 3250 },
+  { date: '2009-04-01', amount: 2750 }
+];
+
+const STRUCTURE = {
+  lpEquity: 9000000,
+  gpEquity: 1000000,
+  preferredReturn: 0.08,
+  promoteTiers: [
+    { hurdle: 0.12, lpSplit: 0.80, gpSplit: 0.20 },
+    { hurdle: Infinity, lpSplit: 0.70, gpSplit: 0.30 }
+  ],
+  gpCatchUp: false,
+  catchUpPercent: 1.0,
+  lookback: false
+};
+
+describe('XIRR and dated cash flows', () => {
+  // ============================================================================
+  // XIRR / XNPV
+  // ============================================================================
+
+  describe('calculateXIRR', () => {
+    test('matches the Excel reference value', () => {
+      expect(calculateXIRR(EXCEL_FLOWS)).toBeCloseTo(0.373362535, 6);
+    });
+
+    test('is order independent', () => {
+      expect(calculateXIRR([...EXCEL_FLOWS].reverse())).toBeCloseTo(0.373362535, 6);
+    });
+
+    test('one year apart equals the simple return', () => {
+      const irr = calculateXIRR([
+        { date: '2025-01-01', amount: -1000 },
+        { date: '2026-01-01', amount: 1100 }
+      ]);
+      expect(irr).toBeCloseTo(0.10, 6);
+    });
+
+    test('returns null without a sign change', () => {
+      expect(calculateXIRR([{ date: '2025-01-01', amount: -1000 }])).toBeNull();
+      expect(calculateXIRR([
+        { date: '2025-01-01', amount: 500 },
+        { date: '2025-06-01', amount: 500 }
+      ])).toBeNull();
+    });
+
+    test('handles losses', () => {
+      const irr = calculateXIRR([
+        { date: '2024-01-01', amount: -1000 },
+        { date: '2026-01-01', amount: 400 }
+      ]);
+      expect(irr).toBeLessThan(0);
+      expect(calculateXNPV(irr, [
+        { date: '2024-01-01', amount: -1000 },
+        { date: '2026-01-01', amount: 400 }
+      ])).toBeCloseTo(0, 2);
+    });
+  });
+
+  describe('calculateXNPV', () => {
+    test('matches the Excel reference value', () => {
+      expect(calculateXNPV(0.09, EXCEL_FLOWS)).toBeCloseTo(2086.65, 2);
+    });
+
+    test('is zero at the XIRR', () => {
+      expect(calculateXNPV(calculateXIRR(EXCEL_FLOWS), EXCEL_FLOWS)).toBeCloseTo(0, 4);
+    });
+  });
+
+  // ============================================================================
+  // WATERFALL
+  // ============================================================================
+
+  describe('calculateWaterfall with dates', () => {
+    const cashFlows = [800000, 800000, 14000000];
+
+    test('annual-spaced dates agree with periodic IRR', () => {
+      const periodic = calculateWaterfall(cashFlows, STRUCTURE);
+      const dated = calculateWaterfall(cashFlows, STRUCTURE, {
+        dates: ['2025-01-01', '2026-01-01', '2027-01-01', '2028-01-01']
+      });
+
+      expect(periodic.summary.irrMethod).toBe('IRR');
+      expect(dated.summary.irrMethod).toBe('XIRR');
+      expect(dated.summary.lpIRR).toBeCloseTo(periodic.summary.lpIRR, 2);
+    });
+
+    test('an earlier exit raises the LP IRR', () => {
+      const onSchedule = calculateWaterfall(cashFlows, STRUCTURE, {
+        dates: ['2025-01-01', '2025-12-31', '2026-12-31', '2027-12-31']
+      });
+      const earlyExit = calculateWaterfall(cashFlows, STRUCTURE, {
+        dates: ['2025-01-01', '2025-12-31', '2026-12-31', '2027-03-31']
+      });
+
+      expect(earlyExit.summary.lpIRR).toBeGreaterThan(onSchedule.summary.lpIRR);
+      expect(earlyExit.summary.lpTotalReturn).toBeCloseTo(onSchedule.summary.lpTotalReturn, 2);
+    });
+
+    test('mismatched dates fall back to periodic IRR', () => {
+      const result = calculateWaterfall(cashFlows, STRUCTURE, { dates: ['2025-01-01'] });
+      expect(result.summary.irrMethod).toBe('IRR');
+    });
+  });
+});
@@ -48,7 +48,10 @@ import {
   handleGetTransfer,
   handleApproveTransfer,
   handleCompleteTransfer,
-  handleCancelTransfer
+  handleCancelTransfer,
+  handleUpdateTransferTerms,
+  handleGetMyRofrNotices,
+  handleRespondRofrNotice
 } from "./routes/lp-transfers.js";
 import {
   handleListShareClasses,
@@ -131,6 +134,12 @@ import {
   handleResolveConflict,
   handleDismissConflict,
   handleGetExtractionReport,
+  // Retrieval index
+  handleGetRetrievalIndexStatus,
+  handleRebuildRetrievalIndex,
+  handleIndexDocumentText,
+  handleRemoveIndexedDocument,
+  handleSearchRetrievalIndex,
   // Phase 2.2: Verification Agent
   handleGetVerificationStatus,
   handleGetLineage,
@@ -244,6 +253,15 @@ import {
   handleVerifyInput,
   handleGetCashFlows,
   handleGetScenarioCashFlows,
+  handleGetDebtStack,
+  handleUpdateDebtStack,
+  handleGetFloatingRate,
+  handleUpdateFloatingRate,
+  handleGetLeaseCashFlows,
+  handleUpdateLeasingAssumptions,
+  handleUpdateLeaseTerms,
+  handleGetDevelopmentBudget,
+  handleUpdateDevelopmentBudget,
   handleGetWaterfall,
   handleCreateWaterfall,
   handleUpdateWaterfall,
@@ -255,6 +273,9 @@ import {
   handleHoldPeriodSensitivity,
   handleQuickSensitivity,
   handleCreateScenarioFromSensitivity,
+  handleOptimizeExitPlan,
+  handleCreateScenarioFromExitPlan,
+  handleMonteCarloSimulation,
   // Sector endpoints
   handleGetAllSectors,
   handleGetSectorConfig,
@@ -344,6 +365,104 @@ import {
   handleMarkFunded,
   handleGenerateCapitalCallNotices
 } from "./routes/capital-calls.js";
+import {
+  handleListFeeInvoices,
+  handleAccrueFees,
+  handleSettleFeeInvoice
+} from "./routes/fees.js";
+import {
+  handleListAccountingPeriods,
+  handleGetAccountingPeriod,
+  handleCreateAccountingPeriod,
+  handleSoftClosePeriod,
+  handleHardClosePeriod,
+  handleReopenPeriod,
+  handleGetClosePackage,
+  handleExportCloseJournal
+} from "./routes/accounting-periods.js";
+import {
+  handleListTaxYears,
+  handleCreateTaxYear,
+  handleGetTaxYear,
+  handleUpdateTaxYear,
+  handlePublishTaxYear,
+  handleGetTaxYearK1Pdf,
+  handleGetMyK1Packages,
+  handleDownloadMyK1Pdf,
+  handleDownloadMyK1Data
+} from "./routes/tax-k1.js";
+import {
+  handleListValuationMarks,
+  handleCreateValuationMark,
+  handleGetValuationMark,
+  handleUpdateValuationMark,
+  handleSubmitValuationMark,
+  handleApproveValuationMark,
+  handleRejectValuationMark,
+  handleGetDealNav
+} from "./routes/valuation-marks.js";
+import {
+  handleListCapitalCallDefaults,
+  handleProcessCapitalCallDefaults,
+  handleGetCapitalCallDefault,
+  handleApplyDefaultRemedy,
+  handleWaiveCapitalCallDefault,
+  handleResendDefaultNotice
+} from "./routes/capital-call-defaults.js";
+import {
+  handleListSubscriptions,
+  handleGetSubscription,
+  handleApproveSubscription,
+  handleReturnSubscription,
+  handleRejectSubscription,
+  handleCountersignSubscription,
+  handleGetMySubscriptions,
+  handleGetMySubscription,
+  handleUpdateMySubscription,
+  handleSubmitMySubscription
+} from "./routes/subscriptions.js";
+import {
+  handleListMajorEvents,
+  handleCreateMajorEvent,
+  handleGetMajorEvent,
+  handleAnnounceMajorEvent,
+  handleGetMyConsents,
+  handleVoteMyConsent,
+  handleGetMyConsentCertificate
+} from "./routes/major-events.js";
+import {
+  handleListDealIssues,
+  handleCreateDealIssue,
+  handleGetDealIssue,
+  handleUpdateDealIssue,
+  handleAddDealIssueUpdate,
+  handlePublishDealIssue,
+  handleGetMyDealIssue
+} from "./routes/deal-issues.js";
+import {
+  handleGetMyPaymentProfiles,
+  handleRequestPaymentProfileChange,
+  handleCancelMyPaymentProfileChange,
+  handleListDealPaymentProfiles,
+  handleRevealPaymentProfile,
+  handleRevealPaymentProfileChange,
+  handleVerifyPaymentProfileChange,
+  handleRejectPaymentProfileChange
+} from "./routes/payment-profiles.js";
+import {
+  handleGetMarketingRoom,
+  handleUpsertMarketingRoom,
+  handleSetMarketingRoomStatus,
+  handleReviewMarketingAccess,
+  handleConvertMarketingInterest,
+  handleTraceMarketingWatermark,
+  handleGetMarketingTeaser,
+  handleRequestMarketingAccess,
+  handleGetProspectRoom,
+  handleGetProspectDocument,
+  handleIndicateInterest,
+  handleWithdrawInterest
+} from "./routes/marketing-room.js";
 import {
   handleListDistributions,
   handleGetDistribution,
@@ -1126,6 +1245,67 @@ async function handleRequest(req, res) {
     return handleGetScenarioCashFlows(req, res, scenarioCashFlowsMatch[1]);
   }
 
+  // Multi-tranche debt stack (get / size and persist)
+  const debtStackMatch = path.match(/^\/api\/deals\/([^/]+)\/underwriting\/debt-stack$/);
+  if (req.method === "GET" && debtStackMatch) {
+    const authUser = await requireDealAccess(req, res, debtStackMatch[1]);
+    if (!authUser) return;
+    return handleGetDebtStack(req, res, debtStackMatch[1]);
+  }
+  if (req.method === "PUT" && debtStackMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, debtStackMatch[1]);
+    if (!authUser) return;
+    return handleUpdateDebtStack(req, res, debtStackMatch[1]);
+  }
+
+  // Floating-rate terms, forward curve and rate-path stress test
+  const floatingRateMatch = path.match(/^\/api\/deals\/([^/]+)\/underwriting\/floating-rate$/);
+  if (req.method === "GET" && floatingRateMatch) {
+    const authUser = await requireDealAccess(req, res, floatingRateMatch[1]);
+    if (!authUser) return;
+    return handleGetFloatingRate(req, res, floatingRateMatch[1]);
+  }
+  if (req.method === "PUT" && floatingRateMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, floatingRateMatch[1]);
+    if (!authUser) return;
+    return handleUpdateFloatingRate(req, res, floatingRateMatch[1]);
+  }
+
+  // Lease-by-lease cash flows, market leasing assumptions and per-lease terms
+  const leaseCashFlowsMatch = path.match(/^\/api\/deals\/([^/]+)\/underwriting\/lease-cash-flows$/);
+  if (req.method === "GET" && leaseCashFlowsMatch) {
+    const authUser = await requireDealAccess(req, res, leaseCashFlowsMatch[1]);
+    if (!authUser) return;
+    return handleGetLeaseCashFlows(req, res, leaseCashFlowsMatch[1]);
+  }
+
+  const leasingAssumptionsMatch = path.match(/^\/api\/deals\/([^/]+)\/underwriting\/leasing-assumptions$/);
+  if (req.method === "PUT" && leasingAssumptionsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, leasingAssumptionsMatch[1]);
+    if (!authUser) return;
+    return handleUpdateLeasingAssumptions(req, res, leasingAssumptionsMatch[1]);
+  }
+
+  const leaseTermsMatch = path.match(/^\/api\/deals\/([^/]+)\/underwriting\/rent-roll\/([^/]+)\/lease-terms$/);
+  if (req.method === "PUT" && leaseTermsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, leaseTermsMatch[1]);
+    if (!authUser) return;
+    return handleUpdateLeaseTerms(req, res, leaseTermsMatch[1], leaseTermsMatch[2]);
+  }
+
+  // Development budget: cost line items, construction loan, lease-up and returns on cost
+  const developmentMatch = path.match(/^\/api\/deals\/([^/]+)\/underwriting\/development$/);
+  if (req.method === "GET" && developmentMatch) {
+    const authUser = await requireDealAccess(req, res, developmentMatch[1]);
+    if (!authUser) return;
+    return handleGetDevelopmentBudget(req, res, developmentMatch[1]);
+  }
+  if (req.method === "PUT" && developmentMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, developmentMatch[1]);
+    if (!authUser) return;
+    return handleUpdateDevelopmentBudget(req, res, developmentMatch[1]);
+  }
+
   // Apply extraction to model
   const applyExtractionMatch = path.match(/^\/api\/deals\/([^/]+)\/underwriting\/apply-extraction$/);
   if (req.method === "POST" && applyExtractionMatch) {
@@ -1313,6 +1493,31 @@ async function handleRequest(req, res) {
     return handleCreateScenarioFromSensitivity(req, res, createScenarioFromSensMatch[1], authUser);
   }
 
+  // Optimize exit year, exit cap and refinance timing
+  const exitOptimizerMatch = path.match(/^\/api\/deals\/([^/]+)\/sensitivity\/exit-optimizer$/);
+  if (req.method === "POST" && exitOptimizerMatch) {
+    const authUser = await requireDealAccess(req, res, exitOptimizerMatch[1]);
+    if (!authUser) return;
+    return handleOptimizeExitPlan(req, res, exitOptimizerMatch[1]);
+  }
+
+  // Create scenario from an optimized exit plan
+  const exitPlanScenarioMatch = path.match(/^\/api\/deals\/([^/]+)\/sensitivity\/exit-optimizer\/create-scenario$/);
+  if (req.method === "POST" && exitPlanScenarioMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, exitPlanScenarioMatch[1]);
+    if (!authUser) return;
+    // SECURITY: Pass validated authUser, not spoofable headers
+    return handleCreateScenarioFromExitPlan(req, res, exitPlanScenarioMatch[1], authUser);
+  }
+
+  // Monte Carlo simulation of underwriting returns
+  const monteCarloMatch = path.match(/^\/api\/deals\/([^/]+)\/sensitivity\/monte-carlo$/);
+  if (req.method === "POST" && monteCarloMatch) {
+    const authUser = await requireDealAccess(req, res, monteCarloMatch[1]);
+    if (!authUser) return;
+    return handleMonteCarloSimulation(req, res, monteCarloMatch[1]);
+  }
+
   // ========== SECTOR-SPECIFIC UNDERWRITING ==========
 
   // Get all available sectors (public reference data - auth required but no deal access)
@@ -1721,6 +1926,323 @@ async function handleRequest(req, res) {
     return handleLPPortalExport(req, res, dealId, KERNEL_BASE_URL, lpContext.lpEmail);
   }
 
+  // ========== SUBSCRIPTIONS ==========
+
+  // GP: List subscriptions for a deal
+  const subscriptionsListMatch = path.match(/^\/api\/deals\/([^/]+)\/subscriptions$/);
+  if (req.method === "GET" && subscriptionsListMatch) {
+    const authUser = await requireDealAccess(req, res, subscriptionsListMatch[1]);
+    if (!authUser) return;
+    return handleListSubscriptions(req, res, subscriptionsListMatch[1], url);
+  }
+
+  // GP: Get single subscription with history
+  const subscriptionDetailMatch = path.match(/^\/api\/deals\/([^/]+)\/subscriptions\/([^/]+)$/);
+  if (req.method === "GET" && subscriptionDetailMatch) {
+    const authUser = await requireDealAccess(req, res, subscriptionDetailMatch[1]);
+    if (!authUser) return;
+    return handleGetSubscription(req, res, subscriptionDetailMatch[1], subscriptionDetailMatch[2]);
+  }
+
+  // GP: Review actions - approve for countersignature, return for changes, reject, countersign
+  const subscriptionActionMatch = path.match(/^\/api\/deals\/([^/]+)\/subscriptions\/([^/]+)\/(approve|return|reject|countersign)$/);
+  if (req.method === "POST" && subscriptionActionMatch) {
+    const [, dealId, subscriptionId, action] = subscriptionActionMatch;
+    const authUser = await requireGPWithDealAccess(req, res, dealId);
+    if (!authUser) return;
+    if (action === "approve") return handleApproveSubscription(req, res, dealId, subscriptionId, readJsonBody);
+    if (action === "return") return handleReturnSubscription(req, res, dealId, subscriptionId, readJsonBody);
+    if (action === "reject") return handleRejectSubscription(req, res, dealId, subscriptionId, readJsonBody);
+    return handleCountersignSubscription(req, res, dealId, subscriptionId, readJsonBody, KERNEL_BASE_URL);
+  }
+
+  // LP: My subscriptions
+  if (req.method === "GET" && path === "/api/lp/portal/subscriptions") {
+    const authUser = await extractAuthUser(req);
+    return handleGetMySubscriptions(req, res, authUser);
+  }
+
+  // LP: Get or save my subscription for a deal
+  const lpSubscriptionMatch = path.match(/^\/api\/lp\/portal\/subscriptions\/([^/]+)$/);
+  if (req.method === "GET" && lpSubscriptionMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleGetMySubscription(req, res, authUser, lpSubscriptionMatch[1]);
+  }
+  if (req.method === "PATCH" && lpSubscriptionMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleUpdateMySubscription(req, res, authUser, lpSubscriptionMatch[1], readJsonBody);
+  }
+
+  // LP: Sign and submit my subscription
+  const lpSubscriptionSubmitMatch = path.match(/^\/api\/lp\/portal\/subscriptions\/([^/]+)\/submit$/);
+  if (req.method === "POST" && lpSubscriptionSubmitMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleSubmitMySubscription(req, res, authUser, lpSubscriptionSubmitMatch[1], readJsonBody);
+  }
+
+  // ========== MAJOR EVENTS & LP CONSENT ==========
+
+  // GP: List / create major events for a deal
+  const majorEventsMatch = path.match(/^\/api\/deals\/([^/]+)\/major-events$/);
+  if (req.method === "GET" && majorEventsMatch) {
+    const authUser = await requireDealAccess(req, res, majorEventsMatch[1]);
+    if (!authUser) return;
+    return handleListMajorEvents(req, res, majorEventsMatch[1], url);
+  }
+  if (req.method === "POST" && majorEventsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, majorEventsMatch[1]);
+    if (!authUser) return;
+    return handleCreateMajorEvent(req, res, majorEventsMatch[1], readJsonBody);
+  }
+
+  // GP: Get major event with votes and tally
+  const majorEventDetailMatch = path.match(/^\/api\/deals\/([^/]+)\/major-events\/([^/]+)$/);
+  if (req.method === "GET" && majorEventDetailMatch) {
+    const authUser = await requireDealAccess(req, res, majorEventDetailMatch[1]);
+    if (!authUser) return;
+    return handleGetMajorEvent(req, res, majorEventDetailMatch[1], majorEventDetailMatch[2]);
+  }
+
+  // GP: Announce major event / open consent
+  const majorEventAnnounceMatch = path.match(/^\/api\/deals\/([^/]+)\/major-events\/([^/]+)\/announce$/);
+  if (req.method === "POST" && majorEventAnnounceMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, majorEventAnnounceMatch[1]);
+    if (!authUser) return;
+    return handleAnnounceMajorEvent(req, res, majorEventAnnounceMatch[1], majorEventAnnounceMatch[2]);
+  }
+
+  // LP: My consent requests
+  if (req.method === "GET" && path === "/api/lp/portal/consents") {
+    const authUser = await extractAuthUser(req);
+    return handleGetMyConsents(req, res, authUser);
+  }
+
+  // LP: Cast consent vote
+  const lpConsentVoteMatch = path.match(/^\/api\/lp\/portal\/consents\/([^/]+)\/vote$/);
+  if (req.method === "POST" && lpConsentVoteMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleVoteMyConsent(req, res, authUser, lpConsentVoteMatch[1], readJsonBody);
+  }
+
+  // LP: Signed consent certificate
+  const lpConsentCertificateMatch = path.match(/^\/api\/lp\/portal\/consents\/([^/]+)\/certificate$/);
+  if (req.method === "GET" && lpConsentCertificateMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleGetMyConsentCertificate(req, res, authUser, lpConsentCertificateMatch[1]);
+  }
+
+  // LP: ROFR notices on proposed transfers
+  if (req.method === "GET" && path === "/api/lp/portal/rofr-notices") {
+    const authUser = await extractAuthUser(req);
+    return handleGetMyRofrNotices(req, res, authUser);
+  }
+
+  // LP: Waive or exercise ROFR
+  const lpRofrRespondMatch = path.match(/^\/api\/lp\/portal\/rofr-notices\/([^/]+)\/respond$/);
+  if (req.method === "POST" && lpRofrRespondMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleRespondRofrNotice(req, res, authUser, lpRofrRespondMatch[1], readJsonBody);
+  }
+
+  // LP: Published K-1 packages
+  if (req.method === "GET" && path === "/api/lp/portal/k1") {
+    const authUser = await extractAuthUser(req);
+    return handleGetMyK1Packages(req, res, authUser);
+  }
+
+  // LP: Download K-1 PDF or data file
+  const lpK1DownloadMatch = path.match(/^\/api\/lp\/portal\/k1\/([^/]+)\/(pdf|data)$/);
+  if (req.method === "GET" && lpK1DownloadMatch) {
+    const authUser = await extractAuthUser(req);
+    if (lpK1DownloadMatch[2] === "pdf") return handleDownloadMyK1Pdf(req, res, authUser, lpK1DownloadMatch[1]);
+    return handleDownloadMyK1Data(req, res, authUser, lpK1DownloadMatch[1]);
+  }
+
+  // ========== DEAL ISSUES ==========
+
+  // GP: List / log issues for a deal
+  const dealIssuesMatch = path.match(/^\/api\/deals\/([^/]+)\/issues$/);
+  if (req.method === "GET" && dealIssuesMatch) {
+    const authUser = await requireDealAccess(req, res, dealIssuesMatch[1]);
+    if (!authUser) return;
+    return handleListDealIssues(req, res, dealIssuesMatch[1], url);
+  }
+  if (req.method === "POST" && dealIssuesMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealIssuesMatch[1]);
+    if (!authUser) return;
+    return handleCreateDealIssue(req, res, dealIssuesMatch[1], readJsonBody);
+  }
+
+  // GP: Get / edit single issue
+  const dealIssueDetailMatch = path.match(/^\/api\/deals\/([^/]+)\/issues\/([^/]+)$/);
+  if (req.method === "GET" && dealIssueDetailMatch) {
+    const authUser = await requireDealAccess(req, res, dealIssueDetailMatch[1]);
+    if (!authUser) return;
+    return handleGetDealIssue(req, res, dealIssueDetailMatch[1], dealIssueDetailMatch[2]);
+  }
+  if (req.method === "PATCH" && dealIssueDetailMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealIssueDetailMatch[1]);
+    if (!authUser) return;
+    return handleUpdateDealIssue(req, res, dealIssueDetailMatch[1], dealIssueDetailMatch[2], readJsonBody);
+  }
+
+  // GP: Post issue update / change status
+  const dealIssueUpdatesMatch = path.match(/^\/api\/deals\/([^/]+)\/issues\/([^/]+)\/updates$/);
+  if (req.method === "POST" && dealIssueUpdatesMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealIssueUpdatesMatch[1]);
+    if (!authUser) return;
+    return handleAddDealIssueUpdate(req, res, dealIssueUpdatesMatch[1], dealIssueUpdatesMatch[2], readJsonBody);
+  }
+
+  // GP: Publish LP-safe version
+  const dealIssuePublishMatch = path.match(/^\/api\/deals\/([^/]+)\/issues\/([^/]+)\/publish$/);
+  if (req.method === "POST" && dealIssuePublishMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealIssuePublishMatch[1]);
+    if (!authUser) return;
+    return handlePublishDealIssue(req, res, dealIssuePublishMatch[1], dealIssuePublishMatch[2], readJsonBody);
+  }
+
+  // LP: Published issue detail
+  const lpMyIssueMatch = path.match(/^\/api\/lp\/portal\/my-investments\/([^/]+)\/issues\/([^/]+)$/);
+  if (req.method === "GET" && lpMyIssueMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleGetMyDealIssue(req, res, authUser, lpMyIssueMatch[1], lpMyIssueMatch[2]);
+  }
+
+  // ========== LP PAYMENT PROFILES ==========
+
+  // GP: Masked payment profiles for a deal's LPs
+  const dealPaymentProfilesMatch = path.match(/^\/api\/deals\/([^/]+)\/payment-profiles$/);
+  if (req.method === "GET" && dealPaymentProfilesMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealPaymentProfilesMatch[1]);
+    if (!authUser) return;
+    return handleListDealPaymentProfiles(req, res, dealPaymentProfilesMatch[1]);
+  }
+
+  // GP: Unmasked payment profile (audited)
+  const dealPaymentProfileRevealMatch = path.match(/^\/api\/deals\/([^/]+)\/payment-profiles\/([^/]+)\/reveal$/);
+  if (req.method === "POST" && dealPaymentProfileRevealMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealPaymentProfileRevealMatch[1]);
+    if (!authUser) return;
+    return handleRevealPaymentProfile(req, res, dealPaymentProfileRevealMatch[1], dealPaymentProfileRevealMatch[2], readJsonBody);
+  }
+
+  // GP: Unmasked change request (audited)
+  const dealPaymentChangeRevealMatch = path.match(/^\/api\/deals\/([^/]+)\/payment-profile-changes\/([^/]+)\/reveal$/);
+  if (req.method === "POST" && dealPaymentChangeRevealMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealPaymentChangeRevealMatch[1]);
+    if (!authUser) return;
+    return handleRevealPaymentProfileChange(req, res, dealPaymentChangeRevealMatch[1], dealPaymentChangeRevealMatch[2], readJsonBody);
+  }
+
+  // GP: Verify (out-of-band) and apply a change request
+  const dealPaymentChangeVerifyMatch = path.match(/^\/api\/deals\/([^/]+)\/payment-profile-changes\/([^/]+)\/verify$/);
+  if (req.method === "POST" && dealPaymentChangeVerifyMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealPaymentChangeVerifyMatch[1]);
+    if (!authUser) return;
+    return handleVerifyPaymentProfileChange(req, res, dealPaymentChangeVerifyMatch[1], dealPaymentChangeVerifyMatch[2], readJsonBody);
+  }
+
+  // GP: Reject a change request
+  const dealPaymentChangeRejectMatch = path.match(/^\/api\/deals\/([^/]+)\/payment-profile-changes\/([^/]+)\/reject$/);
+  if (req.method === "POST" && dealPaymentChangeRejectMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealPaymentChangeRejectMatch[1]);
+    if (!authUser) return;
+    return handleRejectPaymentProfileChange(req, res, dealPaymentChangeRejectMatch[1], dealPaymentChangeRejectMatch[2], readJsonBody);
+  }
+
+  // LP: My masked payment profiles
+  if (req.method === "GET" && path === "/api/lp/portal/payment-profiles") {
+    const authUser = await extractAuthUser(req);
+    return handleGetMyPaymentProfiles(req, res, authUser);
+  }
+
+  // LP: Request a payment details change
+  const lpPaymentChangeMatch = path.match(/^\/api\/lp\/portal\/payment-profiles\/([^/]+)\/changes$/);
+  if (req.method === "POST" && lpPaymentChangeMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleRequestPaymentProfileChange(req, res, authUser, lpPaymentChangeMatch[1], readJsonBody);
+  }
+
+  // LP: Cancel a pending change request
+  const lpPaymentChangeCancelMatch = path.match(/^\/api\/lp\/portal\/payment-profiles\/([^/]+)\/changes\/([^/]+)\/cancel$/);
+  if (req.method === "POST" && lpPaymentChangeCancelMatch) {
+    const authUser = await extractAuthUser(req);
+    return handleCancelMyPaymentProfileChange(req, res, authUser, lpPaymentChangeCancelMatch[1], lpPaymentChangeCancelMatch[2]);
+  }
+
+  // ========== MARKETING ROOM ==========
+
+  // GP: Room, prospects, commitment tracker and funnel / create or edit room
+  const dealMarketingRoomMatch = path.match(/^\/api\/deals\/([^/]+)\/marketing-room$/);
+  if (req.method === "GET" && dealMarketingRoomMatch) {
+    const authUser = await requireDealAccess(req, res, dealMarketingRoomMatch[1]);
+    if (!authUser) return;
+    return handleGetMarketingRoom(req, res, dealMarketingRoomMatch[1]);
+  }
+  if (req.method === "PATCH" && dealMarketingRoomMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealMarketingRoomMatch[1]);
+    if (!authUser) return;
+    return handleUpsertMarketingRoom(req, res, dealMarketingRoomMatch[1], readJsonBody);
+  }
+
+  // GP: Open / close the room
+  const dealMarketingRoomStatusMatch = path.match(/^\/api\/deals\/([^/]+)\/marketing-room\/status$/);
+  if (req.method === "POST" && dealMarketingRoomStatusMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealMarketingRoomStatusMatch[1]);
+    if (!authUser) return;
+    return handleSetMarketingRoomStatus(req, res, dealMarketingRoomStatusMatch[1], readJsonBody);
+  }
+
+  // GP: Approve / reject a prospect's access request
+  const dealMarketingAccessMatch = path.match(/^\/api\/deals\/([^/]+)\/marketing-room\/access\/([^/]+)\/(approve|reject)$/);
+  if (req.method === "POST" && dealMarketingAccessMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealMarketingAccessMatch[1]);
+    if (!authUser) return;
+    return handleReviewMarketingAccess(req, res, dealMarketingAccessMatch[1], dealMarketingAccessMatch[2], dealMarketingAccessMatch[3], readJsonBody);
+  }
+
+  // GP: Convert a soft-circle into an LP invitation
+  const dealMarketingConvertMatch = path.match(/^\/api\/deals\/([^/]+)\/marketing-room\/interests\/([^/]+)\/convert$/);
+  if (req.method === "POST" && dealMarketingConvertMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealMarketingConvertMatch[1]);
+    if (!authUser) return;
+    return handleConvertMarketingInterest(req, res, dealMarketingConvertMatch[1], dealMarketingConvertMatch[2], readJsonBody);
+  }
+
+  // GP: Trace a watermarked copy to its viewer
+  const dealMarketingWatermarkMatch = path.match(/^\/api\/deals\/([^/]+)\/marketing-room\/watermarks\/([^/]+)$/);
+  if (req.method === "GET" && dealMarketingWatermarkMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealMarketingWatermarkMatch[1]);
+    if (!authUser) return;
+    return handleTraceMarketingWatermark(req, res, dealMarketingWatermarkMatch[1], dealMarketingWatermarkMatch[2]);
+  }
+
+  // Public: Offering teaser / request access
+  const marketingTeaserMatch = path.match(/^\/api\/marketing-rooms\/([^/]+)\/teaser$/);
+  if (req.method === "GET" && marketingTeaserMatch) {
+    return handleGetMarketingTeaser(req, res, marketingTeaserMatch[1]);
+  }
+  const marketingAccessRequestMatch = path.match(/^\/api\/marketing-rooms\/([^/]+)\/access-requests$/);
+  if (req.method === "POST" && marketingAccessRequestMatch) {
+    return handleRequestMarketingAccess(req, res, marketingAccessRequestMatch[1], readJsonBody);
+  }
+
+  // Prospect Portal (accessed via magic link token)
+  if (req.method === "GET" && path === "/api/portal/marketing") {
+    return handleGetProspectRoom(req, res, url.searchParams.get("token"));
+  }
+  const marketingDocumentMatch = path.match(/^\/api\/portal\/marketing\/documents\/([^/]+)$/);
+  if (req.method === "GET" && marketingDocumentMatch) {
+    return handleGetProspectDocument(req, res, url.searchParams.get("token"), marketingDocumentMatch[1]);
+  }
+  if (req.method === "POST" && path === "/api/portal/marketing/interest") {
+    return handleIndicateInterest(req, res, url.searchParams.get("token"), readJsonBody);
+  }
+  if (req.method === "POST" && path === "/api/portal/marketing/interest/withdraw") {
+    return handleWithdrawInterest(req, res, url.searchParams.get("token"));
+  }
+
   const lpActorsMatch = path.match(/^\/api\/lp\/actors\/([^/]+)$/);
   if (req.method === "GET" && lpActorsMatch) {
     const authUser = await requireDealAccess(req, res, lpActorsMatch[1]);
@@ -1912,6 +2434,14 @@ async function handleRequest(req, res) {
     return handleCancelTransfer(req, res, lpTransferCancelMatch[1], lpTransferCancelMatch[2], readJsonBody);
   }
 
+  // Update secondary terms of a pending LP transfer
+  const lpTransferTermsMatch = path.match(/^\/api\/deals\/([^/]+)\/lp-transfers\/([^/]+)\/terms$/);
+  if (req.method === "PATCH" && lpTransferTermsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, lpTransferTermsMatch[1]);
+    if (!authUser) return;
+    return handleUpdateTransferTerms(req, res, lpTransferTermsMatch[1], lpTransferTermsMatch[2], readJsonBody);
+  }
+
   // ========== SHARE CLASSES ==========
 
   // List share classes for a deal
@@ -1997,6 +2527,32 @@ async function handleRequest(req, res) {
     return handleGenerateCapitalCallNotices(req, res, capitalCallGenerateNoticesMatch[1], capitalCallGenerateNoticesMatch[2], authUser.id, authUser.name);
   }
 
+  // ========== MANAGEMENT FEES ==========
+
+  // GP: List fee invoices for a deal
+  const feesListMatch = path.match(/^\/api\/deals\/([^/]+)\/fees$/);
+  if (req.method === "GET" && feesListMatch) {
+    const authUser = await requireDealAccess(req, res, feesListMatch[1]);
+    if (!authUser) return;
+    return handleListFeeInvoices(req, res, feesListMatch[1]);
+  }
+
+  // GP: Accrue a quarter's management fees and fund expenses
+  const feesAccrueMatch = path.match(/^\/api\/deals\/([^/]+)\/fees\/accrue$/);
+  if (req.method === "POST" && feesAccrueMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, feesAccrueMatch[1]);
+    if (!authUser) return;
+    return handleAccrueFees(req, res, feesAccrueMatch[1], readJsonBody, authUser.id, authUser.name);
+  }
+
+  // GP: Settle a fee invoice by distribution deduction or capital call
+  const feesSettleMatch = path.match(/^\/api\/deals\/([^/]+)\/fees\/([^/]+)\/settle$/);
+  if (req.method === "POST" && feesSettleMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, feesSettleMatch[1]);
+    if (!authUser) return;
+    return handleSettleFeeInvoice(req, res, feesSettleMatch[1], feesSettleMatch[2], readJsonBody, authUser.id, authUser.name);
+  }
+
   // LP: Get my capital calls for an investment
   const lpMyCapitalCallsMatch = path.match(/^\/api\/lp\/portal\/my-investments\/([^/]+)\/capital-calls$/);
   if (req.method === "GET" && lpMyCapitalCallsMatch) {
@@ -2025,6 +2581,184 @@ async function handleRequest(req, res) {
     return handleUploadWireProof(req, res, authUser, lpUploadProofMatch[1], lpUploadProofMatch[2], readJsonBody);
   }
 
+  // ========== ACCOUNTING PERIODS ==========
+
+  // GP: List / create accounting periods
+  const accountingPeriodsMatch = path.match(/^\/api\/deals\/([^/]+)\/accounting-periods$/);
+  if (req.method === "GET" && accountingPeriodsMatch) {
+    const authUser = await requireDealAccess(req, res, accountingPeriodsMatch[1]);
+    if (!authUser) return;
+    return handleListAccountingPeriods(req, res, accountingPeriodsMatch[1]);
+  }
+  if (req.method === "POST" && accountingPeriodsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, accountingPeriodsMatch[1]);
+    if (!authUser) return;
+    return handleCreateAccountingPeriod(req, res, accountingPeriodsMatch[1], readJsonBody);
+  }
+
+  // GP: Get single period
+  const accountingPeriodMatch = path.match(/^\/api\/deals\/([^/]+)\/accounting-periods\/([^/]+)$/);
+  if (req.method === "GET" && accountingPeriodMatch) {
+    const authUser = await requireDealAccess(req, res, accountingPeriodMatch[1]);
+    if (!authUser) return;
+    return handleGetAccountingPeriod(req, res, accountingPeriodMatch[1], accountingPeriodMatch[2]);
+  }
+
+  // GP: Soft close / hard close / reopen
+  const accountingPeriodActionMatch = path.match(/^\/api\/deals\/([^/]+)\/accounting-periods\/([^/]+)\/(soft-close|hard-close|reopen)$/);
+  if (req.method === "POST" && accountingPeriodActionMatch) {
+    const [, dealId, periodId, action] = accountingPeriodActionMatch;
+    const authUser = await requireGPWithDealAccess(req, res, dealId);
+    if (!authUser) return;
+    if (action === "soft-close") return handleSoftClosePeriod(req, res, dealId, periodId);
+    if (action === "hard-close") return handleHardClosePeriod(req, res, dealId, periodId);
+    return handleReopenPeriod(req, res, dealId, periodId, readJsonBody);
+  }
+
+  // GP: Close package (activity, capital roll-forward, exceptions, journal)
+  const closePackageMatch = path.match(/^\/api\/deals\/([^/]+)\/accounting-periods\/([^/]+)\/close-package$/);
+  if (req.method === "GET" && closePackageMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, closePackageMatch[1]);
+    if (!authUser) return;
+    return handleGetClosePackage(req, res, closePackageMatch[1], closePackageMatch[2]);
+  }
+
+  // GP: Journal entries for GL import (?format=csv|iif)
+  const closeJournalMatch = path.match(/^\/api\/deals\/([^/]+)\/accounting-periods\/([^/]+)\/journal$/);
+  if (req.method === "GET" && closeJournalMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, closeJournalMatch[1]);
+    if (!authUser) return;
+    return handleExportCloseJournal(req, res, closeJournalMatch[1], closeJournalMatch[2], url);
+  }
+
+  // ========== TAX REPORTING (K-1) ==========
+
+  // GP: List / create tax years
+  const taxYearsMatch = path.match(/^\/api\/deals\/([^/]+)\/tax-years$/);
+  if (req.method === "GET" && taxYearsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, taxYearsMatch[1]);
+    if (!authUser) return;
+    return handleListTaxYears(req, res, taxYearsMatch[1]);
+  }
+  if (req.method === "POST" && taxYearsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, taxYearsMatch[1]);
+    if (!authUser) return;
+    return handleCreateTaxYear(req, res, taxYearsMatch[1], readJsonBody, authUser);
+  }
+
+  // GP: Get (with allocation preview) / update a tax year
+  const taxYearMatch = path.match(/^\/api\/deals\/([^/]+)\/tax-years\/(\d{4})$/);
+  if (req.method === "GET" && taxYearMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, taxYearMatch[1]);
+    if (!authUser) return;
+    return handleGetTaxYear(req, res, taxYearMatch[1], taxYearMatch[2]);
+  }
+  if (req.method === "PATCH" && taxYearMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, taxYearMatch[1]);
+    if (!authUser) return;
+    return handleUpdateTaxYear(req, res, taxYearMatch[1], taxYearMatch[2], readJsonBody, authUser);
+  }
+
+  // GP: Publish (or amend) K-1 packages
+  const taxYearPublishMatch = path.match(/^\/api\/deals\/([^/]+)\/tax-years\/(\d{4})\/publish$/);
+  if (req.method === "POST" && taxYearPublishMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, taxYearPublishMatch[1]);
+    if (!authUser) return;
+    return handlePublishTaxYear(req, res, taxYearPublishMatch[1], taxYearPublishMatch[2], authUser);
+  }
+
+  // GP: K-1 PDF for one LP (published, else draft preview)
+  const taxYearK1PdfMatch = path.match(/^\/api\/deals\/([^/]+)\/tax-years\/(\d{4})\/k1\/([^/]+)\/pdf$/);
+  if (req.method === "GET" && taxYearK1PdfMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, taxYearK1PdfMatch[1]);
+    if (!authUser) return;
+    return handleGetTaxYearK1Pdf(req, res, taxYearK1PdfMatch[1], taxYearK1PdfMatch[2], taxYearK1PdfMatch[3]);
+  }
+
+  // ========== VALUATION MARKS (Quarterly NAV) ==========
+
+  // GP: List / create valuation marks
+  const valuationMarksMatch = path.match(/^\/api\/deals\/([^/]+)\/valuation-marks$/);
+  if (req.method === "GET" && valuationMarksMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, valuationMarksMatch[1]);
+    if (!authUser) return;
+    return handleListValuationMarks(req, res, valuationMarksMatch[1]);
+  }
+  if (req.method === "POST" && valuationMarksMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, valuationMarksMatch[1]);
+    if (!authUser) return;
+    return handleCreateValuationMark(req, res, valuationMarksMatch[1], readJsonBody, authUser);
+  }
+
+  // GP: Get (with history and NAV) / edit a valuation mark
+  const valuationMarkMatch = path.match(/^\/api\/deals\/([^/]+)\/valuation-marks\/([^/]+)$/);
+  if (req.method === "GET" && valuationMarkMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, valuationMarkMatch[1]);
+    if (!authUser) return;
+    return handleGetValuationMark(req, res, valuationMarkMatch[1], valuationMarkMatch[2]);
+  }
+  if (req.method === "PATCH" && valuationMarkMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, valuationMarkMatch[1]);
+    if (!authUser) return;
+    return handleUpdateValuationMark(req, res, valuationMarkMatch[1], valuationMarkMatch[2], readJsonBody, authUser);
+  }
+
+  // GP: Submit / approve / reject a valuation mark
+  const valuationMarkActionMatch = path.match(/^\/api\/deals\/([^/]+)\/valuation-marks\/([^/]+)\/(submit|approve|reject)$/);
+  if (req.method === "POST" && valuationMarkActionMatch) {
+    const [, dealId, markId, action] = valuationMarkActionMatch;
+    const authUser = await requireGPWithDealAccess(req, res, dealId);
+    if (!authUser) return;
+    if (action === "submit") return handleSubmitValuationMark(req, res, dealId, markId, authUser);
+    if (action === "approve") return handleApproveValuationMark(req, res, dealId, markId, authUser);
+    return handleRejectValuationMark(req, res, dealId, markId, readJsonBody, authUser);
+  }
+
+  // GP: Current NAV by LP and approved mark history
+  const dealNavMatch = path.match(/^\/api\/deals\/([^/]+)\/nav$/);
+  if (req.method === "GET" && dealNavMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, dealNavMatch[1]);
+    if (!authUser) return;
+    return handleGetDealNav(req, res, dealNavMatch[1]);
+  }
+
+  // ========== CAPITAL CALL DEFAULTS ==========
+
+  // GP: List defaults
+  const capitalCallDefaultsMatch = path.match(/^\/api\/deals\/([^/]+)\/capital-call-defaults$/);
+  if (req.method === "GET" && capitalCallDefaultsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, capitalCallDefaultsMatch[1]);
+    if (!authUser) return;
+    return handleListCapitalCallDefaults(req, res, capitalCallDefaultsMatch[1], url);
+  }
+
+  // GP: Run the grace/default sweep for the deal now
+  const capitalCallDefaultsProcessMatch = path.match(/^\/api\/deals\/([^/]+)\/capital-call-defaults\/process$/);
+  if (req.method === "POST" && capitalCallDefaultsProcessMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, capitalCallDefaultsProcessMatch[1]);
+    if (!authUser) return;
+    return handleProcessCapitalCallDefaults(req, res, capitalCallDefaultsProcessMatch[1], authUser);
+  }
+
+  // GP: Get a default with balance and remedy previews
+  const capitalCallDefaultMatch = path.match(/^\/api\/deals\/([^/]+)\/capital-call-defaults\/([^/]+)$/);
+  if (req.method === "GET" && capitalCallDefaultMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, capitalCallDefaultMatch[1]);
+    if (!authUser) return;
+    return handleGetCapitalCallDefault(req, res, capitalCallDefaultMatch[1], capitalCallDefaultMatch[2]);
+  }
+
+  // GP: Apply a remedy / waive / resend the notice of default
+  const capitalCallDefaultActionMatch = path.match(/^\/api\/deals\/([^/]+)\/capital-call-defaults\/([^/]+)\/(remedy|waive|notice)$/);
+  if (req.method === "POST" && capitalCallDefaultActionMatch) {
+    const [, dealId, defaultId, action] = capitalCallDefaultActionMatch;
+    const authUser = await requireGPWithDealAccess(req, res, dealId);
+    if (!authUser) return;
+    if (action === "remedy") return handleApplyDefaultRemedy(req, res, dealId, defaultId, readJsonBody, authUser);
+    if (action === "waive") return handleWaiveCapitalCallDefault(req, res, dealId, defaultId, readJsonBody, authUser);
+    return handleResendDefaultNotice(req, res, dealId, defaultId, authUser);
+  }
+
   // ========== DISTRIBUTIONS ==========
 
   // GP: List distributions for a deal
@@ -2500,6 +3234,42 @@ async function handleRequest(req, res) {
     return handleGetExtractionReport(req, res, aiExtractionReportMatch[1], authUser);
   }
 
+  // Retrieval index (document text + facts for AI citations)
+  const aiIndexMatch = path.match(/^\/api\/deals\/([^/]+)\/ai\/index$/);
+  if (req.method === "GET" && aiIndexMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, aiIndexMatch[1]);
+    if (!authUser) return;
+    return handleGetRetrievalIndexStatus(req, res, aiIndexMatch[1]);
+  }
+
+  const aiIndexRebuildMatch = path.match(/^\/api\/deals\/([^/]+)\/ai\/index\/rebuild$/);
+  if (req.method === "POST" && aiIndexRebuildMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, aiIndexRebuildMatch[1]);
+    if (!authUser) return;
+    return handleRebuildRetrievalIndex(req, res, aiIndexRebuildMatch[1], authUser);
+  }
+
+  const aiIndexDocumentsMatch = path.match(/^\/api\/deals\/([^/]+)\/ai\/index\/documents$/);
+  if (req.method === "POST" && aiIndexDocumentsMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, aiIndexDocumentsMatch[1]);
+    if (!authUser) return;
+    return handleIndexDocumentText(req, res, aiIndexDocumentsMatch[1], authUser, readJsonBody);
+  }
+
+  const aiIndexDocumentMatch = path.match(/^\/api\/deals\/([^/]+)\/ai\/index\/documents\/([^/]+)$/);
+  if (req.method === "DELETE" && aiIndexDocumentMatch) {
+    const authUser = await requireGPWithDealAccess(req, res, aiIndexDocumentMatch[1]);
+    if (!authUser) return;
+    return handleRemoveIndexedDocument(req, res, aiIndexDocumentMatch[1], aiIndexDocumentMatch[2], authUser);
+  }
+
+  const aiSearchMatch = path.match(/^\/api\/deals\/([^/]+)\/ai\/search$/);
+  if (req.method === "GET" && aiSearchMatch) {
+    const authUser = await requireDealAccess(req, res, aiSearchMatch[1]);
+    if (!authUser) return;
+    return handleSearchRetrievalIndex(req, res, aiSearchMatch[1], authUser, url);
+  }
+
   // Phase 2.2: Verification Agent
   const aiVerificationStatusMatch = path.match(/^\/api\/deals\/([^/]+)\/ai\/verification-status$/);
   if (req.method === "GET" && aiVerificationStatusMatch) {
@@ -6,20 +6,33 @@ import {
   SecurityError,
   SECURITY_CONFIG
 } from './services/ai-security.js';
+import { createLLMClient } from './services/ai/llm-provider.js';
+import { logAIInteraction } from './services/ai-audit-logger.js';
 
 let base44Client = null;
 
-const OPENAI_API_KEY =
-  process.env.BFF_OPENAI_API_KEY ?? process.env.OPENAI_API_KEY ?? null;
-const OPENAI_MODEL =
-  process.env.BFF_OPENAI_MODEL ?? process.env.OPENAI_MODEL ?? "gpt-4o-mini";
-const OPENAI_BASE_URL =
-  process.env.BFF_OPENAI_BASE_URL ?? "https://api.openai.com/v1";
-const OPENAI_ORG =
-  process.env.BFF_OPENAI_ORG ?? process.env.OPENAI_ORG_ID ?? null;
-const OPENAI_PROJECT =
-  process.env.BFF_OPENAI_PROJECT ?? process.env.OPENAI_PROJECT ?? null;
-const OPENAI_TEMPERATURE = Number(process.env.BFF_OPENAI_TEMPERATURE ?? 0);
+/**
+ * Write provider accounting for calls that carry an audit context.
+ * Callers that already log their own interaction (deal chat) merge
+ * usageLogFields(result) into that entry instead.
+ */
+function recordLLMUsage(record) {
+  if (!record.audit) return;
+  const lastUserMessage = [...record.messages].reverse().find(m => m.role === "user");
+  logAIInteraction({
+    ...record.audit,
+    promptSummary: record.audit.promptSummary ?? String(lastUserMessage?.content ?? "").substring(0, 200),
+    contextFields: record.audit.contextFields ?? [],
+    responseLength: record.content?.length ?? 0,
+    validationPassed: !record.error,
+    validationIssues: record.error
+      ? { error: record.error.message, code: record.error.code ?? null, issues: record.error.issues ?? [] }
+      : null,
+    ...usageLogFields(record)
+  });
+}
+
+const llmClient = createLLMClient({ onComplete: recordLLMUsage });
 
 function resolveBase44Config() {
   return {
@@ -165,9 +178,10 @@ Extract these fields (use null for unknown):
   };
 }
 
-function resolveProvider() {
-  if (OPENAI_API_KEY) {
-    return { name: "openai", model: OPENAI_MODEL, request: requestDealParseFromOpenAI };
+function resolveProvider(feature = "deal-parse") {
+  if (llmClient.isConfigured(feature)) {
+    const route = llmClient.resolveRoute(feature);
+    return { name: route.provider, model: route.model, request: requestDealParseFromLLM };
   }
 
   const base44Config = resolveBase44Config();
@@ -208,21 +222,13 @@ async function requestDealParseFromBase44(text, variant = "BASE") {
   }
 }
 
-async function requestDealParseFromOpenAI(text, variant = "BASE") {
-  if (!OPENAI_API_KEY) {
-    const error = new Error("OpenAI not configured");
-    error.status = 502;
-    throw error;
-  }
-
+async function requestDealParseFromLLM(text, variant = "BASE") {
   // SECURITY: buildDealParsePrompt now returns { prompt, securityContext }
   const { prompt, securityContext } = buildDealParsePrompt(text, variant);
 
-  const url = `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`;
-  const payload = {
-    model: OPENAI_MODEL,
-    temperature: OPENAI_TEMPERATURE,
-    response_format: { type: "json_object" },
+  const result = await llmClient.complete({
+    feature: "deal-parse",
+    schema: dealParseSchema,
     messages: [
       {
         role: "system",
@@ -234,58 +240,9 @@ async function requestDealParseFromOpenAI(text, variant = "BASE") {
         content: prompt
       }
     ]
-  };
-
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${OPENAI_API_KEY}`
-  };
-  if (OPENAI_ORG) {
-    headers["OpenAI-Organization"] = OPENAI_ORG;
-  }
-  if (OPENAI_PROJECT) {
-    headers["OpenAI-Project"] = OPENAI_PROJECT;
-  }
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(payload)
   });
 
-  let data = null;
-  try {
-    data = await response.json();
-  } catch {
-    data = null;
-  }
-
-  if (!response.ok) {
-    const message = data?.error?.message ?? "OpenAI request failed";
-    const error = new Error(message);
-    error.status = response.status;
-    error.data = data;
-    throw error;
-  }
-
-  const content = data?.choices?.[0]?.message?.content;
-  if (!content || typeof content !== "string") {
-    const error = new Error("OpenAI response missing content");
-    error.status = 502;
-    throw error;
-  }
-
-  let parsed = null;
-  try {
-    parsed = JSON.parse(content);
-  } catch {
-    const error = new Error("OpenAI response was not valid JSON");
-    error.status = 502;
-    error.data = { content };
-    throw error;
-  }
-
-  return { output: parsed, raw: data, model: data?.model ?? OPENAI_MODEL, securityContext };
+  return { output: result.parsed, raw: result.raw, model: result.model, securityContext };
 }
 
 export async function requestDealParse(text, variant = "BASE") {
@@ -308,19 +265,14 @@ export async function requestDealParse(text, variant = "BASE") {
  * and have the system auto-fill missing fields.
  */
 export async function requestSmartDocParse(documentContent, filename, targetFields, currentProfile = {}) {
-  const provider = resolveProvider();
+  const provider = resolveProvider("smart-parse");
 
   // SECURITY: buildSmartDocParsePrompt now returns { prompt, securityContext }
   const { prompt, securityContext } = buildSmartDocParsePrompt(documentContent, filename, targetFields, currentProfile);
 
-  let result;
-  if (provider.name === "openai") {
-    result = await requestSmartDocParseFromOpenAI(prompt, targetFields);
-  } else if (provider.name === "base44") {
-    result = await requestSmartDocParseFromBase44(prompt, targetFields);
-  } else {
-    throw new Error("No LLM provider configured for smart parse");
-  }
+  const result = provider.name === "base44"
+    ? await requestSmartDocParseFromBase44(prompt, targetFields)
+    : await requestSmartDocParseFromLLM(prompt, targetFields);
 
   // Include security context in result
   return { ...result, securityContext };
@@ -396,13 +348,7 @@ Return a JSON object with the field names as keys and extracted values.`;
   };
 }
 
-async function requestSmartDocParseFromOpenAI(prompt, targetFields) {
-  if (!OPENAI_API_KEY) {
-    const error = new Error("OpenAI not configured");
-    error.status = 502;
-    throw error;
-  }
-
+async function requestSmartDocParseFromLLM(prompt, targetFields) {
   const schema = {
     type: "object",
     properties: {}
@@ -421,11 +367,10 @@ async function requestSmartDocParseFromOpenAI(prompt, targetFields) {
     }
   }
 
-  const url = `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`;
-  const payload = {
-    model: OPENAI_MODEL,
+  const result = await llmClient.complete({
+    feature: "smart-parse",
+    schema,
     temperature: 0,
-    response_format: { type: "json_object" },
     messages: [
       {
         role: "system",
@@ -436,52 +381,9 @@ async function requestSmartDocParseFromOpenAI(prompt, targetFields) {
         content: prompt
       }
     ]
-  };
-
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${OPENAI_API_KEY}`
-  };
-  if (OPENAI_ORG) {
-    headers["OpenAI-Organization"] = OPENAI_ORG;
-  }
-  if (OPENAI_PROJECT) {
-    headers["OpenAI-Project"] = OPENAI_PROJECT;
-  }
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(payload)
   });
 
-  let data = null;
-  try {
-    data = await response.json();
-  } catch {
-    data = null;
-  }
-
-  if (!response.ok) {
-    const message = data?.error?.message ?? "OpenAI request failed";
-    const error = new Error(message);
-    error.status = response.status;
-    throw error;
-  }
-
-  const content = data?.choices?.[0]?.message?.content;
-  if (!content) {
-    throw new Error("OpenAI response missing content");
-  }
-
-  let parsed = null;
-  try {
-    parsed = JSON.parse(content);
-  } catch {
-    throw new Error("OpenAI response was not valid JSON");
-  }
-
-  return { extracted: parsed, raw: data };
+  return { extracted: result.parsed, raw: result.raw };
 }
 
 async function requestSmartDocParseFromBase44(prompt, targetFields) {
@@ -511,58 +413,61 @@ async function requestSmartDocParseFromBase44(prompt, targetFields) {
 }
 
 /**
- * Generic OpenAI call for chat completions
- * Used by AI assistant and other features
+ * Generic chat completion through the provider layer
+ * Used by AI assistant, extractors and other features
+ *
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options
+ * @param {string} options.feature - Feature name for model routing and accounting
+ * @param {Object} [options.schema] - JSON schema the reply must satisfy
+ * @param {boolean} [options.json] - Ask for a JSON object reply
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxTokens]
+ * @param {Array} [options.tools] - [{ name, description, parameters }] the model may call
+ * @param {string} [options.toolChoice] - 'auto' (default) or 'none'
+ * @param {Object} [options.audit] - { userId, userRole, organizationId, dealId, endpoint }
+ *   to record the call in AIInteractionLog
+ * @returns {Promise<Object>} { content, parsed, toolCalls, provider, model, usage, costUsd, attempts, latencyMs }
  */
-export async function callOpenAI(messages, options = {}) {
-  if (!OPENAI_API_KEY) {
-    const error = new Error("OpenAI not configured");
-    error.status = 502;
-    throw error;
-  }
-
-  const url = `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`;
-  const payload = {
-    model: options.model || OPENAI_MODEL,
-    temperature: options.temperature ?? OPENAI_TEMPERATURE,
-    messages,
-    ...(options.response_format && { response_format: options.response_format }),
-    ...(options.max_tokens && { max_tokens: options.max_tokens })
-  };
-
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${OPENAI_API_KEY}`
-  };
-  if (OPENAI_ORG) {
-    headers["OpenAI-Organization"] = OPENAI_ORG;
-  }
-  if (OPENAI_PROJECT) {
-    headers["OpenAI-Project"] = OPENAI_PROJECT;
-  }
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(payload)
-  });
+export async function callLLM(messages, options = {}) {
+  return llmClient.complete({ ...options, messages });
+}
 
-  let data = null;
-  try {
-    data = await response.json();
-  } catch {
-    data = null;
-  }
+/**
+ * Streaming chat completion through the provider layer
+ *
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options - Same as callLLM, without schema
+ * @param {Object} [handlers] - { onToken(delta), signal }
+ * @returns {Promise<Object>} Same as callLLM, plus `aborted`
+ */
+export async function streamLLM(messages, options = {}, handlers = {}) {
+  return llmClient.stream({ ...options, messages }, handlers);
+}
 
-  if (!response.ok) {
-    const message = data?.error?.message ?? "OpenAI request failed";
-    const error = new Error(message);
-    error.status = response.status;
-    error.data = data;
-    throw error;
-  }
+/**
+ * Whether a feature has a usable LLM route
+ */
+export function isLLMConfigured(feature) {
+  return llmClient.isConfigured(feature);
+}
 
-  return data;
+/**
+ * AIInteractionLog fields for a completed call
+ */
+export function usageLogFields(result) {
+  if (!result) return {};
+  return {
+    provider: result.provider,
+    feature: result.feature,
+    modelUsed: result.model ?? null,
+    promptTokens: result.usage?.promptTokens ?? 0,
+    completionTokens: result.usage?.completionTokens ?? 0,
+    totalTokens: result.usage?.totalTokens ?? 0,
+    costUsd: result.costUsd ?? null,
+    latencyMs: result.latencyMs ?? null,
+    attempts: result.attempts ?? 1
+  };
 }
 
 // Re-export SecurityError for consumers
@@ -3,11 +3,14 @@
  *
  * Implements GL close workflow with OPEN -> SOFT_CLOSE -> HARD_CLOSE states.
  * Provides period-based isolation for financial records to ensure audit compliance.
+ * Each period has a close package (activity, capital roll-forward, exceptions,
+ * journal entries for GL import); its hash is frozen with the period at hard close.
  */
 
 import { getPrisma } from "../db.js";
 import { extractAuthUser } from "./auth.js";
 import { createDealEvent, createDistributionSnapshot } from "../services/audit-service.js";
+import { buildClosePackage, hashClosePackage, journalToCsv, journalToIif } from "../services/period-close.js";
 
 function sendJson(res, status, payload) {
   res.writeHead(status, {
@@ -41,6 +44,37 @@ async function requireGP(req, res) {
   return user;
 }
 
+/**
+ * Build the close package for a period from the deal's records up to period end
+ */
+async function loadClosePackage(dealId, period) {
+  const prisma = getPrisma();
+  const upToEnd = { lte: period.endDate };
+
+  const [lpActors, capitalCalls, distributions, feeInvoices, transfers] = await Promise.all([
+    prisma.lPActor.findMany({ where: { dealId, createdAt: upToEnd } }),
+    prisma.capitalCall.findMany({
+      where: { dealId, OR: [{ dueDate: upToEnd }, { allocations: { some: { fundedAt: upToEnd } } }] },
+      include: { allocations: true },
+      orderBy: { dueDate: 'asc' }
+    }),
+    prisma.distribution.findMany({
+      where: { dealId, distributionDate: upToEnd },
+      include: { allocations: true },
+      orderBy: { distributionDate: 'asc' }
+    }),
+    prisma.feeInvoice.findMany({
+      where: { dealId, OR: [{ periodEnd: upToEnd }, { settlements: { some: { settledAt: upToEnd } } }] },
+      include: { lines: true, settlements: true },
+      orderBy: { periodEnd: 'asc' }
+    }),
+    prisma.lPTransfer.findMany({ where: { dealId } })
+  ]);
+
+  const pkg = buildClosePackage(period, { lpActors, capitalCalls, distributions, feeInvoices, transfers });
+  return { pkg, hash: hashClosePackage(pkg) };
+}
+
 /**
  * List accounting periods for a deal
  * GET /api/deals/:dealId/accounting-periods
@@ -213,6 +247,9 @@ export async function handleHardClosePeriod(req, res, dealId, periodId) {
     return sendError(res, 400, "Period is already hard-closed");
   }
 
+  // Freeze the close package alongside the snapshot
+  const { pkg, hash } = await loadClosePackage(dealId, period);
+
   // Create final snapshot at close
   const snapshot = await createDistributionSnapshot(
     dealId,
@@ -227,7 +264,8 @@ export async function handleHardClosePeriod(req, res, dealId, periodId) {
       hardClosedAt: new Date(),
       hardClosedBy: authUser.id,
       hardClosedByName: authUser.name,
-      closeSnapshotId: snapshot.id
+      closeSnapshotId: snapshot.id,
+      closePackageHash: hash
     }
   });
 
@@ -237,10 +275,12 @@ export async function handleHardClosePeriod(req, res, dealId, periodId) {
     quarter: period.quarter,
     closedBy: authUser.id,
     closedByName: authUser.name,
-    snapshotId: snapshot.id
+    snapshotId: snapshot.id,
+    closePackageHash: hash,
+    exceptionCounts: { errors: pkg.summary.errorCount, warnings: pkg.summary.warningCount }
   }, { id: authUser.id, name: authUser.name, role: authUser.role });
 
-  sendJson(res, 200, { period: updated, snapshotId: snapshot.id });
+  sendJson(res, 200, { period: updated, snapshotId: snapshot.id, closePackageHash: hash });
 }
 
 /**
@@ -292,3 +332,70 @@ export async function handleReopenPeriod(req, res, dealId, periodId, readJsonBod
 
   sendJson(res, 200, { period: updated });
 }
+
+/**
+ * Close package: activity, capital account roll-forward, exceptions and journal
+ * For a hard-closed period, reports whether the records still match the frozen hash.
+ * GET /api/deals/:dealId/accounting-periods/:periodId/close-package
+ */
+export async function handleGetClosePackage(req, res, dealId, periodId) {
+  const authUser = await requireGP(req, res);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  const period = await prisma.accountingPeriod.findFirst({
+    where: { id: periodId, dealId }
+  });
+
+  if (!period) {
+    return sendError(res, 404, "Accounting period not found");
+  }
+
+  const { pkg, hash } = await loadClosePackage(dealId, period);
+
+  sendJson(res, 200, {
+    package: pkg,
+    hash,
+    closePackageHash: period.closePackageHash,
+    closeSnapshotId: period.closeSnapshotId,
+    hashMatches: period.closePackageHash ? period.closePackageHash === hash : null
+  });
+}
+
+/**
+ * Export the period's journal entries for GL import
+ * GET /api/deals/:dealId/accounting-periods/:periodId/journal?format=csv|iif
+ */
+export async function handleExportCloseJournal(req, res, dealId, periodId, url) {
+  const authUser = await requireGP(req, res);
+  if (!authUser) return;
+
+  const format = url.searchParams.get("format") || "csv";
+  if (!['csv', 'iif'].includes(format)) {
+    return sendError(res, 400, "format must be csv or iif");
+  }
+
+  const prisma = getPrisma();
+
+  const period = await prisma.accountingPeriod.findFirst({
+    where: { id: periodId, dealId }
+  });
+
+  if (!period) {
+    return sendError(res, 404, "Accounting period not found");
+  }
+
+  const { pkg, hash } = await loadClosePackage(dealId, period);
+  const body = format === 'iif' ? journalToIif(pkg.journal.entries) : journalToCsv(pkg.journal.entries);
+  const filename = `journal-${dealId}-${period.year}-Q${period.quarter}.${format}`;
+
+  res.writeHead(200, {
+    "Content-Type": format === 'iif' ? "text/plain; charset=utf-8" : "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "X-Close-Package-Hash": hash,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": "Content-Disposition, X-Close-Package-Hash"
+  });
+  res.end(body);
+}
@@ -8,14 +8,25 @@ import {
   generateFilteredDealSystemPrompt
 } from "../services/deal-context-builder.js";
 import { generateInsights, getInsightsSummary } from "../services/deal-insights.js";
-import { callOpenAI } from "../llm.js";
-import { buildFilteredFactIndex } from "../services/rag-citation-service.js";
+import { callLLM, streamLLM, usageLogFields } from "../llm.js";
+import {
+  buildFilteredFactIndex,
+  refreshFactIndex,
+  indexDocumentText,
+  removeDocumentFromIndex,
+  searchDealIndex,
+  getIndexStatus,
+  buildRetrievedSourcesPrompt,
+  createCitationTracker,
+  toCitation
+} from "../services/rag-citation-service.js";
 import { logAIInteraction } from "../services/ai-audit-logger.js";
 import { filterConversationHistory } from "../services/ai-context-filter.js";
 import { checkRateLimit, recordRequest } from "../services/ai-rate-limiter.js";
 import {
   securityCheck,
   validateLLMOutput,
+  createStreamingOutputValidator,
   createSecurityContext,
   SECURITY_CONFIG
 } from "../services/ai-security.js";
@@ -60,6 +71,16 @@ import {
   ASSUMPTION_TRACKER_CONFIG
 } from "../services/ai/assumption-tracker.js";
 
+// Calculator tools for deal chat
+import {
+  registerDealCalculators,
+  getCalculatorTools,
+  buildCalculatorDefaults,
+  buildCalculatorToolPrompt,
+  runCalculatorToolLoop,
+  mergeModelResults
+} from "../services/ai/calculator-agent.js";
+
 // Debug flag for Phase 2 routes
 const DEBUG_PHASE2 = process.env.DEBUG_AI_PHASE2 === 'true';
 
@@ -75,6 +96,40 @@ function sendError(res, status, message, details) {
   sendJson(res, status, { message, details: details ?? null });
 }
 
+// ==================== SERVER-SENT EVENTS ====================
+// Chat answers stream as `meta`, `delta`, `citation`, `tool`, `aborted`, then
+// `done` (or `error`) events when the client asks for text/event-stream.
+
+const STREAM_STOPPED_NOTICE = '[Response stopped by output validation]';
+const ASK_STREAM_CHUNK_SIZE = 48;
+const CHAT_LLM_OPTIONS = { feature: 'chat', temperature: 0.7, maxTokens: 2000 };
+
+registerDealCalculators();
+
+function wantsEventStream(req, body) {
+  return body?.stream === true || String(req.headers.accept || '').includes('text/event-stream');
+}
+
+function startEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no",
+    "Access-Control-Allow-Origin": "*"
+  });
+}
+
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function endEventStream(res, event, data) {
+  sendEvent(res, event, data);
+  if (!res.writableEnded && !res.destroyed) res.end();
+}
+
 // Query types the AI can handle
 const QUERY_TYPES = {
   DEAL_SUMMARY: 'deal_summary',
@@ -640,17 +695,31 @@ export async function handleAskAI(req, res, kernelBaseUrl, resolveUserId, resolv
 
     // Generate response
     const response = generateResponse(question, context);
-
-    sendJson(res, 200, {
+    const payload = {
       question,
       queryType,
       dealId,
       ...response,
       timestamp: new Date().toISOString()
-    });
+    };
+
+    if (!wantsEventStream(req, body)) {
+      return sendJson(res, 200, payload);
+    }
+
+    // Same event protocol as deal chat, so the client renders both alike
+    startEventStream(res);
+    sendEvent(res, 'meta', { question, queryType, dealId });
+    for (let i = 0; i < response.answer.length; i += ASK_STREAM_CHUNK_SIZE) {
+      sendEvent(res, 'delta', { text: response.answer.slice(i, i + ASK_STREAM_CHUNK_SIZE) });
+    }
+    endEventStream(res, 'done', payload);
 
   } catch (error) {
     console.error("Error processing AI question:", error);
+    if (res.headersSent) {
+      return endEventStream(res, 'error', { message: "Failed to process question" });
+    }
     sendError(res, 500, "Failed to process question", error.message);
   }
 }
@@ -795,8 +864,25 @@ export async function handleDealChat(req, res, dealId, resolveUserId, resolveUse
     // This ensures the LLM only sees data the user is authorized to access
     const filteredContext = await buildFilteredDealContext(dealId, authUser);
 
+    // Retrieve cited facts and document excerpts (role-filtered) for the question
+    let retrievedFacts = [];
+    try {
+      retrievedFacts = await searchDealIndex(dealId, securityResult.sanitized, authUser, { limit: 6 });
+    } catch (retrievalError) {
+      console.error('[AI-HANDLER] Retrieval failed, continuing without sources:', retrievalError.message);
+    }
+
+    // Calculators are offered only to roles that can see the underwriting model,
+    // whose values fill in any inputs the model leaves out
+    const tools = filteredContext.model ? getCalculatorTools() : [];
+    const agent = { tools, facts: retrievedFacts, ...buildCalculatorDefaults(filteredContext) };
+
     // Generate system prompt with FILTERED context
-    const systemPrompt = generateFilteredDealSystemPrompt(filteredContext, userRole);
+    const sourcesPrompt = buildRetrievedSourcesPrompt(retrievedFacts);
+    const toolPrompt = buildCalculatorToolPrompt(tools);
+    const systemPrompt = generateFilteredDealSystemPrompt(filteredContext, userRole)
+      + (sourcesPrompt ? `\n\n${sourcesPrompt}` : '')
+      + (toolPrompt ? `\n\n${toolPrompt}` : '');
 
     // SECURITY: Filter conversation history to prevent cross-role data leakage
     // If a GP started the conversation and an LP continues, the LP shouldn't see
@@ -814,27 +900,56 @@ export async function handleDealChat(req, res, dealId, resolveUserId, resolveUse
       { role: 'user', content: securityResult.sanitized }
     ];
 
-    // Call OpenAI (or configured LLM)
+    const streaming = wantsEventStream(req, body);
     let aiResponse;
-    try {
-      aiResponse = await callOpenAI(messages, {
-        model: 'gpt-4o-mini',
-        temperature: 0.7,
-        max_tokens: 2000
+    let storedResponse;
+    let llmResult = null;
+    let outputValidation;
+    let stoppedByValidation = false;
+    let toolRun = { toolCalls: [], calculations: [] };
+
+    if (streaming) {
+      startEventStream(res);
+      sendEvent(res, 'meta', {
+        dealId,
+        dealName: filteredContext.dealName,
+        sourceCount: retrievedFacts.length
       });
-    } catch (llmError) {
-      console.error('LLM call failed:', llmError);
-      // Fall back to a simpler response generation
-      aiResponse = generateFallbackResponse(message, filteredContext);
-    }
 
-    // SECURITY: Validate LLM output for security issues
-    const outputValidation = validateLLMOutput(aiResponse, 'chat');
+      const streamed = await streamDealChatAnswer(req, res, messages, agent,
+        () => generateFallbackResponse(message, filteredContext));
+      ({ llmResult, outputValidation, stoppedByValidation, toolRun } = streamed);
+      aiResponse = streamed.assembled;
+      storedResponse = stoppedByValidation
+        ? `${streamed.released}${streamed.released ? '\n\n' : ''}${STREAM_STOPPED_NOTICE}`
+        : streamed.released;
+    } else {
+      // Call the configured LLM, running any calculators it asks for
+      try {
+        toolRun = await runCalculatorToolLoop({
+          ...agent,
+          messages,
+          callModel: (conversation, toolOptions) => callLLM(conversation, { ...CHAT_LLM_OPTIONS, ...toolOptions })
+        });
+        llmResult = mergeModelResults(toolRun.modelResults);
+        aiResponse = toolRun.content;
+      } catch (llmError) {
+        console.error('LLM call failed:', llmError);
+        toolRun = llmError.agentTrace || toolRun;
+        llmResult = mergeModelResults(toolRun.modelResults);
+        // Fall back to a simpler response generation
+        aiResponse = generateFallbackResponse(message, filteredContext);
+      }
+
+      // SECURITY: Validate LLM output for security issues
+      outputValidation = validateLLMOutput(aiResponse, 'chat');
 
-    if (!outputValidation.valid && outputValidation.severity === 'high') {
-      console.log(`[AI-SECURITY] HIGH severity output issue detected: ${outputValidation.issues.join(', ')}`);
-      // For high severity issues, we still return the response but log it
-      // Could optionally block/sanitize the response here
+      if (!outputValidation.valid && outputValidation.severity === 'high') {
+        console.log(`[AI-SECURITY] HIGH severity output issue detected: ${outputValidation.issues.join(', ')}`);
+        // For high severity issues, we still return the response but log it
+        // Could optionally block/sanitize the response here
+      }
+      storedResponse = aiResponse;
     }
 
     // Store the conversation in the chat system
@@ -852,19 +967,20 @@ export async function handleDealChat(req, res, dealId, resolveUserId, resolveUse
       }
     });
 
-    // Store the AI response
+    // Store the AI response (for streams: what the user actually saw)
     await prisma.message?.create({
       data: {
         conversationId: chatThread.id,
         senderId: 'ai-assistant',
         senderName: 'AI Underwriting Assistant',
         senderRole: 'SYSTEM',
-        content: aiResponse,
+        content: storedResponse,
         type: 'CHAT'
       }
     });
 
     // SECURITY: Log AI interaction for audit (full audit trail with security context)
+    // Streams log the full assembled answer, including any text withheld by validation
     try {
       await logAIInteraction({
         userId: authUser.id,
@@ -876,9 +992,8 @@ export async function handleDealChat(req, res, dealId, resolveUserId, resolveUse
         fullPrompt: message,              // Full user message for audit trail
         fullResponse: aiResponse,         // Full AI response for tracing decisions
         systemPrompt: systemPrompt,       // System prompt (will be hashed for consistency)
-        modelUsed: 'gpt-4o-mini',          // Model used for this request
         contextFields: Object.keys(filteredContext),
-        factsIncluded: 0, // No RAG facts in basic chat
+        factsIncluded: retrievedFacts.length,
         responseLength: aiResponse?.length || 0,
         validationPassed: outputValidation.valid,
         validationIssues: outputValidation.issues.length > 0 ? JSON.stringify(outputValidation.issues) : null,
@@ -886,29 +1001,45 @@ export async function handleDealChat(req, res, dealId, resolveUserId, resolveUse
         ...securityResult.securityContext,
         outputValidationPassed: outputValidation.valid,
         outputValidationIssues: outputValidation.issues.length > 0 ? JSON.stringify(outputValidation.issues) : null,
+        // Provider, model, tokens and cost (empty when the fallback answered)
+        ...usageLogFields(llmResult),
+        // Calculator calls with their inputs and outputs
+        toolCalls: toolRun.toolCalls,
       });
     } catch (logError) {
       // Don't fail the request if logging fails
       console.error('Failed to log AI interaction:', logError);
     }
 
-    sendJson(res, 200, {
-      response: aiResponse,
+    const payload = {
+      response: storedResponse,
       dealId,
       dealName: filteredContext.dealName,
       conversationId: chatThread.id,
       timestamp: new Date().toISOString(),
+      citations: retrievedFacts.map(toCitation),
+      calculations: toolRun.calculations,
       context: {
         hasModel: filteredContext.meta?.hasModel || false,
         documentCount: filteredContext.meta?.documentCount || 0,
         scenarioCount: filteredContext.meta?.scenarioCount || 0,
         filteredForRole: userRole
       }
-    });
+    };
+
+    if (streaming) {
+      return endEventStream(res, 'done', { ...payload, stoppedByValidation });
+    }
+    sendJson(res, 200, payload);
 
   } catch (error) {
     console.error("Error in deal chat:", error);
 
+    // Once the event stream has started the status code is already sent
+    if (res.headersSent) {
+      return endEventStream(res, 'error', { message: "Failed to process message" });
+    }
+
     // Handle access denied errors specifically
     if (error.message.includes('Access denied') || error.message.includes('not assigned') || error.message.includes('does not have')) {
       return sendError(res, 403, error.message);
@@ -918,6 +1049,86 @@ export async function handleDealChat(req, res, dealId, resolveUserId, resolveUse
   }
 }
 
+/**
+ * Stream a deal chat answer to an open event stream
+ *
+ * Tokens pass through the streaming output validator, so text reaches the
+ * client one validated sentence at a time; a high-severity finding stops the
+ * provider mid-answer. Citations are sent as soon as released text cites
+ * them, and each calculator result as a `tool` event when it runs. If the LLM
+ * fails before producing anything, the fallback answer is streamed instead.
+ *
+ * @param {Object} agent - { tools, defaults, sources, facts } for the tool loop
+ * @returns {Promise<Object>} { assembled, released, llmResult, outputValidation, stoppedByValidation, toolRun }
+ */
+async function streamDealChatAnswer(req, res, messages, agent, buildFallback) {
+  const validator = createStreamingOutputValidator('chat');
+  const citations = createCitationTracker(agent.facts);
+  const controller = new AbortController();
+
+  // Stop generating if the client goes away
+  const onClose = () => controller.abort();
+  res.on('close', onClose);
+
+  const release = (step) => {
+    if (step.release) {
+      sendEvent(res, 'delta', { text: step.release });
+      for (const citation of citations.add(step.release)) {
+        sendEvent(res, 'citation', citation);
+      }
+    }
+    if (step.abort && !controller.signal.aborted) {
+      console.log(`[AI-SECURITY] HIGH severity output issue, stopping stream: ${step.validation.issues.join(', ')}`);
+      sendEvent(res, 'aborted', { reason: 'output_validation', message: STREAM_STOPPED_NOTICE });
+      controller.abort();
+    }
+  };
+
+  const handlers = {
+    signal: controller.signal,
+    onToken: (delta) => release(validator.push(delta))
+  };
+  const onToolResult = (trace, calculation) => {
+    sendEvent(res, 'tool', {
+      tool: trace.calculator ?? trace.tool,
+      success: trace.success,
+      marker: trace.marker ?? null,
+      outputs: calculation?.outputs ?? null,
+      error: trace.error ?? null
+    });
+  };
+
+  let toolRun = { toolCalls: [], calculations: [] };
+  try {
+    toolRun = await runCalculatorToolLoop({
+      ...agent,
+      messages,
+      onToolResult,
+      callModel: (conversation, toolOptions) =>
+        streamLLM(conversation, { ...CHAT_LLM_OPTIONS, ...toolOptions }, handlers)
+    });
+  } catch (llmError) {
+    console.error('LLM stream failed:', llmError);
+    toolRun = llmError.agentTrace || toolRun;
+    if (!validator.getState().assembled) {
+      release(validator.push(buildFallback()));
+    }
+  } finally {
+    res.off('close', onClose);
+  }
+  release(validator.flush());
+
+  const state = validator.getState();
+  return {
+    assembled: state.assembled,
+    released: state.released,
+    llmResult: mergeModelResults(toolRun.modelResults),
+    outputValidation: state.validation,
+    stoppedByValidation: state.aborted,
+    toolRun
+  };
+}
+
 /**
  * GET /api/deals/:dealId/chat/history
  * Get chat history for a deal
@@ -1199,15 +1410,17 @@ Write the executive summary now:`;
 
     // Call LLM
     let summary;
+    let llmResult = null;
     try {
-      summary = await callOpenAI([
+      llmResult = await callLLM([
         { role: 'system', content: 'You are a senior CRE investment analyst writing executive summaries for investment committees. Be concise, direct, and focus on decision-relevant information.' },
         { role: 'user', content: summaryPrompt }
       ], {
-        model: 'gpt-4o-mini',
+        feature: 'summary',
         temperature: 0.5,
-        max_tokens: 1000
+        maxTokens: 1000
       });
+      summary = llmResult.content;
     } catch (llmError) {
       console.error('LLM summary failed:', llmError);
       summary = generateFallbackSummary(context, insights);
@@ -1243,11 +1456,11 @@ Write the executive summary now:`;
         fullPrompt: summaryPrompt,        // Full prompt for audit trail
         fullResponse: summary,            // Full AI response for tracing
         systemPrompt: systemPromptForSummary, // Will be hashed
-        modelUsed: 'gpt-4o-mini',
         contextFields: Object.keys(context),
         factsIncluded: 0,
         responseLength: summary?.length || 0,
         validationPassed: true,
+        ...usageLogFields(llmResult),
       });
     } catch (logError) {
       console.error('Failed to log AI interaction:', logError);
@@ -1494,10 +1707,16 @@ ${formatInsightsForSummary(insights)}
 
 Write a professional executive summary suitable for an investment committee:`;
 
-      executiveSummary = await callOpenAI([
+      const llmResult = await callLLM([
         { role: 'system', content: 'You are a senior CRE analyst writing investment committee materials.' },
         { role: 'user', content: summaryPrompt }
-      ], { model: 'gpt-4o-mini', temperature: 0.5, max_tokens: 800 });
+      ], {
+        feature: 'export-package',
+        temperature: 0.5,
+        maxTokens: 800,
+        audit: { userId, dealId, endpoint: `/api/deals/${dealId}/export-package` }
+      });
+      executiveSummary = llmResult.content;
     } catch (llmError) {
       executiveSummary = generateFallbackSummary(context, insights);
     }
@@ -1760,8 +1979,9 @@ export async function handleExtractDocument(req, res, dealId, authUser, readJson
 
     console.log(`[AI-DOC] Extracting document: docId=${documentId}, type=${documentType}, deal=${dealId}`);
 
+    // The file is resolved from the stored document record, never from the request
     const result = await extractDocument(documentId, documentType, {
-      ...options,
+      forceReextract: options?.forceReextract === true,
       dealId,
       userId: authUser.id,
       organizationId: authUser.organizationId
@@ -2314,3 +2534,111 @@ export async function handleGetAssumptionSuggestions(req, res, authUser, readJso
     sendError(res, 500, "Failed to get assumption suggestions", error.message);
   }
 }
+
+// ========== RETRIEVAL INDEX ROUTES ==========
+
+/**
+ * GET /api/deals/:dealId/ai/index
+ * Chunk counts for the deal's retrieval index
+ */
+export async function handleGetRetrievalIndexStatus(req, res, dealId) {
+  try {
+    sendJson(res, 200, await getIndexStatus(dealId));
+  } catch (error) {
+    console.error('[AI-INDEX] Status error:', error);
+    sendError(res, 500, "Failed to get retrieval index status", error.message);
+  }
+}
+
+/**
+ * POST /api/deals/:dealId/ai/index/rebuild
+ * Re-sync the fact chunks (verified claims, inputs, model values, conflicts)
+ */
+export async function handleRebuildRetrievalIndex(req, res, dealId, authUser) {
+  try {
+    console.log(`[AI-INDEX] Rebuilding fact index: deal=${dealId}, user=${authUser.id}`);
+    const result = await refreshFactIndex(dealId);
+    sendJson(res, 200, { ...result, status: await getIndexStatus(dealId) });
+  } catch (error) {
+    console.error('[AI-INDEX] Rebuild error:', error);
+    sendError(res, 500, "Failed to rebuild retrieval index", error.message);
+  }
+}
+
+/**
+ * POST /api/deals/:dealId/ai/index/documents
+ * Index the text of a document (PDF/OCR pages or spreadsheet cells)
+ * Body: { documentId, documentName, documentType?, pages?: [{ pageNumber, text }],
+ *         cells?: [{ sheetName, row, col, value, label? }], allowedRoles? }
+ */
+export async function handleIndexDocumentText(req, res, dealId, authUser, readJsonBody) {
+  const body = await readJsonBody(req);
+  if (!body?.documentId || !body?.documentName) {
+    return sendError(res, 400, "documentId and documentName are required");
+  }
+  const pages = body.pages || [];
+  const cells = body.cells || [];
+  if (!Array.isArray(pages) || !Array.isArray(cells) || (pages.length === 0 && cells.length === 0)) {
+    return sendError(res, 400, "pages or cells are required");
+  }
+  if (pages.some(p => typeof p?.text !== 'string')) {
+    return sendError(res, 400, "Each page needs text");
+  }
+  if (body.allowedRoles !== undefined && (!Array.isArray(body.allowedRoles) || body.allowedRoles.length === 0)) {
+    return sendError(res, 400, "allowedRoles must be a non-empty list");
+  }
+
+  try {
+    const result = await indexDocumentText(dealId, {
+      documentId: body.documentId,
+      documentName: body.documentName,
+      documentType: body.documentType || null,
+      pages,
+      cells,
+      allowedRoles: body.allowedRoles
+    });
+    console.log(`[AI-INDEX] Indexed document: deal=${dealId}, doc=${body.documentId}, chunks=${result.chunks}, changed=${result.changed}, user=${authUser.id}`);
+    sendJson(res, 200, result);
+  } catch (error) {
+    console.error('[AI-INDEX] Document index error:', error);
+    sendError(res, 500, "Failed to index document", error.message);
+  }
+}
+
+/**
+ * DELETE /api/deals/:dealId/ai/index/documents/:documentId
+ * Remove a document's text from the retrieval index
+ */
+export async function handleRemoveIndexedDocument(req, res, dealId, documentId, authUser) {
+  try {
+    const removed = await removeDocumentFromIndex(dealId, documentId);
+    console.log(`[AI-INDEX] Removed document: deal=${dealId}, doc=${documentId}, chunks=${removed}, user=${authUser.id}`);
+    sendJson(res, 200, { documentId, removed });
+  } catch (error) {
+    console.error('[AI-INDEX] Document removal error:', error);
+    sendError(res, 500, "Failed to remove document from index", error.message);
+  }
+}
+
+/**
+ * GET /api/deals/:dealId/ai/search?q=...&limit=8
+ * Ranked facts and document excerpts the user is allowed to see, with citations
+ */
+export async function handleSearchRetrievalIndex(req, res, dealId, authUser, url) {
+  const question = url.searchParams.get('q')?.trim();
+  if (!question) {
+    return sendError(res, 400, "q is required");
+  }
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '8') || 8, 1), 25);
+
+  try {
+    const facts = await searchDealIndex(dealId, question, authUser, { limit });
+    sendJson(res, 200, { query: question, results: facts.map(toCitation) });
+  } catch (error) {
+    console.error('[AI-INDEX] Search error:', error);
+    if (error.message.includes('Access denied')) {
+      return sendError(res, 403, error.message);
+    }
+    sendError(res, 500, "Failed to search retrieval index", error.message);
+  }
+}
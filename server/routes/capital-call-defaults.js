@@ -0,0 +1,635 @@
+/**
+ * Capital Call Defaults Routes
+ *
+ * Default workflow for missed capital calls. The daily scheduled sweep (or a
+ * GP's explicit process request) moves unfunded allocations past
+ * CapitalCall.dueDate into a grace period, then into default: the LP is sent a notice of default and default
+ * interest accrues. The GP can then apply a remedy allowed by the LP's share
+ * class terms, waive the default, or wait for the LP to cure it by funding.
+ * Remedies change the cap table: each is bracketed by cap table Snapshots and
+ * recorded in the deal event ledger, and any follow-on call for the shortfall
+ * is created as a draft capital call.
+ *
+ * Endpoints:
+ * - GET /api/deals/:dealId/capital-call-defaults - List defaults (?status=)
+ * - POST /api/deals/:dealId/capital-call-defaults/process - Run the grace/default sweep for the deal now
+ * - GET /api/deals/:dealId/capital-call-defaults/:defaultId - Default with balance and remedy previews
+ * - POST /api/deals/:dealId/capital-call-defaults/:defaultId/remedy - Apply a remedy
+ * - POST /api/deals/:dealId/capital-call-defaults/:defaultId/waive - Waive the default
+ * - POST /api/deals/:dealId/capital-call-defaults/:defaultId/notice - Regenerate and resend the notice
+ *
+ * Terms and remedy calculations are in services/capital-call-defaults.js.
+ */
+
+import { getPrisma } from "../db.js";
+import { readStore } from "../store.js";
+import { deleteCacheByPrefix } from "../runtime.js";
+import { createDealEvent, createCapTableSnapshot } from "../services/audit-service.js";
+import { sendEmail } from "../services/email-service.js";
+import { generateCapitalCallDefaultNotice } from "../services/document-generator.js";
+import { loadLatestNav } from "../services/lp-statement-service.js";
+import {
+  DEFAULT_STATUSES,
+  OPEN_DEFAULT_STATUSES,
+  REMEDY_TYPES,
+  resolveDefaultTerms,
+  assessAllocation,
+  defaultBalance,
+  planRemedy
+} from "../services/capital-call-defaults.js";
+
+const LOG_PREFIX = "[CapitalCallDefaults]";
+
+const DEFAULT_SYSTEM_ACTOR = { id: 'system', name: 'Default Monitor', role: 'SYSTEM' };
+
+/** Days LPs get to fund a follow-on call for a defaulted shortfall */
+const COVER_CALL_DUE_DAYS = 10;
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function logError(message, error = null, data = {}) {
+  console.error(`${LOG_PREFIX} ERROR: ${message}`, data, error?.message || '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function serializeDefault(record, now = new Date()) {
+  return {
+    id: record.id,
+    dealId: record.dealId,
+    capitalCallId: record.capitalCallId,
+    allocationId: record.allocationId,
+    lpActorId: record.lpActorId,
+    shareClassCode: record.shareClassCode,
+    status: record.status,
+    dueDate: record.dueDate.toISOString(),
+    graceEndsAt: record.graceEndsAt.toISOString(),
+    defaultedAt: record.defaultedAt?.toISOString() || null,
+    interestRate: record.interestRate,
+    terms: parseJson(record.terms, {}),
+    balance: defaultBalance(record, now),
+    noticeDocumentId: record.noticeDocumentId,
+    noticeSentAt: record.noticeSentAt?.toISOString() || null,
+    remedy: record.remedy,
+    remedyPlan: parseJson(record.remedyPlan),
+    snapshotBeforeId: record.snapshotBeforeId,
+    snapshotAfterId: record.snapshotAfterId,
+    coverCallId: record.coverCallId,
+    interestCharged: record.interestCharged,
+    closedAt: record.closedAt?.toISOString() || null,
+    closedByName: record.closedByName,
+    closeReason: record.closeReason,
+    createdAt: record.createdAt.toISOString()
+  };
+}
+
+async function findDefault(dealId, defaultId) {
+  return getPrisma().capitalCallDefault.findFirst({ where: { id: defaultId, dealId } });
+}
+
+// ============================================================================
+// DEFAULT LIFECYCLE
+// ============================================================================
+
+/**
+ * Send the notice of default: generate the document and email the LP.
+ * Notices go out regardless of notification preferences.
+ * @returns {Promise<Object>} Updated default record
+ */
+async function sendDefaultNotice(record, actor) {
+  const prisma = getPrisma();
+  const [document, lpActor, capitalCall, store] = await Promise.all([
+    generateCapitalCallDefaultNotice(record, actor),
+    prisma.lPActor.findUnique({ where: { id: record.lpActorId } }),
+    prisma.capitalCall.findUnique({ where: { id: record.capitalCallId }, select: { title: true } }),
+    readStore()
+  ]);
+  const dealLabel = store.dealIndex.find((r) => r.id === record.dealId)?.name || 'your investment';
+  const balance = defaultBalance(record);
+  const amount = balance.totalDue.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+
+  if (lpActor?.email) {
+    await sendEmail({
+      to: lpActor.email,
+      subject: `${dealLabel}: Notice of default on "${capitalCall?.title}"`,
+      text: `Hello ${lpActor.entityName},\n\nYour contribution to the capital call "${capitalCall?.title}" for ${dealLabel} was not received by the end of the grace period and is in default. ${amount} is now due, including default interest, which continues to accrue until payment is received. The notice of default, with the remedies available to the General Partner, is available from your capital call in the LP portal.`,
+      html: `<p>Hello ${lpActor.entityName},</p><p>Your contribution to the capital call "${capitalCall?.title}" for ${dealLabel} was not received by the end of the grace period and is in default.</p><p><strong>${amount}</strong> is now due, including default interest, which continues to accrue until payment is received.</p><p>The notice of default, with the remedies available to the General Partner, is available from your capital call in the LP portal.</p>`,
+      metadata: { event: 'CAPITAL_CALL_DEFAULTED', dealId: record.dealId, defaultId: record.id }
+    });
+  }
+
+  return prisma.capitalCallDefault.update({
+    where: { id: record.id },
+    data: { noticeDocumentId: document.generatedDocument.id, noticeSentAt: new Date() }
+  });
+}
+
+/**
+ * Close an open default because the allocation is now funded
+ */
+async function cureDefault(record, allocation, actor, now = new Date()) {
+  const prisma = getPrisma();
+  const interestCharged = defaultBalance(record, now).accruedInterest;
+  const cured = await prisma.capitalCallDefault.update({
+    where: { id: record.id },
+    data: {
+      status: DEFAULT_STATUSES.CURED,
+      interestCharged,
+      closedAt: now,
+      closedBy: actor.id,
+      closedByName: actor.name,
+      closeReason: 'Allocation funded'
+    }
+  });
+
+  await createDealEvent(record.dealId, 'CAPITAL_CALL_DEFAULT_CURED', {
+    defaultId: record.id,
+    capitalCallId: record.capitalCallId,
+    allocationId: record.allocationId,
+    lpActorId: record.lpActorId,
+    fundedAmount: allocation.fundedAmount,
+    wasDefaulted: record.status === DEFAULT_STATUSES.DEFAULTED,
+    interestCharged
+  }, actor);
+
+  log(`Default cured`, { defaultId: record.id, interestCharged });
+  return cured;
+}
+
+/**
+ * Move unfunded allocations past their due date through grace and default,
+ * and cure open defaults that have since been funded
+ *
+ * @param {Object} options - { dealId?, now? }
+ * @returns {Promise<Object>} { graceStarted, defaulted, cured }
+ */
+export async function processCapitalCallDefaults({ dealId, now = new Date() } = {}) {
+  const prisma = getPrisma();
+  const counts = { graceStarted: 0, defaulted: 0, cured: 0 };
+
+  const calls = await prisma.capitalCall.findMany({
+    where: {
+      ...(dealId ? { dealId } : {}),
+      status: { in: ['ISSUED', 'PARTIALLY_FUNDED', 'FUNDED'] },
+      dueDate: { lt: now }
+    },
+    include: { allocations: true }
+  });
+  const allocations = calls.flatMap(call => call.allocations.map(allocation => ({ call, allocation })));
+  if (allocations.length === 0) return counts;
+
+  const [lpActors, existing] = await Promise.all([
+    prisma.lPActor.findMany({
+      where: { id: { in: [...new Set(allocations.map(a => a.allocation.lpActorId))] } },
+      include: { shareClass: { select: { code: true, defaultTerms: true } } }
+    }),
+    prisma.capitalCallDefault.findMany({
+      where: { allocationId: { in: allocations.map(a => a.allocation.id) } }
+    })
+  ]);
+  const lpById = new Map(lpActors.map(lp => [lp.id, lp]));
+  const defaultByAllocation = new Map(existing.map(d => [d.allocationId, d]));
+
+  for (const { call, allocation } of allocations) {
+    let record = defaultByAllocation.get(allocation.id);
+    if (record && !OPEN_DEFAULT_STATUSES.includes(record.status)) continue;
+
+    try {
+      const lpActor = lpById.get(allocation.lpActorId);
+      const terms = record ? resolveDefaultTerms({ defaultTerms: record.terms }) : resolveDefaultTerms(lpActor?.shareClass);
+      const assessment = assessAllocation(allocation, call, terms, now);
+
+      if (assessment.state === 'FUNDED') {
+        if (record) {
+          await cureDefault(record, allocation, DEFAULT_SYSTEM_ACTOR, now);
+          counts.cured++;
+        }
+        continue;
+      }
+      if (!['GRACE', 'DEFAULT'].includes(assessment.state)) continue;
+
+      if (!record) {
+        record = await prisma.capitalCallDefault.create({
+          data: {
+            dealId: call.dealId,
+            capitalCallId: call.id,
+            allocationId: allocation.id,
+            lpActorId: allocation.lpActorId,
+            shareClassCode: lpActor?.shareClass?.code || null,
+            shortfall: assessment.shortfall,
+            dueDate: call.dueDate,
+            graceEndsAt: assessment.graceEndsAt,
+            interestRate: terms.interestRate,
+            terms: JSON.stringify(terms)
+          }
+        });
+        if (allocation.status === 'PENDING') {
+          await prisma.capitalCallAllocation.update({ where: { id: allocation.id }, data: { status: 'OVERDUE' } });
+        }
+        await createDealEvent(call.dealId, 'CAPITAL_CALL_PAYMENT_OVERDUE', {
+          defaultId: record.id,
+          capitalCallId: call.id,
+          allocationId: allocation.id,
+          lpActorId: allocation.lpActorId,
+          shortfall: assessment.shortfall,
+          dueDate: call.dueDate.toISOString(),
+          graceEndsAt: assessment.graceEndsAt.toISOString()
+        }, DEFAULT_SYSTEM_ACTOR);
+        counts.graceStarted++;
+      } else if (record.shortfall !== assessment.shortfall) {
+        // Partial payments reduce the shortfall interest runs on
+        record = await prisma.capitalCallDefault.update({
+          where: { id: record.id },
+          data: { shortfall: assessment.shortfall }
+        });
+      }
+
+      if (assessment.state === 'DEFAULT' && record.status === DEFAULT_STATUSES.GRACE) {
+        record = await prisma.capitalCallDefault.update({
+          where: { id: record.id },
+          data: { status: DEFAULT_STATUSES.DEFAULTED, defaultedAt: now }
+        });
+        await createDealEvent(call.dealId, 'CAPITAL_CALL_DEFAULTED', {
+          defaultId: record.id,
+          capitalCallId: call.id,
+          allocationId: allocation.id,
+          lpActorId: allocation.lpActorId,
+          shortfall: record.shortfall,
+          interestRate: record.interestRate,
+          remediesAvailable: terms.remedies
+        }, DEFAULT_SYSTEM_ACTOR);
+        await sendDefaultNotice(record, DEFAULT_SYSTEM_ACTOR);
+        counts.defaulted++;
+      }
+    } catch (error) {
+      logError(`Failed to process allocation`, error, { allocationId: allocation.id });
+    }
+  }
+
+  if (counts.graceStarted + counts.defaulted + counts.cured > 0) {
+    log(`Processed capital call defaults`, { dealId: dealId || 'ALL', ...counts });
+  }
+  return counts;
+}
+
+/**
+ * Cure an open default as soon as its allocation is funded
+ * @param {Object} allocation - Updated CapitalCallAllocation
+ * @param {Object} actor - { id, name, role } for the ledger
+ * @returns {Promise<Object|null>} Cured default, or null if none was open
+ */
+export async function syncDefaultOnFunding(allocation, actor) {
+  const record = await getPrisma().capitalCallDefault.findUnique({ where: { allocationId: allocation.id } });
+  if (!record || !OPEN_DEFAULT_STATUSES.includes(record.status)) return null;
+  if ((allocation.fundedAmount || 0) < allocation.amount) return null;
+  return cureDefault(record, allocation, actor);
+}
+
+// ============================================================================
+// REMEDIES
+// ============================================================================
+
+/**
+ * Load what planRemedy needs for a default
+ */
+async function loadRemedyContext(record) {
+  const prisma = getPrisma();
+  const [lpActors, funded, valuation] = await Promise.all([
+    prisma.lPActor.findMany({ where: { dealId: record.dealId, status: 'ACTIVE' } }),
+    prisma.capitalCallAllocation.findMany({
+      where: { capitalCall: { dealId: record.dealId, status: { not: 'CANCELLED' } }, fundedAmount: { gt: 0 } },
+      select: { lpActorId: true, fundedAmount: true }
+    }),
+    loadLatestNav(record.lpActorId)
+  ]);
+
+  const contributedByLp = {};
+  for (const row of funded) {
+    contributedByLp[row.lpActorId] = (contributedByLp[row.lpActorId] || 0) + row.fundedAmount;
+  }
+  return {
+    lpActors,
+    contributedByLp,
+    nav: valuation?.nav ?? null,
+    terms: resolveDefaultTerms({ defaultTerms: record.terms })
+  };
+}
+
+function remedyParams(record, context, options = {}) {
+  return {
+    defaulterId: record.lpActorId,
+    lpActors: context.lpActors,
+    contributedByLp: context.contributedByLp,
+    shortfall: record.shortfall,
+    accruedInterest: defaultBalance(record).accruedInterest,
+    terms: context.terms,
+    nav: context.nav,
+    ...options
+  };
+}
+
+// ============================================================================
+// GP ENDPOINTS
+// ============================================================================
+
+/**
+ * List capital call defaults for a deal
+ * GET /api/deals/:dealId/capital-call-defaults?status=DEFAULTED
+ */
+export async function handleListCapitalCallDefaults(req, res, dealId, url) {
+  const status = url?.searchParams?.get("status");
+  const prisma = getPrisma();
+  const [defaults, lpActors] = await Promise.all([
+    prisma.capitalCallDefault.findMany({
+      where: { dealId, ...(status ? { status } : {}) },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.lPActor.findMany({ where: { dealId }, select: { id: true, entityName: true } })
+  ]);
+  const names = new Map(lpActors.map(lp => [lp.id, lp.entityName]));
+
+  sendJson(res, 200, {
+    defaults: defaults.map(record => ({ ...serializeDefault(record), entityName: names.get(record.lpActorId) || null }))
+  });
+}
+
+/**
+ * Run the grace/default sweep for one deal without waiting for the scheduler.
+ * Starts grace periods, declares defaults (sending notices) and cures funded ones.
+ * POST /api/deals/:dealId/capital-call-defaults/process
+ */
+export async function handleProcessCapitalCallDefaults(req, res, dealId, authUser) {
+  const counts = await processCapitalCallDefaults({ dealId });
+  log(`Sweep requested`, { dealId, userId: authUser.id, ...counts });
+  sendJson(res, 200, counts);
+}
+
+/**
+ * Get a default with its balance and a preview of each available remedy
+ * GET /api/deals/:dealId/capital-call-defaults/:defaultId
+ */
+export async function handleGetCapitalCallDefault(req, res, dealId, defaultId) {
+  const record = await findDefault(dealId, defaultId);
+  if (!record) {
+    return sendError(res, 404, "Capital call default not found");
+  }
+
+  let remedyPreviews = null;
+  if (record.status === DEFAULT_STATUSES.DEFAULTED) {
+    const context = await loadRemedyContext(record);
+    remedyPreviews = context.terms.remedies.map(remedy => ({
+      remedy,
+      label: REMEDY_TYPES[remedy],
+      plan: planRemedy(remedyParams(record, context, { remedy }))
+    }));
+  }
+
+  sendJson(res, 200, { default: serializeDefault(record), remedyPreviews });
+}
+
+/**
+ * Apply a remedy to a declared default
+ * POST /api/deals/:dealId/capital-call-defaults/:defaultId/remedy
+ * Body: { remedy, salePrice?, coverShortfall?, coverDueDate?, note? }
+ *
+ * The cap table is snapshotted before and after the change. A follow-on call
+ * for the shortfall is created as a draft for another GP to issue.
+ */
+export async function handleApplyDefaultRemedy(req, res, dealId, defaultId, readJsonBody, authUser) {
+  const record = await findDefault(dealId, defaultId);
+  if (!record) {
+    return sendError(res, 404, "Capital call default not found");
+  }
+  if (record.status !== DEFAULT_STATUSES.DEFAULTED) {
+    return sendError(res, 409, `Remedies can only be applied to a declared default (status is ${record.status})`);
+  }
+
+  const body = await readJsonBody(req) || {};
+  if (body.salePrice != null && (typeof body.salePrice !== 'number' || body.salePrice < 0)) {
+    return sendError(res, 400, "salePrice must be a non-negative number");
+  }
+  const coverDueDate = body.coverDueDate ? new Date(body.coverDueDate) : new Date(Date.now() + COVER_CALL_DUE_DAYS * 24 * 60 * 60 * 1000);
+  if (isNaN(coverDueDate.getTime())) {
+    return sendError(res, 400, "coverDueDate must be a valid date");
+  }
+
+  const context = await loadRemedyContext(record);
+  const plan = planRemedy(remedyParams(record, context, {
+    remedy: body.remedy,
+    salePrice: body.salePrice ?? null,
+    coverShortfall: body.coverShortfall !== false
+  }));
+  if (plan.error) {
+    return sendError(res, 400, plan.error);
+  }
+
+  const prisma = getPrisma();
+  const actor = { id: authUser.id, name: authUser.name || 'Unknown', role: authUser.role };
+  const defaulter = context.lpActors.find(lp => lp.id === record.lpActorId);
+  const capitalCall = await prisma.capitalCall.findUnique({ where: { id: record.capitalCallId }, select: { title: true } });
+
+  const snapshotBefore = await createCapTableSnapshot(
+    dealId,
+    'CAP_TABLE',
+    `Before ${body.remedy} remedy: ${defaulter.entityName} default on ${capitalCall?.title}`,
+    actor
+  );
+
+  const changed = plan.changes.filter(c =>
+    c.ownershipPctAfter !== c.ownershipPctBefore || c.commitmentAfter !== c.commitmentBefore
+  );
+  const { coverCall, remedied } = await prisma.$transaction(async (tx) => {
+    for (const change of changed) {
+      await tx.lPActor.update({
+        where: { id: change.lpActorId },
+        data: { ownershipPct: change.ownershipPctAfter, commitment: change.commitmentAfter }
+      });
+    }
+
+    let cover = null;
+    if (plan.coverCall) {
+      cover = await tx.capitalCall.create({
+        data: {
+          dealId,
+          title: `Default shortfall: ${capitalCall?.title}`,
+          description: `Follow-on call to fund ${defaulter.entityName}'s defaulted contribution (${body.remedy})`,
+          totalAmount: plan.coverCall.totalAmount,
+          dueDate: coverDueDate,
+          purpose: 'DEFAULT_SHORTFALL',
+          status: 'DRAFT',
+          createdBy: authUser.id,
+          createdByName: authUser.name || 'Unknown',
+          allocations: {
+            create: plan.coverCall.allocations.map(a => ({ lpActorId: a.lpActorId, amount: a.amount, status: 'PENDING' }))
+          }
+        }
+      });
+    }
+
+    const updated = await tx.capitalCallDefault.update({
+      where: { id: record.id },
+      data: {
+        status: DEFAULT_STATUSES.REMEDIED,
+        remedy: body.remedy,
+        remedyPlan: JSON.stringify(plan),
+        snapshotBeforeId: snapshotBefore.id,
+        coverCallId: cover?.id || null,
+        interestCharged: plan.accruedInterest,
+        closedAt: new Date(),
+        closedBy: authUser.id,
+        closedByName: authUser.name || 'Unknown',
+        closeReason: body.note || REMEDY_TYPES[body.remedy]
+      }
+    });
+    return { coverCall: cover, remedied: updated };
+  });
+
+  const snapshotAfter = await createCapTableSnapshot(
+    dealId,
+    'CAP_TABLE',
+    `After ${body.remedy} remedy: ${defaulter.entityName} default on ${capitalCall?.title}`,
+    actor
+  );
+  const updated = await prisma.capitalCallDefault.update({
+    where: { id: remedied.id },
+    data: { snapshotAfterId: snapshotAfter.id }
+  });
+  if (coverCall) {
+    await prisma.capitalCall.update({ where: { id: coverCall.id }, data: { snapshotId: snapshotAfter.id } });
+  }
+
+  await createDealEvent(dealId, 'CAPITAL_CALL_DEFAULT_REMEDIED', {
+    defaultId: record.id,
+    capitalCallId: record.capitalCallId,
+    lpActorId: record.lpActorId,
+    lpEntityName: defaulter.entityName,
+    remedy: body.remedy,
+    shortfall: plan.shortfall,
+    interestCharged: plan.accruedInterest,
+    capTableChanges: changed,
+    forfeiture: plan.forfeiture || null,
+    sale: plan.sale || null,
+    dilution: plan.dilution || null,
+    coverCallId: coverCall?.id || null,
+    snapshotBeforeId: snapshotBefore.id,
+    snapshotBeforeHash: snapshotBefore.capTableHash,
+    snapshotAfterId: snapshotAfter.id,
+    snapshotAfterHash: snapshotAfter.capTableHash
+  }, actor, { fromState: DEFAULT_STATUSES.DEFAULTED, toState: DEFAULT_STATUSES.REMEDIED });
+
+  if (coverCall) {
+    await createDealEvent(dealId, 'CAPITAL_CALL_CREATED', {
+      capitalCallId: coverCall.id,
+      title: coverCall.title,
+      totalAmount: coverCall.totalAmount,
+      dueDate: coverCall.dueDate.toISOString(),
+      purpose: coverCall.purpose,
+      snapshotId: snapshotAfter.id,
+      defaultId: record.id,
+      allocationCount: plan.coverCall.allocations.length,
+      allocations: plan.coverCall.allocations
+    }, actor);
+  }
+
+  // Ownership and commitments shown in the LP portal have changed
+  deleteCacheByPrefix('lp-portal:');
+
+  log(`Applied default remedy`, { dealId, defaultId, remedy: body.remedy, changed: changed.length, coverCallId: coverCall?.id || null });
+  sendJson(res, 200, {
+    default: serializeDefault(updated),
+    plan,
+    coverCall: coverCall ? { id: coverCall.id, title: coverCall.title, totalAmount: coverCall.totalAmount, status: coverCall.status } : null
+  });
+}
+
+/**
+ * Waive an open default: no interest is charged and no remedy applies
+ * POST /api/deals/:dealId/capital-call-defaults/:defaultId/waive
+ * Body: { reason }
+ */
+export async function handleWaiveCapitalCallDefault(req, res, dealId, defaultId, readJsonBody, authUser) {
+  const record = await findDefault(dealId, defaultId);
+  if (!record) {
+    return sendError(res, 404, "Capital call default not found");
+  }
+  if (!OPEN_DEFAULT_STATUSES.includes(record.status)) {
+    return sendError(res, 409, `Cannot waive a default with status ${record.status}`);
+  }
+
+  const body = await readJsonBody(req);
+  const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) {
+    return sendError(res, 400, "reason is required");
+  }
+
+  const updated = await getPrisma().capitalCallDefault.update({
+    where: { id: record.id },
+    data: {
+      status: DEFAULT_STATUSES.WAIVED,
+      interestCharged: 0,
+      closedAt: new Date(),
+      closedBy: authUser.id,
+      closedByName: authUser.name || 'Unknown',
+      closeReason: reason
+    }
+  });
+
+  await createDealEvent(dealId, 'CAPITAL_CALL_DEFAULT_WAIVED', {
+    defaultId: record.id,
+    capitalCallId: record.capitalCallId,
+    lpActorId: record.lpActorId,
+    previousStatus: record.status,
+    interestWaived: defaultBalance(record).accruedInterest,
+    reason
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  log(`Waived default`, { dealId, defaultId });
+  sendJson(res, 200, { default: serializeDefault(updated) });
+}
+
+/**
+ * Regenerate the notice of default with interest to date and resend it
+ * POST /api/deals/:dealId/capital-call-defaults/:defaultId/notice
+ */
+export async function handleResendDefaultNotice(req, res, dealId, defaultId, authUser) {
+  const record = await findDefault(dealId, defaultId);
+  if (!record) {
+    return sendError(res, 404, "Capital call default not found");
+  }
+  if (record.status !== DEFAULT_STATUSES.DEFAULTED) {
+    return sendError(res, 409, `Notices are only sent for a declared default (status is ${record.status})`);
+  }
+
+  const actor = { id: authUser.id, name: authUser.name || 'Unknown', role: authUser.role };
+  const updated = await sendDefaultNotice(record, actor);
+
+  await createDealEvent(dealId, 'CAPITAL_CALL_DEFAULT_NOTICE_SENT', {
+    defaultId: record.id,
+    lpActorId: record.lpActorId,
+    noticeDocumentId: updated.noticeDocumentId,
+    balance: defaultBalance(updated)
+  }, actor);
+
+  sendJson(res, 200, { default: serializeDefault(updated) });
+}
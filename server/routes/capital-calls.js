@@ -11,6 +11,10 @@ import { readStore } from "../store.js";
 import crypto from "node:crypto";
 import { createDealEvent, createCapTableSnapshot } from "../services/audit-service.js";
 import { generateCapitalCallNotices } from "../services/document-generator.js";
+import { syncSubscriptionFunding } from "./subscriptions.js";
+import { syncDefaultOnFunding } from "./capital-call-defaults.js";
+import { syncFeeSettlementOnPayment, reverseFeeSettlements } from "./fees.js";
+import { defaultBalance } from "../services/capital-call-defaults.js";
 
 function sendJson(res, status, payload) {
   res.writeHead(status, {
@@ -466,12 +470,16 @@ export async function handleCancelCapitalCall(req, res, dealId, callId) {
     data: { status: 'CANCELLED' }
   });
 
+  // Unfunded fee call allocations no longer settle their fee invoice
+  const reversedFees = await reverseFeeSettlements({ capitalCallId: callId }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
   // Record audit event
   await createDealEvent(dealId, 'CAPITAL_CALL_CANCELLED', {
     capitalCallId: callId,
     title: capitalCall.title,
     totalAmount: capitalCall.totalAmount,
     previousStatus,
+    feeSettlementsReversed: reversedFees.length,
     cancelledBy: authUser.id,
     cancelledByName: authUser.name
   }, { id: authUser.id, name: authUser.name, role: authUser.role });
@@ -605,6 +613,10 @@ export async function handleGetMyCapitalCallDetail(req, res, authUser, dealId, c
     return sendError(res, 404, "Capital call not available");
   }
 
+  const paymentDefault = capitalCall.allocations[0]
+    ? await prisma.capitalCallDefault.findUnique({ where: { allocationId: capitalCall.allocations[0].id } })
+    : null;
+
   sendJson(res, 200, {
     capitalCall: {
       id: capitalCall.id,
@@ -627,6 +639,16 @@ export async function handleGetMyCapitalCallDetail(req, res, authUser, dealId, c
       wireReference: capitalCall.allocations[0].wireReference,
       proofDocumentId: capitalCall.allocations[0].proofDocumentId
     } : null,
+    paymentDefault: paymentDefault ? {
+      status: paymentDefault.status,
+      graceEndsAt: paymentDefault.graceEndsAt.toISOString(),
+      defaultedAt: paymentDefault.defaultedAt?.toISOString() || null,
+      interestRate: paymentDefault.interestRate,
+      balance: defaultBalance(paymentDefault),
+      noticeDocumentId: paymentDefault.noticeDocumentId,
+      noticeSentAt: paymentDefault.noticeSentAt?.toISOString() || null,
+      remedy: paymentDefault.remedy
+    } : null,
     lpActorId: lpActor.id
   });
 }
@@ -676,7 +698,8 @@ export async function handleMarkWireInitiated(req, res, authUser, dealId, callId
     return sendError(res, 404, "Allocation not found");
   }
 
-  if (allocation.status !== 'PENDING') {
+  // OVERDUE allocations are past due but can still be paid
+  if (!['PENDING', 'OVERDUE'].includes(allocation.status)) {
     return sendError(res, 400, `Cannot update allocation with status ${allocation.status}`);
   }
 
@@ -698,6 +721,9 @@ export async function handleMarkWireInitiated(req, res, authUser, dealId, callId
     wireReference: body?.wireReference || null
   }, { id: authUser.id, name: authUser.name, role: 'LP' });
 
+  // Initial funding of an accepted subscription
+  await syncSubscriptionFunding(updated, { id: authUser.id, name: authUser.name, role: 'LP' });
+
   console.log(`[Capital Calls] LP ${lpActor.entityName} marked wire initiated for call ${callId}`);
 
   sendJson(res, 200, {
@@ -764,7 +790,7 @@ export async function handleUploadWireProof(req, res, authUser, dealId, callId,
     data: {
       proofDocumentId: body.documentId,
       wireReference: body.wireReference ?? allocation.wireReference,
-      status: allocation.status === 'PENDING' ? 'WIRE_INITIATED' : allocation.status
+      status: ['PENDING', 'OVERDUE'].includes(allocation.status) ? 'WIRE_INITIATED' : allocation.status
     }
   });
 
@@ -858,6 +884,15 @@ export async function handleMarkFunded(req, res, dealId, callId, allocationId, r
     newCallStatus
   }, { id: authUser.id, name: authUser.name, role: authUser.role });
 
+  // Initial funding of an accepted subscription moves it to FUNDED
+  await syncSubscriptionFunding(updated, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  // Funding in full cures a capital call default
+  await syncDefaultOnFunding(updated, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  // Fee call allocations settle their fee invoice line
+  await syncFeeSettlementOnPayment(updated, { id: authUser.id, name: authUser.name, role: authUser.role });
+
   console.log(`[Capital Calls] Marked allocation ${allocationId} as funded`);
 
   sendJson(res, 200, {
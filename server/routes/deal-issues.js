@@ -0,0 +1,726 @@
+/**
+ * Deal Issue Routes
+ *
+ * Asset management incident tracker (casualty, tenant default, litigation).
+ * GP logs an issue, posts timestamped updates that can move its status, and
+ * publishes an LP-safe version that appears in the LP investor update feed
+ * as an ISSUE_ALERT. Severity decides who is notified; unresolved CRITICAL
+ * issues escalate on the scheduler (see escalation-rules.js).
+ * Every step is recorded in the deal event ledger.
+ *
+ * Endpoints:
+ * - GET   /api/deals/:dealId/issues - List issues (?status=&severity=)
+ * - POST  /api/deals/:dealId/issues - Log an issue
+ * - GET   /api/deals/:dealId/issues/:issueId - Get issue with updates
+ * - PATCH /api/deals/:dealId/issues/:issueId - Edit issue details
+ * - POST  /api/deals/:dealId/issues/:issueId/updates - Post update / change status
+ * - POST  /api/deals/:dealId/issues/:issueId/publish - Publish LP-safe version
+ * - GET   /api/lp/portal/my-investments/:dealId/issues/:issueId - LP: published issue
+ */
+
+import { getPrisma } from "../db.js";
+import { extractAuthUser } from "./auth.js";
+import { readStore } from "../store.js";
+import { createDealEvent } from "../services/audit-service.js";
+import { sendEmail } from "../services/email-service.js";
+import { emitLpWebhook, isLpWebhookEnabled } from "../notifications.js";
+import { evaluateIssueEscalation, getEscalationLevelLabel } from "../services/escalation-rules.js";
+import {
+  ISSUE_STATUSES,
+  ISSUE_SEVERITIES,
+  validateIssue,
+  validateStatusChange,
+  validatePublish,
+  getNotificationPolicy,
+  shouldNotifyDealTeam,
+  buildLpIssueView
+} from "../services/deal-issues.js";
+
+const LOG_PREFIX = "[DealIssues]";
+
+/** Actor recorded for scheduler escalations */
+const ESCALATION_SYSTEM_ACTOR = { id: 'system', name: 'Issue Escalation', role: 'SYSTEM' };
+
+/** Fields the GP may edit with PATCH */
+const EDITABLE_FIELDS = [
+  'title', 'category', 'severity', 'occurredAt', 'whatHappened', 'impact',
+  'whatWeAreDoing', 'lpSummary', 'ownerUserId', 'ownerName', 'resolution', 'attachmentIds'
+];
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function logError(message, error = null, data = {}) {
+  console.error(`${LOG_PREFIX} ERROR: ${message}`, data, error?.message || '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+/**
+ * Require authenticated user with deal org access
+ * SECURITY: Enforces organization isolation via deal membership
+ */
+async function requireDealOrgAccess(req, res, dealId) {
+  const authUser = await extractAuthUser(req);
+  if (!authUser) {
+    sendError(res, 401, "Not authenticated");
+    return null;
+  }
+
+  const store = await readStore();
+  const record = store.dealIndex.find((item) => item.id === dealId);
+
+  if (!record) {
+    sendError(res, 404, "Deal not found");
+    return null;
+  }
+
+  // Enforce org isolation
+  if (record.organizationId && record.organizationId !== authUser.organizationId) {
+    sendError(res, 403, "Access denied - deal belongs to different organization");
+    return null;
+  }
+
+  return authUser;
+}
+
+/**
+ * Require GP or Admin role with deal org access
+ * SECURITY: Enforces both role requirement AND organization isolation
+ */
+async function requireGPWithDealOrgAccess(req, res, dealId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return null;
+
+  if (!['GP', 'Admin'].includes(authUser.role)) {
+    sendError(res, 403, "GP or Admin role required");
+    return null;
+  }
+  if (authUser.status !== 'ACTIVE') {
+    sendError(res, 403, "Account not active");
+    return null;
+  }
+  return authUser;
+}
+
+/**
+ * Require an authenticated LP user
+ */
+function requireLPUser(res, authUser) {
+  if (!authUser) {
+    sendError(res, 401, "Authentication required");
+    return false;
+  }
+  if (authUser.role !== "LP") {
+    sendError(res, 403, "Only LP users can access this endpoint");
+    return false;
+  }
+  return true;
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function serializeIssue(issue) {
+  return {
+    id: issue.id,
+    dealId: issue.dealId,
+    title: issue.title,
+    category: issue.category,
+    severity: issue.severity,
+    status: issue.status,
+    occurredAt: issue.occurredAt?.toISOString() || null,
+    whatHappened: issue.whatHappened,
+    impact: issue.impact,
+    whatWeAreDoing: issue.whatWeAreDoing,
+    lpSummary: issue.lpSummary,
+    ownerUserId: issue.ownerUserId,
+    ownerName: issue.ownerName,
+    publishedAt: issue.publishedAt?.toISOString() || null,
+    publishedByName: issue.publishedByName,
+    resolvedAt: issue.resolvedAt?.toISOString() || null,
+    resolution: issue.resolution,
+    escalationLevel: issue.escalationLevel,
+    escalationLabel: getEscalationLevelLabel(issue.escalationLevel),
+    escalatedAt: issue.escalatedAt?.toISOString() || null,
+    attachmentIds: parseJson(issue.attachmentIds, []),
+    updateCount: issue._count?.updates ?? issue.updates?.length ?? null,
+    createdBy: issue.createdBy,
+    createdByName: issue.createdByName,
+    createdAt: issue.createdAt.toISOString(),
+    updatedAt: issue.updatedAt.toISOString()
+  };
+}
+
+function serializeIssueUpdate(update) {
+  return {
+    id: update.id,
+    issueId: update.issueId,
+    updateText: update.updateText,
+    lpVisible: update.lpVisible,
+    statusFrom: update.statusFrom,
+    statusTo: update.statusTo,
+    attachmentIds: parseJson(update.attachmentIds, []),
+    createdBy: update.createdBy,
+    createdByName: update.createdByName,
+    createdAt: update.createdAt.toISOString()
+  };
+}
+
+async function getDealName(dealId) {
+  const store = await readStore();
+  return store.dealIndex.find((r) => r.id === dealId)?.name || null;
+}
+
+async function findLpActorForDeal(authUser, dealId) {
+  const prisma = getPrisma();
+  return prisma.lPActor.findFirst({
+    where: {
+      dealId,
+      OR: [
+        { authUserId: authUser.id },
+        { email: authUser.email.toLowerCase() }
+      ],
+      status: 'ACTIVE'
+    }
+  });
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * In-app notification to the issue owner and the deal's assignees
+ *
+ * @param {Object} issue - DealIssue row
+ * @param {Object} options
+ * @param {string} options.type - Notification type
+ * @param {string} options.title
+ * @param {string} options.body
+ * @param {Object} options.source - Actor that triggered it (excluded from recipients)
+ * @param {Array<string>} options.userIds - Explicit recipients; 'deal-team' expands to assignees
+ * @param {number} options.escalationLevel
+ * @returns {Promise<number>} Notifications created
+ */
+async function notifyDealTeamOfIssue(issue, { type, title, body, source, userIds = null, escalationLevel = null }) {
+  const prisma = getPrisma();
+  const targets = userIds ?? [issue.ownerUserId, 'deal-team'];
+
+  const recipients = new Set(targets.filter(id => id && id !== 'deal-team'));
+  if (targets.includes('deal-team')) {
+    const assignments = await prisma.dealAssignment.findMany({
+      where: { dealId: issue.dealId, removedAt: null },
+      select: { userId: true }
+    });
+    assignments.forEach(a => recipients.add(a.userId));
+  }
+  if (source?.id) recipients.delete(source.id);
+
+  await Promise.all([...recipients].map(userId => prisma.notification.create({
+    data: {
+      userId,
+      type,
+      title,
+      body,
+      dealId: issue.dealId,
+      escalationLevel,
+      actionUrl: `/DealIssues?dealId=${issue.dealId}&issueId=${issue.id}`,
+      sourceUserId: source?.id ?? null,
+      sourceUserName: source?.name ?? null
+    }
+  })));
+
+  log(`Notified deal team`, { issueId: issue.id, type, recipients: recipients.size });
+  return recipients.size;
+}
+
+/**
+ * Email LPs about a published issue and emit the LP webhook
+ *
+ * Only the email switch is honoured: incident notices are not milestone
+ * marketing, so milestone opt-outs do not suppress them.
+ *
+ * @param {Object} issue - DealIssue row
+ * @param {Object} options
+ * @param {string} options.webhookEvent - LP_ISSUE_PUBLISHED | LP_ISSUE_UPDATED
+ * @param {boolean} options.email - Whether the severity policy calls for email
+ * @param {string} options.subject
+ * @param {string} options.message
+ */
+async function notifyLPsOfIssue(issue, { webhookEvent, email, subject, message }) {
+  const policy = getNotificationPolicy(issue.severity);
+  const prisma = getPrisma();
+
+  let sent = 0;
+  if (email) {
+    const lpActors = await prisma.lPActor.findMany({ where: { dealId: issue.dealId, status: 'ACTIVE' } });
+    const [preferences, dealName] = await Promise.all([
+      prisma.lPNotificationPreference.findMany({ where: { lpActorId: { in: lpActors.map(lp => lp.id) } } }),
+      getDealName(issue.dealId)
+    ]);
+    const preferenceByActor = new Map(preferences.map(p => [p.lpActorId, p]));
+
+    // One email per LP even when they hold several classes
+    const recipients = new Map();
+    for (const lpActor of lpActors) {
+      if (preferenceByActor.get(lpActor.id)?.emailEnabled === false) continue;
+      recipients.set(lpActor.email.toLowerCase(), lpActor);
+    }
+
+    const dealLabel = dealName || 'your investment';
+    const results = await Promise.all([...recipients.values()].map(lpActor => sendEmail({
+      to: lpActor.email,
+      subject: `${dealLabel}: ${subject}`,
+      text: `Hello ${lpActor.entityName},\n\n${message}\n\nIssue: ${issue.title}\n${issue.lpSummary}\n\nView details in the LP portal.`,
+      html: `<p>Hello ${lpActor.entityName},</p><p>${message}</p><p><strong>Issue:</strong> ${issue.title}</p><p>${issue.lpSummary}</p><p>View details in the LP portal.</p>`,
+      metadata: { event: webhookEvent, dealId: issue.dealId, issueId: issue.id }
+    })));
+    sent = results.filter(r => r.sent).length;
+  }
+
+  if (policy.webhook && isLpWebhookEnabled()) {
+    void emitLpWebhook(webhookEvent, {
+      dealId: issue.dealId,
+      issueId: issue.id,
+      title: issue.title,
+      category: issue.category,
+      severity: issue.severity,
+      status: issue.status,
+      publishedAt: issue.publishedAt?.toISOString() || null
+    });
+  }
+
+  log(`Notified LPs`, { issueId: issue.id, webhookEvent, severity: issue.severity, sent });
+}
+
+// ============================================================================
+// ESCALATION
+// ============================================================================
+
+/**
+ * Escalate unresolved CRITICAL issues per ESCALATION_RULES.dealIssue
+ * Called by the scheduler's escalation job.
+ *
+ * @param {Object} options
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { issuesChecked, escalated }
+ */
+export async function escalateDealIssues({ now = new Date() } = {}) {
+  const prisma = getPrisma();
+  const issues = await prisma.dealIssue.findMany({
+    where: {
+      severity: 'CRITICAL',
+      status: { in: [ISSUE_STATUSES.OPEN, ISSUE_STATUSES.INVESTIGATING, ISSUE_STATUSES.MITIGATING] }
+    }
+  });
+
+  const results = { issuesChecked: issues.length, escalated: 0 };
+
+  for (const issue of issues) {
+    const evaluation = evaluateIssueEscalation(issue, now);
+    if (!evaluation.shouldEscalate) continue;
+
+    try {
+      await notifyDealTeamOfIssue(issue, {
+        type: 'issue_escalated',
+        title: `[Escalated] Critical issue unresolved: ${issue.title}`,
+        body: `Open for ${evaluation.hoursUnresolved} hours, status ${issue.status}`,
+        source: ESCALATION_SYSTEM_ACTOR,
+        userIds: evaluation.escalateTo,
+        escalationLevel: evaluation.level
+      });
+
+      await prisma.dealIssue.update({
+        where: { id: issue.id },
+        data: { escalationLevel: evaluation.level, escalatedAt: now }
+      });
+
+      await createDealEvent(issue.dealId, 'DEAL_ISSUE_ESCALATED', {
+        issueId: issue.id,
+        title: issue.title,
+        level: evaluation.level,
+        hoursUnresolved: evaluation.hoursUnresolved
+      }, ESCALATION_SYSTEM_ACTOR);
+
+      results.escalated++;
+    } catch (error) {
+      logError(`Failed to escalate issue`, error, { issueId: issue.id });
+    }
+  }
+
+  log(`Escalation results`, results);
+  return results;
+}
+
+// ============================================================================
+// GP ENDPOINTS
+// ============================================================================
+
+/**
+ * List issues for a deal
+ * GET /api/deals/:dealId/issues
+ */
+export async function handleListDealIssues(req, res, dealId, url) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const status = url?.searchParams?.get("status");
+  const severity = url?.searchParams?.get("severity");
+  const prisma = getPrisma();
+  const issues = await prisma.dealIssue.findMany({
+    where: {
+      dealId,
+      ...(status ? { status } : {}),
+      ...(severity ? { severity } : {})
+    },
+    include: { _count: { select: { updates: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  // Most severe first, newest first within a severity
+  issues.sort((a, b) => ISSUE_SEVERITIES.indexOf(b.severity) - ISSUE_SEVERITIES.indexOf(a.severity));
+
+  sendJson(res, 200, { issues: issues.map(serializeIssue) });
+}
+
+/**
+ * Log an issue
+ * POST /api/deals/:dealId/issues
+ */
+export async function handleCreateDealIssue(req, res, dealId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  const errors = validateIssue(body ?? {});
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid issue", errors);
+  }
+
+  const prisma = getPrisma();
+  const issue = await prisma.dealIssue.create({
+    data: {
+      dealId,
+      title: body.title.trim(),
+      category: body.category ?? 'OTHER',
+      severity: body.severity ?? 'MEDIUM',
+      occurredAt: body.occurredAt ? new Date(body.occurredAt) : null,
+      whatHappened: body.whatHappened,
+      impact: body.impact ?? null,
+      whatWeAreDoing: body.whatWeAreDoing ?? null,
+      lpSummary: body.lpSummary ?? null,
+      ownerUserId: body.ownerUserId ?? authUser.id,
+      ownerName: body.ownerUserId ? (body.ownerName ?? null) : authUser.name,
+      attachmentIds: body.attachmentIds?.length ? JSON.stringify(body.attachmentIds) : null,
+      createdBy: authUser.id,
+      createdByName: authUser.name
+    }
+  });
+
+  await createDealEvent(dealId, 'DEAL_ISSUE_OPENED', {
+    issueId: issue.id,
+    title: issue.title,
+    category: issue.category,
+    severity: issue.severity
+  }, { id: authUser.id, name: authUser.name, role: authUser.role }, {
+    toState: issue.status,
+    evidenceRefs: body.attachmentIds ?? []
+  });
+
+  if (shouldNotifyDealTeam(null, issue.severity)) {
+    await notifyDealTeamOfIssue(issue, {
+      type: 'issue_opened',
+      title: `${issue.severity} issue logged: ${issue.title}`,
+      body: issue.whatHappened,
+      source: authUser
+    });
+  }
+
+  log(`Issue opened`, { dealId, issueId: issue.id, severity: issue.severity, category: issue.category });
+  sendJson(res, 201, { issue: serializeIssue(issue) });
+}
+
+/**
+ * Get an issue with its full update history
+ * GET /api/deals/:dealId/issues/:issueId
+ */
+export async function handleGetDealIssue(req, res, dealId, issueId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const issue = await prisma.dealIssue.findFirst({
+    where: { id: issueId, dealId },
+    include: { updates: { orderBy: { createdAt: 'asc' } } }
+  });
+  if (!issue) {
+    return sendError(res, 404, "Issue not found");
+  }
+
+  sendJson(res, 200, {
+    issue: serializeIssue(issue),
+    updates: issue.updates.map(serializeIssueUpdate),
+    lpView: issue.publishedAt ? buildLpIssueView(issue, issue.updates) : null
+  });
+}
+
+/**
+ * Edit issue details (status changes go through updates)
+ * PATCH /api/deals/:dealId/issues/:issueId
+ */
+export async function handleUpdateDealIssue(req, res, dealId, issueId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req) ?? {};
+  if (body.status !== undefined) {
+    return sendError(res, 400, "Change status by posting an update");
+  }
+  const errors = validateIssue(body, { partial: true });
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid issue", errors);
+  }
+
+  const prisma = getPrisma();
+  const issue = await prisma.dealIssue.findFirst({ where: { id: issueId, dealId } });
+  if (!issue) {
+    return sendError(res, 404, "Issue not found");
+  }
+  if (issue.status === ISSUE_STATUSES.CLOSED) {
+    return sendError(res, 409, "Closed issues cannot be edited");
+  }
+
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (field === 'occurredAt') data.occurredAt = body.occurredAt ? new Date(body.occurredAt) : null;
+    else if (field === 'attachmentIds') data.attachmentIds = body.attachmentIds?.length ? JSON.stringify(body.attachmentIds) : null;
+    else if (field === 'title') data.title = body.title.trim();
+    else data[field] = body[field];
+  }
+  const changedFields = Object.keys(data);
+  if (changedFields.length === 0) {
+    return sendError(res, 400, "No editable fields provided");
+  }
+
+  // The LP view is live once published, so it must stay publishable
+  if (issue.publishedAt) {
+    const publishErrors = validatePublish({ ...issue, ...data });
+    if (publishErrors.length > 0) {
+      return sendError(res, 400, "Published issue must keep an LP-safe summary", publishErrors);
+    }
+  }
+
+  const updated = await prisma.dealIssue.update({ where: { id: issueId }, data });
+
+  await createDealEvent(dealId, 'DEAL_ISSUE_EDITED', {
+    issueId,
+    changedFields,
+    ...(data.severity && data.severity !== issue.severity
+      ? { severityFrom: issue.severity, severityTo: data.severity }
+      : {})
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  if (data.severity && shouldNotifyDealTeam(issue.severity, data.severity)) {
+    await notifyDealTeamOfIssue(updated, {
+      type: 'issue_severity_raised',
+      title: `Issue raised to ${updated.severity}: ${updated.title}`,
+      body: `Severity changed from ${issue.severity} by ${authUser.name}`,
+      source: authUser
+    });
+  }
+
+  log(`Issue edited`, { issueId, changedFields });
+  sendJson(res, 200, { issue: serializeIssue(updated) });
+}
+
+/**
+ * Post a timestamped update, optionally changing status
+ * POST /api/deals/:dealId/issues/:issueId/updates
+ */
+export async function handleAddDealIssueUpdate(req, res, dealId, issueId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req) ?? {};
+  if (typeof body.updateText !== 'string' || !body.updateText.trim()) {
+    return sendError(res, 400, "updateText is required");
+  }
+  const attachmentErrors = validateIssue({ attachmentIds: body.attachmentIds }, { partial: true });
+  if (attachmentErrors.length > 0) {
+    return sendError(res, 400, "Invalid update", attachmentErrors);
+  }
+
+  const prisma = getPrisma();
+  const issue = await prisma.dealIssue.findFirst({ where: { id: issueId, dealId } });
+  if (!issue) {
+    return sendError(res, 404, "Issue not found");
+  }
+  if (issue.status === ISSUE_STATUSES.CLOSED) {
+    return sendError(res, 409, "Issue is closed");
+  }
+
+  const statusChanged = body.status !== undefined && body.status !== issue.status;
+  if (statusChanged) {
+    const errors = validateStatusChange(issue, body.status, { resolution: body.resolution });
+    if (errors.length > 0) {
+      return sendError(res, 400, "Invalid status change", errors);
+    }
+  }
+
+  const issueData = {};
+  if (statusChanged) {
+    issueData.status = body.status;
+    if (body.status === ISSUE_STATUSES.RESOLVED) {
+      issueData.resolvedAt = new Date();
+      issueData.resolution = body.resolution ?? issue.resolution;
+    } else if (issue.status === ISSUE_STATUSES.RESOLVED && body.status !== ISSUE_STATUSES.CLOSED) {
+      // Reopened
+      issueData.resolvedAt = null;
+    }
+  }
+
+  const [update, updatedIssue] = await prisma.$transaction([
+    prisma.dealIssueUpdate.create({
+      data: {
+        issueId,
+        updateText: body.updateText.trim(),
+        lpVisible: !!body.lpVisible,
+        statusFrom: statusChanged ? issue.status : null,
+        statusTo: statusChanged ? body.status : null,
+        attachmentIds: body.attachmentIds?.length ? JSON.stringify(body.attachmentIds) : null,
+        createdBy: authUser.id,
+        createdByName: authUser.name
+      }
+    }),
+    prisma.dealIssue.update({ where: { id: issueId }, data: issueData })
+  ]);
+
+  await createDealEvent(dealId, statusChanged ? 'DEAL_ISSUE_STATUS_CHANGED' : 'DEAL_ISSUE_UPDATE_POSTED', {
+    issueId,
+    updateId: update.id,
+    lpVisible: update.lpVisible
+  }, { id: authUser.id, name: authUser.name, role: authUser.role }, {
+    ...(statusChanged ? { fromState: issue.status, toState: body.status } : {}),
+    evidenceRefs: body.attachmentIds ?? []
+  });
+
+  // LPs hear about LP-visible updates on published issues; a resolution is
+  // emailed wherever publishing was
+  if (updatedIssue.publishedAt && update.lpVisible) {
+    const policy = getNotificationPolicy(updatedIssue.severity);
+    const resolved = statusChanged && body.status === ISSUE_STATUSES.RESOLVED;
+    await notifyLPsOfIssue(updatedIssue, {
+      webhookEvent: 'LP_ISSUE_UPDATED',
+      email: policy.emailLPsOnUpdate || (resolved && policy.emailLPsOnPublish),
+      subject: resolved ? `Issue resolved: ${updatedIssue.title}` : `Issue update: ${updatedIssue.title}`,
+      message: resolved
+        ? 'The issue below has been resolved.'
+        : `The sponsor has posted an update on the issue below:\n\n${update.updateText}`
+    });
+  }
+
+  log(`Issue update posted`, { issueId, updateId: update.id, statusTo: update.statusTo, lpVisible: update.lpVisible });
+  sendJson(res, 201, { update: serializeIssueUpdate(update), issue: serializeIssue(updatedIssue) });
+}
+
+/**
+ * Publish the LP-safe version to the LP portal feed
+ * POST /api/deals/:dealId/issues/:issueId/publish
+ * Body may set lpSummary, impact and whatWeAreDoing in the same step.
+ */
+export async function handlePublishDealIssue(req, res, dealId, issueId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req) ?? {};
+  const prisma = getPrisma();
+  const issue = await prisma.dealIssue.findFirst({ where: { id: issueId, dealId } });
+  if (!issue) {
+    return sendError(res, 404, "Issue not found");
+  }
+  if (issue.publishedAt) {
+    return sendError(res, 409, "Issue is already published");
+  }
+
+  const lpFields = {};
+  for (const field of ['lpSummary', 'impact', 'whatWeAreDoing']) {
+    if (body[field] !== undefined) lpFields[field] = body[field];
+  }
+  const errors = validatePublish({ ...issue, ...lpFields });
+  if (errors.length > 0) {
+    return sendError(res, 400, "Issue cannot be published", errors);
+  }
+
+  const published = await prisma.dealIssue.update({
+    where: { id: issueId },
+    data: {
+      ...lpFields,
+      publishedAt: new Date(),
+      publishedBy: authUser.id,
+      publishedByName: authUser.name
+    }
+  });
+
+  await createDealEvent(dealId, 'DEAL_ISSUE_PUBLISHED', {
+    issueId,
+    title: published.title,
+    severity: published.severity
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  await notifyLPsOfIssue(published, {
+    webhookEvent: 'LP_ISSUE_PUBLISHED',
+    email: getNotificationPolicy(published.severity).emailLPsOnPublish,
+    subject: `Issue notice: ${published.title}`,
+    message: 'The sponsor has published a notice about an issue affecting this investment.'
+  });
+
+  log(`Issue published`, { issueId, severity: published.severity });
+  sendJson(res, 200, { issue: serializeIssue(published) });
+}
+
+// ============================================================================
+// LP ENDPOINTS
+// ============================================================================
+
+/**
+ * LP-safe view of a published issue
+ * GET /api/lp/portal/my-investments/:dealId/issues/:issueId
+ */
+export async function handleGetMyDealIssue(req, res, authUser, dealId, issueId) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const lpActor = await findLpActorForDeal(authUser, dealId);
+  if (!lpActor) {
+    return sendError(res, 404, "Investment not found or you don't have access");
+  }
+
+  const prisma = getPrisma();
+  const issue = await prisma.dealIssue.findFirst({
+    where: { id: issueId, dealId, publishedAt: { not: null } },
+    include: { updates: { where: { lpVisible: true }, orderBy: { createdAt: 'asc' } } }
+  });
+  if (!issue) {
+    return sendError(res, 404, "Issue not found");
+  }
+
+  sendJson(res, 200, { issue: buildLpIssueView(issue, issue.updates), lpActorId: lpActor.id });
+}
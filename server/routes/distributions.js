@@ -12,6 +12,8 @@ import crypto from "node:crypto";
 import { createDealEvent, createDistributionSnapshot } from "../services/audit-service.js";
 import { calculateWaterfall, groupLPsByClassPriority } from "../services/waterfall-calculator.js";
 import { generateDistributionStatements } from "../services/document-generator.js";
+import { findPaymentHolds, PAYMENT_COOLING_OFF_DAYS } from "../services/payment-profiles.js";
+import { syncFeeSettlementOnPayment, reverseFeeSettlements } from "./fees.js";
 
 function sendJson(res, status, payload) {
   res.writeHead(status, {
@@ -167,6 +169,7 @@ export async function handleGetDistribution(req, res, dealId, distributionId) {
         shareClass: lpActor?.shareClass || null,  // NEW: Include share class info
         grossAmount: alloc.grossAmount,
         withholdingAmount: alloc.withholdingAmount,
+        feeAmount: alloc.feeAmount || 0,
         netAmount: alloc.netAmount,
         paymentMethod: alloc.paymentMethod,
         status: alloc.status,
@@ -660,6 +663,7 @@ export async function handleApproveDistribution(req, res, dealId, distributionId
 
 /**
  * Start processing distribution payments
+ * Refused (409) while any LP's payment details are in the cooling-off period.
  * POST /api/deals/:dealId/distributions/:distributionId/process
  */
 export async function handleProcessDistribution(req, res, dealId, distributionId) {
@@ -699,16 +703,30 @@ export async function handleProcessDistribution(req, res, dealId, distributionId
     return sendError(res, 403, "Invalid approval - same person cannot create and approve distribution");
   }
 
+  const allAllocations = await prisma.distributionAllocation.findMany({
+    where: { distributionId }
+  });
+
+  // Refuse to pay to payment details replaced within the cooling-off period
+  const paymentProfiles = await prisma.lPPaymentProfile.findMany({
+    where: { lpActorId: { in: allAllocations.map(a => a.lpActorId) } }
+  });
+  const paymentHolds = findPaymentHolds(allAllocations, paymentProfiles);
+  if (paymentHolds.length > 0) {
+    return sendError(
+      res,
+      409,
+      `Payment details for ${paymentHolds.length} LP(s) changed within the last ${PAYMENT_COOLING_OFF_DAYS} days`,
+      paymentHolds
+    );
+  }
+
   const updated = await prisma.distribution.update({
     where: { id: distributionId },
     data: { status: 'PROCESSING' }
   });
 
   // Update all allocations to PROCESSING
-  const allAllocations = await prisma.distributionAllocation.findMany({
-    where: { distributionId }
-  });
-
   await prisma.distributionAllocation.updateMany({
     where: { distributionId },
     data: { status: 'PROCESSING' }
@@ -754,6 +772,20 @@ export async function handleMarkDistributionPaid(req, res, dealId, distributionI
     return sendError(res, 404, "Allocation not found");
   }
 
+  // Details may have changed since the distribution was processed
+  const paymentProfile = await prisma.lPPaymentProfile.findUnique({
+    where: { lpActorId: allocation.lpActorId }
+  });
+  const [paymentHold] = findPaymentHolds([allocation], paymentProfile ? [paymentProfile] : []);
+  if (paymentHold) {
+    return sendError(
+      res,
+      409,
+      `Payment details for this LP changed within the last ${PAYMENT_COOLING_OFF_DAYS} days`,
+      [paymentHold]
+    );
+  }
+
   // Update allocation
   const updated = await prisma.distributionAllocation.update({
     where: { id: allocationId },
@@ -796,6 +828,9 @@ export async function handleMarkDistributionPaid(req, res, dealId, distributionI
     }
   });
 
+  // Fees deducted from this allocation are collected once it is paid
+  await syncFeeSettlementOnPayment(updated, { id: authUser.id, name: authUser.name, role: authUser.role });
+
   console.log(`[Distributions] Marked allocation ${allocationId} as paid`);
 
   sendJson(res, 200, {
@@ -837,12 +872,16 @@ export async function handleCancelDistribution(req, res, dealId, distributionId)
     data: { status: 'CANCELLED' }
   });
 
+  // Give back fee deductions that were waiting on this distribution
+  const reversedFees = await reverseFeeSettlements({ distributionId }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
   // Record audit event
   await createDealEvent(dealId, 'DISTRIBUTION_CANCELLED', {
     distributionId,
     title: distribution.title,
     totalAmount: distribution.totalAmount,
     previousStatus,
+    feeSettlementsReversed: reversedFees.length,
     cancelledBy: authUser.id,
     cancelledByName: authUser.name
   }, { id: authUser.id, name: authUser.name, role: authUser.role });
@@ -927,6 +966,7 @@ export async function handleGetMyDistributions(req, res, authUser, dealId) {
         id: d.allocations[0].id,
         grossAmount: d.allocations[0].grossAmount,
         withholdingAmount: d.allocations[0].withholdingAmount,
+        feeAmount: d.allocations[0].feeAmount || 0,
         netAmount: d.allocations[0].netAmount,
         status: d.allocations[0].status,
         paidAt: d.allocations[0].paidAt?.toISOString(),
@@ -1008,6 +1048,7 @@ export async function handleGetMyDistributionDetail(req, res, authUser, dealId,
       id: distribution.allocations[0].id,
       grossAmount: distribution.allocations[0].grossAmount,
       withholdingAmount: distribution.allocations[0].withholdingAmount,
+      feeAmount: distribution.allocations[0].feeAmount || 0,
       netAmount: distribution.allocations[0].netAmount,
       paymentMethod: distribution.allocations[0].paymentMethod,
       status: distribution.allocations[0].status,
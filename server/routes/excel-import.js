@@ -11,6 +11,7 @@ import { parseExcelFile, getSheetData } from '../services/excel-parser.js';
 import { autoMapExcelToModel, setManualMapping, validateMappings, getAllMappableFields } from '../services/excel-mapper.js';
 import { detectModelType, getEnhancedMappings, getExportTemplate } from '../services/excel-model-detector.js';
 import { exportToExcel } from '../services/excel-exporter.js';
+import { queueDocumentIndex, queueFactIndexRefresh } from '../services/rag-citation-service.js';
 
 /**
  * Helper to send JSON responses
@@ -184,6 +185,20 @@ export async function handleExcelUpload(req, res, dealId, authUser) {
       });
     }
 
+    // Index the workbook's cells so the assistant can cite sheet ranges
+    queueDocumentIndex(dealId, {
+      documentId: excelImport.id,
+      documentName: filename,
+      documentType: 'EXCEL',
+      cells: parsed.cells.map(c => ({
+        sheetName: c.sheetName,
+        row: c.row,
+        col: c.col,
+        value: c.computedValue ?? c.rawValue,
+        label: c.labelText
+      }))
+    });
+
     // Validate mappings
     const validation = validateMappings(mapping.mappings);
 
@@ -453,6 +468,10 @@ export async function handleApplyExcelImport(req, res, importId, authUser) {
       }
     });
 
+    if (appliedFields.length > 0) {
+      queueFactIndexRefresh(dealId);
+    }
+
     return sendJson(res, 200, {
       applied: appliedFields,
       modelUpdates,
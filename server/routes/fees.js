@@ -0,0 +1,639 @@
+/**
+ * Management Fee Routes
+ *
+ * Accrues quarterly management fees and fund expenses from ShareClass fee
+ * terms and settles the invoices against distributions or capital calls.
+ * GP accrues a quarter → settles by distribution deduction or fee capital call
+ * → each LP's share is collected when its allocation is paid or funded.
+ * Accrual and settlement respect accounting period close (period-guard.js).
+ */
+
+import { getPrisma } from "../db.js";
+import { extractAuthUser } from "./auth.js";
+import { readStore } from "../store.js";
+import crypto from "node:crypto";
+import { createDealEvent } from "../services/audit-service.js";
+import { validatePeriodForOperation, validateQuarterForOperation } from "../services/period-guard.js";
+import {
+  calculateQuarterlyFees,
+  calculateInvestedCapital,
+  applyFeeDeductions,
+  reverseFeeDeductions,
+  summarizeFeeSettlements,
+  quarterBounds,
+  FEE_INVOICE_STATUSES,
+  FEE_SETTLEMENT_METHODS,
+  FEE_SETTLEMENT_STATUSES
+} from "../services/fee-engine.js";
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+/**
+ * Require GP or Admin role for GP-only endpoints
+ * Returns the authenticated user or null (and sends error response)
+ */
+async function requireGP(req, res) {
+  const user = await extractAuthUser(req);
+  if (!user) {
+    sendError(res, 401, "Not authenticated");
+    return null;
+  }
+  if (!['GP', 'Admin'].includes(user.role)) {
+    sendError(res, 403, "GP or Admin role required");
+    return null;
+  }
+  if (user.status !== 'ACTIVE') {
+    sendError(res, 403, "Account not active");
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Check organization isolation for a deal
+ * Returns authUser if access granted, null if denied (response already sent)
+ */
+async function requireDealOrgAccess(req, res, dealId) {
+  const authUser = await extractAuthUser(req);
+  if (!authUser) {
+    sendError(res, 401, "Not authenticated");
+    return null;
+  }
+
+  const store = await readStore();
+  const record = store.dealIndex.find((item) => item.id === dealId);
+
+  if (!record) {
+    sendError(res, 404, "Deal not found");
+    return null;
+  }
+
+  // Enforce org isolation
+  if (record.organizationId && record.organizationId !== authUser.organizationId) {
+    sendError(res, 403, "Access denied - deal belongs to different organization");
+    return null;
+  }
+
+  return authUser;
+}
+
+function serializeInvoice(invoice) {
+  return {
+    id: invoice.id,
+    dealId: invoice.dealId,
+    year: invoice.year,
+    quarter: invoice.quarter,
+    period: `Q${invoice.quarter} ${invoice.year}`,
+    periodStart: invoice.periodStart.toISOString(),
+    periodEnd: invoice.periodEnd.toISOString(),
+    periodId: invoice.periodId,
+    managementFee: invoice.managementFee,
+    offsetAmount: invoice.offsetAmount,
+    fundExpenses: invoice.fundExpenses,
+    totalDue: invoice.totalDue,
+    settledAmount: invoice.settledAmount,
+    outstanding: Math.round((invoice.totalDue - invoice.settledAmount) * 100) / 100,
+    pendingAmount: Math.round((invoice.settlements || [])
+      .filter(s => s.status === FEE_SETTLEMENT_STATUSES.PENDING)
+      .reduce((sum, s) => sum + s.amount, 0) * 100) / 100,
+    offsets: invoice.offsets ? JSON.parse(invoice.offsets) : [],
+    expenses: invoice.expenses ? JSON.parse(invoice.expenses) : [],
+    navUsed: invoice.navUsed,
+    status: invoice.status,
+    settledAt: invoice.settledAt?.toISOString() || null,
+    createdAt: invoice.createdAt.toISOString(),
+    lines: (invoice.lines || []).map(line => ({
+      id: line.id,
+      lpActorId: line.lpActorId,
+      shareClassId: line.shareClassId,
+      basis: line.basis,
+      basisAmount: line.basisAmount,
+      feeRate: line.feeRate,
+      segments: line.segments ? JSON.parse(line.segments) : [],
+      managementFee: line.managementFee,
+      offsetAmount: line.offsetAmount,
+      expenseShare: line.expenseShare,
+      totalDue: line.totalDue,
+      settledAmount: line.settledAmount
+    })),
+    settlements: (invoice.settlements || []).map(settlement => ({
+      id: settlement.id,
+      lpActorId: settlement.lpActorId,
+      method: settlement.method,
+      distributionId: settlement.distributionId,
+      capitalCallId: settlement.capitalCallId,
+      allocationId: settlement.allocationId,
+      amount: settlement.amount,
+      status: settlement.status,
+      settledAt: settlement.settledAt?.toISOString() || null,
+      reversedAt: settlement.reversedAt?.toISOString() || null
+    }))
+  };
+}
+
+function validateAmountList(list, name) {
+  if (list === undefined || list === null) return null;
+  if (!Array.isArray(list)) return `${name} must be an array of { description, amount }`;
+  if (list.some(item => typeof item?.amount !== 'number' || item.amount < 0)) {
+    return `${name} amounts must be non-negative numbers`;
+  }
+  return null;
+}
+
+/**
+ * List fee invoices for a deal
+ * GET /api/deals/:dealId/fees
+ */
+export async function handleListFeeInvoices(req, res, dealId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  const invoices = await prisma.feeInvoice.findMany({
+    where: { dealId },
+    orderBy: [{ year: 'desc' }, { quarter: 'desc' }],
+    include: { lines: true, settlements: true }
+  });
+
+  const active = invoices.filter(i => i.status !== FEE_INVOICE_STATUSES.VOID);
+
+  sendJson(res, 200, {
+    invoices: invoices.map(serializeInvoice),
+    summary: {
+      totalAccrued: active.reduce((sum, i) => sum + i.totalDue, 0),
+      totalSettled: active.reduce((sum, i) => sum + i.settledAmount, 0),
+      totalOutstanding: active.reduce((sum, i) => sum + (i.totalDue - i.settledAmount), 0)
+    }
+  });
+}
+
+/**
+ * Accrue (or re-accrue) a quarter's management fees and fund expenses
+ * POST /api/deals/:dealId/fees/accrue
+ * Body: { year, quarter, nav?, navByLp?, offsets?: [{ description, amount }], fundExpenses?: [{ description, amount }] }
+ *
+ * Re-accrual replaces an ACCRUED invoice; settled invoices and hard-closed
+ * periods cannot be re-accrued.
+ */
+export async function handleAccrueFees(req, res, dealId, readJsonBody, userId, userName) {
+  const authUser = await requireGP(req, res);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+
+  const year = body?.year;
+  const quarter = body?.quarter;
+  if (!Number.isInteger(year) || !Number.isInteger(quarter) || quarter < 1 || quarter > 4) {
+    return sendError(res, 400, "year and quarter (1-4) are required");
+  }
+  if (body.nav !== undefined && body.nav !== null && (typeof body.nav !== 'number' || body.nav < 0)) {
+    return sendError(res, 400, "nav must be a non-negative number");
+  }
+  const listError = validateAmountList(body.offsets, 'offsets') || validateAmountList(body.fundExpenses, 'fundExpenses');
+  if (listError) {
+    return sendError(res, 400, listError);
+  }
+
+  const prisma = getPrisma();
+  const period = quarterBounds(year, quarter);
+
+  // Fees are booked to the quarter itself; closed periods cannot be re-accrued
+  const periodCheck = await validateQuarterForOperation(dealId, year, quarter, 'accrue management fees');
+  if (periodCheck.blocked) {
+    return sendError(res, periodCheck.status, periodCheck.message);
+  }
+
+  const existing = await prisma.feeInvoice.findUnique({
+    where: { dealId_year_quarter: { dealId, year, quarter } }
+  });
+  if (existing && existing.status !== FEE_INVOICE_STATUSES.ACCRUED && existing.status !== FEE_INVOICE_STATUSES.VOID) {
+    return sendError(res, 409, `Fees for ${period.label} are ${existing.status} and cannot be re-accrued`);
+  }
+
+  const lpActors = await prisma.lPActor.findMany({
+    where: { dealId, status: 'ACTIVE' },
+    include: { shareClass: true }
+  });
+
+  if (lpActors.length === 0) {
+    return sendError(res, 400, "No active LPs found for this deal");
+  }
+
+  // Invested capital as of quarter start for INVESTED-basis classes
+  const lpActorIds = lpActors.map(lp => lp.id);
+  const [capitalCallAllocations, distributionAllocations] = await Promise.all([
+    prisma.capitalCallAllocation.findMany({
+      where: { lpActorId: { in: lpActorIds } },
+      include: { capitalCall: { select: { purpose: true, dueDate: true } } }
+    }),
+    prisma.distributionAllocation.findMany({
+      where: { lpActorId: { in: lpActorIds } },
+      include: { distribution: { select: { type: true, distributionDate: true } } }
+    })
+  ]);
+  const investedByLp = calculateInvestedCapital(capitalCallAllocations, distributionAllocations, period.startDate);
+
+  const result = calculateQuarterlyFees({
+    lpActors,
+    year,
+    quarter,
+    investedByLp,
+    nav: body.nav ?? null,
+    navByLp: body.navByLp || null,
+    offsets: body.offsets || [],
+    fundExpenses: body.fundExpenses || []
+  });
+
+  const invoiceData = {
+    periodStart: period.startDate,
+    periodEnd: period.endDate,
+    periodId: periodCheck.periodId || null,
+    managementFee: result.totals.managementFee,
+    offsetAmount: result.totals.offsetAmount,
+    fundExpenses: result.totals.fundExpenses,
+    totalDue: result.totals.totalDue,
+    settledAmount: 0,
+    offsets: body.offsets?.length ? JSON.stringify(body.offsets) : null,
+    expenses: body.fundExpenses?.length ? JSON.stringify(body.fundExpenses) : null,
+    navUsed: body.nav ?? null,
+    status: FEE_INVOICE_STATUSES.ACCRUED,
+    createdBy: userId,
+    createdByName: userName || 'Unknown'
+  };
+
+  const invoice = await prisma.$transaction(async (tx) => {
+    if (existing) {
+      await tx.feeInvoiceLine.deleteMany({ where: { invoiceId: existing.id } });
+    }
+
+    const saved = existing
+      ? await tx.feeInvoice.update({ where: { id: existing.id }, data: invoiceData })
+      : await tx.feeInvoice.create({
+        data: { id: crypto.randomUUID(), dealId, year, quarter, ...invoiceData }
+      });
+
+    for (const line of result.lines) {
+      await tx.feeInvoiceLine.create({
+        data: {
+          id: crypto.randomUUID(),
+          invoiceId: saved.id,
+          lpActorId: line.lpActorId,
+          shareClassId: line.shareClassId,
+          basis: line.basis,
+          basisAmount: line.basisAmount,
+          feeRate: line.feeRate,
+          segments: JSON.stringify(line.segments),
+          managementFee: line.managementFee,
+          offsetAmount: line.offsetAmount,
+          expenseShare: line.expenseShare,
+          totalDue: line.totalDue
+        }
+      });
+    }
+
+    return tx.feeInvoice.findUnique({ where: { id: saved.id }, include: { lines: true } });
+  });
+
+  await createDealEvent(dealId, existing ? 'FEES_REACCRUED' : 'FEES_ACCRUED', {
+    invoiceId: invoice.id,
+    period: period.label,
+    managementFee: invoice.managementFee,
+    offsetAmount: invoice.offsetAmount,
+    fundExpenses: invoice.fundExpenses,
+    totalDue: invoice.totalDue,
+    lineCount: result.lines.length
+  }, { id: userId, name: userName, role: 'GP' });
+
+  console.log(`[Fees] ${existing ? 'Re-accrued' : 'Accrued'} ${period.label} fees for deal ${dealId}: ${invoice.totalDue} across ${result.lines.length} LPs`);
+
+  sendJson(res, existing ? 200 : 201, {
+    invoice: serializeInvoice(invoice),
+    warnings: [
+      ...result.warnings,
+      ...(periodCheck.warning ? [periodCheck.warning] : []),
+      ...(result.totals.unappliedOffsets > 0
+        ? [`${result.totals.unappliedOffsets} of offsets exceed fees and were not applied`]
+        : [])
+    ]
+  });
+}
+
+/**
+ * Settle a fee invoice
+ * POST /api/deals/:dealId/fees/:invoiceId/settle
+ * Body: { method: 'DISTRIBUTION', distributionId } - deduct from a DRAFT distribution's allocations
+ *    or { method: 'CAPITAL_CALL', dueDate, title? } - create a MANAGEMENT_FEE capital call for the balance
+ *
+ * Either way the invoice is only INVOICED until cash moves: each LP's
+ * settlement is collected when its distribution allocation is paid or its
+ * call allocation funded, and reversed if the distribution or call is cancelled.
+ */
+export async function handleSettleFeeInvoice(req, res, dealId, invoiceId, readJsonBody, userId, userName) {
+  const authUser = await requireGP(req, res);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  const prisma = getPrisma();
+
+  const invoice = await prisma.feeInvoice.findFirst({
+    where: { id: invoiceId, dealId },
+    include: { lines: true, settlements: true }
+  });
+
+  if (!invoice) {
+    return sendError(res, 404, "Fee invoice not found");
+  }
+  if (invoice.status === FEE_INVOICE_STATUSES.SETTLED || invoice.status === FEE_INVOICE_STATUSES.VOID) {
+    return sendError(res, 400, `Cannot settle fee invoice with status ${invoice.status}`);
+  }
+
+  // Balances already deducted or called are held until they settle or are reversed
+  const { outstandingByLp } = summarizeFeeSettlements(invoice, invoice.settlements);
+  const label = `Q${invoice.quarter} ${invoice.year}`;
+
+  if (body?.method === FEE_SETTLEMENT_METHODS.DISTRIBUTION) {
+    const distribution = await prisma.distribution.findFirst({
+      where: { id: body.distributionId, dealId },
+      include: { allocations: true }
+    });
+
+    if (!distribution) {
+      return sendError(res, 404, "Distribution not found");
+    }
+    if (distribution.status !== 'DRAFT') {
+      return sendError(res, 400, `Fees can only be deducted from DRAFT distributions (status: ${distribution.status})`);
+    }
+
+    const periodCheck = await validatePeriodForOperation(dealId, distribution.distributionDate, 'deduct fees from distribution');
+    if (periodCheck.blocked) {
+      return sendError(res, periodCheck.status, periodCheck.message);
+    }
+
+    const { allocations, deductions, totalDeducted } = applyFeeDeductions(distribution.allocations, outstandingByLp);
+    if (totalDeducted <= 0) {
+      return sendError(res, 400, "Distribution has no allocations to deduct fees from");
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const alloc of allocations) {
+        if (!deductions[alloc.lpActorId]) continue;
+        await tx.distributionAllocation.update({
+          where: { id: alloc.id },
+          data: { feeAmount: alloc.feeAmount, netAmount: alloc.netAmount }
+        });
+        await tx.feeSettlement.create({
+          data: {
+            id: crypto.randomUUID(),
+            invoiceId: invoice.id,
+            lpActorId: alloc.lpActorId,
+            method: FEE_SETTLEMENT_METHODS.DISTRIBUTION,
+            distributionId: distribution.id,
+            allocationId: alloc.id,
+            amount: deductions[alloc.lpActorId],
+            status: FEE_SETTLEMENT_STATUSES.PENDING
+          }
+        });
+      }
+      await refreshInvoiceSettlement(tx, invoice.id);
+    });
+
+    await createDealEvent(dealId, 'FEES_DEDUCTED_FROM_DISTRIBUTION', {
+      invoiceId: invoice.id,
+      period: label,
+      distributionId: distribution.id,
+      totalDeducted,
+      deductions
+    }, { id: userId, name: userName, role: 'GP' });
+
+    console.log(`[Fees] Deducted ${totalDeducted} of ${label} fees from distribution ${distribution.id} (settles when paid)`);
+
+    const updated = await loadInvoice(prisma, invoice.id);
+    return sendJson(res, 200, {
+      invoice: serializeInvoice(updated),
+      settlement: { method: FEE_SETTLEMENT_METHODS.DISTRIBUTION, distributionId: distribution.id, totalDeducted, deductions }
+    });
+  }
+
+  if (body?.method === FEE_SETTLEMENT_METHODS.CAPITAL_CALL) {
+    if (!body.dueDate || isNaN(new Date(body.dueDate).getTime())) {
+      return sendError(res, 400, "dueDate is required for capital call settlement");
+    }
+
+    const periodCheck = await validatePeriodForOperation(dealId, body.dueDate, 'call management fees');
+    if (periodCheck.blocked) {
+      return sendError(res, periodCheck.status, periodCheck.message);
+    }
+
+    const callLines = invoice.lines.filter(line => outstandingByLp[line.lpActorId] > 0);
+    const totalAmount = Math.round(callLines.reduce((sum, line) => sum + outstandingByLp[line.lpActorId], 0) * 100) / 100;
+    if (totalAmount <= 0) {
+      return sendError(res, 400, "Nothing outstanding on this invoice");
+    }
+
+    const capitalCall = await prisma.$transaction(async (tx) => {
+      const call = await tx.capitalCall.create({
+        data: {
+          id: crypto.randomUUID(),
+          dealId,
+          title: body.title || `${label} Management Fees`,
+          description: `Management fees and fund expenses for ${label}`,
+          totalAmount,
+          dueDate: new Date(body.dueDate),
+          purpose: invoice.managementFee > 0 ? 'MANAGEMENT_FEE' : 'FUND_EXPENSE',
+          status: 'DRAFT',
+          periodId: periodCheck.periodId || null,
+          createdBy: userId,
+          createdByName: userName || 'Unknown'
+        }
+      });
+
+      for (const line of callLines) {
+        const allocation = await tx.capitalCallAllocation.create({
+          data: {
+            id: crypto.randomUUID(),
+            capitalCallId: call.id,
+            lpActorId: line.lpActorId,
+            amount: outstandingByLp[line.lpActorId],
+            status: 'PENDING',
+            fundedAmount: 0
+          }
+        });
+        await tx.feeSettlement.create({
+          data: {
+            id: crypto.randomUUID(),
+            invoiceId: invoice.id,
+            lpActorId: line.lpActorId,
+            method: FEE_SETTLEMENT_METHODS.CAPITAL_CALL,
+            capitalCallId: call.id,
+            allocationId: allocation.id,
+            amount: outstandingByLp[line.lpActorId],
+            status: FEE_SETTLEMENT_STATUSES.PENDING
+          }
+        });
+      }
+
+      await refreshInvoiceSettlement(tx, invoice.id);
+      return call;
+    });
+
+    await createDealEvent(dealId, 'FEES_CALLED', {
+      invoiceId: invoice.id,
+      period: label,
+      capitalCallId: capitalCall.id,
+      totalAmount
+    }, { id: userId, name: userName, role: 'GP' });
+
+    console.log(`[Fees] Created capital call ${capitalCall.id} for ${totalAmount} of ${label} fees (settles when funded)`);
+
+    const updated = await loadInvoice(prisma, invoice.id);
+    return sendJson(res, 200, {
+      invoice: serializeInvoice(updated),
+      settlement: { method: FEE_SETTLEMENT_METHODS.CAPITAL_CALL, capitalCallId: capitalCall.id, totalAmount }
+    });
+  }
+
+  return sendError(res, 400, "method must be DISTRIBUTION or CAPITAL_CALL");
+}
+
+// ========== SETTLEMENT SYNC ==========
+
+function loadInvoice(db, invoiceId) {
+  return db.feeInvoice.findUnique({ where: { id: invoiceId }, include: { lines: true, settlements: true } });
+}
+
+/**
+ * Recompute line and invoice settled amounts and status from the invoice's
+ * FeeSettlement records
+ */
+async function refreshInvoiceSettlement(tx, invoiceId) {
+  const invoice = await loadInvoice(tx, invoiceId);
+  const summary = summarizeFeeSettlements(invoice, invoice.settlements);
+
+  for (const line of invoice.lines) {
+    const settledAmount = summary.settledByLp[line.lpActorId] || 0;
+    if (settledAmount === line.settledAmount) continue;
+    await tx.feeInvoiceLine.update({ where: { id: line.id }, data: { settledAmount } });
+  }
+  await tx.feeInvoice.update({
+    where: { id: invoiceId },
+    data: { settledAmount: summary.settledAmount, status: summary.status, settledAt: summary.settledAt }
+  });
+  return summary;
+}
+
+/**
+ * Collect the fee settlement held against a distribution or capital call
+ * allocation once it is paid or funded. A call allocation funded short
+ * settles only what was funded; the rest is outstanding again.
+ *
+ * @param {Object} allocation - Updated DistributionAllocation or CapitalCallAllocation
+ * @param {Object} actor - { id, name, role } for the audit event
+ * @returns {Promise<Array>} Settlements collected
+ */
+export async function syncFeeSettlementOnPayment(allocation, actor) {
+  const prisma = getPrisma();
+  const pending = await prisma.feeSettlement.findMany({
+    where: { allocationId: allocation.id, status: FEE_SETTLEMENT_STATUSES.PENDING },
+    include: { invoice: { select: { dealId: true } } }
+  });
+  if (pending.length === 0) return [];
+
+  const settledAt = allocation.paidAt || allocation.fundedAt || new Date();
+  let remaining = allocation.fundedAmount ?? Infinity;
+  const collected = pending.map(settlement => {
+    const amount = Math.round(Math.min(settlement.amount, Math.max(0, remaining)) * 100) / 100;
+    remaining -= amount;
+    return { settlement, amount };
+  });
+
+  await prisma.$transaction(async (tx) => {
+    for (const { settlement, amount } of collected) {
+      await tx.feeSettlement.update({
+        where: { id: settlement.id },
+        data: amount > 0
+          ? { status: FEE_SETTLEMENT_STATUSES.SETTLED, amount, settledAt }
+          : { status: FEE_SETTLEMENT_STATUSES.REVERSED, reversedAt: settledAt }
+      });
+    }
+    for (const invoiceId of new Set(pending.map(s => s.invoiceId))) {
+      await refreshInvoiceSettlement(tx, invoiceId);
+    }
+  });
+
+  for (const { settlement, amount } of collected) {
+    await createDealEvent(settlement.invoice.dealId, 'FEES_SETTLED', {
+      invoiceId: settlement.invoiceId,
+      lpActorId: settlement.lpActorId,
+      method: settlement.method,
+      allocationId: allocation.id,
+      amount,
+      shortfall: Math.round((settlement.amount - amount) * 100) / 100
+    }, actor);
+  }
+
+  console.log(`[Fees] Settled ${pending.length} fee settlement(s) on allocation ${allocation.id}`);
+  return pending;
+}
+
+/**
+ * Reverse fee settlements still pending on a cancelled distribution or
+ * capital call. Deductions are added back to the distribution allocations
+ * and the balances become outstanding on the invoice again.
+ *
+ * @param {{ distributionId?: string, capitalCallId?: string }} source
+ * @param {Object} actor - { id, name, role } for the audit event
+ * @returns {Promise<Array>} Settlements reversed
+ */
+export async function reverseFeeSettlements(source, actor) {
+  const prisma = getPrisma();
+  const where = source.distributionId
+    ? { distributionId: source.distributionId }
+    : { capitalCallId: source.capitalCallId };
+  const pending = await prisma.feeSettlement.findMany({
+    where: { ...where, status: FEE_SETTLEMENT_STATUSES.PENDING },
+    include: { invoice: { select: { dealId: true, year: true, quarter: true } } }
+  });
+  if (pending.length === 0) return [];
+
+  await prisma.$transaction(async (tx) => {
+    if (source.distributionId) {
+      const allocations = await tx.distributionAllocation.findMany({
+        where: { id: { in: pending.map(s => s.allocationId) } }
+      });
+      for (const alloc of reverseFeeDeductions(allocations, pending)) {
+        await tx.distributionAllocation.update({
+          where: { id: alloc.id },
+          data: { feeAmount: alloc.feeAmount, netAmount: alloc.netAmount }
+        });
+      }
+    }
+    await tx.feeSettlement.updateMany({
+      where: { id: { in: pending.map(s => s.id) } },
+      data: { status: FEE_SETTLEMENT_STATUSES.REVERSED, reversedAt: new Date() }
+    });
+    for (const invoiceId of new Set(pending.map(s => s.invoiceId))) {
+      await refreshInvoiceSettlement(tx, invoiceId);
+    }
+  });
+
+  const { dealId } = pending[0].invoice;
+  await createDealEvent(dealId, 'FEE_SETTLEMENT_REVERSED', {
+    ...source,
+    invoiceIds: [...new Set(pending.map(s => s.invoiceId))],
+    totalReversed: Math.round(pending.reduce((sum, s) => sum + s.amount, 0) * 100) / 100
+  }, actor);
+
+  console.log(`[Fees] Reversed ${pending.length} pending fee settlement(s) for ${source.distributionId ? `distribution ${source.distributionId}` : `capital call ${source.capitalCallId}`}`);
+  return pending;
+}
@@ -8,6 +8,7 @@
 import { getPrisma } from "../db.js";
 import { extractAuthUser } from "./auth.js";
 import { readStore } from "../store.js";
+import { toLpFeedItem } from "../services/deal-issues.js";
 import crypto from "node:crypto";
 
 function sendJson(res, status, payload) {
@@ -384,9 +385,19 @@ export async function handleGetMyInvestorUpdates(req, res, authUser, dealId) {
     orderBy: { publishedAt: 'desc' }
   });
 
-  sendJson(res, 200, {
-    updates: updates.map(u => ({
+  // Published deal issues appear in the same feed as issue alerts
+  const issues = await prisma.dealIssue.findMany({
+    where: {
+      dealId,
+      publishedAt: { not: null }
+    },
+    include: { updates: { where: { lpVisible: true } } }
+  });
+
+  const feed = [
+    ...updates.map(u => ({
       id: u.id,
+      source: 'INVESTOR_UPDATE',
       title: u.title,
       updateType: u.updateType,
       period: u.period,
@@ -394,6 +405,11 @@ export async function handleGetMyInvestorUpdates(req, res, authUser, dealId) {
       publishedAt: u.publishedAt?.toISOString(),
       createdByName: u.createdByName
     })),
+    ...issues.map(issue => toLpFeedItem(issue, issue.updates))
+  ].sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+
+  sendJson(res, 200, {
+    updates: feed,
     lpActorId: lpActor.id
   });
 }
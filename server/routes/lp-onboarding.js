@@ -12,6 +12,8 @@ import { getCache, setCache, deleteCache, deleteCacheByPrefix, mapWithLimit } fr
 import { readStore } from "../store.js";
 import { emitLpWebhook, isLpEmailEnabled, isLpWebhookEnabled, sendLpInvitationEmail } from "../notifications.js";
 import { buildCanonicalDeal } from "../mappers.js";
+import { openSubscriptionForInvitation } from "./subscriptions.js";
+import { loadInvestorLedger, calculateLedgerMetrics, loadLatestNav } from "../services/lp-statement-service.js";
 import crypto from "node:crypto";
 
 const LP_PORTAL_CACHE_TTL = Number(process.env.BFF_LP_PORTAL_TTL_MS ?? 5000);
@@ -46,47 +48,6 @@ function logDebug(message, data = {}) {
   }
 }
 
-// ========== SHARE CLASS HELPERS ==========
-
-/**
- * Get or create default share class for a deal
- * Used when no share class is specified for an LP
- */
-async function getOrCreateDefaultShareClass(dealId, organizationId, createdBy = null, createdByName = null) {
-  log(`Getting/creating default share class`, { dealId, organizationId });
-
-  const prisma = getPrisma();
-
-  // Look for existing default (Class A)
-  let defaultClass = await prisma.shareClass.findFirst({
-    where: { dealId, code: 'A' }
-  });
-
-  if (defaultClass) {
-    log(`Default share class found`, { dealId, shareClassId: defaultClass.id, code: defaultClass.code });
-    return defaultClass;
-  }
-
-  // Create default Class A
-  log(`Creating default Class A`, { dealId });
-  defaultClass = await prisma.shareClass.create({
-    data: {
-      dealId,
-      organizationId,
-      name: 'Class A',
-      code: 'A',
-      description: 'Default share class',
-      votingRights: true,
-      priority: 1,
-      createdBy,
-      createdByName
-    }
-  });
-
-  log(`Default Class A created`, { dealId, shareClassId: defaultClass.id });
-  return defaultClass;
-}
-
 function sendJson(res, status, payload) {
   res.writeHead(status, {
     "Content-Type": "application/json; charset=utf-8",
@@ -281,27 +242,6 @@ export async function handleAcceptInvitation(req, res, invitationId, readJsonBod
     return sendError(res, 410, "Invitation expired");
   }
 
-  // Get deal's organizationId for org isolation
-  const store = await readStore();
-  const dealRecord = store.dealIndex.find((r) => r.id === invitation.dealId);
-  const organizationId = dealRecord?.organizationId || null;
-
-  // Determine shareClassId - use invitation's class or get/create default Class A
-  let shareClassId = invitation.shareClassId;
-  if (!shareClassId) {
-    log(`Looking up/creating default share class`, { dealId: invitation.dealId });
-    const defaultClass = await getOrCreateDefaultShareClass(
-      invitation.dealId,
-      organizationId,
-      null,
-      'System'
-    );
-    shareClassId = defaultClass.id;
-    log(`Using default share class`, { dealId: invitation.dealId, shareClassId, code: defaultClass.code });
-  } else {
-    log(`Using invitation share class`, { shareClassId, code: invitation.shareClass?.code });
-  }
-
   // Create LP actor in kernel deal
   log(`Creating LP actor in Kernel`, { dealId: invitation.dealId, lpEntityName: invitation.lpEntityName });
   const actor = await kernelFetchJson(`${kernelBaseUrl}/deals/${invitation.dealId}/actors`, {
@@ -328,54 +268,14 @@ export async function handleAcceptInvitation(req, res, invitationId, readJsonBod
   });
   log(`Invitation status updated`, { invitationId, status: updated.status });
 
-  // Check if LP already exists in this class
-  log(`Checking for existing LPActor`, { email: invitation.lpEmail, dealId: invitation.dealId, shareClassId });
-  const existingLp = await prisma.lPActor.findFirst({
-    where: {
-      email: invitation.lpEmail,
-      dealId: invitation.dealId,
-      shareClassId
-    }
+  // Open the subscription: the LP completes and signs the sub-doc, and the
+  // LPActor is created when the GP countersigns (routes/subscriptions.js)
+  const subscription = await openSubscriptionForInvitation(invitation, {
+    id: actor.id,
+    name: invitation.lpEntityName,
+    role: 'LP'
   });
-
-  let lpActor;
-  if (existingLp) {
-    // Update existing LP
-    logWarn(`LP already in this class - updating`, { existingLpActorId: existingLp.id });
-    lpActor = await prisma.lPActor.update({
-      where: { id: existingLp.id },
-      data: {
-        actorId: actor.id,
-        status: "ACTIVE",
-        organizationId
-      }
-    });
-    log(`LPActor updated`, { lpActorId: lpActor.id });
-  } else {
-    // Create new LP actor
-    log(`Creating/updating LPActor`, {
-      dealId: invitation.dealId,
-      email: invitation.lpEmail,
-      shareClassId,
-      commitment: invitation.commitment
-    });
-    lpActor = await prisma.lPActor.create({
-      data: {
-        email: invitation.lpEmail,
-        dealId: invitation.dealId,
-        actorId: actor.id,
-        entityName: invitation.lpEntityName,
-        commitment: invitation.commitment,
-        ownershipPct: invitation.ownershipPct,
-        status: "ACTIVE",
-        organizationId,
-        shareClassId  // NEW: Propagate share class from invitation
-      }
-    });
-    log(`LPActor created`, { lpActorId: lpActor.id, shareClassId });
-  }
-
-  logDebug(`LPActor state`, { lpActor: JSON.stringify(lpActor) });
+  log(`Subscription ready`, { subscriptionId: subscription.id, status: subscription.status });
 
   // Invalidate caches
   deleteCacheByPrefix("lp-portal:");
@@ -391,7 +291,8 @@ export async function handleAcceptInvitation(req, res, invitationId, readJsonBod
     ownershipPct: updated.ownershipPct,
     createdAt: updated.createdAt.toISOString(),
     acceptedAt: updated.acceptedAt?.toISOString() ?? null,
-    expiresAt: updated.expiresAt.toISOString()
+    expiresAt: updated.expiresAt.toISOString(),
+    subscriptionId: subscription.id
   }));
   if (isLpWebhookEnabled()) {
     void emitLpWebhook("LP_INVITATION_ACCEPTED", {
@@ -403,7 +304,8 @@ export async function handleAcceptInvitation(req, res, invitationId, readJsonBod
       commitment: updated.commitment,
       ownershipPct: updated.ownershipPct,
       status: updated.status,
-      acceptedAt: updated.acceptedAt?.toISOString() ?? null
+      acceptedAt: updated.acceptedAt?.toISOString() ?? null,
+      subscriptionId: subscription.id
     });
   }
 }
@@ -1050,7 +952,7 @@ export async function handleGenerateCustomReport(req, res, readJsonBody, kernelB
       endDate
     );
   } else if (reportType === "irr_performance") {
-    report = buildIRRPerformanceReport(dealName, dealId, lpActors, events);
+    report = await buildIRRPerformanceReport(dealName, dealId, lpActors, endDate);
   } else {
     return sendError(res, 400, "Invalid reportType");
   }
@@ -1144,25 +1046,69 @@ function buildDistributionSummaryReport(dealName, dealId, lpActors, events, star
   };
 }
 
-function buildIRRPerformanceReport(dealName, dealId, lpActors, events) {
-  // Simplified IRR calculation - real implementation would use financial library
-  const capitalEvents = events
-    .filter((e) => ["CapitalCalled", "DistributionProcessed", "ReturnProcessed"].includes(e.type))
-    .map((e) => ({
-      date: e.createdAt,
-      type: e.type,
-      amount: e.payload?.amount ?? 0
-    }));
+/**
+ * Since-inception returns per LP and for the deal, from each LP's dated
+ * contributions and distributions. The unrealized position is valued at the
+ * LP's NAV from the latest approved valuation mark on or before endDate, so
+ * TVPI and IRR include residual value.
+ */
+async function buildIRRPerformanceReport(dealName, dealId, lpActors, endDate) {
+  const positions = await mapWithLimit(lpActors, 5, async (lp) => {
+    const [ledger, valuation] = await Promise.all([
+      loadInvestorLedger(lp.id, { asOfDate: endDate }),
+      loadLatestNav(lp.id, { asOfDate: endDate })
+    ]);
+    return { lp, ledger, valuation };
+  });
+
+  const lpPerformance = positions.map(({ lp, ledger, valuation }) => {
+    const metrics = calculateLedgerMetrics(ledger, { residualValue: valuation?.nav ?? null, asOfDate: endDate });
+    return {
+      lpActorId: lp.id,
+      entityName: lp.entityName,
+      commitment: lp.commitment,
+      paidIn: metrics.paidIn,
+      distributed: metrics.distributed,
+      nav: metrics.residualValue,
+      navAsOf: valuation?.asOfDate || null,
+      dpi: metrics.dpi,
+      rvpi: metrics.rvpi,
+      tvpi: metrics.tvpi,
+      irr: metrics.irr,
+      firstContributionDate: metrics.firstContributionDate
+    };
+  });
+
+  const valued = positions.filter(p => p.valuation);
+  const dealLedger = positions.flatMap(p => p.ledger).sort((a, b) => a.date - b.date);
+  const dealMetrics = calculateLedgerMetrics(dealLedger, {
+    residualValue: valued.length > 0 ? valued.reduce((sum, p) => sum + p.valuation.nav, 0) : null,
+    asOfDate: endDate
+  });
+  const latestMark = valued.map(p => p.valuation).sort((a, b) => b.asOfDate.localeCompare(a.asOfDate))[0] || null;
 
   return {
     reportType: "irr_performance",
     dealName,
     dealId,
     generatedAt: new Date().toISOString(),
+    asOfDate: endDate.toISOString(),
     lpCount: lpActors.length,
-    capitalEvents,
-    note: "IRR calculations require specialized financial library. Consider integrating @financial-calculations/irr for production use.",
-    estimatedIRR: "Pending financial library integration",
-    disclaimer: "IRR performance is estimated and may not reflect actual returns."
+    valuation: latestMark
+      ? { markId: latestMark.markId, asOfDate: latestMark.asOfDate, year: latestMark.year, quarter: latestMark.quarter, method: latestMark.method }
+      : null,
+    dealPerformance: {
+      paidIn: dealMetrics.paidIn,
+      distributed: dealMetrics.distributed,
+      nav: dealMetrics.residualValue,
+      dpi: dealMetrics.dpi,
+      rvpi: dealMetrics.rvpi,
+      tvpi: dealMetrics.tvpi,
+      irr: dealMetrics.irr
+    },
+    lpPerformance,
+    disclaimer: latestMark
+      ? "Unrealized value is the NAV from the latest approved valuation mark and may differ from realized proceeds."
+      : "No approved valuation mark; returns reflect realized cash flows only."
   };
 }
@@ -8,7 +8,13 @@
 import { getPrisma } from "../db.js";
 import { deleteCache, deleteCacheByPrefix } from "../runtime.js";
 import crypto from "node:crypto";
-import { buildLPStatement, requireLPDealAccess } from "../services/lp-statement-service.js";
+import {
+  buildLPStatement,
+  requireLPDealAccess,
+  loadInvestorLedger,
+  calculateLedgerMetrics,
+  loadLatestNav
+} from "../services/lp-statement-service.js";
 
 // ============================================================================
 // LOGGING UTILITIES
@@ -627,6 +633,14 @@ export async function handleGetMyInvestmentDetail(req, res, authUser, dealId) {
     select: LP_VISIBLE_DEAL_FIELDS
   });
 
+  // Performance comes from the investor's actual dated funding and payments,
+  // valued at the NAV of the latest approved mark
+  const [ledger, valuation] = await Promise.all([
+    loadInvestorLedger(lpActor.id),
+    loadLatestNav(lpActor.id)
+  ]);
+  const metrics = calculateLedgerMetrics(ledger, { residualValue: valuation?.nav ?? null });
+
   sendJson(res, 200, {
     deal: {
       id: deal?.id || dealId,
@@ -648,11 +662,24 @@ export async function handleGetMyInvestmentDetail(req, res, authUser, dealId) {
         } : null
       },
       performance: {
-        cash_in: 0,
-        cash_out: 0,
-        net_invested: lpActor.commitment || 0
+        cash_in: metrics.paidIn,
+        cash_out: metrics.distributed,
+        net_invested: metrics.paidIn - metrics.distributed,
+        distributions_to_date: metrics.distributed,
+        irr: metrics.irr,
+        tvpi: metrics.tvpi,
+        dpi: metrics.dpi,
+        rvpi: metrics.rvpi,
+        nav: valuation?.nav ?? null,
+        nav_as_of: valuation?.asOfDate || null
       },
-      capital_events: []
+      capital_events: ledger.map(entry => ({
+        id: entry.id,
+        type: entry.type === 'CONTRIBUTION' ? 'CALL' : 'DISTRIBUTION',
+        amount: Math.abs(entry.amount),
+        date: entry.date.toISOString(),
+        description: entry.title
+      }))
     },
     lpActor: {
       id: lpActor.id,
@@ -11,12 +11,30 @@
  * - POST /api/deals/:dealId/lp-transfers/:transferId/approve - Approve transfer
  * - POST /api/deals/:dealId/lp-transfers/:transferId/complete - Execute transfer
  * - POST /api/deals/:dealId/lp-transfers/:transferId/cancel - Cancel transfer
+ * - PATCH /api/deals/:dealId/lp-transfers/:transferId/terms - Update secondary terms (PENDING only)
+ * - GET /api/lp/portal/rofr-notices - ROFR notices for the authenticated LP
+ * - POST /api/lp/portal/rofr-notices/:noticeId/respond - Waive or exercise ROFR
+ *
+ * Secondary terms (price, NAV, pref split) and the position conveyed are
+ * computed by services/secondary-transfer.js: previewed on create and fixed
+ * at the effective date on completion.
  */
 
 import { getPrisma } from "../db.js";
 import { extractAuthUser } from "./auth.js";
 import { createDealEvent } from "../services/audit-service.js";
+import { sendEmail } from "../services/email-service.js";
 import { readStore } from "../store.js";
+import {
+  validateSecondaryTerms,
+  rollPositionForward,
+  buildTransferEconomics,
+  selectRofrHolders,
+  rofrExpiry,
+  evaluateRofr,
+  validateRofrResponse,
+  ROFR_NOTICE_STATUSES
+} from "../services/secondary-transfer.js";
 
 const LOG_PREFIX = "[LPTransfers]";
 
@@ -143,10 +161,77 @@ function validateTransferValues(fromLp, transferAmount, transferPct) {
   return errors;
 }
 
+/**
+ * Compute the position a transfer conveys as of its effective date
+ * Reads the transferor's funding, distributions and earlier completed transfers.
+ *
+ * @param {Object} transfer - Transfer (or request) with transferAmount, effectiveDate and secondary terms
+ * @param {Object} fromLp - Transferor LPActor with shareClass
+ * @returns {Promise<Object>} Economics fields for LPTransfer
+ */
+async function computeTransferEconomics(transfer, fromLp) {
+  const prisma = getPrisma();
+  const [capitalCallAllocations, distributionAllocations, priorTransfers] = await Promise.all([
+    prisma.capitalCallAllocation.findMany({
+      where: { lpActorId: fromLp.id },
+      include: { capitalCall: { select: { id: true, title: true, dueDate: true, createdAt: true } } }
+    }),
+    prisma.distributionAllocation.findMany({
+      where: { lpActorId: fromLp.id },
+      include: { distribution: { select: { id: true, title: true, distributionDate: true, createdAt: true } } }
+    }),
+    prisma.lPTransfer.findMany({
+      where: {
+        status: 'COMPLETED',
+        OR: [{ fromLpActorId: fromLp.id }, { toLpActorId: fromLp.id }]
+      }
+    })
+  ]);
+
+  const position = rollPositionForward({
+    lpActorId: fromLp.id,
+    capitalCallAllocations,
+    distributionAllocations,
+    priorTransfers: priorTransfers.filter(t => t.id !== transfer.id),
+    prefRate: fromLp.shareClass?.preferredReturn || 0,
+    asOfDate: transfer.effectiveDate
+  });
+
+  return buildTransferEconomics({ transfer, fromLp, position });
+}
+
+/**
+ * Email existing LPs their ROFR notice
+ * Respects each LP's email notification preference.
+ */
+async function notifyRofrHolders(transfer, lpActorIds) {
+  const prisma = getPrisma();
+  const [lpActors, preferences, store] = await Promise.all([
+    prisma.lPActor.findMany({ where: { id: { in: lpActorIds } } }),
+    prisma.lPNotificationPreference.findMany({ where: { lpActorId: { in: lpActorIds } } }),
+    readStore()
+  ]);
+  const muted = new Set(preferences.filter(p => !p.emailEnabled).map(p => p.lpActorId));
+  const dealLabel = store.dealIndex.find((r) => r.id === transfer.dealId)?.name || 'your investment';
+  const deadline = transfer.rofrExpiresAt.toISOString().split('T')[0];
+  const priceLine = transfer.price != null ? ` at a price of ${transfer.price.toLocaleString('en-US')}` : '';
+
+  const results = await Promise.all(lpActors.filter(lp => !muted.has(lp.id)).map(lpActor => sendEmail({
+    to: lpActor.email,
+    subject: `${dealLabel}: Right of first refusal on a proposed transfer`,
+    text: `Hello ${lpActor.entityName},\n\nAn existing investor proposes to transfer ${transfer.transferAmount.toLocaleString('en-US')} of commitment${priceLine}. You may exercise or waive your right of first refusal until ${deadline}.\n\nRespond in the LP portal.`,
+    html: `<p>Hello ${lpActor.entityName},</p><p>An existing investor proposes to transfer ${transfer.transferAmount.toLocaleString('en-US')} of commitment${priceLine}. You may exercise or waive your right of first refusal until <strong>${deadline}</strong>.</p><p>Respond in the LP portal.</p>`,
+    metadata: { event: 'LP_TRANSFER_ROFR_NOTICE', dealId: transfer.dealId, transferId: transfer.id }
+  })));
+
+  log(`ROFR notices sent`, { transferId: transfer.id, holders: lpActorIds.length, sent: results.filter(r => r.sent).length });
+}
+
 /**
  * Create a new LP transfer request
  * POST /api/deals/:dealId/lp-transfers
- * Body: { fromLpActorId, toLpActorId, transferAmount, transferPct, effectiveDate, reason?, documentId? }
+ * Body: { fromLpActorId, toLpActorId, transferAmount, transferPct, effectiveDate, reason?, documentId?,
+ *         price?, navAtTransfer?, prefSplitMethod?, prefToTransferorPct?, rofrDays? }
  */
 export async function handleCreateTransfer(req, res, dealId, readJsonBody) {
   log(`Creating LP transfer`, { dealId });
@@ -181,7 +266,7 @@ export async function handleCreateTransfer(req, res, dealId, readJsonBody) {
   // Verify both LPs exist and belong to this deal (include share class for validation)
   const fromLp = await prisma.lPActor.findFirst({
     where: { id: body.fromLpActorId, dealId, status: 'ACTIVE' },
-    include: { shareClass: { select: { id: true, code: true, name: true } } }
+    include: { shareClass: { select: { id: true, code: true, name: true, preferredReturn: true } } }
   });
 
   if (!fromLp) {
@@ -232,8 +317,11 @@ export async function handleCreateTransfer(req, res, dealId, readJsonBody) {
   }
   log(`Share class validation passed`, { shareClassCode: fromLp.shareClass?.code || 'NONE' });
 
-  // Validate transfer values
-  const validationErrors = validateTransferValues(fromLp, body.transferAmount, body.transferPct);
+  // Validate transfer values and secondary terms
+  const validationErrors = [
+    ...validateTransferValues(fromLp, body.transferAmount, body.transferPct),
+    ...validateSecondaryTerms(body)
+  ];
   if (validationErrors.length > 0) {
     log(`Transfer validation failed`, { errors: validationErrors });
     return sendError(res, 400, "Validation failed", validationErrors);
@@ -261,6 +349,27 @@ export async function handleCreateTransfer(req, res, dealId, readJsonBody) {
     return sendError(res, 409, "A pending or approved transfer already exists between these LPs");
   }
 
+  // Preview the economics; they are fixed again at completion
+  const terms = {
+    price: body.price ?? null,
+    navAtTransfer: body.navAtTransfer ?? null,
+    prefSplitMethod: body.prefSplitMethod || 'TRANSFEROR',
+    prefToTransferorPct: body.prefSplitMethod === 'PRO_RATA' ? body.prefToTransferorPct : null
+  };
+  const economics = await computeTransferEconomics(
+    { transferAmount: body.transferAmount, effectiveDate, ...terms },
+    fromLp
+  );
+
+  // Existing LPs get a ROFR notice when a window is set
+  const rofrDays = body.rofrDays || null;
+  let rofrHolders = [];
+  if (rofrDays) {
+    const dealLps = await prisma.lPActor.findMany({ where: { dealId }, select: { id: true, status: true } });
+    rofrHolders = selectRofrHolders(dealLps, body);
+  }
+  const rofrNoticeSentAt = rofrHolders.length > 0 ? new Date() : null;
+
   // Create transfer record
   const transfer = await prisma.lPTransfer.create({
     data: {
@@ -274,6 +383,12 @@ export async function handleCreateTransfer(req, res, dealId, readJsonBody) {
       status: 'PENDING',
       reason: body.reason || null,
       documentId: body.documentId || null,
+      ...economics,
+      prefToTransferorPct: terms.prefToTransferorPct,
+      rofrDays: rofrNoticeSentAt ? rofrDays : null,
+      rofrNoticeSentAt,
+      rofrExpiresAt: rofrExpiry(rofrNoticeSentAt, rofrDays),
+      rofrNotices: { create: rofrHolders.map(lpActorId => ({ lpActorId })) },
       createdBy: authUser.id,
       createdByName: authUser.name
     },
@@ -311,13 +426,91 @@ export async function handleCreateTransfer(req, res, dealId, readJsonBody) {
     toLpName: transfer.toLpActor.entityName,
     transferAmount: transfer.transferAmount,
     transferPct: transfer.transferPct,
-    effectiveDate: transfer.effectiveDate.toISOString()
+    effectiveDate: transfer.effectiveDate.toISOString(),
+    price: transfer.price,
+    navAtTransfer: transfer.navAtTransfer,
+    premiumDiscountPct: transfer.premiumDiscountPct,
+    rofrHolders: rofrHolders.length,
+    rofrExpiresAt: transfer.rofrExpiresAt?.toISOString() || null
   }, { id: authUser.id, name: authUser.name, role: authUser.role });
 
+  if (rofrHolders.length > 0) {
+    await notifyRofrHolders(transfer, rofrHolders);
+  }
+
   log(`Transfer created successfully`, { transferId: transfer.id, status: transfer.status });
   sendJson(res, 201, { transfer });
 }
 
+/**
+ * Update the secondary terms of a pending transfer
+ * PATCH /api/deals/:dealId/lp-transfers/:transferId/terms
+ * Body: { price?, navAtTransfer?, prefSplitMethod?, prefToTransferorPct? }
+ */
+export async function handleUpdateTransferTerms(req, res, dealId, transferId, readJsonBody) {
+  log(`Updating transfer terms`, { dealId, transferId });
+
+  // SECURITY: Enforce GP role AND org isolation via deal membership
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  const prisma = getPrisma();
+
+  const transfer = await prisma.lPTransfer.findFirst({
+    where: { id: transferId, dealId },
+    include: { fromLpActor: { include: { shareClass: true } } }
+  });
+
+  if (!transfer) {
+    log(`Transfer not found for terms update`, { transferId });
+    return sendError(res, 404, "Transfer not found");
+  }
+
+  if (transfer.status !== 'PENDING') {
+    log(`Cannot update terms - wrong status`, { transferId, currentStatus: transfer.status });
+    return sendError(res, 400, `Cannot change terms of a transfer with status ${transfer.status}`);
+  }
+
+  const terms = {
+    price: body?.price !== undefined ? body.price : transfer.price,
+    navAtTransfer: body?.navAtTransfer !== undefined ? body.navAtTransfer : (transfer.navSource === 'GP' ? transfer.navAtTransfer : null),
+    prefSplitMethod: body?.prefSplitMethod || transfer.prefSplitMethod,
+    prefToTransferorPct: body?.prefToTransferorPct !== undefined ? body.prefToTransferorPct : transfer.prefToTransferorPct
+  };
+  if (terms.prefSplitMethod !== 'PRO_RATA') terms.prefToTransferorPct = null;
+
+  const validationErrors = validateSecondaryTerms(terms);
+  if (validationErrors.length > 0) {
+    log(`Terms validation failed`, { errors: validationErrors });
+    return sendError(res, 400, "Validation failed", validationErrors);
+  }
+
+  const economics = await computeTransferEconomics({ ...transfer, ...terms }, transfer.fromLpActor);
+
+  const updated = await prisma.lPTransfer.update({
+    where: { id: transferId },
+    data: { ...economics, prefToTransferorPct: terms.prefToTransferorPct },
+    include: {
+      fromLpActor: { select: { id: true, entityName: true, email: true } },
+      toLpActor: { select: { id: true, entityName: true, email: true } }
+    }
+  });
+
+  await createDealEvent(dealId, 'LP_TRANSFER_TERMS_UPDATED', {
+    transferId,
+    price: updated.price,
+    navAtTransfer: updated.navAtTransfer,
+    navSource: updated.navSource,
+    premiumDiscountPct: updated.premiumDiscountPct,
+    prefSplitMethod: updated.prefSplitMethod,
+    prefToTransferorPct: updated.prefToTransferorPct
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  log(`Transfer terms updated`, { transferId, price: updated.price, premiumDiscountPct: updated.premiumDiscountPct });
+  sendJson(res, 200, { transfer: updated });
+}
+
 /**
  * List LP transfers for a deal
  * GET /api/deals/:dealId/lp-transfers
@@ -401,7 +594,8 @@ export async function handleGetTransfer(req, res, dealId, transferId) {
           ownershipPct: true,
           shareClass: { select: { id: true, code: true, name: true } }
         }
-      }
+      },
+      rofrNotices: true
     }
   });
 
@@ -411,7 +605,7 @@ export async function handleGetTransfer(req, res, dealId, transferId) {
   }
 
   log(`Transfer found`, { transferId, status: transfer.status });
-  sendJson(res, 200, { transfer });
+  sendJson(res, 200, { transfer, rofr: evaluateRofr(transfer, transfer.rofrNotices) });
 }
 
 /**
@@ -433,7 +627,8 @@ export async function handleApproveTransfer(req, res, dealId, transferId, readJs
     where: { id: transferId, dealId },
     include: {
       fromLpActor: { select: { id: true, entityName: true } },
-      toLpActor: { select: { id: true, entityName: true } }
+      toLpActor: { select: { id: true, entityName: true } },
+      rofrNotices: true
     }
   });
 
@@ -447,6 +642,15 @@ export async function handleApproveTransfer(req, res, dealId, transferId, readJs
     return sendError(res, 400, `Cannot approve transfer with status ${transfer.status}`);
   }
 
+  // Existing LPs must have passed on the interest first
+  const rofr = evaluateRofr(transfer, transfer.rofrNotices);
+  if (!rofr.canApprove) {
+    log(`Cannot approve transfer - ROFR ${rofr.status}`, { transferId, pending: rofr.pending.length, exercised: rofr.exercised.length });
+    return sendError(res, 409, rofr.status === 'EXERCISED'
+      ? "Right of first refusal was exercised - cancel this transfer and transfer to the exercising LPs"
+      : `Right of first refusal window is open until ${rofr.expiresAt}`, rofr);
+  }
+
   log(`Approving transfer`, { transferId, fromLp: transfer.fromLpActor.entityName, toLp: transfer.toLpActor.entityName });
 
   const updated = await prisma.lPTransfer.update({
@@ -469,7 +673,8 @@ export async function handleApproveTransfer(req, res, dealId, transferId, readJs
     fromLpName: transfer.fromLpActor.entityName,
     toLpName: transfer.toLpActor.entityName,
     approvedBy: authUser.id,
-    approvedByName: authUser.name
+    approvedByName: authUser.name,
+    rofrStatus: rofr.status
   }, { id: authUser.id, name: authUser.name, role: authUser.role });
 
   log(`Transfer approved successfully`, { transferId, approvedBy: authUser.name });
@@ -483,6 +688,8 @@ export async function handleApproveTransfer(req, res, dealId, transferId, readJs
  * This updates the actual LP ownership positions:
  * - Reduces fromLp's commitment and ownershipPct
  * - Increases toLp's commitment and ownershipPct
+ * - Fixes the conveyed paid-in, distributions, unfunded commitment and
+ *   pref split as of the effective date
  */
 export async function handleCompleteTransfer(req, res, dealId, transferId) {
   log(`Completing LP transfer`, { dealId, transferId });
@@ -496,7 +703,7 @@ export async function handleCompleteTransfer(req, res, dealId, transferId) {
   const transfer = await prisma.lPTransfer.findFirst({
     where: { id: transferId, dealId },
     include: {
-      fromLpActor: true,
+      fromLpActor: { include: { shareClass: true } },
       toLpActor: true
     }
   });
@@ -540,7 +747,12 @@ export async function handleCompleteTransfer(req, res, dealId, transferId) {
     return sendError(res, 400, "Transfer is no longer valid - LP positions have changed", validationErrors);
   }
 
-  log(`Executing transfer transaction`, { transferId });
+  const economics = await computeTransferEconomics(
+    { ...transfer, navAtTransfer: transfer.navSource === 'GP' ? transfer.navAtTransfer : null },
+    transfer.fromLpActor
+  );
+
+  log(`Executing transfer transaction`, { transferId, ...economics });
 
   // Execute the transfer atomically
   const [updatedTransfer] = await prisma.$transaction([
@@ -551,7 +763,8 @@ export async function handleCompleteTransfer(req, res, dealId, transferId) {
         status: 'COMPLETED',
         completedAt: new Date(),
         completedBy: authUser.id,
-        completedByName: authUser.name
+        completedByName: authUser.name,
+        ...economics
       },
       include: {
         fromLpActor: { select: { id: true, entityName: true, email: true } },
@@ -590,6 +803,7 @@ export async function handleCompleteTransfer(req, res, dealId, transferId) {
     toLpNewOwnershipPct: transfer.toLpActor.ownershipPct + transfer.transferPct,
     transferAmount: transfer.transferAmount,
     transferPct: transfer.transferPct,
+    ...economics,
     completedBy: authUser.id,
     completedByName: authUser.name
   }, { id: authUser.id, name: authUser.name, role: authUser.role });
@@ -668,3 +882,120 @@ export async function handleCancelTransfer(req, res, dealId, transferId, readJso
   log(`Transfer cancelled successfully`, { transferId, cancelledBy: authUser.name });
   sendJson(res, 200, { transfer: updated });
 }
+
+// ============================================================================
+// LP ROFR HANDLERS
+// ============================================================================
+
+/**
+ * Require an authenticated LP user
+ */
+function requireLPUser(res, authUser) {
+  if (!authUser) {
+    sendError(res, 401, "Authentication required");
+    return false;
+  }
+  if (authUser.role !== "LP") {
+    sendError(res, 403, "Only LP users can access this endpoint");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * List ROFR notices for the authenticated LP
+ * GET /api/lp/portal/rofr-notices
+ */
+export async function handleGetMyRofrNotices(req, res, authUser) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const prisma = getPrisma();
+  const lpActors = await prisma.lPActor.findMany({
+    where: { email: authUser.email.toLowerCase() },
+    select: { id: true }
+  });
+  const notices = await prisma.lPTransferRofrNotice.findMany({
+    where: { lpActorId: { in: lpActors.map(a => a.id) } },
+    include: { transfer: { include: { rofrNotices: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const store = await readStore();
+  const dealNames = new Map(store.dealIndex.map((r) => [r.id, r.name]));
+
+  // The transferor and transferee are not disclosed to other LPs
+  sendJson(res, 200, {
+    notices: notices.map(notice => ({
+      id: notice.id,
+      lpActorId: notice.lpActorId,
+      status: notice.status,
+      respondedAt: notice.respondedAt?.toISOString() || null,
+      dealId: notice.transfer.dealId,
+      dealName: dealNames.get(notice.transfer.dealId) || null,
+      transferStatus: notice.transfer.status,
+      transferAmount: notice.transfer.transferAmount,
+      transferPct: notice.transfer.transferPct,
+      effectiveDate: notice.transfer.effectiveDate.toISOString(),
+      price: notice.transfer.price,
+      rofrExpiresAt: notice.transfer.rofrExpiresAt?.toISOString() || null,
+      rofrStatus: evaluateRofr(notice.transfer, notice.transfer.rofrNotices).status
+    }))
+  });
+}
+
+/**
+ * Waive or exercise a ROFR notice
+ * POST /api/lp/portal/rofr-notices/:noticeId/respond
+ * Body: { decision: WAIVE|EXERCISE, notes? }
+ */
+export async function handleRespondRofrNotice(req, res, authUser, noticeId, readJsonBody) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const body = await readJsonBody(req);
+  const prisma = getPrisma();
+
+  const notice = await prisma.lPTransferRofrNotice.findUnique({
+    where: { id: noticeId },
+    include: { transfer: true }
+  });
+  const lpActor = notice && await prisma.lPActor.findFirst({
+    where: { id: notice.lpActorId, email: authUser.email.toLowerCase() }
+  });
+  if (!notice || !lpActor) {
+    return sendError(res, 404, "ROFR notice not found");
+  }
+
+  const errors = validateRofrResponse(notice.transfer, notice, body?.decision);
+  if (errors.length > 0) {
+    return sendError(res, 409, errors[0], errors);
+  }
+
+  const status = body.decision === 'EXERCISE' ? ROFR_NOTICE_STATUSES.EXERCISED : ROFR_NOTICE_STATUSES.WAIVED;
+  // Only the first response counts
+  const { count } = await prisma.lPTransferRofrNotice.updateMany({
+    where: { id: noticeId, status: ROFR_NOTICE_STATUSES.PENDING },
+    data: {
+      status,
+      respondedAt: new Date(),
+      respondedBy: authUser.id,
+      respondedByName: authUser.name,
+      notes: body.notes ?? null
+    }
+  });
+  if (count === 0) {
+    return sendError(res, 409, "ROFR notice has already been answered");
+  }
+
+  const notices = await prisma.lPTransferRofrNotice.findMany({ where: { transferId: notice.transferId } });
+  const rofr = evaluateRofr(notice.transfer, notices);
+
+  await createDealEvent(notice.transfer.dealId, status === 'EXERCISED' ? 'LP_TRANSFER_ROFR_EXERCISED' : 'LP_TRANSFER_ROFR_WAIVED', {
+    transferId: notice.transferId,
+    lpActorId: notice.lpActorId,
+    lpName: lpActor.entityName,
+    rofrStatus: rofr.status
+  }, { id: authUser.id, name: authUser.name, role: 'LP' });
+
+  log(`ROFR ${status.toLowerCase()}`, { transferId: notice.transferId, lpActorId: notice.lpActorId, rofrStatus: rofr.status });
+  sendJson(res, 200, { noticeId, status, rofrStatus: rofr.status });
+}
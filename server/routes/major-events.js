@@ -0,0 +1,723 @@
+/**
+ * Major Event Routes
+ *
+ * GP announcements of major events (refinance, sale, amendment) and LP
+ * consent voting. Opening consent freezes a CONSENT_VOTE cap table snapshot
+ * as the voting roll; votes are weighted by snapshot ownershipPct and classes
+ * without voting rights do not vote. The event resolves to APPROVED/REJECTED
+ * when the threshold is met or can no longer be met, or at the deadline,
+ * producing a consent certificate and notifying LPs.
+ * Every step is recorded in the deal event ledger.
+ *
+ * Endpoints:
+ * - GET  /api/deals/:dealId/major-events - List major events
+ * - POST /api/deals/:dealId/major-events - Create draft event with decision packet
+ * - GET  /api/deals/:dealId/major-events/:eventId - Get event with votes and tally
+ * - POST /api/deals/:dealId/major-events/:eventId/announce - Announce / open consent
+ * - GET  /api/lp/portal/consents - LP: my consent requests
+ * - POST /api/lp/portal/consents/:eventId/vote - LP: cast vote
+ * - GET  /api/lp/portal/consents/:eventId/certificate - LP: signed consent certificate
+ */
+
+import { getPrisma } from "../db.js";
+import { extractAuthUser } from "./auth.js";
+import { readStore } from "../store.js";
+import { createDealEvent, createCapTableSnapshot } from "../services/audit-service.js";
+import { generateConsentCertificate, renderConsentCertificate } from "../services/document-generator.js";
+import { sendEmail } from "../services/email-service.js";
+import { emitLpWebhook, isLpWebhookEnabled } from "../notifications.js";
+import { escapeHtml } from "../services/marketing-room.js";
+import {
+  MAJOR_EVENT_STATUSES,
+  CONSENT_DECISIONS,
+  DEFAULT_CONSENT_THRESHOLD,
+  canTransition,
+  validateMajorEvent,
+  buildVotingRoll,
+  tallyConsents,
+  determineOutcome,
+  buildConsentCertificate
+} from "../services/consent-voting.js";
+
+const LOG_PREFIX = "[MajorEvents]";
+
+/** Actor recorded when a vote resolves on its own (threshold or deadline) */
+const CONSENT_SYSTEM_ACTOR = { id: 'system', name: 'Consent Tally', role: 'SYSTEM' };
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function logError(message, error = null, data = {}) {
+  console.error(`${LOG_PREFIX} ERROR: ${message}`, data, error?.message || '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+/**
+ * Require authenticated user with deal org access
+ * SECURITY: Enforces organization isolation via deal membership
+ */
+async function requireDealOrgAccess(req, res, dealId) {
+  const authUser = await extractAuthUser(req);
+  if (!authUser) {
+    sendError(res, 401, "Not authenticated");
+    return null;
+  }
+
+  const store = await readStore();
+  const record = store.dealIndex.find((item) => item.id === dealId);
+
+  if (!record) {
+    sendError(res, 404, "Deal not found");
+    return null;
+  }
+
+  // Enforce org isolation
+  if (record.organizationId && record.organizationId !== authUser.organizationId) {
+    sendError(res, 403, "Access denied - deal belongs to different organization");
+    return null;
+  }
+
+  return authUser;
+}
+
+/**
+ * Require GP or Admin role with deal org access
+ * SECURITY: Enforces both role requirement AND organization isolation
+ */
+async function requireGPWithDealOrgAccess(req, res, dealId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return null;
+
+  if (!['GP', 'Admin'].includes(authUser.role)) {
+    sendError(res, 403, "GP or Admin role required");
+    return null;
+  }
+  if (authUser.status !== 'ACTIVE') {
+    sendError(res, 403, "Account not active");
+    return null;
+  }
+  return authUser;
+}
+
+/**
+ * Require an authenticated LP user
+ */
+function requireLPUser(res, authUser) {
+  if (!authUser) {
+    sendError(res, 401, "Authentication required");
+    return false;
+  }
+  if (authUser.role !== "LP") {
+    sendError(res, 403, "Only LP users can access this endpoint");
+    return false;
+  }
+  return true;
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function serializeMajorEvent(majorEvent) {
+  return {
+    id: majorEvent.id,
+    dealId: majorEvent.dealId,
+    eventType: majorEvent.eventType,
+    title: majorEvent.title,
+    description: majorEvent.description,
+    whyNow: majorEvent.whyNow,
+    lpImpact: majorEvent.lpImpact,
+    requiresConsent: majorEvent.requiresConsent,
+    consentThreshold: majorEvent.consentThreshold,
+    consentDeadline: majorEvent.consentDeadline?.toISOString() || null,
+    status: majorEvent.status,
+    documentPackIds: parseJson(majorEvent.documentPackIds, []),
+    snapshotId: majorEvent.snapshotId,
+    announcedAt: majorEvent.announcedAt?.toISOString() || null,
+    resolvedAt: majorEvent.resolvedAt?.toISOString() || null,
+    resolutionReason: majorEvent.resolutionReason,
+    tally: parseJson(majorEvent.tally),
+    certificateHash: majorEvent.certificateHash,
+    certificateDocId: majorEvent.certificateDocId,
+    createdBy: majorEvent.createdBy,
+    createdByName: majorEvent.createdByName,
+    createdAt: majorEvent.createdAt.toISOString(),
+    updatedAt: majorEvent.updatedAt.toISOString()
+  };
+}
+
+function serializeConsent(consent, entityName) {
+  return {
+    id: consent.id,
+    lpActorId: consent.lpActorId,
+    entityName: entityName ?? null,
+    votingWeight: consent.votingWeight,
+    decision: consent.decision,
+    decisionAt: consent.decisionAt?.toISOString() || null,
+    decidedByName: consent.decidedByName,
+    notes: consent.notes
+  };
+}
+
+async function getDealName(dealId) {
+  const store = await readStore();
+  return store.dealIndex.find((r) => r.id === dealId)?.name || null;
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Email LPs about a major event and emit the LP webhook
+ * Respects each LP's email and milestone notification preferences.
+ */
+async function notifyLPsOfMajorEvent(majorEvent, lpActorIds, { webhookEvent, subject, message }) {
+  const prisma = getPrisma();
+  const [lpActors, preferences, dealName] = await Promise.all([
+    prisma.lPActor.findMany({ where: { id: { in: lpActorIds } } }),
+    prisma.lPNotificationPreference.findMany({ where: { lpActorId: { in: lpActorIds } } }),
+    getDealName(majorEvent.dealId)
+  ]);
+  const preferenceByActor = new Map(preferences.map(p => [p.lpActorId, p]));
+
+  // One email per LP even when they hold several classes
+  const recipients = new Map();
+  for (const lpActor of lpActors) {
+    const preference = preferenceByActor.get(lpActor.id);
+    if (preference && (!preference.emailEnabled || !preference.milestoneNotifications)) continue;
+    recipients.set(lpActor.email.toLowerCase(), lpActor);
+  }
+
+  const dealLabel = dealName || 'your investment';
+  const results = await Promise.all([...recipients.values()].map(lpActor => sendEmail({
+    to: lpActor.email,
+    subject: `${dealLabel}: ${subject}`,
+    text: `Hello ${lpActor.entityName},\n\n${message}\n\nMatter: ${majorEvent.title}\n\nView details in the LP portal.`,
+    html: `<p>Hello ${escapeHtml(lpActor.entityName)},</p><p>${escapeHtml(message)}</p><p><strong>Matter:</strong> ${escapeHtml(majorEvent.title)}</p><p>View details in the LP portal.</p>`,
+    metadata: { event: webhookEvent, dealId: majorEvent.dealId, majorEventId: majorEvent.id }
+  })));
+
+  if (isLpWebhookEnabled()) {
+    void emitLpWebhook(webhookEvent, {
+      dealId: majorEvent.dealId,
+      majorEventId: majorEvent.id,
+      eventType: majorEvent.eventType,
+      title: majorEvent.title,
+      status: majorEvent.status,
+      consentDeadline: majorEvent.consentDeadline?.toISOString() || null,
+      certificateDocId: majorEvent.certificateDocId || null,
+      lpActorIds
+    });
+  }
+
+  log(`Notified LPs`, {
+    majorEventId: majorEvent.id,
+    webhookEvent,
+    recipients: recipients.size,
+    sent: results.filter(r => r.sent).length
+  });
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Resolve an open consent if the tally or the deadline decides it
+ *
+ * Issues the consent certificate, records the outcome on the ledger and
+ * notifies the voting roll. Safe to call concurrently: only the caller that
+ * moves the event out of CONSENT_OPEN finishes the resolution.
+ *
+ * @param {Object} majorEvent - MajorEvent row
+ * @param {Object} actor - Actor certifying the result
+ * @param {Date} now
+ * @returns {Promise<Object>} The (possibly resolved) MajorEvent row
+ */
+export async function resolveMajorEventIfDue(majorEvent, actor = CONSENT_SYSTEM_ACTOR, now = new Date()) {
+  if (majorEvent.status !== MAJOR_EVENT_STATUSES.CONSENT_OPEN) return majorEvent;
+
+  const prisma = getPrisma();
+  const consents = await prisma.majorEventConsent.findMany({ where: { majorEventId: majorEvent.id } });
+  const tally = tallyConsents(consents, majorEvent.consentThreshold ?? DEFAULT_CONSENT_THRESHOLD);
+  const outcome = determineOutcome(tally, { deadline: majorEvent.consentDeadline, now });
+  if (!outcome) return majorEvent;
+
+  const snapshot = await prisma.snapshot.findUnique({ where: { id: majorEvent.snapshotId } });
+  const entityNames = new Map(parseJson(snapshot.lpOwnership, []).map(lp => [lp.lpActorId, lp.entityName]));
+  const certificate = buildConsentCertificate({
+    majorEvent,
+    snapshot,
+    consents: consents.map(c => ({ ...c, entityName: entityNames.get(c.lpActorId) })),
+    tally,
+    outcome,
+    resolvedAt: now,
+    certifiedBy: actor
+  });
+
+  // Claim the resolution; a concurrent vote or sweep may have got here first
+  const claimed = await prisma.majorEvent.updateMany({
+    where: { id: majorEvent.id, status: MAJOR_EVENT_STATUSES.CONSENT_OPEN },
+    data: {
+      status: outcome.status,
+      resolvedAt: now,
+      resolutionReason: outcome.reason,
+      tally: JSON.stringify(tally),
+      certificate: JSON.stringify(certificate.payload),
+      certificateHash: certificate.certificateHash
+    }
+  });
+  if (claimed.count === 0) {
+    return prisma.majorEvent.findUnique({ where: { id: majorEvent.id } });
+  }
+
+  let certificateDocId = null;
+  try {
+    const document = await generateConsentCertificate(
+      { ...majorEvent, status: outcome.status },
+      certificate,
+      actor
+    );
+    certificateDocId = document.generatedDocument.id;
+  } catch (error) {
+    logError(`Failed to generate consent certificate`, error, { majorEventId: majorEvent.id });
+  }
+
+  const resolved = await prisma.majorEvent.update({
+    where: { id: majorEvent.id },
+    data: { certificateDocId }
+  });
+
+  await createDealEvent(majorEvent.dealId, `MAJOR_EVENT_${outcome.status}`, {
+    majorEventId: majorEvent.id,
+    eventType: majorEvent.eventType,
+    title: majorEvent.title,
+    resolutionReason: outcome.reason,
+    approvePct: tally.approvePct,
+    threshold: tally.threshold,
+    snapshotId: majorEvent.snapshotId,
+    certificateHash: certificate.certificateHash,
+    certificateDocId
+  }, actor, {
+    fromState: MAJOR_EVENT_STATUSES.CONSENT_OPEN,
+    toState: outcome.status,
+    evidenceRefs: certificateDocId ? [certificateDocId] : []
+  });
+
+  log(`Consent resolved`, {
+    majorEventId: majorEvent.id,
+    outcome: outcome.status,
+    reason: outcome.reason,
+    approvePct: tally.approvePct
+  });
+
+  await notifyLPsOfMajorEvent(resolved, consents.map(c => c.lpActorId), {
+    webhookEvent: 'LP_CONSENT_RESOLVED',
+    subject: `Consent ${outcome.status === MAJOR_EVENT_STATUSES.APPROVED ? 'approved' : 'not approved'}`,
+    message: `The limited partner vote has closed and the matter was ${
+      outcome.status === MAJOR_EVENT_STATUSES.APPROVED ? 'approved' : 'not approved'
+    }. The signed consent certificate is available in the LP portal.`
+  });
+
+  return resolved;
+}
+
+/**
+ * Resolve every open consent whose deadline has passed
+ * Called by the scheduler and before listing events.
+ *
+ * @param {Object} options
+ * @param {string} options.dealId - Limit to one deal
+ * @param {Date} options.now
+ * @returns {Promise<number>} Number of events resolved
+ */
+export async function resolveDueMajorEvents({ dealId, now = new Date() } = {}) {
+  const prisma = getPrisma();
+  const due = await prisma.majorEvent.findMany({
+    where: {
+      ...(dealId ? { dealId } : {}),
+      status: MAJOR_EVENT_STATUSES.CONSENT_OPEN,
+      consentDeadline: { lte: now }
+    }
+  });
+
+  let resolved = 0;
+  for (const majorEvent of due) {
+    try {
+      const result = await resolveMajorEventIfDue(majorEvent, CONSENT_SYSTEM_ACTOR, now);
+      if (result.status !== MAJOR_EVENT_STATUSES.CONSENT_OPEN) resolved++;
+    } catch (error) {
+      logError(`Failed to resolve consent at deadline`, error, { majorEventId: majorEvent.id });
+    }
+  }
+  return resolved;
+}
+
+// ============================================================================
+// GP HANDLERS
+// ============================================================================
+
+/**
+ * List major events for a deal
+ * GET /api/deals/:dealId/major-events?status=CONSENT_OPEN
+ */
+export async function handleListMajorEvents(req, res, dealId, url) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  await resolveDueMajorEvents({ dealId });
+
+  const status = url?.searchParams?.get("status");
+  const prisma = getPrisma();
+  const majorEvents = await prisma.majorEvent.findMany({
+    where: { dealId, ...(status ? { status } : {}) },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  sendJson(res, 200, { majorEvents: majorEvents.map(serializeMajorEvent) });
+}
+
+/**
+ * Create a draft major event with its decision packet
+ * POST /api/deals/:dealId/major-events
+ * Body: { eventType, title, description?, whyNow?, lpImpact?, requiresConsent?,
+ *         consentThreshold?, consentDeadline?, documentPackIds? }
+ */
+export async function handleCreateMajorEvent(req, res, dealId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  const errors = validateMajorEvent(body ?? {});
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid major event", errors);
+  }
+
+  const prisma = getPrisma();
+  const majorEvent = await prisma.majorEvent.create({
+    data: {
+      dealId,
+      eventType: body.eventType,
+      title: body.title.trim(),
+      description: body.description ?? null,
+      whyNow: body.whyNow ?? null,
+      lpImpact: body.lpImpact ?? null,
+      requiresConsent: !!body.requiresConsent,
+      consentThreshold: body.requiresConsent ? (body.consentThreshold ?? DEFAULT_CONSENT_THRESHOLD) : null,
+      consentDeadline: body.requiresConsent ? new Date(body.consentDeadline) : null,
+      documentPackIds: body.documentPackIds?.length ? JSON.stringify(body.documentPackIds) : null,
+      createdBy: authUser.id,
+      createdByName: authUser.name
+    }
+  });
+
+  await createDealEvent(dealId, 'MAJOR_EVENT_CREATED', {
+    majorEventId: majorEvent.id,
+    eventType: majorEvent.eventType,
+    title: majorEvent.title,
+    requiresConsent: majorEvent.requiresConsent,
+    documentPackIds: body.documentPackIds ?? []
+  }, { id: authUser.id, name: authUser.name, role: authUser.role }, {
+    toState: majorEvent.status,
+    evidenceRefs: body.documentPackIds ?? []
+  });
+
+  log(`Major event created`, { dealId, majorEventId: majorEvent.id, eventType: majorEvent.eventType });
+  sendJson(res, 201, { majorEvent: serializeMajorEvent(majorEvent) });
+}
+
+/**
+ * Get a major event with its votes and live tally
+ * GET /api/deals/:dealId/major-events/:eventId
+ */
+export async function handleGetMajorEvent(req, res, dealId, eventId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  let majorEvent = await prisma.majorEvent.findFirst({ where: { id: eventId, dealId } });
+  if (!majorEvent) {
+    return sendError(res, 404, "Major event not found");
+  }
+  majorEvent = await resolveMajorEventIfDue(majorEvent);
+
+  const consents = await prisma.majorEventConsent.findMany({ where: { majorEventId: eventId } });
+  const snapshot = majorEvent.snapshotId
+    ? await prisma.snapshot.findUnique({ where: { id: majorEvent.snapshotId } })
+    : null;
+  const snapshotLPs = parseJson(snapshot?.lpOwnership, []);
+  const entityNames = new Map(snapshotLPs.map(lp => [lp.lpActorId, lp.entityName]));
+
+  sendJson(res, 200, {
+    majorEvent: serializeMajorEvent(majorEvent),
+    consents: consents.map(c => serializeConsent(c, entityNames.get(c.lpActorId))),
+    tally: majorEvent.requiresConsent && majorEvent.status !== MAJOR_EVENT_STATUSES.DRAFT
+      ? parseJson(majorEvent.tally) ?? tallyConsents(consents, majorEvent.consentThreshold ?? DEFAULT_CONSENT_THRESHOLD)
+      : null,
+    excludedFromVote: buildVotingRoll(snapshotLPs).excluded,
+    snapshot: snapshot ? { id: snapshot.id, capTableHash: snapshot.capTableHash, createdAt: snapshot.createdAt.toISOString() } : null,
+    certificate: parseJson(majorEvent.certificate)
+  });
+}
+
+/**
+ * Announce a major event; opens consent when the event requires it
+ * POST /api/deals/:dealId/major-events/:eventId/announce
+ */
+export async function handleAnnounceMajorEvent(req, res, dealId, eventId) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const majorEvent = await prisma.majorEvent.findFirst({ where: { id: eventId, dealId } });
+  if (!majorEvent) {
+    return sendError(res, 404, "Major event not found");
+  }
+
+  const toStatus = majorEvent.requiresConsent ? MAJOR_EVENT_STATUSES.CONSENT_OPEN : MAJOR_EVENT_STATUSES.ANNOUNCED;
+  if (!canTransition(majorEvent.status, toStatus)) {
+    return sendError(res, 400, `Cannot announce major event with status ${majorEvent.status}`);
+  }
+  if (majorEvent.requiresConsent && majorEvent.consentDeadline <= new Date()) {
+    return sendError(res, 400, "consentDeadline has passed; create a new event");
+  }
+
+  const actor = { id: authUser.id, name: authUser.name, role: authUser.role };
+  const now = new Date();
+  let snapshot = null;
+  let roll = { voters: [], excluded: [] };
+
+  if (majorEvent.requiresConsent) {
+    snapshot = await createCapTableSnapshot(dealId, 'CONSENT_VOTE', `Consent: ${majorEvent.title}`, actor);
+    roll = buildVotingRoll(parseJson(snapshot.lpOwnership, []));
+    if (roll.voters.length === 0) {
+      return sendError(res, 400, "No LPs with voting rights to consent");
+    }
+
+    await prisma.majorEventConsent.createMany({
+      data: roll.voters.map(voter => ({
+        majorEventId: eventId,
+        lpActorId: voter.lpActorId,
+        votingWeight: voter.votingWeight
+      }))
+    });
+  }
+
+  const updated = await prisma.majorEvent.update({
+    where: { id: eventId },
+    data: {
+      status: toStatus,
+      announcedAt: now,
+      snapshotId: snapshot?.id ?? null
+    }
+  });
+
+  await createDealEvent(dealId, majorEvent.requiresConsent ? 'MAJOR_EVENT_CONSENT_OPENED' : 'MAJOR_EVENT_ANNOUNCED', {
+    majorEventId: eventId,
+    eventType: majorEvent.eventType,
+    title: majorEvent.title,
+    consentThreshold: majorEvent.consentThreshold,
+    consentDeadline: majorEvent.consentDeadline?.toISOString() || null,
+    snapshotId: snapshot?.id ?? null,
+    capTableHash: snapshot?.capTableHash ?? null,
+    voterCount: roll.voters.length,
+    excludedCount: roll.excluded.length
+  }, actor, {
+    fromState: majorEvent.status,
+    toState: toStatus,
+    evidenceRefs: parseJson(majorEvent.documentPackIds, [])
+  });
+
+  // Without consent every active LP hears about it; with consent, the roll
+  const notifyIds = majorEvent.requiresConsent
+    ? roll.voters.map(v => v.lpActorId)
+    : (await prisma.lPActor.findMany({ where: { dealId, status: 'ACTIVE' }, select: { id: true } })).map(a => a.id);
+
+  await notifyLPsOfMajorEvent(updated, notifyIds, majorEvent.requiresConsent
+    ? {
+      webhookEvent: 'LP_CONSENT_REQUESTED',
+      subject: 'Your consent is requested',
+      message: `Your vote is requested by ${majorEvent.consentDeadline.toISOString().split('T')[0]}. Review the decision packet and vote in the LP portal.`
+    }
+    : {
+      webhookEvent: 'LP_MAJOR_EVENT_ANNOUNCED',
+      subject: majorEvent.title,
+      message: 'The general partner has announced a major event for your investment.'
+    });
+
+  log(`Major event announced`, { dealId, majorEventId: eventId, status: toStatus, voters: roll.voters.length });
+  sendJson(res, 200, { majorEvent: serializeMajorEvent(updated) });
+}
+
+// ============================================================================
+// LP HANDLERS
+// ============================================================================
+
+/**
+ * List consent requests for the authenticated LP
+ * GET /api/lp/portal/consents
+ */
+export async function handleGetMyConsents(req, res, authUser) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const prisma = getPrisma();
+  const lpActors = await prisma.lPActor.findMany({
+    where: { email: authUser.email.toLowerCase() },
+    select: { id: true }
+  });
+  const consents = await prisma.majorEventConsent.findMany({
+    where: { lpActorId: { in: lpActors.map(a => a.id) } },
+    include: { majorEvent: true },
+    orderBy: { majorEvent: { createdAt: 'desc' } }
+  });
+
+  // An LP holding several classes has one consent row per class
+  const byEvent = new Map();
+  for (const consent of consents) {
+    const entry = byEvent.get(consent.majorEventId) || { majorEvent: consent.majorEvent, rows: [] };
+    entry.rows.push(consent);
+    byEvent.set(consent.majorEventId, entry);
+  }
+
+  const store = await readStore();
+  const dealNames = new Map(store.dealIndex.map((r) => [r.id, r.name]));
+
+  const results = [];
+  for (const { majorEvent, rows } of byEvent.values()) {
+    const current = await resolveMajorEventIfDue(majorEvent);
+    results.push({
+      majorEvent: serializeMajorEvent(current),
+      dealName: dealNames.get(current.dealId) || null,
+      myVotingWeight: rows.reduce((sum, row) => sum + row.votingWeight, 0),
+      myDecision: rows[0].decision,
+      myDecisionAt: rows[0].decisionAt?.toISOString() || null
+    });
+  }
+
+  sendJson(res, 200, { consents: results });
+}
+
+/**
+ * Cast the authenticated LP's vote. Votes are final once cast.
+ * POST /api/lp/portal/consents/:eventId/vote
+ * Body: { decision: APPROVE|REJECT|ABSTAIN, notes? }
+ */
+export async function handleVoteMyConsent(req, res, authUser, eventId, readJsonBody) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const body = await readJsonBody(req);
+  if (!CONSENT_DECISIONS.includes(body?.decision)) {
+    return sendError(res, 400, `decision must be one of ${CONSENT_DECISIONS.join(', ')}`);
+  }
+
+  const prisma = getPrisma();
+  let majorEvent = await prisma.majorEvent.findUnique({ where: { id: eventId } });
+  if (!majorEvent) {
+    return sendError(res, 404, "Consent request not found");
+  }
+
+  const lpActors = await prisma.lPActor.findMany({
+    where: { email: authUser.email.toLowerCase(), dealId: majorEvent.dealId },
+    select: { id: true }
+  });
+  const myConsents = await prisma.majorEventConsent.findMany({
+    where: { majorEventId: eventId, lpActorId: { in: lpActors.map(a => a.id) } }
+  });
+  if (myConsents.length === 0) {
+    return sendError(res, 404, "Consent request not found");
+  }
+
+  // A deadline that passed without a sweep closes the vote now
+  majorEvent = await resolveMajorEventIfDue(majorEvent);
+  if (majorEvent.status !== MAJOR_EVENT_STATUSES.CONSENT_OPEN) {
+    return sendError(res, 409, `Consent is closed (${majorEvent.status})`);
+  }
+  if (myConsents.some(c => c.decision)) {
+    return sendError(res, 409, "Vote already cast");
+  }
+
+  const now = new Date();
+  await prisma.majorEventConsent.updateMany({
+    where: { id: { in: myConsents.map(c => c.id) }, decision: null },
+    data: {
+      decision: body.decision,
+      decisionAt: now,
+      decidedBy: authUser.id,
+      decidedByName: authUser.name,
+      notes: body.notes ?? null
+    }
+  });
+
+  const votingWeight = myConsents.reduce((sum, c) => sum + c.votingWeight, 0);
+  await createDealEvent(majorEvent.dealId, 'MAJOR_EVENT_CONSENT_CAST', {
+    majorEventId: eventId,
+    lpActorIds: myConsents.map(c => c.lpActorId),
+    decision: body.decision,
+    votingWeight
+  }, { id: authUser.id, name: authUser.name, role: 'LP' });
+
+  log(`Consent cast`, { majorEventId: eventId, decision: body.decision, votingWeight });
+
+  const current = await resolveMajorEventIfDue(majorEvent);
+  sendJson(res, 200, {
+    majorEvent: serializeMajorEvent(current),
+    myDecision: body.decision,
+    myVotingWeight: votingWeight
+  });
+}
+
+/**
+ * Get the signed consent certificate for a resolved vote the LP was on
+ * GET /api/lp/portal/consents/:eventId/certificate
+ */
+export async function handleGetMyConsentCertificate(req, res, authUser, eventId) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const prisma = getPrisma();
+  const majorEvent = await prisma.majorEvent.findUnique({ where: { id: eventId } });
+  if (!majorEvent) {
+    return sendError(res, 404, "Consent request not found");
+  }
+
+  const lpActors = await prisma.lPActor.findMany({
+    where: { email: authUser.email.toLowerCase(), dealId: majorEvent.dealId },
+    select: { id: true }
+  });
+  const onRoll = await prisma.majorEventConsent.count({
+    where: { majorEventId: eventId, lpActorId: { in: lpActors.map(a => a.id) } }
+  });
+  if (onRoll === 0) {
+    return sendError(res, 404, "Consent request not found");
+  }
+  if (!majorEvent.certificate) {
+    return sendError(res, 409, "Consent has not been resolved");
+  }
+
+  const { html, contentHash } = await renderConsentCertificate(majorEvent);
+  sendJson(res, 200, {
+    majorEventId: eventId,
+    certificateDocId: majorEvent.certificateDocId,
+    certificateHash: majorEvent.certificateHash,
+    contentHash,
+    certificate: parseJson(majorEvent.certificate),
+    html
+  });
+}
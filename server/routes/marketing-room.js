@@ -0,0 +1,936 @@
+/**
+ * Marketing Room Routes
+ *
+ * Deal-by-deal equity raise. The GP opens a marketing room with the offering
+ * terms, thesis, key risks and a document set. Prospects request access from
+ * the public teaser; once approved (automatic when the room is not gated)
+ * they receive a magic link to the room, see documents watermarked with
+ * their identity, and soft-circle a non-binding amount. The GP tracks
+ * indications against target and converts an indication straight into an
+ * LPInvitation.
+ *
+ * GP endpoints:
+ * - GET   /api/deals/:dealId/marketing-room - Room, prospects, tracker and funnel
+ * - PATCH /api/deals/:dealId/marketing-room - Create or edit the room
+ * - POST  /api/deals/:dealId/marketing-room/status - Open / close the room
+ * - POST  /api/deals/:dealId/marketing-room/access/:accessId/approve - Approve prospect
+ * - POST  /api/deals/:dealId/marketing-room/access/:accessId/reject - Reject prospect
+ * - POST  /api/deals/:dealId/marketing-room/interests/:interestId/convert - Invite as LP
+ * - GET   /api/deals/:dealId/marketing-room/watermarks/:fingerprint - Trace a leaked copy
+ *
+ * Prospect endpoints (no account; magic link token):
+ * - GET  /api/marketing-rooms/:roomId/teaser - Public teaser
+ * - POST /api/marketing-rooms/:roomId/access-requests - Request access
+ * - GET  /api/portal/marketing?token= - Room view
+ * - GET  /api/portal/marketing/documents/:documentId?token= - Watermarked document
+ * - POST /api/portal/marketing/interest?token= - Soft-circle an amount
+ * - POST /api/portal/marketing/interest/withdraw?token= - Withdraw indication
+ */
+
+import crypto from "node:crypto";
+import { getPrisma } from "../db.js";
+import { extractAuthUser } from "./auth.js";
+import { readStore } from "../store.js";
+import { deleteCache, deleteCacheByPrefix } from "../runtime.js";
+import { createDealEvent } from "../services/audit-service.js";
+import { sendEmail } from "../services/email-service.js";
+import { generateMagicLinkToken, validateMagicLinkToken, revokeToken } from "../services/magic-link-service.js";
+import { emitLpWebhook, isLpEmailEnabled, isLpWebhookEnabled, sendLpInvitationEmail } from "../notifications.js";
+import {
+  validateRoom,
+  validateStatusChange,
+  validateIndication,
+  suggestOwnershipPct,
+  buildCommitmentTracker,
+  buildConversionFunnel,
+  buildTeaser,
+  buildProspectRoomView,
+  buildWatermark,
+  buildWatermarkedDocumentHtml,
+  validateAccessRequest,
+  escapeHtml
+} from "../services/marketing-room.js";
+import { pdfRenderer } from "../services/pdf-renderer.js";
+import { renderDocumentPages, resolveStoredDocumentPath, detectDocumentKind } from "../services/ai/ocr-pipeline.js";
+
+const LOG_PREFIX = "[MarketingRoom]";
+
+/** Magic link action for prospect room access */
+const MARKETING_ACTION_TYPE = 'view_marketing_room';
+const MARKETING_ACCESS_EXPIRY_DAYS = Number(process.env.BFF_MARKETING_ACCESS_DAYS) || 30;
+
+/** Same window as invitations sent from LP onboarding */
+const LP_INVITATION_EXPIRY_DAYS = 30;
+
+/** Fields the GP may edit with PATCH */
+const EDITABLE_FIELDS = [
+  'isGated', 'offeringName', 'strategy', 'targetCloseDate', 'minCommitment', 'targetCommitment',
+  'targetReturnIRR', 'targetMultiple', 'thesis', 'keyRisks', 'documentIds'
+];
+const JSON_FIELDS = ['thesis', 'keyRisks', 'documentIds'];
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function logError(message, error = null, data = {}) {
+  console.error(`${LOG_PREFIX} ERROR: ${message}`, data, error?.message || '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+/**
+ * Require authenticated user with deal org access
+ * SECURITY: Enforces organization isolation via deal membership
+ */
+async function requireDealOrgAccess(req, res, dealId) {
+  const authUser = await extractAuthUser(req);
+  if (!authUser) {
+    sendError(res, 401, "Not authenticated");
+    return null;
+  }
+
+  const store = await readStore();
+  const record = store.dealIndex.find((item) => item.id === dealId);
+
+  if (!record) {
+    sendError(res, 404, "Deal not found");
+    return null;
+  }
+
+  // Enforce org isolation
+  if (record.organizationId && record.organizationId !== authUser.organizationId) {
+    sendError(res, 403, "Access denied - deal belongs to different organization");
+    return null;
+  }
+
+  return authUser;
+}
+
+/**
+ * Require GP or Admin role with deal org access
+ * SECURITY: Enforces both role requirement AND organization isolation
+ */
+async function requireGPWithDealOrgAccess(req, res, dealId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return null;
+
+  if (!['GP', 'Admin'].includes(authUser.role)) {
+    sendError(res, 403, "GP or Admin role required");
+    return null;
+  }
+  if (authUser.status !== 'ACTIVE') {
+    sendError(res, 403, "Account not active");
+    return null;
+  }
+  return authUser;
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function getIpAddress(req) {
+  return req.headers["x-forwarded-for"] || req.socket?.remoteAddress || null;
+}
+
+function serializeRoom(room) {
+  if (!room) return null;
+  const { accessRequests, interests, ...rest } = room;
+  return {
+    ...rest,
+    thesis: parseJson(room.thesis, []),
+    keyRisks: parseJson(room.keyRisks, []),
+    documentIds: parseJson(room.documentIds, [])
+  };
+}
+
+function roomLink(token) {
+  const baseUrl = process.env.APP_BASE_URL || 'http://localhost:5173';
+  return `${baseUrl}/portal/marketing?token=${encodeURIComponent(token)}`;
+}
+
+async function getDealName(dealId) {
+  const store = await readStore();
+  return store.dealIndex.find((r) => r.id === dealId)?.name || null;
+}
+
+/**
+ * LP invitations created from converted indications
+ */
+async function loadConvertedInvitations(interests) {
+  const invitationIds = interests.map(i => i.invitationId).filter(Boolean);
+  if (invitationIds.length === 0) return [];
+
+  const prisma = getPrisma();
+  return prisma.lPInvitation.findMany({ where: { id: { in: invitationIds } } });
+}
+
+// ============================================================================
+// PROSPECT ACCESS
+// ============================================================================
+
+/**
+ * Issue a room link for an approved prospect and email it
+ * Any previous link for the same prospect is revoked.
+ *
+ * @returns {Promise<Object>} Updated MarketingRoomAccess row
+ */
+async function grantProspectAccess(access, room, reviewer) {
+  const prisma = getPrisma();
+
+  if (access.magicLinkTokenId) {
+    await revokeToken(access.magicLinkTokenId).catch((error) => {
+      logError(`Failed to revoke previous room link`, error, { accessId: access.id });
+    });
+  }
+
+  const { token, tokenRecord } = await generateMagicLinkToken({
+    dealId: room.dealId,
+    recipientEmail: access.email,
+    recipientName: access.name,
+    recipientRole: 'PROSPECT',
+    actionType: MARKETING_ACTION_TYPE,
+    createdByUserId: reviewer.id,
+    expiresInDays: MARKETING_ACCESS_EXPIRY_DAYS
+  });
+
+  const updated = await prisma.marketingRoomAccess.update({
+    where: { id: access.id },
+    data: {
+      status: 'APPROVED',
+      reviewedAt: access.reviewedAt ?? new Date(),
+      reviewedBy: access.reviewedBy ?? reviewer.id,
+      reviewedByName: access.reviewedByName ?? reviewer.name,
+      magicLinkTokenId: tokenRecord.id
+    }
+  });
+
+  const offering = room.offeringName || 'the offering';
+  const link = roomLink(token);
+  await sendEmail({
+    to: access.email,
+    subject: `Access to ${offering}`,
+    text: `Hello ${access.name || ''},\n\nYou now have access to the ${offering} marketing room:\n${link}\n\nThe link is personal to you and expires in ${MARKETING_ACCESS_EXPIRY_DAYS} days. Documents are watermarked with your details.`,
+    html: `<p>Hello ${escapeHtml(access.name)},</p><p>You now have access to the <strong>${escapeHtml(offering)}</strong> marketing room.</p><p><a href="${escapeHtml(link)}">Open the marketing room</a></p><p>The link is personal to you and expires in ${MARKETING_ACCESS_EXPIRY_DAYS} days. Documents are watermarked with your details.</p>`,
+    metadata: { event: 'MARKETING_ACCESS_GRANTED', dealId: room.dealId, marketingRoomId: room.id, accessId: access.id }
+  });
+
+  return updated;
+}
+
+/**
+ * Resolve a prospect's magic link to their approved access and the room
+ * Sends the error response and returns null when the link is not valid.
+ */
+async function resolveProspectAccess(res, token) {
+  if (!token) {
+    sendError(res, 400, "Token is required");
+    return null;
+  }
+
+  const validation = await validateMagicLinkToken(token);
+  if (!validation.valid || validation.payload.actionType !== MARKETING_ACTION_TYPE) {
+    sendJson(res, 401, { message: validation.error || 'Invalid token', code: 'INVALID_TOKEN' });
+    return null;
+  }
+
+  const prisma = getPrisma();
+  const access = await prisma.marketingRoomAccess.findFirst({
+    where: { magicLinkTokenId: validation.tokenRecord.id, status: 'APPROVED' },
+    include: { marketingRoom: true }
+  });
+  // Links only work while the room is open; reopening a closed room restores them
+  if (!access || access.marketingRoom.status !== 'OPEN') {
+    sendJson(res, 401, { message: 'Access to this marketing room has ended', code: 'INVALID_TOKEN' });
+    return null;
+  }
+
+  const { marketingRoom: room, ...accessRecord } = access;
+  return { access: accessRecord, room };
+}
+
+/**
+ * In-app notification to the deal's assignees
+ */
+async function notifyDealTeam(dealId, { type, title, body }) {
+  const prisma = getPrisma();
+  const assignments = await prisma.dealAssignment.findMany({
+    where: { dealId, removedAt: null },
+    select: { userId: true }
+  });
+
+  await Promise.all(assignments.map(a => prisma.notification.create({
+    data: {
+      userId: a.userId,
+      type,
+      title,
+      body,
+      dealId,
+      actionUrl: `/MarketingRoom?dealId=${dealId}`
+    }
+  })));
+}
+
+// ============================================================================
+// GP HANDLERS
+// ============================================================================
+
+/**
+ * Room with prospects, indications, commitment tracker and funnel
+ * GET /api/deals/:dealId/marketing-room
+ */
+export async function handleGetMarketingRoom(req, res, dealId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const [room, availableDocuments, shareClasses] = await Promise.all([
+    prisma.dealMarketingRoom.findUnique({
+      where: { dealId },
+      include: {
+        accessRequests: { orderBy: { requestedAt: 'desc' } },
+        interests: { orderBy: { indicatedAt: 'desc' } }
+      }
+    }),
+    prisma.lPDocument.findMany({
+      where: { dealId, status: 'PUBLISHED' },
+      select: { id: true, filename: true, category: true, documentType: true },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.shareClass.findMany({
+      where: { dealId },
+      select: { id: true, name: true, code: true },
+      orderBy: { priority: 'asc' }
+    })
+  ]);
+
+  if (!room) {
+    return sendJson(res, 200, { room: null, availableDocuments, shareClasses });
+  }
+
+  const invitations = await loadConvertedInvitations(room.interests);
+  const invitationById = new Map(invitations.map(inv => [inv.id, inv]));
+
+  sendJson(res, 200, {
+    room: serializeRoom(room),
+    accessRequests: room.accessRequests.map(({ magicLinkTokenId, ...access }) => ({
+      ...access,
+      hasLink: !!magicLinkTokenId
+    })),
+    interests: room.interests.map(interest => ({
+      ...interest,
+      invitationStatus: invitationById.get(interest.invitationId)?.status ?? null,
+      suggestedOwnershipPct: suggestOwnershipPct(interest.indicatedAmount, room)
+    })),
+    tracker: buildCommitmentTracker(room, room.interests, invitations),
+    funnel: buildConversionFunnel(room.accessRequests, room.interests, invitations),
+    availableDocuments,
+    shareClasses
+  });
+}
+
+/**
+ * Create or edit the room
+ * PATCH /api/deals/:dealId/marketing-room
+ */
+export async function handleUpsertMarketingRoom(req, res, dealId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const existing = await prisma.dealMarketingRoom.findUnique({ where: { dealId } });
+  if (existing?.status === 'CLOSED') {
+    return sendError(res, 409, "Marketing room is closed; reopen it to make changes");
+  }
+
+  const body = await readJsonBody(req);
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body?.[field] !== undefined) data[field] = body[field];
+  }
+
+  const errors = validateRoom(data, { existing });
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid marketing room", errors);
+  }
+
+  for (const field of JSON_FIELDS) {
+    if (data[field] !== undefined) data[field] = JSON.stringify(data[field]);
+  }
+  if (data.targetCloseDate !== undefined) {
+    data.targetCloseDate = data.targetCloseDate ? new Date(data.targetCloseDate) : null;
+  }
+
+  const room = existing
+    ? await prisma.dealMarketingRoom.update({ where: { id: existing.id }, data })
+    : await prisma.dealMarketingRoom.create({
+      data: { dealId, ...data, createdBy: authUser.id, createdByName: authUser.name }
+    });
+
+  if (!existing) {
+    await createDealEvent(dealId, 'MARKETING_ROOM_CREATED', {
+      marketingRoomId: room.id,
+      offeringName: room.offeringName,
+      targetCommitment: room.targetCommitment
+    }, { id: authUser.id, name: authUser.name, role: authUser.role });
+  }
+
+  log(existing ? `Room updated` : `Room created`, { dealId, marketingRoomId: room.id, fields: Object.keys(data) });
+  sendJson(res, existing ? 200 : 201, { room: serializeRoom(room) });
+}
+
+/**
+ * Open or close the room
+ * POST /api/deals/:dealId/marketing-room/status
+ * Body: { status: 'OPEN' | 'CLOSED' }
+ */
+export async function handleSetMarketingRoomStatus(req, res, dealId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const room = await prisma.dealMarketingRoom.findUnique({ where: { dealId } });
+  if (!room) {
+    return sendError(res, 404, "Marketing room not found");
+  }
+
+  const body = await readJsonBody(req);
+  const errors = validateStatusChange(room, body?.status);
+  if (errors.length > 0) {
+    return sendError(res, 400, "Cannot change marketing room status", errors);
+  }
+
+  const now = new Date();
+  const updated = await prisma.dealMarketingRoom.update({
+    where: { id: room.id },
+    data: {
+      status: body.status,
+      ...(body.status === 'OPEN' ? { openedAt: room.openedAt ?? now, closedAt: null } : { closedAt: now })
+    }
+  });
+
+  await createDealEvent(dealId, body.status === 'OPEN' ? 'MARKETING_ROOM_OPENED' : 'MARKETING_ROOM_CLOSED', {
+    marketingRoomId: room.id,
+    offeringName: room.offeringName
+  }, { id: authUser.id, name: authUser.name, role: authUser.role }, {
+    fromState: room.status,
+    toState: updated.status
+  });
+
+  log(`Room status changed`, { dealId, from: room.status, to: updated.status });
+  sendJson(res, 200, { room: serializeRoom(updated) });
+}
+
+/**
+ * Approve or reject a prospect's access request
+ * POST /api/deals/:dealId/marketing-room/access/:accessId/(approve|reject)
+ * Body: { notes? }
+ */
+export async function handleReviewMarketingAccess(req, res, dealId, accessId, decision, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const access = await prisma.marketingRoomAccess.findFirst({
+    where: { id: accessId, marketingRoom: { dealId } },
+    include: { marketingRoom: true }
+  });
+  if (!access) {
+    return sendError(res, 404, "Access request not found");
+  }
+  const { marketingRoom: room, ...accessRecord } = access;
+
+  const body = await readJsonBody(req);
+  const reviewed = {
+    reviewedAt: new Date(),
+    reviewedBy: authUser.id,
+    reviewedByName: authUser.name,
+    notes: body?.notes ?? accessRecord.notes
+  };
+
+  let updated;
+  if (decision === 'approve') {
+    // Re-approving an approved prospect re-issues their link
+    updated = await grantProspectAccess({ ...accessRecord, ...reviewed }, room, authUser);
+  } else {
+    if (accessRecord.magicLinkTokenId) {
+      await revokeToken(accessRecord.magicLinkTokenId);
+    }
+    updated = await prisma.marketingRoomAccess.update({
+      where: { id: accessRecord.id },
+      data: { ...reviewed, status: 'REJECTED', magicLinkTokenId: null }
+    });
+  }
+
+  log(`Access ${decision === 'approve' ? 'approved' : 'rejected'}`, { dealId, accessId, email: accessRecord.email });
+  const { magicLinkTokenId, ...result } = updated;
+  sendJson(res, 200, { access: { ...result, hasLink: !!magicLinkTokenId } });
+}
+
+/**
+ * Convert a soft-circle into an LP invitation
+ * POST /api/deals/:dealId/marketing-room/interests/:interestId/convert
+ * Body: { commitment?, ownershipPct?, shareClassId?, lpEntityName? }
+ * Defaults: indicated amount and share class; ownership as share of target.
+ */
+export async function handleConvertMarketingInterest(req, res, dealId, interestId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const interest = await prisma.marketingRoomInterest.findFirst({
+    where: { id: interestId, marketingRoom: { dealId } },
+    include: { marketingRoom: true }
+  });
+  if (!interest) {
+    return sendError(res, 404, "Indication not found");
+  }
+  if (interest.status !== 'INDICATED') {
+    return sendError(res, 409, `Indication is ${interest.status}`);
+  }
+
+  const body = await readJsonBody(req) ?? {};
+  const commitment = body.commitment ?? interest.indicatedAmount;
+  const ownershipPct = body.ownershipPct ?? suggestOwnershipPct(commitment, interest.marketingRoom);
+  const shareClassId = body.shareClassId ?? interest.shareClassId ?? null;
+  const lpEntityName = body.lpEntityName || interest.company || interest.name || interest.email;
+
+  const errors = [];
+  if (!Number.isFinite(commitment) || commitment <= 0) {
+    errors.push('commitment must be a positive number');
+  }
+  if (!Number.isFinite(ownershipPct) || ownershipPct <= 0 || ownershipPct > 100) {
+    errors.push('ownershipPct must be between 0 and 100');
+  }
+  if (errors.length > 0) {
+    return sendError(res, 400, "Cannot convert indication", errors);
+  }
+
+  if (shareClassId) {
+    const shareClass = await prisma.shareClass.findFirst({ where: { id: shareClassId, dealId } });
+    if (!shareClass) {
+      return sendError(res, 400, "Share class not found or does not belong to this deal");
+    }
+  }
+
+  const existingInvitation = await prisma.lPInvitation.findUnique({
+    where: { dealId_lpEmail: { dealId, lpEmail: interest.email } }
+  });
+  if (existingInvitation?.status === 'ACCEPTED') {
+    return sendError(res, 409, "This prospect is already an LP in the deal");
+  }
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + LP_INVITATION_EXPIRY_DAYS);
+
+  const [invitation, updatedInterest] = await prisma.$transaction(async (tx) => {
+    // (dealId, lpEmail) is unique: an earlier pending or expired invitation is re-issued with these terms
+    const terms = {
+      lpEntityName,
+      commitment,
+      ownershipPct,
+      status: "PENDING",
+      createdByUserId: authUser.id,
+      expiresAt,
+      shareClassId
+    };
+    const created = existingInvitation
+      ? await tx.lPInvitation.update({ where: { id: existingInvitation.id }, data: terms })
+      : await tx.lPInvitation.create({
+        data: {
+          id: crypto.randomUUID(),
+          dealId,
+          lpEmail: interest.email,
+          createdAt: new Date(),
+          ...terms
+        }
+      });
+
+    const converted = await tx.marketingRoomInterest.update({
+      where: { id: interest.id },
+      data: {
+        status: 'CONVERTED',
+        invitationId: created.id,
+        convertedAt: new Date(),
+        convertedBy: authUser.id,
+        convertedByName: authUser.name
+      }
+    });
+
+    return [created, converted];
+  });
+
+  await createDealEvent(dealId, 'MARKETING_INTEREST_CONVERTED', {
+    marketingRoomId: interest.marketingRoomId,
+    interestId: interest.id,
+    invitationId: invitation.id,
+    lpEmail: invitation.lpEmail,
+    indicatedAmount: interest.indicatedAmount,
+    commitment,
+    ownershipPct,
+    shareClassId
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  const dealName = await getDealName(dealId);
+  if (isLpEmailEnabled()) {
+    void sendLpInvitationEmail({
+      lpEmail: invitation.lpEmail,
+      lpEntityName: invitation.lpEntityName,
+      invitationId: invitation.id,
+      dealId,
+      dealName,
+      commitment: invitation.commitment,
+      ownershipPct: invitation.ownershipPct,
+      expiresAt: invitation.expiresAt,
+      createdBy: authUser.id
+    });
+  }
+  if (isLpWebhookEnabled()) {
+    void emitLpWebhook("LP_INVITATION_SENT", {
+      invitationId: invitation.id,
+      dealId,
+      dealName,
+      lpEntityName: invitation.lpEntityName,
+      lpEmail: invitation.lpEmail,
+      commitment: invitation.commitment,
+      ownershipPct: invitation.ownershipPct,
+      status: invitation.status,
+      expiresAt: invitation.expiresAt.toISOString(),
+      createdBy: authUser.id,
+      source: 'MARKETING_ROOM'
+    });
+  }
+
+  deleteCacheByPrefix("lp-portal:");
+  deleteCache(`deal-home:${dealId}`);
+
+  log(`Indication converted`, { dealId, interestId: interest.id, invitationId: invitation.id, commitment });
+  sendJson(res, 201, {
+    interest: updatedInterest,
+    invitation: {
+      id: invitation.id,
+      lpEntityName: invitation.lpEntityName,
+      lpEmail: invitation.lpEmail,
+      commitment: invitation.commitment,
+      ownershipPct: invitation.ownershipPct,
+      shareClassId: invitation.shareClassId,
+      status: invitation.status,
+      expiresAt: invitation.expiresAt.toISOString()
+    }
+  });
+}
+
+/**
+ * Identify who a watermarked copy was prepared for
+ * GET /api/deals/:dealId/marketing-room/watermarks/:fingerprint
+ */
+export async function handleTraceMarketingWatermark(req, res, dealId, fingerprint) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const view = await prisma.marketingRoomDocumentView.findUnique({ where: { fingerprint: fingerprint.toUpperCase() } });
+  const room = view && await prisma.dealMarketingRoom.findFirst({ where: { id: view.marketingRoomId, dealId } });
+  if (!view || !room) {
+    return sendError(res, 404, "Watermark not found");
+  }
+
+  const access = await prisma.marketingRoomAccess.findUnique({ where: { id: view.accessId } });
+  log(`Watermark traced`, { dealId, fingerprint: view.fingerprint, actorId: authUser.id });
+  sendJson(res, 200, {
+    fingerprint: view.fingerprint,
+    documentId: view.documentId,
+    viewedAt: view.viewedAt,
+    ipAddress: view.ipAddress,
+    prospect: access ? { id: access.id, email: access.email, name: access.name, company: access.company } : null
+  });
+}
+
+// ============================================================================
+// PROSPECT HANDLERS
+// ============================================================================
+
+/**
+ * Public teaser for an open room
+ * GET /api/marketing-rooms/:roomId/teaser
+ */
+export async function handleGetMarketingTeaser(req, res, roomId) {
+  const prisma = getPrisma();
+  const room = await prisma.dealMarketingRoom.findUnique({ where: { id: roomId } });
+  if (!room || room.status !== 'OPEN') {
+    return sendError(res, 404, "Offering not found");
+  }
+
+  sendJson(res, 200, { room: buildTeaser(room) });
+}
+
+/**
+ * Request access to a room
+ * The response is the same whatever the prospect's existing status, so the
+ * endpoint cannot be used to discover who has been approved.
+ * POST /api/marketing-rooms/:roomId/access-requests
+ * Body: { email, name?, company? }
+ */
+export async function handleRequestMarketingAccess(req, res, roomId, readJsonBody) {
+  const body = await readJsonBody(req);
+  const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return sendError(res, 400, "A valid email is required");
+  }
+  const errors = validateAccessRequest(body);
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid access request", errors);
+  }
+
+  const prisma = getPrisma();
+  const room = await prisma.dealMarketingRoom.findUnique({ where: { id: roomId } });
+  if (!room || room.status !== 'OPEN') {
+    return sendError(res, 404, "Offering not found");
+  }
+
+  const existing = await prisma.marketingRoomAccess.findUnique({
+    where: { marketingRoomId_email: { marketingRoomId: room.id, email } }
+  });
+
+  const system = { id: 'system', name: 'Marketing Room' };
+  try {
+    if (!existing) {
+      const access = await prisma.marketingRoomAccess.create({
+        data: {
+          marketingRoomId: room.id,
+          email,
+          name: body.name?.trim() || null,
+          company: body.company?.trim() || null
+        }
+      });
+
+      if (room.isGated) {
+        await notifyDealTeam(room.dealId, {
+          type: 'marketing_access_requested',
+          title: `Access requested: ${room.offeringName || 'marketing room'}`,
+          body: `${access.name || access.email}${access.company ? ` (${access.company})` : ''} requested access.`
+        });
+      } else {
+        await grantProspectAccess(access, room, system);
+      }
+      log(`Access requested`, { marketingRoomId: room.id, email, gated: room.isGated });
+    } else if (existing.status === 'APPROVED') {
+      // Lost link: send a fresh one to the address on file
+      await grantProspectAccess(existing, room, system);
+      log(`Room link re-issued`, { marketingRoomId: room.id, accessId: existing.id });
+    }
+  } catch (error) {
+    logError(`Failed to process access request`, error, { marketingRoomId: room.id });
+  }
+
+  sendJson(res, 202, {
+    message: room.isGated
+      ? 'Request received. You will receive an email once the sponsor approves access.'
+      : 'Check your email for a link to the marketing room.'
+  });
+}
+
+/**
+ * Room view for an approved prospect
+ * GET /api/portal/marketing?token=
+ */
+export async function handleGetProspectRoom(req, res, token) {
+  const resolved = await resolveProspectAccess(res, token);
+  if (!resolved) return;
+  const { access, room } = resolved;
+
+  const prisma = getPrisma();
+  const documentIds = parseJson(room.documentIds, []);
+  const [documents, interest, shareClasses] = await Promise.all([
+    documentIds.length > 0
+      ? prisma.lPDocument.findMany({ where: { id: { in: documentIds }, dealId: room.dealId, status: 'PUBLISHED' } })
+      : [],
+    prisma.marketingRoomInterest.findUnique({
+      where: { marketingRoomId_email: { marketingRoomId: room.id, email: access.email } }
+    }),
+    prisma.shareClass.findMany({
+      where: { dealId: room.dealId },
+      select: { id: true, name: true, code: true, description: true, preferredReturn: true },
+      orderBy: { priority: 'asc' }
+    })
+  ]);
+
+  const now = new Date();
+  await prisma.marketingRoomAccess.update({
+    where: { id: access.id },
+    data: {
+      firstViewedAt: access.firstViewedAt ?? now,
+      lastViewedAt: now,
+      viewCount: { increment: 1 }
+    }
+  });
+
+  sendJson(res, 200, {
+    room: buildProspectRoomView(room, documents, interest),
+    shareClasses,
+    prospect: { email: access.email, name: access.name, company: access.company }
+  });
+}
+
+/**
+ * Watermarked copy of a room document for the viewer
+ * GET /api/portal/marketing/documents/:documentId?token=
+ *
+ * The stored file is re-rendered page by page with the viewer's watermark
+ * and fingerprint and streamed as a PDF; the original is never exposed.
+ */
+export async function handleGetProspectDocument(req, res, token, documentId) {
+  const resolved = await resolveProspectAccess(res, token);
+  if (!resolved) return;
+  const { access, room } = resolved;
+
+  if (!parseJson(room.documentIds, []).includes(documentId)) {
+    return sendError(res, 404, "Document not found");
+  }
+
+  const prisma = getPrisma();
+  const document = await prisma.lPDocument.findFirst({
+    where: { id: documentId, dealId: room.dealId, status: 'PUBLISHED' }
+  });
+  if (!document) {
+    return sendError(res, 404, "Document not found");
+  }
+  if (!detectDocumentKind(document.filename, document.mimeType)) {
+    return sendError(res, 415, "Only PDF and image documents can be shared in the marketing room");
+  }
+
+  const fingerprint = crypto.randomBytes(6).toString('hex').toUpperCase();
+  const watermark = buildWatermark(access, fingerprint);
+
+  let pdf;
+  try {
+    const pages = await renderDocumentPages(resolveStoredDocumentPath(document.storageKey), { mimeType: document.mimeType });
+    pdf = await pdfRenderer.renderToPDF(buildWatermarkedDocumentHtml(pages, watermark, document.filename), {
+      watermark: `CONFIDENTIAL ${fingerprint}`,
+      documentTitle: document.filename,
+      status: 'CONFIDENTIAL',
+      contentHash: fingerprint
+    });
+  } catch (error) {
+    logError(`Failed to watermark document`, error, { marketingRoomId: room.id, documentId });
+    return sendError(res, 503, "Document is not available right now");
+  }
+
+  await prisma.marketingRoomDocumentView.create({
+    data: {
+      marketingRoomId: room.id,
+      accessId: access.id,
+      documentId,
+      fingerprint,
+      ipAddress: getIpAddress(req)
+    }
+  });
+
+  log(`Document viewed`, { marketingRoomId: room.id, accessId: access.id, documentId, fingerprint });
+  const filename = document.filename.replace(/\.[^.]+$/, '').replace(/["\\\r\n]/g, '_');
+  res.writeHead(200, {
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${filename}-${fingerprint}.pdf"`,
+    "Content-Length": pdf.buffer.length,
+    "X-Watermark-Fingerprint": fingerprint,
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": "Content-Disposition, X-Watermark-Fingerprint"
+  });
+  res.end(pdf.buffer);
+}
+
+/**
+ * Soft-circle (or revise) a non-binding amount
+ * POST /api/portal/marketing/interest?token=
+ * Body: { indicatedAmount, shareClassId?, notes? }
+ */
+export async function handleIndicateInterest(req, res, token, readJsonBody) {
+  const resolved = await resolveProspectAccess(res, token);
+  if (!resolved) return;
+  const { access, room } = resolved;
+
+  const prisma = getPrisma();
+  const body = await readJsonBody(req) ?? {};
+  const existing = await prisma.marketingRoomInterest.findUnique({
+    where: { marketingRoomId_email: { marketingRoomId: room.id, email: access.email } }
+  });
+
+  const errors = validateIndication(room, body, existing);
+  if (body.shareClassId) {
+    const shareClass = await prisma.shareClass.findFirst({ where: { id: body.shareClassId, dealId: room.dealId } });
+    if (!shareClass) errors.push('shareClassId is not offered in this deal');
+  }
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid indication", errors);
+  }
+
+  const data = {
+    indicatedAmount: body.indicatedAmount,
+    shareClassId: body.shareClassId ?? null,
+    notes: body.notes ?? null,
+    status: 'INDICATED',
+    indicatedAt: new Date()
+  };
+  const interest = await prisma.marketingRoomInterest.upsert({
+    where: { marketingRoomId_email: { marketingRoomId: room.id, email: access.email } },
+    create: { marketingRoomId: room.id, email: access.email, name: access.name, company: access.company, ...data },
+    update: data
+  });
+
+  if (!existing || existing.status === 'WITHDRAWN') {
+    await notifyDealTeam(room.dealId, {
+      type: 'marketing_soft_circle',
+      title: `Soft-circle: ${access.name || access.email}`,
+      body: `${access.company || access.email} indicated ${body.indicatedAmount.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 })} in ${room.offeringName || 'the offering'}.`
+    }).catch((error) => logError(`Failed to notify deal team`, error, { marketingRoomId: room.id }));
+  }
+
+  log(`Indication recorded`, { marketingRoomId: room.id, accessId: access.id, amount: body.indicatedAmount });
+  sendJson(res, existing ? 200 : 201, { indication: buildProspectRoomView(room, [], interest).myIndication });
+}
+
+/**
+ * Withdraw an indication
+ * POST /api/portal/marketing/interest/withdraw?token=
+ */
+export async function handleWithdrawInterest(req, res, token) {
+  const resolved = await resolveProspectAccess(res, token);
+  if (!resolved) return;
+  const { access, room } = resolved;
+
+  const prisma = getPrisma();
+  const existing = await prisma.marketingRoomInterest.findUnique({
+    where: { marketingRoomId_email: { marketingRoomId: room.id, email: access.email } }
+  });
+  if (!existing || existing.status === 'WITHDRAWN') {
+    return sendError(res, 404, "No indication to withdraw");
+  }
+  if (existing.status === 'CONVERTED') {
+    return sendError(res, 409, "This indication has already been converted to an invitation");
+  }
+
+  const interest = await prisma.marketingRoomInterest.update({
+    where: { id: existing.id },
+    data: { status: 'WITHDRAWN' }
+  });
+
+  log(`Indication withdrawn`, { marketingRoomId: room.id, accessId: access.id });
+  sendJson(res, 200, { indication: buildProspectRoomView(room, [], interest).myIndication });
+}
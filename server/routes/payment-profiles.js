@@ -0,0 +1,606 @@
+/**
+ * LP Payment Profile Routes
+ *
+ * Bank and tax details LPs are paid to. Account number, routing number and
+ * tax ID are envelope-encrypted (payment-vault.js) and shown masked
+ * everywhere. LPs never edit details directly: they submit a change request,
+ * which the GP verifies out-of-band (callback to contact details already on
+ * file) before it is applied. Replacing verified details starts a
+ * cooling-off period during which distributions are not paid to the profile.
+ * Every unmasked read is written to the PermissionAuditLog.
+ *
+ * Endpoints:
+ * - GET  /api/lp/portal/payment-profiles - LP: my masked profiles
+ * - POST /api/lp/portal/payment-profiles/:lpActorId/changes - LP: request a change
+ * - POST /api/lp/portal/payment-profiles/:lpActorId/changes/:changeId/cancel - LP: cancel request
+ * - GET  /api/deals/:dealId/payment-profiles - GP: masked profiles and pending changes
+ * - POST /api/deals/:dealId/payment-profiles/:lpActorId/reveal - GP: unmasked profile (audited)
+ * - POST /api/deals/:dealId/payment-profile-changes/:changeId/reveal - GP: unmasked change (audited)
+ * - POST /api/deals/:dealId/payment-profile-changes/:changeId/verify - GP: verify and apply
+ * - POST /api/deals/:dealId/payment-profile-changes/:changeId/reject - GP: reject
+ */
+
+import { getPrisma } from "../db.js";
+import { extractAuthUser } from "./auth.js";
+import { logPermissionAction } from "../middleware/auth.js";
+import { readStore } from "../store.js";
+import { createDealEvent } from "../services/audit-service.js";
+import { sendEmail } from "../services/email-service.js";
+import { encryptFields, decryptFields } from "../services/payment-vault.js";
+import {
+  CHANGE_STATUSES,
+  validatePaymentDetails,
+  splitPaymentDetails,
+  buildMaskedProfile,
+  buildMaskedChange,
+  validateVerification,
+  replacesExistingDetails
+} from "../services/payment-profiles.js";
+
+const LOG_PREFIX = "[PaymentProfiles]";
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function logError(message, error = null, data = {}) {
+  console.error(`${LOG_PREFIX} ERROR: ${message}`, data, error?.message || '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+/**
+ * Require GP or Admin role with deal org access
+ * SECURITY: Enforces both role requirement AND organization isolation
+ */
+async function requireGPWithDealOrgAccess(req, res, dealId) {
+  const authUser = await extractAuthUser(req);
+  if (!authUser) {
+    sendError(res, 401, "Not authenticated");
+    return null;
+  }
+
+  const store = await readStore();
+  const record = store.dealIndex.find((item) => item.id === dealId);
+  if (!record) {
+    sendError(res, 404, "Deal not found");
+    return null;
+  }
+  if (record.organizationId && record.organizationId !== authUser.organizationId) {
+    sendError(res, 403, "Access denied - deal belongs to different organization");
+    return null;
+  }
+
+  if (!['GP', 'Admin'].includes(authUser.role)) {
+    sendError(res, 403, "GP or Admin role required");
+    return null;
+  }
+  if (authUser.status !== 'ACTIVE') {
+    sendError(res, 403, "Account not active");
+    return null;
+  }
+  return authUser;
+}
+
+/**
+ * Require an authenticated LP user
+ */
+function requireLPUser(res, authUser) {
+  if (!authUser) {
+    sendError(res, 401, "Authentication required");
+    return false;
+  }
+  if (authUser.role !== "LP") {
+    sendError(res, 403, "Only LP users can access this endpoint");
+    return false;
+  }
+  return true;
+}
+
+function getIpAddress(req) {
+  return req.headers["x-forwarded-for"] || req.socket?.remoteAddress || null;
+}
+
+/**
+ * LP actor owned by the signed-in LP (by linked account or email)
+ */
+async function findOwnLpActor(authUser, lpActorId) {
+  const prisma = getPrisma();
+  return prisma.lPActor.findFirst({
+    where: {
+      id: lpActorId,
+      OR: [
+        { authUserId: authUser.id },
+        { email: authUser.email.toLowerCase() }
+      ]
+    }
+  });
+}
+
+/**
+ * Load a change request and its LP actor, scoped to the deal
+ */
+async function findDealChange(dealId, changeId) {
+  const prisma = getPrisma();
+  const change = await prisma.lPPaymentProfileChange.findUnique({ where: { id: changeId } });
+  if (!change) return null;
+
+  const lpActor = await prisma.lPActor.findFirst({ where: { id: change.lpActorId, dealId } });
+  return lpActor ? { change, lpActor } : null;
+}
+
+/**
+ * Write an unmasked read to the permission audit log
+ * The revealed values themselves are never logged.
+ */
+async function auditReveal(req, authUser, lpActor, { action, reason, fields, changeId = null }) {
+  await logPermissionAction({
+    actorId: authUser.id,
+    actorName: authUser.name,
+    targetUserId: lpActor.authUserId || lpActor.id,
+    targetUserName: lpActor.entityName,
+    action,
+    afterValue: { lpActorId: lpActor.id, dealId: lpActor.dealId, changeId, fields },
+    reason,
+    ipAddress: getIpAddress(req)
+  });
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Email the LP at the address already on file (not one from the request),
+ * so a hijacked session cannot silently redirect payments
+ */
+async function emailLpAboutChange(lpActor, change, { subject, message }) {
+  const masked = buildMaskedChange(change);
+  const lines = [
+    masked.accountNumber && `Account: ${masked.accountNumber} (routing ${masked.routingNumber})`,
+    masked.taxId && `Tax ID: ${masked.taxId}`,
+    masked.mailingAddress && 'Mailing address updated'
+  ].filter(Boolean);
+
+  const result = await sendEmail({
+    to: lpActor.email,
+    subject,
+    text: `Hello ${lpActor.entityName},\n\n${message}\n\n${lines.join('\n')}\n\nIf you did not request this change, contact your investor relations team immediately.`,
+    html: `<p>Hello ${lpActor.entityName},</p><p>${message}</p><p>${lines.join('<br>')}</p><p><strong>If you did not request this change, contact your investor relations team immediately.</strong></p>`,
+    metadata: { event: 'LP_PAYMENT_PROFILE_CHANGE', lpActorId: lpActor.id, changeId: change.id, status: change.status }
+  });
+  return result.sent;
+}
+
+/**
+ * In-app notification to the deal's assignees that a change awaits verification
+ */
+async function notifyDealTeamOfChange(lpActor, change) {
+  const prisma = getPrisma();
+  const assignments = await prisma.dealAssignment.findMany({
+    where: { dealId: lpActor.dealId, removedAt: null },
+    select: { userId: true }
+  });
+
+  await Promise.all(assignments.map(a => prisma.notification.create({
+    data: {
+      userId: a.userId,
+      type: 'payment_change_requested',
+      title: `Payment details change requested: ${lpActor.entityName}`,
+      body: 'Verify by calling the LP on a number already on file before approving.',
+      dealId: lpActor.dealId,
+      actionUrl: `/Investors?dealId=${lpActor.dealId}&lpActorId=${lpActor.id}`,
+      sourceUserId: change.requestedBy,
+      sourceUserName: change.requestedByName
+    }
+  })));
+  return assignments.length;
+}
+
+// ============================================================================
+// LP HANDLERS
+// ============================================================================
+
+/**
+ * LP: masked payment profiles for each of my investments
+ * GET /api/lp/portal/payment-profiles
+ */
+export async function handleGetMyPaymentProfiles(req, res, authUser) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const prisma = getPrisma();
+  const lpActors = await prisma.lPActor.findMany({
+    where: {
+      OR: [
+        { authUserId: authUser.id },
+        { email: authUser.email.toLowerCase() }
+      ],
+      status: 'ACTIVE'
+    }
+  });
+  const lpActorIds = lpActors.map(lp => lp.id);
+
+  const [profiles, pendingChanges, store] = await Promise.all([
+    prisma.lPPaymentProfile.findMany({ where: { lpActorId: { in: lpActorIds } } }),
+    prisma.lPPaymentProfileChange.findMany({
+      where: { lpActorId: { in: lpActorIds }, status: CHANGE_STATUSES.PENDING_VERIFICATION }
+    }),
+    readStore()
+  ]);
+  const profileByActor = new Map(profiles.map(p => [p.lpActorId, p]));
+  const pendingByActor = new Map(pendingChanges.map(c => [c.lpActorId, c]));
+
+  const now = new Date();
+  sendJson(res, 200, {
+    profiles: lpActors.map(lpActor => ({
+      lpActorId: lpActor.id,
+      dealId: lpActor.dealId,
+      dealName: store.dealIndex.find(d => d.id === lpActor.dealId)?.name || null,
+      entityName: lpActor.entityName,
+      profile: buildMaskedProfile(profileByActor.get(lpActor.id), { now }),
+      pendingChange: buildMaskedChange(pendingByActor.get(lpActor.id))
+    }))
+  });
+}
+
+/**
+ * LP: request a change to payment details
+ * Replaces any earlier request still awaiting verification.
+ * POST /api/lp/portal/payment-profiles/:lpActorId/changes
+ */
+export async function handleRequestPaymentProfileChange(req, res, authUser, lpActorId, readJsonBody) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const lpActor = await findOwnLpActor(authUser, lpActorId);
+  if (!lpActor) {
+    return sendError(res, 404, "Investment not found");
+  }
+
+  const body = await readJsonBody(req);
+  const errors = validatePaymentDetails(body ?? {});
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid payment details", errors);
+  }
+
+  const { details, sensitive, last4 } = splitPaymentDetails(body);
+  const encrypted = Object.keys(sensitive).length > 0
+    ? encryptFields(sensitive, { context: lpActor.id })
+    : {};
+
+  const prisma = getPrisma();
+  const change = await prisma.$transaction(async (tx) => {
+    await tx.lPPaymentProfileChange.updateMany({
+      where: { lpActorId: lpActor.id, status: CHANGE_STATUSES.PENDING_VERIFICATION },
+      data: { status: CHANGE_STATUSES.CANCELLED }
+    });
+
+    return tx.lPPaymentProfileChange.create({
+      data: {
+        lpActorId: lpActor.id,
+        ...details,
+        mailingAddress: details.mailingAddress ? JSON.stringify(details.mailingAddress) : null,
+        ...encrypted,
+        ...last4,
+        requestedBy: authUser.id,
+        requestedByName: authUser.name || lpActor.entityName
+      }
+    });
+  });
+
+  await createDealEvent(lpActor.dealId, 'LP_PAYMENT_PROFILE_CHANGE_REQUESTED', {
+    lpActorId: lpActor.id,
+    changeId: change.id,
+    fields: [...Object.keys(details), ...Object.keys(sensitive)]
+  }, { id: authUser.id, name: authUser.name, role: 'LP' });
+
+  try {
+    await emailLpAboutChange(lpActor, change, {
+      subject: 'Payment details change requested',
+      message: 'We received a request to change the payment details for your investment. Our team will call you on the phone number we already have on file to confirm it before it takes effect.'
+    });
+    await notifyDealTeamOfChange(lpActor, change);
+  } catch (error) {
+    logError(`Failed to send change notifications`, error, { lpActorId: lpActor.id, changeId: change.id });
+  }
+
+  log(`Change requested`, { lpActorId: lpActor.id, changeId: change.id });
+  sendJson(res, 201, { change: buildMaskedChange(change) });
+}
+
+/**
+ * LP: cancel a pending change request
+ * POST /api/lp/portal/payment-profiles/:lpActorId/changes/:changeId/cancel
+ */
+export async function handleCancelMyPaymentProfileChange(req, res, authUser, lpActorId, changeId) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const lpActor = await findOwnLpActor(authUser, lpActorId);
+  if (!lpActor) {
+    return sendError(res, 404, "Investment not found");
+  }
+
+  const prisma = getPrisma();
+  const change = await prisma.lPPaymentProfileChange.findFirst({
+    where: { id: changeId, lpActorId: lpActor.id }
+  });
+  if (!change) {
+    return sendError(res, 404, "Change request not found");
+  }
+  if (change.status !== CHANGE_STATUSES.PENDING_VERIFICATION) {
+    return sendError(res, 409, `Change request is ${change.status}`);
+  }
+
+  const updated = await prisma.lPPaymentProfileChange.update({
+    where: { id: change.id },
+    data: { status: CHANGE_STATUSES.CANCELLED }
+  });
+
+  await createDealEvent(lpActor.dealId, 'LP_PAYMENT_PROFILE_CHANGE_CANCELLED', {
+    lpActorId: lpActor.id,
+    changeId: change.id
+  }, { id: authUser.id, name: authUser.name, role: 'LP' });
+
+  log(`Change cancelled`, { lpActorId: lpActor.id, changeId: change.id });
+  sendJson(res, 200, { change: buildMaskedChange(updated) });
+}
+
+// ============================================================================
+// GP HANDLERS
+// ============================================================================
+
+/**
+ * GP: masked profiles, pending changes and payment holds for a deal's LPs
+ * GET /api/deals/:dealId/payment-profiles
+ */
+export async function handleListDealPaymentProfiles(req, res, dealId) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const lpActors = await prisma.lPActor.findMany({ where: { dealId } });
+  const lpActorIds = lpActors.map(lp => lp.id);
+
+  const [profiles, pendingChanges] = await Promise.all([
+    prisma.lPPaymentProfile.findMany({ where: { lpActorId: { in: lpActorIds } } }),
+    prisma.lPPaymentProfileChange.findMany({
+      where: { lpActorId: { in: lpActorIds }, status: CHANGE_STATUSES.PENDING_VERIFICATION }
+    })
+  ]);
+  const profileByActor = new Map(profiles.map(p => [p.lpActorId, p]));
+  const pendingByActor = new Map(pendingChanges.map(c => [c.lpActorId, c]));
+
+  const now = new Date();
+  sendJson(res, 200, {
+    profiles: lpActors.map(lpActor => ({
+      lpActorId: lpActor.id,
+      entityName: lpActor.entityName,
+      email: lpActor.email,
+      profile: buildMaskedProfile(profileByActor.get(lpActor.id), { now }),
+      pendingChange: buildMaskedChange(pendingByActor.get(lpActor.id))
+    }))
+  });
+}
+
+/**
+ * GP: unmasked payment details for one LP (audited)
+ * POST /api/deals/:dealId/payment-profiles/:lpActorId/reveal
+ */
+export async function handleRevealPaymentProfile(req, res, dealId, lpActorId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  if (!body?.reason || !String(body.reason).trim()) {
+    return sendError(res, 400, "A reason is required to view unmasked payment details");
+  }
+
+  const prisma = getPrisma();
+  const lpActor = await prisma.lPActor.findFirst({ where: { id: lpActorId, dealId } });
+  if (!lpActor) {
+    return sendError(res, 404, "LP not found");
+  }
+  const profile = await prisma.lPPaymentProfile.findUnique({ where: { lpActorId } });
+  if (!profile?.encryptedData) {
+    return sendError(res, 404, "No payment details on file");
+  }
+
+  const values = decryptFields(profile, { context: lpActor.id });
+  await auditReveal(req, authUser, lpActor, {
+    action: 'PAYMENT_PROFILE_REVEALED',
+    reason: String(body.reason).trim(),
+    fields: Object.keys(values)
+  });
+
+  log(`Profile revealed`, { dealId, lpActorId, actorId: authUser.id });
+  sendJson(res, 200, { lpActorId, values });
+}
+
+/**
+ * GP: unmasked values of a change request, e.g. to read back during the
+ * verification call (audited)
+ * POST /api/deals/:dealId/payment-profile-changes/:changeId/reveal
+ */
+export async function handleRevealPaymentProfileChange(req, res, dealId, changeId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  if (!body?.reason || !String(body.reason).trim()) {
+    return sendError(res, 400, "A reason is required to view unmasked payment details");
+  }
+
+  const found = await findDealChange(dealId, changeId);
+  if (!found) {
+    return sendError(res, 404, "Change request not found");
+  }
+  const { change, lpActor } = found;
+
+  const values = decryptFields(change, { context: lpActor.id });
+  await auditReveal(req, authUser, lpActor, {
+    action: 'PAYMENT_PROFILE_REVEALED',
+    reason: String(body.reason).trim(),
+    fields: Object.keys(values),
+    changeId
+  });
+
+  log(`Change revealed`, { dealId, changeId, actorId: authUser.id });
+  sendJson(res, 200, { changeId, values });
+}
+
+/**
+ * GP: record out-of-band verification and apply the change
+ * POST /api/deals/:dealId/payment-profile-changes/:changeId/verify
+ */
+export async function handleVerifyPaymentProfileChange(req, res, dealId, changeId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const found = await findDealChange(dealId, changeId);
+  if (!found) {
+    return sendError(res, 404, "Change request not found");
+  }
+  const { change, lpActor } = found;
+
+  const body = await readJsonBody(req);
+  const errors = validateVerification(change, body ?? {}, authUser);
+  if (errors.length > 0) {
+    return sendError(res, 400, "Cannot verify change request", errors);
+  }
+
+  const prisma = getPrisma();
+  const now = new Date();
+  const profile = await prisma.lPPaymentProfile.findUnique({ where: { lpActorId: lpActor.id } });
+
+  // Merge the new values over what is on file and re-seal under a fresh data key
+  const sensitive = {
+    ...decryptFields(profile, { context: lpActor.id }),
+    ...decryptFields(change, { context: lpActor.id })
+  };
+  const encrypted = Object.keys(sensitive).length > 0
+    ? encryptFields(sensitive, { context: lpActor.id })
+    : {};
+
+  const details = {};
+  for (const field of ['bankName', 'accountName', 'accountType', 'taxIdType', 'mailingAddress',
+    'accountNumberLast4', 'routingNumberLast4', 'taxIdLast4']) {
+    if (change[field]) details[field] = change[field];
+  }
+  const detailsChangedAt = replacesExistingDetails(profile, change) ? now : (profile?.detailsChangedAt ?? null);
+
+  const [updatedChange, updatedProfile] = await prisma.$transaction([
+    prisma.lPPaymentProfileChange.update({
+      where: { id: change.id },
+      data: {
+        status: CHANGE_STATUSES.APPLIED,
+        verificationMethod: body.method,
+        verificationNotes: body.notes,
+        verifiedBy: authUser.id,
+        verifiedByName: authUser.name,
+        verifiedAt: now
+      }
+    }),
+    prisma.lPPaymentProfile.upsert({
+      where: { lpActorId: lpActor.id },
+      create: { lpActorId: lpActor.id, ...details, ...encrypted, detailsChangedAt, lastChangeId: change.id },
+      update: { ...details, ...encrypted, detailsChangedAt, lastChangeId: change.id }
+    })
+  ]);
+
+  await createDealEvent(dealId, 'LP_PAYMENT_PROFILE_CHANGE_VERIFIED', {
+    lpActorId: lpActor.id,
+    changeId: change.id,
+    verificationMethod: body.method,
+    coolingOffStarted: detailsChangedAt === now
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  await logPermissionAction({
+    actorId: authUser.id,
+    actorName: authUser.name,
+    targetUserId: lpActor.authUserId || lpActor.id,
+    targetUserName: lpActor.entityName,
+    action: 'PAYMENT_PROFILE_CHANGE_VERIFIED',
+    beforeValue: buildMaskedProfile(profile),
+    afterValue: buildMaskedProfile(updatedProfile),
+    reason: `${body.method}: ${body.notes}`,
+    ipAddress: getIpAddress(req)
+  });
+
+  try {
+    await emailLpAboutChange(lpActor, updatedChange, {
+      subject: 'Payment details updated',
+      message: 'Your change to payment details was verified and is now in effect.'
+    });
+  } catch (error) {
+    logError(`Failed to send confirmation`, error, { lpActorId: lpActor.id, changeId: change.id });
+  }
+
+  log(`Change verified and applied`, { dealId, lpActorId: lpActor.id, changeId: change.id, method: body.method });
+  sendJson(res, 200, {
+    change: buildMaskedChange(updatedChange),
+    profile: buildMaskedProfile(updatedProfile, { now })
+  });
+}
+
+/**
+ * GP: reject a change request
+ * POST /api/deals/:dealId/payment-profile-changes/:changeId/reject
+ */
+export async function handleRejectPaymentProfileChange(req, res, dealId, changeId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const found = await findDealChange(dealId, changeId);
+  if (!found) {
+    return sendError(res, 404, "Change request not found");
+  }
+  const { change, lpActor } = found;
+
+  if (change.status !== CHANGE_STATUSES.PENDING_VERIFICATION) {
+    return sendError(res, 409, `Change request is ${change.status}`);
+  }
+
+  const body = await readJsonBody(req);
+  if (!body?.reason || !String(body.reason).trim()) {
+    return sendError(res, 400, "reason is required");
+  }
+
+  const prisma = getPrisma();
+  const updated = await prisma.lPPaymentProfileChange.update({
+    where: { id: change.id },
+    data: {
+      status: CHANGE_STATUSES.REJECTED,
+      rejectedBy: authUser.id,
+      rejectedByName: authUser.name,
+      rejectedAt: new Date(),
+      rejectionReason: body.reason
+    }
+  });
+
+  await createDealEvent(dealId, 'LP_PAYMENT_PROFILE_CHANGE_REJECTED', {
+    lpActorId: lpActor.id,
+    changeId: change.id,
+    reason: body.reason
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  try {
+    await emailLpAboutChange(lpActor, updated, {
+      subject: 'Payment details change not applied',
+      message: 'We could not verify your recent request to change payment details, so it was not applied. Your existing details remain in effect.'
+    });
+  } catch (error) {
+    logError(`Failed to send rejection notice`, error, { lpActorId: lpActor.id, changeId: change.id });
+  }
+
+  log(`Change rejected`, { dealId, lpActorId: lpActor.id, changeId: change.id });
+  sendJson(res, 200, { change: buildMaskedChange(updated) });
+}
@@ -17,6 +17,8 @@ import { getPrisma } from "../db.js";
 import { extractAuthUser } from "./auth.js";
 import { createDealEvent } from "../services/audit-service.js";
 import { readStore } from "../store.js";
+import { FEE_BASES } from "../services/fee-engine.js";
+import { validateDefaultTerms } from "../services/capital-call-defaults.js";
 
 const LOG_PREFIX = "[ShareClass]";
 
@@ -174,6 +176,34 @@ function validateShareClassData(data, isUpdate = false) {
     }
   }
 
+  if (data.stepDownFee !== undefined && data.stepDownFee !== null) {
+    if (typeof data.stepDownFee !== 'number' || data.stepDownFee < 0 || data.stepDownFee > 1) {
+      errors.push("stepDownFee must be a number between 0 and 1 (e.g., 0.015 for 1.5%)");
+    }
+  }
+
+  if (data.feeOffsetPct !== undefined && data.feeOffsetPct !== null) {
+    if (typeof data.feeOffsetPct !== 'number' || data.feeOffsetPct < 0 || data.feeOffsetPct > 1) {
+      errors.push("feeOffsetPct must be a number between 0 and 1 (e.g., 1.0 for a 100% offset)");
+    }
+  }
+
+  if (data.defaultTerms !== undefined) {
+    errors.push(...validateDefaultTerms(data.defaultTerms));
+  }
+
+  for (const field of ['feeBasis', 'stepDownBasis']) {
+    if (data[field] !== undefined && data[field] !== null && !FEE_BASES[data[field]]) {
+      errors.push(`${field} must be one of: ${Object.keys(FEE_BASES).join(', ')}`);
+    }
+  }
+
+  if (data.investmentPeriodEnd !== undefined && data.investmentPeriodEnd !== null) {
+    if (isNaN(new Date(data.investmentPeriodEnd).getTime())) {
+      errors.push("investmentPeriodEnd must be a valid date");
+    }
+  }
+
   if (data.priority !== undefined && data.priority !== null) {
     if (!Number.isInteger(data.priority) || data.priority < 1) {
       errors.push("priority must be a positive integer (1 = highest)");
@@ -231,7 +261,9 @@ export async function handleListShareClasses(req, res, dealId) {
 /**
  * Create a new share class
  * POST /api/deals/:dealId/share-classes
- * Body: { name, code, description?, preferredReturn?, managementFee?, carryPercent?, votingRights?, priority? }
+ * Body: { name, code, description?, preferredReturn?, managementFee?, carryPercent?, votingRights?, priority?,
+ *         feeBasis?, investmentPeriodEnd?, stepDownFee?, stepDownBasis?, feeOffsetPct?,
+ *         defaultTerms? }
  */
 export async function handleCreateShareClass(req, res, dealId, readJsonBody) {
   log(`POST /share-classes`, { dealId });
@@ -287,6 +319,12 @@ export async function handleCreateShareClass(req, res, dealId, readJsonBody) {
         preferredReturn: body.preferredReturn ?? null,
         managementFee: body.managementFee ?? null,
         carryPercent: body.carryPercent ?? null,
+        feeBasis: body.feeBasis || 'COMMITTED',
+        investmentPeriodEnd: body.investmentPeriodEnd ? new Date(body.investmentPeriodEnd) : null,
+        stepDownFee: body.stepDownFee ?? null,
+        stepDownBasis: body.stepDownBasis ?? null,
+        feeOffsetPct: body.feeOffsetPct ?? 1.0,
+        defaultTerms: body.defaultTerms ? JSON.stringify(body.defaultTerms) : null,
         votingRights: body.votingRights ?? true,
         priority: body.priority ?? 1,
         createdBy: authUser.id,
@@ -383,7 +421,9 @@ export async function handleGetShareClass(req, res, dealId, shareClassId) {
 /**
  * Update a share class
  * PATCH /api/deals/:dealId/share-classes/:shareClassId
- * Body: { name?, description?, preferredReturn?, managementFee?, carryPercent?, votingRights?, priority? }
+ * Body: { name?, description?, preferredReturn?, managementFee?, carryPercent?, votingRights?, priority?,
+ *         feeBasis?, investmentPeriodEnd?, stepDownFee?, stepDownBasis?, feeOffsetPct?,
+ *         defaultTerms? }
  * NOTE: code cannot be changed after creation
  */
 export async function handleUpdateShareClass(req, res, dealId, shareClassId, readJsonBody) {
@@ -441,6 +481,16 @@ export async function handleUpdateShareClass(req, res, dealId, shareClassId, rea
     if (body.preferredReturn !== undefined) updateData.preferredReturn = body.preferredReturn;
     if (body.managementFee !== undefined) updateData.managementFee = body.managementFee;
     if (body.carryPercent !== undefined) updateData.carryPercent = body.carryPercent;
+    if (body.feeBasis !== undefined) updateData.feeBasis = body.feeBasis || 'COMMITTED';
+    if (body.investmentPeriodEnd !== undefined) {
+      updateData.investmentPeriodEnd = body.investmentPeriodEnd ? new Date(body.investmentPeriodEnd) : null;
+    }
+    if (body.stepDownFee !== undefined) updateData.stepDownFee = body.stepDownFee;
+    if (body.stepDownBasis !== undefined) updateData.stepDownBasis = body.stepDownBasis;
+    if (body.feeOffsetPct !== undefined) updateData.feeOffsetPct = body.feeOffsetPct;
+    if (body.defaultTerms !== undefined) {
+      updateData.defaultTerms = body.defaultTerms ? JSON.stringify(body.defaultTerms) : null;
+    }
     if (body.votingRights !== undefined) updateData.votingRights = body.votingRights;
     if (body.priority !== undefined) updateData.priority = body.priority;
 
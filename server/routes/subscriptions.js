@@ -0,0 +1,824 @@
+/**
+ * Subscription Routes
+ *
+ * Subscription document workflow between invitation and LP admission.
+ * LP accepts invitation → completes investor details and signs (sub-doc
+ * generated) → GP reviews → GP countersigns → LPActor created with its share
+ * class and an initial capital call allocation → funded.
+ * Every step is recorded in the deal event ledger.
+ *
+ * Endpoints:
+ * - GET  /api/deals/:dealId/subscriptions - List subscriptions for a deal
+ * - GET  /api/deals/:dealId/subscriptions/:subscriptionId - Get subscription
+ * - POST /api/deals/:dealId/subscriptions/:subscriptionId/approve - Ready for countersignature
+ * - POST /api/deals/:dealId/subscriptions/:subscriptionId/return - Return to LP for changes
+ * - POST /api/deals/:dealId/subscriptions/:subscriptionId/reject - Reject
+ * - POST /api/deals/:dealId/subscriptions/:subscriptionId/countersign - Countersign and admit LP
+ * - GET  /api/lp/portal/subscriptions - LP: my subscriptions
+ * - GET  /api/lp/portal/subscriptions/:dealId - LP: my subscription for a deal
+ * - PATCH /api/lp/portal/subscriptions/:dealId - LP: save investor details
+ * - POST /api/lp/portal/subscriptions/:dealId/submit - LP: sign and submit
+ */
+
+import { getPrisma } from "../db.js";
+import { extractAuthUser } from "./auth.js";
+import { readStore } from "../store.js";
+import crypto from "node:crypto";
+import { kernelFetchJson } from "../kernel.js";
+import { deleteCache, deleteCacheByPrefix } from "../runtime.js";
+import { createDealEvent } from "../services/audit-service.js";
+import { generateSubscriptionDocument } from "../services/document-generator.js";
+import { getOrCreateDefaultShareClass } from "./share-classes.js";
+import {
+  SUBSCRIPTION_STATUSES,
+  canTransition,
+  isEditableByLP,
+  pickSubscriptionDetails,
+  validateSubscriptionDetails,
+  validateSignature,
+  calculateInitialFunding,
+  initialFundingDueDate
+} from "../services/subscription-workflow.js";
+
+const LOG_PREFIX = "[Subscriptions]";
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function logError(message, error = null, data = {}) {
+  console.error(`${LOG_PREFIX} ERROR: ${message}`, data, error?.message || '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+/**
+ * Require authenticated user with deal org access
+ * SECURITY: Enforces organization isolation via deal membership
+ */
+async function requireDealOrgAccess(req, res, dealId) {
+  const authUser = await extractAuthUser(req);
+  if (!authUser) {
+    sendError(res, 401, "Not authenticated");
+    return null;
+  }
+
+  const store = await readStore();
+  const record = store.dealIndex.find((item) => item.id === dealId);
+
+  if (!record) {
+    sendError(res, 404, "Deal not found");
+    return null;
+  }
+
+  // Enforce org isolation
+  if (record.organizationId && record.organizationId !== authUser.organizationId) {
+    sendError(res, 403, "Access denied - deal belongs to different organization");
+    return null;
+  }
+
+  return authUser;
+}
+
+/**
+ * Require GP or Admin role with deal org access
+ * SECURITY: Enforces both role requirement AND organization isolation
+ */
+async function requireGPWithDealOrgAccess(req, res, dealId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return null;
+
+  if (!['GP', 'Admin'].includes(authUser.role)) {
+    sendError(res, 403, "GP or Admin role required");
+    return null;
+  }
+  if (authUser.status !== 'ACTIVE') {
+    sendError(res, 403, "Account not active");
+    return null;
+  }
+  return authUser;
+}
+
+/**
+ * Require an authenticated LP user
+ */
+function requireLPUser(res, authUser) {
+  if (!authUser) {
+    sendError(res, 401, "Authentication required");
+    return false;
+  }
+  if (authUser.role !== "LP") {
+    sendError(res, 403, "Only LP users can access this endpoint");
+    return false;
+  }
+  return true;
+}
+
+function serializeSubscription(subscription) {
+  let address = null;
+  if (subscription.address) {
+    try {
+      address = JSON.parse(subscription.address);
+    } catch (e) {
+      logError(`Invalid address JSON`, e, { subscriptionId: subscription.id });
+    }
+  }
+
+  return {
+    id: subscription.id,
+    dealId: subscription.dealId,
+    lpEmail: subscription.lpEmail,
+    lpEntityName: subscription.lpEntityName,
+    lpEntityType: subscription.lpEntityType,
+    signatoryName: subscription.signatoryName,
+    signatoryTitle: subscription.signatoryTitle,
+    address,
+    taxClassification: subscription.taxClassification,
+    commitmentAmount: subscription.commitmentAmount,
+    shareClass: subscription.shareClass,
+    sideLetter: subscription.sideLetter,
+    status: subscription.status,
+    submittedAt: subscription.submittedAt?.toISOString() || null,
+    acceptedAt: subscription.acceptedAt?.toISOString() || null,
+    rejectedAt: subscription.rejectedAt?.toISOString() || null,
+    rejectionReason: subscription.rejectionReason,
+    reviewNotes: subscription.reviewNotes,
+    countersignedByName: subscription.countersignedByName,
+    lpActorId: subscription.lpActorId,
+    capitalCallAllocationId: subscription.capitalCallAllocationId,
+    subscriptionDocId: subscription.subscriptionDocId,
+    sideLetterDocId: subscription.sideLetterDocId,
+    wireInitiated: subscription.wireInitiated,
+    wireReference: subscription.wireReference,
+    fundedAt: subscription.fundedAt?.toISOString() || null,
+    createdAt: subscription.createdAt.toISOString(),
+    updatedAt: subscription.updatedAt.toISOString()
+  };
+}
+
+/**
+ * Load a deal's subscription, sending 404 if it does not exist
+ */
+async function findDealSubscription(res, dealId, subscriptionId) {
+  const prisma = getPrisma();
+  const subscription = await prisma.subscription.findFirst({
+    where: { id: subscriptionId, dealId }
+  });
+  if (!subscription) {
+    sendError(res, 404, "Subscription not found");
+    return null;
+  }
+  return subscription;
+}
+
+/**
+ * Move a subscription to a new status and record the ledger event
+ */
+async function transitionSubscription(subscription, toStatus, data, eventType, eventData, actor, evidenceRefs = null) {
+  const prisma = getPrisma();
+
+  const updated = await prisma.subscription.update({
+    where: { id: subscription.id },
+    data: { ...data, status: toStatus }
+  });
+
+  await createDealEvent(subscription.dealId, eventType, {
+    subscriptionId: subscription.id,
+    lpEmail: subscription.lpEmail,
+    lpEntityName: updated.lpEntityName,
+    commitmentAmount: updated.commitmentAmount,
+    ...eventData
+  }, actor, {
+    fromState: subscription.status,
+    toState: toStatus,
+    evidenceRefs
+  });
+
+  log(`Subscription ${subscription.status} → ${toStatus}`, { subscriptionId: subscription.id, dealId: subscription.dealId });
+  return updated;
+}
+
+// ========== OPENING ==========
+
+/**
+ * Open a DRAFT subscription for an accepted invitation
+ * Called from handleAcceptInvitation; reuses an existing subscription for the LP.
+ *
+ * @param {Object} invitation - LPInvitation (with shareClass)
+ * @param {Object} actor - { id, name, role } for the ledger
+ * @returns {Promise<Object>} Subscription
+ */
+export async function openSubscriptionForInvitation(invitation, actor) {
+  const prisma = getPrisma();
+  const lpEmail = invitation.lpEmail.toLowerCase();
+
+  const existing = await prisma.subscription.findUnique({
+    where: { dealId_lpEmail: { dealId: invitation.dealId, lpEmail } }
+  });
+  if (existing) {
+    log(`Subscription already open`, { subscriptionId: existing.id, status: existing.status });
+    return existing;
+  }
+
+  const subscription = await prisma.subscription.create({
+    data: {
+      id: crypto.randomUUID(),
+      dealId: invitation.dealId,
+      lpEmail,
+      lpEntityName: invitation.lpEntityName,
+      commitmentAmount: invitation.commitment,
+      shareClass: invitation.shareClass?.code || null,
+      invitationId: invitation.id,
+      status: SUBSCRIPTION_STATUSES.DRAFT
+    }
+  });
+
+  await createDealEvent(invitation.dealId, 'SUBSCRIPTION_OPENED', {
+    subscriptionId: subscription.id,
+    invitationId: invitation.id,
+    lpEmail,
+    lpEntityName: subscription.lpEntityName,
+    commitmentAmount: subscription.commitmentAmount,
+    shareClass: subscription.shareClass
+  }, actor, { toState: SUBSCRIPTION_STATUSES.DRAFT });
+
+  log(`Subscription opened`, { subscriptionId: subscription.id, dealId: invitation.dealId });
+  return subscription;
+}
+
+// ========== GP ENDPOINTS ==========
+
+/**
+ * List subscriptions for a deal
+ * GET /api/deals/:dealId/subscriptions?status=
+ */
+export async function handleListSubscriptions(req, res, dealId, url) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const status = url?.searchParams?.get("status");
+
+  if (status && !SUBSCRIPTION_STATUSES[status]) {
+    return sendError(res, 400, `status must be one of ${Object.keys(SUBSCRIPTION_STATUSES).join(', ')}`);
+  }
+
+  const subscriptions = await prisma.subscription.findMany({
+    where: { dealId, ...(status ? { status } : {}) },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const summary = Object.fromEntries(Object.keys(SUBSCRIPTION_STATUSES).map(key => [key, 0]));
+  let totalCommitment = 0;
+  for (const subscription of subscriptions) {
+    summary[subscription.status] = (summary[subscription.status] || 0) + 1;
+    if (subscription.status !== SUBSCRIPTION_STATUSES.REJECTED) {
+      totalCommitment += subscription.commitmentAmount;
+    }
+  }
+
+  sendJson(res, 200, {
+    subscriptions: subscriptions.map(serializeSubscription),
+    summary: { byStatus: summary, totalCommitment }
+  });
+}
+
+/**
+ * Get a subscription with its ledger history
+ * GET /api/deals/:dealId/subscriptions/:subscriptionId
+ */
+export async function handleGetSubscription(req, res, dealId, subscriptionId) {
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const subscription = await findDealSubscription(res, dealId, subscriptionId);
+  if (!subscription) return;
+
+  const prisma = getPrisma();
+  const events = await prisma.dealEvent.findMany({
+    where: { dealId, eventType: { startsWith: 'SUBSCRIPTION_' } },
+    orderBy: { sequenceNumber: 'asc' }
+  });
+
+  sendJson(res, 200, {
+    subscription: serializeSubscription(subscription),
+    history: events
+      .map(event => ({ ...event, eventData: JSON.parse(event.eventData) }))
+      .filter(event => event.eventData.subscriptionId === subscriptionId)
+      .map(event => ({
+        eventType: event.eventType,
+        fromState: event.fromState,
+        toState: event.toState,
+        actorName: event.actorName,
+        actorRole: event.actorRole,
+        occurredAt: event.occurredAt.toISOString()
+      }))
+  });
+}
+
+/**
+ * GP approves a submitted subscription for countersignature
+ * POST /api/deals/:dealId/subscriptions/:subscriptionId/approve
+ * Body: { sideLetter?, sideLetterDocId? }
+ */
+export async function handleApproveSubscription(req, res, dealId, subscriptionId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  const subscription = await findDealSubscription(res, dealId, subscriptionId);
+  if (!subscription) return;
+
+  if (!canTransition(subscription.status, SUBSCRIPTION_STATUSES.COUNTERSIGN_PENDING)) {
+    return sendError(res, 400, `Cannot approve subscription with status ${subscription.status}`);
+  }
+  if (body?.sideLetter !== undefined && typeof body.sideLetter !== 'boolean') {
+    return sendError(res, 400, "sideLetter must be a boolean");
+  }
+
+  const updated = await transitionSubscription(
+    subscription,
+    SUBSCRIPTION_STATUSES.COUNTERSIGN_PENDING,
+    {
+      sideLetter: body?.sideLetter ?? subscription.sideLetter,
+      sideLetterDocId: body?.sideLetterDocId ?? subscription.sideLetterDocId,
+      reviewNotes: null
+    },
+    'SUBSCRIPTION_APPROVED',
+    { sideLetter: body?.sideLetter ?? subscription.sideLetter, approvedBy: authUser.id, approvedByName: authUser.name },
+    { id: authUser.id, name: authUser.name, role: authUser.role }
+  );
+
+  sendJson(res, 200, { subscription: serializeSubscription(updated) });
+}
+
+/**
+ * GP returns a submitted subscription to the LP for changes
+ * POST /api/deals/:dealId/subscriptions/:subscriptionId/return
+ * Body: { reviewNotes }
+ */
+export async function handleReturnSubscription(req, res, dealId, subscriptionId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  if (!body?.reviewNotes) {
+    return sendError(res, 400, "reviewNotes is required");
+  }
+
+  const subscription = await findDealSubscription(res, dealId, subscriptionId);
+  if (!subscription) return;
+
+  if (!canTransition(subscription.status, SUBSCRIPTION_STATUSES.DRAFT)) {
+    return sendError(res, 400, `Cannot return subscription with status ${subscription.status}`);
+  }
+
+  const updated = await transitionSubscription(
+    subscription,
+    SUBSCRIPTION_STATUSES.DRAFT,
+    { reviewNotes: body.reviewNotes, submittedAt: null },
+    'SUBSCRIPTION_RETURNED',
+    { reviewNotes: body.reviewNotes },
+    { id: authUser.id, name: authUser.name, role: authUser.role }
+  );
+
+  sendJson(res, 200, { subscription: serializeSubscription(updated) });
+}
+
+/**
+ * GP rejects a subscription
+ * POST /api/deals/:dealId/subscriptions/:subscriptionId/reject
+ * Body: { reason }
+ */
+export async function handleRejectSubscription(req, res, dealId, subscriptionId, readJsonBody) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  if (!body?.reason) {
+    return sendError(res, 400, "reason is required");
+  }
+
+  const subscription = await findDealSubscription(res, dealId, subscriptionId);
+  if (!subscription) return;
+
+  if (!canTransition(subscription.status, SUBSCRIPTION_STATUSES.REJECTED)) {
+    return sendError(res, 400, `Cannot reject subscription with status ${subscription.status}`);
+  }
+
+  const updated = await transitionSubscription(
+    subscription,
+    SUBSCRIPTION_STATUSES.REJECTED,
+    { rejectedAt: new Date(), rejectionReason: body.reason },
+    'SUBSCRIPTION_REJECTED',
+    { reason: body.reason },
+    { id: authUser.id, name: authUser.name, role: authUser.role }
+  );
+
+  sendJson(res, 200, { subscription: serializeSubscription(updated) });
+}
+
+/**
+ * GP countersigns a subscription and admits the LP
+ * POST /api/deals/:dealId/subscriptions/:subscriptionId/countersign
+ * Body: { initialFundingPct?, dueDate?, wireInstructions? }
+ *
+ * Creates the LPActor in the subscription's share class (default Class A)
+ * and adds its initial funding to the deal's open INITIAL_FUNDING capital
+ * call, creating a DRAFT call if there is none.
+ */
+export async function handleCountersignSubscription(req, res, dealId, subscriptionId, readJsonBody, kernelBaseUrl) {
+  const authUser = await requireGPWithDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const body = await readJsonBody(req);
+  const prisma = getPrisma();
+
+  const subscription = await findDealSubscription(res, dealId, subscriptionId);
+  if (!subscription) return;
+
+  if (!canTransition(subscription.status, SUBSCRIPTION_STATUSES.ACCEPTED)) {
+    return sendError(res, 400, `Cannot countersign subscription with status ${subscription.status}`);
+  }
+
+  let fundingAmount;
+  try {
+    fundingAmount = calculateInitialFunding(subscription.commitmentAmount, body?.initialFundingPct);
+  } catch (error) {
+    return sendError(res, 400, error.message);
+  }
+
+  const acceptedAt = new Date();
+  const dueDate = body?.dueDate ? new Date(body.dueDate) : initialFundingDueDate(acceptedAt);
+  if (isNaN(dueDate.getTime())) {
+    return sendError(res, 400, "dueDate must be a valid date");
+  }
+
+  const actor = { id: authUser.id, name: authUser.name, role: authUser.role };
+
+  // Executed copy first: nothing is admitted if the document cannot be produced
+  let document;
+  try {
+    document = await generateSubscriptionDocument(subscription, actor, {
+      countersignature: { name: authUser.name, date: acceptedAt.toISOString() }
+    });
+  } catch (error) {
+    logError(`Countersigned document generation failed`, error, { subscriptionId });
+    return sendError(res, 500, "Failed to generate countersigned subscription agreement", error.message);
+  }
+
+  const store = await readStore();
+  const organizationId = store.dealIndex.find((r) => r.id === dealId)?.organizationId || null;
+
+  // Share class: the subscription's class, else the deal default
+  let shareClass = null;
+  if (subscription.shareClass) {
+    shareClass = await prisma.shareClass.findFirst({ where: { dealId, code: subscription.shareClass } });
+    if (!shareClass) {
+      return sendError(res, 400, `Share class ${subscription.shareClass} not found for this deal`);
+    }
+  } else {
+    shareClass = await getOrCreateDefaultShareClass(dealId, organizationId, authUser.id, authUser.name);
+  }
+
+  // Kernel actor: reuse the one created when the invitation was accepted
+  const invitation = subscription.invitationId
+    ? await prisma.lPInvitation.findUnique({ where: { id: subscription.invitationId } })
+    : null;
+  let actorId = invitation?.actorId;
+  if (!actorId) {
+    try {
+      const kernelActor = await kernelFetchJson(`${kernelBaseUrl}/deals/${dealId}/actors`, {
+        method: "POST",
+        body: JSON.stringify({ name: subscription.lpEntityName, type: "HUMAN", roles: ["LP"] })
+      });
+      actorId = kernelActor.id;
+    } catch (error) {
+      logError(`Kernel actor creation failed`, error, { dealId, subscriptionId });
+      return sendError(res, 502, "Kernel unavailable", error?.message ?? null);
+    }
+  }
+
+  const existingLp = await prisma.lPActor.findFirst({
+    where: { email: subscription.lpEmail, dealId, shareClassId: shareClass.id }
+  });
+  const lpActor = existingLp
+    ? await prisma.lPActor.update({
+      where: { id: existingLp.id },
+      data: {
+        actorId,
+        entityName: subscription.lpEntityName,
+        commitment: existingLp.commitment + subscription.commitmentAmount,
+        status: "ACTIVE",
+        organizationId
+      }
+    })
+    : await prisma.lPActor.create({
+      data: {
+        email: subscription.lpEmail,
+        dealId,
+        actorId,
+        entityName: subscription.lpEntityName,
+        commitment: subscription.commitmentAmount,
+        ownershipPct: invitation?.ownershipPct ?? 0,
+        status: "ACTIVE",
+        organizationId,
+        shareClassId: shareClass.id
+      }
+    });
+  log(`LPActor ${existingLp ? 'updated' : 'created'}`, { lpActorId: lpActor.id, shareClassId: shareClass.id });
+
+  // Initial funding: join the open INITIAL_FUNDING call or open a new one
+  let capitalCall = await prisma.capitalCall.findFirst({
+    where: { dealId, purpose: 'INITIAL_FUNDING', status: { in: ['DRAFT', 'ISSUED'] } },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!capitalCall) {
+    capitalCall = await prisma.capitalCall.create({
+      data: {
+        id: crypto.randomUUID(),
+        dealId,
+        title: 'Initial Funding',
+        description: 'Initial contributions from accepted subscriptions',
+        totalAmount: 0,
+        dueDate,
+        wireInstructions: body?.wireInstructions || null,
+        purpose: 'INITIAL_FUNDING',
+        status: 'DRAFT',
+        createdBy: authUser.id,
+        createdByName: authUser.name
+      }
+    });
+    log(`Initial funding capital call created`, { capitalCallId: capitalCall.id });
+  }
+
+  const existingAllocation = await prisma.capitalCallAllocation.findUnique({
+    where: { capitalCallId_lpActorId: { capitalCallId: capitalCall.id, lpActorId: lpActor.id } }
+  });
+  const allocation = existingAllocation
+    ? await prisma.capitalCallAllocation.update({
+      where: { id: existingAllocation.id },
+      data: { amount: existingAllocation.amount + fundingAmount }
+    })
+    : await prisma.capitalCallAllocation.create({
+      data: {
+        id: crypto.randomUUID(),
+        capitalCallId: capitalCall.id,
+        lpActorId: lpActor.id,
+        amount: fundingAmount,
+        status: 'PENDING',
+        fundedAmount: 0
+      }
+    });
+  await prisma.capitalCall.update({
+    where: { id: capitalCall.id },
+    data: { totalAmount: capitalCall.totalAmount + fundingAmount }
+  });
+
+  const updated = await transitionSubscription(
+    subscription,
+    SUBSCRIPTION_STATUSES.ACCEPTED,
+    {
+      acceptedAt,
+      countersignedBy: authUser.id,
+      countersignedByName: authUser.name,
+      lpActorId: lpActor.id,
+      capitalCallAllocationId: allocation.id,
+      subscriptionDocId: document.generatedDocument.id,
+      shareClass: shareClass.code
+    },
+    'SUBSCRIPTION_ACCEPTED',
+    {
+      lpActorId: lpActor.id,
+      shareClassId: shareClass.id,
+      shareClassCode: shareClass.code,
+      capitalCallId: capitalCall.id,
+      allocationId: allocation.id,
+      initialFundingAmount: fundingAmount,
+      documentId: document.generatedDocument.id,
+      countersignedBy: authUser.id,
+      countersignedByName: authUser.name
+    },
+    actor,
+    [document.generatedDocument.id]
+  );
+
+  // Invalidate caches
+  deleteCacheByPrefix("lp-portal:");
+  deleteCache(`deal-home:${dealId}`);
+
+  sendJson(res, 200, {
+    subscription: serializeSubscription(updated),
+    lpActor: { id: lpActor.id, entityName: lpActor.entityName, commitment: lpActor.commitment, shareClassId: lpActor.shareClassId },
+    capitalCall: { id: capitalCall.id, title: capitalCall.title, status: capitalCall.status },
+    allocation: { id: allocation.id, amount: allocation.amount, status: allocation.status },
+    document: { documentId: document.generatedDocument.id, versionId: document.documentVersion.id }
+  });
+}
+
+// ========== FUNDING ==========
+
+/**
+ * Mirror funding of an initial allocation onto its subscription
+ * Called from the capital call wire-initiated and mark-funded handlers.
+ *
+ * @param {Object} allocation - CapitalCallAllocation after the update
+ * @param {Object} actor - { id, name, role } for the ledger
+ * @returns {Promise<Object|null>} Updated subscription, or null if the allocation has none
+ */
+export async function syncSubscriptionFunding(allocation, actor) {
+  const prisma = getPrisma();
+  const subscription = await prisma.subscription.findFirst({
+    where: { capitalCallAllocationId: allocation.id }
+  });
+  if (!subscription) return null;
+
+  if (allocation.status === 'WIRE_INITIATED') {
+    return prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { wireInitiated: true, wireReference: allocation.wireReference || subscription.wireReference }
+    });
+  }
+
+  if (allocation.status === 'FUNDED' && canTransition(subscription.status, SUBSCRIPTION_STATUSES.FUNDED)) {
+    return transitionSubscription(
+      subscription,
+      SUBSCRIPTION_STATUSES.FUNDED,
+      { fundedAt: allocation.fundedAt || new Date(), wireReference: allocation.wireReference || subscription.wireReference },
+      'SUBSCRIPTION_FUNDED',
+      { allocationId: allocation.id, fundedAmount: allocation.fundedAmount },
+      actor
+    );
+  }
+
+  return subscription;
+}
+
+// ========== LP ENDPOINTS ==========
+
+/**
+ * Find the authenticated LP's subscription for a deal
+ */
+async function findMySubscription(res, authUser, dealId) {
+  const prisma = getPrisma();
+  const subscription = await prisma.subscription.findUnique({
+    where: { dealId_lpEmail: { dealId, lpEmail: authUser.email.toLowerCase() } }
+  });
+  if (!subscription) {
+    sendError(res, 404, "Subscription not found or you don't have access");
+    return null;
+  }
+  return subscription;
+}
+
+/**
+ * List the authenticated LP's subscriptions
+ * GET /api/lp/portal/subscriptions
+ */
+export async function handleGetMySubscriptions(req, res, authUser) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const prisma = getPrisma();
+  const subscriptions = await prisma.subscription.findMany({
+    where: { lpEmail: authUser.email.toLowerCase() },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const store = await readStore();
+  const dealNames = new Map(store.dealIndex.map((r) => [r.id, r.name]));
+
+  sendJson(res, 200, {
+    subscriptions: subscriptions.map(subscription => ({
+      ...serializeSubscription(subscription),
+      dealName: dealNames.get(subscription.dealId) || null
+    }))
+  });
+}
+
+/**
+ * Get the authenticated LP's subscription for a deal
+ * GET /api/lp/portal/subscriptions/:dealId
+ */
+export async function handleGetMySubscription(req, res, authUser, dealId) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const subscription = await findMySubscription(res, authUser, dealId);
+  if (!subscription) return;
+
+  sendJson(res, 200, { subscription: serializeSubscription(subscription) });
+}
+
+/**
+ * LP saves investor details on a draft subscription
+ * PATCH /api/lp/portal/subscriptions/:dealId
+ * Body: { lpEntityName?, lpEntityType?, signatoryName?, signatoryTitle?, address?, taxClassification? }
+ */
+export async function handleUpdateMySubscription(req, res, authUser, dealId, readJsonBody) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const body = await readJsonBody(req);
+  const subscription = await findMySubscription(res, authUser, dealId);
+  if (!subscription) return;
+
+  if (!isEditableByLP(subscription)) {
+    return sendError(res, 400, `Cannot edit subscription with status ${subscription.status}`);
+  }
+
+  const details = pickSubscriptionDetails(body ?? {});
+  const errors = validateSubscriptionDetails(details);
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid subscription details", errors);
+  }
+  if (Object.keys(details).length === 0) {
+    return sendError(res, 400, "No subscription details provided");
+  }
+
+  const prisma = getPrisma();
+  const updated = await prisma.subscription.update({
+    where: { id: subscription.id },
+    data: {
+      ...details,
+      ...(details.address !== undefined
+        ? { address: details.address === null || typeof details.address === 'string' ? details.address : JSON.stringify(details.address) }
+        : {})
+    }
+  });
+
+  // Field names only: tax and address details stay out of the ledger
+  await createDealEvent(dealId, 'SUBSCRIPTION_DETAILS_UPDATED', {
+    subscriptionId: subscription.id,
+    lpEmail: subscription.lpEmail,
+    fields: Object.keys(details)
+  }, { id: authUser.id, name: authUser.name, role: 'LP' });
+
+  sendJson(res, 200, {
+    subscription: serializeSubscription(updated),
+    missing: validateSubscriptionDetails(updated, { requireComplete: true })
+  });
+}
+
+/**
+ * LP signs and submits the subscription; generates the sub-doc
+ * POST /api/lp/portal/subscriptions/:dealId/submit
+ * Body: { signatureName }
+ */
+export async function handleSubmitMySubscription(req, res, authUser, dealId, readJsonBody) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const body = await readJsonBody(req);
+  const subscription = await findMySubscription(res, authUser, dealId);
+  if (!subscription) return;
+
+  if (!canTransition(subscription.status, SUBSCRIPTION_STATUSES.SUBMITTED)) {
+    return sendError(res, 400, `Cannot submit subscription with status ${subscription.status}`);
+  }
+
+  const errors = validateSubscriptionDetails(subscription, { requireComplete: true });
+  if (errors.length > 0) {
+    return sendError(res, 400, "Subscription is incomplete", errors);
+  }
+  const signatureError = validateSignature(subscription, body?.signatureName);
+  if (signatureError) {
+    return sendError(res, 400, signatureError);
+  }
+
+  const submittedAt = new Date();
+  const actor = { id: authUser.id, name: authUser.name, role: 'LP' };
+
+  let document;
+  try {
+    document = await generateSubscriptionDocument({ ...subscription, submittedAt }, actor);
+  } catch (error) {
+    logError(`Subscription document generation failed`, error, { subscriptionId: subscription.id });
+    return sendError(res, 500, "Failed to generate subscription agreement", error.message);
+  }
+
+  const updated = await transitionSubscription(
+    subscription,
+    SUBSCRIPTION_STATUSES.SUBMITTED,
+    { submittedAt, subscriptionDocId: document.generatedDocument.id, reviewNotes: null },
+    'SUBSCRIPTION_SUBMITTED',
+    {
+      signatoryName: subscription.signatoryName,
+      documentId: document.generatedDocument.id,
+      contentHash: document.contentHash
+    },
+    actor,
+    [document.generatedDocument.id]
+  );
+
+  sendJson(res, 200, {
+    subscription: serializeSubscription(updated),
+    document: { documentId: document.generatedDocument.id, versionId: document.documentVersion.id }
+  });
+}
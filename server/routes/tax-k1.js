@@ -0,0 +1,671 @@
+/**
+ * Tax Reporting (K-1) Routes
+ *
+ * Annual K-1 workflow: the GP enters the partnership's tax totals for a year,
+ * previews the allocation to each LP and publishes per-LP K-1 packages. Each
+ * package is delivered to the LP portal document area as two LPDocuments (the
+ * K-1 PDF and its JSON data file) visible only to that LP.
+ *
+ * Endpoints:
+ * - GET /api/deals/:dealId/tax-years - List tax years
+ * - POST /api/deals/:dealId/tax-years - Create a tax year
+ * - GET /api/deals/:dealId/tax-years/:year - Inputs, allocation preview and published packages
+ * - PATCH /api/deals/:dealId/tax-years/:year - Update partnership info and inputs
+ * - POST /api/deals/:dealId/tax-years/:year/publish - Publish (or amend) K-1 packages
+ * - GET /api/deals/:dealId/tax-years/:year/k1/:lpActorId/pdf - K-1 PDF (published, else preview)
+ * - GET /api/lp/portal/k1 - K-1 packages for the authenticated LP
+ * - GET /api/lp/portal/k1/:packageId/pdf - Download K-1 PDF
+ * - GET /api/lp/portal/k1/:packageId/data - Download K-1 data file
+ *
+ * Allocation is done by services/k1-tax.js.
+ */
+
+import crypto from "node:crypto";
+import { getPrisma } from "../db.js";
+import { readStore } from "../store.js";
+import { deleteCache, deleteCacheByPrefix } from "../runtime.js";
+import { createDealEvent } from "../services/audit-service.js";
+import { sendEmail } from "../services/email-service.js";
+import { emitLpWebhook, isLpWebhookEnabled } from "../notifications.js";
+import { renderK1Package } from "../services/document-generator.js";
+import { pdfRenderer } from "../services/pdf-renderer.js";
+import { buildK1Packages, validateTaxYearInputs, hashK1Data } from "../services/k1-tax.js";
+
+const LOG_PREFIX = "[TaxK1]";
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function parseYear(value) {
+  const year = Number(value);
+  return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+}
+
+function serializeTaxYear(taxYear) {
+  return {
+    id: taxYear.id,
+    dealId: taxYear.dealId,
+    year: taxYear.year,
+    status: taxYear.status,
+    partnershipName: taxYear.partnershipName,
+    partnershipEin: taxYear.partnershipEin,
+    partnershipAddress: parseJson(taxYear.partnershipAddress),
+    inputs: parseJson(taxYear.inputs, {}),
+    stateApportionment: parseJson(taxYear.stateApportionment, []),
+    version: taxYear.version,
+    publishedAt: taxYear.publishedAt?.toISOString() || null,
+    publishedByName: taxYear.publishedByName,
+    createdByName: taxYear.createdByName,
+    createdAt: taxYear.createdAt.toISOString(),
+    updatedAt: taxYear.updatedAt.toISOString()
+  };
+}
+
+function serializePackage(pkg) {
+  return {
+    id: pkg.id,
+    dealId: pkg.dealId,
+    lpActorId: pkg.lpActorId,
+    year: pkg.year,
+    version: pkg.version,
+    amended: pkg.amended,
+    status: pkg.status,
+    deliveryMethod: pkg.deliveryMethod,
+    dataHash: pkg.dataHash,
+    pdfDocumentId: pkg.pdfDocumentId,
+    dataDocumentId: pkg.dataDocumentId,
+    publishedAt: pkg.publishedAt.toISOString()
+  };
+}
+
+// ============================================================================
+// ALLOCATION
+// ============================================================================
+
+/**
+ * Load the deal records the allocation needs and build the K-1 packages
+ */
+async function buildTaxYearPackages(taxYear) {
+  const prisma = getPrisma();
+  const dealId = taxYear.dealId;
+  const beforeYearEnd = { lt: new Date(Date.UTC(taxYear.year + 1, 0, 1)) };
+
+  const [lpActors, capitalCalls, distributions, transfers, priorPackages] = await Promise.all([
+    prisma.lPActor.findMany({ where: { dealId } }),
+    prisma.capitalCall.findMany({ where: { dealId }, include: { allocations: true } }),
+    prisma.distribution.findMany({ where: { dealId, distributionDate: beforeYearEnd }, include: { allocations: true } }),
+    prisma.lPTransfer.findMany({ where: { dealId, status: 'COMPLETED', effectiveDate: beforeYearEnd } }),
+    prisma.k1Package.findMany({ where: { dealId, year: taxYear.year - 1, status: 'PUBLISHED' } })
+  ]);
+  const profiles = await prisma.lPPaymentProfile.findMany({
+    where: { lpActorId: { in: lpActors.map(lp => lp.id) } }
+  });
+
+  const result = buildK1Packages(
+    {
+      year: taxYear.year,
+      inputs: parseJson(taxYear.inputs, {}),
+      stateApportionment: parseJson(taxYear.stateApportionment, []),
+      partnershipName: taxYear.partnershipName,
+      partnershipEin: taxYear.partnershipEin,
+      partnershipAddress: parseJson(taxYear.partnershipAddress)
+    },
+    {
+      lpActors,
+      capitalCalls,
+      distributions,
+      transfers,
+      profiles: profiles.map(p => ({
+        lpActorId: p.lpActorId,
+        taxIdType: p.taxIdType,
+        taxIdLast4: p.taxIdLast4,
+        mailingAddress: parseJson(p.mailingAddress)
+      })),
+      priorPackages: priorPackages.map(p => ({ lpActorId: p.lpActorId, data: parseJson(p.data, {}) }))
+    }
+  );
+
+  return { result, lpActors, profiles };
+}
+
+/**
+ * Data file stored for one LP: its K-1 plus the partnership header
+ */
+function packageData(result, pkg, version) {
+  return {
+    ...pkg,
+    partnership: result.partnership,
+    profitBasis: result.profitBasis,
+    version,
+    amended: version > 1
+  };
+}
+
+async function findTaxYear(dealId, yearParam) {
+  const year = parseYear(yearParam);
+  if (!year) return null;
+  return getPrisma().partnershipTaxYear.findUnique({ where: { dealId_year: { dealId, year } } });
+}
+
+/**
+ * Validate and normalize the editable fields of a tax year
+ * @returns {Object} { data, errors }
+ */
+function taxYearFields(body, current = {}) {
+  const inputs = body.inputs !== undefined ? body.inputs : parseJson(current.inputs, {});
+  const stateApportionment = body.stateApportionment !== undefined
+    ? body.stateApportionment
+    : parseJson(current.stateApportionment, []);
+  const errors = validateTaxYearInputs(inputs || {}, stateApportionment || []);
+
+  const data = {
+    inputs: JSON.stringify(inputs || {}),
+    stateApportionment: JSON.stringify(stateApportionment || [])
+  };
+  if (body.partnershipName !== undefined) data.partnershipName = body.partnershipName || null;
+  if (body.partnershipEin !== undefined) data.partnershipEin = body.partnershipEin || null;
+  if (body.partnershipAddress !== undefined) {
+    data.partnershipAddress = body.partnershipAddress ? JSON.stringify(body.partnershipAddress) : null;
+  }
+  return { data, errors };
+}
+
+// ============================================================================
+// GP ENDPOINTS
+// ============================================================================
+
+/**
+ * List tax years for a deal
+ * GET /api/deals/:dealId/tax-years
+ */
+export async function handleListTaxYears(req, res, dealId) {
+  const prisma = getPrisma();
+  const taxYears = await prisma.partnershipTaxYear.findMany({
+    where: { dealId },
+    include: { packages: { where: { status: 'PUBLISHED' }, select: { id: true } } },
+    orderBy: { year: 'desc' }
+  });
+
+  sendJson(res, 200, {
+    taxYears: taxYears.map(taxYear => ({
+      ...serializeTaxYear(taxYear),
+      publishedPackageCount: taxYear.packages.length
+    }))
+  });
+}
+
+/**
+ * Create a tax year
+ * POST /api/deals/:dealId/tax-years
+ * Body: { year, partnershipName?, partnershipEin?, partnershipAddress?, inputs?, stateApportionment? }
+ */
+export async function handleCreateTaxYear(req, res, dealId, readJsonBody, authUser) {
+  const body = await readJsonBody(req);
+  const year = parseYear(body?.year);
+  if (!year) {
+    return sendError(res, 400, "year must be a four-digit year");
+  }
+
+  const { data, errors } = taxYearFields(body);
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid tax year inputs", errors);
+  }
+
+  const prisma = getPrisma();
+  const existing = await prisma.partnershipTaxYear.findUnique({ where: { dealId_year: { dealId, year } } });
+  if (existing) {
+    return sendError(res, 409, `Tax year ${year} already exists for this deal`);
+  }
+
+  const taxYear = await prisma.partnershipTaxYear.create({
+    data: {
+      dealId,
+      year,
+      ...data,
+      createdBy: authUser.id,
+      createdByName: authUser.name || 'Unknown'
+    }
+  });
+
+  await createDealEvent(dealId, 'TAX_YEAR_CREATED', {
+    taxYearId: taxYear.id,
+    year
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  log(`Created tax year`, { dealId, year });
+  sendJson(res, 201, { taxYear: serializeTaxYear(taxYear) });
+}
+
+/**
+ * Get a tax year with its allocation preview and published packages
+ * GET /api/deals/:dealId/tax-years/:year
+ */
+export async function handleGetTaxYear(req, res, dealId, yearParam) {
+  const taxYear = await findTaxYear(dealId, yearParam);
+  if (!taxYear) {
+    return sendError(res, 404, "Tax year not found");
+  }
+
+  const prisma = getPrisma();
+  const [{ result }, packages] = await Promise.all([
+    buildTaxYearPackages(taxYear),
+    prisma.k1Package.findMany({ where: { taxYearId: taxYear.id }, orderBy: [{ version: 'desc' }, { lpActorId: 'asc' }] })
+  ]);
+
+  sendJson(res, 200, {
+    taxYear: serializeTaxYear(taxYear),
+    preview: result,
+    packages: packages.map(serializePackage)
+  });
+}
+
+/**
+ * Update partnership info and inputs
+ * PATCH /api/deals/:dealId/tax-years/:year
+ * Body: { partnershipName?, partnershipEin?, partnershipAddress?, inputs?, stateApportionment? }
+ *
+ * A published year can still be edited; publishing again issues amended K-1s.
+ */
+export async function handleUpdateTaxYear(req, res, dealId, yearParam, readJsonBody, authUser) {
+  const taxYear = await findTaxYear(dealId, yearParam);
+  if (!taxYear) {
+    return sendError(res, 404, "Tax year not found");
+  }
+
+  const body = await readJsonBody(req);
+  const { data, errors } = taxYearFields(body || {}, taxYear);
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid tax year inputs", errors);
+  }
+
+  const updated = await getPrisma().partnershipTaxYear.update({
+    where: { id: taxYear.id },
+    data
+  });
+
+  log(`Updated tax year`, { dealId, year: taxYear.year, by: authUser.id });
+  sendJson(res, 200, { taxYear: serializeTaxYear(updated) });
+}
+
+/**
+ * Publish K-1 packages to the LP portal
+ * POST /api/deals/:dealId/tax-years/:year/publish
+ *
+ * Earlier packages for the year are superseded and the new ones are marked
+ * amended. LPs are notified per their preferences; LPs who elected mail
+ * delivery are returned in mailQueue for the GP to post.
+ */
+export async function handlePublishTaxYear(req, res, dealId, yearParam, authUser) {
+  const taxYear = await findTaxYear(dealId, yearParam);
+  if (!taxYear) {
+    return sendError(res, 404, "Tax year not found");
+  }
+
+  const errors = validateTaxYearInputs(parseJson(taxYear.inputs, {}), parseJson(taxYear.stateApportionment, []));
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid tax year inputs", errors);
+  }
+
+  const { result, lpActors, profiles } = await buildTaxYearPackages(taxYear);
+  if (result.packages.length === 0) {
+    return sendError(res, 409, "No LPs to issue K-1s to for this year");
+  }
+  if (!result.reconciliation.balanced) {
+    return sendError(res, 409, "Allocations do not reconcile to partnership totals", result.reconciliation);
+  }
+
+  const prisma = getPrisma();
+  const version = taxYear.version + 1;
+  const amended = version > 1;
+  const publishedAt = new Date();
+  const deliveryByLp = new Map(profiles.map(p => [p.lpActorId, p.k1DeliveryMethod || 'PORTAL']));
+
+  // Supersede the previous publication and its portal documents
+  const previous = await prisma.k1Package.findMany({ where: { taxYearId: taxYear.id, status: 'PUBLISHED' } });
+  if (previous.length > 0) {
+    await prisma.k1Package.updateMany({ where: { id: { in: previous.map(p => p.id) } }, data: { status: 'SUPERSEDED' } });
+    await prisma.lPDocument.updateMany({
+      where: { id: { in: previous.flatMap(p => [p.pdfDocumentId, p.dataDocumentId]).filter(Boolean) } },
+      data: { status: 'SUPERSEDED' }
+    });
+  }
+
+  const published = [];
+  for (const pkg of result.packages) {
+    const packageId = crypto.randomUUID();
+    const data = packageData(result, pkg, version);
+    const dataJson = JSON.stringify(data);
+    const baseName = `K-1 ${taxYear.year} - ${pkg.partner.name}${amended ? ' (Amended)' : ''}`;
+    const documentFields = {
+      dealId,
+      documentType: 'K1',
+      category: 'TAX',
+      year: taxYear.year,
+      visibility: 'SPECIFIC_LPS',
+      status: 'PUBLISHED',
+      uploadedBy: authUser.id,
+      uploadedByName: authUser.name || 'Unknown',
+      permissions: {
+        create: [{ lpActorId: pkg.lpActorId, canView: true, canDownload: true, grantedBy: authUser.id }]
+      }
+    };
+
+    // The PDF is rendered from the stored data on download
+    const pdfDocument = await prisma.lPDocument.create({
+      data: {
+        ...documentFields,
+        filename: `${baseName}.pdf`,
+        storageKey: `k1/${dealId}/${taxYear.year}/${packageId}.pdf`,
+        mimeType: 'application/pdf',
+        sizeBytes: 0
+      }
+    });
+    const dataDocument = await prisma.lPDocument.create({
+      data: {
+        ...documentFields,
+        filename: `${baseName}.json`,
+        storageKey: `k1/${dealId}/${taxYear.year}/${packageId}.json`,
+        mimeType: 'application/json',
+        sizeBytes: Buffer.byteLength(dataJson)
+      }
+    });
+
+    published.push(await prisma.k1Package.create({
+      data: {
+        id: packageId,
+        taxYearId: taxYear.id,
+        dealId,
+        lpActorId: pkg.lpActorId,
+        year: taxYear.year,
+        version,
+        amended,
+        data: dataJson,
+        dataHash: hashK1Data(data),
+        pdfDocumentId: pdfDocument.id,
+        dataDocumentId: dataDocument.id,
+        deliveryMethod: deliveryByLp.get(pkg.lpActorId) || 'PORTAL',
+        status: 'PUBLISHED',
+        publishedAt
+      }
+    }));
+  }
+
+  const updated = await prisma.partnershipTaxYear.update({
+    where: { id: taxYear.id },
+    data: {
+      status: 'PUBLISHED',
+      version,
+      publishedAt,
+      publishedBy: authUser.id,
+      publishedByName: authUser.name || 'Unknown'
+    }
+  });
+
+  deleteCacheByPrefix(`lp-portal:`);
+  deleteCache(`lp-docs:${dealId}`);
+
+  await createDealEvent(dealId, amended ? 'K1_PACKAGES_AMENDED' : 'K1_PACKAGES_PUBLISHED', {
+    taxYearId: taxYear.id,
+    year: taxYear.year,
+    version,
+    packageCount: published.length,
+    dataHashes: published.map(p => ({ lpActorId: p.lpActorId, dataHash: p.dataHash }))
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  const notified = await notifyK1Published(updated, published, lpActors);
+
+  const lpById = new Map(lpActors.map(lp => [lp.id, lp]));
+  const profileByLp = new Map(profiles.map(p => [p.lpActorId, p]));
+  const mailQueue = published.filter(p => p.deliveryMethod === 'MAIL').map(p => ({
+    packageId: p.id,
+    lpActorId: p.lpActorId,
+    entityName: lpById.get(p.lpActorId)?.entityName || p.lpActorId,
+    mailingAddress: parseJson(profileByLp.get(p.lpActorId)?.mailingAddress)
+  }));
+
+  log(`Published K-1 packages`, { dealId, year: taxYear.year, version, packages: published.length, notified });
+  sendJson(res, 200, {
+    taxYear: serializeTaxYear(updated),
+    packages: published.map(serializePackage),
+    notified,
+    mailQueue
+  });
+}
+
+/**
+ * Notify LPs that their K-1 is available
+ * LPs who elected email delivery are always emailed; others follow their
+ * email and document notification preferences.
+ * @returns {Promise<number>} Emails sent
+ */
+async function notifyK1Published(taxYear, packages, lpActors) {
+  const prisma = getPrisma();
+  const lpActorIds = packages.map(p => p.lpActorId);
+  const [preferences, store] = await Promise.all([
+    prisma.lPNotificationPreference.findMany({ where: { lpActorId: { in: lpActorIds } } }),
+    readStore()
+  ]);
+  const prefByLp = new Map(preferences.map(p => [p.lpActorId, p]));
+  const lpById = new Map(lpActors.map(lp => [lp.id, lp]));
+  const dealLabel = store.dealIndex.find((r) => r.id === taxYear.dealId)?.name || 'your investment';
+  const kind = taxYear.version > 1 ? 'amended Schedule K-1' : 'Schedule K-1';
+
+  const recipients = packages.filter(pkg => {
+    if (pkg.deliveryMethod === 'EMAIL') return true;
+    const pref = prefByLp.get(pkg.lpActorId);
+    return !pref || (pref.emailEnabled && pref.documentNotifications);
+  });
+
+  const results = await Promise.all(recipients.map(pkg => {
+    const lpActor = lpById.get(pkg.lpActorId);
+    if (!lpActor) return { sent: false };
+    return sendEmail({
+      to: lpActor.email,
+      subject: `${dealLabel}: Your ${taxYear.year} ${kind} is available`,
+      text: `Hello ${lpActor.entityName},\n\nYour ${taxYear.year} ${kind} for ${dealLabel} has been published. Download the K-1 and its data file from the Tax & K-1 section of the LP portal.`,
+      html: `<p>Hello ${lpActor.entityName},</p><p>Your ${taxYear.year} ${kind} for ${dealLabel} has been published.</p><p>Download the K-1 and its data file from the Tax &amp; K-1 section of the LP portal.</p>`,
+      metadata: { event: 'LP_K1_PUBLISHED', dealId: taxYear.dealId, year: taxYear.year, packageId: pkg.id }
+    });
+  }));
+
+  if (isLpWebhookEnabled()) {
+    void emitLpWebhook('LP_K1_PUBLISHED', {
+      dealId: taxYear.dealId,
+      year: taxYear.year,
+      version: taxYear.version,
+      amended: taxYear.version > 1,
+      packageCount: packages.length,
+      publishedAt: taxYear.publishedAt?.toISOString() || null
+    });
+  }
+
+  return results.filter(r => r.sent).length;
+}
+
+/**
+ * Render a K-1 package to PDF and send it
+ */
+async function sendK1Pdf(res, k1Package, taxYear) {
+  const { html, contentHash } = await renderK1Package(k1Package, taxYear);
+  const pdf = await pdfRenderer.renderToPDF(html, {
+    watermark: null,
+    documentTitle: `Schedule K-1 ${taxYear.year}`,
+    status: 'EXECUTED',
+    version: k1Package.version,
+    contentHash,
+    generatedAt: k1Package.publishedAt
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="K1_${taxYear.year}_v${k1Package.version}.pdf"`,
+    'Content-Length': pdf.buffer.length,
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(pdf.buffer);
+}
+
+/**
+ * K-1 PDF for one LP: the published package, or a draft preview
+ * GET /api/deals/:dealId/tax-years/:year/k1/:lpActorId/pdf
+ */
+export async function handleGetTaxYearK1Pdf(req, res, dealId, yearParam, lpActorId) {
+  const taxYear = await findTaxYear(dealId, yearParam);
+  if (!taxYear) {
+    return sendError(res, 404, "Tax year not found");
+  }
+
+  let k1Package = await getPrisma().k1Package.findFirst({
+    where: { taxYearId: taxYear.id, lpActorId, status: 'PUBLISHED' }
+  });
+  if (!k1Package) {
+    const { result } = await buildTaxYearPackages(taxYear);
+    const pkg = result.packages.find(p => p.lpActorId === lpActorId);
+    if (!pkg) {
+      return sendError(res, 404, "No K-1 for this LP in this tax year");
+    }
+    const version = taxYear.version + 1;
+    const data = packageData(result, pkg, version);
+    k1Package = {
+      dealId,
+      lpActorId,
+      version,
+      amended: version > 1,
+      data: JSON.stringify(data),
+      dataHash: hashK1Data(data),
+      publishedAt: new Date()
+    };
+  }
+
+  return sendK1Pdf(res, k1Package, taxYear);
+}
+
+// ============================================================================
+// LP ENDPOINTS
+// ============================================================================
+
+/**
+ * Require an authenticated LP user
+ */
+function requireLPUser(res, authUser) {
+  if (!authUser) {
+    sendError(res, 401, "Authentication required");
+    return false;
+  }
+  if (authUser.role !== "LP") {
+    sendError(res, 403, "Only LP users can access this endpoint");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Published K-1 package owned by the authenticated LP
+ */
+async function findMyPackage(authUser, packageId) {
+  const prisma = getPrisma();
+  const k1Package = await prisma.k1Package.findUnique({
+    where: { id: packageId },
+    include: { taxYear: true }
+  });
+  if (!k1Package || k1Package.status !== 'PUBLISHED') return null;
+
+  const lpActor = await prisma.lPActor.findFirst({
+    where: { id: k1Package.lpActorId, email: authUser.email.toLowerCase() }
+  });
+  return lpActor ? k1Package : null;
+}
+
+/**
+ * List K-1 packages for the authenticated LP
+ * GET /api/lp/portal/k1
+ */
+export async function handleGetMyK1Packages(req, res, authUser) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const prisma = getPrisma();
+  const lpActors = await prisma.lPActor.findMany({
+    where: { email: authUser.email.toLowerCase() },
+    select: { id: true }
+  });
+  const packages = await prisma.k1Package.findMany({
+    where: { lpActorId: { in: lpActors.map(a => a.id) }, status: 'PUBLISHED' },
+    orderBy: [{ year: 'desc' }, { publishedAt: 'desc' }]
+  });
+
+  const store = await readStore();
+  const dealNames = new Map(store.dealIndex.map((r) => [r.id, r.name]));
+
+  sendJson(res, 200, {
+    packages: packages.map(pkg => {
+      const data = parseJson(pkg.data, {});
+      return {
+        ...serializePackage(pkg),
+        dealName: dealNames.get(pkg.dealId) || null,
+        lineItems: data.lineItems || [],
+        capitalAccount: data.capitalAccount || null,
+        stateAllocations: data.stateAllocations || []
+      };
+    })
+  });
+}
+
+/**
+ * Download the K-1 PDF
+ * GET /api/lp/portal/k1/:packageId/pdf
+ */
+export async function handleDownloadMyK1Pdf(req, res, authUser, packageId) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const k1Package = await findMyPackage(authUser, packageId);
+  if (!k1Package) {
+    return sendError(res, 404, "K-1 not found");
+  }
+
+  log(`K-1 PDF download`, { packageId, userId: authUser.id });
+  return sendK1Pdf(res, k1Package, k1Package.taxYear);
+}
+
+/**
+ * Download the K-1 data file
+ * GET /api/lp/portal/k1/:packageId/data
+ */
+export async function handleDownloadMyK1Data(req, res, authUser, packageId) {
+  if (!requireLPUser(res, authUser)) return;
+
+  const k1Package = await findMyPackage(authUser, packageId);
+  if (!k1Package) {
+    return sendError(res, 404, "K-1 not found");
+  }
+
+  log(`K-1 data download`, { packageId, userId: authUser.id });
+  res.writeHead(200, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="K1_${k1Package.year}_v${k1Package.version}.json"`,
+    'X-Content-SHA256': k1Package.dataHash,
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(k1Package.data);
+}
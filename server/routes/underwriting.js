@@ -11,14 +11,20 @@ import { readStore } from '../store.js';
 import { extractRentRoll, calculateRentRollConfidence } from '../services/extractors/rent-roll-extractor.js';
 import { extractT12, calculateT12Confidence, mapT12ToUnderwritingModel } from '../services/extractors/t12-extractor.js';
 import { extractLoanTerms, calculateLoanTermsConfidence, mapLoanTermsToUnderwritingModel, calculateDebtService } from '../services/extractors/loan-terms-extractor.js';
-import { calculateUnderwriting, calculateScenario, compareScenarios, projectDetailedCashFlows } from '../services/underwriting-calculator.js';
-import { calculateWaterfall, createDefaultStructure, formatWaterfallForDisplay, compareWaterfallScenarios, groupLPsByClassPriority } from '../services/waterfall-calculator.js';
-import { calculateSensitivityMatrix, getCellColor, calculateHoldPeriodSensitivity, calculateQuickSensitivity, getSensitivityOptions, createScenarioFromCell, DEFAULT_RANGES, OUTPUT_METRICS } from '../services/sensitivity-calculator.js';
+import { calculateUnderwriting, calculateScenario, compareScenarios, projectDetailedCashFlows, CASH_FLOW_GRANULARITIES } from '../services/underwriting-calculator.js';
+import { calculateWaterfall, createDefaultStructure, formatWaterfallForDisplay, compareWaterfallScenarios, groupLPsByClassPriority, WATERFALL_MODES } from '../services/waterfall-calculator.js';
+import { calculateSensitivityMatrix, getCellColor, calculateHoldPeriodSensitivity, calculateQuickSensitivity, getSensitivityOptions, createScenarioFromCell, optimizeExitPlan, evaluateExitPlan, createScenarioFromExitPlan, DEFAULT_RANGES, OUTPUT_METRICS, EXIT_OBJECTIVES, MAX_EXIT_YEARS, MAX_EXIT_CAP_RATES } from '../services/sensitivity-calculator.js';
 import { getAllSectors, getSectorConfig, detectSector, getSectorRequiredInputs, getSectorAllInputs, getSectorBenchmarks, getSectorRiskFactors, getSectorPrimaryMetrics, validateAgainstBenchmark } from '../services/sector-config.js';
 import { calculateSectorMetrics } from '../services/underwriting-calculator.js';
+import { calculateDebtStack } from '../services/debt-sizing-calculator.js';
+import { parseForwardCurveCSV, calculateFloatingDebtSchedule, performRatePathStressTest } from '../services/floating-rate-calculator.js';
+import { runMonteCarlo, validateSimulationOptions } from '../services/monte-carlo-simulator.js';
+import { projectLeaseByLeaseCashFlows, resolveLeasingAssumptions, validateLeaseTerms } from '../services/lease-cash-flow-engine.js';
+import { projectDevelopment, validateDevelopmentBudget, buildDevelopmentWaterfallFlows, summarizeDevelopment } from '../services/development-calculator.js';
 
 import { detectAllConflicts, getConflictSummary, SEVERITY, CONFLICT_TYPE } from '../services/conflict-detector.js';
 import { generateMemo, generateQuickSummary } from '../services/memo-generator.js';
+import { queueFactIndexRefresh } from '../services/rag-citation-service.js';
 
 /**
  * Helper to send JSON responses
@@ -110,21 +116,29 @@ export async function handleExtractDocument(req, res, dealId) {
     // Extract based on document type
     let extractedData;
     let confidence;
+    const audit = {
+      userId,
+      userRole: authUser.role,
+      organizationId: authUser.organizationId,
+      dealId,
+      endpoint: `/api/deals/${dealId}/extract`,
+      promptSummary: `${documentType} extraction: ${filename || artifactId}`
+    };
 
     switch (documentType.toUpperCase()) {
       case 'RENT_ROLL':
-        extractedData = await extractRentRoll(documentContent, filename || 'rent-roll.pdf');
+        extractedData = await extractRentRoll(documentContent, filename || 'rent-roll.pdf', { audit });
         confidence = calculateRentRollConfidence(extractedData);
         break;
 
       case 'T12':
-        extractedData = await extractT12(documentContent, filename || 't12.pdf');
+        extractedData = await extractT12(documentContent, filename || 't12.pdf', { audit });
         confidence = calculateT12Confidence(extractedData);
         break;
 
       case 'LOAN_TERMS':
       case 'TERM_SHEET':
-        extractedData = await extractLoanTerms(documentContent, filename || 'loan-terms.pdf');
+        extractedData = await extractLoanTerms(documentContent, filename || 'loan-terms.pdf', { audit });
         confidence = calculateLoanTermsConfidence(extractedData);
         break;
 
@@ -357,6 +371,13 @@ export async function handleUpdateUnderwritingModel(req, res, dealId) {
       }
     }
 
+    // Monthly engine assumptions (lease-up, free rent, IO months) are stored as JSON
+    if (updates.monthlyAssumptions !== undefined) {
+      modelUpdate.monthlyAssumptions = updates.monthlyAssumptions === null
+        ? null
+        : JSON.stringify(updates.monthlyAssumptions);
+    }
+
     if (Object.keys(modelUpdate).length > 0) {
       model = await prisma.underwritingModel.update({
         where: { dealId },
@@ -364,6 +385,8 @@ export async function handleUpdateUnderwritingModel(req, res, dealId) {
       });
     }
 
+    queueFactIndexRefresh(dealId);
+
     return sendJson(res, 200, { model, updated: Object.keys(updates) });
 
   } catch (error) {
@@ -412,7 +435,8 @@ export async function handleCalculateModel(req, res, dealId) {
       exitCapRate: model.exitCapRate || 0.055,
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
-      expenseGrowth: model.expenseGrowth || 0.02
+      expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseDebtTerms(model)
     };
 
     // Calculate
@@ -472,6 +496,8 @@ export async function handleCalculateModel(req, res, dealId) {
       orderBy: { createdAt: 'desc' }
     });
 
+    queueFactIndexRefresh(dealId);
+
     return sendJson(res, 200, {
       model: updatedModel,
       calculated,
@@ -554,6 +580,8 @@ export async function handleResolveConflict(req, res, dealId, conflictId) {
       }
     });
 
+    queueFactIndexRefresh(dealId);
+
     return sendJson(res, 200, { conflict });
 
   } catch (error) {
@@ -641,6 +669,7 @@ export async function handleCreateScenario(req, res, dealId) {
       holdPeriod: model?.holdPeriod || 5,
       rentGrowth: model?.rentGrowth || 0.03,
       expenseGrowth: model?.expenseGrowth || 0.02,
+      ...parseDebtTerms(model),
       ...assumptions
     };
 
@@ -817,6 +846,16 @@ export async function handleGenerateMemo(req, res, dealId) {
       }
     };
 
+    // Ground-up deals get the development budget and returns on cost
+    const developmentBudget = await prisma.developmentBudget.findUnique({ where: { dealId } });
+    if (developmentBudget) {
+      modelForMemo.development = summarizeDevelopment(projectDevelopment(developmentBudget, {
+        ...buildSensitivityInputs(model, profile),
+        totalUnits: model.totalUnits,
+        grossSF: model.grossSF
+      }));
+    }
+
     // Format scenarios for memo
     const scenariosForMemo = scenarios.map(s => ({
       name: s.name,
@@ -1034,6 +1073,10 @@ export async function handleApplyExtraction(req, res, dealId) {
       });
     }
 
+    if (appliedFields.length > 0) {
+      queueFactIndexRefresh(dealId);
+    }
+
     return sendJson(res, 200, {
       applied: appliedFields,
       modelUpdates
@@ -1240,9 +1283,49 @@ export async function handleVerifyInput(req, res, dealId, fieldPath) {
   }
 }
 
+/**
+ * Parse monthly engine assumptions (lease-up, free rent, IO months) stored on the model
+ */
+export function parseMonthlyAssumptions(model) {
+  if (!model?.monthlyAssumptions) return {};
+  try {
+    return JSON.parse(model.monthlyAssumptions);
+  } catch (e) {
+    console.warn('[Underwriting] Invalid monthlyAssumptions JSON', { modelId: model.id, error: e.message });
+    return {};
+  }
+}
+
+/**
+ * Parse the debt structure stored on the model: the multi-tranche stack
+ * (scenarios flex individual tranches through `trancheOverrides` in their
+ * assumptions) and floating-rate terms with their forward curve.
+ */
+export function parseDebtTerms(model) {
+  const terms = {};
+  if (model?.debtTranches) {
+    try {
+      const debtTranches = JSON.parse(model.debtTranches);
+      if (Array.isArray(debtTranches) && debtTranches.length > 0) terms.debtTranches = debtTranches;
+    } catch (e) {
+      console.warn('[Underwriting] Invalid debtTranches JSON', { modelId: model.id, error: e.message });
+    }
+  }
+  if (model?.floatingRateTerms) {
+    try {
+      terms.floatingRate = JSON.parse(model.floatingRateTerms);
+    } catch (e) {
+      console.warn('[Underwriting] Invalid floatingRateTerms JSON', { modelId: model.id, error: e.message });
+    }
+  }
+  return terms;
+}
+
 /**
  * GET /api/deals/:dealId/underwriting/cash-flows
- * Get detailed year-by-year cash flow projection
+ * Get detailed cash flow projection
+ *
+ * Query: years?, granularity? ('annual' | 'quarterly' | 'monthly', default 'annual')
  */
 export async function handleGetCashFlows(req, res, dealId) {
   // Require authentication and org access
@@ -1252,6 +1335,11 @@ export async function handleGetCashFlows(req, res, dealId) {
   const prisma = getPrisma();
   const url = new URL(req.url, 'http://localhost');
   const yearsParam = url.searchParams.get('years');
+  const granularity = url.searchParams.get('granularity') || 'annual';
+
+  if (!CASH_FLOW_GRANULARITIES.includes(granularity)) {
+    return sendJson(res, 400, { error: `granularity must be one of: ${CASH_FLOW_GRANULARITIES.join(', ')}` });
+  }
 
   try {
     // Get current model
@@ -1283,17 +1371,20 @@ export async function handleGetCashFlows(req, res, dealId) {
       exitCapRate: model.exitCapRate || 0.055,
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
-      expenseGrowth: model.expenseGrowth || 0.02
+      expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseMonthlyAssumptions(model),
+      ...parseDebtTerms(model)
     };
 
     // Override hold period if specified
     const years = yearsParam ? parseInt(yearsParam) : null;
 
     // Project detailed cash flows
-    const cashFlows = projectDetailedCashFlows(modelInputs, years);
+    const cashFlows = projectDetailedCashFlows(modelInputs, years, { granularity });
 
     return sendJson(res, 200, {
       dealId,
+      granularity,
       model: {
         id: model.id,
         status: model.status,
@@ -1322,7 +1413,11 @@ export async function handleGetScenarioCashFlows(req, res, dealId) {
   try {
     let body = '';
     for await (const chunk of req) body += chunk;
-    const { assumptions } = JSON.parse(body || '{}');
+    const { assumptions, granularity = 'annual' } = JSON.parse(body || '{}');
+
+    if (!CASH_FLOW_GRANULARITIES.includes(granularity)) {
+      return sendJson(res, 400, { error: `granularity must be one of: ${CASH_FLOW_GRANULARITIES.join(', ')}` });
+    }
 
     // Get current model
     const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
@@ -1354,15 +1449,18 @@ export async function handleGetScenarioCashFlows(req, res, dealId) {
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
       expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseMonthlyAssumptions(model),
+      ...parseDebtTerms(model),
       // Apply scenario overrides
       ...assumptions
     };
 
     // Project detailed cash flows
-    const cashFlows = projectDetailedCashFlows(modelInputs);
+    const cashFlows = projectDetailedCashFlows(modelInputs, null, { granularity });
 
     return sendJson(res, 200, {
       dealId,
+      granularity,
       assumptions,
       cashFlows
     });
@@ -1373,13 +1471,13 @@ export async function handleGetScenarioCashFlows(req, res, dealId) {
   }
 }
 
-// ========== WATERFALL ENDPOINTS (Sprint 3) ==========
+// ========== DEBT STRUCTURE ENDPOINTS ==========
 
 /**
- * GET /api/deals/:dealId/waterfall
- * Get waterfall structure for a deal
+ * GET /api/deals/:dealId/underwriting/debt-stack
+ * Get the stored tranches and the last sizing result
  */
-export async function handleGetWaterfall(req, res, dealId) {
+export async function handleGetDebtStack(req, res, dealId) {
   // Require authentication and org access
   const authUser = await requireDealOrgAccess(req, res, dealId);
   if (!authUser) return;
@@ -1387,123 +1485,172 @@ export async function handleGetWaterfall(req, res, dealId) {
   const prisma = getPrisma();
 
   try {
-    let structure = await prisma.waterfallStructure.findUnique({
-      where: { dealId },
-      include: {
-        distributions: {
-          orderBy: { calculatedAt: 'desc' },
-          take: 1
-        }
-      }
-    });
-
-    if (!structure) {
-      // Return empty structure with defaults
-      return sendJson(res, 200, {
-        structure: null,
-        hasStructure: false,
-        defaults: {
-          preferredReturn: 0.08,
-          promoteTiers: [
-            { hurdle: 0.12, lpSplit: 0.80, gpSplit: 0.20 },
-            { hurdle: 0.15, lpSplit: 0.70, gpSplit: 0.30 },
-            { hurdle: 0.20, lpSplit: 0.60, gpSplit: 0.40 },
-            { hurdle: Infinity, lpSplit: 0.50, gpSplit: 0.50 }
-          ],
-          gpCatchUp: true,
-          catchUpPercent: 1.0,
-          lookback: false
-        }
-      });
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
     }
 
-    // Parse promote tiers
-    const parsedStructure = {
-      ...structure,
-      promoteTiers: JSON.parse(structure.promoteTiers || '[]')
-    };
-
-    // Get latest distribution if exists
-    const latestDistribution = structure.distributions[0];
-    const parsedDistribution = latestDistribution ? {
-      ...latestDistribution,
-      yearlyDistributions: JSON.parse(latestDistribution.yearlyDistributions || '[]')
-    } : null;
-
     return sendJson(res, 200, {
-      structure: parsedStructure,
-      hasStructure: true,
-      latestDistribution: parsedDistribution
+      dealId,
+      tranches: parseDebtTerms(model).debtTranches || [],
+      stack: model.debtStackResult ? JSON.parse(model.debtStackResult) : null
     });
 
   } catch (error) {
-    console.error('[Waterfall] Get structure error:', error);
+    console.error('[Underwriting] Get debt stack error:', error);
     return sendJson(res, 500, { error: error.message });
   }
 }
 
 /**
- * POST /api/deals/:dealId/waterfall
- * Create or update waterfall structure
+ * PUT /api/deals/:dealId/underwriting/debt-stack
+ * Size the tranche stack against the model's NOI and persist it
+ *
+ * Body: { tranches: [...], indexRates?, noi? }
+ * Tranches without an amount are sized by their covenants; the sized amount
+ * is stored on the tranche so cash flows, scenarios and sensitivities use it.
+ * An empty tranche list clears the stack and reverts to the single loan.
  */
-export async function handleCreateWaterfall(req, res, dealId) {
-  // Require GP/Admin role for creating waterfall structure
+export async function handleUpdateDebtStack(req, res, dealId) {
+  // Require GP/Admin role for modifying underwriting model
   const authUser = await requireGPWithDealAccess(req, res, dealId);
   if (!authUser) return;
 
   const prisma = getPrisma();
-  const userId = authUser.id;
-  const userName = authUser.name;
 
   try {
     let body = '';
     for await (const chunk of req) body += chunk;
-    const { lpEquity, gpEquity, preferredReturn, promoteTiers, gpCatchUp, catchUpPercent, lookback } = JSON.parse(body);
+    const { tranches, indexRates, noi: noiOverride } = JSON.parse(body || '{}');
 
-    if (!lpEquity || lpEquity <= 0) {
-      return sendJson(res, 400, { error: 'LP equity must be greater than 0' });
+    if (!Array.isArray(tranches)) {
+      return sendJson(res, 400, { error: 'tranches must be an array' });
     }
 
-    const data = {
-      lpEquity,
-      gpEquity: gpEquity || 0,
-      preferredReturn: preferredReturn || 0.08,
-      promoteTiers: JSON.stringify(promoteTiers || [
-        { hurdle: 0.12, lpSplit: 0.80, gpSplit: 0.20 },
-        { hurdle: Infinity, lpSplit: 0.50, gpSplit: 0.50 }
-      ]),
-      gpCatchUp: gpCatchUp !== false,
-      catchUpPercent: catchUpPercent || 1.0,
-      lookback: lookback || false,
-      createdBy: userId,
-      createdByName: userName
-    };
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
 
-    const structure = await prisma.waterfallStructure.upsert({
-      where: { dealId },
-      create: { dealId, ...data },
-      update: data
+    if (tranches.length === 0) {
+      const updated = await prisma.underwritingModel.update({
+        where: { dealId },
+        data: { debtTranches: null, debtStackResult: null }
+      });
+      return sendJson(res, 200, { model: updated, tranches: [], stack: null });
+    }
+
+    const noi = noiOverride ?? model.netOperatingIncome;
+    if (!noi) {
+      return sendJson(res, 400, { error: 'NOI is required - calculate the underwriting model first' });
+    }
+
+    const dealProfile = await prisma.dealProfile.findUnique({ where: { dealId } });
+    const profile = dealProfile ? JSON.parse(dealProfile.profile) : {};
+
+    // Re-size anything that was sized last time; explicit amounts are kept
+    const inputTranches = tranches.map(({ sizedAmount, ...tranche }) => tranche);
+
+    const stack = calculateDebtStack({
+      noi,
+      purchasePrice: profile.purchase_price,
+      propertyValue: profile.purchase_price,
+      units: profile.unit_count,
+      squareFeet: profile.square_footage,
+      tranches: inputTranches,
+      indexRates
     });
 
-    return sendJson(res, 201, {
-      structure: {
-        ...structure,
-        promoteTiers: JSON.parse(structure.promoteTiers)
+    // Pin the index level used for sizing so projections price floating tranches the same way
+    const storedTranches = inputTranches.map((tranche, i) => {
+      const sized = stack.tranches.find(t => t.id === (tranche.id || `tranche-${i + 1}`));
+      const stored = sized?.rateType === 'FLOATING' && tranche.indexRate === undefined && indexRates?.[sized.index] !== undefined
+        ? { ...tranche, indexRate: indexRates[sized.index] }
+        : tranche;
+      return sized?.sized ? { ...stored, sizedAmount: sized.amount } : stored;
+    });
+
+    const updated = await prisma.underwritingModel.update({
+      where: { dealId },
+      data: {
+        debtTranches: JSON.stringify(storedTranches),
+        debtStackResult: JSON.stringify(stack)
       }
     });
 
+    return sendJson(res, 200, { model: updated, tranches: storedTranches, stack });
+
   } catch (error) {
-    console.error('[Waterfall] Create structure error:', error);
+    console.error('[Underwriting] Update debt stack error:', error);
     return sendJson(res, 500, { error: error.message });
   }
 }
 
 /**
- * PATCH /api/deals/:dealId/waterfall
- * Update waterfall structure
+ * Schedule and rate-path stress test for a model's floating-rate terms
  */
-export async function handleUpdateWaterfall(req, res, dealId) {
-  // Require GP/Admin role for updating waterfall structure
+function buildFloatingRateAnalysis(model, terms) {
+  if (!model.loanAmount || !Array.isArray(terms.forwardCurve) || terms.forwardCurve.length === 0) {
+    return { schedule: null, stressTest: null };
+  }
+
+  const params = {
+    ...terms,
+    loanAmount: model.loanAmount,
+    amortization: terms.amortization ?? 0,
+    ioMonths: terms.ioMonths ?? 0,
+    months: (model.holdPeriod || 5) * 12
+  };
+
+  return {
+    schedule: calculateFloatingDebtSchedule(params),
+    stressTest: model.netOperatingIncome
+      ? performRatePathStressTest({ ...params, noi: model.netOperatingIncome, minDSCR: terms.minDSCR ?? 1.25 })
+      : null
+  };
+}
+
+/**
+ * GET /api/deals/:dealId/underwriting/floating-rate
+ * Get floating-rate terms, the projected schedule and the rate-path stress test
+ */
+export async function handleGetFloatingRate(req, res, dealId) {
+  // Require authentication and org access
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    const terms = parseDebtTerms(model).floatingRate || null;
+    return sendJson(res, 200, {
+      dealId,
+      terms,
+      ...(terms ? buildFloatingRateAnalysis(model, terms) : { schedule: null, stressTest: null })
+    });
+
+  } catch (error) {
+    console.error('[Underwriting] Get floating rate error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * PUT /api/deals/:dealId/underwriting/floating-rate
+ * Save floating-rate terms (spread, floor, cap, swap) and the forward curve
+ *
+ * Body: { terms: {...}, forwardCurveCsv?, forwardCurveRateUnit? }
+ * A CSV replaces terms.forwardCurve; its rates need a % suffix, a unit in the
+ * header, or forwardCurveRateUnit ('percent' | 'decimal').
+ * `terms: null` reverts to the fixed rate.
+ */
+export async function handleUpdateFloatingRate(req, res, dealId) {
+  // Require GP/Admin role for modifying underwriting model
   const authUser = await requireGPWithDealAccess(req, res, dealId);
   if (!authUser) return;
 
@@ -1512,119 +1659,705 @@ export async function handleUpdateWaterfall(req, res, dealId) {
   try {
     let body = '';
     for await (const chunk of req) body += chunk;
-    const updates = JSON.parse(body);
+    const { terms, forwardCurveCsv, forwardCurveRateUnit } = JSON.parse(body || '{}');
 
-    const existing = await prisma.waterfallStructure.findUnique({ where: { dealId } });
-    if (!existing) {
-      return sendJson(res, 404, { error: 'No waterfall structure found' });
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
     }
 
-    // Prepare updates
-    const data = {};
-    if (updates.lpEquity !== undefined) data.lpEquity = updates.lpEquity;
-    if (updates.gpEquity !== undefined) data.gpEquity = updates.gpEquity;
-    if (updates.preferredReturn !== undefined) data.preferredReturn = updates.preferredReturn;
-    if (updates.promoteTiers !== undefined) data.promoteTiers = JSON.stringify(updates.promoteTiers);
-    if (updates.gpCatchUp !== undefined) data.gpCatchUp = updates.gpCatchUp;
-    if (updates.catchUpPercent !== undefined) data.catchUpPercent = updates.catchUpPercent;
-    if (updates.lookback !== undefined) data.lookback = updates.lookback;
-    if (updates.usePerClassWaterfall !== undefined) {
-      if (typeof updates.usePerClassWaterfall !== 'boolean') {
-        console.log(`[Waterfall] Invalid usePerClassWaterfall value`, {
-          dealId,
-          providedValue: updates.usePerClassWaterfall,
-          type: typeof updates.usePerClassWaterfall
-        });
-        return sendJson(res, 400, { error: 'usePerClassWaterfall must be a boolean' });
-      }
-      data.usePerClassWaterfall = updates.usePerClassWaterfall;
-      console.log(`[Waterfall] Per-class flag changing`, {
-        dealId,
-        oldValue: existing.usePerClassWaterfall,
-        newValue: updates.usePerClassWaterfall,
-        userId: authUser.id
+    if (terms === null) {
+      const updated = await prisma.underwritingModel.update({
+        where: { dealId },
+        data: { floatingRateTerms: null }
       });
+      return sendJson(res, 200, { model: updated, terms: null, schedule: null, stressTest: null });
     }
 
-    const structure = await prisma.waterfallStructure.update({
-      where: { dealId },
-      data
-    });
+    if (!terms || typeof terms !== 'object' || typeof terms.spread !== 'number') {
+      return sendJson(res, 400, { error: 'terms.spread is required' });
+    }
 
-    // Log flag change for audit trail
-    if (updates.usePerClassWaterfall !== undefined &&
-        updates.usePerClassWaterfall !== existing.usePerClassWaterfall) {
-      console.log(`[Waterfall] Per-class flag CHANGED and recorded`, {
-        dealId,
-        oldValue: existing.usePerClassWaterfall,
-        newValue: structure.usePerClassWaterfall,
-        changedBy: authUser.id
-      });
+    let forwardCurve = terms.forwardCurve || [];
+    if (forwardCurveCsv) {
+      const parsed = parseForwardCurveCSV(forwardCurveCsv, { rateUnit: forwardCurveRateUnit ?? null });
+      if (parsed.errors.length > 0) {
+        return sendJson(res, 400, { error: 'Invalid forward curve CSV', details: parsed.errors });
+      }
+      forwardCurve = parsed.points;
     }
+    if (!Array.isArray(forwardCurve) || forwardCurve.length === 0) {
+      return sendJson(res, 400, { error: 'A forward curve is required' });
+    }
+
+    const storedTerms = {
+      ...terms,
+      forwardCurve,
+      curveSource: forwardCurveCsv ? 'CSV' : (terms.curveSource || 'MANUAL')
+    };
+
+    const updated = await prisma.underwritingModel.update({
+      where: { dealId },
+      data: { floatingRateTerms: JSON.stringify(storedTerms) }
+    });
 
     return sendJson(res, 200, {
-      structure: {
-        ...structure,
-        promoteTiers: JSON.parse(structure.promoteTiers)
-      }
+      model: updated,
+      terms: storedTerms,
+      ...buildFloatingRateAnalysis(updated, storedTerms)
     });
 
   } catch (error) {
-    console.error('[Waterfall] Update structure error:', error);
+    console.error('[Underwriting] Update floating rate error:', error);
     return sendJson(res, 500, { error: error.message });
   }
 }
 
+// ========== LEASE-BY-LEASE ENDPOINTS ==========
+
 /**
- * POST /api/deals/:dealId/waterfall/calculate
- * Calculate waterfall distributions from cash flows
- *
- * Body: { scenarioId?, usePerClassWaterfall?: boolean }
+ * GET /api/deals/:dealId/underwriting/lease-cash-flows
+ * Project cash flows lease by lease from the extracted rent roll
  *
- * When usePerClassWaterfall=true:
- * - Fetches LP actors with share class data
- * - Uses per-class preferred returns (different classes can have different pref rates)
- * - Processes classes in priority order (priority 1 paid first)
- * - Returns per-class breakdown in response
+ * Query: years?
+ * Returns the projectDetailedCashFlows shape plus leaseExpirationSchedule,
+ * rolloverRisk and walt.
  */
-export async function handleCalculateWaterfall(req, res, dealId) {
+export async function handleGetLeaseCashFlows(req, res, dealId) {
   // Require authentication and org access
   const authUser = await requireDealOrgAccess(req, res, dealId);
   if (!authUser) return;
 
   const prisma = getPrisma();
+  const url = new URL(req.url, 'http://localhost');
+  const yearsParam = url.searchParams.get('years');
 
   try {
-    let body = '';
-    for await (const chunk of req) body += chunk;
-    const { scenarioId, usePerClassWaterfall } = JSON.parse(body || '{}');
-
-    console.log(`[Waterfall] Calculate request for deal ${dealId}`, {
-      scenarioId,
-      usePerClassWaterfall: !!usePerClassWaterfall
-    });
-
-    // Get waterfall structure
-    const structure = await prisma.waterfallStructure.findUnique({ where: { dealId } });
-    if (!structure) {
-      return sendJson(res, 404, { error: 'No waterfall structure found. Create one first.' });
-    }
-
-    // Get underwriting model
     const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
     if (!model) {
       return sendJson(res, 404, { error: 'No underwriting model found' });
     }
 
-    // Get deal profile for purchase price
+    const units = await prisma.rentRollUnit.findMany({
+      where: { dealId },
+      orderBy: { unitNumber: 'asc' }
+    });
+    if (units.length === 0) {
+      return sendJson(res, 404, { error: 'No rent roll found. Extract a rent roll first.' });
+    }
+
     const dealProfile = await prisma.dealProfile.findUnique({ where: { dealId } });
     const profile = dealProfile ? JSON.parse(dealProfile.profile) : {};
 
-    // Get scenario overrides if specified
-    let assumptions = {};
-    if (scenarioId) {
-      const scenario = await prisma.underwritingScenario.findUnique({ where: { id: scenarioId } });
-      if (scenario) {
+    const modelInputs = {
+      ...buildSensitivityInputs(model, profile),
+      grossSF: model.grossSF,
+      leasingAssumptions: model.leasingAssumptions,
+      monthlyAssumptions: model.monthlyAssumptions
+    };
+
+    const years = yearsParam ? parseInt(yearsParam) : null;
+    const cashFlows = projectLeaseByLeaseCashFlows(modelInputs, units, years);
+
+    return sendJson(res, 200, {
+      dealId,
+      unitCount: units.length,
+      model: {
+        id: model.id,
+        status: model.status,
+        lastCalculatedAt: model.lastCalculatedAt
+      },
+      cashFlows
+    });
+
+  } catch (error) {
+    console.error('[Underwriting] Lease cash flows error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * PUT /api/deals/:dealId/underwriting/leasing-assumptions
+ * Save market leasing assumptions (market rent, renewal probability,
+ * downtime, TI/LC, free rent, recovery structure)
+ *
+ * Body: { assumptions: {...} } - `assumptions: null` reverts to the defaults
+ */
+export async function handleUpdateLeasingAssumptions(req, res, dealId) {
+  // Require GP/Admin role for modifying underwriting model
+  const authUser = await requireGPWithDealAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const { assumptions } = JSON.parse(body || '{}');
+
+    if (assumptions !== null && (typeof assumptions !== 'object' || Array.isArray(assumptions))) {
+      return sendJson(res, 400, { error: 'assumptions must be an object or null' });
+    }
+    const errors = assumptions ? validateLeaseTerms(assumptions) : [];
+    if (errors.length > 0) {
+      return sendJson(res, 400, { error: 'Invalid leasing assumptions', details: errors });
+    }
+
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    const updated = await prisma.underwritingModel.update({
+      where: { dealId },
+      data: { leasingAssumptions: assumptions ? JSON.stringify(assumptions) : null }
+    });
+
+    return sendJson(res, 200, {
+      model: updated,
+      assumptions: resolveLeasingAssumptions(updated.leasingAssumptions)
+    });
+
+  } catch (error) {
+    console.error('[Underwriting] Update leasing assumptions error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * PUT /api/deals/:dealId/underwriting/rent-roll/:unitId/lease-terms
+ * Save per-lease terms (escalations, recovery structure, rollover overrides)
+ *
+ * Body: { leaseTerms: {...} } - `leaseTerms: null` falls back to market assumptions
+ */
+export async function handleUpdateLeaseTerms(req, res, dealId, unitId) {
+  // Require GP/Admin role for modifying underwriting model
+  const authUser = await requireGPWithDealAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const { leaseTerms } = JSON.parse(body || '{}');
+
+    if (leaseTerms !== null && (typeof leaseTerms !== 'object' || Array.isArray(leaseTerms))) {
+      return sendJson(res, 400, { error: 'leaseTerms must be an object or null' });
+    }
+    const errors = leaseTerms ? validateLeaseTerms(leaseTerms) : [];
+    if (errors.length > 0) {
+      return sendJson(res, 400, { error: 'Invalid lease terms', details: errors });
+    }
+
+    const unit = await prisma.rentRollUnit.findFirst({ where: { id: unitId, dealId } });
+    if (!unit) {
+      return sendJson(res, 404, { error: 'Rent roll unit not found' });
+    }
+
+    const updated = await prisma.rentRollUnit.update({
+      where: { id: unitId },
+      data: { leaseTerms: leaseTerms ? JSON.stringify(leaseTerms) : null }
+    });
+
+    return sendJson(res, 200, { unit: updated });
+
+  } catch (error) {
+    console.error('[Underwriting] Update lease terms error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+// ========== DEVELOPMENT BUDGET ENDPOINTS ==========
+
+const DEVELOPMENT_BUDGET_FIELDS = [
+  'constructionStart', 'constructionMonths', 'landCost', 'lineItems', 'hardContingencyPct',
+  'softContingencyPct', 'sCurveSteepness', 'loanTerms', 'leaseUpTerms', 'marketCapRate', 'holdMonths'
+];
+
+/**
+ * Parse the JSON columns of a DevelopmentBudget row for API responses
+ */
+function serializeDevelopmentBudget(budget) {
+  const parse = (value) => {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.warn('[Underwriting] Invalid development budget JSON', { budgetId: budget.id, error: e.message });
+      return null;
+    }
+  };
+  return {
+    ...budget,
+    lineItems: parse(budget.lineItems) || [],
+    loanTerms: parse(budget.loanTerms),
+    leaseUpTerms: parse(budget.leaseUpTerms),
+    lastResult: parse(budget.lastResult)
+  };
+}
+
+/**
+ * Stabilized pro forma inputs for the development projection
+ */
+async function buildDevelopmentModelInputs(prisma, dealId, model) {
+  const dealProfile = await prisma.dealProfile.findUnique({ where: { dealId } });
+  const profile = dealProfile ? JSON.parse(dealProfile.profile) : {};
+  return {
+    ...buildSensitivityInputs(model, profile),
+    totalUnits: model.totalUnits,
+    grossSF: model.grossSF
+  };
+}
+
+/**
+ * GET /api/deals/:dealId/underwriting/development
+ * Get the development budget with its construction, lease-up and returns projection
+ */
+export async function handleGetDevelopmentBudget(req, res, dealId) {
+  // Require authentication and org access
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    const budget = await prisma.developmentBudget.findUnique({ where: { dealId } });
+    if (!budget) {
+      return sendJson(res, 200, { dealId, budget: null, projection: null });
+    }
+
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    const projection = projectDevelopment(budget, await buildDevelopmentModelInputs(prisma, dealId, model));
+
+    return sendJson(res, 200, {
+      dealId,
+      budget: serializeDevelopmentBudget(budget),
+      projection
+    });
+
+  } catch (error) {
+    console.error('[Underwriting] Get development budget error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * PUT /api/deals/:dealId/underwriting/development
+ * Save the development budget (line items, contingency, construction loan,
+ * lease-up) and return the projection
+ *
+ * Body: { budget: {...} } - `budget: null` removes it and the deal reverts to
+ * stabilized acquisition cash flows
+ */
+export async function handleUpdateDevelopmentBudget(req, res, dealId) {
+  // Require GP/Admin role for modifying underwriting model
+  const authUser = await requireGPWithDealAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const { budget } = JSON.parse(body || '{}');
+
+    if (budget === null) {
+      await prisma.developmentBudget.deleteMany({ where: { dealId } });
+      return sendJson(res, 200, { dealId, budget: null, projection: null });
+    }
+    if (!budget || typeof budget !== 'object') {
+      return sendJson(res, 400, { error: 'budget is required' });
+    }
+
+    const errors = validateDevelopmentBudget(budget);
+    if (errors.length > 0) {
+      return sendJson(res, 400, { error: 'Invalid development budget', details: errors });
+    }
+
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    const data = {};
+    for (const field of DEVELOPMENT_BUDGET_FIELDS) {
+      if (budget[field] === undefined) continue;
+      if (['lineItems', 'loanTerms', 'leaseUpTerms'].includes(field)) {
+        data[field] = budget[field] === null ? null : JSON.stringify(budget[field]);
+      } else if (field === 'constructionStart') {
+        data[field] = budget[field] ? new Date(budget[field]) : null;
+      } else {
+        data[field] = budget[field];
+      }
+    }
+
+    const projection = projectDevelopment({ ...budget, ...data }, await buildDevelopmentModelInputs(prisma, dealId, model));
+    data.lastResult = JSON.stringify(summarizeDevelopment(projection));
+    data.calculatedAt = new Date();
+
+    const saved = await prisma.developmentBudget.upsert({
+      where: { dealId },
+      create: { dealId, ...data, createdBy: authUser.id, createdByName: authUser.name },
+      update: data
+    });
+
+    return sendJson(res, 200, {
+      dealId,
+      budget: serializeDevelopmentBudget(saved),
+      projection
+    });
+
+  } catch (error) {
+    console.error('[Underwriting] Update development budget error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+// ========== WATERFALL ENDPOINTS (Sprint 3) ==========
+
+/**
+ * Validate waterfall mode and clawback terms from a request body.
+ * Returns an error message, or null if the terms are valid or absent.
+ */
+function validateClawbackTerms({ waterfallMode, gpEntities, gpTaxRate }) {
+  if (waterfallMode !== undefined && !WATERFALL_MODES[waterfallMode]) {
+    return `waterfallMode must be one of: ${Object.keys(WATERFALL_MODES).join(', ')}`;
+  }
+  if (gpEntities !== undefined && gpEntities !== null) {
+    if (!Array.isArray(gpEntities)) {
+      return 'gpEntities must be an array';
+    }
+    for (const entity of gpEntities) {
+      if (entity.promoteShare !== undefined && (typeof entity.promoteShare !== 'number' || entity.promoteShare < 0)) {
+        return 'GP entity promoteShare must be a non-negative number';
+      }
+      if (entity.taxRate !== undefined && (typeof entity.taxRate !== 'number' || entity.taxRate < 0 || entity.taxRate >= 1)) {
+        return 'GP entity taxRate must be between 0 and 1';
+      }
+    }
+  }
+  if (gpTaxRate !== undefined && gpTaxRate !== null &&
+      (typeof gpTaxRate !== 'number' || gpTaxRate < 0 || gpTaxRate >= 1)) {
+    return 'gpTaxRate must be between 0 and 1';
+  }
+  return null;
+}
+
+/**
+ * Parse a stored WaterfallStructure's JSON columns for API responses
+ */
+function parseWaterfallStructure(structure) {
+  return {
+    ...structure,
+    promoteTiers: JSON.parse(structure.promoteTiers || '[]'),
+    gpEntities: structure.gpEntities ? JSON.parse(structure.gpEntities) : []
+  };
+}
+
+/**
+ * Build calculateWaterfall inputs from a stored WaterfallStructure
+ */
+function buildWaterfallInputs(structure) {
+  return {
+    lpEquity: structure.lpEquity,
+    gpEquity: structure.gpEquity,
+    preferredReturn: structure.preferredReturn,
+    promoteTiers: JSON.parse(structure.promoteTiers),
+    gpCatchUp: structure.gpCatchUp,
+    catchUpPercent: structure.catchUpPercent,
+    lookback: structure.lookback,
+    waterfallMode: structure.waterfallMode || WATERFALL_MODES.EUROPEAN,
+    gpEntities: structure.gpEntities ? JSON.parse(structure.gpEntities) : null,
+    gpTaxRate: structure.gpTaxRate || 0
+  };
+}
+
+/**
+ * GET /api/deals/:dealId/waterfall
+ * Get waterfall structure for a deal
+ */
+export async function handleGetWaterfall(req, res, dealId) {
+  // Require authentication and org access
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let structure = await prisma.waterfallStructure.findUnique({
+      where: { dealId },
+      include: {
+        distributions: {
+          orderBy: { calculatedAt: 'desc' },
+          take: 1
+        }
+      }
+    });
+
+    if (!structure) {
+      // Return empty structure with defaults
+      return sendJson(res, 200, {
+        structure: null,
+        hasStructure: false,
+        defaults: {
+          preferredReturn: 0.08,
+          promoteTiers: [
+            { hurdle: 0.12, lpSplit: 0.80, gpSplit: 0.20 },
+            { hurdle: 0.15, lpSplit: 0.70, gpSplit: 0.30 },
+            { hurdle: 0.20, lpSplit: 0.60, gpSplit: 0.40 },
+            { hurdle: Infinity, lpSplit: 0.50, gpSplit: 0.50 }
+          ],
+          gpCatchUp: true,
+          catchUpPercent: 1.0,
+          lookback: false,
+          waterfallMode: WATERFALL_MODES.EUROPEAN,
+          gpEntities: [],
+          gpTaxRate: 0
+        }
+      });
+    }
+
+    // Parse promote tiers and GP entities
+    const parsedStructure = parseWaterfallStructure(structure);
+
+    // Get latest distribution if exists
+    const latestDistribution = structure.distributions[0];
+    const parsedDistribution = latestDistribution ? {
+      ...latestDistribution,
+      yearlyDistributions: JSON.parse(latestDistribution.yearlyDistributions || '[]'),
+      clawback: latestDistribution.clawback ? JSON.parse(latestDistribution.clawback) : null
+    } : null;
+
+    return sendJson(res, 200, {
+      structure: parsedStructure,
+      hasStructure: true,
+      latestDistribution: parsedDistribution
+    });
+
+  } catch (error) {
+    console.error('[Waterfall] Get structure error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /api/deals/:dealId/waterfall
+ * Create or update waterfall structure
+ */
+export async function handleCreateWaterfall(req, res, dealId) {
+  // Require GP/Admin role for creating waterfall structure
+  const authUser = await requireGPWithDealAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+  const userId = authUser.id;
+  const userName = authUser.name;
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const {
+      lpEquity, gpEquity, preferredReturn, promoteTiers, gpCatchUp, catchUpPercent, lookback,
+      waterfallMode, gpEntities, gpTaxRate
+    } = JSON.parse(body);
+
+    if (!lpEquity || lpEquity <= 0) {
+      return sendJson(res, 400, { error: 'LP equity must be greater than 0' });
+    }
+
+    const termsError = validateClawbackTerms({ waterfallMode, gpEntities, gpTaxRate });
+    if (termsError) {
+      return sendJson(res, 400, { error: termsError });
+    }
+
+    const data = {
+      lpEquity,
+      gpEquity: gpEquity || 0,
+      preferredReturn: preferredReturn || 0.08,
+      promoteTiers: JSON.stringify(promoteTiers || [
+        { hurdle: 0.12, lpSplit: 0.80, gpSplit: 0.20 },
+        { hurdle: Infinity, lpSplit: 0.50, gpSplit: 0.50 }
+      ]),
+      gpCatchUp: gpCatchUp !== false,
+      catchUpPercent: catchUpPercent || 1.0,
+      lookback: lookback || false,
+      waterfallMode: waterfallMode || WATERFALL_MODES.EUROPEAN,
+      gpEntities: gpEntities?.length ? JSON.stringify(gpEntities) : null,
+      gpTaxRate: gpTaxRate || 0,
+      createdBy: userId,
+      createdByName: userName
+    };
+
+    const structure = await prisma.waterfallStructure.upsert({
+      where: { dealId },
+      create: { dealId, ...data },
+      update: data
+    });
+
+    return sendJson(res, 201, {
+      structure: parseWaterfallStructure(structure)
+    });
+
+  } catch (error) {
+    console.error('[Waterfall] Create structure error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * PATCH /api/deals/:dealId/waterfall
+ * Update waterfall structure
+ */
+export async function handleUpdateWaterfall(req, res, dealId) {
+  // Require GP/Admin role for updating waterfall structure
+  const authUser = await requireGPWithDealAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const updates = JSON.parse(body);
+
+    const existing = await prisma.waterfallStructure.findUnique({ where: { dealId } });
+    if (!existing) {
+      return sendJson(res, 404, { error: 'No waterfall structure found' });
+    }
+
+    const termsError = validateClawbackTerms(updates);
+    if (termsError) {
+      return sendJson(res, 400, { error: termsError });
+    }
+
+    // Prepare updates
+    const data = {};
+    if (updates.lpEquity !== undefined) data.lpEquity = updates.lpEquity;
+    if (updates.gpEquity !== undefined) data.gpEquity = updates.gpEquity;
+    if (updates.preferredReturn !== undefined) data.preferredReturn = updates.preferredReturn;
+    if (updates.promoteTiers !== undefined) data.promoteTiers = JSON.stringify(updates.promoteTiers);
+    if (updates.gpCatchUp !== undefined) data.gpCatchUp = updates.gpCatchUp;
+    if (updates.catchUpPercent !== undefined) data.catchUpPercent = updates.catchUpPercent;
+    if (updates.lookback !== undefined) data.lookback = updates.lookback;
+    if (updates.waterfallMode !== undefined) data.waterfallMode = updates.waterfallMode;
+    if (updates.gpEntities !== undefined) {
+      data.gpEntities = updates.gpEntities?.length ? JSON.stringify(updates.gpEntities) : null;
+    }
+    if (updates.gpTaxRate !== undefined) data.gpTaxRate = updates.gpTaxRate || 0;
+    if (updates.usePerClassWaterfall !== undefined) {
+      if (typeof updates.usePerClassWaterfall !== 'boolean') {
+        console.log(`[Waterfall] Invalid usePerClassWaterfall value`, {
+          dealId,
+          providedValue: updates.usePerClassWaterfall,
+          type: typeof updates.usePerClassWaterfall
+        });
+        return sendJson(res, 400, { error: 'usePerClassWaterfall must be a boolean' });
+      }
+      data.usePerClassWaterfall = updates.usePerClassWaterfall;
+      console.log(`[Waterfall] Per-class flag changing`, {
+        dealId,
+        oldValue: existing.usePerClassWaterfall,
+        newValue: updates.usePerClassWaterfall,
+        userId: authUser.id
+      });
+    }
+
+    const structure = await prisma.waterfallStructure.update({
+      where: { dealId },
+      data
+    });
+
+    // Log flag change for audit trail
+    if (updates.usePerClassWaterfall !== undefined &&
+        updates.usePerClassWaterfall !== existing.usePerClassWaterfall) {
+      console.log(`[Waterfall] Per-class flag CHANGED and recorded`, {
+        dealId,
+        oldValue: existing.usePerClassWaterfall,
+        newValue: structure.usePerClassWaterfall,
+        changedBy: authUser.id
+      });
+    }
+
+    return sendJson(res, 200, {
+      structure: parseWaterfallStructure(structure)
+    });
+
+  } catch (error) {
+    console.error('[Waterfall] Update structure error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /api/deals/:dealId/waterfall/calculate
+ * Calculate waterfall distributions from cash flows
+ *
+ * Body: { scenarioId?, usePerClassWaterfall?: boolean, waterfallMode?, capitalEventPeriods? }
+ *
+ * waterfallMode overrides the stored mode for this calculation. In AMERICAN
+ * mode the response includes the clawback/true-up against the whole-fund
+ * waterfall; capitalEventPeriods (1-based years) sets which years return
+ * capital and defaults to the sale year.
+ *
+ * When usePerClassWaterfall=true:
+ * - Fetches LP actors with share class data
+ * - Uses per-class preferred returns (different classes can have different pref rates)
+ * - Processes classes in priority order (priority 1 paid first)
+ * - Returns per-class breakdown in response
+ */
+export async function handleCalculateWaterfall(req, res, dealId) {
+  // Require authentication and org access
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const { scenarioId, usePerClassWaterfall, waterfallMode, capitalEventPeriods } = JSON.parse(body || '{}');
+
+    console.log(`[Waterfall] Calculate request for deal ${dealId}`, {
+      scenarioId,
+      usePerClassWaterfall: !!usePerClassWaterfall,
+      waterfallMode
+    });
+
+    const termsError = validateClawbackTerms({ waterfallMode });
+    if (termsError) {
+      return sendJson(res, 400, { error: termsError });
+    }
+    if (capitalEventPeriods !== undefined &&
+        (!Array.isArray(capitalEventPeriods) || !capitalEventPeriods.every(p => Number.isInteger(p) && p > 0))) {
+      return sendJson(res, 400, { error: 'capitalEventPeriods must be an array of positive year numbers' });
+    }
+
+    // Get waterfall structure
+    const structure = await prisma.waterfallStructure.findUnique({ where: { dealId } });
+    if (!structure) {
+      return sendJson(res, 404, { error: 'No waterfall structure found. Create one first.' });
+    }
+
+    // Get underwriting model
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    // Get deal profile for purchase price
+    const dealProfile = await prisma.dealProfile.findUnique({ where: { dealId } });
+    const profile = dealProfile ? JSON.parse(dealProfile.profile) : {};
+
+    // Get scenario overrides if specified
+    let assumptions = {};
+    if (scenarioId) {
+      const scenario = await prisma.underwritingScenario.findUnique({ where: { id: scenarioId } });
+      if (scenario) {
         assumptions = JSON.parse(scenario.assumptions || '{}');
       }
     }
@@ -1649,34 +2382,58 @@ export async function handleCalculateWaterfall(req, res, dealId) {
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
       expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseMonthlyAssumptions(model),
+      ...parseDebtTerms(model),
       ...assumptions
     };
 
-    // Get detailed cash flows
-    const cashFlowProjection = projectDetailedCashFlows(modelInputs);
+    // Ground-up deals distribute from the development projection (construction,
+    // lease-up, sale) instead of the stabilized cash flows
+    const developmentBudget = await prisma.developmentBudget.findUnique({ where: { dealId } });
 
-    // Extract cash flows array (operating + exit in final year)
-    const cashFlows = cashFlowProjection.years.map((y, idx) => {
-      if (idx === cashFlowProjection.years.length - 1) {
-        // Last year: add exit proceeds
-        return y.beforeTaxCashFlow + (cashFlowProjection.exit?.netEquityProceeds || 0);
-      }
-      return y.beforeTaxCashFlow;
-    });
+    let cashFlows;
+    let cashFlowDates;
+    let development = null;
+
+    if (developmentBudget) {
+      development = projectDevelopment(developmentBudget, {
+        ...modelInputs,
+        totalUnits: model.totalUnits,
+        grossSF: model.grossSF
+      });
+      ({ cashFlows, dates: cashFlowDates } = buildDevelopmentWaterfallFlows(development));
+    } else {
+      // With a known start date, roll the monthly engine up to years so each
+      // annual flow carries a real date and IRRs can be computed with XIRR
+      const isDated = !!(modelInputs.analysisStartDate || modelInputs.acquisitionDate);
+      const cashFlowProjection = isDated
+        ? projectDetailedCashFlows(modelInputs, null, { granularity: 'monthly' })
+        : projectDetailedCashFlows(modelInputs);
+
+      // Extract cash flows array (operating + exit in final year)
+      cashFlows = cashFlowProjection.years.map((y, idx) => {
+        if (idx === cashFlowProjection.years.length - 1) {
+          // Last year: add exit proceeds
+          return y.beforeTaxCashFlow + (cashFlowProjection.exit?.netEquityProceeds || 0);
+        }
+        return y.beforeTaxCashFlow;
+      });
+      cashFlowDates = isDated
+        ? [cashFlowProjection.years[0].startDate, ...cashFlowProjection.years.map(y => y.endDate)]
+        : null;
+    }
 
     // Parse waterfall structure
     const waterfallStructure = {
-      lpEquity: structure.lpEquity,
-      gpEquity: structure.gpEquity,
-      preferredReturn: structure.preferredReturn,
-      promoteTiers: JSON.parse(structure.promoteTiers),
-      gpCatchUp: structure.gpCatchUp,
-      catchUpPercent: structure.catchUpPercent,
-      lookback: structure.lookback
+      ...buildWaterfallInputs(structure),
+      ...(waterfallMode ? { waterfallMode } : {})
     };
 
     // Build options for per-class waterfall calculation
-    let waterfallOptions = {};
+    let waterfallOptions = {
+      ...(cashFlowDates ? { dates: cashFlowDates } : {}),
+      ...(capitalEventPeriods ? { capitalEventPeriods } : {})
+    };
 
     if (usePerClassWaterfall) {
       // Fetch LP actors with share class data for per-class calculation
@@ -1732,6 +2489,7 @@ export async function handleCalculateWaterfall(req, res, dealId) {
 
         if (hasMultipleClasses || hasDifferentTerms) {
           waterfallOptions = {
+            ...waterfallOptions,
             useClassTerms: true,
             perClassConfig
           };
@@ -1759,7 +2517,9 @@ export async function handleCalculateWaterfall(req, res, dealId) {
         gpEquityMultiple: waterfallResult.summary.gpEquityMultiple,
         totalPromote: waterfallResult.summary.totalPromote,
         lpTotalReturn: waterfallResult.summary.lpTotalReturn,
-        gpTotalReturn: waterfallResult.summary.gpTotalReturn
+        gpTotalReturn: waterfallResult.summary.gpTotalReturn,
+        waterfallMode: waterfallResult.summary.waterfallMode,
+        clawback: waterfallResult.clawback ? JSON.stringify(waterfallResult.clawback) : null
       }
     });
 
@@ -1773,6 +2533,9 @@ export async function handleCalculateWaterfall(req, res, dealId) {
         ...formatted
       },
       cashFlowsUsed: cashFlows,
+      cashFlowDates,
+      cashFlowSource: development ? 'DEVELOPMENT' : 'STABILIZED',
+      ...(development ? { development: summarizeDevelopment(development) } : {}),
       scenarioId
     };
 
@@ -1822,8 +2585,10 @@ export async function handleListWaterfallDistributions(req, res, dealId) {
         totalPromote: d.totalPromote,
         lpTotalReturn: d.lpTotalReturn,
         gpTotalReturn: d.gpTotalReturn,
+        waterfallMode: d.waterfallMode,
         calculatedAt: d.calculatedAt,
-        yearlyDistributions: JSON.parse(d.yearlyDistributions)
+        yearlyDistributions: JSON.parse(d.yearlyDistributions),
+        clawback: d.clawback ? JSON.parse(d.clawback) : null
       }))
     });
 
@@ -1881,7 +2646,8 @@ export async function handleCompareWaterfalls(req, res, dealId) {
       exitCapRate: model?.exitCapRate || 0.055,
       holdPeriod: model?.holdPeriod || 5,
       rentGrowth: model?.rentGrowth || 0.03,
-      expenseGrowth: model?.expenseGrowth || 0.02
+      expenseGrowth: model?.expenseGrowth || 0.02,
+      ...parseDebtTerms(model)
     };
 
     // Calculate cash flows for each scenario
@@ -1914,25 +2680,14 @@ export async function handleCompareWaterfalls(req, res, dealId) {
     }
 
     // Parse waterfall structure
-    const waterfallStructure = {
-      lpEquity: structure.lpEquity,
-      gpEquity: structure.gpEquity,
-      preferredReturn: structure.preferredReturn,
-      promoteTiers: JSON.parse(structure.promoteTiers),
-      gpCatchUp: structure.gpCatchUp,
-      catchUpPercent: structure.catchUpPercent,
-      lookback: structure.lookback
-    };
+    const waterfallStructure = buildWaterfallInputs(structure);
 
     // Compare across scenarios
     const comparison = compareWaterfallScenarios(scenarioCashFlows, waterfallStructure);
 
     return sendJson(res, 200, {
       comparison,
-      structure: {
-        ...structure,
-        promoteTiers: JSON.parse(structure.promoteTiers)
-      }
+      structure: parseWaterfallStructure(structure)
     });
 
   } catch (error) {
@@ -1953,7 +2708,9 @@ export async function handleGetSensitivityOptions(req, res, dealId) {
   if (!authUser) return;
 
   try {
-    const options = getSensitivityOptions();
+    // Tranche fields are only offered when the model carries a debt stack
+    const model = await getPrisma().underwritingModel.findUnique({ where: { dealId } });
+    const options = getSensitivityOptions(parseDebtTerms(model));
     return sendJson(res, 200, options);
   } catch (error) {
     console.error('[Sensitivity] Get options error:', error);
@@ -2010,7 +2767,8 @@ export async function handleCalculateSensitivityMatrix(req, res, dealId) {
       exitCapRate: model.exitCapRate || 0.055,
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
-      expenseGrowth: model.expenseGrowth || 0.02
+      expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseDebtTerms(model)
     };
 
     // Calculate sensitivity matrix
@@ -2076,7 +2834,8 @@ export async function handleHoldPeriodSensitivity(req, res, dealId) {
       exitCapRate: model.exitCapRate || 0.055,
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
-      expenseGrowth: model.expenseGrowth || 0.02
+      expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseDebtTerms(model)
     };
 
     // Calculate hold period sensitivity
@@ -2130,7 +2889,8 @@ export async function handleQuickSensitivity(req, res, dealId) {
       exitCapRate: model.exitCapRate || 0.055,
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
-      expenseGrowth: model.expenseGrowth || 0.02
+      expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseDebtTerms(model)
     };
 
     // Calculate quick sensitivity
@@ -2203,6 +2963,7 @@ export async function handleCreateScenarioFromSensitivity(req, res, dealId, auth
       holdPeriod: model.holdPeriod || 5,
       rentGrowth: model.rentGrowth || 0.03,
       expenseGrowth: model.expenseGrowth || 0.02,
+      ...parseDebtTerms(model),
       ...scenarioTemplate.assumptions
     };
 
@@ -2243,6 +3004,274 @@ export async function handleCreateScenarioFromSensitivity(req, res, dealId, auth
   }
 }
 
+/**
+ * Build sensitivity model inputs from the underwriting model and deal profile
+ */
+function buildSensitivityInputs(model, profile) {
+  return {
+    purchasePrice: profile.purchase_price,
+    grossPotentialRent: model.grossPotentialRent,
+    vacancyRate: model.vacancyRate || 0.05,
+    otherIncome: model.otherIncome || 0,
+    operatingExpenses: model.operatingExpenses,
+    taxes: model.taxes,
+    insurance: model.insurance,
+    management: model.management,
+    reserves: model.reserves,
+    loanAmount: model.loanAmount,
+    interestRate: model.interestRate,
+    amortization: model.amortization || 30,
+    loanTerm: model.loanTerm,
+    exitCapRate: model.exitCapRate || 0.055,
+    holdPeriod: model.holdPeriod || 5,
+    rentGrowth: model.rentGrowth || 0.03,
+    expenseGrowth: model.expenseGrowth || 0.02,
+    ...parseDebtTerms(model)
+  };
+}
+
+/**
+ * Pick the exit optimizer options out of a request body
+ */
+function parseExitOptimizerOptions(body) {
+  const { objective, minDSCR, exitYears, exitCapRates, allowRefinance, refinance } = body;
+
+  if (objective !== undefined && !EXIT_OBJECTIVES[objective]) {
+    return { error: `objective must be one of: ${Object.keys(EXIT_OBJECTIVES).join(', ')}` };
+  }
+  if (minDSCR !== undefined && minDSCR !== null && (typeof minDSCR !== 'number' || minDSCR <= 0)) {
+    return { error: 'minDSCR must be a positive number or null' };
+  }
+  if (exitYears !== undefined && (!Array.isArray(exitYears) || exitYears.length > MAX_EXIT_YEARS ||
+      !exitYears.every(y => Number.isInteger(y) && y >= 1 && y <= 30))) {
+    return { error: `exitYears must be an array of at most ${MAX_EXIT_YEARS} whole years between 1 and 30` };
+  }
+  if (exitCapRates !== undefined && (!Array.isArray(exitCapRates) || exitCapRates.length > MAX_EXIT_CAP_RATES ||
+      !exitCapRates.every(c => typeof c === 'number' && c > 0 && c < 1))) {
+    return { error: `exitCapRates must be an array of at most ${MAX_EXIT_CAP_RATES} decimals (e.g. 0.055)` };
+  }
+  if (refinance !== undefined && (typeof refinance !== 'object' || refinance === null ||
+      (refinance.ltv !== undefined && !(refinance.ltv > 0 && refinance.ltv < 1)))) {
+    return { error: 'refinance must be an object; refinance.ltv must be between 0 and 1' };
+  }
+
+  return {
+    options: { objective, minDSCR, exitYears, exitCapRates, allowRefinance, refinance }
+  };
+}
+
+/**
+ * POST /api/deals/:dealId/sensitivity/exit-optimizer
+ * Search exit year, exit cap rate and refinance timing for the best plan
+ *
+ * Body: { objective?, minDSCR?, exitYears?, exitCapRates?, allowRefinance?, refinance? }
+ */
+export async function handleOptimizeExitPlan(req, res, dealId) {
+  // Require authentication and org access
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const parsed = parseExitOptimizerOptions(body ? JSON.parse(body) : {});
+    if (parsed.error) {
+      return sendJson(res, 400, { error: parsed.error });
+    }
+
+    // Get underwriting model
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    // Get deal profile for purchase price
+    const dealProfile = await prisma.dealProfile.findUnique({ where: { dealId } });
+    const profile = dealProfile ? JSON.parse(dealProfile.profile) : {};
+
+    const result = optimizeExitPlan(buildSensitivityInputs(model, profile), parsed.options);
+
+    return sendJson(res, 200, {
+      dealId,
+      currentHoldPeriod: model.holdPeriod || 5,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('[Sensitivity] Exit optimizer error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /api/deals/:dealId/sensitivity/exit-optimizer/create-scenario
+ * Save an exit plan as an UnderwritingScenario, with the optimizer's
+ * comparison against other hold periods stored alongside its results
+ *
+ * Body: { exitYear, exitCapRate, refinanceYear?, customName?, ...optimizer options }
+ * SECURITY: authUser is required and must come from validated JWT at dispatch level
+ */
+export async function handleCreateScenarioFromExitPlan(req, res, dealId, authUser) {
+  const prisma = getPrisma();
+  if (!authUser) {
+    return sendJson(res, 401, { error: 'Not authenticated' });
+  }
+  const userId = authUser.id || 'system';
+  const userName = authUser.name || 'System';
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const data = JSON.parse(body);
+    const { exitYear, exitCapRate, refinanceYear = null, customName } = data;
+
+    // Validate required fields
+    if (!Number.isInteger(exitYear) || typeof exitCapRate !== 'number') {
+      return sendJson(res, 400, { error: 'Missing required fields: exitYear, exitCapRate' });
+    }
+    if (refinanceYear !== null && (!Number.isInteger(refinanceYear) || refinanceYear < 1 || refinanceYear >= exitYear)) {
+      return sendJson(res, 400, { error: 'refinanceYear must be a whole year before exitYear' });
+    }
+    const parsed = parseExitOptimizerOptions(data);
+    if (parsed.error) {
+      return sendJson(res, 400, { error: parsed.error });
+    }
+
+    // Get underwriting model
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    // Get deal profile for purchase price
+    const dealProfile = await prisma.dealProfile.findUnique({ where: { dealId } });
+    const profile = dealProfile ? JSON.parse(dealProfile.profile) : {};
+    const modelInputs = buildSensitivityInputs(model, profile);
+
+    // Re-evaluate the plan server-side and rerun the search for the comparison
+    const optimization = optimizeExitPlan(modelInputs, parsed.options);
+    const plan = evaluateExitPlan(
+      modelInputs,
+      { exitYear, exitCapRate, refinanceYear },
+      parsed.options.refinance,
+      optimization.constraints.minDSCR
+    );
+    const scenarioTemplate = createScenarioFromExitPlan(plan, optimization);
+
+    // Going-in metrics come from the standard calculator; returns from the plan
+    const calculated = calculateUnderwriting({ ...modelInputs, ...scenarioTemplate.assumptions });
+
+    const scenario = await prisma.underwritingScenario.create({
+      data: {
+        dealId,
+        name: customName || scenarioTemplate.name,
+        description: scenarioTemplate.description,
+        assumptions: JSON.stringify(scenarioTemplate.assumptions),
+        results: JSON.stringify({
+          irr: plan.irr,
+          cashOnCash: calculated.returns.cashOnCash,
+          dscr: plan.minDSCR,
+          equityMultiple: plan.equityMultiple,
+          goingInCapRate: calculated.returns.goingInCapRate,
+          profit: plan.profit,
+          exitPlan: {
+            objective: optimization.objective,
+            minDSCR: optimization.constraints.minDSCR,
+            feasible: plan.feasible,
+            isOptimal: optimization.chosenPlan?.id === plan.id,
+            cashFlows: plan.cashFlows,
+            refinance: plan.refinance,
+            byExitYear: optimization.byExitYear,
+            rationale: optimization.rationale
+          }
+        }),
+        isBaseCase: false,
+        createdBy: userId,
+        createdByName: userName
+      }
+    });
+
+    return sendJson(res, 201, {
+      scenario: {
+        ...scenario,
+        assumptions: JSON.parse(scenario.assumptions),
+        results: JSON.parse(scenario.results)
+      }
+    });
+
+  } catch (error) {
+    console.error('[Sensitivity] Create exit plan scenario error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /api/deals/:dealId/sensitivity/monte-carlo
+ * Run a Monte Carlo simulation over rent growth, vacancy, exit cap, expense
+ * growth and interest rate
+ *
+ * Body: { iterations?, seed?, distributions?, correlations?, hurdles?, dscrCovenants? }
+ * Hurdles default to the deal's waterfall preferred return when one exists.
+ */
+export async function handleMonteCarloSimulation(req, res, dealId) {
+  // Require authentication and org access
+  const authUser = await requireDealOrgAccess(req, res, dealId);
+  if (!authUser) return;
+
+  const prisma = getPrisma();
+
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const options = body ? JSON.parse(body) : {};
+
+    const errors = validateSimulationOptions(options);
+    if (options.hurdles !== undefined && (!Array.isArray(options.hurdles) || !options.hurdles.every(h => typeof h === 'number'))) {
+      errors.push('hurdles must be an array of decimals (e.g. 0.08)');
+    }
+    if (options.dscrCovenants !== undefined && (!Array.isArray(options.dscrCovenants) || !options.dscrCovenants.every(c => typeof c === 'number' && c > 0))) {
+      errors.push('dscrCovenants must be an array of positive numbers');
+    }
+    if (errors.length > 0) {
+      return sendJson(res, 400, { error: 'Invalid simulation options', details: errors });
+    }
+
+    // Get underwriting model
+    const model = await prisma.underwritingModel.findUnique({ where: { dealId } });
+    if (!model) {
+      return sendJson(res, 404, { error: 'No underwriting model found' });
+    }
+
+    // Get deal profile for purchase price
+    const dealProfile = await prisma.dealProfile.findUnique({ where: { dealId } });
+    const profile = dealProfile ? JSON.parse(dealProfile.profile) : {};
+
+    // Preferred return from the waterfall is the default IRR hurdle
+    const structure = await prisma.waterfallStructure.findUnique({ where: { dealId } });
+
+    const modelInputs = {
+      ...buildSensitivityInputs(model, profile),
+      preferredReturn: structure?.preferredReturn
+    };
+
+    const result = runMonteCarlo(modelInputs, options);
+
+    return sendJson(res, 200, {
+      dealId,
+      ...result
+    });
+
+  } catch (error) {
+    if (/positive definite/.test(error.message)) {
+      return sendJson(res, 400, { error: error.message });
+    }
+    console.error('[Sensitivity] Monte Carlo error:', error);
+    return sendJson(res, 500, { error: error.message });
+  }
+}
+
 // ============ SECTOR API ENDPOINTS ============
 
 /**
@@ -2637,6 +3666,18 @@ export default {
   handleVerifyInput,
   handleGetCashFlows,
   handleGetScenarioCashFlows,
+  // Debt structure endpoints
+  handleGetDebtStack,
+  handleUpdateDebtStack,
+  handleGetFloatingRate,
+  handleUpdateFloatingRate,
+  // Lease-by-lease endpoints
+  handleGetLeaseCashFlows,
+  handleUpdateLeasingAssumptions,
+  handleUpdateLeaseTerms,
+  // Development budget endpoints
+  handleGetDevelopmentBudget,
+  handleUpdateDevelopmentBudget,
   // Waterfall endpoints
   handleGetWaterfall,
   handleCreateWaterfall,
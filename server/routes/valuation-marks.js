@@ -0,0 +1,588 @@
+/**
+ * Valuation Marks Routes
+ *
+ * Quarterly NAV for LP reporting: the GP marks the deal by direct cap, DCF or
+ * an appraisal, writes a supporting memo and submits the mark; another GP
+ * approves it. Approval runs the net equity value through the waterfall and
+ * stores each LP's NAV, which LP statements, the portal and the IRR report
+ * use as residual value. Every change is recorded in the mark's history.
+ *
+ * Endpoints:
+ * - GET /api/deals/:dealId/valuation-marks - List marks (mark history)
+ * - POST /api/deals/:dealId/valuation-marks - Create a draft mark
+ * - GET /api/deals/:dealId/valuation-marks/:markId - Mark, audit history and NAV (preview until approved)
+ * - PATCH /api/deals/:dealId/valuation-marks/:markId - Edit a draft or rejected mark
+ * - POST /api/deals/:dealId/valuation-marks/:markId/submit - Submit for approval
+ * - POST /api/deals/:dealId/valuation-marks/:markId/approve - Approve and allocate LP NAV
+ * - POST /api/deals/:dealId/valuation-marks/:markId/reject - Reject with a reason
+ * - GET /api/deals/:dealId/nav - Current NAV by LP and approved mark history
+ *
+ * Valuation and NAV allocation are done by services/valuation-marks.js.
+ */
+
+import { getPrisma } from "../db.js";
+import { deleteCacheByPrefix } from "../runtime.js";
+import { createDealEvent } from "../services/audit-service.js";
+import { parseMonthlyAssumptions, parseDebtTerms } from "./underwriting.js";
+import {
+  MARK_STATUSES,
+  SELF_APPROVAL_ERROR,
+  quarterEndDate,
+  validateMarkRequest,
+  checkTransition,
+  nextStatus,
+  diffMark,
+  valueProperty,
+  allocateNav,
+  hashNav
+} from "../services/valuation-marks.js";
+
+const LOG_PREFIX = "[ValuationMarks]";
+
+function log(message, data = {}) {
+  console.log(`${LOG_PREFIX} ${message}`, Object.keys(data).length > 0 ? JSON.stringify(data) : '');
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, { message, details: details ?? null });
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function serializeMark(mark) {
+  return {
+    id: mark.id,
+    dealId: mark.dealId,
+    year: mark.year,
+    quarter: mark.quarter,
+    period: `Q${mark.quarter} ${mark.year}`,
+    asOfDate: mark.asOfDate.toISOString(),
+    method: mark.method,
+    status: mark.status,
+    inputs: parseJson(mark.inputs, {}),
+    valuation: parseJson(mark.valuation),
+    grossAssetValue: mark.grossAssetValue,
+    netEquityValue: mark.netEquityValue,
+    memo: mark.memo,
+    nav: parseJson(mark.nav),
+    lpNav: mark.lpNav,
+    gpNav: mark.gpNav,
+    navHash: mark.navHash,
+    submittedAt: mark.submittedAt?.toISOString() || null,
+    submittedByName: mark.submittedByName,
+    approvedAt: mark.approvedAt?.toISOString() || null,
+    approvedByName: mark.approvedByName,
+    rejectedAt: mark.rejectedAt?.toISOString() || null,
+    rejectedByName: mark.rejectedByName,
+    rejectionReason: mark.rejectionReason,
+    createdByName: mark.createdByName,
+    createdAt: mark.createdAt.toISOString(),
+    updatedAt: mark.updatedAt.toISOString()
+  };
+}
+
+function serializeHistory(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    changes: parseJson(entry.changes, []),
+    note: entry.note,
+    actorName: entry.actorName,
+    createdAt: entry.createdAt.toISOString()
+  };
+}
+
+/** Mark fields in the shape diffMark compares */
+function auditView(mark) {
+  return {
+    method: mark.method,
+    inputs: parseJson(mark.inputs, {}),
+    memo: mark.memo,
+    grossAssetValue: mark.grossAssetValue,
+    netEquityValue: mark.netEquityValue,
+    status: mark.status
+  };
+}
+
+function actorFields(authUser) {
+  return { actorId: authUser.id, actorName: authUser.name || 'Unknown' };
+}
+
+async function findMark(dealId, markId) {
+  const mark = await getPrisma().valuationMark.findUnique({ where: { id: markId } });
+  return mark && mark.dealId === dealId ? mark : null;
+}
+
+// ============================================================================
+// VALUATION
+// ============================================================================
+
+/**
+ * Load the underwriting model, projection inputs and T12 for the valuation
+ */
+async function loadValuationContext(dealId) {
+  const prisma = getPrisma();
+  const [model, dealProfile, t12LineItems] = await Promise.all([
+    prisma.underwritingModel.findUnique({ where: { dealId } }),
+    prisma.dealProfile.findUnique({ where: { dealId } }),
+    prisma.t12LineItem.findMany({ where: { dealId } })
+  ]);
+  const profile = parseJson(dealProfile?.profile, {});
+
+  const modelInputs = model ? {
+    purchasePrice: profile.purchase_price,
+    grossPotentialRent: model.grossPotentialRent,
+    vacancyRate: model.vacancyRate || 0.05,
+    otherIncome: model.otherIncome || 0,
+    operatingExpenses: model.operatingExpenses,
+    taxes: model.taxes,
+    insurance: model.insurance,
+    management: model.management,
+    reserves: model.reserves,
+    loanAmount: model.loanAmount,
+    interestRate: model.interestRate,
+    amortization: model.amortization || 30,
+    loanTerm: model.loanTerm,
+    ioPeriod: model.ioPeriod || 0,
+    exitCapRate: model.exitCapRate || 0.055,
+    holdPeriod: model.holdPeriod || 5,
+    rentGrowth: model.rentGrowth || 0.03,
+    expenseGrowth: model.expenseGrowth || 0.02,
+    ...parseMonthlyAssumptions(model),
+    ...parseDebtTerms(model)
+  } : null;
+
+  return { model, modelInputs, t12LineItems, debtBalance: model?.loanAmount || 0 };
+}
+
+/**
+ * Validate a request and value the deal
+ * @returns {Object} { data, errors } - data holds the mark's valuation fields
+ */
+async function valueMark(dealId, request, options = {}) {
+  const errors = validateMarkRequest(request, options);
+  if (errors.length > 0) return { errors };
+
+  const context = await loadValuationContext(dealId);
+  const valuation = valueProperty(request.method, request.inputs || {}, context);
+  if (valuation.error) return { errors: [valuation.error] };
+
+  return {
+    errors: [],
+    data: {
+      method: request.method,
+      inputs: JSON.stringify(request.inputs || {}),
+      valuation: JSON.stringify(valuation),
+      grossAssetValue: valuation.grossAssetValue,
+      netEquityValue: valuation.netEquityValue,
+      memo: request.memo ?? null
+    }
+  };
+}
+
+/**
+ * Run a mark's net equity value through the deal waterfall
+ */
+async function computeNav(mark) {
+  const prisma = getPrisma();
+  const dealId = mark.dealId;
+  const [structure, lpActors, capitalCalls, distributions] = await Promise.all([
+    prisma.waterfallStructure.findUnique({ where: { dealId } }),
+    prisma.lPActor.findMany({
+      where: { dealId, status: 'ACTIVE' },
+      include: { shareClass: { select: { id: true, code: true, name: true, preferredReturn: true, priority: true } } }
+    }),
+    prisma.capitalCall.findMany({ where: { dealId }, include: { allocations: true } }),
+    prisma.distribution.findMany({ where: { dealId, distributionDate: { lte: mark.asOfDate } } })
+  ]);
+
+  return allocateNav({
+    netEquityValue: mark.netEquityValue,
+    asOfDate: mark.asOfDate,
+    structure,
+    lpActors,
+    capitalCalls,
+    distributions
+  });
+}
+
+// ============================================================================
+// GP ENDPOINTS
+// ============================================================================
+
+/**
+ * List valuation marks for a deal, newest period first
+ * GET /api/deals/:dealId/valuation-marks
+ */
+export async function handleListValuationMarks(req, res, dealId) {
+  const marks = await getPrisma().valuationMark.findMany({
+    where: { dealId },
+    orderBy: [{ year: 'desc' }, { quarter: 'desc' }, { createdAt: 'desc' }]
+  });
+
+  sendJson(res, 200, { marks: marks.map(serializeMark) });
+}
+
+/**
+ * Create a draft mark
+ * POST /api/deals/:dealId/valuation-marks
+ * Body: { year, quarter, method, inputs, memo? }
+ */
+export async function handleCreateValuationMark(req, res, dealId, readJsonBody, authUser) {
+  const body = await readJsonBody(req);
+  const request = {
+    year: Number(body?.year),
+    quarter: Number(body?.quarter),
+    method: body?.method,
+    inputs: body?.inputs || {},
+    memo: body?.memo
+  };
+
+  const { data, errors } = await valueMark(dealId, request);
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid valuation mark", errors);
+  }
+
+  const prisma = getPrisma();
+  const mark = await prisma.valuationMark.create({
+    data: {
+      dealId,
+      year: request.year,
+      quarter: request.quarter,
+      asOfDate: quarterEndDate(request.year, request.quarter),
+      ...data,
+      createdBy: authUser.id,
+      createdByName: authUser.name || 'Unknown'
+    }
+  });
+  await prisma.valuationMarkHistory.create({
+    data: {
+      markId: mark.id,
+      action: 'CREATED',
+      changes: JSON.stringify(diffMark({}, auditView(mark))),
+      ...actorFields(authUser)
+    }
+  });
+
+  await createDealEvent(dealId, 'VALUATION_MARK_CREATED', {
+    markId: mark.id,
+    period: `Q${mark.quarter} ${mark.year}`,
+    method: mark.method,
+    netEquityValue: mark.netEquityValue
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  log(`Created valuation mark`, { dealId, markId: mark.id, method: mark.method });
+  sendJson(res, 201, { mark: serializeMark(mark) });
+}
+
+/**
+ * Get a mark with its audit history. Approved marks return the stored NAV;
+ * others return a NAV preview from current deal data.
+ * GET /api/deals/:dealId/valuation-marks/:markId
+ */
+export async function handleGetValuationMark(req, res, dealId, markId) {
+  const mark = await findMark(dealId, markId);
+  if (!mark) {
+    return sendError(res, 404, "Valuation mark not found");
+  }
+
+  const prisma = getPrisma();
+  const [history, lpNavs] = await Promise.all([
+    prisma.valuationMarkHistory.findMany({ where: { markId }, orderBy: { createdAt: 'asc' } }),
+    prisma.valuationMarkLPNav.findMany({ where: { markId } })
+  ]);
+  const stored = lpNavs.length > 0;
+
+  sendJson(res, 200, {
+    mark: serializeMark(mark),
+    history: history.map(serializeHistory),
+    navPreview: stored || mark.netEquityValue === null ? null : await computeNav(mark),
+    lpNavs: lpNavs.map(row => ({ lpActorId: row.lpActorId, nav: row.nav, shareClassCode: row.shareClassCode }))
+  });
+}
+
+/**
+ * Edit a draft or rejected mark; the valuation is recomputed and a rejected
+ * mark returns to draft
+ * PATCH /api/deals/:dealId/valuation-marks/:markId
+ * Body: { method?, inputs?, memo? }
+ */
+export async function handleUpdateValuationMark(req, res, dealId, markId, readJsonBody, authUser) {
+  const mark = await findMark(dealId, markId);
+  if (!mark) {
+    return sendError(res, 404, "Valuation mark not found");
+  }
+  const transitionError = checkTransition(mark, 'EDIT', authUser);
+  if (transitionError) {
+    return sendError(res, 409, transitionError);
+  }
+
+  const body = await readJsonBody(req) || {};
+  const request = {
+    method: body.method ?? mark.method,
+    inputs: body.inputs ?? parseJson(mark.inputs, {}),
+    memo: body.memo !== undefined ? body.memo : mark.memo
+  };
+  const { data, errors } = await valueMark(dealId, request, { partial: true });
+  if (errors.length > 0) {
+    return sendError(res, 400, "Invalid valuation mark", errors);
+  }
+
+  const prisma = getPrisma();
+  const updated = await prisma.valuationMark.update({
+    where: { id: mark.id },
+    data: { ...data, status: nextStatus('EDIT') }
+  });
+  const changes = diffMark(auditView(mark), auditView(updated));
+  if (changes.length > 0) {
+    await prisma.valuationMarkHistory.create({
+      data: { markId: mark.id, action: 'UPDATED', changes: JSON.stringify(changes), ...actorFields(authUser) }
+    });
+  }
+
+  log(`Updated valuation mark`, { dealId, markId, changed: changes.map(c => c.field) });
+  sendJson(res, 200, { mark: serializeMark(updated) });
+}
+
+/**
+ * Submit a draft mark for approval (requires a memo)
+ * POST /api/deals/:dealId/valuation-marks/:markId/submit
+ */
+export async function handleSubmitValuationMark(req, res, dealId, markId, authUser) {
+  const mark = await findMark(dealId, markId);
+  if (!mark) {
+    return sendError(res, 404, "Valuation mark not found");
+  }
+  const transitionError = checkTransition(mark, 'SUBMIT', authUser);
+  if (transitionError) {
+    return sendError(res, 409, transitionError);
+  }
+
+  const prisma = getPrisma();
+  const updated = await prisma.valuationMark.update({
+    where: { id: mark.id },
+    data: {
+      status: nextStatus('SUBMIT'),
+      submittedAt: new Date(),
+      submittedBy: authUser.id,
+      submittedByName: authUser.name || 'Unknown'
+    }
+  });
+  await prisma.valuationMarkHistory.create({
+    data: {
+      markId: mark.id,
+      action: 'SUBMITTED',
+      changes: JSON.stringify(diffMark(auditView(mark), auditView(updated))),
+      ...actorFields(authUser)
+    }
+  });
+
+  await createDealEvent(dealId, 'VALUATION_MARK_SUBMITTED', {
+    markId: mark.id,
+    period: `Q${mark.quarter} ${mark.year}`,
+    netEquityValue: mark.netEquityValue
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  log(`Submitted valuation mark`, { dealId, markId });
+  sendJson(res, 200, { mark: serializeMark(updated) });
+}
+
+/**
+ * Approve a submitted mark: allocate LP NAV through the waterfall, store it
+ * and supersede the previously approved mark for the quarter
+ * POST /api/deals/:dealId/valuation-marks/:markId/approve
+ */
+export async function handleApproveValuationMark(req, res, dealId, markId, authUser) {
+  const mark = await findMark(dealId, markId);
+  if (!mark) {
+    return sendError(res, 404, "Valuation mark not found");
+  }
+  const transitionError = checkTransition(mark, 'APPROVE', authUser);
+  if (transitionError) {
+    return sendError(res, transitionError === SELF_APPROVAL_ERROR ? 403 : 409, transitionError);
+  }
+
+  const nav = await computeNav(mark);
+  const prisma = getPrisma();
+  const previous = await prisma.valuationMark.findMany({
+    where: { dealId, year: mark.year, quarter: mark.quarter, status: MARK_STATUSES.APPROVED }
+  });
+  const actor = actorFields(authUser);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    for (const prior of previous) {
+      await tx.valuationMark.update({ where: { id: prior.id }, data: { status: MARK_STATUSES.SUPERSEDED } });
+      await tx.valuationMarkHistory.create({
+        data: {
+          markId: prior.id,
+          action: 'SUPERSEDED',
+          changes: JSON.stringify([{ field: 'status', from: prior.status, to: MARK_STATUSES.SUPERSEDED }]),
+          note: `Superseded by mark ${mark.id}`,
+          ...actor
+        }
+      });
+    }
+
+    const approved = await tx.valuationMark.update({
+      where: { id: mark.id },
+      data: {
+        status: nextStatus('APPROVE'),
+        nav: JSON.stringify(nav),
+        lpNav: nav.lpTotal,
+        gpNav: nav.gpTotal,
+        navHash: hashNav(nav),
+        approvedAt: new Date(),
+        approvedBy: authUser.id,
+        approvedByName: authUser.name || 'Unknown'
+      }
+    });
+    await tx.valuationMarkLPNav.createMany({
+      data: nav.byLp.map(row => ({
+        markId: mark.id,
+        dealId,
+        lpActorId: row.lpActorId,
+        asOfDate: mark.asOfDate,
+        nav: row.nav,
+        shareClassCode: row.shareClassCode
+      }))
+    });
+    await tx.valuationMarkHistory.create({
+      data: {
+        markId: mark.id,
+        action: 'APPROVED',
+        changes: JSON.stringify(diffMark(auditView(mark), auditView(approved))),
+        note: `LP NAV ${nav.lpTotal} (${nav.method})`,
+        ...actor
+      }
+    });
+    return approved;
+  });
+
+  // LP portal performance is valued at the approved NAV
+  deleteCacheByPrefix('lp-portal:');
+
+  await createDealEvent(dealId, 'VALUATION_MARK_APPROVED', {
+    markId: mark.id,
+    period: `Q${mark.quarter} ${mark.year}`,
+    method: mark.method,
+    netEquityValue: mark.netEquityValue,
+    lpNav: nav.lpTotal,
+    gpNav: nav.gpTotal,
+    allocationMethod: nav.method,
+    supersededMarkIds: previous.map(p => p.id)
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  log(`Approved valuation mark`, { dealId, markId, lpNav: nav.lpTotal, superseded: previous.length });
+  sendJson(res, 200, { mark: serializeMark(updated), nav });
+}
+
+/**
+ * Reject a submitted mark
+ * POST /api/deals/:dealId/valuation-marks/:markId/reject
+ * Body: { reason }
+ */
+export async function handleRejectValuationMark(req, res, dealId, markId, readJsonBody, authUser) {
+  const mark = await findMark(dealId, markId);
+  if (!mark) {
+    return sendError(res, 404, "Valuation mark not found");
+  }
+  const transitionError = checkTransition(mark, 'REJECT', authUser);
+  if (transitionError) {
+    return sendError(res, 409, transitionError);
+  }
+
+  const body = await readJsonBody(req);
+  const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) {
+    return sendError(res, 400, "reason is required");
+  }
+
+  const prisma = getPrisma();
+  const updated = await prisma.valuationMark.update({
+    where: { id: mark.id },
+    data: {
+      status: nextStatus('REJECT'),
+      rejectedAt: new Date(),
+      rejectedBy: authUser.id,
+      rejectedByName: authUser.name || 'Unknown',
+      rejectionReason: reason
+    }
+  });
+  await prisma.valuationMarkHistory.create({
+    data: {
+      markId: mark.id,
+      action: 'REJECTED',
+      changes: JSON.stringify(diffMark(auditView(mark), auditView(updated))),
+      note: reason,
+      ...actorFields(authUser)
+    }
+  });
+
+  await createDealEvent(dealId, 'VALUATION_MARK_REJECTED', {
+    markId: mark.id,
+    period: `Q${mark.quarter} ${mark.year}`,
+    reason
+  }, { id: authUser.id, name: authUser.name, role: authUser.role });
+
+  log(`Rejected valuation mark`, { dealId, markId });
+  sendJson(res, 200, { mark: serializeMark(updated) });
+}
+
+/**
+ * Current NAV by LP from the latest approved mark, with the approved mark
+ * history for the deal
+ * GET /api/deals/:dealId/nav
+ */
+export async function handleGetDealNav(req, res, dealId) {
+  const prisma = getPrisma();
+  const approved = await prisma.valuationMark.findMany({
+    where: { dealId, status: MARK_STATUSES.APPROVED },
+    orderBy: { asOfDate: 'desc' }
+  });
+  const current = approved[0] || null;
+
+  let lps = [];
+  if (current) {
+    const [lpNavs, lpActors] = await Promise.all([
+      prisma.valuationMarkLPNav.findMany({ where: { markId: current.id } }),
+      prisma.lPActor.findMany({ where: { dealId }, select: { id: true, entityName: true } })
+    ]);
+    const names = new Map(lpActors.map(lp => [lp.id, lp.entityName]));
+    lps = lpNavs.map(row => ({
+      lpActorId: row.lpActorId,
+      entityName: names.get(row.lpActorId) || null,
+      shareClassCode: row.shareClassCode,
+      nav: row.nav
+    }));
+  }
+
+  sendJson(res, 200, {
+    current: current ? serializeMark(current) : null,
+    lps,
+    history: approved.map(mark => ({
+      markId: mark.id,
+      period: `Q${mark.quarter} ${mark.year}`,
+      asOfDate: mark.asOfDate.toISOString(),
+      method: mark.method,
+      grossAssetValue: mark.grossAssetValue,
+      netEquityValue: mark.netEquityValue,
+      lpNav: mark.lpNav,
+      gpNav: mark.gpNav
+    }))
+  });
+}
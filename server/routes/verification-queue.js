@@ -16,6 +16,7 @@
  */
 
 import { extractionClaimService } from '../services/extraction-claim-service.js';
+import { queueFactIndexRefresh } from '../services/rag-citation-service.js';
 
 function sendJson(res, status, payload) {
   res.writeHead(status, {
@@ -186,6 +187,9 @@ async function handleVerifyClaim(req, res, claimId, readJsonBody, authUser) {
       correctedValue
     });
 
+    // Verified values become citable facts in the deal's retrieval index
+    queueFactIndexRefresh(claim.dealId);
+
     sendJson(res, 200, {
       success: true,
       message: 'Claim verified successfully',
@@ -260,6 +264,10 @@ async function handleBulkVerify(req, res, dealId, readJsonBody, authUser) {
       minConfidence: minConfidence ? parseFloat(minConfidence) : undefined
     });
 
+    if (results.verified.length > 0) {
+      queueFactIndexRefresh(dealId);
+    }
+
     sendJson(res, 200, {
       success: true,
       message: `Verified ${results.verified.length} claims`,
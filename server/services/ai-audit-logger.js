@@ -53,6 +53,15 @@ function hashSystemPrompt(systemPrompt) {
  * @param {string} [params.jailbreakPatterns] - JSON array of detected patterns
  * @param {boolean} [params.outputValidationPassed=true] - Whether output validation passed
  * @param {string} [params.outputValidationIssues] - JSON array of output issues
+ * @param {string} [params.provider] - LLM provider (openai, local, replay)
+ * @param {string} [params.feature] - Routed LLM feature
+ * @param {number} [params.promptTokens=0] - Prompt tokens used
+ * @param {number} [params.completionTokens=0] - Completion tokens used
+ * @param {number} [params.totalTokens=0] - Total tokens used
+ * @param {number} [params.costUsd] - Estimated USD cost
+ * @param {number} [params.latencyMs] - Provider wall time
+ * @param {number} [params.attempts=1] - Provider attempts including retries
+ * @param {Array<Object>} [params.toolCalls] - Calculator tool calls made for the answer
  */
 export async function logAIInteraction({
   userId,
@@ -76,6 +85,17 @@ export async function logAIInteraction({
   jailbreakPatterns = null,
   outputValidationPassed = true,
   outputValidationIssues = null,
+  // Provider accounting
+  provider = null,
+  feature = null,
+  promptTokens = 0,
+  completionTokens = 0,
+  totalTokens = 0,
+  costUsd = null,
+  latencyMs = null,
+  attempts = 1,
+  // Calculator tool calls
+  toolCalls = null,
 }) {
   const prisma = getPrisma();
 
@@ -103,6 +123,18 @@ export async function logAIInteraction({
         jailbreakPatterns: jailbreakPatterns ? (typeof jailbreakPatterns === 'string' ? jailbreakPatterns : JSON.stringify(jailbreakPatterns)) : null,
         outputValidationPassed,
         outputValidationIssues: outputValidationIssues ? (typeof outputValidationIssues === 'string' ? outputValidationIssues : JSON.stringify(outputValidationIssues)) : null,
+        // Provider accounting
+        provider,
+        feature,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        costUsd,
+        latencyMs,
+        attempts,
+        // Calculator tool calls
+        toolCalls: toolCalls?.length > 0 ? JSON.stringify(toolCalls) : null,
+        toolCallCount: toolCalls?.length || 0,
       },
     });
 
@@ -199,7 +231,7 @@ export async function getAIInteractionStats(organizationId, startDate, endDate)
   }
 
   try {
-    const [totalCount, byRole, byEndpoint, validationFailures] = await Promise.all([
+    const [totalCount, byRole, byEndpoint, validationFailures, usage, byFeature] = await Promise.all([
       // Total interactions
       prisma.aIInteractionLog.count({ where }),
 
@@ -221,6 +253,20 @@ export async function getAIInteractionStats(organizationId, startDate, endDate)
       prisma.aIInteractionLog.count({
         where: { ...where, validationPassed: false },
       }),
+
+      // Token and cost totals
+      prisma.aIInteractionLog.aggregate({
+        where,
+        _sum: { promptTokens: true, completionTokens: true, totalTokens: true, costUsd: true, toolCallCount: true },
+      }),
+
+      // Tokens and cost by routed LLM feature
+      prisma.aIInteractionLog.groupBy({
+        by: ['feature'],
+        where: { ...where, feature: { not: null } },
+        _count: { feature: true },
+        _sum: { totalTokens: true, costUsd: true },
+      }),
     ]);
 
     return {
@@ -235,6 +281,21 @@ export async function getAIInteractionStats(organizationId, startDate, endDate)
       }, {}),
       validationFailures,
       validationFailureRate: totalCount > 0 ? (validationFailures / totalCount) * 100 : 0,
+      usage: {
+        promptTokens: usage._sum.promptTokens || 0,
+        completionTokens: usage._sum.completionTokens || 0,
+        totalTokens: usage._sum.totalTokens || 0,
+        costUsd: usage._sum.costUsd || 0,
+        toolCalls: usage._sum.toolCallCount || 0,
+      },
+      byFeature: byFeature.reduce((acc, f) => {
+        acc[f.feature] = {
+          calls: f._count.feature,
+          totalTokens: f._sum.totalTokens || 0,
+          costUsd: f._sum.costUsd || 0,
+        };
+        return acc;
+      }, {}),
     };
   } catch (error) {
     console.error('Failed to get AI interaction stats:', error);
@@ -244,6 +305,8 @@ export async function getAIInteractionStats(organizationId, startDate, endDate)
       byEndpoint: {},
       validationFailures: 0,
       validationFailureRate: 0,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 },
+      byFeature: {},
     };
   }
 }
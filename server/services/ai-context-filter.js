@@ -859,6 +859,15 @@ export function filterFactsForUser(facts, authUser) {
       }
     }
 
+    // Document text from the retrieval index: document access plus the
+    // roles the document was indexed for
+    if (factType === 'DOCUMENT_CHUNK') {
+      if (!mask.documents || !fact.metadata?.allowedRoles?.includes(role)) {
+        roleFiltered++;
+        return false;
+      }
+    }
+
     passed++;
     return true;
   });
@@ -20,6 +20,7 @@ export const SECURITY_CONFIG = {
   jailbreakWarnThreshold: parseFloat(process.env.AI_JAILBREAK_WARN_THRESHOLD) || 0.5,
   maxInputLength: parseInt(process.env.AI_MAX_INPUT_LENGTH) || 10000,
   enableOutputValidation: process.env.AI_ENABLE_OUTPUT_VALIDATION !== 'false',
+  streamValidationMaxBuffer: parseInt(process.env.AI_STREAM_VALIDATION_MAX_BUFFER) || 400,
   debug: process.env.DEBUG_AI_SECURITY === 'true',
 };
 
@@ -356,6 +357,80 @@ export function detectCodeInjection(output) {
   };
 }
 
+// Sentence ends and line breaks: the points where streamed text is validated
+const STREAM_BOUNDARY_PATTERN = /[.!?](?=\s)|\n/g;
+
+function lastStreamBoundary(text) {
+  let end = 0;
+  for (const match of text.matchAll(STREAM_BOUNDARY_PATTERN)) {
+    end = match.index + match[0].length;
+  }
+  return end;
+}
+
+/**
+ * Validate a streamed LLM response at chunk boundaries
+ *
+ * Deltas are held back until a sentence end or line break (or maxBuffer
+ * characters without one), then everything up to that point is checked with
+ * validateLLMOutput. Text is only released once it passes; a high-severity
+ * issue withholds the chunk and tells the caller to abort the stream.
+ *
+ * @param {string} expectedType - Expected response type (see validateLLMOutput)
+ * @param {Object} options - { maxBuffer }
+ * @returns {Object} { push(delta), flush(), getState() } - push and flush
+ *   return { release: string, abort: boolean, validation }
+ */
+export function createStreamingOutputValidator(expectedType = 'chat', options = {}) {
+  const maxBuffer = options.maxBuffer ?? SECURITY_CONFIG.streamValidationMaxBuffer;
+  let assembled = '';
+  let releasedLength = 0;
+  let aborted = false;
+  let validation = { valid: true, issues: [], severity: 'none' };
+
+  function check(force) {
+    const pending = assembled.slice(releasedLength);
+    if (aborted || !pending) {
+      return { release: '', abort: aborted, validation };
+    }
+
+    let end = force ? pending.length : lastStreamBoundary(pending);
+    if (end === 0) {
+      if (pending.length < maxBuffer) {
+        return { release: '', abort: false, validation };
+      }
+      end = pending.length;
+    }
+
+    validation = validateLLMOutput(assembled.slice(0, releasedLength + end), expectedType);
+    if (validation.severity === 'high') {
+      aborted = true;
+      return { release: '', abort: true, validation };
+    }
+
+    releasedLength += end;
+    return { release: pending.slice(0, end), abort: false, validation };
+  }
+
+  return {
+    push(delta) {
+      if (!aborted && delta) assembled += delta;
+      return check(false);
+    },
+    flush() {
+      return check(true);
+    },
+    getState() {
+      return {
+        assembled,
+        released: assembled.slice(0, releasedLength),
+        aborted,
+        validation,
+      };
+    },
+  };
+}
+
 /**
  * Create a security context object for logging
  *
@@ -444,6 +519,7 @@ export default {
   detectJailbreakAttempt,
   validateLLMOutput,
   detectCodeInjection,
+  createStreamingOutputValidator,
   createSecurityContext,
   securityCheck,
   SecurityError,
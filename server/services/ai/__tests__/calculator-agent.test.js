@@ -0,0 +1,231 @@
+/**
+ * Calculator Agent Tests
+ *
+ * Tests for the deal calculators, tool definitions, input validation,
+ * the per-request tool call cap and the audit trace.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  registerDealCalculators,
+  getCalculatorTools,
+  buildCalculatorDefaults,
+  buildCalculatorToolPrompt,
+  runCalculatorToolLoop,
+  mergeModelResults,
+} from '../calculator-agent.js';
+import { clearRegistry, getRegisteredCalculators } from '../calculator-registry.js';
+import { clearExecutionHistory } from '../calculator-adapter.js';
+
+const DEAL_CONTEXT = {
+  property: { purchase_price: 20000000 },
+  model: {
+    grossPotentialRent: 2400000,
+    vacancyRate: 0.05,
+    otherIncome: null,
+    taxes: 500000,
+    insurance: 150000,
+    management: 200000,
+    reserves: 50000,
+    loanAmount: 13000000,
+    interestRate: 0.06,
+    amortization: 30,
+    exitCapRate: 0.065,
+    holdPeriod: 5,
+    netOperatingIncome: 1380000,
+  },
+  inputProvenance: { interestRate: { value: 0.06, source: 'TERM_SHEET' } },
+};
+
+const FACTS = [
+  { fieldPath: 'purchasePrice', value: 20000000 },
+  { fieldPath: 'interestRate', value: 0.06 },
+];
+
+// Replays scripted model replies and records what each round was sent
+function scriptedModel(replies) {
+  const rounds = [];
+  const callModel = async (messages, options) => {
+    rounds.push({ messages, options });
+    return { content: '', toolCalls: [], usage: { promptTokens: 100, completionTokens: 10, totalTokens: 110 }, costUsd: 0.001, attempts: 1, ...replies.shift() };
+  };
+  return { callModel, rounds };
+}
+
+const call = (id, name, args) => ({ id, name, arguments: args });
+
+describe('Calculator Agent', () => {
+  let tools;
+  let defaults;
+  let sources;
+
+  beforeEach(() => {
+    clearRegistry();
+    clearExecutionHistory();
+    registerDealCalculators();
+    tools = getCalculatorTools();
+    ({ defaults, sources } = buildCalculatorDefaults(DEAL_CONTEXT));
+  });
+
+  afterEach(() => {
+    clearRegistry();
+    clearExecutionHistory();
+  });
+
+  describe('tools and defaults', () => {
+    test('registers deal calculators once and exposes them as tools', () => {
+      registerDealCalculators();
+
+      expect(getRegisteredCalculators()).toEqual(['underwriting.analyzeScenario', 'debt.sizeLoan']);
+      expect(tools.map(t => t.name)).toEqual(['underwriting__analyzeScenario', 'debt__sizeLoan']);
+      expect(tools[0].parameters.properties.ltv).toMatchObject({ type: 'number', minimum: 0, maximum: 1 });
+      expect(buildCalculatorToolPrompt(tools)).toContain('[C1]');
+      expect(buildCalculatorToolPrompt([])).toBe('');
+    });
+
+    test('fills defaults from the deal model and records where they came from', () => {
+      expect(defaults).toMatchObject({
+        purchasePrice: 20000000,
+        operatingExpenses: 900000,
+        interestRate: 0.06,
+        noi: 1380000,
+      });
+      expect(defaults).not.toHaveProperty('otherIncome');
+      expect(sources.noi).toEqual({ fieldPath: 'netOperatingIncome', provenance: null });
+      expect(sources.interestRate).toEqual({ fieldPath: 'interestRate', provenance: 'TERM_SHEET' });
+      expect(buildCalculatorDefaults({ property: {} }).defaults).toEqual({});
+    });
+  });
+
+  describe('runCalculatorToolLoop', () => {
+    test('executes proposed calls and returns cited calculations', async () => {
+      const { callModel, rounds } = scriptedModel([
+        { toolCalls: [call('a', 'underwriting__analyzeScenario', { interestRate: 0.0675, ltv: 0.65 })] },
+        { content: 'DSCR would be 1.36x [C1] at the 6.75% rate.' },
+      ]);
+
+      const result = await runCalculatorToolLoop({
+        messages: [{ role: 'user', content: "What's DSCR at 6.75% and 65% LTV?" }],
+        callModel, tools, defaults, sources, facts: FACTS,
+      });
+
+      expect(result.content).toBe('DSCR would be 1.36x [C1] at the 6.75% rate.');
+      expect(rounds[0].options).toEqual({ tools, toolChoice: 'auto' });
+
+      const [calculation] = result.calculations;
+      expect(calculation).toMatchObject({ marker: 'C1', calculator: 'underwriting.analyzeScenario' });
+      expect(calculation.outputs.loanAmount.value).toBe(13000000);
+      expect(calculation.outputs.dscr.value).toBeCloseTo(1.364, 3);
+      expect(calculation.outputs.ltv.formatted).toBe('65.00%');
+      expect(calculation.inputs.interestRate).toEqual({ value: 0.0675, source: 'tool' });
+      expect(calculation.inputs.purchasePrice).toMatchObject({ source: 'deal', fieldPath: 'purchasePrice', citation: 'S1' });
+
+      // The model sees its call and the result, keyed by marker
+      const [assistant, toolReply] = rounds[1].messages.slice(1);
+      expect(assistant).toMatchObject({ role: 'assistant', toolCalls: [{ id: 'a' }] });
+      expect(toolReply).toMatchObject({ role: 'tool', toolCallId: 'a' });
+      expect(JSON.parse(toolReply.content)).toMatchObject({
+        marker: 'C1',
+        inputs: { purchasePrice: '20000000 (deal, S1)', interestRate: '0.0675 (tool)' },
+      });
+
+      expect(result.toolCalls).toEqual([expect.objectContaining({
+        toolCallId: 'a',
+        calculator: 'underwriting.analyzeScenario',
+        success: true,
+        marker: 'C1',
+        arguments: { interestRate: 0.0675, ltv: 0.65 },
+      })]);
+      expect(result.toolCalls[0].outputs.dscr).toBeCloseTo(1.364, 3);
+    });
+
+    test('rejects invalid inputs and unknown tools without executing them', async () => {
+      const { callModel, rounds } = scriptedModel([
+        { toolCalls: [
+          call('a', 'debt__sizeLoan', { interestRate: 6.75, lenderProfile: 'PAWN' }),
+          call('b', 'debt__sizeLoan', { interestRate: 0.06, spread: 0.02 }),
+          call('c', 'debt__sizeLoan', null),
+          call('d', 'underwriting__deleteDeal', {}),
+        ] },
+        { content: 'I could not size the loan.' },
+      ]);
+
+      const result = await runCalculatorToolLoop({ messages: [], callModel, tools, defaults, sources });
+
+      expect(result.calculations).toEqual([]);
+      expect(result.toolCalls.map(t => t.success)).toEqual([false, false, false, false]);
+      expect(result.toolCalls[0].issues).toEqual([
+        'interestRate: must be at most 1',
+        'lenderProfile: must be one of AGENCY, CMBS, BANK, BRIDGE, CONSTRUCTION, HIGH_LEVERAGE, CORE_CONSERVATIVE',
+      ]);
+      expect(result.toolCalls[1].error).toContain('spread: is not an input of this calculator');
+      expect(result.toolCalls[2].error).toBe('Arguments must be a JSON object');
+      expect(result.toolCalls[3].error).toBe("Unknown tool 'underwriting__deleteDeal'");
+      expect(JSON.parse(rounds[1].messages[1].content).error).toContain('Invalid inputs');
+    });
+
+    test('caps tool calls per request, then asks for an answer without tools', async () => {
+      const rateCall = (id) => call(id, 'debt__sizeLoan', { interestRate: 0.06 });
+      const { callModel, rounds } = scriptedModel([
+        { toolCalls: [rateCall('a'), rateCall('b')] },
+        { toolCalls: [rateCall('c'), rateCall('d')] },
+        { content: 'Here is what I found [C1] [C2] [C3].', toolCalls: [rateCall('e')] },
+      ]);
+
+      const result = await runCalculatorToolLoop({ messages: [], callModel, tools, defaults, sources, maxToolCalls: 3 });
+
+      expect(rounds.map(r => r.options.toolChoice)).toEqual(['auto', 'auto', 'none']);
+      expect(result.content).toBe('Here is what I found [C1] [C2] [C3].');
+      expect(result.calculations.map(c => c.marker)).toEqual(['C1', 'C2', 'C3']);
+      expect(result.toolCalls[3]).toMatchObject({ toolCallId: 'd', success: false, skipped: true });
+      expect(result.toolCalls[3].error).toContain('limit of 3 reached');
+      expect(result.toolCalls).toHaveLength(4);
+    });
+
+    test('keeps the trace on errors and reports each result as it runs', async () => {
+      const seen = [];
+      let round = 0;
+      const callModel = async () => {
+        round += 1;
+        if (round === 1) return { content: '', toolCalls: [call('a', 'debt__sizeLoan', { interestRate: 0.06 })] };
+        throw new Error('provider down');
+      };
+
+      const failure = await runCalculatorToolLoop({
+        messages: [], callModel, tools, defaults, sources,
+        onToolResult: (trace, calculation) => seen.push([trace.marker, calculation.calculator]),
+      }).catch(error => error);
+
+      expect(failure.message).toBe('provider down');
+      expect(failure.agentTrace.toolCalls).toHaveLength(1);
+      expect(failure.agentTrace.calculations[0].marker).toBe('C1');
+      expect(seen).toEqual([['C1', 'debt.sizeLoan']]);
+    });
+
+    test('without tools the model is called once, as before', async () => {
+      const { callModel, rounds } = scriptedModel([{ content: 'Hello', toolCalls: [call('a', 'debt__sizeLoan', {})] }]);
+
+      const result = await runCalculatorToolLoop({ messages: [], callModel });
+
+      expect(rounds).toHaveLength(1);
+      expect(rounds[0].options).toEqual({});
+      expect(result).toMatchObject({ content: 'Hello', toolCalls: [], calculations: [] });
+    });
+  });
+
+  test('mergeModelResults sums usage and cost across rounds', () => {
+    const merged = mergeModelResults([
+      { provider: 'openai', feature: 'chat', model: 'gpt-4o-mini', usage: { promptTokens: 100, completionTokens: 10, totalTokens: 110 }, costUsd: 0.001, attempts: 1, latencyMs: 200 },
+      { provider: 'openai', feature: 'chat', model: 'gpt-4o-mini', usage: { promptTokens: 300, completionTokens: 40, totalTokens: 340 }, costUsd: 0.002, attempts: 2, latencyMs: 500 },
+    ]);
+
+    expect(merged).toMatchObject({
+      provider: 'openai',
+      usage: { promptTokens: 400, completionTokens: 50, totalTokens: 450 },
+      attempts: 3,
+      latencyMs: 700,
+    });
+    expect(merged.costUsd).toBeCloseTo(0.003, 6);
+    expect(mergeModelResults([])).toBeNull();
+  });
+});
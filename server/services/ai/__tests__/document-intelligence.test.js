@@ -6,10 +6,11 @@
  */
 
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import path from 'path';
 
 // Mock the Prisma client
 const mockPrisma = {
-  document: {
+  dealDraftDocument: {
     findUnique: jest.fn(),
   },
   documentExtraction: {
@@ -32,6 +33,18 @@ jest.unstable_mockModule('../../../db.js', () => ({
   getPrisma: () => mockPrisma,
 }));
 
+// Rent roll extraction is an LLM call; tests supply its result
+const mockExtractRentRoll = jest.fn();
+jest.unstable_mockModule('../../extractors/rent-roll-extractor.js', () => ({
+  extractRentRoll: mockExtractRentRoll,
+}));
+
+// OCR tools run through child_process; tests return recorded tesseract output
+const mockExecFile = jest.fn();
+jest.unstable_mockModule('child_process', () => ({
+  execFile: mockExecFile,
+}));
+
 // Import after mocking
 const {
   extractDocument,
@@ -43,6 +56,20 @@ const {
   DOC_INTELLIGENCE_CONFIG,
   DOCUMENT_TYPES,
 } = await import('../document-intelligence.js');
+const { OCR_CONFIG } = await import('../ocr-pipeline.js');
+
+// One scanned page: a summary line and a two-row unit table
+const SCANNED_RENT_ROLL_TSV = [
+  'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+  '1\t1\t0\t0\t0\t0\t0\t0\t1000\t2000\t-1\t',
+  '5\t1\t1\t1\t1\t1\t100\t100\t120\t20\t95\tTotal',
+  '5\t1\t1\t1\t1\t2\t230\t100\t100\t20\t95\tUnits',
+  '5\t1\t1\t1\t1\t3\t340\t100\t40\t20\t72\t48',
+  '5\t1\t1\t1\t2\t1\t100\t200\t60\t20\t90\t101',
+  '5\t1\t1\t1\t2\t2\t500\t200\t100\t20\t90\t$1,250',
+  '5\t1\t1\t1\t3\t1\t100\t240\t60\t20\t90\t102',
+  '5\t1\t1\t1\t3\t2\t500\t240\t100\t20\t90\t$1,600',
+].join('\n');
 
 describe('Document Intelligence', () => {
   beforeEach(() => {
@@ -78,7 +105,7 @@ describe('Document Intelligence', () => {
     });
 
     test('returns error when document not found', async () => {
-      mockPrisma.document.findUnique.mockResolvedValue(null);
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue(null);
 
       const result = await extractDocument('nonexistent-doc', DOCUMENT_TYPES.T12);
 
@@ -95,7 +122,7 @@ describe('Document Intelligence', () => {
         status: 'COMPLETED',
       };
 
-      mockPrisma.document.findUnique.mockResolvedValue(mockDocument);
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue(mockDocument);
       mockPrisma.documentExtraction.findFirst.mockResolvedValue(mockExtraction);
 
       const result = await extractDocument('doc-123', DOCUMENT_TYPES.T12);
@@ -109,7 +136,7 @@ describe('Document Intelligence', () => {
       const mockDocument = { id: 'doc-123', dealId: 'deal-456' };
       const mockExtraction = { id: 'ext-old' };
 
-      mockPrisma.document.findUnique.mockResolvedValue(mockDocument);
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue(mockDocument);
       mockPrisma.documentExtraction.findFirst.mockResolvedValue(mockExtraction);
       mockPrisma.documentExtraction.create.mockResolvedValue({
         id: 'ext-new',
@@ -125,7 +152,7 @@ describe('Document Intelligence', () => {
     });
 
     test('includes extraction ID for tracking', async () => {
-      mockPrisma.document.findUnique.mockResolvedValue({ id: 'doc-123', dealId: 'deal-456' });
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue({ id: 'doc-123', dealId: 'deal-456' });
       mockPrisma.documentExtraction.findFirst.mockResolvedValue(null);
       mockPrisma.documentExtraction.create.mockResolvedValue({
         id: 'ext-123',
@@ -140,7 +167,7 @@ describe('Document Intelligence', () => {
     });
 
     test('includes metadata with duration', async () => {
-      mockPrisma.document.findUnique.mockResolvedValue({ id: 'doc-123', dealId: 'deal-456' });
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue({ id: 'doc-123', dealId: 'deal-456' });
       mockPrisma.documentExtraction.findFirst.mockResolvedValue(null);
       mockPrisma.documentExtraction.create.mockResolvedValue({
         id: 'ext-123',
@@ -152,6 +179,77 @@ describe('Document Intelligence', () => {
       expect(result.metadata).toBeDefined();
       expect(result.metadata.duration).toBeGreaterThanOrEqual(0);
     });
+
+    test('OCRs the stored file and locates each field on the page', async () => {
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue({
+        id: 'doc-123',
+        originalFilename: 'rent-roll-scan.jpg',
+        mimeType: 'image/jpeg',
+        storageKey: 'drafts/draft-1/rent-roll-scan.jpg',
+        dealDraft: { organizationId: 'org-1', kernelDealId: 'deal-456' },
+      });
+      mockPrisma.documentExtraction.findFirst.mockResolvedValue(null);
+      mockPrisma.documentExtraction.create.mockImplementation(async ({ data }) => ({ id: 'ext-123', ...data }));
+      mockExecFile.mockImplementation((command, args, options, callback) => callback(null, { stdout: SCANNED_RENT_ROLL_TSV }));
+      mockExtractRentRoll.mockResolvedValue({
+        summary: { totalUnits: 48, totalMonthlyRent: 2850, asOfDate: null },
+        unitMix: [],
+        units: [{ unitNumber: '101', currentRent: 1250 }],
+      });
+
+      const result = await extractDocument('doc-123', DOCUMENT_TYPES.RENT_ROLL, { dealId: 'deal-456', organizationId: 'org-1' });
+
+      const [command, args] = mockExecFile.mock.calls[0];
+      expect(command).toBe(OCR_CONFIG.tesseractPath);
+      expect(args[0]).toBe(path.join(path.resolve(OCR_CONFIG.storageDir), 'drafts/draft-1/rent-roll-scan.jpg'));
+      const [text, name] = mockExtractRentRoll.mock.calls[0];
+      expect(name).toBe('rent-roll-scan.jpg');
+      expect(text).toContain('| 101 | $1,250 |');
+      expect(result.fields.totalUnits).toMatchObject({
+        value: 48,
+        pageNumber: 1,
+        boundingBox: { x: 0.34, y: 0.05, width: 0.04, height: 0.01 },
+        textSnippet: 'Total Units 48',
+      });
+      // The weakest recognized word caps the field's confidence
+      expect(result.fields.totalUnits.confidence).toBe(0.72);
+      // Not printed on the page: kept, but without a region
+      expect(result.fields.totalMonthlyRent.boundingBox).toBeUndefined();
+      expect(result.fields).not.toHaveProperty('asOfDate');
+      expect(result.metadata).toMatchObject({ pageCount: 1, ocrPageCount: 1, tableCount: 1 });
+      expect(result.extraction.dealId).toBe('deal-456');
+    });
+
+    test('never reads files outside the document store or other deals\' documents', async () => {
+      mockPrisma.documentExtraction.findFirst.mockResolvedValue(null);
+      mockPrisma.documentExtraction.create.mockImplementation(async ({ data }) => ({ id: 'ext-123', ...data }));
+      const stored = {
+        id: 'doc-123',
+        originalFilename: 'rent-roll.pdf',
+        mimeType: 'application/pdf',
+        storageKey: '../../etc/passwd',
+        dealDraft: { organizationId: 'org-1', kernelDealId: 'deal-456' },
+      };
+
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue(stored);
+      const escaped = await extractDocument('doc-123', DOCUMENT_TYPES.RENT_ROLL, { dealId: 'deal-456' });
+      expect(escaped).toMatchObject({ success: false, error: expect.stringContaining('outside the document store') });
+
+      // Client-supplied paths and layouts are ignored
+      mockPrisma.dealDraftDocument.findUnique.mockResolvedValue({ ...stored, storageKey: null });
+      const injected = await extractDocument('doc-123', DOCUMENT_TYPES.RENT_ROLL, {
+        dealId: 'deal-456',
+        filePath: '/etc/passwd',
+        layout: { text: 'Total Units 999', pages: [], tables: [] },
+      });
+      expect(injected).toMatchObject({ success: true, fields: {} });
+
+      const otherDeal = await extractDocument('doc-123', DOCUMENT_TYPES.RENT_ROLL, { dealId: 'deal-999' });
+      expect(otherDeal).toMatchObject({ success: false, error: expect.stringContaining('not found') });
+
+      expect(mockExecFile).not.toHaveBeenCalled();
+      expect(mockExtractRentRoll).not.toHaveBeenCalled();
+    });
   });
 
   describe('synthesizeDocuments', () => {
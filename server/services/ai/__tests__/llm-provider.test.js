@@ -0,0 +1,460 @@
+/**
+ * LLM Provider Layer Tests
+ *
+ * Tests for provider routing, adapters, retries, cost accounting,
+ * structured-output validation, tool calls and record/replay fixtures.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createLLMClient,
+  resolveRoute,
+  validateSchema,
+  parseStructuredOutput,
+  estimateCost,
+  retryDelay,
+  isRetryable,
+  splitIntoTokens,
+  parseToolArguments,
+} from '../llm-provider.js';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['noi'],
+  properties: {
+    noi: { type: 'number' },
+    asOf: { type: 'string' },
+    units: { type: 'array', items: { type: 'object', properties: { rent: { type: 'number' } } } },
+  },
+};
+
+function makeConfig(overrides = {}) {
+  return {
+    defaultProvider: 'openai',
+    routes: {},
+    pricing: {},
+    maxRetries: 2,
+    retryBaseMs: 100,
+    retryMaxMs: 1000,
+    schemaRepairAttempts: 1,
+    openai: { apiKey: 'sk-test', baseUrl: 'https://llm.test/v1/', model: 'gpt-4o-mini', temperature: 0, timeoutMs: 1000 },
+    local: { baseUrl: 'http://ollama.test:11434', model: 'llama3.1', temperature: 0, timeoutMs: 1000 },
+    replay: { fixturesDir: null, record: false },
+    debug: false,
+    ...overrides,
+  };
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+  };
+}
+
+function openaiReply(content, usage = { prompt_tokens: 1000, completion_tokens: 200 }) {
+  return jsonResponse(200, { model: 'gpt-4o-mini-2024-07-18', choices: [{ message: { content } }], usage });
+}
+
+// Streams `text` in small, unaligned byte chunks to exercise line buffering
+function streamResponse(text, { chunkSize = 7, beforeChunk = null } = {}) {
+  const bytes = new TextEncoder().encode(text);
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    body: (async function* () {
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        if (beforeChunk) beforeChunk(i);
+        yield bytes.slice(i, i + chunkSize);
+      }
+    })(),
+  };
+}
+
+function sseLines(events) {
+  return events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('');
+}
+
+function scriptedFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { fetchImpl, calls };
+}
+
+describe('LLM Provider Layer', () => {
+  describe('routing', () => {
+    test('routes by exact feature, then family, then wildcard', () => {
+      const config = makeConfig({
+        routes: {
+          'extraction.t12': { provider: 'openai', model: 'gpt-4o' },
+          extraction: { provider: 'local', model: 'qwen2.5:14b' },
+          '*': { temperature: 0.2 },
+        },
+      });
+
+      expect(resolveRoute('extraction.t12', {}, config)).toMatchObject({ provider: 'openai', model: 'gpt-4o' });
+      expect(resolveRoute('extraction.rent-roll', {}, config)).toMatchObject({ provider: 'local', model: 'qwen2.5:14b' });
+      expect(resolveRoute('chat', { temperature: 0.7, maxTokens: 2000 }, config))
+        .toEqual({ feature: 'chat', provider: 'openai', model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 2000 });
+      expect(resolveRoute('summary', {}, config).temperature).toBe(0.2);
+    });
+
+    test('rejects unconfigured and unknown providers', () => {
+      expect(() => resolveRoute('chat', {}, makeConfig({ defaultProvider: null })))
+        .toThrow('LLM not configured');
+      expect(() => resolveRoute('chat', {}, makeConfig({ openai: { apiKey: null } })))
+        .toThrow('LLM provider "openai" is not configured');
+      expect(() => resolveRoute('chat', {}, makeConfig({ routes: { chat: { provider: 'palm' } } })))
+        .toThrow('Unknown LLM provider "palm" for feature chat');
+
+      const client = createLLMClient({ config: makeConfig({ defaultProvider: null }) });
+      expect(client.isConfigured('chat')).toBe(false);
+    });
+  });
+
+  describe('structured output', () => {
+    test('validateSchema reports type, required and nested issues', () => {
+      expect(validateSchema({ noi: 1200000, asOf: null, units: [{ rent: 1500 }] }, SCHEMA)).toEqual([]);
+      expect(validateSchema({ noi: '1.2M', units: [{ rent: 1500 }, { rent: 'high' }] }, SCHEMA)).toEqual([
+        'noi: expected number, got string',
+        'units[1].rent: expected number, got string',
+      ]);
+      expect(validateSchema({ asOf: '2025-01-01' }, SCHEMA)).toEqual(['noi: is required']);
+      expect(validateSchema([], SCHEMA)).toEqual(['response: expected object, got array']);
+      expect(validateSchema('FLOATING', { type: 'string', enum: ['FIXED', 'FLOATING'] })).toEqual([]);
+      expect(validateSchema(3, { type: ['integer', 'null'] })).toEqual([]);
+      expect(validateSchema({ ltv: 1.4 }, { type: 'object', properties: { ltv: { type: 'number', minimum: 0, maximum: 1 } } }))
+        .toEqual(['ltv: must be at most 1']);
+      expect(validateSchema(-2, { type: 'number', minimum: 0 })).toEqual(['response: must be at least 0']);
+    });
+
+    test('parseStructuredOutput strips code fences and flags bad JSON', () => {
+      expect(parseStructuredOutput('```json\n{"noi": 5}\n```', SCHEMA)).toEqual({ parsed: { noi: 5 }, issues: [] });
+      expect(parseStructuredOutput('NOI is 5', SCHEMA)).toEqual({ parsed: null, issues: ['response: not valid JSON'] });
+    });
+
+    test('a schema mismatch gets one repair round-trip, then fails', async () => {
+      const { fetchImpl, calls } = scriptedFetch([
+        openaiReply('{"noi": "1.2M"}'),
+        openaiReply('{"noi": 1200000}'),
+      ]);
+      const client = createLLMClient({ config: makeConfig(), fetchImpl });
+
+      const result = await client.complete({ feature: 'extraction.t12', schema: SCHEMA, messages: [{ role: 'user', content: 'T12' }] });
+
+      expect(result.parsed).toEqual({ noi: 1200000 });
+      expect(result.attempts).toBe(2);
+      expect(result.usage).toEqual({ promptTokens: 2000, completionTokens: 400, totalTokens: 2400 });
+      expect(calls[0].body.response_format).toEqual({ type: 'json_object' });
+      expect(calls[1].body.messages.slice(1).map(m => m.role)).toEqual(['assistant', 'user']);
+      expect(calls[1].body.messages[2].content).toContain('noi: expected number, got string');
+
+      const failing = createLLMClient({
+        config: makeConfig(),
+        fetchImpl: scriptedFetch([openaiReply('[]'), openaiReply('{}')]).fetchImpl,
+      });
+      await expect(failing.complete({ feature: 'x', schema: SCHEMA, messages: [] }))
+        .rejects.toMatchObject({ code: 'LLM_SCHEMA_MISMATCH', status: 502, issues: ['noi: is required'] });
+    });
+  });
+
+  describe('adapters and accounting', () => {
+    test('openai adapter sends the chat completions shape and reports cost', async () => {
+      const { fetchImpl, calls } = scriptedFetch([openaiReply('Hello')]);
+      const records = [];
+      const client = createLLMClient({ config: makeConfig(), fetchImpl, onComplete: r => records.push(r) });
+
+      const result = await client.complete({
+        feature: 'chat',
+        temperature: 0.7,
+        maxTokens: 500,
+        audit: { userId: 'u1' },
+        messages: [{ role: 'user', content: 'Hi' }],
+      });
+
+      expect(calls[0].url).toBe('https://llm.test/v1/chat/completions');
+      expect(calls[0].body).toEqual({ model: 'gpt-4o-mini', temperature: 0.7, max_tokens: 500, messages: [{ role: 'user', content: 'Hi' }] });
+      expect(result).toMatchObject({ content: 'Hello', parsed: null, provider: 'openai', model: 'gpt-4o-mini-2024-07-18', attempts: 1 });
+      // 1000 * 0.15 / 1M + 200 * 0.60 / 1M
+      expect(result.costUsd).toBe(0.00027);
+      expect(records).toHaveLength(1);
+      expect(records[0]).toMatchObject({ feature: 'chat', audit: { userId: 'u1' }, content: 'Hello', costUsd: 0.00027 });
+    });
+
+    test('local adapter speaks the Ollama chat API at no cost', async () => {
+      const { fetchImpl, calls } = scriptedFetch([
+        jsonResponse(200, { model: 'llama3.1', message: { content: '{"noi": 7}' }, prompt_eval_count: 40, eval_count: 9 }),
+      ]);
+      const config = makeConfig({ routes: { extraction: { provider: 'local' } } });
+      const client = createLLMClient({ config, fetchImpl });
+
+      const result = await client.complete({ feature: 'extraction.t12', schema: SCHEMA, maxTokens: 256, messages: [] });
+
+      expect(calls[0].url).toBe('http://ollama.test:11434/api/chat');
+      expect(calls[0].body).toMatchObject({ model: 'llama3.1', stream: false, format: SCHEMA, options: { temperature: 0, num_predict: 256 } });
+      expect(result).toMatchObject({ parsed: { noi: 7 }, provider: 'local', costUsd: 0 });
+      expect(result.usage.totalTokens).toBe(49);
+    });
+
+    test('estimateCost prices dated snapshots and overrides, not unknown models', () => {
+      const usage = { promptTokens: 1_000_000, completionTokens: 1_000_000 };
+      expect(estimateCost('openai', 'gpt-4o-2024-08-06', usage)).toBe(12.5);
+      expect(estimateCost('openai', 'gpt-4.1-mini', usage)).toBe(2);
+      expect(estimateCost('openai', 'house-model', usage)).toBeNull();
+      expect(estimateCost('openai', 'house-model', usage, { 'house-model': { input: 1, output: 1 } })).toBe(2);
+      expect(estimateCost('replay', 'gpt-4o', usage)).toBe(0);
+    });
+  });
+
+  describe('retries', () => {
+    test('retries rate limits and server errors with backoff', async () => {
+      const delays = [];
+      const { fetchImpl, calls } = scriptedFetch([
+        jsonResponse(429, { error: { message: 'Rate limit reached' } }, { 'retry-after': '0.25' }),
+        jsonResponse(503, {}),
+        openaiReply('ok'),
+      ]);
+      const client = createLLMClient({ config: makeConfig(), fetchImpl, sleep: async ms => delays.push(ms) });
+
+      const result = await client.complete({ feature: 'chat', messages: [] });
+
+      expect(result.content).toBe('ok');
+      expect(result.attempts).toBe(3);
+      expect(calls).toHaveLength(3);
+      expect(delays).toEqual([250, 200]);
+    });
+
+    test('gives up after maxRetries and does not retry client errors', async () => {
+      const records = [];
+      const down = createLLMClient({
+        config: makeConfig(),
+        fetchImpl: scriptedFetch([new Error('ECONNRESET'), new Error('ECONNRESET'), new Error('ECONNRESET')]).fetchImpl,
+        sleep: async () => {},
+        onComplete: r => records.push(r),
+      });
+      await expect(down.complete({ feature: 'chat', messages: [] }))
+        .rejects.toMatchObject({ code: 'LLM_NETWORK_ERROR', attempts: 3 });
+      expect(records[0]).toMatchObject({ attempts: 3, error: expect.any(Error) });
+
+      const { fetchImpl, calls } = scriptedFetch([jsonResponse(400, { error: { message: 'Bad request' } })]);
+      const badRequest = createLLMClient({ config: makeConfig(), fetchImpl, sleep: async () => {} });
+      await expect(badRequest.complete({ feature: 'chat', messages: [] })).rejects.toMatchObject({ status: 400, message: 'Bad request' });
+      expect(calls).toHaveLength(1);
+
+      expect(isRetryable({ status: 500 })).toBe(true);
+      expect(isRetryable({ status: 401 })).toBe(false);
+      expect(retryDelay(5, {}, makeConfig())).toBe(1000);
+    });
+  });
+
+  describe('streaming', () => {
+    test('openai streams deltas and takes usage from the final chunk', async () => {
+      const { fetchImpl, calls } = scriptedFetch([streamResponse(sseLines([
+        { model: 'gpt-4o-mini-2024-07-18', choices: [{ delta: { role: 'assistant' } }] },
+        { choices: [{ delta: { content: 'NOI is ' } }] },
+        { choices: [{ delta: { content: '$1.2M [S1].' } }] },
+        { choices: [], usage: { prompt_tokens: 1000, completion_tokens: 200 } },
+        '[DONE]',
+      ]))]);
+      const tokens = [];
+      const records = [];
+      const client = createLLMClient({ config: makeConfig(), fetchImpl, onComplete: r => records.push(r) });
+
+      const result = await client.stream(
+        { feature: 'chat', messages: [{ role: 'user', content: 'NOI?' }] },
+        { onToken: t => tokens.push(t) }
+      );
+
+      expect(calls[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+      expect(tokens).toEqual(['NOI is ', '$1.2M [S1].']);
+      expect(result).toMatchObject({ content: 'NOI is $1.2M [S1].', aborted: false, model: 'gpt-4o-mini-2024-07-18', costUsd: 0.00027 });
+      expect(records[0]).toMatchObject({ content: 'NOI is $1.2M [S1].', aborted: false });
+    });
+
+    test('local streams newline-delimited JSON from Ollama', async () => {
+      const ndjson = [
+        { model: 'llama3.1', message: { content: 'Cap rate ' }, done: false },
+        { model: 'llama3.1', message: { content: 'is 6.5%.' }, done: false },
+        { model: 'llama3.1', message: { content: '' }, done: true, prompt_eval_count: 40, eval_count: 9 },
+      ].map(line => JSON.stringify(line)).join('\n');
+      const { fetchImpl, calls } = scriptedFetch([streamResponse(ndjson)]);
+      const client = createLLMClient({ config: makeConfig({ defaultProvider: 'local' }), fetchImpl });
+
+      const result = await client.stream({ feature: 'chat', messages: [] });
+
+      expect(calls[0].body.stream).toBe(true);
+      expect(result).toMatchObject({ content: 'Cap rate is 6.5%.', provider: 'local', costUsd: 0 });
+      expect(result.usage.totalTokens).toBe(49);
+    });
+
+    test('retries before the first token but not after', async () => {
+      const { fetchImpl, calls } = scriptedFetch([
+        jsonResponse(503, {}),
+        streamResponse(sseLines([{ choices: [{ delta: { content: 'ok' } }] }, '[DONE]'])),
+      ]);
+      const client = createLLMClient({ config: makeConfig(), fetchImpl, sleep: async () => {} });
+      const result = await client.stream({ feature: 'chat', messages: [] });
+      expect(result).toMatchObject({ content: 'ok', attempts: 2 });
+      expect(calls).toHaveLength(2);
+
+      const broken = streamResponse(sseLines([{ choices: [{ delta: { content: 'Half an answer' } }] }]) + 'data: {not json\n\n');
+      const midStream = scriptedFetch([broken, streamResponse(sseLines(['[DONE]']))]);
+      const failing = createLLMClient({ config: makeConfig(), fetchImpl: midStream.fetchImpl, sleep: async () => {} });
+      await expect(failing.stream({ feature: 'chat', messages: [] }))
+        .rejects.toMatchObject({ code: 'LLM_NETWORK_ERROR', streamed: true, partialContent: 'Half an answer' });
+      expect(midStream.calls).toHaveLength(1);
+
+      await expect(client.stream({ feature: 'x', schema: SCHEMA, messages: [] }))
+        .rejects.toMatchObject({ code: 'LLM_STREAM_UNSUPPORTED' });
+    });
+
+    test('aborting the signal stops the stream and keeps the partial answer', async () => {
+      const controller = new AbortController();
+      const text = sseLines([
+        { choices: [{ delta: { content: 'First sentence. ' } }] },
+        { choices: [{ delta: { content: 'Second sentence.' } }] },
+        '[DONE]',
+      ]);
+      const client = createLLMClient({
+        config: makeConfig(),
+        fetchImpl: scriptedFetch([streamResponse(text, { chunkSize: text.length })]).fetchImpl,
+      });
+
+      const result = await client.stream({ feature: 'chat', messages: [] }, {
+        signal: controller.signal,
+        onToken: () => controller.abort(),
+      });
+
+      expect(result).toMatchObject({ content: 'First sentence. ', aborted: true });
+    });
+  });
+
+  describe('tool calls', () => {
+    const TOOLS = [{ name: 'debt__sizeLoan', description: 'Size a loan', parameters: { type: 'object', properties: { interestRate: { type: 'number' } } } }];
+
+    test('openai sends tools, parses tool_calls and replays the tool round-trip', async () => {
+      const { fetchImpl, calls } = scriptedFetch([
+        jsonResponse(200, {
+          model: 'gpt-4o-mini',
+          choices: [{ message: { content: null, tool_calls: [
+            { id: 'call_a', type: 'function', function: { name: 'debt__sizeLoan', arguments: '{"interestRate":0.06}' } },
+          ] } }],
+          usage: { prompt_tokens: 100, completion_tokens: 20 },
+        }),
+        openaiReply('Max loan is $10.8M [C1].'),
+      ]);
+      const client = createLLMClient({ config: makeConfig(), fetchImpl });
+
+      const first = await client.complete({ feature: 'chat', tools: TOOLS, messages: [{ role: 'user', content: 'Max loan at 6%?' }] });
+      expect(calls[0].body.tools).toEqual([{ type: 'function', function: TOOLS[0] }]);
+      expect(calls[0].body.tool_choice).toBe('auto');
+      expect(first).toMatchObject({ content: '', toolCalls: [{ id: 'call_a', name: 'debt__sizeLoan', arguments: { interestRate: 0.06 } }] });
+
+      const second = await client.complete({
+        feature: 'chat',
+        tools: TOOLS,
+        toolChoice: 'none',
+        messages: [
+          { role: 'user', content: 'Max loan at 6%?' },
+          { role: 'assistant', content: '', toolCalls: first.toolCalls },
+          { role: 'tool', toolCallId: 'call_a', content: '{"marker":"C1"}' },
+        ],
+      });
+      expect(second).toMatchObject({ content: 'Max loan is $10.8M [C1].', toolCalls: [] });
+      expect(calls[1].body.tool_choice).toBe('none');
+      expect(calls[1].body.messages[1]).toEqual({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_a', type: 'function', function: { name: 'debt__sizeLoan', arguments: '{"interestRate":0.06}' } }],
+      });
+      expect(calls[1].body.messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_a', content: '{"marker":"C1"}' });
+    });
+
+    test('streamed tool-call fragments are merged into whole calls', async () => {
+      const { fetchImpl } = scriptedFetch([streamResponse(sseLines([
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_a', function: { name: 'debt__size', arguments: '{"interest' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'Loan', arguments: 'Rate":0.06}' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 1, function: { name: 'debt__sizeLoan', arguments: 'not json' } }] } }] },
+        '[DONE]',
+      ]))]);
+      const client = createLLMClient({ config: makeConfig(), fetchImpl });
+
+      const result = await client.stream({ feature: 'chat', tools: TOOLS, messages: [] });
+
+      expect(result.content).toBe('');
+      expect(result.toolCalls).toEqual([
+        { id: 'call_a', name: 'debt__sizeLoan', arguments: { interestRate: 0.06 } },
+        { id: 'call_1', name: 'debt__sizeLoan', arguments: null },
+      ]);
+      expect(parseToolArguments('[1]')).toBeNull();
+      expect(parseToolArguments('')).toEqual({});
+    });
+  });
+
+  describe('record and replay', () => {
+    let fixturesDir;
+
+    beforeEach(async () => {
+      fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(fixturesDir, { recursive: true, force: true });
+    });
+
+    test('recorded responses replay without a network', async () => {
+      const request = { feature: 'extraction.t12', schema: SCHEMA, messages: [{ role: 'user', content: 'T12 text' }] };
+      const recorder = createLLMClient({
+        config: makeConfig({ replay: { fixturesDir, record: true } }),
+        fetchImpl: scriptedFetch([openaiReply('{"noi": 950000}')]).fetchImpl,
+      });
+      await recorder.complete(request);
+
+      const files = await fs.readdir(path.join(fixturesDir, 'extraction.t12'));
+      expect(files).toHaveLength(1);
+
+      const replayer = createLLMClient({
+        config: makeConfig({ defaultProvider: 'replay', openai: {}, replay: { fixturesDir, record: false } }),
+        fetchImpl: () => { throw new Error('network used during replay'); },
+      });
+      const replayed = await replayer.complete(request);
+      expect(replayed).toMatchObject({ parsed: { noi: 950000 }, provider: 'replay', model: 'gpt-4o-mini-2024-07-18', costUsd: 0 });
+
+      await expect(replayer.complete({ ...request, messages: [{ role: 'user', content: 'other text' }] }))
+        .rejects.toMatchObject({ code: 'LLM_FIXTURE_MISSING', attempts: 1 });
+    });
+
+    test('streamed answers record and replay word by word', async () => {
+      const request = { feature: 'chat', messages: [{ role: 'user', content: 'Summarize' }] };
+      const recorder = createLLMClient({
+        config: makeConfig({ replay: { fixturesDir, record: true } }),
+        fetchImpl: scriptedFetch([streamResponse(sseLines([
+          { choices: [{ delta: { content: 'Strong deal,  low leverage.' } }] },
+          '[DONE]',
+        ]))]).fetchImpl,
+      });
+      await recorder.stream(request);
+
+      const tokens = [];
+      const replayer = createLLMClient({
+        config: makeConfig({ defaultProvider: 'replay', openai: {}, replay: { fixturesDir, record: false } }),
+      });
+      const replayed = await replayer.stream(request, { onToken: t => tokens.push(t) });
+
+      expect(tokens).toEqual(['Strong', ' deal,', '  low', ' leverage.']);
+      expect(replayed).toMatchObject({ content: 'Strong deal,  low leverage.', provider: 'replay', aborted: false });
+      expect(splitIntoTokens('')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * OCR & Layout Pipeline Tests
+ *
+ * Tests for text-layer and Tesseract parsing, line/table reconstruction,
+ * locating snippets and values on the page, and the OCR fallback for
+ * scanned pages.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  OCR_CONFIG,
+  createOcrPipeline,
+  detectDocumentKind,
+  parsePdfTextLayout,
+  parseTesseractTsv,
+  buildLayout,
+  locateText,
+  locateValue,
+  resolveStoredDocumentPath,
+} from '../ocr-pipeline.js';
+
+const word = (text, x0, y0, x1, y1) =>
+  `<word xMin="${x0}" yMin="${y0}" xMax="${x1}" yMax="${y1}">${text}</word>`;
+
+// Page 1 has a text layer with a rent roll table; page 2 is a scan (no words)
+const BBOX_LAYOUT = `<doc>
+<page width="600.000000" height="800.000000"><flow><block><line>
+${word('Rent', 60, 40, 90, 52)}${word('Roll', 94, 40, 120, 52)}${word('&amp;', 124, 40, 132, 52)}${word('Summary', 136, 40, 190, 52)}
+${word('Unit', 60, 100, 84, 112)}${word('Type', 200, 100, 226, 112)}${word('Monthly', 320, 100, 366, 112)}${word('Rent', 370, 100, 396, 112)}
+${word('101', 60, 120, 80, 132)}${word('1BR', 200, 120, 222, 132)}${word('$1,250.00', 340, 120, 396, 132)}
+${word('102', 60, 140, 80, 152)}${word('2BR', 200, 140, 222, 152)}${word('$1,600.00', 340, 140, 396, 152)}
+${word('Occupancy', 60, 180, 120, 192)}${word('95.0%', 124, 180, 156, 192)}
+</line></block></flow></page>
+<page width="600.000000" height="800.000000"><flow></flow></page>
+</doc>`;
+
+const TSV_HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+const tsvRow = (level, left, top, width, height, conf, text = '') =>
+  [level, 1, 1, 1, 1, 1, left, top, width, height, conf, text].join('\t');
+
+const SCANNED_T12_TSV = [
+  TSV_HEADER,
+  tsvRow(1, 0, 0, 2500, 3300, -1),
+  tsvRow(5, 250, 600, 150, 50, 93, 'Net'),
+  tsvRow(5, 420, 600, 280, 50, 91, 'Operating'),
+  tsvRow(5, 720, 600, 220, 50, 90, 'Income'),
+  tsvRow(5, 1900, 600, 330, 50, 81, '1,380,000'),
+  tsvRow(5, 1900, 700, 100, 50, 8, '~'),
+].join('\n');
+
+function scriptedRunner(outputs) {
+  const calls = [];
+  const runCommand = async (command, args) => {
+    calls.push([command, ...args]);
+    const output = outputs[command];
+    if (output instanceof Error) throw output;
+    return output ?? '';
+  };
+  return { runCommand, calls };
+}
+
+describe('OCR Pipeline', () => {
+  describe('parsers', () => {
+    test('parsePdfTextLayout reads pages and word boxes', () => {
+      const pages = parsePdfTextLayout(BBOX_LAYOUT);
+
+      expect(pages).toHaveLength(2);
+      expect(pages[0]).toMatchObject({ pageNumber: 1, width: 600, height: 800, source: 'text', confidence: 1 });
+      expect(pages[0].words[0]).toEqual({ text: 'Rent', x0: 60, y0: 40, x1: 90, y1: 52, confidence: 1 });
+      expect(pages[0].words[2].text).toBe('&');
+      expect(pages[1].words).toEqual([]);
+    });
+
+    test('parseTesseractTsv keeps confident words and the page size', () => {
+      const page = parseTesseractTsv(SCANNED_T12_TSV, 2);
+
+      expect(page).toMatchObject({ pageNumber: 2, width: 2500, height: 3300, source: 'ocr' });
+      expect(page.words.map(w => w.text)).toEqual(['Net', 'Operating', 'Income', '1,380,000']);
+      expect(page.words[3]).toMatchObject({ x0: 1900, y0: 600, x1: 2230, y1: 650, confidence: 0.81 });
+      expect(page.confidence).toBe(0.89);
+    });
+  });
+
+  describe('layout', () => {
+    test('rebuilds lines and tables with page-fraction boxes', () => {
+      const layout = buildLayout(parsePdfTextLayout(BBOX_LAYOUT).slice(0, 1));
+
+      expect(layout.text).toBe([
+        '[Page 1]',
+        'Rent Roll & Summary',
+        '| Unit | Type | Monthly Rent |',
+        '| 101 | 1BR | $1,250.00 |',
+        '| 102 | 2BR | $1,600.00 |',
+        'Occupancy 95.0%',
+      ].join('\n'));
+      expect(layout).toMatchObject({ pageCount: 1, ocrPageCount: 0, confidence: 1 });
+
+      const [table] = layout.tables;
+      expect(table.columns.map(c => c.header)).toEqual(['Unit', 'Type', 'Monthly Rent']);
+      expect(table.rows).toHaveLength(3);
+      expect(table.rows[1].cells[2]).toEqual({ column: 2, text: '$1,250.00', box: { x: 0.5667, y: 0.15, width: 0.0933, height: 0.015 } });
+      expect(table.box).toEqual({ x: 0.1, y: 0.125, width: 0.56, height: 0.065 });
+    });
+  });
+
+  describe('locating', () => {
+    const layout = buildLayout([
+      ...parsePdfTextLayout(BBOX_LAYOUT).slice(0, 1),
+      parseTesseractTsv(SCANNED_T12_TSV, 2),
+    ]);
+
+    test('locateText finds a quoted row regardless of pipes, case and spacing', () => {
+      expect(locateText(layout, '| 102 |  2br | $1,600.00 |', { pageNumber: 1 })).toEqual({
+        pageNumber: 1,
+        boundingBox: { x: 0.1, y: 0.175, width: 0.56, height: 0.015 },
+        text: '102 2BR $1,600.00',
+        source: 'text',
+        confidence: 1,
+      });
+      // A wrong page number still finds the text elsewhere
+      expect(locateText(layout, 'Net Operating Income', { pageNumber: 1 })).toMatchObject({ pageNumber: 2, source: 'ocr' });
+      expect(locateText(layout, 'Cap rate')).toBeNull();
+      expect(locateText(layout, '')).toBeNull();
+    });
+
+    test('locateValue matches printed numbers, percentages and strings', () => {
+      expect(locateValue(layout, 1250)).toMatchObject({ pageNumber: 1, text: '101 1BR $1,250.00' });
+      expect(locateValue(layout, 0.95)).toMatchObject({
+        pageNumber: 1,
+        boundingBox: { x: 0.2067, y: 0.225, width: 0.0533, height: 0.015 },
+      });
+      expect(locateValue(layout, 1380000)).toMatchObject({
+        pageNumber: 2,
+        boundingBox: { x: 0.76, y: 0.1818, width: 0.132, height: 0.0152 },
+        source: 'ocr',
+        confidence: 0.81,
+      });
+      expect(locateValue(layout, '2BR')).toMatchObject({ pageNumber: 1 });
+      expect(locateValue(layout, 999)).toBeNull();
+      expect(locateValue(layout, null)).toBeNull();
+    });
+  });
+
+  describe('pipeline', () => {
+    test('uses the text layer and OCRs only pages without one', async () => {
+      const { runCommand, calls } = scriptedRunner({ pdftotext: BBOX_LAYOUT, tesseract: SCANNED_T12_TSV });
+      const pipeline = createOcrPipeline({ config: { ...OCR_CONFIG, dpi: 200 }, runCommand });
+
+      const layout = await pipeline.extractLayout('/docs/t12-scan.pdf', { mimeType: 'application/pdf' });
+
+      expect(calls.map(call => call[0])).toEqual(['pdftotext', 'pdftoppm', 'tesseract']);
+      expect(calls[0]).toEqual(['pdftotext', '-bbox-layout', '/docs/t12-scan.pdf', '-']);
+      expect(calls[1].slice(1, 9)).toEqual(['-r', '200', '-f', '2', '-l', '2', '-png', '-singlefile']);
+      expect(calls[2][1]).toBe(`${calls[1][10]}.png`);
+      expect(layout).toMatchObject({ pageCount: 2, ocrPageCount: 1, confidence: 0.89 });
+      expect(layout.pages.map(page => page.source)).toEqual(['text', 'ocr']);
+      expect(layout.text).toContain('[Page 2]\nNet Operating Income 1,380,000');
+    });
+
+    test('photos go straight to OCR', async () => {
+      const { runCommand, calls } = scriptedRunner({ tesseract: SCANNED_T12_TSV });
+      const pipeline = createOcrPipeline({ runCommand });
+
+      const layout = await pipeline.extractLayout('/docs/IMG_0412.jpeg');
+
+      expect(calls).toEqual([['tesseract', '/docs/IMG_0412.jpeg', 'stdout', '-l', 'eng', 'tsv']]);
+      expect(layout.pages[0]).toMatchObject({ pageNumber: 1, source: 'ocr' });
+    });
+
+    test('reports unsupported formats and missing tools', async () => {
+      expect(detectDocumentKind('rent-roll.xlsx', 'application/vnd.ms-excel')).toBeNull();
+      expect(detectDocumentKind('upload', 'image/heic')).toBe('image');
+
+      const pipeline = createOcrPipeline({
+        runCommand: scriptedRunner({ pdftotext: Object.assign(new Error('spawn pdftotext ENOENT'), { code: 'ENOENT' }) }).runCommand,
+      });
+
+      await expect(pipeline.extractLayout('/docs/model.xlsx'))
+        .rejects.toMatchObject({ code: 'OCR_UNSUPPORTED_FORMAT' });
+      await expect(pipeline.extractLayout('/docs/om.pdf'))
+        .rejects.toMatchObject({ code: 'OCR_TOOL_MISSING', message: 'pdftotext is not installed (needed for document OCR)' });
+    });
+
+    test('renders PDF pages to images in page order', async () => {
+      const calls = [];
+      const runCommand = async (command, args) => {
+        calls.push([command, ...args]);
+        const prefix = args[args.length - 1];
+        for (const n of ['10', '02', '01']) await fs.writeFile(`${prefix}-${n}.png`, `png ${n}`);
+        return '';
+      };
+      const pipeline = createOcrPipeline({ config: { ...OCR_CONFIG, dpi: 150 }, runCommand });
+
+      const pages = await pipeline.renderPageImages('/docs/om.pdf', { mimeType: 'application/pdf' });
+
+      expect(calls[0].slice(0, 5)).toEqual(['pdftoppm', '-r', '150', '-png', '/docs/om.pdf']);
+      expect(pages.map(p => [p.pageNumber, p.mimeType, p.data.toString()])).toEqual([
+        [1, 'image/png', 'png 01'],
+        [2, 'image/png', 'png 02'],
+        [10, 'image/png', 'png 10'],
+      ]);
+      await expect(fs.access(path.dirname(calls[0][5]))).rejects.toThrow();
+      await expect(pipeline.renderPageImages('/docs/model.xlsx'))
+        .rejects.toMatchObject({ code: 'OCR_UNSUPPORTED_FORMAT' });
+    });
+
+    test('resolves storage keys only inside the document store', () => {
+      const config = { ...OCR_CONFIG, storageDir: '/srv/uploads' };
+
+      expect(resolveStoredDocumentPath('drafts/d1/rent-roll.pdf', config)).toBe('/srv/uploads/drafts/d1/rent-roll.pdf');
+      for (const key of ['../secrets.env', '/etc/passwd', 'drafts/../../etc/passwd', '', null]) {
+        expect(() => resolveStoredDocumentPath(key, config)).toThrow(expect.objectContaining({ code: 'OCR_INVALID_STORAGE_KEY' }));
+      }
+    });
+  });
+});
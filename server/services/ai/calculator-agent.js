@@ -0,0 +1,523 @@
+/**
+ * Calculator Agent - Tool-Use Loop over the Calculator Registry
+ *
+ * Lets the deal chat model call calculators instead of doing arithmetic
+ * itself ("what's DSCR at 6.75% and 65% LTV?"):
+ * 1. Deal calculators are registered with input/output schemas
+ * 2. The registry's AI tool schema is offered to the model as tools
+ * 3. Proposed calls are validated against the input schema, omitted inputs
+ *    are filled from the deal's underwriting model, and the calculator
+ *    adapter executes them
+ * 4. Each result is numbered [C1], [C2]... for citation, and every call is
+ *    traced for AIInteractionLog
+ * 5. A per-request cap on tool calls, after which the model must answer
+ *
+ * Pure module: the caller supplies the model call (callLLM or streamLLM).
+ */
+
+import {
+  registerCalculator,
+  getCalculator,
+  getRegisteredCalculators,
+  generateAIToolSchema,
+} from './calculator-registry.js';
+import { executeCalculator } from './calculator-adapter.js';
+import { validateSchema } from './llm-provider.js';
+import { calculateUnderwriting } from '../underwriting-calculator.js';
+import { calculateDebtSizing, LENDER_PROFILES } from '../debt-sizing-calculator.js';
+
+// Configuration
+export const TOOL_AGENT_CONFIG = {
+  maxToolCalls: parseInt(process.env.AI_MAX_TOOL_CALLS ?? '5', 10),
+  categories: ['returns', 'debt'],
+  debug: process.env.DEBUG_AI_AGENT === 'true',
+};
+
+// ============================================================================
+// DEAL CALCULATORS
+// ============================================================================
+
+const rate = (description, minimum = 0) => ({
+  type: 'number',
+  minimum,
+  maximum: 1,
+  description: `${description}, as a decimal (0.0675 = 6.75%)`,
+});
+const amount = (description) => ({ type: 'number', minimum: 0, description: `${description} (USD)` });
+
+const currencyOut = (description) => ({ format: 'currency', description });
+const percentOut = (description) => ({ format: 'percent', description });
+const multipleOut = (description) => ({ format: 'decimal', unit: 'x', description });
+
+/**
+ * Re-run the underwriting model with changed assumptions
+ * An ltv input sets the loan amount from the purchase price.
+ */
+function analyzeScenario({ ltv, ...inputs }) {
+  const loanAmount = ltv !== undefined && inputs.purchasePrice
+    ? Math.round(inputs.purchasePrice * ltv)
+    : inputs.loanAmount;
+  const model = calculateUnderwriting({ ...inputs, loanAmount });
+  const noi = model.income.netOperatingIncome ?? null;
+
+  return {
+    netOperatingIncome: noi,
+    goingInCapRate: model.returns.goingInCapRate ?? null,
+    loanAmount: loanAmount ?? null,
+    ltv: model.debtMetrics.ltv ?? null,
+    annualDebtService: model.debtMetrics.annualDebtService ?? null,
+    dscr: model.debtMetrics.dscr ?? null,
+    debtYield: noi && loanAmount ? noi / loanAmount : null,
+    equityRequired: model.returns.equityRequired ?? null,
+    cashOnCash: model.returns.cashOnCash ?? null,
+    irr: model.returns.irr ?? null,
+    equityMultiple: model.returns.equityMultiple ?? null,
+  };
+}
+
+/**
+ * Size the maximum loan under a lender profile, optionally with custom limits
+ */
+function sizeLoan({ lenderProfile = 'CMBS', maxLTV, minDSCR, minDebtYield, ...inputs }) {
+  const profile = LENDER_PROFILES[lenderProfile] || LENDER_PROFILES.CMBS;
+  const limits = Object.fromEntries(
+    Object.entries({ maxLTV, minDSCR, minDebtYield }).filter(([, value]) => value !== undefined)
+  );
+  const sizing = calculateDebtSizing({
+    ...inputs,
+    lenderProfile,
+    customConstraints: Object.keys(limits).length > 0 ? { ...profile.constraints, ...limits } : null,
+  });
+  if (sizing.error) {
+    throw new Error(sizing.error);
+  }
+
+  return {
+    maxLoanAmount: sizing.maxProceeds,
+    bindingConstraint: sizing.binding.constraint,
+    ltv: sizing.finalMetrics.ltv,
+    dscr: sizing.finalMetrics.dscr,
+    debtYield: sizing.finalMetrics.debtYield,
+    annualDebtService: sizing.finalMetrics.annualDebtService,
+    equityRequired: sizing.finalMetrics.equityRequired,
+  };
+}
+
+const DEAL_CALCULATORS = {
+  'underwriting.analyzeScenario': {
+    fn: analyzeScenario,
+    category: 'returns',
+    version: '1.0.0',
+    description: "Recalculate the deal's NOI, cap rate, debt service, DSCR, LTV, debt yield, cash-on-cash, IRR and equity multiple under changed assumptions. Pass only the inputs that change; the rest come from the deal's underwriting model.",
+    inputSchema: {
+      type: 'object',
+      required: ['purchasePrice', 'grossPotentialRent'],
+      properties: {
+        purchasePrice: amount('Purchase price'),
+        grossPotentialRent: amount('Annual gross potential rent'),
+        vacancyRate: rate('Vacancy rate'),
+        otherIncome: amount('Annual other income'),
+        operatingExpenses: amount('Annual operating expenses'),
+        loanAmount: amount('Loan amount'),
+        ltv: rate('Loan-to-value; sets the loan amount from the purchase price and takes precedence over loanAmount'),
+        interestRate: rate('Loan interest rate'),
+        amortization: { type: 'number', minimum: 1, maximum: 40, description: 'Amortization in years' },
+        ioPeriod: { type: 'number', minimum: 0, maximum: 10, description: 'Interest-only period in years' },
+        exitCapRate: rate('Exit cap rate'),
+        holdPeriod: { type: 'integer', minimum: 1, maximum: 30, description: 'Hold period in years' },
+        rentGrowth: rate('Annual rent growth', -1),
+        expenseGrowth: rate('Annual expense growth', -1),
+      },
+    },
+    outputSchema: {
+      properties: {
+        netOperatingIncome: currencyOut('Net operating income'),
+        goingInCapRate: percentOut('Going-in cap rate'),
+        loanAmount: currencyOut('Loan amount'),
+        ltv: percentOut('Loan-to-value'),
+        annualDebtService: currencyOut('Annual debt service'),
+        dscr: multipleOut('Debt service coverage ratio'),
+        debtYield: percentOut('Debt yield'),
+        equityRequired: currencyOut('Equity required'),
+        cashOnCash: percentOut('Year-one cash-on-cash return'),
+        irr: percentOut('Levered IRR'),
+        equityMultiple: multipleOut('Equity multiple'),
+      },
+    },
+    examples: [
+      { input: { interestRate: 0.0675, ltv: 0.65 }, description: 'DSCR at 6.75% and 65% LTV' },
+    ],
+  },
+  'debt.sizeLoan': {
+    fn: sizeLoan,
+    category: 'debt',
+    version: '1.0.0',
+    description: "Size the maximum loan for the deal's NOI under a lender profile's LTV, DSCR and debt-yield limits, and report which limit binds. Omitted inputs come from the deal's underwriting model.",
+    inputSchema: {
+      type: 'object',
+      required: ['noi', 'purchasePrice', 'interestRate'],
+      properties: {
+        noi: amount('Annual net operating income'),
+        purchasePrice: amount('Purchase price'),
+        interestRate: rate('Loan interest rate'),
+        amortization: { type: 'number', minimum: 1, maximum: 40, description: 'Amortization in years' },
+        ioPeriod: { type: 'number', minimum: 0, maximum: 10, description: 'Interest-only period in years' },
+        lenderProfile: { type: 'string', enum: Object.keys(LENDER_PROFILES), description: 'Lender profile (default CMBS)' },
+        maxLTV: rate('Maximum loan-to-value override'),
+        minDSCR: { type: 'number', minimum: 1, maximum: 3, description: 'Minimum DSCR override, e.g. 1.25' },
+        minDebtYield: rate('Minimum debt yield override'),
+      },
+    },
+    outputSchema: {
+      properties: {
+        maxLoanAmount: currencyOut('Maximum loan amount'),
+        bindingConstraint: { description: 'Limit that sets the loan amount' },
+        ltv: percentOut('Loan-to-value at max proceeds'),
+        dscr: multipleOut('DSCR at max proceeds'),
+        debtYield: percentOut('Debt yield at max proceeds'),
+        annualDebtService: currencyOut('Annual debt service'),
+        equityRequired: currencyOut('Equity required'),
+      },
+    },
+    examples: [
+      { input: { lenderProfile: 'AGENCY', interestRate: 0.06 }, description: 'Agency proceeds at 6%' },
+    ],
+  },
+};
+
+/**
+ * Register the deal calculators the chat can call (idempotent)
+ *
+ * @returns {string[]} Registered calculator names
+ */
+export function registerDealCalculators() {
+  const registered = getRegisteredCalculators();
+  for (const [name, { fn, ...metadata }] of Object.entries(DEAL_CALCULATORS)) {
+    if (!registered.includes(name)) {
+      registerCalculator(name, fn, metadata);
+    }
+  }
+  return Object.keys(DEAL_CALCULATORS);
+}
+
+// ============================================================================
+// TOOLS
+// ============================================================================
+
+// Tool names may not contain dots for OpenAI-compatible servers
+export function toToolName(calculatorName) {
+  return calculatorName.replace(/\./g, '__');
+}
+
+/**
+ * Tool definitions for every registered calculator with an input schema
+ *
+ * @param {Object} options - { categories }
+ * @returns {Object[]} [{ name, description, parameters, calculator }]
+ */
+export function getCalculatorTools(options = {}) {
+  const { categories = TOOL_AGENT_CONFIG.categories } = options;
+
+  return generateAIToolSchema({ categories, maxExamples: 0 })
+    // Inferred registrations have no input schema for the model to fill in
+    .filter(tool => tool.parameters?.properties)
+    .map(tool => ({
+      name: toToolName(tool.name),
+      description: tool.description,
+      parameters: tool.parameters,
+      calculator: tool.name,
+    }));
+}
+
+/**
+ * Defaults for calculator inputs from the (role-filtered) deal context
+ *
+ * @param {Object} context - Result of buildFilteredDealContext
+ * @returns {Object} { defaults, sources } - sources[field] = { fieldPath, provenance }
+ */
+export function buildCalculatorDefaults(context) {
+  const model = context?.model || {};
+  const componentExpenses = ['taxes', 'insurance', 'management', 'reserves']
+    .reduce((sum, field) => sum + (Number(model[field]) || 0), 0);
+
+  const fields = {
+    purchasePrice: ['purchasePrice', context?.property?.purchase_price],
+    grossPotentialRent: ['grossPotentialRent', model.grossPotentialRent],
+    vacancyRate: ['vacancyRate', model.vacancyRate],
+    otherIncome: ['otherIncome', model.otherIncome],
+    operatingExpenses: ['operatingExpenses', model.operatingExpenses ?? (componentExpenses || null)],
+    loanAmount: ['loanAmount', model.loanAmount],
+    interestRate: ['interestRate', model.interestRate],
+    amortization: ['amortization', model.amortization],
+    exitCapRate: ['exitCapRate', model.exitCapRate],
+    holdPeriod: ['holdPeriod', model.holdPeriod],
+    rentGrowth: ['rentGrowth', model.rentGrowth],
+    expenseGrowth: ['expenseGrowth', model.expenseGrowth],
+    noi: ['netOperatingIncome', model.netOperatingIncome],
+  };
+
+  const defaults = {};
+  const sources = {};
+  for (const [field, [fieldPath, value]] of Object.entries(fields)) {
+    if (value === null || value === undefined || value === '') continue;
+    defaults[field] = Number(value);
+    sources[field] = {
+      fieldPath,
+      provenance: context?.inputProvenance?.[fieldPath]?.source ?? null,
+    };
+  }
+  return { defaults, sources };
+}
+
+/**
+ * System prompt section explaining the calculator tools
+ */
+export function buildCalculatorToolPrompt(tools) {
+  if (!tools || tools.length === 0) return '';
+
+  return [
+    'CALCULATORS:',
+    '- For any computed or what-if figure (DSCR, LTV, loan sizing, returns), call a calculator tool instead of doing the arithmetic yourself.',
+    '- Pass only the inputs that change; everything else comes from the deal model. Rates, LTV and growth are decimals (6.75% = 0.0675).',
+    '- Each result has a marker such as [C1]. Cite calculator results with their marker and deal facts with their [S#] marker.',
+  ].join('\n');
+}
+
+// ============================================================================
+// TOOL EXECUTION
+// ============================================================================
+
+function debugLog(message, data) {
+  if (TOOL_AGENT_CONFIG.debug) {
+    console.log(`[AI-AGENT] ${message}`, data !== undefined ? JSON.stringify(data) : '');
+  }
+}
+
+function pickFields(values, fields) {
+  return Object.fromEntries(Object.entries(values).filter(([field]) => fields.includes(field)));
+}
+
+// Compact { field: { value, formatted } } from the adapter's AI-formatted result
+function summarizeOutputs(result) {
+  const outputs = {};
+  for (const [field, entry] of Object.entries(result || {})) {
+    if (entry && typeof entry === 'object' && 'value' in entry) {
+      outputs[field] = { value: entry.value, formatted: entry.formatted };
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Validate and execute one proposed tool call
+ *
+ * @returns {Promise<Object>} { trace, calculation, reply } - reply is the
+ *   tool message content returned to the model
+ */
+async function executeToolCall(call, tool, context) {
+  const trace = {
+    toolCallId: call.id,
+    tool: call.name,
+    calculator: tool?.calculator ?? null,
+    arguments: call.arguments,
+    success: false,
+  };
+  const fail = (error, extra = {}) => {
+    Object.assign(trace, { error, ...extra });
+    return { trace, calculation: null, reply: { error } };
+  };
+
+  if (!tool) {
+    return fail(`Unknown tool '${call.name}'`);
+  }
+  if (!call.arguments) {
+    return fail('Arguments must be a JSON object');
+  }
+
+  const calculator = getCalculator(tool.calculator);
+  const schema = calculator.inputSchema;
+  const accepted = Object.keys(schema.properties);
+  const dealDefaults = pickFields(context.defaults, accepted);
+  const issues = [
+    ...Object.keys(call.arguments)
+      .filter(field => !accepted.includes(field))
+      .map(field => `${field}: is not an input of this calculator`),
+    ...validateSchema({ ...dealDefaults, ...call.arguments }, schema),
+  ];
+  if (issues.length > 0) {
+    return fail(`Invalid inputs: ${issues.join('; ')}`, { issues });
+  }
+
+  const execution = await executeCalculator(tool.calculator, call.arguments, { defaults: dealDefaults });
+  if (!execution.success) {
+    return fail(execution.error, { executionId: execution.executionId });
+  }
+
+  const marker = `C${context.nextMarker()}`;
+  const outputs = summarizeOutputs(execution.result);
+  const inputs = Object.fromEntries(Object.entries(execution.inputs).map(([field, value]) => {
+    if (field in call.arguments) {
+      return [field, { value, source: 'tool' }];
+    }
+    const source = context.sources[field] || {};
+    const factIndex = context.facts.findIndex(fact => fact.fieldPath && fact.fieldPath === source.fieldPath);
+    return [field, {
+      value,
+      source: 'deal',
+      fieldPath: source.fieldPath ?? field,
+      provenance: source.provenance ?? null,
+      ...(factIndex >= 0 && { citation: `S${factIndex + 1}` }),
+    }];
+  }));
+
+  Object.assign(trace, {
+    success: true,
+    marker,
+    executionId: execution.executionId,
+    durationMs: execution.metadata.duration,
+    inputs: Object.fromEntries(Object.entries(inputs).map(([field, input]) => [field, input.value])),
+    outputs: Object.fromEntries(Object.entries(outputs).map(([field, output]) => [field, output.value])),
+  });
+
+  return {
+    trace,
+    calculation: {
+      marker,
+      calculator: tool.calculator,
+      description: calculator.description,
+      version: calculator.version,
+      inputs,
+      outputs,
+      executionId: execution.executionId,
+    },
+    reply: {
+      marker,
+      outputs: Object.fromEntries(Object.entries(outputs).map(([field, output]) => [field, output.formatted])),
+      inputs: Object.fromEntries(Object.entries(inputs).map(([field, input]) => [
+        field,
+        input.citation ? `${input.value} (deal, ${input.citation})` : `${input.value} (${input.source})`,
+      ])),
+    },
+  };
+}
+
+// ============================================================================
+// TOOL-USE LOOP
+// ============================================================================
+
+/**
+ * Run the model, executing calculator calls it proposes, until it answers
+ *
+ * Each proposed call counts against maxToolCalls; once the cap is reached
+ * the remaining calls are refused and the next round offers no tools, so the
+ * model has to answer with what it has.
+ *
+ * @param {Object} params
+ * @param {Array} params.messages - Conversation so far
+ * @param {Function} params.callModel - async (messages, { tools, toolChoice }) =>
+ *   { content, toolCalls, aborted }
+ * @param {Array} [params.tools] - From getCalculatorTools(); empty disables tools
+ * @param {Object} [params.defaults] - Deal values for omitted inputs
+ * @param {Object} [params.sources] - Where each default came from
+ * @param {Array} [params.facts] - Retrieved facts, in [S#] order
+ * @param {number} [params.maxToolCalls]
+ * @param {Function} [params.onToolResult] - Called with each call's trace
+ * @returns {Promise<Object>} { content, aborted, modelResults, toolCalls, calculations }
+ */
+export async function runCalculatorToolLoop({
+  messages,
+  callModel,
+  tools = [],
+  defaults = {},
+  sources = {},
+  facts = [],
+  maxToolCalls = TOOL_AGENT_CONFIG.maxToolCalls,
+  onToolResult = null,
+}) {
+  const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+  const modelResults = [];
+  const toolCalls = [];
+  const calculations = [];
+  let conversation = messages;
+  let markerCount = 0;
+  const context = { defaults, sources, facts, nextMarker: () => ++markerCount };
+
+  try {
+    for (;;) {
+      const capReached = toolCalls.length >= maxToolCalls;
+      const toolOptions = tools.length === 0
+        ? {}
+        : { tools, toolChoice: capReached ? 'none' : 'auto' };
+      const result = await callModel(conversation, toolOptions);
+      modelResults.push(result);
+
+      const proposed = tools.length > 0 && !capReached && !result.aborted ? result.toolCalls || [] : [];
+      if (proposed.length === 0) {
+        return { content: result.content ?? '', aborted: Boolean(result.aborted), modelResults, toolCalls, calculations };
+      }
+
+      conversation = [...conversation, { role: 'assistant', content: result.content || '', toolCalls: proposed }];
+      for (const call of proposed) {
+        let outcome;
+        if (toolCalls.length >= maxToolCalls) {
+          const error = `Tool call limit of ${maxToolCalls} reached; answer with the results you have`;
+          outcome = { trace: { toolCallId: call.id, tool: call.name, arguments: call.arguments, success: false, skipped: true, error }, reply: { error } };
+        } else {
+          outcome = await executeToolCall(call, toolsByName.get(call.name), context);
+        }
+
+        toolCalls.push(outcome.trace);
+        if (outcome.calculation) calculations.push(outcome.calculation);
+        debugLog(`${call.name} ${outcome.trace.success ? 'succeeded' : 'failed'}`, outcome.trace);
+        if (onToolResult) onToolResult(outcome.trace, outcome.calculation);
+
+        conversation = [...conversation, {
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: JSON.stringify(outcome.reply),
+        }];
+      }
+    }
+  } catch (error) {
+    // Keep what already ran for the audit log
+    error.agentTrace = { modelResults, toolCalls, calculations };
+    throw error;
+  }
+}
+
+/**
+ * Combine accounting from every model round into one usage record
+ * (same shape as a provider result, for usageLogFields)
+ */
+export function mergeModelResults(results) {
+  const completed = (results || []).filter(Boolean);
+  if (completed.length === 0) return null;
+
+  const last = completed[completed.length - 1];
+  const sum = (read) => completed.reduce((total, result) => total + (read(result) || 0), 0);
+  return {
+    provider: last.provider,
+    feature: last.feature,
+    model: last.model,
+    usage: {
+      promptTokens: sum(r => r.usage?.promptTokens),
+      completionTokens: sum(r => r.usage?.completionTokens),
+      totalTokens: sum(r => r.usage?.totalTokens),
+    },
+    costUsd: completed.some(r => r.costUsd === null || r.costUsd === undefined) ? null : sum(r => r.costUsd),
+    attempts: sum(r => r.attempts),
+    latencyMs: sum(r => r.latencyMs),
+  };
+}
+
+export default {
+  TOOL_AGENT_CONFIG,
+  registerDealCalculators,
+  toToolName,
+  getCalculatorTools,
+  buildCalculatorDefaults,
+  buildCalculatorToolPrompt,
+  runCalculatorToolLoop,
+  mergeModelResults,
+};
@@ -9,11 +9,22 @@
  * 2. Cross-document synthesis and conflict detection
  * 3. AI-powered recommendations for trusted values
  * 4. Comprehensive logging for debugging
+ * 5. Scanned PDFs and photos read through the OCR pipeline, with each
+ *    extracted field located on its page (pageNumber + boundingBox)
  *
  * Phase 2.1 Implementation
  */
 
 import { getPrisma } from '../../db.js';
+import {
+  extractDocumentLayout,
+  resolveStoredDocumentPath,
+  detectDocumentKind,
+  locateValue,
+} from './ocr-pipeline.js';
+import { extractRentRoll } from '../extractors/rent-roll-extractor.js';
+import { extractT12 } from '../extractors/t12-extractor.js';
+import { extractLoanTerms } from '../extractors/loan-terms-extractor.js';
 
 // Configuration
 export const DOC_INTELLIGENCE_CONFIG = {
@@ -43,6 +54,13 @@ const DOCUMENT_RELIABILITY = {
   [DOCUMENT_TYPES.BROKER_ANALYSIS]: 1,      // Marketing material
 };
 
+// Extractors run on document text recovered by the layout pipeline
+const LAYOUT_EXTRACTORS = {
+  [DOCUMENT_TYPES.RENT_ROLL]: extractRentRoll,
+  [DOCUMENT_TYPES.T12]: extractT12,
+  [DOCUMENT_TYPES.LOAN_DOCUMENTS]: extractLoanTerms,
+};
+
 // Financial field mappings for cross-reference
 const CROSS_REFERENCE_FIELDS = {
   grossPotentialRent: ['gpr', 'gross_potential_rent', 'potentialRent', 'potential_rent'],
@@ -62,6 +80,9 @@ const CROSS_REFERENCE_FIELDS = {
  * @param {string} documentId - Document ID to extract from
  * @param {string} documentType - Type of document (from DOCUMENT_TYPES)
  * @param {Object} options - Extraction options
+ * @param {boolean} [options.forceReextract]
+ * @param {string} [options.dealId] - Deal the document must belong to
+ * @param {string} [options.organizationId] - Organization the document must belong to
  * @returns {Object} Extraction result with confidence scores
  */
 export async function extractDocument(documentId, documentType, options = {}) {
@@ -84,12 +105,17 @@ export async function extractDocument(documentId, documentType, options = {}) {
   const prisma = getPrisma();
 
   try {
-    // Get the document record
-    const document = await prisma.document.findUnique({
+    // Uploaded deal documents; the file is read from the document store by storageKey
+    const document = await prisma.dealDraftDocument.findUnique({
       where: { id: documentId },
+      include: { dealDraft: { select: { organizationId: true, kernelDealId: true } } },
     });
+    const outsideScope = document && (
+      (options.dealId && document.dealDraft?.kernelDealId !== options.dealId)
+      || (options.organizationId && document.dealDraft?.organizationId !== options.organizationId)
+    );
 
-    if (!document) {
+    if (!document || outsideScope) {
       console.warn(`[DOC-INTEL] [${extractionId}] Document not found: ${documentId}`);
       return {
         success: false,
@@ -139,13 +165,13 @@ export async function extractDocument(documentId, documentType, options = {}) {
     }
 
     // Calculate confidence scores for each field
-    const fieldsWithConfidence = calculateConfidenceScores(extractionResult.data, documentType);
+    const fieldsWithConfidence = calculateConfidenceScores(extractionResult.data, documentType, extractionResult.locations);
 
     // Store extraction result
     const savedExtraction = await prisma.documentExtraction.create({
       data: {
         documentId,
-        dealId: document.dealId,
+        dealId: document.dealDraft?.kernelDealId || options.dealId,
         extractedData: JSON.stringify(fieldsWithConfidence),
         extractionType: documentType,
         confidence: extractionResult.overallConfidence || 0.8,
@@ -172,6 +198,9 @@ export async function extractDocument(documentId, documentType, options = {}) {
       metadata: {
         duration: Date.now() - startTime,
         overallConfidence: extractionResult.overallConfidence,
+        pageCount: extractionResult.layout?.pageCount ?? null,
+        ocrPageCount: extractionResult.layout?.ocrPageCount ?? null,
+        tableCount: extractionResult.layout?.tables.length ?? null,
       },
     };
 
@@ -197,40 +226,86 @@ export async function extractDocument(documentId, documentType, options = {}) {
  * Perform actual extraction based on document type
  * This wraps existing extractors and adds confidence scoring
  *
- * @param {Object} document - Document record
+ * @param {Object} document - DealDraftDocument record
  * @param {string} documentType - Document type
  * @param {Object} options - Options
  * @returns {Object} Extraction result
  */
 async function performExtraction(document, documentType, options = {}) {
-  // This would integrate with existing extractors like:
-  // - Rent roll extractor
-  // - T12 extractor
-  // - Loan terms extractor
-  //
-  // For now, return a placeholder that indicates the extraction system is ready
-  // The actual extraction logic will be integrated when connecting to LLM
-
   if (DOC_INTELLIGENCE_CONFIG.debug) {
     console.log(`[DOC-INTEL] Performing extraction for type: ${documentType}`);
   }
 
-  // Placeholder - would call actual LLM extraction here
+  const extractor = LAYOUT_EXTRACTORS[documentType];
+  const readable = extractor && document.storageKey && detectDocumentKind(document.originalFilename, document.mimeType);
+  const layout = readable
+    ? await extractDocumentLayout(resolveStoredDocumentPath(document.storageKey), { mimeType: document.mimeType })
+    : null;
+
+  // Without document content there is nothing to extract yet
+  if (!layout || !extractor) {
+    return {
+      success: true,
+      data: {},
+      layout,
+      overallConfidence: 0.85,
+    };
+  }
+
+  const extracted = await extractor(layout.text, document.originalFilename || document.filename || document.id);
+  const data = flattenExtractedFields(extracted);
+
+  // Where each value was printed, for highlighting in the verification UI
+  const locations = {};
+  for (const [field, value] of Object.entries(data)) {
+    const region = locateValue(layout, value);
+    if (region) locations[field] = region;
+  }
+
+  if (DOC_INTELLIGENCE_CONFIG.debug) {
+    console.log(`[DOC-INTEL] Located ${Object.keys(locations).length}/${Object.keys(data).length} fields on ${layout.pageCount} page(s)`);
+  }
+
   return {
     success: true,
-    data: {},
-    overallConfidence: 0.85,
+    data,
+    locations,
+    layout,
+    // Scanned pages cap confidence at the weakest page's OCR confidence
+    overallConfidence: Math.min(0.85, layout.confidence),
   };
 }
 
+/**
+ * Scalar fields of an extractor result, lifting one level of grouping
+ * (summary.totalUnits → totalUnits); arrays such as unit lists are left out
+ */
+function flattenExtractedFields(extracted) {
+  const fields = {};
+  for (const [key, value] of Object.entries(extracted || {})) {
+    if (value === null || value === undefined || Array.isArray(value)) continue;
+    if (typeof value === 'object') {
+      for (const [field, nested] of Object.entries(value)) {
+        if (nested !== null && nested !== undefined && typeof nested !== 'object') {
+          fields[field] = nested;
+        }
+      }
+    } else {
+      fields[key] = value;
+    }
+  }
+  return fields;
+}
+
 /**
  * Calculate confidence scores for extracted fields
  *
  * @param {Object} data - Extracted data
  * @param {string} documentType - Document type
+ * @param {Object} [locations] - Field → { pageNumber, boundingBox, text, source, confidence }
  * @returns {Object} Data with confidence scores
  */
-function calculateConfidenceScores(data, documentType) {
+function calculateConfidenceScores(data, documentType, locations = {}) {
   const fieldsWithConfidence = {};
 
   for (const [field, value] of Object.entries(data)) {
@@ -250,10 +325,21 @@ function calculateConfidenceScores(data, documentType) {
       fieldConfidence -= 0.2;
     }
 
+    // An OCR'd value can't be more certain than the words it was read from
+    const location = locations[field];
+    if (location?.source === 'ocr') {
+      fieldConfidence = Math.min(fieldConfidence, location.confidence);
+    }
+
     fieldsWithConfidence[field] = {
       value,
       confidence: Math.min(Math.max(fieldConfidence, 0), 1),
       source: documentType,
+      ...(location && {
+        pageNumber: location.pageNumber,
+        boundingBox: location.boundingBox,
+        textSnippet: location.text,
+      }),
     };
   }
 
@@ -0,0 +1,1066 @@
+/**
+ * LLM Provider Layer
+ *
+ * One entry point for every chat-completion call in the BFF, with
+ * interchangeable backends behind it.
+ *
+ * Features:
+ * 1. Provider adapters - OpenAI-compatible servers, a local model server
+ *    (Ollama /api/chat), and a record/replay fixture backend
+ * 2. Per-feature model routing (LLM_ROUTES) so e.g. extraction can run on a
+ *    local model while chat stays on a hosted one
+ * 3. Retries with exponential backoff for rate limits, 5xx and timeouts
+ * 4. Token and cost accounting reported on every completion
+ * 5. Structured-output schema validation with a repair round-trip
+ * 6. Token streaming (SSE for OpenAI-compatible servers, NDJSON for Ollama)
+ *    that callers can abort mid-answer
+ * 7. Tool calling: tools go out as { name, description, parameters } and
+ *    come back as toolCalls [{ id, name, arguments }]
+ *
+ * Pure module: no database access. Callers receive accounting through the
+ * onComplete hook of createLLMClient (see server/llm.js).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const OPENAI_API_KEY =
+  process.env.BFF_OPENAI_API_KEY ?? process.env.OPENAI_API_KEY ?? null;
+
+// Configuration
+export const LLM_PROVIDER_CONFIG = {
+  defaultProvider: process.env.LLM_PROVIDER || (OPENAI_API_KEY ? 'openai' : null),
+  routes: parseJsonEnv('LLM_ROUTES'),
+  pricing: parseJsonEnv('LLM_PRICING'),
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES ?? '2', 10),
+  retryBaseMs: parseInt(process.env.LLM_RETRY_BASE_MS ?? '500', 10),
+  retryMaxMs: parseInt(process.env.LLM_RETRY_MAX_MS ?? '8000', 10),
+  schemaRepairAttempts: parseInt(process.env.LLM_SCHEMA_REPAIR_ATTEMPTS ?? '1', 10),
+  openai: {
+    apiKey: OPENAI_API_KEY,
+    baseUrl: process.env.BFF_OPENAI_BASE_URL ?? 'https://api.openai.com/v1',
+    model: process.env.BFF_OPENAI_MODEL ?? process.env.OPENAI_MODEL ?? 'gpt-4o-mini',
+    organization: process.env.BFF_OPENAI_ORG ?? process.env.OPENAI_ORG_ID ?? null,
+    project: process.env.BFF_OPENAI_PROJECT ?? process.env.OPENAI_PROJECT ?? null,
+    temperature: Number(process.env.BFF_OPENAI_TEMPERATURE ?? 0),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS ?? '60000', 10)
+  },
+  local: {
+    baseUrl: process.env.LLM_LOCAL_BASE_URL ?? 'http://localhost:11434',
+    model: process.env.LLM_LOCAL_MODEL ?? 'llama3.1',
+    temperature: 0,
+    timeoutMs: parseInt(process.env.LLM_LOCAL_TIMEOUT_MS ?? '180000', 10)
+  },
+  replay: {
+    fixturesDir: process.env.LLM_FIXTURES_DIR
+      ?? fileURLToPath(new URL('../../tests/fixtures/llm', import.meta.url)),
+    record: process.env.LLM_RECORD === 'true'
+  },
+  debug: process.env.DEBUG_LLM_PROVIDER === 'true',
+};
+
+export const PROVIDERS = {
+  OPENAI: 'openai',
+  LOCAL: 'local',
+  REPLAY: 'replay',
+};
+
+// USD per 1M tokens. Override or extend with LLM_PRICING='{"model":{"input":x,"output":y}}'
+export const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'o3-mini': { input: 1.10, output: 4.40 },
+};
+
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+function parseJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`[AI-LLM] Ignoring ${name}: not valid JSON (${error.message})`);
+    return {};
+  }
+}
+
+function llmError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function debugLog(config, message, data) {
+  if (config.debug) {
+    console.log(`[AI-LLM] ${message}`, data !== undefined ? JSON.stringify(data) : '');
+  }
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+/**
+ * Whether a provider has what it needs to take calls
+ */
+export function isProviderConfigured(provider, config = LLM_PROVIDER_CONFIG) {
+  switch (provider) {
+    case PROVIDERS.OPENAI:
+      return Boolean(config.openai?.apiKey);
+    case PROVIDERS.LOCAL:
+      return Boolean(config.local?.baseUrl && config.local?.model);
+    case PROVIDERS.REPLAY:
+      return Boolean(config.replay?.fixturesDir);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolve provider and model for a feature
+ *
+ * Routes are looked up by exact feature ("extraction.t12"), then by family
+ * ("extraction"), then "*". The route's model wins over the caller's; the
+ * caller's temperature and token limit win over the route's.
+ *
+ * @param {string} feature - Feature name, e.g. "chat" or "extraction.rent-roll"
+ * @param {Object} overrides - Caller settings { model, temperature, maxTokens }
+ * @param {Object} config - Provider configuration
+ * @returns {Object} { feature, provider, model, temperature, maxTokens }
+ */
+export function resolveRoute(feature, overrides = {}, config = LLM_PROVIDER_CONFIG) {
+  const routes = config.routes || {};
+  const family = String(feature || '').split('.')[0];
+  const route = routes[feature] || routes[family] || routes['*'] || {};
+  const provider = route.provider || config.defaultProvider;
+
+  if (!provider) {
+    throw llmError('LLM not configured', 502, { code: 'LLM_NOT_CONFIGURED' });
+  }
+  if (!Object.values(PROVIDERS).includes(provider)) {
+    throw llmError(`Unknown LLM provider "${provider}" for feature ${feature}`, 500, { code: 'LLM_UNKNOWN_PROVIDER' });
+  }
+  if (!isProviderConfigured(provider, config)) {
+    throw llmError(`LLM provider "${provider}" is not configured`, 502, { code: 'LLM_NOT_CONFIGURED' });
+  }
+
+  const settings = config[provider] || {};
+  return {
+    feature,
+    provider,
+    model: route.model || overrides.model || settings.model || null,
+    temperature: overrides.temperature ?? route.temperature ?? settings.temperature ?? 0,
+    maxTokens: overrides.maxTokens ?? route.maxTokens ?? null
+  };
+}
+
+// ============================================================================
+// STRUCTURED OUTPUT
+// ============================================================================
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema subset
+ *
+ * Supports type (string or list), properties, required, items, enum and
+ * minimum/maximum - the keywords used by the extraction schemas and
+ * calculator tool inputs. Optional properties may be null, matching the
+ * prompts' "use null for unknown" instruction.
+ *
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path prefix for issue messages
+ * @returns {Array<string>} Issues, empty when valid
+ */
+export function validateSchema(value, schema, path = '') {
+  if (!schema) return [];
+  const label = path || 'response';
+  const types = schema.type ? [].concat(schema.type) : null;
+
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${label}: expected ${types.join(' or ')}, got ${describeType(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label}: must be one of ${schema.enum.join(', ')}`];
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return [`${label}: must be at least ${schema.minimum}`];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return [`${label}: must be at most ${schema.maximum}`];
+    }
+  }
+
+  const issues = [];
+  if (matchesType(value, 'object') && schema.properties) {
+    const required = schema.required || [];
+    for (const key of required) {
+      if (value[key] === undefined || value[key] === null) {
+        issues.push(`${path ? `${path}.` : ''}${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const propertyValue = value[key];
+      if (propertyValue === undefined || propertyValue === null) continue;
+      issues.push(...validateSchema(propertyValue, propertySchema, path ? `${path}.${key}` : key));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      issues.push(...validateSchema(item, schema.items, `${label}[${index}]`));
+    });
+  }
+  return issues;
+}
+
+/**
+ * Parse model output as JSON and validate it
+ *
+ * Local models often wrap JSON in a markdown fence; that is stripped first.
+ *
+ * @returns {Object} { parsed, issues }
+ */
+export function parseStructuredOutput(content, schema = null) {
+  const text = String(content ?? '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { parsed: null, issues: ['response: not valid JSON'] };
+  }
+  return { parsed, issues: validateSchema(parsed, schema) };
+}
+
+function buildRepairMessage(issues) {
+  return `Your previous reply did not match the required JSON schema:\n${issues.map(i => `- ${i}`).join('\n')}\n\nReturn ONLY the corrected JSON object, no other text.`;
+}
+
+// ============================================================================
+// ACCOUNTING
+// ============================================================================
+
+function normalizeUsage(promptTokens, completionTokens) {
+  const prompt = Number(promptTokens) || 0;
+  const completion = Number(completionTokens) || 0;
+  return { promptTokens: prompt, completionTokens: completion, totalTokens: prompt + completion };
+}
+
+function addUsage(a, b) {
+  return normalizeUsage(a.promptTokens + b.promptTokens, a.completionTokens + b.completionTokens);
+}
+
+/**
+ * Estimate the USD cost of a completion
+ *
+ * Dated model snapshots ("gpt-4o-mini-2024-07-18") price as their base model.
+ * Local and replayed calls cost nothing; unknown hosted models return null.
+ *
+ * @returns {number|null} Cost in USD, rounded to 6 decimals
+ */
+export function estimateCost(provider, model, usage, pricing = {}) {
+  if (provider !== PROVIDERS.OPENAI) return 0;
+  const table = { ...MODEL_PRICING, ...pricing };
+  const key = table[model]
+    ? model
+    : Object.keys(table).sort((a, b) => b.length - a.length).find(name => String(model || '').startsWith(name));
+  if (!key) return null;
+  const rates = table[key];
+  const cost = (usage.promptTokens * rates.input + usage.completionTokens * rates.output) / 1_000_000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// ============================================================================
+// TOOL CALLS
+// ============================================================================
+
+/**
+ * Parse tool-call arguments; null marks arguments that are not a JSON object
+ */
+export function parseToolArguments(raw) {
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// Conversation messages carry toolCalls (assistant) or toolCallId (role "tool")
+function toOpenAIMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+  if (message.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+      }))
+    };
+  }
+  return message;
+}
+
+function toOllamaMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', content: message.content };
+  }
+  if (message.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: message.toolCalls.map(call => ({
+        function: { name: call.name, arguments: call.arguments ?? {} }
+      }))
+    };
+  }
+  return message;
+}
+
+function toToolDefinitions(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+// Fold streamed tool-call fragments ({ index, id, name, arguments }) into calls
+function mergeToolCallFragments(parts, fragments) {
+  for (const fragment of fragments) {
+    const slot = parts[fragment.index ?? parts.length] ??= { id: null, name: '', arguments: '' };
+    if (fragment.id) slot.id = fragment.id;
+    if (fragment.name) slot.name += fragment.name;
+    if (fragment.arguments && typeof fragment.arguments === 'object') {
+      slot.arguments = fragment.arguments;
+    } else if (fragment.arguments) {
+      slot.arguments += fragment.arguments;
+    }
+  }
+}
+
+// A reply that only calls tools legitimately has no text
+function isEmptyReply(content, toolCalls) {
+  return (typeof content !== 'string' || content.length === 0) && !(toolCalls?.length > 0);
+}
+
+function finishToolCalls(parts) {
+  return parts.filter(Boolean).map((part, i) => ({
+    id: part.id || `call_${i}`,
+    name: part.name,
+    arguments: parseToolArguments(part.arguments)
+  }));
+}
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+const ADAPTERS = {
+  // OpenAI chat completions, and any server speaking the same API (vLLM, LiteLLM, Azure proxies)
+  [PROVIDERS.OPENAI]: {
+    buildRequest(settings, route, call, stream = false) {
+      const headers = {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${settings.apiKey}`
+      };
+      if (settings.organization) headers['OpenAI-Organization'] = settings.organization;
+      if (settings.project) headers['OpenAI-Project'] = settings.project;
+      return {
+        url: `${settings.baseUrl.replace(/\/$/, '')}/chat/completions`,
+        headers,
+        body: {
+          model: route.model,
+          temperature: route.temperature,
+          messages: call.messages.map(toOpenAIMessage),
+          ...(route.maxTokens && { max_tokens: route.maxTokens }),
+          ...(call.json && { response_format: { type: 'json_object' } }),
+          ...(call.tools && { tools: toToolDefinitions(call.tools), tool_choice: call.toolChoice || 'auto' }),
+          ...(stream && { stream: true, stream_options: { include_usage: true } })
+        }
+      };
+    },
+    parseResponse(data) {
+      const message = data?.choices?.[0]?.message;
+      return {
+        content: message?.content ?? null,
+        toolCalls: finishToolCalls((message?.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments
+        }))),
+        model: data?.model ?? null,
+        usage: normalizeUsage(data?.usage?.prompt_tokens, data?.usage?.completion_tokens)
+      };
+    },
+    // Server-sent events: `data: {chunk}` lines, terminated by `data: [DONE]`
+    parseStreamLine(line) {
+      if (!line.startsWith('data:')) return null;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return { delta: '', done: true };
+      const data = JSON.parse(payload);
+      const delta = data?.choices?.[0]?.delta;
+      return {
+        delta: delta?.content ?? '',
+        toolCalls: (delta?.tool_calls || []).map(call => ({
+          index: call.index ?? 0,
+          id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments
+        })),
+        model: data?.model ?? null,
+        usage: data?.usage ? normalizeUsage(data.usage.prompt_tokens, data.usage.completion_tokens) : null,
+        error: data?.error?.message ?? null,
+        done: false
+      };
+    },
+    errorMessage(data) {
+      return data?.error?.message ?? null;
+    }
+  },
+
+  // Ollama's native chat API; passes the schema through as the output format
+  [PROVIDERS.LOCAL]: {
+    buildRequest(settings, route, call, stream = false) {
+      return {
+        url: `${settings.baseUrl.replace(/\/$/, '')}/api/chat`,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          model: route.model,
+          messages: call.messages.map(toOllamaMessage),
+          stream,
+          options: {
+            temperature: route.temperature,
+            ...(route.maxTokens && { num_predict: route.maxTokens })
+          },
+          ...(call.json && { format: call.schema || 'json' }),
+          // Ollama has no tool_choice; withholding the tools is the equivalent of "none"
+          ...(call.tools && call.toolChoice !== 'none' && { tools: toToolDefinitions(call.tools) })
+        }
+      };
+    },
+    parseResponse(data) {
+      return {
+        content: data?.message?.content ?? null,
+        toolCalls: finishToolCalls((data?.message?.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments
+        }))),
+        model: data?.model ?? null,
+        usage: normalizeUsage(data?.prompt_eval_count, data?.eval_count)
+      };
+    },
+    // Newline-delimited JSON; the final object carries done: true and the token counts
+    parseStreamLine(line) {
+      const data = JSON.parse(line);
+      return {
+        delta: data?.message?.content ?? '',
+        // Ollama sends each tool call whole, so every one starts a new slot
+        toolCalls: (data?.message?.tool_calls || []).map(call => ({
+          index: null,
+          id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments
+        })),
+        model: data?.model ?? null,
+        usage: data?.done ? normalizeUsage(data.prompt_eval_count, data.eval_count) : null,
+        error: typeof data?.error === 'string' ? data.error : null,
+        done: Boolean(data?.done)
+      };
+    },
+    errorMessage(data) {
+      return typeof data?.error === 'string' ? data.error : null;
+    }
+  }
+};
+
+// ============================================================================
+// FIXTURES (RECORD / REPLAY)
+// ============================================================================
+
+/**
+ * Key a request for record/replay
+ *
+ * Only the feature, messages, output schema and offered tool names are
+ * hashed, so a fixture replays whichever provider or model recorded it.
+ */
+export function fixtureKey(call) {
+  const material = JSON.stringify({
+    feature: call.feature,
+    messages: call.messages,
+    json: Boolean(call.json),
+    schema: call.schema || null,
+    ...(call.tools && { tools: call.tools.map(tool => tool.name), toolChoice: call.toolChoice || 'auto' })
+  });
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 32);
+}
+
+function fixturePath(config, call) {
+  const folder = String(call.feature || 'default').replace(/[^a-zA-Z0-9._-]/g, '_');
+  return path.join(config.replay.fixturesDir, folder, `${fixtureKey(call)}.json`);
+}
+
+async function readFixture(config, call) {
+  const file = fixturePath(config, call);
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw llmError(`No recorded LLM fixture for ${call.feature} (${path.basename(file)})`, 502, {
+        code: 'LLM_FIXTURE_MISSING',
+        fixture: file
+      });
+    }
+    throw error;
+  }
+  return {
+    content: fixture.response.content ?? '',
+    toolCalls: fixture.response.toolCalls ?? [],
+    model: fixture.model ?? null,
+    usage: normalizeUsage(fixture.response.usage?.promptTokens, fixture.response.usage?.completionTokens),
+    raw: fixture.response
+  };
+}
+
+async function writeFixture(config, call, route, response) {
+  const file = fixturePath(config, call);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({
+    key: fixtureKey(call),
+    feature: call.feature,
+    provider: route.provider,
+    model: response.model ?? route.model,
+    recordedAt: new Date().toISOString(),
+    request: { messages: call.messages, json: Boolean(call.json), schema: call.schema || null, tools: call.tools || null },
+    response: {
+      content: response.content,
+      ...(response.toolCalls?.length && { toolCalls: response.toolCalls }),
+      usage: response.usage
+    }
+  }, null, 2));
+}
+
+/**
+ * Split recorded content into word-sized pieces so replayed streams behave
+ * like a provider emitting tokens
+ */
+export function splitIntoTokens(content) {
+  return String(content ?? '').match(/\s*\S+/g) ?? [];
+}
+
+// ============================================================================
+// RETRIES
+// ============================================================================
+
+/**
+ * Whether a failed call is worth retrying
+ */
+export function isRetryable(error) {
+  if (error?.code === 'LLM_FIXTURE_MISSING' || error?.code === 'LLM_EMPTY_RESPONSE') return false;
+  if (error?.status) return RETRYABLE_STATUSES.includes(error.status);
+  // Network failures and timeouts carry no status
+  return true;
+}
+
+/**
+ * Delay before retry number `attempt` (0-based)
+ *
+ * Honors a Retry-After hint, otherwise doubles from retryBaseMs; both are
+ * capped at retryMaxMs.
+ */
+export function retryDelay(attempt, error, config = LLM_PROVIDER_CONFIG) {
+  const hinted = Number(error?.retryAfterMs);
+  const delay = Number.isFinite(hinted) && hinted > 0
+    ? hinted
+    : config.retryBaseMs * 2 ** attempt;
+  return Math.min(delay, config.retryMaxMs);
+}
+
+function parseRetryAfter(headers) {
+  const value = headers?.get?.('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Create an LLM client
+ *
+ * @param {Object} options
+ * @param {Object} [options.config] - Provider configuration (defaults to env)
+ * @param {Function} [options.fetchImpl] - fetch implementation
+ * @param {Function} [options.sleep] - async (ms) => void, used between retries
+ * @param {Function} [options.onComplete] - Called with accounting for every
+ *   completion, successful or not: { feature, provider, model, usage, costUsd,
+ *   attempts, latencyMs, audit, messages, content, error }
+ * @returns {Object} { complete, stream, resolveRoute, isConfigured, config }
+ */
+export function createLLMClient({
+  config = LLM_PROVIDER_CONFIG,
+  fetchImpl = (...args) => fetch(...args),
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  onComplete = null
+} = {}) {
+  async function send(route, call) {
+    if (route.provider === PROVIDERS.REPLAY) {
+      return readFixture(config, call);
+    }
+
+    const settings = config[route.provider];
+    const adapter = ADAPTERS[route.provider];
+    const request = adapter.buildRequest(settings, route, call);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+    let response;
+    let data = null;
+    try {
+      response = await fetchImpl(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: controller.signal
+      });
+      try {
+        data = await response.json();
+      } catch {
+        data = null;
+      }
+    } catch (error) {
+      throw llmError(
+        error.name === 'AbortError'
+          ? `LLM request timed out after ${settings.timeoutMs}ms`
+          : `LLM request failed: ${error.message}`,
+        undefined,
+        { code: 'LLM_NETWORK_ERROR', cause: error }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw llmError(adapter.errorMessage(data) ?? `LLM request failed (${response.status})`, response.status, {
+        code: 'LLM_HTTP_ERROR',
+        data,
+        retryAfterMs: parseRetryAfter(response.headers)
+      });
+    }
+
+    const parsed = adapter.parseResponse(data);
+    if (isEmptyReply(parsed.content, parsed.toolCalls)) {
+      throw llmError('LLM response missing content', 502, { code: 'LLM_EMPTY_RESPONSE', data });
+    }
+    parsed.content = parsed.content ?? '';
+    if (config.replay?.record) {
+      await writeFixture(config, call, route, parsed);
+    }
+    return { ...parsed, raw: data };
+  }
+
+  function toolRequest(request) {
+    return request.tools?.length > 0
+      ? { tools: request.tools, toolChoice: request.toolChoice || 'auto' }
+      : {};
+  }
+
+  function notify(request, state, extra = {}) {
+    const accounting = {
+      feature: state.feature,
+      provider: state.route.provider,
+      model: state.model,
+      usage: state.usage,
+      costUsd: estimateCost(state.route.provider, state.model, state.usage, config.pricing),
+      attempts: state.attempts,
+      latencyMs: Date.now() - state.startedAt
+    };
+    if (onComplete) {
+      try {
+        onComplete({
+          ...accounting,
+          audit: request.audit || null,
+          messages: request.messages,
+          content: state.content,
+          ...extra
+        });
+      } catch (hookError) {
+        console.error('[AI-LLM] onComplete hook failed:', hookError.message);
+      }
+    }
+    return accounting;
+  }
+
+  async function sendWithRetry(route, call) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await send(route, call);
+        return { ...response, attempts: attempt + 1 };
+      } catch (error) {
+        error.attempts = attempt + 1;
+        if (attempt >= config.maxRetries || !isRetryable(error)) throw error;
+        const delay = retryDelay(attempt, error, config);
+        console.log(`[AI-LLM] ${call.feature} via ${route.provider} failed (${error.status ?? error.code}), retry ${attempt + 1}/${config.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Run a chat completion
+   *
+   * @param {Object} request
+   * @param {string} request.feature - Feature name used for routing and accounting
+   * @param {Array} request.messages - [{ role, content }]
+   * @param {Object} [request.schema] - JSON schema the reply must satisfy (implies json)
+   * @param {boolean} [request.json] - Ask for a JSON object reply
+   * @param {string} [request.model] - Preferred model when the route names none
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {Array} [request.tools] - [{ name, description, parameters }] the model may call
+   * @param {string} [request.toolChoice] - 'auto' (default) or 'none'
+   * @param {Object} [request.audit] - Passed through to onComplete
+   * @returns {Promise<Object>} { content, parsed, raw, toolCalls, feature, provider,
+   *   model, usage, costUsd, attempts, latencyMs }
+   */
+  async function complete(request) {
+    const feature = request.feature || 'default';
+    const route = resolveRoute(feature, request, config);
+    const json = Boolean(request.json || request.schema);
+    const startedAt = Date.now();
+
+    let messages = request.messages;
+    let usage = normalizeUsage(0, 0);
+    let attempts = 0;
+    let model = route.model;
+    let content = null;
+    let raw = null;
+    let toolCalls = [];
+
+    const report = (extra) => notify(request, {
+      feature, route, model, usage, attempts, startedAt, content
+    }, extra);
+
+    try {
+      for (let repairs = 0; ; repairs++) {
+        const call = { feature, messages, json, schema: request.schema || null, ...toolRequest(request) };
+        let response;
+        try {
+          response = await sendWithRetry(route, call);
+        } catch (error) {
+          attempts += error.attempts || 1;
+          throw error;
+        }
+        attempts += response.attempts;
+        usage = addUsage(usage, response.usage);
+        model = response.model || model;
+        content = response.content;
+        raw = response.raw;
+        toolCalls = response.toolCalls || [];
+
+        if (!json) {
+          debugLog(config, `${feature} completed`, { provider: route.provider, model, usage, toolCalls: toolCalls.length });
+          return { content, parsed: null, raw, toolCalls, ...report() };
+        }
+
+        const { parsed, issues } = parseStructuredOutput(content, request.schema);
+        if (issues.length === 0) {
+          debugLog(config, `${feature} completed`, { provider: route.provider, model, usage, repairs });
+          return { content, parsed, raw, toolCalls, ...report() };
+        }
+        if (repairs >= config.schemaRepairAttempts) {
+          throw llmError('LLM response did not match the expected schema', 502, {
+            code: 'LLM_SCHEMA_MISMATCH',
+            issues
+          });
+        }
+        debugLog(config, `${feature} schema mismatch, asking for repair`, issues);
+        messages = [
+          ...messages,
+          { role: 'assistant', content },
+          { role: 'user', content: buildRepairMessage(issues) }
+        ];
+      }
+    } catch (error) {
+      report({ error });
+      throw error;
+    }
+  }
+
+  async function sendStream(route, call, onToken, signal) {
+    const state = { content: '', model: route.model, usage: normalizeUsage(0, 0), aborted: false, toolCalls: [] };
+    const toolCallParts = [];
+    const emit = (delta) => {
+      if (!delta) return;
+      state.content += delta;
+      onToken(delta);
+    };
+    const streamError = (message, status, extra) =>
+      llmError(message, status, { ...extra, streamed: state.content.length > 0, partialContent: state.content });
+
+    if (route.provider === PROVIDERS.REPLAY) {
+      const fixture = await readFixture(config, call);
+      state.model = fixture.model || state.model;
+      state.usage = fixture.usage;
+      state.toolCalls = fixture.toolCalls;
+      for (const token of splitIntoTokens(fixture.content)) {
+        if (signal?.aborted) break;
+        emit(token);
+      }
+      state.aborted = Boolean(signal?.aborted);
+      return state;
+    }
+
+    const settings = config[route.provider];
+    const adapter = ADAPTERS[route.provider];
+    const request = adapter.buildRequest(settings, route, call, true);
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, settings.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener?.('abort', onAbort);
+
+    // Returns true once the provider signals the end of the answer
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return false;
+      const chunk = adapter.parseStreamLine(trimmed);
+      if (!chunk) return false;
+      if (chunk.error) throw streamError(chunk.error, 502, { code: 'LLM_HTTP_ERROR' });
+      if (chunk.model) state.model = chunk.model;
+      if (chunk.usage) state.usage = chunk.usage;
+      if (chunk.toolCalls?.length) mergeToolCallFragments(toolCallParts, chunk.toolCalls);
+      emit(chunk.delta);
+      return chunk.done;
+    };
+
+    try {
+      if (signal?.aborted) {
+        state.aborted = true;
+        return state;
+      }
+
+      let response;
+      try {
+        response = await fetchImpl(request.url, {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+          signal: controller.signal
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          state.aborted = true;
+          return state;
+        }
+        throw streamError(
+          timedOut ? `LLM request timed out after ${settings.timeoutMs}ms` : `LLM request failed: ${error.message}`,
+          undefined,
+          { code: 'LLM_NETWORK_ERROR', cause: error }
+        );
+      }
+
+      if (!response.ok) {
+        let data = null;
+        try {
+          data = await response.json();
+        } catch {
+          data = null;
+        }
+        throw streamError(adapter.errorMessage(data) ?? `LLM request failed (${response.status})`, response.status, {
+          code: 'LLM_HTTP_ERROR',
+          data,
+          retryAfterMs: parseRetryAfter(response.headers)
+        });
+      }
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let done = false;
+      try {
+        for await (const part of response.body) {
+          buffer += typeof part === 'string' ? part : decoder.decode(part, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            if (signal?.aborted) break;
+            if (handleLine(line)) done = true;
+          }
+          if (done || signal?.aborted) break;
+        }
+        if (!done && !signal?.aborted && buffer) handleLine(buffer);
+      } catch (error) {
+        if (signal?.aborted) {
+          state.aborted = true;
+          return state;
+        }
+        if (error.code?.startsWith?.('LLM_')) throw error;
+        throw streamError(
+          timedOut ? `LLM stream timed out after ${settings.timeoutMs}ms` : `LLM stream failed: ${error.message}`,
+          undefined,
+          { code: 'LLM_NETWORK_ERROR', cause: error }
+        );
+      }
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener?.('abort', onAbort);
+    }
+
+    state.aborted = Boolean(signal?.aborted);
+    state.toolCalls = finishToolCalls(toolCallParts);
+    return state;
+  }
+
+  async function streamWithRetry(route, call, onToken, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await sendStream(route, call, onToken, signal);
+        return { ...response, attempts: attempt + 1 };
+      } catch (error) {
+        error.attempts = attempt + 1;
+        // Once tokens have reached the caller a retry would repeat them
+        if (error.streamed || attempt >= config.maxRetries || !isRetryable(error)) throw error;
+        const delay = retryDelay(attempt, error, config);
+        console.log(`[AI-LLM] ${call.feature} stream via ${route.provider} failed (${error.status ?? error.code}), retry ${attempt + 1}/${config.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Run a chat completion, delivering the answer token by token
+   *
+   * Retries only happen before the first token arrives. Aborting `signal`
+   * stops the provider request and resolves with the text received so far
+   * and `aborted: true`; accounting is still reported through onComplete.
+   *
+   * @param {Object} request - Same as complete(), except `schema` (structured
+   *   replies are not streamed)
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.onToken] - (delta) => void for each piece of text
+   * @param {AbortSignal} [handlers.signal] - Cancels the stream
+   * @returns {Promise<Object>} { content, parsed, raw, toolCalls, aborted, feature,
+   *   provider, model, usage, costUsd, attempts, latencyMs }
+   */
+  async function stream(request, { onToken = () => {}, signal = null } = {}) {
+    const feature = request.feature || 'default';
+    const route = resolveRoute(feature, request, config);
+    if (request.schema) {
+      throw llmError('Schema-constrained completions cannot be streamed', 400, { code: 'LLM_STREAM_UNSUPPORTED' });
+    }
+    const call = { feature, messages: request.messages, json: Boolean(request.json), schema: null, ...toolRequest(request) };
+    const state = {
+      feature,
+      route,
+      model: route.model,
+      usage: normalizeUsage(0, 0),
+      attempts: 0,
+      startedAt: Date.now(),
+      content: null
+    };
+
+    try {
+      const response = await streamWithRetry(route, call, onToken, signal);
+      Object.assign(state, {
+        model: response.model || route.model,
+        usage: response.usage,
+        attempts: response.attempts,
+        content: response.content
+      });
+      if (!response.aborted && isEmptyReply(response.content, response.toolCalls)) {
+        throw llmError('LLM response missing content', 502, { code: 'LLM_EMPTY_RESPONSE', attempts: response.attempts });
+      }
+      if (!response.aborted && config.replay?.record && route.provider !== PROVIDERS.REPLAY) {
+        await writeFixture(config, call, route, response);
+      }
+      debugLog(config, `${feature} stream ${response.aborted ? 'aborted' : 'completed'}`, {
+        provider: route.provider,
+        model: state.model,
+        usage: state.usage
+      });
+      return {
+        content: response.content,
+        parsed: null,
+        raw: null,
+        toolCalls: response.aborted ? [] : response.toolCalls,
+        aborted: response.aborted,
+        ...notify(request, state, { aborted: response.aborted })
+      };
+    } catch (error) {
+      state.attempts = error.attempts || state.attempts || 1;
+      state.content = error.partialContent ?? state.content;
+      notify(request, state, { error });
+      throw error;
+    }
+  }
+
+  return {
+    config,
+    complete,
+    stream,
+    resolveRoute: (feature, overrides = {}) => resolveRoute(feature, overrides, config),
+    isConfigured(feature) {
+      try {
+        resolveRoute(feature, {}, config);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  };
+}
+
+export default {
+  LLM_PROVIDER_CONFIG,
+  PROVIDERS,
+  MODEL_PRICING,
+  isProviderConfigured,
+  resolveRoute,
+  validateSchema,
+  parseStructuredOutput,
+  estimateCost,
+  fixtureKey,
+  splitIntoTokens,
+  parseToolArguments,
+  isRetryable,
+  retryDelay,
+  createLLMClient,
+};
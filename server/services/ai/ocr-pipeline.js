@@ -0,0 +1,632 @@
+/**
+ * OCR & Layout Pipeline - Text, Tables and Page Coordinates from Documents
+ *
+ * Broker rent rolls and T12s often arrive as scanned PDFs or phone photos
+ * with no text layer. This pipeline recovers the text with word positions so
+ * extracted values can be traced back to a region of a page:
+ * 1. PDF text layer with word boxes (poppler `pdftotext -bbox-layout`)
+ * 2. Pages without usable text are rasterized (`pdftoppm`) and OCR'd
+ *    (`tesseract ... tsv`); photos go straight to OCR
+ * 3. Words are grouped into lines, lines into cells by column gaps, and runs
+ *    of multi-cell lines into tables with rows and columns
+ * 4. Text for the LLM is rendered page by page ([Page N], tables as | rows)
+ * 5. locateText / locateValue map a quoted snippet or an extracted value back
+ *    to { pageNumber, boundingBox }
+ *
+ * Everything runs locally. Bounding boxes are { x, y, width, height } as
+ * fractions of the page (top-left origin), so the UI can overlay them on a
+ * page rendered at any size.
+ *
+ * Pure module: external tools are called through an injectable runCommand.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+// Configuration
+export const OCR_CONFIG = {
+  pdftotextPath: process.env.OCR_PDFTOTEXT_PATH || 'pdftotext',
+  pdftoppmPath: process.env.OCR_PDFTOPPM_PATH || 'pdftoppm',
+  tesseractPath: process.env.OCR_TESSERACT_PATH || 'tesseract',
+  language: process.env.OCR_LANGUAGE || 'eng',
+  dpi: parseInt(process.env.OCR_DPI ?? '300', 10),
+  minTextLayerChars: parseInt(process.env.OCR_MIN_TEXT_LAYER_CHARS ?? '40', 10), // Fewer characters → OCR the page
+  minWordConfidence: parseInt(process.env.OCR_MIN_WORD_CONFIDENCE ?? '20', 10),  // Tesseract 0-100
+  timeoutMs: parseInt(process.env.OCR_TIMEOUT_MS ?? '120000', 10),
+  columnGapFactor: 1.0,  // Gap wider than this × word height starts a new cell
+  minTableRows: 2,
+  storageDir: process.env.DOCUMENT_STORAGE_DIR || path.resolve('uploads'), // Root of DealDraftDocument.storageKey
+  debug: process.env.DEBUG_AI_OCR === 'true',
+};
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.tif', '.tiff', '.bmp', '.webp'];
+
+const execFileAsync = promisify(execFile);
+
+async function defaultRunCommand(command, args, options = {}) {
+  const { stdout } = await execFileAsync(command, args, {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: options.timeoutMs,
+  });
+  return stdout;
+}
+
+function ocrError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function debugLog(config, message, data) {
+  if (config.debug) {
+    console.log(`[AI-OCR] ${message}`, data !== undefined ? JSON.stringify(data) : '');
+  }
+}
+
+// ============================================================================
+// PARSERS
+// ============================================================================
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse `pdftotext -bbox-layout` XHTML into pages of positioned words
+ *
+ * @param {string} xhtml
+ * @returns {Array} [{ pageNumber, width, height, source: 'text', confidence, words: [{ text, x0, y0, x1, y1 }] }]
+ */
+export function parsePdfTextLayout(xhtml) {
+  const pages = [];
+  const pagePattern = /<page\s+width="([\d.]+)"\s+height="([\d.]+)"\s*>([\s\S]*?)<\/page>/g;
+  const wordPattern = /<word\s+xMin="([\d.]+)"\s+yMin="([\d.]+)"\s+xMax="([\d.]+)"\s+yMax="([\d.]+)"\s*>([\s\S]*?)<\/word>/g;
+
+  for (const [, width, height, body] of String(xhtml || '').matchAll(pagePattern)) {
+    const words = [];
+    for (const [, x0, y0, x1, y1, text] of body.matchAll(wordPattern)) {
+      const decoded = decodeEntities(text).trim();
+      if (!decoded) continue;
+      words.push({ text: decoded, x0: Number(x0), y0: Number(y0), x1: Number(x1), y1: Number(y1), confidence: 1 });
+    }
+    pages.push({
+      pageNumber: pages.length + 1,
+      width: Number(width),
+      height: Number(height),
+      source: 'text',
+      confidence: 1,
+      words,
+    });
+  }
+  return pages;
+}
+
+/**
+ * Parse Tesseract TSV output for one image into a page of positioned words
+ *
+ * @param {string} tsv - `tesseract <image> stdout tsv` output
+ * @param {number} pageNumber - Page the image came from
+ * @param {Object} [config]
+ * @returns {Object} { pageNumber, width, height, source: 'ocr', confidence, words }
+ */
+export function parseTesseractTsv(tsv, pageNumber = 1, config = OCR_CONFIG) {
+  const page = { pageNumber, width: 0, height: 0, source: 'ocr', confidence: 0, words: [] };
+
+  for (const row of String(tsv || '').split(/\r?\n/).slice(1)) {
+    const columns = row.split('\t');
+    if (columns.length < 12) continue;
+    const [level, , , , , , left, top, width, height, conf] = columns.map(Number);
+    const text = columns.slice(11).join('\t').trim();
+
+    if (level === 1) {
+      page.width = width;
+      page.height = height;
+    } else if (level === 5 && text && conf >= config.minWordConfidence) {
+      page.words.push({ text, x0: left, y0: top, x1: left + width, y1: top + height, confidence: conf / 100 });
+    }
+  }
+
+  page.confidence = page.words.length > 0
+    ? round(page.words.reduce((sum, word) => sum + word.confidence, 0) / page.words.length, 2)
+    : 0;
+  return page;
+}
+
+// ============================================================================
+// LAYOUT ANALYSIS
+// ============================================================================
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function unionBox(boxes) {
+  return {
+    x0: Math.min(...boxes.map(b => b.x0)),
+    y0: Math.min(...boxes.map(b => b.y0)),
+    x1: Math.max(...boxes.map(b => b.x1)),
+    y1: Math.max(...boxes.map(b => b.y1)),
+  };
+}
+
+// Native page units → fractions of the page
+function toPageBox(box, page) {
+  if (!page.width || !page.height) return null;
+  return {
+    x: round(box.x0 / page.width),
+    y: round(box.y0 / page.height),
+    width: round((box.x1 - box.x0) / page.width),
+    height: round((box.y1 - box.y0) / page.height),
+  };
+}
+
+// Union of boxes already expressed as page fractions
+export function mergePageBoxes(boxes) {
+  const present = boxes.filter(Boolean);
+  if (present.length === 0) return null;
+  const merged = unionBox(present.map(b => ({ x0: b.x, y0: b.y, x1: b.x + b.width, y1: b.y + b.height })));
+  return { x: merged.x0, y: merged.y0, width: round(merged.x1 - merged.x0), height: round(merged.y1 - merged.y0) };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] || 0;
+}
+
+/**
+ * Group positioned words into reading-order lines, each split into cells
+ * wherever the horizontal gap is wider than the column gap
+ */
+export function groupLines(words, config = OCR_CONFIG) {
+  const lines = [];
+  const byCenter = [...words].sort((a, b) => (a.y0 + a.y1) - (b.y0 + b.y1));
+
+  for (const word of byCenter) {
+    const center = (word.y0 + word.y1) / 2;
+    const line = lines[lines.length - 1];
+    if (line && center >= line.y0 && center <= line.y1) {
+      line.words.push(word);
+      line.y0 = Math.min(line.y0, word.y0);
+      line.y1 = Math.max(line.y1, word.y1);
+    } else {
+      lines.push({ words: [word], y0: word.y0, y1: word.y1 });
+    }
+  }
+
+  return lines.map(line => {
+    const ordered = line.words.sort((a, b) => a.x0 - b.x0);
+    const gap = config.columnGapFactor * median(ordered.map(w => w.y1 - w.y0));
+    const cells = [];
+    for (const word of ordered) {
+      const cell = cells[cells.length - 1];
+      if (cell && word.x0 - cell.x1 <= gap) {
+        cell.words.push(word);
+        cell.x1 = Math.max(cell.x1, word.x1);
+      } else {
+        cells.push({ words: [word], x0: word.x0, x1: word.x1 });
+      }
+    }
+    return {
+      words: ordered,
+      cells: cells.map(cell => ({ text: cell.words.map(w => w.text).join(' '), words: cell.words, ...unionBox(cell.words) })),
+      ...unionBox(ordered),
+    };
+  });
+}
+
+// Column intervals from the horizontal extents of every cell in the table
+function columnIntervals(rows) {
+  const extents = rows.flatMap(row => row.cells.map(cell => [cell.x0, cell.x1])).sort((a, b) => a[0] - b[0]);
+  const columns = [];
+  for (const [x0, x1] of extents) {
+    const last = columns[columns.length - 1];
+    if (last && x0 <= last.x1) {
+      last.x1 = Math.max(last.x1, x1);
+    } else {
+      columns.push({ x0, x1 });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Find tables: runs of consecutive lines with two or more cells
+ *
+ * @returns {Array} [{ lineStart, lineEnd, columns: [{ x0, x1 }], rows: [{ line, cells: [{ column, ...cell }] }] }]
+ */
+export function detectTables(lines, config = OCR_CONFIG) {
+  const tables = [];
+  let run = [];
+
+  const closeRun = (end) => {
+    if (run.length >= config.minTableRows) {
+      const columns = columnIntervals(run);
+      tables.push({
+        lineStart: end - run.length,
+        lineEnd: end - 1,
+        columns,
+        rows: run.map(line => ({
+          line,
+          cells: line.cells.map(cell => ({
+            ...cell,
+            column: columns.findIndex(column => cell.x0 < column.x1 && cell.x1 > column.x0),
+          })),
+        })),
+      });
+    }
+    run = [];
+  };
+
+  lines.forEach((line, index) => {
+    if (line.cells.length >= 2) {
+      run.push(line);
+    } else {
+      closeRun(index);
+    }
+  });
+  closeRun(lines.length);
+  return tables;
+}
+
+function renderTableRow(row, columnCount) {
+  const texts = Array.from({ length: columnCount }, () => []);
+  for (const cell of row.cells) {
+    texts[Math.max(cell.column, 0)].push(cell.text);
+  }
+  return `| ${texts.map(parts => parts.join(' ')).join(' | ')} |`;
+}
+
+/**
+ * Lines, tables and page-fraction boxes for one parsed page
+ */
+export function analyzePage(page, config = OCR_CONFIG) {
+  const lines = groupLines(page.words, config);
+  const tables = detectTables(lines, config);
+  const tableAt = new Map(tables.map(table => [table.lineStart, table]));
+
+  const textLines = [];
+  for (let index = 0; index < lines.length; index++) {
+    const table = tableAt.get(index);
+    if (table) {
+      textLines.push(...table.rows.map(row => renderTableRow(row, table.columns.length)));
+      index = table.lineEnd;
+    } else {
+      textLines.push(lines[index].words.map(w => w.text).join(' '));
+    }
+  }
+
+  const toWord = (word) => ({ text: word.text, box: toPageBox(word, page), confidence: word.confidence });
+
+  return {
+    pageNumber: page.pageNumber,
+    source: page.source,
+    confidence: page.confidence,
+    width: page.width,
+    height: page.height,
+    text: textLines.join('\n'),
+    lines: lines.map(line => ({
+      text: line.words.map(w => w.text).join(' '),
+      box: toPageBox(line, page),
+      words: line.words.map(toWord),
+    })),
+    tables: tables.map(table => ({
+      pageNumber: page.pageNumber,
+      box: toPageBox(unionBox(table.rows.map(row => row.line)), page),
+      columns: table.columns.map((column, index) => ({
+        index,
+        header: table.rows[0].cells.filter(cell => cell.column === index).map(cell => cell.text).join(' ') || null,
+        box: toPageBox({ x0: column.x0, x1: column.x1, y0: 0, y1: page.height }, page),
+      })),
+      rows: table.rows.map((row, index) => ({
+        index,
+        box: toPageBox(row.line, page),
+        cells: row.cells.map(cell => ({ column: cell.column, text: cell.text, box: toPageBox(cell, page) })),
+      })),
+    })),
+  };
+}
+
+/**
+ * Assemble the document layout from parsed pages
+ *
+ * @param {Array} pages - From parsePdfTextLayout / parseTesseractTsv
+ * @returns {Object} { pageCount, ocrPageCount, confidence, text, pages, tables }
+ */
+export function buildLayout(pages, config = OCR_CONFIG) {
+  const analyzed = pages.map(page => analyzePage(page, config));
+  const ocrPages = analyzed.filter(page => page.source === 'ocr');
+
+  return {
+    pageCount: analyzed.length,
+    ocrPageCount: ocrPages.length,
+    confidence: ocrPages.length > 0
+      ? round(Math.min(...ocrPages.map(page => page.confidence)), 2)
+      : 1,
+    text: analyzed.map(page => `[Page ${page.pageNumber}]\n${page.text}`).join('\n\n'),
+    pages: analyzed,
+    tables: analyzed.flatMap(page => page.tables),
+  };
+}
+
+// ============================================================================
+// LOCATING VALUES
+// ============================================================================
+
+function normalizeSearchText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\|/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Pages to search: the claimed page first, then the rest in order
+function searchOrder(layout, pageNumber) {
+  const pages = layout?.pages || [];
+  const preferred = pages.find(page => page.pageNumber === pageNumber);
+  return preferred ? [preferred, ...pages.filter(page => page !== preferred)] : pages;
+}
+
+function regionFor(page, words, text) {
+  return {
+    pageNumber: page.pageNumber,
+    boundingBox: mergePageBoxes(words.map(word => word.box)),
+    text: text ?? words.map(word => word.text).join(' '),
+    source: page.source,
+    confidence: round(Math.min(...words.map(word => word.confidence ?? 1)), 2),
+  };
+}
+
+/**
+ * Find a quoted snippet in the layout
+ *
+ * Matching ignores case, whitespace and table pipes. The claimed page is
+ * searched first, since models sometimes get page numbers wrong.
+ *
+ * @param {Object} layout - From buildLayout
+ * @param {string} snippet - Quoted source text
+ * @param {Object} [options] - { pageNumber }
+ * @returns {Object|null} { pageNumber, boundingBox, text, source, confidence }
+ */
+export function locateText(layout, snippet, options = {}) {
+  const target = normalizeSearchText(snippet);
+  if (!target) return null;
+
+  for (const page of searchOrder(layout, options.pageNumber)) {
+    let stream = '';
+    const offsets = [];
+    for (const word of page.lines.flatMap(line => line.words)) {
+      const text = normalizeSearchText(word.text);
+      if (!text) continue;
+      if (stream) stream += ' ';
+      offsets.push({ start: stream.length, end: stream.length + text.length, word });
+      stream += text;
+    }
+
+    const index = stream.indexOf(target);
+    if (index >= 0) {
+      const end = index + target.length;
+      return regionFor(page, offsets.filter(o => o.start < end && o.end > index).map(o => o.word));
+    }
+  }
+  return null;
+}
+
+function parseWordNumber(text) {
+  const cleaned = String(text).replace(/[$,%\s]/g, '').replace(/^\((.*)\)$/, '-$1');
+  if (!/^-?\d*\.?\d+$/.test(cleaned)) return null;
+  return Number(cleaned);
+}
+
+/**
+ * Find an extracted value in the layout
+ * Numbers match printed forms ($1,250.00, 95%, (1,200)); fractions up to 1
+ * also match their percentage. Other values are located as text.
+ *
+ * @returns {Object|null} { pageNumber, boundingBox, text (the whole line), source, confidence }
+ */
+export function locateValue(layout, value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'number') {
+    return locateText(layout, String(value), options);
+  }
+
+  const candidates = Math.abs(value) <= 1 ? [value, value * 100] : [value];
+  const matches = (number) => candidates.some(candidate =>
+    Math.abs(number - candidate) <= Math.max(0.005, Math.abs(candidate) * 1e-6));
+
+  for (const page of searchOrder(layout, options.pageNumber)) {
+    for (const line of page.lines) {
+      const word = line.words.find(w => {
+        const number = parseWordNumber(w.text);
+        return number !== null && matches(number);
+      });
+      if (word) return regionFor(page, [word], line.text);
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Whether the pipeline can read a file ('pdf', 'image' or null)
+ */
+export function detectDocumentKind(filename, mimeType) {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (mimeType === 'application/pdf' || extension === '.pdf') return 'pdf';
+  if (String(mimeType || '').startsWith('image/') || IMAGE_EXTENSIONS.includes(extension)) return 'image';
+  return null;
+}
+
+/**
+ * Absolute path of a stored document. Storage keys are relative to the
+ * document store; keys that resolve outside it are rejected so a record can
+ * never point OCR at other files on the server.
+ *
+ * @param {string} storageKey - DealDraftDocument.storageKey
+ * @param {Object} [config] - Defaults to OCR_CONFIG
+ * @returns {string}
+ */
+export function resolveStoredDocumentPath(storageKey, config = OCR_CONFIG) {
+  const root = path.resolve(config.storageDir);
+  const filePath = path.resolve(root, String(storageKey || ''));
+  if (!storageKey || !filePath.startsWith(root + path.sep)) {
+    throw ocrError(`Storage key is outside the document store: ${storageKey}`, 'OCR_INVALID_STORAGE_KEY');
+  }
+  return filePath;
+}
+
+/**
+ * Create an OCR pipeline
+ *
+ * @param {Object} [deps]
+ * @param {Object} [deps.config] - Defaults to OCR_CONFIG
+ * @param {Function} [deps.runCommand] - async (command, args, { timeoutMs }) => stdout
+ * @returns {Object} { config, extractLayout, renderPageImages }
+ */
+export function createOcrPipeline({ config = OCR_CONFIG, runCommand = defaultRunCommand } = {}) {
+  async function run(command, args) {
+    debugLog(config, `Running ${command}`, args);
+    try {
+      return await runCommand(command, args, { timeoutMs: config.timeoutMs });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw ocrError(`${command} is not installed (needed for document OCR)`, 'OCR_TOOL_MISSING');
+      }
+      throw ocrError(`${command} failed: ${error.message}`, 'OCR_TOOL_FAILED', { cause: error });
+    }
+  }
+
+  async function ocrImage(imagePath, pageNumber) {
+    const tsv = await run(config.tesseractPath, [imagePath, 'stdout', '-l', config.language, 'tsv']);
+    return parseTesseractTsv(tsv, pageNumber, config);
+  }
+
+  async function readPdf(filePath) {
+    const pages = parsePdfTextLayout(await run(config.pdftotextPath, ['-bbox-layout', filePath, '-']));
+    const scanned = pages.filter(page => page.words.reduce((sum, w) => sum + w.text.length, 0) < config.minTextLayerChars);
+    if (scanned.length === 0) return pages;
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+    try {
+      for (const page of scanned) {
+        const prefix = path.join(tmpDir, `page-${page.pageNumber}`);
+        const pageArg = String(page.pageNumber);
+        await run(config.pdftoppmPath, ['-r', String(config.dpi), '-f', pageArg, '-l', pageArg, '-png', '-singlefile', filePath, prefix]);
+        pages[page.pageNumber - 1] = await ocrImage(`${prefix}.png`, page.pageNumber);
+      }
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+    return pages;
+  }
+
+  /**
+   * Text, tables and word positions for a PDF or image
+   *
+   * @param {string} filePath
+   * @param {Object} [options] - { mimeType }
+   * @returns {Promise<Object>} Layout (see buildLayout)
+   */
+  async function extractLayout(filePath, options = {}) {
+    const kind = detectDocumentKind(filePath, options.mimeType);
+    if (!kind) {
+      throw ocrError(`Unsupported document format: ${options.mimeType || path.extname(filePath) || 'unknown'}`, 'OCR_UNSUPPORTED_FORMAT');
+    }
+
+    const startTime = Date.now();
+    const pages = kind === 'pdf' ? await readPdf(filePath) : [await ocrImage(filePath, 1)];
+    const layout = buildLayout(pages, config);
+
+    console.log(`[AI-OCR] ${path.basename(filePath)}: ${layout.pageCount} page(s), ${layout.ocrPageCount} OCR'd, ${layout.tables.length} table(s) in ${Date.now() - startTime}ms`);
+    return layout;
+  }
+
+  /**
+   * One image per page (PDF pages rasterized, photos as they are), for
+   * re-rendering a document with an overlay such as a viewer watermark
+   *
+   * @param {string} filePath
+   * @param {Object} [options] - { mimeType, dpi }
+   * @returns {Promise<Array>} [{ pageNumber, mimeType, data: Buffer }]
+   */
+  async function renderPageImages(filePath, options = {}) {
+    const kind = detectDocumentKind(filePath, options.mimeType);
+    if (!kind) {
+      throw ocrError(`Unsupported document format: ${options.mimeType || path.extname(filePath) || 'unknown'}`, 'OCR_UNSUPPORTED_FORMAT');
+    }
+    if (kind === 'image') {
+      const mimeType = String(options.mimeType || '').startsWith('image/')
+        ? options.mimeType
+        : `image/${path.extname(filePath).slice(1).toLowerCase().replace('jpg', 'jpeg')}`;
+      return [{ pageNumber: 1, mimeType, data: await fs.readFile(filePath) }];
+    }
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pages-'));
+    try {
+      await run(config.pdftoppmPath, ['-r', String(options.dpi || config.dpi), '-png', filePath, path.join(tmpDir, 'page')]);
+      // pdftoppm zero-pads page numbers to the page count's width
+      const pageNumber = (file) => parseInt(file.match(/-(\d+)\.png$/)?.[1] ?? '0', 10);
+      const files = (await fs.readdir(tmpDir)).filter(file => file.endsWith('.png')).sort((a, b) => pageNumber(a) - pageNumber(b));
+      return await Promise.all(files.map(async file => ({
+        pageNumber: pageNumber(file),
+        mimeType: 'image/png',
+        data: await fs.readFile(path.join(tmpDir, file)),
+      })));
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  return { config, extractLayout, renderPageImages };
+}
+
+const defaultPipeline = createOcrPipeline();
+
+/**
+ * Layout for a stored document using the system OCR tools
+ */
+export function extractDocumentLayout(filePath, options = {}) {
+  return defaultPipeline.extractLayout(filePath, options);
+}
+
+/**
+ * Page images for a stored document using the system tools
+ */
+export function renderDocumentPages(filePath, options = {}) {
+  return defaultPipeline.renderPageImages(filePath, options);
+}
+
+export default {
+  OCR_CONFIG,
+  createOcrPipeline,
+  extractDocumentLayout,
+  renderDocumentPages,
+  resolveStoredDocumentPath,
+  detectDocumentKind,
+  parsePdfTextLayout,
+  parseTesseractTsv,
+  groupLines,
+  detectTables,
+  analyzePage,
+  buildLayout,
+  locateText,
+  locateValue,
+  mergePageBoxes,
+};
@@ -93,7 +93,7 @@ export async function createDealEvent(dealId, eventType, eventData, actor, optio
  * changes later.
  *
  * @param {string} dealId - UUID of the deal
- * @param {string} snapshotType - Type: 'CAP_TABLE', 'DISTRIBUTION_CALC', 'CAPITAL_CALL_CALC'
+ * @param {string} snapshotType - Type: 'CAP_TABLE', 'DISTRIBUTION_CALC', 'CAPITAL_CALL_CALC', 'CONSENT_VOTE'
  * @param {string} reason - Description of why snapshot was created
  * @param {object} actor - Actor creating the snapshot { id, name }
  * @returns {Promise<object>} The created Snapshot with capTableHash
@@ -120,6 +120,7 @@ export async function createCapTableSnapshot(dealId, snapshotType, reason, actor
           preferredReturn: true,
           managementFee: true,
           carryPercent: true,
+          votingRights: true,
           priority: true
         }
       }
@@ -149,6 +150,7 @@ export async function createCapTableSnapshot(dealId, snapshotType, reason, actor
       preferredReturn: lp.shareClass.preferredReturn,
       managementFee: lp.shareClass.managementFee,
       carryPercent: lp.shareClass.carryPercent,
+      votingRights: lp.shareClass.votingRights,
       priority: lp.shareClass.priority
     } : null
   }));
@@ -0,0 +1,382 @@
+/**
+ * Capital Call Defaults Service
+ *
+ * What happens when an LP misses a capital call:
+ * - Grace period after CapitalCall.dueDate, then default
+ * - Default interest on the unfunded shortfall (simple, actual/365)
+ * - Remedies, configured per share class (ShareClass.defaultTerms):
+ *   - FORFEITURE: a percentage of the defaulter's interest is forfeited to the
+ *     other LPs
+ *   - FORCED_SALE: the defaulter's whole interest is sold to the other LPs at
+ *     a discount to NAV; default interest is deducted from the proceeds
+ *   - DILUTION: the defaulter's interest is cut to the (penalized) capital it
+ *     actually paid against what was called
+ *   - COVER_CALL: the other LPs fund the shortfall through a follow-on call and
+ *     take the part of the defaulter's interest it represents
+ *
+ * A remedy produces a plan of cap table changes and, unless disabled, a
+ * follow-on call to the other LPs for the shortfall. Pure functions: the
+ * routes load the records and apply the plan.
+ */
+
+import { allocateByWeight } from './k1-tax.js';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[CapitalCallDefaults]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_CAPITAL_CALL_DEFAULTS === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const DEFAULT_STATUSES = {
+  GRACE: 'GRACE',
+  DEFAULTED: 'DEFAULTED',
+  CURED: 'CURED',
+  REMEDIED: 'REMEDIED',
+  WAIVED: 'WAIVED'
+};
+
+export const OPEN_DEFAULT_STATUSES = [DEFAULT_STATUSES.GRACE, DEFAULT_STATUSES.DEFAULTED];
+
+export const REMEDY_TYPES = {
+  FORFEITURE: 'Forfeiture of a percentage of the capital account',
+  FORCED_SALE: 'Forced sale of the interest to the other LPs at a discount to NAV',
+  DILUTION: 'Dilution of the interest to the capital actually contributed',
+  COVER_CALL: 'Shortfall funded by the other LPs through a follow-on call'
+};
+
+/** Terms used when a share class has none configured */
+export const DEFAULT_TERMS = {
+  graceDays: 10,
+  interestRate: 0.10,
+  remedies: Object.keys(REMEDY_TYPES),
+  forfeiturePct: 0.5,
+  dilutionPenaltyPct: 0.5,
+  forcedSaleDiscountPct: 0.3
+};
+
+/** Capital call statuses under which allocations are due */
+const DUE_CALL_STATUSES = ['ISSUED', 'PARTIALLY_FUNDED', 'FUNDED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OWNERSHIP_PLACES = 6;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function roundTo(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round((value + Number.EPSILON) * factor) / factor;
+}
+
+function isFraction(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+/**
+ * Split a quantity by weight at a given precision (largest remainder, ties to
+ * the earlier key), so the parts always sum to the quantity
+ */
+function splitByWeight(amount, weights, places) {
+  const factor = Math.pow(10, places);
+  const units = Math.round(amount * factor);
+  const entries = [...weights.entries()];
+  const total = entries.reduce((s, [, w]) => s + Math.max(0, w), 0);
+  const result = new Map(entries.map(([key]) => [key, 0]));
+  if (total <= 0 || units === 0) return result;
+
+  const shares = entries.map(([key, w], index) => {
+    const exact = units * Math.max(0, w) / total;
+    return { key, index, floor: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let leftover = units - shares.reduce((s, sh) => s + sh.floor, 0);
+  const order = [...shares].sort((a, b) => (b.remainder - a.remainder) || (a.index - b.index));
+  for (const share of order) {
+    if (leftover <= 0) break;
+    share.floor += 1;
+    leftover -= 1;
+  }
+  for (const share of shares) result.set(share.key, share.floor / factor);
+  return result;
+}
+
+// ============================================================================
+// TERMS
+// ============================================================================
+
+/**
+ * Validate default terms for a share class
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateDefaultTerms(terms) {
+  if (terms === null) return [];
+  if (typeof terms !== 'object' || Array.isArray(terms)) return ['defaultTerms must be an object'];
+  const errors = [];
+
+  if (terms.graceDays !== undefined && (!Number.isInteger(terms.graceDays) || terms.graceDays < 0 || terms.graceDays > 365)) {
+    errors.push('graceDays must be a whole number of days between 0 and 365');
+  }
+  if (terms.interestRate !== undefined && !isFraction(terms.interestRate)) {
+    errors.push('interestRate must be between 0 and 1 (e.g., 0.10 for 10% a year)');
+  }
+  if (terms.remedies !== undefined) {
+    if (!Array.isArray(terms.remedies) || terms.remedies.length === 0) {
+      errors.push('remedies must be a non-empty list');
+    } else {
+      const unknown = terms.remedies.filter(r => !REMEDY_TYPES[r]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown remedies: ${unknown.join(', ')} (allowed: ${Object.keys(REMEDY_TYPES).join(', ')})`);
+      }
+    }
+  }
+  for (const field of ['forfeiturePct', 'dilutionPenaltyPct', 'forcedSaleDiscountPct']) {
+    if (terms[field] !== undefined && !isFraction(terms[field])) {
+      errors.push(`${field} must be between 0 and 1`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Effective default terms for a share class: its configured terms over the
+ * defaults
+ * @param {Object|null} shareClass - ShareClass with defaultTerms (JSON string or object)
+ */
+export function resolveDefaultTerms(shareClass) {
+  let configured = shareClass?.defaultTerms || {};
+  if (typeof configured === 'string') {
+    try {
+      configured = JSON.parse(configured);
+    } catch {
+      configured = {};
+    }
+  }
+  return { ...DEFAULT_TERMS, ...configured };
+}
+
+// ============================================================================
+// ASSESSMENT
+// ============================================================================
+
+/**
+ * Where an allocation stands against its due date
+ *
+ * @param {Object} allocation - CapitalCallAllocation
+ * @param {Object} capitalCall - CapitalCall with status and dueDate
+ * @param {Object} terms - Effective default terms
+ * @param {Date} now - Assessment time
+ * @returns {Object} { state: NOT_DUE|FUNDED|CURRENT|GRACE|DEFAULT, shortfall, graceEndsAt, daysPastDue }
+ */
+export function assessAllocation(allocation, capitalCall, terms, now = new Date()) {
+  const shortfall = round2(Math.max(0, (allocation.amount || 0) - (allocation.fundedAmount || 0)));
+  const dueDate = new Date(capitalCall.dueDate);
+  const graceEndsAt = new Date(dueDate.getTime() + terms.graceDays * DAY_MS);
+  const daysPastDue = Math.max(0, Math.floor((now - dueDate) / DAY_MS));
+  const base = { shortfall, graceEndsAt, daysPastDue };
+
+  if (!DUE_CALL_STATUSES.includes(capitalCall.status)) return { state: 'NOT_DUE', ...base };
+  if (shortfall <= 0) return { state: 'FUNDED', ...base };
+  if (now <= dueDate) return { state: 'CURRENT', ...base };
+  if (now <= graceEndsAt) return { state: 'GRACE', ...base };
+  return { state: 'DEFAULT', ...base };
+}
+
+/**
+ * Simple default interest on the shortfall, actual/365, whole days
+ */
+export function accrueDefaultInterest(shortfall, annualRate, from, to) {
+  const days = Math.max(0, Math.floor((new Date(to) - new Date(from)) / DAY_MS));
+  return round2(shortfall * annualRate * days / 365);
+}
+
+/**
+ * Amount the defaulting LP owes on a default record as of a date. Interest
+ * runs from the call's due date and stops when the default is closed.
+ *
+ * @param {Object} record - CapitalCallDefault with shortfall, dueDate, interestRate, status, closedAt
+ * @returns {Object} { shortfall, accruedInterest, totalDue, accruedThrough }
+ */
+export function defaultBalance(record, now = new Date()) {
+  const closed = !OPEN_DEFAULT_STATUSES.includes(record.status) && record.closedAt;
+  const through = closed ? new Date(record.closedAt) : now;
+  const accruedInterest = record.status === DEFAULT_STATUSES.WAIVED
+    ? 0
+    : accrueDefaultInterest(record.shortfall, record.interestRate, record.dueDate, through);
+  return {
+    shortfall: record.shortfall,
+    accruedInterest,
+    totalDue: round2(record.shortfall + accruedInterest),
+    accruedThrough: through.toISOString()
+  };
+}
+
+// ============================================================================
+// REMEDIES
+// ============================================================================
+
+/**
+ * Plan a remedy for a default
+ *
+ * Ownership the defaulter loses goes to the other LPs; total LP ownership and
+ * total commitment are unchanged. With a follow-on call, the shortfall (and
+ * the commitment behind it) moves from the defaulter to the other LPs pro
+ * rata by commitment, or by ownership for a forced sale.
+ *
+ * @param {Object} params
+ * @param {string} params.remedy - REMEDY_TYPES key
+ * @param {string} params.defaulterId - Defaulting LP actor
+ * @param {Array} params.lpActors - Active LP actors { id, entityName, ownershipPct, commitment }
+ * @param {Object} params.contributedByLp - { lpActorId: capital contributed }
+ * @param {number} params.shortfall - Unfunded amount
+ * @param {number} params.accruedInterest - Default interest to date
+ * @param {Object} params.terms - Effective default terms of the defaulter's class
+ * @param {number|null} params.nav - Defaulter's NAV (forced sale)
+ * @param {number|null} params.salePrice - Agreed price overriding NAV less discount (forced sale)
+ * @param {boolean} params.coverShortfall - Issue a follow-on call for the shortfall (default true)
+ * @returns {Object} Plan { remedy, changes, coverCall, forfeiture?, sale?, dilution?, totals } or { error }
+ */
+export function planRemedy({
+  remedy,
+  defaulterId,
+  lpActors = [],
+  contributedByLp = {},
+  shortfall,
+  accruedInterest = 0,
+  terms = DEFAULT_TERMS,
+  nav = null,
+  salePrice = null,
+  coverShortfall = true
+}) {
+  if (!REMEDY_TYPES[remedy]) {
+    return { error: `remedy must be one of ${Object.keys(REMEDY_TYPES).join(', ')}` };
+  }
+  if (!terms.remedies.includes(remedy)) {
+    return { error: `Remedy ${remedy} is not available under this share class's default terms` };
+  }
+  const defaulter = lpActors.find(lp => lp.id === defaulterId);
+  if (!defaulter) return { error: 'Defaulting LP is not an active LP of the deal' };
+  const others = lpActors.filter(lp => lp.id !== defaulterId);
+  if (others.length === 0) return { error: 'No other LPs to take up the remedy' };
+
+  const byOwnership = new Map(others.map(lp => [lp.id, lp.ownershipPct || 0]));
+  const byCommitment = new Map(others.map(lp => [lp.id, lp.commitment || 0]));
+  const coverWeights = remedy === 'FORCED_SALE' || [...byCommitment.values()].every(v => v <= 0)
+    ? byOwnership
+    : byCommitment;
+
+  const coverAmount = coverShortfall || remedy === 'COVER_CALL' ? round2(shortfall) : 0;
+  const cover = coverAmount > 0 ? allocateByWeight(coverAmount, coverWeights) : new Map();
+
+  const contributed = contributedByLp[defaulterId] || 0;
+  const ownership = new Map(lpActors.map(lp => [lp.id, lp.ownershipPct || 0]));
+  const commitment = new Map(lpActors.map(lp => [lp.id, lp.commitment || 0]));
+  const plan = { remedy, shortfall: round2(shortfall), accruedInterest: round2(accruedInterest) };
+
+  // Ownership taken from the defaulter and the weights it is shared by
+  let moved;
+  let movedWeights = cover.size > 0 ? cover : byOwnership;
+
+  if (remedy === 'FORFEITURE') {
+    moved = roundTo(defaulter.ownershipPct * terms.forfeiturePct, OWNERSHIP_PLACES);
+    movedWeights = byOwnership;
+    plan.forfeiture = {
+      pct: terms.forfeiturePct,
+      ownershipForfeited: moved,
+      capitalForfeited: round2(contributed * terms.forfeiturePct)
+    };
+  } else if (remedy === 'COVER_CALL') {
+    const share = defaulter.commitment > 0 ? Math.min(1, shortfall / defaulter.commitment) : 1;
+    moved = roundTo(defaulter.ownershipPct * share, OWNERSHIP_PLACES);
+  } else if (remedy === 'DILUTION') {
+    const penalized = contributed * (1 - terms.dilutionPenaltyPct);
+    const after = roundTo(defaulter.ownershipPct * penalized / (contributed + shortfall), OWNERSHIP_PLACES);
+    moved = roundTo(defaulter.ownershipPct - after, OWNERSHIP_PLACES);
+    plan.dilution = { penaltyPct: terms.dilutionPenaltyPct, contributed: round2(contributed), penalizedCapital: round2(penalized) };
+  } else {
+    if (salePrice == null && nav == null) {
+      return { error: "Forced sale needs the defaulting LP's NAV (approve a valuation mark) or a salePrice" };
+    }
+    const price = salePrice != null ? round2(salePrice) : round2(nav * (1 - terms.forcedSaleDiscountPct));
+    const interestOffset = round2(Math.min(price, accruedInterest));
+    moved = defaulter.ownershipPct;
+    movedWeights = byOwnership;
+    const pricePaid = allocateByWeight(price, byOwnership);
+    plan.sale = {
+      nav: nav != null ? round2(nav) : null,
+      discountPct: salePrice != null ? null : terms.forcedSaleDiscountPct,
+      price,
+      interestOffset,
+      proceedsToDefaulter: round2(price - interestOffset),
+      buyers: others.map(lp => ({ lpActorId: lp.id, price: pricePaid.get(lp.id) }))
+    };
+  }
+
+  for (const [id, pct] of splitByWeight(moved, movedWeights, OWNERSHIP_PLACES)) {
+    ownership.set(id, roundTo(ownership.get(id) + pct, OWNERSHIP_PLACES));
+  }
+  ownership.set(defaulterId, roundTo(defaulter.ownershipPct - moved, OWNERSHIP_PLACES));
+
+  // Commitment follows the funding obligation
+  if (remedy === 'FORCED_SALE') {
+    for (const [id, amount] of allocateByWeight(defaulter.commitment || 0, byOwnership)) {
+      commitment.set(id, round2(commitment.get(id) + amount));
+    }
+    commitment.set(defaulterId, 0);
+  } else if (coverAmount > 0) {
+    for (const [id, amount] of cover) {
+      commitment.set(id, round2(commitment.get(id) + amount));
+    }
+    commitment.set(defaulterId, round2(commitment.get(defaulterId) - coverAmount));
+  }
+
+  plan.changes = lpActors.map(lp => ({
+    lpActorId: lp.id,
+    entityName: lp.entityName,
+    ownershipPctBefore: lp.ownershipPct || 0,
+    ownershipPctAfter: ownership.get(lp.id),
+    commitmentBefore: lp.commitment || 0,
+    commitmentAfter: commitment.get(lp.id)
+  }));
+  plan.coverCall = coverAmount > 0 ? {
+    totalAmount: coverAmount,
+    allocations: [...cover.entries()].filter(([, amount]) => amount > 0).map(([lpActorId, amount]) => ({ lpActorId, amount }))
+  } : null;
+
+  const sum = (field) => plan.changes.reduce((s, c) => s + c[field], 0);
+  plan.totals = {
+    ownershipBefore: roundTo(sum('ownershipPctBefore'), OWNERSHIP_PLACES),
+    ownershipAfter: roundTo(sum('ownershipPctAfter'), OWNERSHIP_PLACES),
+    commitmentBefore: round2(sum('commitmentBefore')),
+    commitmentAfter: round2(sum('commitmentAfter'))
+  };
+
+  logDebug(`Planned remedy`, { remedy, defaulterId, moved, coverAmount });
+  return plan;
+}
+
+export default {
+  DEFAULT_STATUSES,
+  OPEN_DEFAULT_STATUSES,
+  REMEDY_TYPES,
+  DEFAULT_TERMS,
+  validateDefaultTerms,
+  resolveDefaultTerms,
+  assessAllocation,
+  accrueDefaultInterest,
+  defaultBalance,
+  planRemedy
+};
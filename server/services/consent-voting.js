@@ -0,0 +1,301 @@
+/**
+ * Consent Voting
+ *
+ * LP consent for major events (refinance, sale, amendment):
+ *   DRAFT → CONSENT_OPEN → APPROVED | REJECTED → COMPLETED
+ * - Voting roll frozen from a cap table snapshot when consent opens
+ * - Votes weighted by snapshot ownershipPct; classes without voting rights
+ *   are excluded
+ * - Auto-resolves once the threshold is met or can no longer be met, or at
+ *   the consent deadline
+ * - Resolution produces a consent certificate sealed with a SHA-256 digest
+ *
+ * All functions are pure; routes/major-events.js loads and persists.
+ */
+
+import crypto from 'crypto';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[Consent]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_CONSENT === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const MAJOR_EVENT_TYPES = ['REFINANCE', 'SALE', 'CAPITAL_CALL', 'AMENDMENT', 'CONSENT_REQUEST'];
+
+export const MAJOR_EVENT_STATUSES = {
+  DRAFT: 'DRAFT',
+  ANNOUNCED: 'ANNOUNCED',
+  CONSENT_OPEN: 'CONSENT_OPEN',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  COMPLETED: 'COMPLETED'
+};
+
+export const CONSENT_DECISIONS = ['APPROVE', 'REJECT', 'ABSTAIN'];
+
+/** Allowed status transitions */
+const TRANSITIONS = {
+  DRAFT: ['ANNOUNCED', 'CONSENT_OPEN'],
+  ANNOUNCED: ['COMPLETED'],
+  CONSENT_OPEN: ['APPROVED', 'REJECTED'],
+  APPROVED: ['COMPLETED'],
+  REJECTED: [],
+  COMPLETED: []
+};
+
+export const RESOLUTION_REASONS = {
+  THRESHOLD_MET: 'THRESHOLD_MET',
+  THRESHOLD_UNREACHABLE: 'THRESHOLD_UNREACHABLE',
+  DEADLINE: 'DEADLINE'
+};
+
+/** Default approval threshold when the GP does not set one (simple majority) */
+export const DEFAULT_CONSENT_THRESHOLD = 0.5;
+
+// Tolerance for comparing summed ownership percentages
+const EPSILON = 1e-9;
+
+// ============================================================================
+// STATE MACHINE
+// ============================================================================
+
+/**
+ * Check whether a major event may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a major event announcement. Returns a list of errors.
+ *
+ * @param {Object} data - Request body
+ * @param {Object} options
+ * @param {Date} options.now - Reference time for the deadline check
+ */
+export function validateMajorEvent(data = {}, { now = new Date() } = {}) {
+  const errors = [];
+
+  if (!MAJOR_EVENT_TYPES.includes(data.eventType)) {
+    errors.push(`eventType must be one of ${MAJOR_EVENT_TYPES.join(', ')}`);
+  }
+  if (typeof data.title !== 'string' || !data.title.trim()) {
+    errors.push('title is required');
+  }
+  if (data.documentPackIds !== undefined && data.documentPackIds !== null &&
+      (!Array.isArray(data.documentPackIds) || data.documentPackIds.some(id => typeof id !== 'string' || !id))) {
+    errors.push('documentPackIds must be an array of document IDs');
+  }
+
+  if (data.requiresConsent) {
+    if (data.consentThreshold !== undefined && data.consentThreshold !== null &&
+        !(typeof data.consentThreshold === 'number' && data.consentThreshold > 0 && data.consentThreshold <= 1)) {
+      errors.push('consentThreshold must be greater than 0 and at most 1');
+    }
+    const deadline = data.consentDeadline ? new Date(data.consentDeadline) : null;
+    if (!deadline || Number.isNaN(deadline.getTime())) {
+      errors.push('consentDeadline is required when consent is required');
+    } else if (deadline <= now) {
+      errors.push('consentDeadline must be in the future');
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// VOTING ROLL
+// ============================================================================
+
+/**
+ * Build the voting roll from a frozen cap table
+ *
+ * Share classes without voting rights are excluded. Snapshots taken before
+ * voting rights were frozen are treated as voting (the schema default).
+ *
+ * @param {Array} lpOwnership - Snapshot lpOwnership entries
+ * @returns {Object} { voters: [{ lpActorId, entityName, shareClassCode, votingWeight }], excluded: [...] }
+ */
+export function buildVotingRoll(lpOwnership = []) {
+  const voters = [];
+  const excluded = [];
+
+  for (const lp of lpOwnership) {
+    const entry = {
+      lpActorId: lp.lpActorId,
+      entityName: lp.entityName,
+      shareClassCode: lp.shareClass?.code || null,
+      votingWeight: lp.ownershipPct || 0
+    };
+    if (lp.shareClass?.votingRights === false) {
+      excluded.push(entry);
+    } else {
+      voters.push(entry);
+    }
+  }
+
+  logDebug('Built voting roll', { voters: voters.length, excluded: excluded.length });
+  return { voters, excluded };
+}
+
+// ============================================================================
+// TALLY AND RESOLUTION
+// ============================================================================
+
+/**
+ * Tally weighted consents
+ *
+ * Percentages are shares of the total voting weight on the roll, so an
+ * abstention or a missing vote counts against approval.
+ *
+ * @param {Array} consents - [{ votingWeight, decision }]
+ * @param {number} threshold - Approval share required (0-1]
+ * @returns {Object} Tally
+ */
+export function tallyConsents(consents = [], threshold = DEFAULT_CONSENT_THRESHOLD) {
+  const weights = { APPROVE: 0, REJECT: 0, ABSTAIN: 0, PENDING: 0 };
+  let votedCount = 0;
+
+  for (const consent of consents) {
+    const weight = consent.votingWeight || 0;
+    if (CONSENT_DECISIONS.includes(consent.decision)) {
+      weights[consent.decision] += weight;
+      votedCount++;
+    } else {
+      weights.PENDING += weight;
+    }
+  }
+
+  const totalWeight = weights.APPROVE + weights.REJECT + weights.ABSTAIN + weights.PENDING;
+  const share = (weight) => totalWeight > 0 ? weight / totalWeight : 0;
+
+  return {
+    threshold,
+    voterCount: consents.length,
+    votedCount,
+    totalWeight,
+    approveWeight: weights.APPROVE,
+    rejectWeight: weights.REJECT,
+    abstainWeight: weights.ABSTAIN,
+    pendingWeight: weights.PENDING,
+    approvePct: share(weights.APPROVE),
+    rejectPct: share(weights.REJECT),
+    abstainPct: share(weights.ABSTAIN),
+    pendingPct: share(weights.PENDING)
+  };
+}
+
+/**
+ * Decide whether an open consent has resolved
+ *
+ * Resolves early when approvals reach the threshold, or when approvals plus
+ * every outstanding vote can no longer reach it. At the deadline the
+ * approvals on hand decide.
+ *
+ * @param {Object} tally - From tallyConsents
+ * @param {Object} options
+ * @param {Date|string|null} options.deadline - Consent deadline
+ * @param {Date} options.now - Reference time
+ * @returns {Object|null} { status: APPROVED|REJECTED, reason } or null while open
+ */
+export function determineOutcome(tally, { deadline = null, now = new Date() } = {}) {
+  if (tally.totalWeight > 0) {
+    if (tally.approvePct + EPSILON >= tally.threshold) {
+      return { status: MAJOR_EVENT_STATUSES.APPROVED, reason: RESOLUTION_REASONS.THRESHOLD_MET };
+    }
+    if (tally.approvePct + tally.pendingPct + EPSILON < tally.threshold) {
+      return { status: MAJOR_EVENT_STATUSES.REJECTED, reason: RESOLUTION_REASONS.THRESHOLD_UNREACHABLE };
+    }
+  }
+
+  if (deadline && new Date(deadline) <= now) {
+    return { status: MAJOR_EVENT_STATUSES.REJECTED, reason: RESOLUTION_REASONS.DEADLINE };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// CERTIFICATE
+// ============================================================================
+
+/**
+ * Build the consent certificate payload and its SHA-256 digest
+ *
+ * The digest covers the event, the frozen cap table hash, every vote and the
+ * tally, and is recorded on the deal event ledger at resolution.
+ *
+ * @param {Object} params
+ * @param {Object} params.majorEvent - MajorEvent row
+ * @param {Object} params.snapshot - Snapshot row ({ id, capTableHash })
+ * @param {Array} params.consents - Consent rows with entityName
+ * @param {Object} params.tally - From tallyConsents
+ * @param {Object} params.outcome - From determineOutcome
+ * @param {Date} params.resolvedAt
+ * @param {Object} params.certifiedBy - { id, name } of the GP or system resolving the vote
+ * @returns {Object} { payload, certificateHash }
+ */
+export function buildConsentCertificate({ majorEvent, snapshot, consents, tally, outcome, resolvedAt, certifiedBy }) {
+  const payload = {
+    majorEventId: majorEvent.id,
+    dealId: majorEvent.dealId,
+    eventType: majorEvent.eventType,
+    title: majorEvent.title,
+    documentPackIds: majorEvent.documentPackIds ? JSON.parse(majorEvent.documentPackIds) : [],
+    consentThreshold: tally.threshold,
+    consentDeadline: majorEvent.consentDeadline ? new Date(majorEvent.consentDeadline).toISOString() : null,
+    snapshot: { id: snapshot.id, capTableHash: snapshot.capTableHash },
+    votes: [...consents]
+      .sort((a, b) => a.lpActorId.localeCompare(b.lpActorId))
+      .map(consent => ({
+        lpActorId: consent.lpActorId,
+        entityName: consent.entityName || null,
+        votingWeight: consent.votingWeight,
+        decision: consent.decision || null,
+        decisionAt: consent.decisionAt ? new Date(consent.decisionAt).toISOString() : null
+      })),
+    tally,
+    outcome: outcome.status,
+    resolutionReason: outcome.reason,
+    resolvedAt: resolvedAt.toISOString(),
+    certifiedBy: { id: certifiedBy.id, name: certifiedBy.name }
+  };
+
+  const certificateHash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+  logDebug('Built consent certificate', { majorEventId: majorEvent.id, outcome: outcome.status });
+  return { payload, certificateHash };
+}
+
+export default {
+  MAJOR_EVENT_TYPES,
+  MAJOR_EVENT_STATUSES,
+  CONSENT_DECISIONS,
+  RESOLUTION_REASONS,
+  DEFAULT_CONSENT_THRESHOLD,
+  canTransition,
+  validateMajorEvent,
+  buildVotingRoll,
+  tallyConsents,
+  determineOutcome,
+  buildConsentCertificate
+};
@@ -21,13 +21,32 @@
 
 import { PrismaClient } from '@prisma/client';
 import { dealIngestService, ASSET_TYPES } from './deal-ingest.js';
+import { callLLM, isLLMConfigured } from '../llm.js';
+import {
+  extractDocumentLayout,
+  resolveStoredDocumentPath,
+  detectDocumentKind,
+  locateText,
+  locateValue
+} from './ai/ocr-pipeline.js';
 
 const prisma = new PrismaClient();
 
-// OpenAI configuration
-const OPENAI_API_KEY = process.env.BFF_OPENAI_API_KEY;
-const OPENAI_MODEL = process.env.BFF_OPENAI_MODEL || 'gpt-4o-mini';
-const OPENAI_BASE_URL = process.env.BFF_OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const LLM_FEATURE = 'claims.extraction';
+
+// DealDraftDocument.classifiedType → extraction prompt
+const CLASSIFIED_TYPE_PROMPTS = {
+  OM: 'OFFERING_MEMO',
+  RENT_ROLL: 'RENT_ROLL',
+  T12: 'T12',
+  LOI: 'LOI'
+};
+
+// Appended to the prompt when the text came from the layout pipeline
+const LAYOUT_PROMPT_NOTE = `
+The document text was recovered from the page layout (OCR for scanned pages).
+Pages start with [Page N] and table rows are written as | cell | cell |.
+For every field give "pageNumber" and a "textSnippet" copied exactly from the text, such as the table row or line holding the value.`;
 
 // Extraction prompts by document type
 const EXTRACTION_PROMPTS = {
@@ -180,6 +199,8 @@ class DealClaimExtractorService {
    * @param {string} params.documentContent - Text content to extract from
    * @param {string} params.documentType - Type: OFFERING_MEMO, RENT_ROLL, T12, LOI, OTHER
    * @param {string} params.documentName - Original filename
+   * @param {Object} [params.layout] - From the OCR pipeline; claims then carry
+   *   the page region (boundingBox) their value was found in
    * @returns {Promise<Object>} Extraction results with claims
    */
   async extractFromDocument({
@@ -187,15 +208,17 @@ class DealClaimExtractorService {
     documentId,
     documentContent,
     documentType,
-    documentName
+    documentName,
+    layout = null
   }) {
-    if (!OPENAI_API_KEY) {
-      console.log('[ClaimExtractor] OpenAI API key not configured, skipping LLM extraction');
+    if (!isLLMConfigured(LLM_FEATURE)) {
+      console.log('[ClaimExtractor] LLM not configured, skipping LLM extraction');
       return { claims: [], skipped: true, reason: 'api_key_not_configured' };
     }
 
     // Get appropriate prompt
-    const prompt = EXTRACTION_PROMPTS[documentType] || EXTRACTION_PROMPTS.GENERIC;
+    const prompt = (EXTRACTION_PROMPTS[documentType] || EXTRACTION_PROMPTS.GENERIC)
+      + (layout ? LAYOUT_PROMPT_NOTE : '');
 
     // Call LLM for extraction
     const extractionResult = await this.callLLM(prompt, documentContent);
@@ -221,19 +244,28 @@ class DealClaimExtractorService {
         // Format display value
         const displayValue = this.formatDisplayValue(normalizedField, value);
 
+        // Where on the page the value sits (quoted snippet first, then the value itself)
+        const region = layout
+          ? locateText(layout, metadata.textSnippet, { pageNumber: metadata.pageNumber })
+            || locateValue(layout, value, { pageNumber: metadata.pageNumber })
+          : null;
+        const confidence = metadata.confidence || 0.7;
+
         const claim = await dealIngestService.addClaim({
           dealDraftId,
           field: normalizedField,
           value,
           displayValue,
-          extractionMethod: 'LLM',
-          confidence: metadata.confidence || 0.7,
+          extractionMethod: region?.source === 'ocr' ? 'OCR' : 'LLM',
+          // A value read by OCR is only as reliable as the recognized words
+          confidence: region?.source === 'ocr' ? Math.min(confidence, region.confidence) : confidence,
           source: {
             documentId,
             documentName,
-            pageNumber: metadata.pageNumber,
+            pageNumber: region?.pageNumber ?? metadata.pageNumber,
+            boundingBox: region?.boundingBox ?? null,
             location: metadata.location,
-            textSnippet: metadata.textSnippet?.slice(0, 500) // Limit snippet length
+            textSnippet: (metadata.textSnippet || region?.text)?.slice(0, 500) // Limit snippet length
           }
         });
 
@@ -249,7 +281,8 @@ class DealClaimExtractorService {
       data: {
         status: 'PROCESSED',
         processedAt: new Date(),
-        extractedClaimCount: claims.length
+        extractedClaimCount: claims.length,
+        ...(layout && { pageCount: layout.pageCount })
       }
     });
 
@@ -261,6 +294,45 @@ class DealClaimExtractorService {
     };
   }
 
+  /**
+   * Extract claims from a stored PDF or photo
+   * Reads the text layer, OCRs scanned pages and keeps word positions so
+   * each claim can point at its region of the page.
+   *
+   * @param {Object} params - As extractFromDocument, with filePath and mimeType instead of documentContent
+   * @returns {Promise<Object>} Extraction results with claims
+   */
+  async extractFromFile({
+    dealDraftId,
+    documentId,
+    filePath,
+    mimeType,
+    documentType,
+    documentName
+  }) {
+    // No point reading the file if nothing can extract from it
+    if (!isLLMConfigured(LLM_FEATURE)) {
+      console.log('[ClaimExtractor] LLM not configured, skipping LLM extraction');
+      return { claims: [], skipped: true, reason: 'api_key_not_configured' };
+    }
+
+    const layout = await extractDocumentLayout(filePath, { mimeType });
+
+    if (!layout.text.replace(/\[Page \d+\]/g, '').trim()) {
+      console.log(`[ClaimExtractor] No text recovered from ${documentName}`);
+      return { claims: [], skipped: false, noValues: true, pageCount: layout.pageCount };
+    }
+
+    return this.extractFromDocument({
+      dealDraftId,
+      documentId,
+      documentContent: layout.text,
+      documentType,
+      documentName,
+      layout
+    });
+  }
+
   /**
    * Extract claims from pasted text
    */
@@ -269,8 +341,8 @@ class DealClaimExtractorService {
     text,
     sourceName = 'Pasted Text'
   }) {
-    if (!OPENAI_API_KEY) {
-      console.log('[ClaimExtractor] OpenAI API key not configured, skipping LLM extraction');
+    if (!isLLMConfigured(LLM_FEATURE)) {
+      console.log('[ClaimExtractor] LLM not configured, skipping LLM extraction');
       return { claims: [], skipped: true, reason: 'api_key_not_configured' };
     }
 
@@ -365,21 +437,45 @@ ${emailBody}
       });
 
       try {
-        // In a real implementation, this would read the document content
-        // For now, we'll skip if no content is available
-        console.log(`[ClaimExtractor] Would process document: ${doc.originalFilename}`);
+        if (!detectDocumentKind(doc.originalFilename, doc.mimeType)) {
+          // Spreadsheets and other formats are processed elsewhere
+          results.push({
+            documentId: doc.id,
+            filename: doc.originalFilename,
+            status: 'skipped',
+            reason: 'unsupported_format'
+          });
+
+          // Reset status for manual processing
+          await prisma.dealDraftDocument.update({
+            where: { id: doc.id },
+            data: { status: 'PENDING' }
+          });
+          continue;
+        }
 
-        results.push({
+        const extraction = await this.extractFromFile({
+          dealDraftId,
           documentId: doc.id,
-          filename: doc.originalFilename,
-          status: 'skipped',
-          reason: 'document_reading_not_implemented'
+          filePath: resolveStoredDocumentPath(doc.storageKey),
+          mimeType: doc.mimeType,
+          documentType: CLASSIFIED_TYPE_PROMPTS[doc.classifiedType] || 'OTHER',
+          documentName: doc.originalFilename
         });
 
-        // Reset status for manual processing
-        await prisma.dealDraftDocument.update({
-          where: { id: doc.id },
-          data: { status: 'PENDING' }
+        if (extraction.skipped || extraction.noValues) {
+          await prisma.dealDraftDocument.update({
+            where: { id: doc.id },
+            data: { status: extraction.skipped ? 'PENDING' : 'PROCESSED', pageCount: extraction.pageCount ?? undefined }
+          });
+        }
+
+        results.push({
+          documentId: doc.id,
+          filename: doc.originalFilename,
+          status: extraction.skipped ? 'skipped' : 'processed',
+          reason: extraction.reason,
+          claimCount: extraction.totalExtracted ?? 0
         });
       } catch (error) {
         await prisma.dealDraftDocument.update({
@@ -403,43 +499,21 @@ ${emailBody}
   }
 
   /**
-   * Call OpenAI API for extraction
+   * Call the LLM for extraction
    */
   async callLLM(systemPrompt, content) {
     try {
-      const response = await fetch(`${OPENAI_BASE_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          model: OPENAI_MODEL,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: content.slice(0, 15000) } // Limit content length
-          ],
-          temperature: 0,
-          response_format: { type: 'json_object' }
-        })
+      const { parsed } = await callLLM([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: content.slice(0, 15000) } // Limit content length
+      ], {
+        feature: LLM_FEATURE,
+        json: true,
+        temperature: 0
       });
-
-      if (!response.ok) {
-        const error = await response.text();
-        console.error('[ClaimExtractor] OpenAI API error:', error);
-        return null;
-      }
-
-      const data = await response.json();
-      const text = data.choices?.[0]?.message?.content;
-
-      if (!text) {
-        return null;
-      }
-
-      return JSON.parse(text);
+      return parsed;
     } catch (error) {
-      console.error('[ClaimExtractor] LLM call failed:', error);
+      console.error('[ClaimExtractor] LLM call failed:', error.message);
       return null;
     }
   }
@@ -277,7 +277,8 @@ class DealIngestService {
    * @param {string} [params.displayValue] - Human-readable value
    * @param {string} params.extractionMethod - LLM, REGEX, OCR, EXCEL_FORMULA, MANUAL
    * @param {number} [params.confidence] - 0.0-1.0 confidence score
-   * @param {Object} [params.source] - Source attribution
+   * @param {Object} [params.source] - Source attribution: documentId, documentName,
+   *   pageNumber, boundingBox ({ x, y, width, height } page fractions), location, textSnippet
    * @returns {Promise<Object>} Created DealClaim
    */
   async addClaim({
@@ -331,6 +332,7 @@ class DealIngestService {
           documentId: source.documentId || null,
           documentName: source.documentName || null,
           pageNumber: source.pageNumber || null,
+          boundingBox: source.boundingBox ? JSON.stringify(source.boundingBox) : null,
           location: source.location || null,
           textSnippet: source.textSnippet || null,
           extractionMethod,
@@ -906,6 +908,7 @@ class DealIngestService {
         documentId: claim.documentId,
         documentName: claim.documentName,
         pageNumber: claim.pageNumber,
+        boundingBox: claim.boundingBox ? JSON.parse(claim.boundingBox) : null,
         location: claim.location,
         textSnippet: claim.textSnippet
       },
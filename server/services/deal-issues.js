@@ -0,0 +1,297 @@
+/**
+ * Deal Issues
+ *
+ * Property incident tracking for asset management (casualty, tenant default,
+ * litigation):
+ *   OPEN → INVESTIGATING → MITIGATING → RESOLVED → CLOSED
+ * - Timestamped updates, each internal unless marked LP-visible
+ * - Publishing exposes an LP-safe view (lpSummary instead of the internal
+ *   whatHappened, no owner or internal resolution notes)
+ * - Severity decides who hears about it (see SEVERITY_NOTIFICATION_POLICY)
+ *
+ * All functions are pure; routes/deal-issues.js loads and persists.
+ */
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[DealIssues]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_DEAL_ISSUES === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const ISSUE_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+export const ISSUE_CATEGORIES = [
+  'CASUALTY',
+  'TENANT_DEFAULT',
+  'LITIGATION',
+  'ENVIRONMENTAL',
+  'REGULATORY',
+  'FINANCING',
+  'OTHER'
+];
+
+export const ISSUE_STATUSES = {
+  OPEN: 'OPEN',
+  INVESTIGATING: 'INVESTIGATING',
+  MITIGATING: 'MITIGATING',
+  RESOLVED: 'RESOLVED',
+  CLOSED: 'CLOSED'
+};
+
+/** Allowed status transitions; a resolved issue may be reopened */
+const TRANSITIONS = {
+  OPEN: ['INVESTIGATING', 'MITIGATING', 'RESOLVED'],
+  INVESTIGATING: ['MITIGATING', 'RESOLVED'],
+  MITIGATING: ['INVESTIGATING', 'RESOLVED'],
+  RESOLVED: ['INVESTIGATING', 'CLOSED'],
+  CLOSED: []
+};
+
+const UNRESOLVED_STATUSES = ['OPEN', 'INVESTIGATING', 'MITIGATING'];
+
+/**
+ * Who is told about an issue, by severity
+ * - notifyDealTeam: in-app notification to the owner and deal team on open
+ *   or when severity is raised to this level
+ * - emailLPsOnPublish: email LPs when the LP-safe version is published
+ * - emailLPsOnUpdate: also email LPs for each LP-visible update
+ * - webhook: emit the LP webhook for publish and LP-visible updates
+ */
+export const SEVERITY_NOTIFICATION_POLICY = {
+  LOW: { notifyDealTeam: false, emailLPsOnPublish: false, emailLPsOnUpdate: false, webhook: false },
+  MEDIUM: { notifyDealTeam: false, emailLPsOnPublish: false, emailLPsOnUpdate: false, webhook: true },
+  HIGH: { notifyDealTeam: true, emailLPsOnPublish: true, emailLPsOnUpdate: false, webhook: true },
+  CRITICAL: { notifyDealTeam: true, emailLPsOnPublish: true, emailLPsOnUpdate: true, webhook: true }
+};
+
+// ============================================================================
+// STATE MACHINE
+// ============================================================================
+
+/**
+ * Check whether an issue may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * @param {string} status
+ * @returns {boolean} True while the issue still needs work
+ */
+export function isUnresolved(status) {
+  return UNRESOLVED_STATUSES.includes(status);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isBlank(value) {
+  return typeof value !== 'string' || !value.trim();
+}
+
+/**
+ * Validate a new issue or a partial edit. Returns a list of errors.
+ *
+ * @param {Object} data - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields present (PATCH)
+ */
+export function validateIssue(data = {}, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.title !== undefined) {
+    if (isBlank(data.title)) errors.push('title is required');
+  }
+  if (!partial || data.whatHappened !== undefined) {
+    if (isBlank(data.whatHappened)) errors.push('whatHappened is required');
+  }
+  if (data.severity !== undefined && !ISSUE_SEVERITIES.includes(data.severity)) {
+    errors.push(`severity must be one of ${ISSUE_SEVERITIES.join(', ')}`);
+  }
+  if (data.category !== undefined && !ISSUE_CATEGORIES.includes(data.category)) {
+    errors.push(`category must be one of ${ISSUE_CATEGORIES.join(', ')}`);
+  }
+  if (data.occurredAt !== undefined && data.occurredAt !== null &&
+      Number.isNaN(new Date(data.occurredAt).getTime())) {
+    errors.push('occurredAt must be a valid date');
+  }
+  if (data.attachmentIds !== undefined && data.attachmentIds !== null &&
+      (!Array.isArray(data.attachmentIds) || data.attachmentIds.some(id => typeof id !== 'string' || !id))) {
+    errors.push('attachmentIds must be an array of document IDs');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a status change. Returns a list of errors.
+ *
+ * @param {Object} issue - Current DealIssue row
+ * @param {string} toStatus - Requested status
+ * @param {Object} options
+ * @param {string} options.resolution - Required when resolving
+ */
+export function validateStatusChange(issue, toStatus, { resolution } = {}) {
+  if (!Object.values(ISSUE_STATUSES).includes(toStatus)) {
+    return [`status must be one of ${Object.values(ISSUE_STATUSES).join(', ')}`];
+  }
+  if (!canTransition(issue.status, toStatus)) {
+    return [`Cannot move issue from ${issue.status} to ${toStatus}`];
+  }
+  if (toStatus === ISSUE_STATUSES.RESOLVED && isBlank(resolution ?? issue.resolution)) {
+    return ['resolution is required to resolve an issue'];
+  }
+  return [];
+}
+
+/**
+ * Check an issue is ready to be shown to LPs. Returns a list of errors.
+ * whatHappened is internal, so publishing needs an LP-safe summary.
+ *
+ * @param {Object} issue - DealIssue row (after any edits in the same request)
+ */
+export function validatePublish(issue) {
+  const errors = [];
+  if (isBlank(issue.lpSummary)) {
+    errors.push('lpSummary is required before publishing to LPs');
+  }
+  if (issue.status === ISSUE_STATUSES.CLOSED) {
+    errors.push('Closed issues cannot be published');
+  }
+  return errors;
+}
+
+// ============================================================================
+// NOTIFICATION POLICY
+// ============================================================================
+
+/**
+ * @param {string} severity
+ * @returns {Object} Notification policy for the severity (MEDIUM if unknown)
+ */
+export function getNotificationPolicy(severity) {
+  return SEVERITY_NOTIFICATION_POLICY[severity] || SEVERITY_NOTIFICATION_POLICY.MEDIUM;
+}
+
+/**
+ * Whether an edit should alert the deal team: the issue is new, or its
+ * severity was raised into a level that notifies the team.
+ *
+ * @param {string|null} previousSeverity - null for a new issue
+ * @param {string} severity - Severity after the change
+ * @returns {boolean}
+ */
+export function shouldNotifyDealTeam(previousSeverity, severity) {
+  if (!getNotificationPolicy(severity).notifyDealTeam) return false;
+  if (!previousSeverity) return true;
+  return ISSUE_SEVERITIES.indexOf(severity) > ISSUE_SEVERITIES.indexOf(previousSeverity);
+}
+
+// ============================================================================
+// LP VIEW
+// ============================================================================
+
+/**
+ * Build the LP-safe view of a published issue
+ *
+ * Internal fields (whatHappened, owner, resolution notes, escalation state)
+ * are never included; only updates marked lpVisible are.
+ *
+ * @param {Object} issue - DealIssue row
+ * @param {Array} updates - DealIssueUpdate rows
+ * @returns {Object}
+ */
+export function buildLpIssueView(issue, updates = []) {
+  const lpUpdates = updates
+    .filter(u => u.lpVisible)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(u => ({
+      id: u.id,
+      updateText: u.updateText,
+      statusTo: u.statusTo || null,
+      createdByName: u.createdByName,
+      createdAt: new Date(u.createdAt).toISOString()
+    }));
+
+  logDebug('Built LP issue view', { issueId: issue.id, updates: lpUpdates.length });
+
+  return {
+    id: issue.id,
+    dealId: issue.dealId,
+    title: issue.title,
+    category: issue.category,
+    severity: issue.severity,
+    status: issue.status,
+    occurredAt: issue.occurredAt ? new Date(issue.occurredAt).toISOString() : null,
+    summary: issue.lpSummary,
+    impact: issue.impact || null,
+    whatWeAreDoing: issue.whatWeAreDoing || null,
+    publishedAt: issue.publishedAt ? new Date(issue.publishedAt).toISOString() : null,
+    resolvedAt: issue.resolvedAt ? new Date(issue.resolvedAt).toISOString() : null,
+    updates: lpUpdates
+  };
+}
+
+/**
+ * Map a published issue to an entry in the LP investor update feed
+ *
+ * Feed entries share the InvestorUpdate shape (updateType ISSUE_ALERT) and
+ * are dated by the latest LP-visible activity.
+ *
+ * @param {Object} issue - DealIssue row
+ * @param {Array} updates - DealIssueUpdate rows
+ * @returns {Object}
+ */
+export function toLpFeedItem(issue, updates = []) {
+  const lastLpUpdate = updates
+    .filter(u => u.lpVisible)
+    .reduce((latest, u) => (!latest || new Date(u.createdAt) > new Date(latest.createdAt) ? u : latest), null);
+  const activityAt = lastLpUpdate && new Date(lastLpUpdate.createdAt) > new Date(issue.publishedAt)
+    ? lastLpUpdate.createdAt
+    : issue.publishedAt;
+
+  return {
+    id: issue.id,
+    source: 'DEAL_ISSUE',
+    title: issue.title,
+    updateType: 'ISSUE_ALERT',
+    period: null,
+    headline: issue.lpSummary,
+    severity: issue.severity,
+    status: issue.status,
+    publishedAt: new Date(activityAt).toISOString(),
+    createdByName: issue.publishedByName || issue.createdByName
+  };
+}
+
+export default {
+  ISSUE_SEVERITIES,
+  ISSUE_CATEGORIES,
+  ISSUE_STATUSES,
+  SEVERITY_NOTIFICATION_POLICY,
+  canTransition,
+  isUnresolved,
+  validateIssue,
+  validateStatusChange,
+  validatePublish,
+  getNotificationPolicy,
+  shouldNotifyDealTeam,
+  buildLpIssueView,
+  toLpFeedItem
+};
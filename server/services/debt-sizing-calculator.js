@@ -14,6 +14,8 @@
  * Supports multiple loan scenarios: Agency, CMBS, Bank, Bridge, Construction
  */
 
+import { performRatePathStressTest } from './floating-rate-calculator.js';
+
 /**
  * Standard lender constraint profiles by loan type
  */
@@ -212,7 +214,16 @@ export function calculateDebtSizing(params) {
     // Optional development metrics (for construction loans)
     totalCost = null,
     stabilizedNOI = null, // For bridge/construction
-    stabilizedValue = null
+    stabilizedValue = null,
+
+    // Senior liens ahead of this loan (for sizing subordinate tranches).
+    // Constraints are then tested on the combined stack.
+    priorDebtAmount = 0,
+    priorDebtService = 0,
+
+    // Floating-rate terms ({ spread, indexFloor, forwardCurve, startDate, cap, swap }).
+    // When present the rate stress test runs over forward-curve paths.
+    floatingRate = null
   } = params;
 
   // Get constraint profile
@@ -244,13 +255,15 @@ export function calculateDebtSizing(params) {
     maxProceeds: 0
   };
 
+  const priorSuffix = priorDebtAmount > 0 ? ` − ${formatCurrency(priorDebtAmount)} prior` : '';
+
   // 1. LTV Constraint
-  const ltvMaxLoan = value * constraints.maxLTV;
+  const ltvMaxLoan = Math.max(0, value * constraints.maxLTV - priorDebtAmount);
   results.sizing.ltv = {
     constraint: `Max LTV ${(constraints.maxLTV * 100).toFixed(0)}%`,
     maxLoan: ltvMaxLoan,
-    impliedLTV: ltvMaxLoan / value,
-    formula: `${formatCurrency(value)} × ${(constraints.maxLTV * 100).toFixed(0)}%`
+    impliedLTV: (priorDebtAmount + ltvMaxLoan) / value,
+    formula: `${formatCurrency(value)} × ${(constraints.maxLTV * 100).toFixed(0)}%${priorSuffix}`
   };
 
   // 2. DSCR Constraint
@@ -258,12 +271,15 @@ export function calculateDebtSizing(params) {
   // DSCR = NOI / Debt Service
   // Debt Service = Loan Amount × Debt Constant
   // Loan = NOI / (min DSCR × Debt Constant)
-  const dscrMaxLoan = noi / (constraints.minDSCR * debtConstant);
+  // With prior liens: Loan = (NOI / min DSCR − prior debt service) / Debt Constant
+  const dscrMaxLoan = Math.max(0, (noi / constraints.minDSCR - priorDebtService) / debtConstant);
   results.sizing.dscr = {
     constraint: `Min DSCR ${constraints.minDSCR.toFixed(2)}x`,
     maxLoan: dscrMaxLoan,
-    impliedDSCR: noi / (dscrMaxLoan * debtConstant),
-    formula: `${formatCurrency(noi)} ÷ (${constraints.minDSCR}x × ${(debtConstant * 100).toFixed(2)}%)`,
+    impliedDSCR: noi / (priorDebtService + dscrMaxLoan * debtConstant),
+    formula: priorDebtService > 0
+      ? `(${formatCurrency(noi)} ÷ ${constraints.minDSCR}x − ${formatCurrency(priorDebtService)} prior DS) ÷ ${(debtConstant * 100).toFixed(2)}%`
+      : `${formatCurrency(noi)} ÷ (${constraints.minDSCR}x × ${(debtConstant * 100).toFixed(2)}%)`,
     debtConstant: debtConstant,
     annualDebtService: dscrMaxLoan * debtConstant
   };
@@ -271,22 +287,22 @@ export function calculateDebtSizing(params) {
   // 3. Debt Yield Constraint
   // Debt Yield = NOI / Loan Amount
   // Loan = NOI / min Debt Yield
-  const dyMaxLoan = noi / constraints.minDebtYield;
+  const dyMaxLoan = Math.max(0, noi / constraints.minDebtYield - priorDebtAmount);
   results.sizing.debtYield = {
     constraint: `Min Debt Yield ${(constraints.minDebtYield * 100).toFixed(1)}%`,
     maxLoan: dyMaxLoan,
-    impliedDebtYield: noi / dyMaxLoan,
-    formula: `${formatCurrency(noi)} ÷ ${(constraints.minDebtYield * 100).toFixed(1)}%`
+    impliedDebtYield: noi / (priorDebtAmount + dyMaxLoan),
+    formula: `${formatCurrency(noi)} ÷ ${(constraints.minDebtYield * 100).toFixed(1)}%${priorSuffix}`
   };
 
   // 4. LTC Constraint (for construction/bridge)
   if (constraints.maxLTC && totalCost) {
-    const ltcMaxLoan = totalCost * constraints.maxLTC;
+    const ltcMaxLoan = Math.max(0, totalCost * constraints.maxLTC - priorDebtAmount);
     results.sizing.ltc = {
       constraint: `Max LTC ${(constraints.maxLTC * 100).toFixed(0)}%`,
       maxLoan: ltcMaxLoan,
-      impliedLTC: ltcMaxLoan / totalCost,
-      formula: `${formatCurrency(totalCost)} × ${(constraints.maxLTC * 100).toFixed(0)}%`
+      impliedLTC: (priorDebtAmount + ltcMaxLoan) / totalCost,
+      formula: `${formatCurrency(totalCost)} × ${(constraints.maxLTC * 100).toFixed(0)}%${priorSuffix}`
     };
   }
 
@@ -322,8 +338,25 @@ export function calculateDebtSizing(params) {
     ltc: totalCost ? finalLoan / totalCost : null
   };
 
+  if (priorDebtAmount > 0 || priorDebtService > 0) {
+    const combinedDebtService = priorDebtService + annualDebtService;
+    results.combinedMetrics = {
+      totalDebt: priorDebtAmount + finalLoan,
+      ltv: (priorDebtAmount + finalLoan) / value,
+      dscr: combinedDebtService > 0 ? noi / combinedDebtService : null,
+      debtYield: noi / (priorDebtAmount + finalLoan),
+      annualDebtService: combinedDebtService,
+      ltc: totalCost ? (priorDebtAmount + finalLoan) / totalCost : null
+    };
+  }
+
   // Add stress test results
-  results.stressTest = performDebtStressTest(finalLoan, noi, value, interestRate, constraints);
+  results.stressTest = performDebtStressTest(finalLoan, noi, value, interestRate, constraints, floatingRate && {
+    ...floatingRate,
+    amortization,
+    ioMonths: Math.round(ioPeriod * 12),
+    months: floatingRate.months || loanTerm * 12
+  });
 
   // Add sizing at different constraint levels
   results.scenarios = generateSizingScenarios(noi, value, interestRate, amortization, ioPeriod);
@@ -365,8 +398,12 @@ function getBindingReason(constraintKey) {
 
 /**
  * Perform stress tests on the sized loan
+ *
+ * Fixed-rate loans get static +100/+200/+300bp rate bumps. Floating-rate
+ * loans run over rate paths instead (flat, forward, shocked forwards) with
+ * any cap or swap applied, testing the lowest DSCR along each path.
  */
-function performDebtStressTest(loanAmount, noi, value, interestRate, constraints) {
+function performDebtStressTest(loanAmount, noi, value, interestRate, constraints, floatingRate = null) {
   const tests = [];
 
   // Test 1: NOI decline
@@ -386,7 +423,27 @@ function performDebtStressTest(loanAmount, noi, value, interestRate, constraints
   }
 
   // Test 2: Rate increase
-  const rateIncreases = [0.01, 0.02, 0.03]; // +100, +200, +300 bps
+  let ratePaths = null;
+  if (floatingRate) {
+    ratePaths = performRatePathStressTest({
+      ...floatingRate,
+      loanAmount,
+      noi,
+      minDSCR: constraints.minDSCR
+    });
+    for (const path of ratePaths.paths) {
+      tests.push({
+        scenario: path.label,
+        stressedRate: path.peakEffectiveRate,
+        stressedDSCR: path.minDSCR,
+        unhedgedDSCR: path.unhedgedMinDSCR,
+        passesMinDSCR: path.passesMinDSCR,
+        passesBreakeven: path.passesBreakeven
+      });
+    }
+  }
+
+  const rateIncreases = floatingRate ? [] : [0.01, 0.02, 0.03]; // +100, +200, +300 bps
   for (const increase of rateIncreases) {
     const stressedRate = interestRate + increase;
     const stressedDebtService = loanAmount * stressedRate;
@@ -427,6 +484,7 @@ function performDebtStressTest(loanAmount, noi, value, interestRate, constraints
   return {
     tests,
     breakeven,
+    ...(ratePaths ? { ratePaths } : {}),
     summary: {
       worstCaseDSCR: Math.min(...tests.filter(t => t.stressedDSCR).map(t => t.stressedDSCR)),
       passesAllStress: tests.every(t => t.passesBreakeven !== false && !t.breachesLTV)
@@ -544,8 +602,15 @@ export function compareLenderProfiles(params) {
 
 /**
  * Calculate optimal capital stack with multiple tranches
+ *
+ * When params.tranches is provided the stack is modelled tranche by tranche
+ * (see calculateDebtStack); otherwise the legacy senior/mezz/pref split is used.
  */
 export function calculateCapitalStack(params) {
+  if (Array.isArray(params.tranches) && params.tranches.length > 0) {
+    return calculateDebtStack(params);
+  }
+
   const {
     purchasePrice,
     noi,
@@ -642,6 +707,326 @@ export function calculateCapitalStack(params) {
   };
 }
 
+// ============================================================================
+// MULTI-TRANCHE DEBT STACK
+// ============================================================================
+
+/**
+ * Tranche types in default priority order, with default covenants.
+ * Covenants are tested on the cumulative stack through each tranche
+ * (e.g. mezz max LTV is the combined senior + mezz LTV).
+ */
+export const TRANCHE_TYPES = {
+  SENIOR: {
+    name: 'Senior Loan',
+    isDebt: true,
+    covenants: { maxLTV: 0.65, minDSCR: 1.25, minDebtYield: 0.08 },
+    amortization: 30
+  },
+  MEZZANINE: {
+    name: 'Mezzanine Loan',
+    isDebt: true,
+    covenants: { maxLTV: 0.80, minDSCR: 1.10, minDebtYield: 0.065 },
+    amortization: 0
+  },
+  PREFERRED_EQUITY: {
+    name: 'Preferred Equity',
+    isDebt: false,
+    covenants: { maxLTV: 0.90, minDSCR: 1.00, minDebtYield: 0.055 },
+    amortization: 0
+  }
+};
+
+/**
+ * Placeholder index levels used when a floating tranche has no indexRate and
+ * the caller does not pass indexRates.
+ */
+export const DEFAULT_INDEX_RATES = {
+  SOFR: 0.043,
+  TREASURY_5Y: 0.041,
+  TREASURY_10Y: 0.043
+};
+
+/**
+ * All-in coupon for a tranche: fixed rate, or index + spread subject to any floor.
+ */
+export function resolveTrancheRate(tranche, indexRates = {}) {
+  if (tranche.rateType !== 'FLOATING') {
+    return tranche.fixedRate ?? 0;
+  }
+
+  const index = tranche.index || 'SOFR';
+  const indexRate = tranche.indexRate ?? indexRates[index] ?? DEFAULT_INDEX_RATES[index] ?? 0;
+  const rate = indexRate + (tranche.spread || 0);
+  return tranche.floor !== null && tranche.floor !== undefined ? Math.max(tranche.floor, rate) : rate;
+}
+
+/**
+ * Apply per-tranche overrides (keyed by tranche id) on top of a tranche list.
+ * Scenarios and sensitivities flex individual tranches this way without
+ * restating the whole stack.
+ *
+ * @param {Array<Object>} tranches
+ * @param {Object} overrides - e.g. { senior: { spread: 0.0275 }, mezz: { amount: 1500000 } }
+ */
+export function applyTrancheOverrides(tranches, overrides) {
+  if (!overrides || typeof overrides !== 'object') return tranches;
+  return tranches.map((tranche, i) => {
+    const id = tranche.id || `tranche-${i + 1}`;
+    const override = overrides[id];
+    if (!override) return tranche;
+    return {
+      ...tranche,
+      ...override,
+      covenants: override.covenants ? { ...tranche.covenants, ...override.covenants } : tranche.covenants
+    };
+  });
+}
+
+/**
+ * Normalize tranche definitions: fill type defaults, order by priority and
+ * resolve each tranche's all-in rate.
+ *
+ * @param {Array<Object>} tranches - Raw tranche inputs:
+ *   { id, name, type, priority, amount, rateType: 'FIXED' | 'FLOATING', fixedRate,
+ *     index, indexRate, spread, floor, ioMonths | ioPeriod (years), amortization, term,
+ *     covenants: { maxLTV, minDSCR, minDebtYield, maxLTC }, maxAmount }
+ * @param {Object} options - { indexRates, overrides }
+ * @returns {Array<Object>} Normalized tranches in priority order
+ */
+export function normalizeDebtTranches(tranches, options = {}) {
+  if (!Array.isArray(tranches)) return [];
+
+  const withOverrides = applyTrancheOverrides(tranches, options.overrides);
+
+  return withOverrides
+    .map((tranche, i) => ({ tranche, order: tranche.priority ?? i + 1, i }))
+    .sort((a, b) => a.order - b.order || a.i - b.i)
+    .map(({ tranche, i }, position) => {
+      const type = TRANCHE_TYPES[tranche.type] ? tranche.type : (position === 0 ? 'SENIOR' : 'MEZZANINE');
+      const typeConfig = TRANCHE_TYPES[type];
+      const rateType = tranche.rateType
+        || (tranche.spread !== undefined && tranche.fixedRate === undefined && tranche.rate === undefined ? 'FLOATING' : 'FIXED');
+      const amortization = tranche.amortization ?? typeConfig.amortization;
+
+      const normalized = {
+        id: tranche.id || `tranche-${i + 1}`,
+        name: tranche.name || typeConfig.name,
+        type,
+        isDebt: typeConfig.isDebt,
+        priority: position + 1,
+        amount: tranche.amount ?? tranche.sizedAmount ?? null,
+        maxAmount: tranche.maxAmount ?? null,
+        rateType,
+        fixedRate: tranche.fixedRate ?? tranche.rate ?? null,
+        index: rateType === 'FLOATING' ? (tranche.index || 'SOFR') : null,
+        indexRate: tranche.indexRate ?? null,
+        spread: tranche.spread ?? null,
+        floor: tranche.floor ?? null,
+        // amortization 0 means interest-only for the whole term
+        ioMonths: amortization > 0 ? (tranche.ioMonths ?? Math.round((tranche.ioPeriod || 0) * 12)) : null,
+        amortization,
+        term: tranche.term ?? null,
+        lenderProfile: tranche.lenderProfile || null,
+        covenants: {
+          ...(tranche.lenderProfile && LENDER_PROFILES[tranche.lenderProfile]
+            ? pickCovenants(LENDER_PROFILES[tranche.lenderProfile].constraints)
+            : typeConfig.covenants),
+          ...(tranche.covenants || {})
+        }
+      };
+      normalized.rate = resolveTrancheRate(normalized, options.indexRates);
+      return normalized;
+    });
+}
+
+function pickCovenants(constraints) {
+  const { maxLTV, minDSCR, minDebtYield, maxLTC } = constraints;
+  return maxLTC ? { maxLTV, minDSCR, minDebtYield, maxLTC } : { maxLTV, minDSCR, minDebtYield };
+}
+
+/**
+ * IO period in years for sizing: a tranche that is IO through year one is
+ * sized on its interest-only constant (amortization 0 is IO throughout).
+ */
+function trancheIOYears(tranche) {
+  return tranche.ioMonths !== null && tranche.ioMonths >= 12 ? tranche.ioMonths / 12 : 0;
+}
+
+/**
+ * Size and test an ordered stack of tranches (senior, mezz, pref equity, ...)
+ *
+ * Tranches without an amount are sized to the most their covenants allow
+ * behind everything senior to them; tranches with an amount are taken as
+ * given. Every tranche's covenants are then tested on the cumulative stack.
+ *
+ * @param {Object} params
+ * @param {number} params.noi - Underwritten NOI
+ * @param {number} params.propertyValue - Value for LTV (defaults to purchasePrice)
+ * @param {number} params.purchasePrice
+ * @param {number} params.totalCost - All-in cost for LTC, if applicable
+ * @param {number} params.units - Unit count for last-dollar basis per unit
+ * @param {number} params.squareFeet - Rentable SF for last-dollar basis per SF
+ * @param {Array<Object>} params.tranches - See normalizeDebtTranches
+ * @param {Object} params.indexRates - Index levels, e.g. { SOFR: 0.0435 }
+ * @param {Object} params.trancheOverrides - Per-tranche overrides keyed by id
+ * @returns {Object} { tranches, combined, covenantBreaches }
+ */
+export function calculateDebtStack(params) {
+  const {
+    noi,
+    propertyValue,
+    purchasePrice,
+    totalCost = null,
+    units = null,
+    squareFeet = null,
+    tranches = [],
+    indexRates = {},
+    trancheOverrides = null
+  } = params;
+
+  if (!noi || noi <= 0) {
+    return { error: 'NOI is required and must be positive' };
+  }
+  const value = propertyValue || purchasePrice;
+  if (!value || value <= 0) {
+    return { error: 'Property value or purchase price is required' };
+  }
+
+  const normalized = normalizeDebtTranches(tranches, { indexRates, overrides: trancheOverrides });
+  if (normalized.length === 0) {
+    return { error: 'At least one tranche is required' };
+  }
+
+  const results = [];
+  const covenantBreaches = [];
+  let priorAmount = 0;
+  let priorDebtService = 0;
+
+  for (const tranche of normalized) {
+    if (!tranche.rate || tranche.rate <= 0) {
+      return { error: `Tranche ${tranche.id} needs a positive rate (fixedRate, or index + spread)` };
+    }
+
+    const debtConstant = calculateDebtConstant(tranche.rate, tranche.amortization, trancheIOYears(tranche));
+    let amount = tranche.amount;
+    let sizing = null;
+
+    if (amount === null) {
+      sizing = calculateDebtSizing({
+        noi,
+        propertyValue: value,
+        purchasePrice,
+        totalCost,
+        interestRate: tranche.rate,
+        amortization: tranche.amortization,
+        ioPeriod: trancheIOYears(tranche),
+        customConstraints: tranche.covenants,
+        priorDebtAmount: priorAmount,
+        priorDebtService
+      });
+      amount = sizing.error ? 0 : sizing.maxProceeds;
+      if (tranche.maxAmount !== null) {
+        amount = Math.min(amount, tranche.maxAmount);
+      }
+    }
+
+    const annualDebtService = amount * debtConstant;
+    const cumulativeAmount = priorAmount + amount;
+    const cumulativeDebtService = priorDebtService + annualDebtService;
+
+    const cumulative = {
+      amount: cumulativeAmount,
+      ltv: cumulativeAmount / value,
+      ltc: totalCost ? cumulativeAmount / totalCost : null,
+      dscr: cumulativeDebtService > 0 ? noi / cumulativeDebtService : null,
+      debtYield: cumulativeAmount > 0 ? noi / cumulativeAmount : null
+    };
+
+    const covenantTests = testTrancheCovenants(tranche.covenants, cumulative);
+    for (const test of covenantTests.filter(t => !t.passes)) {
+      covenantBreaches.push({ trancheId: tranche.id, trancheName: tranche.name, ...test });
+    }
+
+    results.push({
+      ...tranche,
+      amount,
+      sized: sizing !== null,
+      bindingConstraint: sizing?.binding?.constraint || null,
+      debtConstant,
+      annualDebtService,
+      attachmentLTV: priorAmount / value,
+      detachmentLTV: cumulativeAmount / value,
+      percentOfValue: amount / value,
+      cumulative,
+      covenantTests
+    });
+
+    priorAmount = cumulativeAmount;
+    priorDebtService = cumulativeDebtService;
+  }
+
+  return {
+    tranches: results,
+    combined: summarizeDebtStack(results, { noi, value, purchasePrice, totalCost, units, squareFeet }),
+    covenantBreaches
+  };
+}
+
+/**
+ * Test a tranche's covenants against the cumulative stack through that tranche
+ */
+function testTrancheCovenants(covenants, cumulative) {
+  const tests = [];
+  if (covenants.maxLTV !== undefined && covenants.maxLTV !== null) {
+    tests.push({ covenant: 'LTV', required: covenants.maxLTV, actual: cumulative.ltv, passes: cumulative.ltv <= covenants.maxLTV + 1e-9 });
+  }
+  if (covenants.maxLTC !== undefined && covenants.maxLTC !== null && cumulative.ltc !== null) {
+    tests.push({ covenant: 'LTC', required: covenants.maxLTC, actual: cumulative.ltc, passes: cumulative.ltc <= covenants.maxLTC + 1e-9 });
+  }
+  if (covenants.minDSCR !== undefined && covenants.minDSCR !== null && cumulative.dscr !== null) {
+    tests.push({ covenant: 'DSCR', required: covenants.minDSCR, actual: cumulative.dscr, passes: cumulative.dscr >= covenants.minDSCR - 1e-9 });
+  }
+  if (covenants.minDebtYield !== undefined && covenants.minDebtYield !== null && cumulative.debtYield !== null) {
+    tests.push({ covenant: 'DEBT_YIELD', required: covenants.minDebtYield, actual: cumulative.debtYield, passes: cumulative.debtYield >= covenants.minDebtYield - 1e-9 });
+  }
+  return tests;
+}
+
+/**
+ * Combined stack metrics: total leverage, combined DSCR, blended rate and
+ * last-dollar basis (total stack exposure through the most junior tranche)
+ */
+function summarizeDebtStack(tranches, context) {
+  const { noi, value, purchasePrice, totalCost, units, squareFeet } = context;
+
+  const debtTranches = tranches.filter(t => t.isDebt);
+  const totalDebt = debtTranches.reduce((sum, t) => sum + t.amount, 0);
+  const totalStack = tranches.reduce((sum, t) => sum + t.amount, 0);
+  const debtService = debtTranches.reduce((sum, t) => sum + t.annualDebtService, 0);
+  const stackService = tranches.reduce((sum, t) => sum + t.annualDebtService, 0);
+  const basis = purchasePrice || value;
+
+  return {
+    totalDebt,
+    totalStack,
+    commonEquity: totalCost ? totalCost - totalStack : basis - totalStack,
+    totalLeverage: totalDebt / value,
+    stackLeverage: totalStack / value,
+    combinedLTC: totalCost ? totalStack / totalCost : null,
+    combinedDSCR: debtService > 0 ? noi / debtService : null,
+    allInCoverage: stackService > 0 ? noi / stackService : null,
+    combinedDebtYield: totalDebt > 0 ? noi / totalDebt : null,
+    annualDebtService: debtService,
+    annualStackService: stackService,
+    blendedRate: totalStack > 0 ? tranches.reduce((sum, t) => sum + t.amount * t.rate, 0) / totalStack : null,
+    lastDollarBasis: totalStack,
+    lastDollarLTV: totalStack / value,
+    lastDollarPerUnit: units ? totalStack / units : null,
+    lastDollarPerSF: squareFeet ? totalStack / squareFeet : null
+  };
+}
+
 // Helper function
 function formatCurrency(value) {
   if (value === null || value === undefined) return '—';
@@ -657,5 +1042,11 @@ export default {
   calculateDebtSizing,
   compareLenderProfiles,
   calculateCapitalStack,
-  LENDER_PROFILES
+  calculateDebtStack,
+  normalizeDebtTranches,
+  applyTrancheOverrides,
+  resolveTrancheRate,
+  LENDER_PROFILES,
+  TRANCHE_TYPES,
+  DEFAULT_INDEX_RATES
 };
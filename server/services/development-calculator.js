@@ -0,0 +1,649 @@
+/**
+ * Development Calculator
+ *
+ * Ground-up development underwriting on top of the stabilized pro forma in
+ * UnderwritingModel:
+ * - Hard/soft cost line items with contingency
+ * - Monthly spend schedule (S-curve, straight-line or upfront per item)
+ * - Construction loan sized on loan-to-cost with an origination fee and an
+ *   interest reserve; equity funds first, then debt
+ * - Lease-up from completion to stabilization, then a sale
+ * - Yield-on-cost, untrended/trended return on cost and development spread
+ *
+ * Equity distributions roll up to annual cash flows for calculateWaterfall.
+ * All functions are pure; routes/underwriting.js loads the DevelopmentBudget.
+ */
+
+import { calculateIRR, calculateXIRR } from './underwriting-calculator.js';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[Development]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_DEVELOPMENT === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const COST_CATEGORIES = ['HARD', 'SOFT'];
+
+export const SPEND_CURVES = {
+  S_CURVE: 'S_CURVE',             // Slow start, peak mid-construction, slow finish
+  STRAIGHT_LINE: 'STRAIGHT_LINE', // Even monthly spend
+  UPFRONT: 'UPFRONT'              // Paid at closing (permits, design, fees)
+};
+
+/** Default spend curve by cost category */
+const DEFAULT_CATEGORY_CURVES = {
+  HARD: SPEND_CURVES.S_CURVE,
+  SOFT: SPEND_CURVES.STRAIGHT_LINE
+};
+
+export const DEFAULT_DEVELOPMENT_TERMS = {
+  constructionMonths: 18,
+  hardContingencyPct: 0.05,
+  softContingencyPct: 0.03,
+  sCurveSteepness: 8,
+  loanTerms: {
+    ltc: 0.60,
+    interestRate: 0.085,
+    originationFeePct: 0.01
+  },
+  leaseUpTerms: {
+    startOffsetMonths: 0,         // Months between completion and first move-ins
+    monthsToStabilization: 12,
+    fixedExpenseShare: 0.5        // Share of stabilized expenses incurred from first move-in
+  }
+};
+
+const MAX_SIZING_ITERATIONS = 50;
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Merge a stored DevelopmentBudget row (JSON columns may be strings) over
+ * the defaults
+ *
+ * @param {Object} budget
+ * @returns {Object} Resolved budget
+ */
+export function resolveDevelopmentBudget(budget = {}) {
+  const lineItems = parseJson(budget.lineItems, []);
+  return {
+    constructionStart: budget.constructionStart || null,
+    constructionMonths: budget.constructionMonths || DEFAULT_DEVELOPMENT_TERMS.constructionMonths,
+    landCost: budget.landCost || 0,
+    lineItems: Array.isArray(lineItems) ? lineItems : [],
+    hardContingencyPct: budget.hardContingencyPct ?? DEFAULT_DEVELOPMENT_TERMS.hardContingencyPct,
+    softContingencyPct: budget.softContingencyPct ?? DEFAULT_DEVELOPMENT_TERMS.softContingencyPct,
+    sCurveSteepness: budget.sCurveSteepness || DEFAULT_DEVELOPMENT_TERMS.sCurveSteepness,
+    loanTerms: { ...DEFAULT_DEVELOPMENT_TERMS.loanTerms, ...parseJson(budget.loanTerms, {}) },
+    leaseUpTerms: { ...DEFAULT_DEVELOPMENT_TERMS.leaseUpTerms, ...parseJson(budget.leaseUpTerms, {}) },
+    marketCapRate: budget.marketCapRate ?? null,
+    holdMonths: budget.holdMonths ?? null
+  };
+}
+
+/**
+ * Validate a development budget. Returns a list of errors.
+ *
+ * @param {Object} budget - Request body or stored row
+ */
+export function validateDevelopmentBudget(budget = {}) {
+  const errors = [];
+  const lineItems = parseJson(budget.lineItems, null);
+
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    errors.push('lineItems must be a non-empty array');
+  } else {
+    lineItems.forEach((item, i) => {
+      if (!item?.name) errors.push(`lineItems[${i}].name is required`);
+      if (!COST_CATEGORIES.includes(item?.category)) {
+        errors.push(`lineItems[${i}].category must be one of ${COST_CATEGORIES.join(', ')}`);
+      }
+      if (typeof item?.amount !== 'number' || item.amount < 0) {
+        errors.push(`lineItems[${i}].amount must be a non-negative number`);
+      }
+      if (item?.spendCurve && !SPEND_CURVES[item.spendCurve]) {
+        errors.push(`lineItems[${i}].spendCurve must be one of ${Object.keys(SPEND_CURVES).join(', ')}`);
+      }
+    });
+  }
+
+  if (budget.constructionMonths !== undefined &&
+      (!Number.isInteger(budget.constructionMonths) || budget.constructionMonths < 1 || budget.constructionMonths > 120)) {
+    errors.push('constructionMonths must be an integer between 1 and 120');
+  }
+  if (budget.landCost !== undefined && (typeof budget.landCost !== 'number' || budget.landCost < 0)) {
+    errors.push('landCost must be a non-negative number');
+  }
+  for (const key of ['hardContingencyPct', 'softContingencyPct']) {
+    if (budget[key] !== undefined && (typeof budget[key] !== 'number' || budget[key] < 0 || budget[key] > 1)) {
+      errors.push(`${key} must be between 0 and 1`);
+    }
+  }
+
+  const loanTerms = parseJson(budget.loanTerms, {});
+  if (loanTerms.ltc !== undefined && (loanTerms.ltc < 0 || loanTerms.ltc >= 1)) {
+    errors.push('loanTerms.ltc must be between 0 and 1');
+  }
+  if (loanTerms.interestRate !== undefined && (typeof loanTerms.interestRate !== 'number' || loanTerms.interestRate < 0)) {
+    errors.push('loanTerms.interestRate must be a non-negative number');
+  }
+
+  const leaseUpTerms = parseJson(budget.leaseUpTerms, {});
+  if (leaseUpTerms.monthsToStabilization !== undefined &&
+      (!Number.isInteger(leaseUpTerms.monthsToStabilization) || leaseUpTerms.monthsToStabilization < 1)) {
+    errors.push('leaseUpTerms.monthsToStabilization must be a positive integer');
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// BUDGET AND SPEND SCHEDULE
+// ============================================================================
+
+/**
+ * Monthly S-curve weights (normalized logistic CDF) summing to 1
+ *
+ * @param {number} months - Construction months
+ * @param {number} steepness - Logistic slope; higher concentrates spend mid-build
+ */
+export function sCurveWeights(months, steepness = DEFAULT_DEVELOPMENT_TERMS.sCurveSteepness) {
+  const logistic = (t) => 1 / (1 + Math.exp(-steepness * (t - 0.5)));
+  const low = logistic(0);
+  const span = logistic(1) - low;
+  const cumulative = (t) => (logistic(t) - low) / span;
+
+  return Array.from({ length: months }, (_, i) => cumulative((i + 1) / months) - cumulative(i / months));
+}
+
+/**
+ * Monthly spend for an amount over a construction period. Index 0 is closing.
+ */
+function spendSchedule(amount, curve, months, steepness) {
+  const schedule = new Array(months + 1).fill(0);
+  if (curve === SPEND_CURVES.UPFRONT) {
+    schedule[0] = amount;
+  } else if (curve === SPEND_CURVES.STRAIGHT_LINE) {
+    for (let m = 1; m <= months; m++) schedule[m] = amount / months;
+  } else {
+    sCurveWeights(months, steepness).forEach((w, i) => { schedule[i + 1] = amount * w; });
+  }
+  return schedule;
+}
+
+/**
+ * Cost budget with contingency, before financing costs
+ *
+ * @param {Object} budget - Resolved budget
+ * @returns {Object} { lineItems, landCost, hardCosts, softCosts, hardContingency, softContingency, totalBeforeFinancing, schedule }
+ */
+export function summarizeBudget(budget) {
+  const months = budget.constructionMonths;
+  const schedule = new Array(months + 1).fill(0);
+  schedule[0] += budget.landCost;
+
+  const lineItems = budget.lineItems.map(item => {
+    const contingencyPct = item.category === 'HARD' ? budget.hardContingencyPct : budget.softContingencyPct;
+    const contingency = item.amount * contingencyPct;
+    const curve = item.spendCurve || DEFAULT_CATEGORY_CURVES[item.category];
+    spendSchedule(item.amount + contingency, curve, months, budget.sCurveSteepness)
+      .forEach((amount, m) => { schedule[m] += amount; });
+    return { ...item, spendCurve: curve, contingency, total: item.amount + contingency };
+  });
+
+  const sum = (category, key) => lineItems
+    .filter(item => item.category === category)
+    .reduce((total, item) => total + item[key], 0);
+
+  const hardCosts = sum('HARD', 'amount');
+  const softCosts = sum('SOFT', 'amount');
+  const hardContingency = sum('HARD', 'contingency');
+  const softContingency = sum('SOFT', 'contingency');
+
+  return {
+    lineItems,
+    landCost: budget.landCost,
+    hardCosts,
+    softCosts,
+    hardContingency,
+    softContingency,
+    totalBeforeFinancing: budget.landCost + hardCosts + softCosts + hardContingency + softContingency,
+    schedule
+  };
+}
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+/**
+ * Stabilized operations from the underwriting model, in today's dollars
+ */
+function stabilizedOperations(model) {
+  const operatingExpenses = model.operatingExpenses ||
+    (model.taxes || 0) + (model.insurance || 0) + (model.management || 0) + (model.reserves || 0);
+  const vacancyRate = model.vacancyRate ?? 0.05;
+  const grossPotentialRent = model.grossPotentialRent || 0;
+  const otherIncome = model.otherIncome || 0;
+
+  return {
+    grossPotentialRent,
+    vacancyRate,
+    otherIncome,
+    operatingExpenses,
+    stabilizedOccupancy: 1 - vacancyRate,
+    noi: grossPotentialRent * (1 - vacancyRate) + otherIncome - operatingExpenses,
+    rentGrowth: model.rentGrowth || 0.03,
+    expenseGrowth: model.expenseGrowth || 0.02
+  };
+}
+
+/**
+ * Monthly NOI at month m (from construction start) given physical occupancy.
+ * Revenue and expenses trend from month 0.
+ */
+function monthlyNOI(ops, m, occupancy, fixedExpenseShare) {
+  const revenueTrend = Math.pow(1 + ops.rentGrowth, m / 12);
+  const expenseTrend = Math.pow(1 + ops.expenseGrowth, m / 12);
+  const leasedShare = ops.stabilizedOccupancy > 0 ? occupancy / ops.stabilizedOccupancy : 0;
+
+  const revenue = (ops.grossPotentialRent * occupancy + ops.otherIncome * leasedShare) * revenueTrend / 12;
+  const expenses = ops.operatingExpenses * (fixedExpenseShare + (1 - fixedExpenseShare) * leasedShare) * expenseTrend / 12;
+  return revenue - expenses;
+}
+
+// ============================================================================
+// FUNDING
+// ============================================================================
+
+/**
+ * Run the monthly funding waterfall for a given loan commitment and equity
+ * requirement. Costs (including capitalized interest and lease-up operating
+ * deficits through stabilization) are funded by equity first, then the loan.
+ */
+function simulateFunding({ costSchedule, originationFee, equityRequired, loanCommitment, interestRate, timeline, ops, leaseUpTerms, exit }) {
+  const { leaseUpStart, stabilizationMonth, saleMonth } = timeline;
+  const months = [];
+
+  let equityRemaining = equityRequired;
+  let loanBalance = 0;
+  let capitalizedInterest = 0;
+  let operatingDeficit = 0;
+  let equityOverrun = 0;
+  let loanDrawn = 0;
+
+  for (let m = 0; m <= saleMonth; m++) {
+    const cost = (costSchedule[m] || 0) + (m === 0 ? originationFee : 0);
+    const interest = loanBalance * interestRate / 12;
+
+    let occupancy = 0;
+    if (m > leaseUpStart) {
+      occupancy = m >= stabilizationMonth
+        ? ops.stabilizedOccupancy
+        : ops.stabilizedOccupancy * (m - leaseUpStart) / (stabilizationMonth - leaseUpStart);
+    }
+    const noi = m > leaseUpStart ? monthlyNOI(ops, m, occupancy, leaseUpTerms.fixedExpenseShare) : 0;
+
+    // Through stabilization, interest and operating deficits are project costs
+    const inReservePeriod = m <= stabilizationMonth;
+    const carry = inReservePeriod ? interest + Math.max(0, -noi) : 0;
+    if (inReservePeriod) {
+      capitalizedInterest += interest;
+      operatingDeficit += Math.max(0, -noi);
+    }
+
+    const funding = cost + carry;
+    const equityDraw = Math.min(funding, equityRemaining);
+    equityRemaining -= equityDraw;
+    const loanDraw = Math.min(funding - equityDraw, Math.max(0, loanCommitment - loanDrawn));
+    loanDrawn += loanDraw;
+    const overrun = funding - equityDraw - loanDraw;
+    equityOverrun += overrun;
+    loanBalance += loanDraw;
+
+    // After stabilization NOI services the loan; lease-up NOI goes to equity
+    const operatingCashFlow = inReservePeriod ? Math.max(0, noi) : noi - interest;
+
+    let saleProceeds = 0;
+    let loanRepayment = 0;
+    if (m === saleMonth) {
+      loanRepayment = loanBalance;
+      saleProceeds = exit.netSalePrice - loanRepayment;
+      loanBalance = 0;
+    }
+
+    months.push({
+      month: m,
+      phase: m <= timeline.constructionMonths ? 'CONSTRUCTION' : m < stabilizationMonth ? 'LEASE_UP' : 'STABILIZED',
+      cost,
+      interest,
+      capitalizedInterest: inReservePeriod ? interest : 0,
+      equityDraw: equityDraw + overrun,
+      loanDraw,
+      loanBalance: m === saleMonth ? loanRepayment : loanBalance,
+      occupancy,
+      noi,
+      saleProceeds,
+      equityCashFlow: -(equityDraw + overrun) + operatingCashFlow + saleProceeds
+    });
+  }
+
+  return { months, capitalizedInterest, operatingDeficit, equityOverrun, maxLoanBalance: loanDrawn };
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Project a ground-up development from budget through lease-up and sale
+ *
+ * The construction loan is sized on loan-to-cost of the all-in budget, which
+ * includes the origination fee and the interest reserve (interest and lease-up
+ * operating deficits through stabilization); the reserve is solved iteratively.
+ *
+ * @param {Object} budget - DevelopmentBudget row or request body
+ * @param {Object} model - Underwriting model inputs (stabilized pro forma, exitCapRate, holdPeriod)
+ * @returns {Object} { budget, sources, loan, timeline, exit, returns, schedule, annual, warnings }
+ */
+export function projectDevelopment(budget, model = {}) {
+  const resolved = resolveDevelopmentBudget(budget);
+  const costs = summarizeBudget(resolved);
+  const ops = stabilizedOperations(model);
+  const warnings = [];
+
+  const { ltc, interestRate, originationFeePct } = resolved.loanTerms;
+  const leaseUpTerms = resolved.leaseUpTerms;
+  const constructionMonths = resolved.constructionMonths;
+  const leaseUpStart = constructionMonths + (leaseUpTerms.startOffsetMonths || 0);
+  const stabilizationMonth = leaseUpStart + leaseUpTerms.monthsToStabilization;
+
+  let saleMonth = resolved.holdMonths || (model.holdPeriod || 5) * 12;
+  if (saleMonth < stabilizationMonth + 12) {
+    warnings.push(`Sale in month ${saleMonth} is before a full stabilized year; moved to month ${stabilizationMonth + 12}`);
+    saleMonth = stabilizationMonth + 12;
+  }
+  const timeline = { constructionMonths, leaseUpStart, stabilizationMonth, saleMonth };
+
+  // Exit on forward 12-month NOI after the sale month
+  const exitCapRate = model.exitCapRate || 0.055;
+  const sellingCostRate = model.sellingCostRate || 0.02;
+  const forwardNOI = (from) => {
+    let total = 0;
+    for (let m = from + 1; m <= from + 12; m++) {
+      total += monthlyNOI(ops, m, ops.stabilizedOccupancy, leaseUpTerms.fixedExpenseShare);
+    }
+    return total;
+  };
+  const exitNOI = forwardNOI(saleMonth);
+  const grossSalePrice = exitCapRate > 0 ? exitNOI / exitCapRate : 0;
+  const exit = { exitNOI, exitCapRate, grossSalePrice, sellingCosts: grossSalePrice * sellingCostRate, netSalePrice: grossSalePrice * (1 - sellingCostRate) };
+
+  // Size the loan, fee and interest reserve together: each pass re-runs the
+  // funding with the previous pass's all-in cost until the cost settles
+  const fund = (totalCost) => {
+    const loanCommitment = ltc * totalCost;
+    const originationFee = loanCommitment * originationFeePct;
+    const result = simulateFunding({
+      costSchedule: costs.schedule,
+      originationFee,
+      equityRequired: totalCost - loanCommitment,
+      loanCommitment,
+      interestRate,
+      timeline,
+      ops,
+      leaseUpTerms,
+      exit
+    });
+    const nextTotal = costs.totalBeforeFinancing + originationFee + result.capitalizedInterest + result.operatingDeficit;
+    return { ...result, loanCommitment, originationFee, nextTotal };
+  };
+
+  let totalCost = costs.totalBeforeFinancing;
+  let funding = fund(totalCost);
+  let iterations = 1;
+  while (Math.abs(funding.nextTotal - totalCost) >= 0.01 && iterations < MAX_SIZING_ITERATIONS) {
+    totalCost = funding.nextTotal;
+    funding = fund(totalCost);
+    iterations++;
+  }
+  if (iterations >= MAX_SIZING_ITERATIONS) {
+    warnings.push('Interest reserve sizing did not converge; check loan terms');
+  }
+
+  const { loanCommitment, originationFee } = funding;
+  const equityRequired = totalCost - loanCommitment;
+
+  if (funding.equityOverrun > 1) {
+    warnings.push(`Costs exceed sources by ${round(funding.equityOverrun)}; overrun funded with additional equity`);
+  }
+
+  logDebug('Development projected', { totalCost, loanCommitment, iterations });
+
+  // Returns on cost
+  const untrendedNOI = ops.noi;
+  const trendedNOI = forwardNOI(stabilizationMonth);
+  const marketCapRate = resolved.marketCapRate || exitCapRate;
+  const yieldOnCost = totalCost > 0 ? trendedNOI / totalCost : null;
+  const untrendedReturnOnCost = totalCost > 0 ? untrendedNOI / totalCost : null;
+  const stabilizedValue = marketCapRate > 0 ? trendedNOI / marketCapRate : null;
+
+  if (untrendedNOI <= 0) {
+    warnings.push('Stabilized NOI is not positive; set rent and expenses on the underwriting model');
+  }
+
+  // Levered (equity) and unlevered (project) flows
+  const start = resolveStartDate(resolved.constructionStart);
+  const dateAt = (m) => new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + m, 1));
+  const equityFlows = funding.months.map(row => row.equityCashFlow);
+  const projectFlows = funding.months.map(row => {
+    const projectCost = (costs.schedule[row.month] || 0) + (row.month <= stabilizationMonth ? Math.max(0, -row.noi) : 0);
+    const operating = row.month <= stabilizationMonth ? Math.max(0, row.noi) : row.noi;
+    return -projectCost + operating + (row.month === saleMonth ? exit.netSalePrice : 0);
+  });
+
+  const equityIn = funding.months.reduce((sum, row) => sum + row.equityDraw, 0);
+  const equityOut = funding.months.reduce((sum, row) => sum + row.equityCashFlow + row.equityDraw, 0);
+
+  const returns = {
+    untrendedStabilizedNOI: round(untrendedNOI),
+    trendedStabilizedNOI: round(trendedNOI),
+    yieldOnCost: roundRate(yieldOnCost),
+    untrendedReturnOnCost: roundRate(untrendedReturnOnCost),
+    trendedReturnOnCost: roundRate(yieldOnCost),
+    marketCapRate,
+    developmentSpread: yieldOnCost !== null ? roundRate(yieldOnCost - marketCapRate) : null,
+    developmentSpreadBps: yieldOnCost !== null ? Math.round((yieldOnCost - marketCapRate) * 10000) : null,
+    untrendedSpreadBps: untrendedReturnOnCost !== null ? Math.round((untrendedReturnOnCost - marketCapRate) * 10000) : null,
+    stabilizedValue: stabilizedValue !== null ? round(stabilizedValue) : null,
+    profitOnCost: stabilizedValue !== null && totalCost > 0 ? roundRate(stabilizedValue / totalCost - 1) : null,
+    leveredIRR: roundRate(calculateXIRR(equityFlows.map((amount, m) => ({ date: dateAt(m), amount })))),
+    unleveredIRR: roundRate(annualizeMonthlyIRR(calculateIRR(projectFlows, 0.01, 1e-8))),
+    equityMultiple: equityIn > 0 ? round(equityOut / equityIn, 2) : null,
+    profit: round(equityOut - equityIn),
+    peakEquity: round(equityIn)
+  };
+
+  // Annual roll-up: year 1 holds closing (month 0) through month 12
+  const years = Math.ceil(saleMonth / 12);
+  const annual = Array.from({ length: years }, (_, i) => ({
+    year: i + 1,
+    endDate: toISODate(new Date(Date.UTC(start.getUTCFullYear() + i + 1, start.getUTCMonth(), 0))),
+    costs: 0,
+    equityContributions: 0,
+    loanDraws: 0,
+    capitalizedInterest: 0,
+    noi: 0,
+    cashInterest: 0,
+    saleProceeds: 0,
+    distributions: 0
+  }));
+  for (const row of funding.months) {
+    const line = annual[Math.min(years - 1, Math.max(0, Math.ceil(row.month / 12) - 1))];
+    line.costs += row.cost;
+    line.equityContributions += row.equityDraw;
+    line.loanDraws += row.loanDraw;
+    line.capitalizedInterest += row.capitalizedInterest;
+    line.noi += row.noi;
+    line.cashInterest += row.interest - row.capitalizedInterest;
+    line.saleProceeds += row.saleProceeds;
+    line.distributions += row.equityCashFlow + row.equityDraw;
+  }
+
+  return {
+    budget: {
+      lineItems: costs.lineItems.map(item => ({ ...item, contingency: round(item.contingency), total: round(item.total) })),
+      landCost: round(costs.landCost),
+      hardCosts: round(costs.hardCosts),
+      softCosts: round(costs.softCosts),
+      hardContingency: round(costs.hardContingency),
+      softContingency: round(costs.softContingency),
+      financingFees: round(originationFee),
+      interestReserve: round(funding.capitalizedInterest),
+      leaseUpDeficit: round(funding.operatingDeficit),
+      totalCost: round(totalCost),
+      costPerUnit: model.totalUnits ? round(totalCost / model.totalUnits) : null,
+      costPerSF: model.grossSF ? round(totalCost / model.grossSF, 2) : null
+    },
+    sources: {
+      equity: round(equityRequired),
+      loan: round(loanCommitment),
+      total: round(totalCost),
+      ltc
+    },
+    loan: {
+      commitment: round(loanCommitment),
+      interestRate,
+      originationFeePct,
+      maxBalance: round(funding.maxLoanBalance),
+      interestReserve: round(funding.capitalizedInterest),
+      payoffAtSale: round(funding.months[saleMonth].loanBalance)
+    },
+    timeline: {
+      ...timeline,
+      constructionStart: toISODate(start),
+      completionDate: toISODate(dateAt(constructionMonths)),
+      stabilizationDate: toISODate(dateAt(stabilizationMonth)),
+      saleDate: toISODate(dateAt(saleMonth))
+    },
+    exit: {
+      exitNOI: round(exit.exitNOI),
+      exitCapRate,
+      grossSalePrice: round(exit.grossSalePrice),
+      sellingCosts: round(exit.sellingCosts),
+      netSalePrice: round(exit.netSalePrice)
+    },
+    returns,
+    schedule: funding.months.map(row => ({
+      ...row,
+      date: toISODate(dateAt(row.month)),
+      cost: round(row.cost),
+      interest: round(row.interest),
+      capitalizedInterest: round(row.capitalizedInterest),
+      equityDraw: round(row.equityDraw),
+      loanDraw: round(row.loanDraw),
+      loanBalance: round(row.loanBalance),
+      occupancy: roundRate(row.occupancy),
+      noi: round(row.noi),
+      saleProceeds: round(row.saleProceeds),
+      equityCashFlow: round(row.equityCashFlow)
+    })),
+    annual: annual.map(line => Object.fromEntries(
+      Object.entries(line).map(([key, value]) => [key, typeof value === 'number' && key !== 'year' ? round(value) : value])
+    )),
+    warnings
+  };
+}
+
+/**
+ * Annual equity cash flows for calculateWaterfall
+ *
+ * The waterfall treats equity as contributed at construction start; each
+ * annual flow is what the project distributes in that year, with the sale
+ * in the final year.
+ *
+ * @param {Object} projection - projectDevelopment output
+ * @returns {Object} { cashFlows, dates, equity }
+ */
+export function buildDevelopmentWaterfallFlows(projection) {
+  return {
+    cashFlows: projection.annual.map(line => line.distributions),
+    dates: [projection.timeline.constructionStart, ...projection.annual.map(line => line.endDate)],
+    equity: projection.sources.equity
+  };
+}
+
+/**
+ * Compact summary for the IC memo and the stored lastResult
+ */
+export function summarizeDevelopment(projection) {
+  return {
+    budget: projection.budget,
+    sources: projection.sources,
+    timeline: projection.timeline,
+    returns: projection.returns,
+    warnings: projection.warnings
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function resolveStartDate(value) {
+  const date = value ? new Date(value) : new Date();
+  const valid = isNaN(date.getTime()) ? new Date() : date;
+  return new Date(Date.UTC(valid.getUTCFullYear(), valid.getUTCMonth(), 1));
+}
+
+function annualizeMonthlyIRR(rate) {
+  return rate === null || rate === undefined || !isFinite(rate) ? null : Math.pow(1 + rate, 12) - 1;
+}
+
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function round(value, decimals = 0) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function roundRate(value) {
+  return value === null || value === undefined || !isFinite(value) ? null : round(value, 4);
+}
+
+export default {
+  COST_CATEGORIES,
+  SPEND_CURVES,
+  DEFAULT_DEVELOPMENT_TERMS,
+  resolveDevelopmentBudget,
+  validateDevelopmentBudget,
+  sCurveWeights,
+  summarizeBudget,
+  projectDevelopment,
+  buildDevelopmentWaterfallFlows,
+  summarizeDevelopment
+};
@@ -19,6 +19,9 @@ import Handlebars from 'handlebars';
 import { PrismaClient } from '@prisma/client';
 import { dealStateMachine } from './deal-state-machine.js';
 import kernelClient from './kernel-client.js';
+import { projectDevelopment, summarizeDevelopment } from './development-calculator.js';
+import { readStore } from '../store.js';
+import { REMEDY_TYPES, defaultBalance, resolveDefaultTerms } from './capital-call-defaults.js';
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -161,6 +164,26 @@ const DOCUMENT_TYPES = {
     name: 'Distribution Statement',
     template: 'distribution-statement.hbs',
     defaultWatermark: null
+  },
+  SUBSCRIPTION_AGREEMENT: {
+    name: 'Subscription Agreement',
+    template: 'subscription-agreement.hbs',
+    defaultWatermark: 'PENDING GP COUNTERSIGNATURE'
+  },
+  CONSENT_CERTIFICATE: {
+    name: 'Consent Certificate',
+    template: 'consent-certificate.hbs',
+    defaultWatermark: null
+  },
+  K1_PACKAGE: {
+    name: 'Schedule K-1',
+    template: 'k1-package.hbs',
+    defaultWatermark: null
+  },
+  CAPITAL_CALL_DEFAULT_NOTICE: {
+    name: 'Notice of Default',
+    template: 'capital-call-default-notice.hbs',
+    defaultWatermark: null
   }
 };
 
@@ -299,6 +322,13 @@ class DocumentGenerator {
       metrics = this.calculateMetrics(model);
     }
 
+    // Ground-up deals: development budget, sources and returns on cost
+    let development = null;
+    const developmentBudget = await prisma.developmentBudget.findUnique({ where: { dealId } });
+    if (developmentBudget && model) {
+      development = summarizeDevelopment(projectDevelopment(developmentBudget, model));
+    }
+
     return {
       deal,
       model,
@@ -314,6 +344,7 @@ class DocumentGenerator {
         vacantUnits: rentRollUnits.filter(u => u.status === 'VACANT').length
       },
       t12: t12LineItems,
+      development,
       generatedAt: new Date().toISOString(),
       generatedBy: 'Deal Doc Factory'
     };
@@ -509,13 +540,14 @@ class DocumentGenerator {
   }
 
   /**
-   * Generate a document with a pre-built context (for LP financial documents)
+   * Render a document with a pre-built context without recording a version
    * @param {string} documentType - Document type key
    * @param {Object} context - Pre-built template context
-   * @param {Object} options - Generation options (actor, watermark, status)
+   * @param {Object} options - Render options (watermark, status)
+   * @returns {Promise<Object>} { html, contentHash }
    */
-  async generateDocumentWithContext(documentType, context, options = {}) {
-    const { actor, watermark, status = 'GENERATED' } = options;
+  async renderDocumentWithContext(documentType, context, options = {}) {
+    const { watermark, status = 'GENERATED' } = options;
 
     const docConfig = DOCUMENT_TYPES[documentType];
     if (!docConfig) {
@@ -540,8 +572,24 @@ class DocumentGenerator {
     // Calculate content hash
     const contentHash = crypto.createHash('sha256').update(html).digest('hex');
 
+    return { html, contentHash };
+  }
+
+  /**
+   * Generate a document with a pre-built context (for LP financial documents)
+   * @param {string} documentType - Document type key
+   * @param {Object} context - Pre-built template context
+   * @param {Object} options - Generation options (actor, watermark, status)
+   */
+  async generateDocumentWithContext(documentType, context, options = {}) {
+    const { actor, status = 'GENERATED' } = options;
+
+    const docConfig = DOCUMENT_TYPES[documentType];
+    const { html, contentHash } = await this.renderDocumentWithContext(documentType, context, options);
+
     // For LP documents, we may not have a dealId from context
-    const dealId = context.deal?.id || context.capitalCall?.dealId || context.distribution?.dealId || 'unknown';
+    const dealId = context.deal?.id || context.capitalCall?.dealId || context.distribution?.dealId ||
+      context.subscription?.dealId || context.majorEvent?.dealId || 'unknown';
 
     // Get next version number
     const lastVersion = await prisma.documentVersion.findFirst({
@@ -910,6 +958,212 @@ async function buildDistributionContext(dealId, distributionId, lpActorId) {
   };
 }
 
+/**
+ * Build context for a subscription agreement
+ * @param {Object} subscription - Subscription row
+ * @param {Object} countersignature - { name, date } once the GP countersigns
+ * @returns {Promise<Object>} Template context
+ */
+async function buildSubscriptionContext(subscription, countersignature = null) {
+  logLP(`Building subscription context`, { dealId: subscription.dealId, subscriptionId: subscription.id });
+
+  const store = await readStore();
+  const dealRecord = store.dealIndex.find((r) => r.id === subscription.dealId);
+  const deal = { id: subscription.dealId, name: dealRecord?.name || 'the Partnership' };
+
+  let address = null;
+  if (subscription.address) {
+    try {
+      address = JSON.parse(subscription.address);
+    } catch (e) {
+      logLP(`Invalid subscription address JSON`, { subscriptionId: subscription.id });
+    }
+  }
+
+  const shareClass = subscription.shareClass
+    ? await prisma.shareClass.findFirst({
+      where: { dealId: subscription.dealId, code: subscription.shareClass },
+      select: { code: true, name: true, preferredReturn: true, managementFee: true, carryPercent: true }
+    })
+    : null;
+
+  return {
+    deal,
+    subscription,
+    address,
+    shareClass,
+    investorSignature: {
+      name: subscription.signatoryName,
+      title: subscription.signatoryTitle,
+      date: subscription.submittedAt
+    },
+    countersignature,
+    generatedAt: new Date().toISOString(),
+    generatedBy: 'Deal Doc Factory'
+  };
+}
+
+/**
+ * Generate the subscription agreement for an LP
+ * LP-signed copies carry the countersignature watermark; the countersigned
+ * copy is generated as EXECUTED.
+ * @param {Object} subscription - Subscription row
+ * @param {Object} actor - Actor performing generation
+ * @param {Object} options - { countersignature: { name, date } }
+ * @returns {Promise<Object>} { documentVersion, generatedDocument, html, contentHash }
+ */
+async function generateSubscriptionDocument(subscription, actor, { countersignature = null } = {}) {
+  logLP(`Generating subscription agreement`, {
+    subscriptionId: subscription.id,
+    countersigned: !!countersignature
+  });
+
+  const context = await buildSubscriptionContext(subscription, countersignature);
+  return documentGenerator.generateDocumentWithContext(
+    'SUBSCRIPTION_AGREEMENT',
+    context,
+    countersignature
+      ? { actor, status: 'EXECUTED', watermark: null }
+      : { actor, status: 'GENERATED' }
+  );
+}
+
+/**
+ * Build context for an LP consent certificate
+ * @param {Object} majorEvent - Resolved MajorEvent row
+ * @param {Object} certificate - { payload, certificateHash } from buildConsentCertificate
+ * @returns {Promise<Object>} Template context
+ */
+async function buildConsentCertificateContext(majorEvent, certificate) {
+  logLP(`Building consent certificate context`, { dealId: majorEvent.dealId, majorEventId: majorEvent.id });
+
+  const store = await readStore();
+  const dealRecord = store.dealIndex.find((r) => r.id === majorEvent.dealId);
+
+  return {
+    deal: { id: majorEvent.dealId, name: dealRecord?.name || 'the Partnership' },
+    majorEvent,
+    certificate: certificate.payload,
+    certificateHash: certificate.certificateHash,
+    certifiedBy: certificate.payload.certifiedBy,
+    generatedAt: certificate.payload.resolvedAt,
+    generatedBy: 'Deal Doc Factory'
+  };
+}
+
+/**
+ * Generate the executed consent certificate for a resolved major event
+ * @param {Object} majorEvent - Resolved MajorEvent row
+ * @param {Object} certificate - { payload, certificateHash }
+ * @param {Object} actor - Actor resolving the vote
+ * @returns {Promise<Object>} { documentVersion, generatedDocument, html, contentHash }
+ */
+async function generateConsentCertificate(majorEvent, certificate, actor) {
+  logLP(`Generating consent certificate`, { majorEventId: majorEvent.id, outcome: certificate.payload.outcome });
+
+  const context = await buildConsentCertificateContext(majorEvent, certificate);
+  return documentGenerator.generateDocumentWithContext(
+    'CONSENT_CERTIFICATE',
+    context,
+    { actor, status: 'EXECUTED', watermark: null }
+  );
+}
+
+/**
+ * Re-render the consent certificate of a resolved major event from its stored
+ * payload. Rendering is deterministic, so the content hash matches the
+ * certificate issued at resolution.
+ * @param {Object} majorEvent - MajorEvent row with certificate and certificateHash
+ * @returns {Promise<Object>} { html, contentHash }
+ */
+async function renderConsentCertificate(majorEvent) {
+  const certificate = { payload: JSON.parse(majorEvent.certificate), certificateHash: majorEvent.certificateHash };
+  const context = await buildConsentCertificateContext(majorEvent, certificate);
+  return documentGenerator.renderDocumentWithContext(
+    'CONSENT_CERTIFICATE',
+    context,
+    { status: 'EXECUTED', watermark: null }
+  );
+}
+
+/**
+ * Render an LP's K-1 package from its stored data. Rendering is
+ * deterministic, so the same package always yields the same content hash.
+ * @param {Object} k1Package - K1Package row with data and dataHash
+ * @param {Object} taxYear - PartnershipTaxYear the package was published from
+ * @returns {Promise<Object>} { html, contentHash }
+ */
+async function renderK1Package(k1Package, taxYear) {
+  const store = await readStore();
+  const dealRecord = store.dealIndex.find((r) => r.id === k1Package.dealId);
+  const data = JSON.parse(k1Package.data);
+
+  return documentGenerator.renderDocumentWithContext(
+    'K1_PACKAGE',
+    {
+      deal: { id: k1Package.dealId, name: dealRecord?.name || 'the Partnership' },
+      k1: data,
+      partnership: data.partnership,
+      taxYear: { year: taxYear.year, version: k1Package.version, amended: k1Package.amended },
+      dataHash: k1Package.dataHash,
+      generatedAt: k1Package.publishedAt,
+      generatedBy: 'Deal Doc Factory'
+    },
+    { status: 'EXECUTED', watermark: null }
+  );
+}
+
+/**
+ * Generate the notice of default for an LP's missed capital call: amount due
+ * with default interest to date, and the remedies open under the LP's share
+ * class terms
+ * @param {Object} defaultRecord - CapitalCallDefault row
+ * @param {Object} actor - Actor performing generation
+ * @returns {Promise<Object>} Generated document
+ */
+async function generateCapitalCallDefaultNotice(defaultRecord, actor) {
+  logLP(`Generating default notice`, { defaultId: defaultRecord.id, lpActorId: defaultRecord.lpActorId });
+
+  const [capitalCall, allocation, lpActor, store] = await Promise.all([
+    prisma.capitalCall.findUnique({ where: { id: defaultRecord.capitalCallId } }),
+    prisma.capitalCallAllocation.findUnique({ where: { id: defaultRecord.allocationId } }),
+    prisma.lPActor.findUnique({
+      where: { id: defaultRecord.lpActorId },
+      include: { shareClass: { select: { id: true, code: true, name: true } } }
+    }),
+    readStore()
+  ]);
+  if (!capitalCall || !allocation || !lpActor) {
+    throw new Error(`Default ${defaultRecord.id} is missing its capital call, allocation or LP`);
+  }
+
+  const terms = resolveDefaultTerms({ defaultTerms: defaultRecord.terms });
+  const remedyDetails = {
+    FORFEITURE: `${(terms.forfeiturePct * 100).toFixed(0)}% of your interest`,
+    FORCED_SALE: `at a ${(terms.forcedSaleDiscountPct * 100).toFixed(0)}% discount to net asset value, less default interest`,
+    DILUTION: `your contributed capital counted at ${((1 - terms.dilutionPenaltyPct) * 100).toFixed(0)}%`,
+    COVER_CALL: null
+  };
+  const dealRecord = store.dealIndex.find((r) => r.id === defaultRecord.dealId);
+
+  return documentGenerator.generateDocumentWithContext(
+    'CAPITAL_CALL_DEFAULT_NOTICE',
+    {
+      deal: { id: defaultRecord.dealId, name: dealRecord?.name || lpActor.entityName },
+      capitalCall,
+      allocation,
+      lpActor,
+      default: defaultRecord,
+      balance: defaultBalance(defaultRecord),
+      remedies: terms.remedies.map(code => ({ code, label: REMEDY_TYPES[code], detail: remedyDetails[code] })),
+      wireInstructions: capitalCall.wireInstructions || null,
+      generatedAt: new Date().toISOString(),
+      generatedBy: 'Deal Doc Factory'
+    },
+    { actor, status: 'GENERATED' }
+  );
+}
+
 /**
  * Generate capital call notices for all LPs in a capital call
  * @param {string} dealId - Deal ID
@@ -1022,6 +1276,13 @@ export {
   DOCUMENT_TYPES,
   buildCapitalCallContext,
   buildDistributionContext,
+  buildSubscriptionContext,
+  buildConsentCertificateContext,
   generateCapitalCallNotices,
-  generateDistributionStatements
+  generateCapitalCallDefaultNotice,
+  generateDistributionStatements,
+  generateSubscriptionDocument,
+  generateConsentCertificate,
+  renderConsentCertificate,
+  renderK1Package
 };
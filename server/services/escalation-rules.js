@@ -44,6 +44,17 @@ export const ESCALATION_RULES = {
     ],
     maxRemindersPerDay: 1,
     coolOffHours: 72
+  },
+  dealIssue: {
+    // Only unresolved CRITICAL issues escalate; hours since the issue was opened
+    severities: ['CRITICAL'],
+    thresholds: [
+      { hoursUnresolved: 4, level: ESCALATION_LEVELS.CREATOR },
+      { hoursUnresolved: 24, level: ESCALATION_LEVELS.DEAL_TEAM }
+    ],
+    maxRemindersPerDay: 2,
+    // Repeat at the same level after the cool-off; a higher level escalates immediately
+    coolOffHours: 12
   }
 };
 
@@ -193,6 +204,60 @@ export function evaluateSubmissionEscalation(submission, now = new Date()) {
   };
 }
 
+/**
+ * Evaluate escalation rules for a deal issue
+ * @param {Object} issue - The DealIssue to evaluate
+ * @param {Date} now - Current time
+ * @returns {Object} - { shouldEscalate, level, escalateTo, hoursUnresolved }
+ *   escalateTo may include 'deal-team', expanded to the deal's assignees
+ */
+export function evaluateIssueEscalation(issue, now = new Date()) {
+  const rules = ESCALATION_RULES.dealIssue;
+
+  if (!rules.severities.includes(issue.severity) ||
+      !['OPEN', 'INVESTIGATING', 'MITIGATING'].includes(issue.status)) {
+    return { shouldEscalate: false };
+  }
+
+  const hoursUnresolved = Math.floor((now.getTime() - new Date(issue.createdAt).getTime()) / (1000 * 60 * 60));
+
+  // Find applicable escalation level
+  let applicableLevel = ESCALATION_LEVELS.NONE;
+  for (const threshold of rules.thresholds) {
+    if (hoursUnresolved >= threshold.hoursUnresolved) {
+      applicableLevel = threshold.level;
+    }
+  }
+
+  if (applicableLevel === ESCALATION_LEVELS.NONE) {
+    return { shouldEscalate: false };
+  }
+
+  // Same level again only after the cool-off period
+  const previousLevel = issue.escalationLevel || ESCALATION_LEVELS.NONE;
+  if (applicableLevel <= previousLevel && issue.escalatedAt) {
+    const hoursSinceLastEscalation = (now.getTime() - new Date(issue.escalatedAt).getTime()) / (1000 * 60 * 60);
+    if (hoursSinceLastEscalation < rules.coolOffHours) {
+      return { shouldEscalate: false, reason: 'cool_off' };
+    }
+  }
+
+  let escalateTo = [issue.ownerUserId || issue.createdBy];
+
+  if (applicableLevel >= ESCALATION_LEVELS.DEAL_TEAM) {
+    escalateTo.push(issue.createdBy, 'deal-team');
+  }
+
+  escalateTo = [...new Set(escalateTo.filter(Boolean))];
+
+  return {
+    shouldEscalate: true,
+    level: Math.max(applicableLevel, previousLevel),
+    escalateTo,
+    hoursUnresolved
+  };
+}
+
 /**
  * Check if we're within quiet hours for a user
  * @param {Object} preferences - User's notification preferences
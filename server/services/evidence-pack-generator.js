@@ -8,6 +8,9 @@
  * - IC_PACK: Investment Committee review package
  * - CLOSING_PACK: Final closing documentation
  * - AUDIT_PACK: Complete audit trail and provenance
+ *
+ * Closing and audit packs also carry the signed LP consent certificates of
+ * resolved major events.
  */
 
 import archiver from 'archiver';
@@ -17,7 +20,7 @@ import { promises as fs } from 'fs';
 import { Readable } from 'stream';
 import { PrismaClient } from '@prisma/client';
 import { dealStateMachine } from './deal-state-machine.js';
-import { documentGenerator } from './document-generator.js';
+import { documentGenerator, renderConsentCertificate } from './document-generator.js';
 import kernelClient from './kernel-client.js';
 
 const prisma = new PrismaClient();
@@ -43,7 +46,8 @@ const PACK_CONFIGS = {
     includeSourceDocs: true,
     includeEventLedger: true,
     includeProvenance: true,
-    includeSnapshot: true
+    includeSnapshot: true,
+    includeConsentCertificates: true
   },
   AUDIT_PACK: {
     name: 'Audit Package',
@@ -54,7 +58,8 @@ const PACK_CONFIGS = {
     includeProvenance: true,
     includeSnapshot: true,
     includeVerificationLog: true,
-    includeClaimHistory: true
+    includeClaimHistory: true,
+    includeConsentCertificates: true
   },
   DD_PACK: {
     name: 'Due Diligence Package',
@@ -200,6 +205,11 @@ class EvidencePackGenerator {
       contents.claimHistory = await this.getClaimHistory(dealId);
     }
 
+    // Get consent certificates
+    if (config.includeConsentCertificates) {
+      contents.consentCertificates = await this.getConsentCertificates(dealId);
+    }
+
     return contents;
   }
 
@@ -426,6 +436,32 @@ class EvidencePackGenerator {
     }));
   }
 
+  /**
+   * Get signed consent certificates for resolved major events
+   */
+  async getConsentCertificates(dealId) {
+    const majorEvents = await prisma.majorEvent.findMany({
+      where: { dealId, certificate: { not: null } },
+      orderBy: { resolvedAt: 'asc' }
+    });
+
+    const certificates = [];
+    for (const majorEvent of majorEvents) {
+      const { html, contentHash } = await renderConsentCertificate(majorEvent);
+      certificates.push({
+        majorEventId: majorEvent.id,
+        outcome: majorEvent.status,
+        payload: JSON.parse(majorEvent.certificate),
+        certificateHash: majorEvent.certificateHash,
+        certificateDocId: majorEvent.certificateDocId,
+        html,
+        contentHash
+      });
+    }
+
+    return certificates;
+  }
+
   /**
    * Create ZIP archive
    */
@@ -516,6 +552,31 @@ class EvidencePackGenerator {
         manifest.files.push({ path: 'provenance/claim_history.json', type: 'claim_history' });
       }
 
+      // Add consent certificates with their sealed payloads
+      if (contents.consentCertificates) {
+        for (const cert of contents.consentCertificates) {
+          const htmlPath = `consents/${cert.majorEventId}_certificate.html`;
+          const payloadPath = `consents/${cert.majorEventId}_certificate.json`;
+          archive.append(cert.html, { name: htmlPath });
+          archive.append(JSON.stringify({ certificateHash: cert.certificateHash, payload: cert.payload }, null, 2), { name: payloadPath });
+          fileCount += 2;
+          manifest.files.push({
+            path: htmlPath,
+            type: 'consent_certificate',
+            majorEventId: cert.majorEventId,
+            outcome: cert.outcome,
+            certificateDocId: cert.certificateDocId,
+            contentHash: cert.contentHash
+          });
+          manifest.files.push({
+            path: payloadPath,
+            type: 'consent_certificate_payload',
+            majorEventId: cert.majorEventId,
+            certificateHash: cert.certificateHash
+          });
+        }
+      }
+
       // Add source document metadata (not actual files for now)
       if (contents.sourceDocuments) {
         const sourceDocsJson = JSON.stringify(contents.sourceDocuments, null, 2);
@@ -5,9 +5,7 @@
  * Returns both summary metrics and unit-level details.
  */
 
-const OPENAI_API_KEY = process.env.BFF_OPENAI_API_KEY ?? process.env.OPENAI_API_KEY ?? null;
-const OPENAI_MODEL = process.env.BFF_OPENAI_MODEL ?? process.env.OPENAI_MODEL ?? "gpt-4o-mini";
-const OPENAI_BASE_URL = process.env.BFF_OPENAI_BASE_URL ?? "https://api.openai.com/v1";
+import { callLLM } from '../../llm.js';
 
 /**
  * Schema for rent roll extraction output
@@ -117,72 +115,29 @@ Return a JSON object with keys: summary, unitMix, units`;
  *
  * @param {string} documentContent - The text content of the rent roll document
  * @param {string} filename - The filename for context
+ * @param {Object} [options] - { audit } context recorded with the LLM call
  * @returns {Promise<Object>} Extracted rent roll data
  */
-export async function extractRentRoll(documentContent, filename) {
-  if (!OPENAI_API_KEY) {
-    const error = new Error("OpenAI not configured for rent roll extraction");
-    error.status = 502;
-    throw error;
-  }
-
+export async function extractRentRoll(documentContent, filename, options = {}) {
   const prompt = buildRentRollExtractionPrompt(documentContent, filename);
 
-  const url = `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`;
-  const payload = {
-    model: OPENAI_MODEL,
-    temperature: 0,
-    response_format: { type: "json_object" },
-    messages: [
-      {
-        role: "system",
-        content: "You are a real estate underwriting assistant that extracts structured data from rent roll documents. Return only valid JSON."
-      },
-      {
-        role: "user",
-        content: prompt
-      }
-    ]
-  };
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${OPENAI_API_KEY}`
+  const { parsed } = await callLLM([
+    {
+      role: "system",
+      content: "You are a real estate underwriting assistant that extracts structured data from rent roll documents. Return only valid JSON."
     },
-    body: JSON.stringify(payload)
+    {
+      role: "user",
+      content: prompt
+    }
+  ], {
+    feature: "extraction.rent-roll",
+    schema: rentRollSchema,
+    temperature: 0,
+    audit: options.audit
   });
 
-  if (!response.ok) {
-    let errorData = null;
-    try {
-      errorData = await response.json();
-    } catch {}
-    const error = new Error(errorData?.error?.message ?? "Rent roll extraction failed");
-    error.status = response.status;
-    throw error;
-  }
-
-  const data = await response.json();
-  const content = data?.choices?.[0]?.message?.content;
-
-  if (!content) {
-    const error = new Error("No content in rent roll extraction response");
-    error.status = 502;
-    throw error;
-  }
-
-  let parsed;
-  try {
-    parsed = JSON.parse(content);
-  } catch {
-    const error = new Error("Invalid JSON in rent roll extraction response");
-    error.status = 502;
-    throw error;
-  }
-
-  // Validate and normalize the response
+  // Normalize the response
   return normalizeRentRollData(parsed);
 }
 
@@ -5,9 +5,7 @@
  * Returns revenue, expense, and NOI information.
  */
 
-const OPENAI_API_KEY = process.env.BFF_OPENAI_API_KEY ?? process.env.OPENAI_API_KEY ?? null;
-const OPENAI_MODEL = process.env.BFF_OPENAI_MODEL ?? process.env.OPENAI_MODEL ?? "gpt-4o-mini";
-const OPENAI_BASE_URL = process.env.BFF_OPENAI_BASE_URL ?? "https://api.openai.com/v1";
+import { callLLM } from '../../llm.js';
 
 /**
  * Schema for T12 extraction output
@@ -132,72 +130,29 @@ Return a JSON object with keys: period, revenue, expenses, noi, expenseRatio, li
  *
  * @param {string} documentContent - The text content of the T12 document
  * @param {string} filename - The filename for context
+ * @param {Object} [options] - { audit } context recorded with the LLM call
  * @returns {Promise<Object>} Extracted T12 data
  */
-export async function extractT12(documentContent, filename) {
-  if (!OPENAI_API_KEY) {
-    const error = new Error("OpenAI not configured for T12 extraction");
-    error.status = 502;
-    throw error;
-  }
-
+export async function extractT12(documentContent, filename, options = {}) {
   const prompt = buildT12ExtractionPrompt(documentContent, filename);
 
-  const url = `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`;
-  const payload = {
-    model: OPENAI_MODEL,
-    temperature: 0,
-    response_format: { type: "json_object" },
-    messages: [
-      {
-        role: "system",
-        content: "You are a real estate underwriting assistant that extracts structured financial data from operating statements. Return only valid JSON."
-      },
-      {
-        role: "user",
-        content: prompt
-      }
-    ]
-  };
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${OPENAI_API_KEY}`
+  const { parsed } = await callLLM([
+    {
+      role: "system",
+      content: "You are a real estate underwriting assistant that extracts structured financial data from operating statements. Return only valid JSON."
     },
-    body: JSON.stringify(payload)
+    {
+      role: "user",
+      content: prompt
+    }
+  ], {
+    feature: "extraction.t12",
+    schema: t12Schema,
+    temperature: 0,
+    audit: options.audit
   });
 
-  if (!response.ok) {
-    let errorData = null;
-    try {
-      errorData = await response.json();
-    } catch {}
-    const error = new Error(errorData?.error?.message ?? "T12 extraction failed");
-    error.status = response.status;
-    throw error;
-  }
-
-  const data = await response.json();
-  const content = data?.choices?.[0]?.message?.content;
-
-  if (!content) {
-    const error = new Error("No content in T12 extraction response");
-    error.status = 502;
-    throw error;
-  }
-
-  let parsed;
-  try {
-    parsed = JSON.parse(content);
-  } catch {
-    const error = new Error("Invalid JSON in T12 extraction response");
-    error.status = 502;
-    throw error;
-  }
-
-  // Validate and normalize the response
+  // Normalize the response
   return normalizeT12Data(parsed);
 }
 
@@ -0,0 +1,424 @@
+/**
+ * Fee Engine
+ *
+ * Turns ShareClass fee terms into quarterly management fee and fund expense
+ * invoices:
+ * - Fee basis per class: committed capital, invested capital or NAV
+ * - Step-down of rate and/or basis after the investment period (pro-rated by day)
+ * - Fee offsets (transaction/monitoring fees received by the GP) credited
+ *   against management fees at each class's offset percentage
+ * - Fund expenses allocated pro-rata by commitment
+ * - Settlement as deductions from distribution allocations or a fee capital
+ *   call, tracked per LP until the cash actually moves
+ *
+ * All functions are pure; routes/fees.js loads the inputs and persists invoices.
+ */
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[FeeEngine]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_FEES === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const FEE_BASES = {
+  COMMITTED: 'COMMITTED',
+  INVESTED: 'INVESTED',
+  NAV: 'NAV'
+};
+
+/** Capital call purposes used to bill fees; excluded from invested capital */
+export const FEE_CALL_PURPOSES = ['MANAGEMENT_FEE', 'FUND_EXPENSE'];
+
+export const FEE_INVOICE_STATUSES = {
+  ACCRUED: 'ACCRUED',
+  INVOICED: 'INVOICED',                 // Settlement pending: deducted from a draft distribution or called
+  PARTIALLY_SETTLED: 'PARTIALLY_SETTLED',
+  SETTLED: 'SETTLED',
+  VOID: 'VOID'
+};
+
+export const FEE_SETTLEMENT_METHODS = {
+  DISTRIBUTION: 'DISTRIBUTION',
+  CAPITAL_CALL: 'CAPITAL_CALL'
+};
+
+/** PENDING until the distribution allocation is paid or the call allocation funded */
+export const FEE_SETTLEMENT_STATUSES = {
+  PENDING: 'PENDING',
+  SETTLED: 'SETTLED',
+  REVERSED: 'REVERSED'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================================================
+// PERIODS
+// ============================================================================
+
+/**
+ * Calendar quarter boundaries (UTC, inclusive)
+ *
+ * @param {number} year - e.g. 2026
+ * @param {number} quarter - 1-4
+ * @returns {{ year, quarter, label, startDate: Date, endDate: Date, days: number }}
+ */
+export function quarterBounds(year, quarter) {
+  const startDate = new Date(Date.UTC(year, (quarter - 1) * 3, 1));
+  const endDate = new Date(Date.UTC(year, quarter * 3, 0, 23, 59, 59, 999));
+  return {
+    year,
+    quarter,
+    label: `Q${quarter} ${year}`,
+    startDate,
+    endDate,
+    days: daysBetween(startDate, endDate)
+  };
+}
+
+/** Inclusive day count between two dates */
+function daysBetween(from, to) {
+  const start = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  const end = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate());
+  return Math.max(0, Math.round((end - start) / DAY_MS) + 1);
+}
+
+// ============================================================================
+// FEE TERMS
+// ============================================================================
+
+/**
+ * Split a quarter into fee segments at the end of the investment period.
+ * Before the step-down date the class's managementFee and feeBasis apply;
+ * on and after it, stepDownFee and stepDownBasis (each defaulting to the
+ * pre-step-down value).
+ *
+ * @param {Object|null} shareClass - ShareClass record
+ * @param {Object} period - Output of quarterBounds
+ * @returns {Array<Object>} [{ from, to, days, rate, basis, steppedDown }]
+ */
+export function resolveFeeSegments(shareClass, period) {
+  const rate = shareClass?.managementFee || 0;
+  const basis = shareClass?.feeBasis || FEE_BASES.COMMITTED;
+  const stepDownDate = shareClass?.investmentPeriodEnd ? new Date(shareClass.investmentPeriodEnd) : null;
+
+  const preStepDown = { rate, basis, steppedDown: false };
+  const postStepDown = {
+    rate: shareClass?.stepDownFee ?? rate,
+    basis: shareClass?.stepDownBasis || basis,
+    steppedDown: true
+  };
+
+  const segment = (from, to, terms) => ({ from, to, days: daysBetween(from, to), ...terms });
+
+  if (!stepDownDate || isNaN(stepDownDate.getTime()) || stepDownDate > period.endDate) {
+    return [segment(period.startDate, period.endDate, preStepDown)];
+  }
+  if (stepDownDate <= period.startDate) {
+    return [segment(period.startDate, period.endDate, postStepDown)];
+  }
+
+  const lastPreDay = new Date(stepDownDate.getTime() - DAY_MS);
+  return [
+    segment(period.startDate, lastPreDay, preStepDown),
+    segment(stepDownDate, period.endDate, postStepDown)
+  ];
+}
+
+/**
+ * Amount the fee is charged on for one LP under a basis.
+ * NAV uses the LP's own mark when given, else deal NAV × ownership.
+ */
+function basisAmountFor(lp, basis, inputs) {
+  switch (basis) {
+    case FEE_BASES.INVESTED:
+      return Math.max(0, inputs.investedByLp?.[lp.id] || 0);
+    case FEE_BASES.NAV:
+      if (inputs.navByLp?.[lp.id] !== undefined) return Math.max(0, inputs.navByLp[lp.id]);
+      if (inputs.nav === null || inputs.nav === undefined) return null;
+      return Math.max(0, inputs.nav * ((lp.ownershipPct || 0) / 100));
+    case FEE_BASES.COMMITTED:
+    default:
+      return lp.commitment || 0;
+  }
+}
+
+// ============================================================================
+// QUARTERLY FEE CALCULATION
+// ============================================================================
+
+/**
+ * Calculate a quarter's management fees and fund expenses per LP.
+ *
+ * Fees are charged on the basis as of the start of the quarter at the annual
+ * rate / 4, pro-rated by day when the investment period ends mid-quarter.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.lpActors - Active LPActors with shareClass
+ * @param {number} params.year
+ * @param {number} params.quarter
+ * @param {Object} [params.investedByLp] - { [lpActorId]: invested capital at quarter start }
+ * @param {number|null} [params.nav] - Deal NAV at quarter start (NAV-basis classes)
+ * @param {Object} [params.navByLp] - { [lpActorId]: NAV } overrides
+ * @param {Array<Object>} [params.offsets] - [{ description, amount }] fees received by the GP
+ * @param {Array<Object>} [params.fundExpenses] - [{ description, amount }]
+ * @returns {Object} { period, lines, totals, warnings }
+ */
+export function calculateQuarterlyFees({
+  lpActors,
+  year,
+  quarter,
+  investedByLp = {},
+  nav = null,
+  navByLp = null,
+  offsets = [],
+  fundExpenses = []
+}) {
+  const period = quarterBounds(year, quarter);
+  const inputs = { investedByLp, nav, navByLp };
+  const warnings = [];
+
+  const totalCommitment = lpActors.reduce((sum, lp) => sum + (lp.commitment || 0), 0);
+  const commitmentShare = (lp) => totalCommitment > 0
+    ? (lp.commitment || 0) / totalCommitment
+    : 1 / lpActors.length;
+
+  const totalOffsets = offsets.reduce((sum, o) => sum + (o.amount || 0), 0);
+  const totalExpenses = fundExpenses.reduce((sum, e) => sum + (e.amount || 0), 0);
+
+  const lines = lpActors.map(lp => {
+    const segments = resolveFeeSegments(lp.shareClass, period).map(seg => {
+      const basisAmount = basisAmountFor(lp, seg.basis, inputs);
+      if (basisAmount === null) {
+        warnings.push(`No NAV provided for ${lp.entityName || lp.id}; NAV-basis fee not accrued`);
+      }
+      const fee = (basisAmount || 0) * seg.rate / 4 * (seg.days / period.days);
+      return {
+        from: seg.from.toISOString().split('T')[0],
+        to: seg.to.toISOString().split('T')[0],
+        days: seg.days,
+        basis: seg.basis,
+        basisAmount: basisAmount || 0,
+        rate: seg.rate,
+        steppedDown: seg.steppedDown,
+        fee: roundCents(fee)
+      };
+    });
+
+    const managementFee = roundCents(segments.reduce((sum, s) => sum + s.fee, 0));
+    const offsetPct = lp.shareClass?.feeOffsetPct ?? 1;
+    const offsetAmount = roundCents(Math.min(managementFee, totalOffsets * offsetPct * commitmentShare(lp)));
+    const expenseShare = roundCents(totalExpenses * commitmentShare(lp));
+
+    return {
+      lpActorId: lp.id,
+      entityName: lp.entityName,
+      shareClassId: lp.shareClass?.id || null,
+      shareClassCode: lp.shareClass?.code || null,
+      basis: segments[segments.length - 1].basis,
+      basisAmount: segments[segments.length - 1].basisAmount,
+      feeRate: segments[segments.length - 1].rate,
+      segments,
+      managementFee,
+      offsetAmount,
+      netManagementFee: roundCents(managementFee - offsetAmount),
+      expenseShare,
+      totalDue: roundCents(managementFee - offsetAmount + expenseShare)
+    };
+  });
+
+  const sum = (field) => roundCents(lines.reduce((total, l) => total + l[field], 0));
+  const totals = {
+    managementFee: sum('managementFee'),
+    offsetAmount: sum('offsetAmount'),
+    netManagementFee: sum('netManagementFee'),
+    fundExpenses: sum('expenseShare'),
+    totalDue: sum('totalDue'),
+    unappliedOffsets: roundCents(Math.max(0, totalOffsets - sum('offsetAmount')))
+  };
+
+  logDebug(`Quarterly fees calculated`, { period: period.label, lineCount: lines.length, totals });
+
+  return {
+    period: {
+      year,
+      quarter,
+      label: period.label,
+      startDate: period.startDate.toISOString(),
+      endDate: period.endDate.toISOString()
+    },
+    lines,
+    totals,
+    warnings
+  };
+}
+
+/**
+ * Invested capital per LP as of a date: funded contributions (excluding fee
+ * calls) less return-of-capital distributions paid on or before the date.
+ *
+ * @param {Array} capitalCallAllocations - With capitalCall { purpose, dueDate }
+ * @param {Array} distributionAllocations - With distribution { type, distributionDate }
+ * @param {Date} asOf
+ * @returns {Object} { [lpActorId]: invested }
+ */
+export function calculateInvestedCapital(capitalCallAllocations = [], distributionAllocations = [], asOf) {
+  const invested = {};
+  const cutoff = new Date(asOf);
+
+  for (const alloc of capitalCallAllocations) {
+    if (FEE_CALL_PURPOSES.includes(alloc.capitalCall?.purpose)) continue;
+    const funded = alloc.fundedAmount || 0;
+    const date = new Date(alloc.fundedAt || alloc.capitalCall?.dueDate);
+    if (funded <= 0 || isNaN(date.getTime()) || date > cutoff) continue;
+    invested[alloc.lpActorId] = (invested[alloc.lpActorId] || 0) + funded;
+  }
+
+  for (const alloc of distributionAllocations) {
+    if (alloc.distribution?.type !== 'RETURN_OF_CAPITAL' || alloc.status !== 'PAID') continue;
+    const date = new Date(alloc.paidAt || alloc.distribution?.distributionDate);
+    if (isNaN(date.getTime()) || date > cutoff) continue;
+    invested[alloc.lpActorId] = (invested[alloc.lpActorId] || 0) - (alloc.grossAmount || 0);
+  }
+
+  return invested;
+}
+
+// ============================================================================
+// SETTLEMENT
+// ============================================================================
+
+/**
+ * Deduct outstanding fees from distribution allocations. Each LP's deduction
+ * is capped at its net distribution; anything left stays outstanding.
+ *
+ * @param {Array<Object>} allocations - [{ id, lpActorId, grossAmount, withholdingAmount, feeAmount?, netAmount }]
+ * @param {Object} outstandingByLp - { [lpActorId]: fee outstanding }
+ * @returns {{ allocations: Array<Object>, deductions: Object, totalDeducted: number }}
+ */
+export function applyFeeDeductions(allocations, outstandingByLp) {
+  const deductions = {};
+
+  const updated = allocations.map(alloc => {
+    const outstanding = outstandingByLp[alloc.lpActorId] || 0;
+    const deduction = roundCents(Math.max(0, Math.min(outstanding, alloc.netAmount)));
+    if (deduction <= 0) return alloc;
+
+    deductions[alloc.lpActorId] = deduction;
+    return {
+      ...alloc,
+      feeAmount: roundCents((alloc.feeAmount || 0) + deduction),
+      netAmount: roundCents(alloc.netAmount - deduction)
+    };
+  });
+
+  return {
+    allocations: updated,
+    deductions,
+    totalDeducted: roundCents(Object.values(deductions).reduce((sum, d) => sum + d, 0))
+  };
+}
+
+/**
+ * Undo pending fee deductions on distribution allocations (distribution
+ * cancelled before it was paid).
+ *
+ * @param {Array<Object>} allocations - DistributionAllocation records
+ * @param {Array<Object>} settlements - DISTRIBUTION settlements to reverse, keyed by allocationId
+ * @returns {Array<Object>} Allocations with feeAmount/netAmount restored
+ */
+export function reverseFeeDeductions(allocations, settlements) {
+  const reversedByAllocation = {};
+  for (const settlement of settlements) {
+    if (settlement.method !== FEE_SETTLEMENT_METHODS.DISTRIBUTION) continue;
+    if (settlement.status !== FEE_SETTLEMENT_STATUSES.PENDING) continue;
+    reversedByAllocation[settlement.allocationId] = (reversedByAllocation[settlement.allocationId] || 0) + settlement.amount;
+  }
+
+  return allocations.map(alloc => {
+    const amount = reversedByAllocation[alloc.id];
+    if (!amount) return alloc;
+    return {
+      ...alloc,
+      feeAmount: roundCents(Math.max(0, (alloc.feeAmount || 0) - amount)),
+      netAmount: roundCents(alloc.netAmount + amount)
+    };
+  });
+}
+
+/**
+ * Roll an invoice's settlements up to line and invoice totals. Only SETTLED
+ * settlements count as collected; PENDING ones hold the LP's balance so it
+ * is not deducted or called twice.
+ *
+ * @param {Object} invoice - FeeInvoice with lines
+ * @param {Array<Object>} settlements - FeeSettlement records for the invoice
+ * @returns {{ status, settledAmount, pendingAmount, settledAt: Date|null,
+ *   settledByLp: Object, outstandingByLp: Object }}
+ */
+export function summarizeFeeSettlements(invoice, settlements = []) {
+  const settledByLp = {};
+  const pendingByLp = {};
+  let settledAt = null;
+
+  for (const settlement of settlements) {
+    if (settlement.status === FEE_SETTLEMENT_STATUSES.SETTLED) {
+      settledByLp[settlement.lpActorId] = roundCents((settledByLp[settlement.lpActorId] || 0) + settlement.amount);
+      const at = settlement.settledAt ? new Date(settlement.settledAt) : null;
+      if (at && (!settledAt || at > settledAt)) settledAt = at;
+    } else if (settlement.status === FEE_SETTLEMENT_STATUSES.PENDING) {
+      pendingByLp[settlement.lpActorId] = roundCents((pendingByLp[settlement.lpActorId] || 0) + settlement.amount);
+    }
+  }
+
+  const outstandingByLp = Object.fromEntries((invoice.lines || []).map(line => [
+    line.lpActorId,
+    roundCents(Math.max(0, line.totalDue - (settledByLp[line.lpActorId] || 0) - (pendingByLp[line.lpActorId] || 0)))
+  ]));
+
+  const settledAmount = roundCents(Object.values(settledByLp).reduce((sum, v) => sum + v, 0));
+  const pendingAmount = roundCents(Object.values(pendingByLp).reduce((sum, v) => sum + v, 0));
+  const fullySettled = invoice.totalDue > 0 && settledAmount >= invoice.totalDue - 0.005;
+
+  let status = FEE_INVOICE_STATUSES.ACCRUED;
+  if (fullySettled) status = FEE_INVOICE_STATUSES.SETTLED;
+  else if (settledAmount > 0) status = FEE_INVOICE_STATUSES.PARTIALLY_SETTLED;
+  else if (pendingAmount > 0) status = FEE_INVOICE_STATUSES.INVOICED;
+
+  return {
+    status,
+    settledAmount,
+    pendingAmount,
+    settledAt: fullySettled ? settledAt : null,
+    settledByLp,
+    outstandingByLp
+  };
+}
+
+export default {
+  FEE_BASES,
+  FEE_CALL_PURPOSES,
+  FEE_INVOICE_STATUSES,
+  FEE_SETTLEMENT_METHODS,
+  FEE_SETTLEMENT_STATUSES,
+  quarterBounds,
+  resolveFeeSegments,
+  calculateQuarterlyFees,
+  calculateInvestedCapital,
+  applyFeeDeductions,
+  reverseFeeDeductions,
+  summarizeFeeSettlements
+};
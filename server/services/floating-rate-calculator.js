@@ -0,0 +1,441 @@
+/**
+ * Floating Rate Debt Calculator
+ *
+ * Models index + spread loans (SOFR bridge debt) month by month:
+ * - Forward curve entered as a table or imported from CSV
+ * - Index floors
+ * - Purchased rate caps (strike, expiry, premium amortization)
+ * - Pay-fixed swaps (fixed leg vs. index on a notional)
+ * - Effective hedged rate per period
+ * - DSCR stress testing across rate paths (flat, forward, +100/+200/+300bp)
+ */
+
+/**
+ * Standard rate paths for stress testing. Shocks are parallel shifts of the
+ * forward curve; FLAT holds the index at today's spot for the whole term.
+ */
+export const RATE_PATHS = [
+  { id: 'FLAT', label: 'Flat curve (spot)', flat: true, shockBps: 0 },
+  { id: 'FORWARD', label: 'Forward curve', flat: false, shockBps: 0 },
+  { id: 'UP_100', label: 'Forward +100bps', flat: false, shockBps: 100 },
+  { id: 'UP_200', label: 'Forward +200bps', flat: false, shockBps: 200 },
+  { id: 'UP_300', label: 'Forward +300bps', flat: false, shockBps: 300 }
+];
+
+// ============================================================================
+// FORWARD CURVE
+// ============================================================================
+
+/**
+ * Units a forward curve rate can be entered in
+ */
+export const RATE_UNITS = ['percent', 'decimal'];
+
+/**
+ * Parse a forward curve from CSV text
+ *
+ * Accepts two columns - a date (YYYY-MM-DD or M/D/YYYY) or month number,
+ * and a rate - with an optional header row. The rate unit must be explicit:
+ * a `%` suffix on the value (4.35%), a header naming the unit ("rate_pct",
+ * "rate (%)", "rate_decimal"), or the rateUnit option. Bare numbers with no
+ * unit are rejected rather than guessed, since 0.5 could be 0.5% or 50%.
+ *
+ * @param {string} csv
+ * @param {Object} [options] - { rateUnit?: 'percent' | 'decimal' }
+ * @returns {{ points: Array<{date?: string, month?: number, rate: number}>, errors: string[] }}
+ */
+export function parseForwardCurveCSV(csv, { rateUnit = null } = {}) {
+  const points = [];
+  const errors = [];
+
+  if (rateUnit !== null && !RATE_UNITS.includes(rateUnit)) {
+    return { points, errors: [`Unknown rate unit "${rateUnit}" (expected ${RATE_UNITS.join(' or ')})`] };
+  }
+
+  let unit = rateUnit;
+  const lines = String(csv || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  lines.forEach((line, i) => {
+    const [rawPeriod, rawRate] = line.split(/[,\t;]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const rate = parseRate(rawRate, unit);
+
+    if (rate === undefined) {
+      errors.push(`Line ${i + 1}: rate "${rawRate}" has no unit - add a % suffix, a unit in the header (e.g. rate_pct) or choose a rate unit`);
+      return;
+    }
+    if (rate === null) {
+      // Header row (e.g. "date,rate_pct") is skipped, taking its unit; anything else is an error
+      if (i > 0 || !/[a-z%]/i.test(rawRate || '')) {
+        errors.push(`Line ${i + 1}: invalid rate "${rawRate ?? ''}"`);
+      } else {
+        unit = unit || headerRateUnit(rawRate);
+      }
+      return;
+    }
+
+    if (/^\d+$/.test(rawPeriod)) {
+      points.push({ month: parseInt(rawPeriod, 10), rate });
+      return;
+    }
+
+    const date = parseCurveDate(rawPeriod);
+    if (!date) {
+      errors.push(`Line ${i + 1}: invalid date "${rawPeriod ?? ''}"`);
+      return;
+    }
+    points.push({ date, rate });
+  });
+
+  return { points, errors };
+}
+
+function headerRateUnit(header) {
+  if (/%|pct|percent/i.test(header)) return 'percent';
+  if (/decimal/i.test(header)) return 'decimal';
+  return null;
+}
+
+/**
+ * Rate as a decimal; null when not a number, undefined when the unit is unknown
+ */
+function parseRate(value, unit) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const isPercent = text.endsWith('%');
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(isPercent ? text.slice(0, -1).trim() : text)) return null;
+  const number = parseFloat(text);
+  if (isPercent || unit === 'percent') {
+    // Rounded to a hundredth of a basis point to drop float noise from / 100
+    return Math.round(number * 1e6) / 1e8;
+  }
+  return unit === 'decimal' ? number : undefined;
+}
+
+function parseCurveDate(value) {
+  if (!value) return null;
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+  const iso = us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : value;
+  const date = new Date(`${iso.slice(0, 10)}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert curve points to month offsets from the loan start, sorted.
+ * Dated points are placed by calendar month (from the earliest curve date
+ * when no start date is given); month points are used as-is (month 1 is the
+ * first payment period).
+ */
+export function normalizeForwardCurve(points, startDate = null) {
+  if (!Array.isArray(points)) return [];
+  const dated = points.filter(point => point.date).map(point => point.date).sort();
+  const anchor = startDate || dated[0] || null;
+  const start = anchor ? new Date(anchor) : null;
+
+  return points
+    .map(point => {
+      let month = point.month;
+      if (month === undefined && point.date && start && !isNaN(start.getTime())) {
+        const date = new Date(point.date);
+        month = (date.getUTCFullYear() - start.getUTCFullYear()) * 12
+          + (date.getUTCMonth() - start.getUTCMonth()) + 1;
+      }
+      return month === undefined || !isFinite(point.rate) ? null : { month, rate: point.rate };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.month - b.month);
+}
+
+/**
+ * Index level for a month: linear between curve points, flat beyond the ends
+ */
+export function forwardRateForMonth(curve, month) {
+  if (!curve.length) return 0;
+  if (month <= curve[0].month) return curve[0].rate;
+
+  for (let i = 1; i < curve.length; i++) {
+    if (month <= curve[i].month) {
+      const prev = curve[i - 1];
+      const next = curve[i];
+      const weight = (month - prev.month) / (next.month - prev.month);
+      return prev.rate + (next.rate - prev.rate) * weight;
+    }
+  }
+  return curve[curve.length - 1].rate;
+}
+
+/**
+ * Monthly index path for a rate scenario
+ */
+export function buildRatePath(curve, months, path = {}) {
+  const shock = (path.shockBps || 0) / 10000;
+  const spot = forwardRateForMonth(curve, 1);
+  const rates = [];
+  for (let month = 1; month <= months; month++) {
+    rates.push(Math.max(0, (path.flat ? spot : forwardRateForMonth(curve, month)) + shock));
+  }
+  return rates;
+}
+
+// ============================================================================
+// HEDGES
+// ============================================================================
+
+/**
+ * Months a cap is in force, from expiryMonth, termMonths or expiryDate
+ */
+function capTermMonths(cap, totalMonths, startDate) {
+  if (cap.expiryMonth) return cap.expiryMonth;
+  if (cap.termMonths) return cap.termMonths;
+  if (cap.expiryDate && startDate) {
+    const start = new Date(startDate);
+    const expiry = new Date(cap.expiryDate);
+    return (expiry.getUTCFullYear() - start.getUTCFullYear()) * 12
+      + (expiry.getUTCMonth() - start.getUTCMonth());
+  }
+  return totalMonths;
+}
+
+/**
+ * Resolve cap/swap terms against the loan: notional defaults to the loan
+ * amount and the hedge term to the full projection.
+ */
+export function resolveHedges(terms, loanAmount, totalMonths) {
+  const { cap = null, swap = null, startDate = null } = terms;
+
+  const resolvedCap = cap && cap.strike !== undefined && cap.strike !== null
+    ? {
+      strike: cap.strike,
+      notional: cap.notional ?? loanAmount,
+      termMonths: Math.max(0, capTermMonths(cap, totalMonths, startDate)),
+      cost: cap.cost || 0
+    }
+    : null;
+
+  const resolvedSwap = swap && swap.fixedRate !== undefined && swap.fixedRate !== null
+    ? {
+      fixedRate: swap.fixedRate,
+      notional: swap.notional ?? loanAmount,
+      startMonth: swap.startMonth || 1,
+      endMonth: (swap.startMonth || 1) + (swap.termMonths || totalMonths) - 1
+    }
+    : null;
+
+  return { cap: resolvedCap, swap: resolvedSwap };
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+/**
+ * Month-by-month debt service for a floating-rate loan
+ *
+ * interestPayment is the net hedged interest cost (coupon less cap payouts
+ * plus net swap payments), so interestPayment + principalPayment always
+ * equals totalPayment. The cap premium is paid at closing; its straight-line
+ * amortization over the cap term is reported and included in effectiveRate
+ * but is not a period cash flow.
+ *
+ * @param {Object} params
+ * @param {number} params.loanAmount
+ * @param {number} params.spread - Margin over the index
+ * @param {number} params.indexFloor - Minimum index level (optional)
+ * @param {Array} params.forwardCurve - [{ date | month, rate }]
+ * @param {string} params.startDate - Loan start, for dated curve points
+ * @param {Object} params.cap - { strike, notional?, termMonths | expiryMonth | expiryDate, cost }
+ * @param {Object} params.swap - { fixedRate, notional?, startMonth?, termMonths? }
+ * @param {number} params.amortization - Years; 0 for interest-only
+ * @param {number} params.ioMonths - Interest-only months before amortization
+ * @param {number} params.months - Months to project
+ * @param {Object} params.ratePath - { flat, shockBps } (defaults to the forward curve)
+ * @returns {Object} Same shape as the fixed-rate schedule plus hedge detail
+ */
+export function calculateFloatingDebtSchedule(params) {
+  const {
+    loanAmount,
+    spread = 0,
+    indexFloor = null,
+    forwardCurve = [],
+    startDate = null,
+    amortization = 0,
+    ioMonths = 0,
+    months,
+    ratePath = null
+  } = params;
+
+  const curve = normalizeForwardCurve(forwardCurve, startDate);
+  const indexPath = buildRatePath(curve, months, ratePath || {});
+  const { cap, swap } = resolveHedges(params, loanAmount, months);
+  const capAmortization = cap && cap.termMonths > 0 ? cap.cost / cap.termMonths : 0;
+
+  const monthlySchedule = [];
+  let balance = loanAmount;
+
+  for (let month = 1; month <= months; month++) {
+    const indexRate = indexPath[month - 1];
+    const couponIndex = indexFloor !== null ? Math.max(indexFloor, indexRate) : indexRate;
+    const couponRate = couponIndex + spread;
+    const beginningBalance = balance;
+
+    const grossInterest = balance * couponRate / 12;
+    const capActive = cap && month <= cap.termMonths;
+    const capPayout = capActive ? Math.max(0, indexRate - cap.strike) * cap.notional / 12 : 0;
+    const swapActive = swap && month >= swap.startMonth && month <= swap.endMonth;
+    const swapPayment = swapActive ? (swap.fixedRate - indexRate) * swap.notional / 12 : 0;
+    const capCostAmortization = capActive ? capAmortization : 0;
+
+    // Floating amortization re-computes the payment on the remaining term each month
+    const isIO = !amortization || month <= ioMonths;
+    let principalPayment = 0;
+    if (!isIO && balance > 0) {
+      const remaining = amortization * 12 - (month - ioMonths - 1);
+      const monthlyRate = couponRate / 12;
+      const payment = monthlyRate > 0
+        ? balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -remaining))
+        : balance / remaining;
+      principalPayment = payment - grossInterest;
+    }
+    balance -= principalPayment;
+
+    const interestPayment = grossInterest - capPayout + swapPayment;
+    monthlySchedule.push({
+      month,
+      indexRate,
+      couponRate,
+      beginningBalance,
+      grossInterest,
+      capPayout,
+      swapPayment,
+      capCostAmortization,
+      interestPayment,
+      principalPayment,
+      totalPayment: interestPayment + principalPayment,
+      endingBalance: balance,
+      effectiveRate: beginningBalance > 0
+        ? (interestPayment + capCostAmortization) * 12 / beginningBalance
+        : 0,
+      isInterestOnly: isIO
+    });
+  }
+
+  const schedule = [];
+  for (let year = 1; year <= Math.ceil(months / 12); year++) {
+    const yearMonths = monthlySchedule.slice((year - 1) * 12, year * 12);
+    const sum = (field) => yearMonths.reduce((total, m) => total + m[field], 0);
+    const interestPayment = sum('interestPayment');
+    const principalPayment = sum('principalPayment');
+    const averageBalance = sum('beginningBalance') / yearMonths.length;
+
+    schedule.push({
+      year,
+      beginningBalance: yearMonths[0].beginningBalance,
+      grossInterest: sum('grossInterest'),
+      capPayout: sum('capPayout'),
+      swapPayment: sum('swapPayment'),
+      capCostAmortization: sum('capCostAmortization'),
+      interestPayment,
+      principalPayment,
+      totalPayment: interestPayment + principalPayment,
+      endingBalance: yearMonths[yearMonths.length - 1].endingBalance,
+      averageIndexRate: sum('indexRate') / yearMonths.length,
+      effectiveRate: averageBalance > 0
+        ? (interestPayment + sum('capCostAmortization')) * 12 / yearMonths.length / averageBalance
+        : 0,
+      isInterestOnly: yearMonths.every(m => m.isInterestOnly)
+    });
+  }
+
+  return {
+    schedule,
+    monthlySchedule,
+    monthlyPayment: monthlySchedule[0]?.totalPayment || 0,
+    ioMonths: amortization ? ioMonths : months,
+    totalInterest: schedule.reduce((total, y) => total + y.interestPayment, 0),
+    totalPrincipal: schedule.reduce((total, y) => total + y.principalPayment, 0),
+    cap,
+    swap,
+    capCost: cap?.cost || 0,
+    totalCapPayout: monthlySchedule.reduce((total, m) => total + m.capPayout, 0),
+    totalSwapPayment: monthlySchedule.reduce((total, m) => total + m.swapPayment, 0)
+  };
+}
+
+// ============================================================================
+// RATE PATH STRESS TEST
+// ============================================================================
+
+/**
+ * DSCR across rate paths for a floating-rate loan
+ *
+ * @param {Object} params - calculateFloatingDebtSchedule params plus:
+ * @param {number|number[]} params.noi - Annual NOI, or NOI by year
+ * @param {number} params.minDSCR - Covenant to test against
+ * @param {Array} params.paths - Rate paths (defaults to RATE_PATHS)
+ * @returns {Object} { paths, worstPath, summary }
+ */
+export function performRatePathStressTest(params) {
+  const { noi, minDSCR = 1.0, paths = RATE_PATHS, ...terms } = params;
+  const months = terms.months || 36;
+  const noiForYear = (year) => (Array.isArray(noi) ? noi[Math.min(year, noi.length) - 1] : noi);
+
+  const results = paths.map(path => {
+    const hedged = calculateFloatingDebtSchedule({ ...terms, months, ratePath: path });
+    const unhedged = calculateFloatingDebtSchedule({ ...terms, months, ratePath: path, cap: null, swap: null });
+
+    const dscrByYear = hedged.schedule.map(y => {
+      // Partial final years are annualized so DSCR stays comparable
+      const monthsInYear = Math.min(12, months - (y.year - 1) * 12);
+      const annualService = y.totalPayment * 12 / monthsInYear;
+      return annualService > 0 ? noiForYear(y.year) / annualService : null;
+    });
+    const unhedgedDSCR = unhedged.schedule.map((y, i) => {
+      const monthsInYear = Math.min(12, months - i * 12);
+      const annualService = y.totalPayment * 12 / monthsInYear;
+      return annualService > 0 ? noiForYear(y.year) / annualService : null;
+    });
+
+    const validDSCR = dscrByYear.filter(d => d !== null);
+    const minPathDSCR = validDSCR.length ? Math.min(...validDSCR) : null;
+
+    return {
+      id: path.id,
+      label: path.label,
+      shockBps: path.shockBps || 0,
+      flat: Boolean(path.flat),
+      peakIndexRate: Math.max(...hedged.monthlySchedule.map(m => m.indexRate)),
+      peakEffectiveRate: Math.max(...hedged.monthlySchedule.map(m => m.effectiveRate)),
+      dscrByYear,
+      minDSCR: minPathDSCR,
+      unhedgedMinDSCR: Math.min(...unhedgedDSCR.filter(d => d !== null)),
+      totalDebtService: hedged.schedule.reduce((total, y) => total + y.totalPayment, 0),
+      totalCapPayout: hedged.totalCapPayout,
+      totalSwapPayment: hedged.totalSwapPayment,
+      passesMinDSCR: minPathDSCR !== null && minPathDSCR >= minDSCR,
+      passesBreakeven: minPathDSCR !== null && minPathDSCR >= 1.0
+    };
+  });
+
+  const worstPath = results.reduce((worst, r) =>
+    (worst === null || (r.minDSCR ?? Infinity) < (worst.minDSCR ?? Infinity) ? r : worst), null);
+
+  return {
+    paths: results,
+    worstPath: worstPath?.id || null,
+    summary: {
+      worstCaseDSCR: worstPath?.minDSCR ?? null,
+      passesAllPaths: results.every(r => r.passesMinDSCR),
+      breakevenOnAllPaths: results.every(r => r.passesBreakeven)
+    }
+  };
+}
+
+export default {
+  RATE_PATHS,
+  RATE_UNITS,
+  parseForwardCurveCSV,
+  normalizeForwardCurve,
+  forwardRateForMonth,
+  buildRatePath,
+  resolveHedges,
+  calculateFloatingDebtSchedule,
+  performRatePathStressTest
+};
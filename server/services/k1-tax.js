@@ -0,0 +1,564 @@
+/**
+ * K-1 Tax Service
+ *
+ * Builds the annual Schedule K-1 (Form 1065) data for each LP of a deal:
+ * - Allocates the partnership's income, depreciation and gains to LPs.
+ *   Income and gains follow the waterfall: the GP takes its allocation
+ *   percentage, and the rest is split by what each LP received from the
+ *   waterfall in the year. Losses, depreciation and deductions follow the
+ *   capital accounts.
+ * - K-1 line items, Part II (share percentages, liabilities, capital account)
+ *   and state apportionment of each LP's income
+ * - Reconciliation of LP and GP allocations to the partnership totals
+ *
+ * Pure functions: callers load the records, this module does the allocation.
+ */
+
+import crypto from 'node:crypto';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[K1Tax]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_K1_TAX === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Partnership-level inputs entered by the GP for the tax year */
+export const INCOME_ITEMS = [
+  'ordinaryIncome',
+  'rentalIncome',
+  'interestIncome',
+  'ordinaryDividends',
+  'shortTermCapitalGain',
+  'longTermCapitalGain',
+  'unrecapturedSection1250Gain',
+  'section1231Gain'
+];
+
+/** Always allocated by capital, never to the GP allocation */
+export const DEDUCTION_ITEMS = ['depreciation', 'otherDeductions'];
+
+export const LIABILITY_TYPES = ['nonrecourse', 'qualifiedNonrecourse', 'recourse'];
+
+/** Schedule K-1 lines produced for each LP */
+export const K1_LINES = [
+  { key: 'ordinaryIncome', line: '1', code: null, label: 'Ordinary business income (loss)' },
+  { key: 'netRentalIncome', line: '2', code: null, label: 'Net rental real estate income (loss)' },
+  { key: 'interestIncome', line: '5', code: null, label: 'Interest income' },
+  { key: 'ordinaryDividends', line: '6a', code: null, label: 'Ordinary dividends' },
+  { key: 'shortTermCapitalGain', line: '8', code: null, label: 'Net short-term capital gain (loss)' },
+  { key: 'longTermCapitalGain', line: '9a', code: null, label: 'Net long-term capital gain (loss)' },
+  { key: 'unrecapturedSection1250Gain', line: '9c', code: null, label: 'Unrecaptured section 1250 gain' },
+  { key: 'section1231Gain', line: '10', code: null, label: 'Net section 1231 gain (loss)' },
+  { key: 'otherDeductions', line: '13', code: 'W', label: 'Other deductions' },
+  { key: 'distributions', line: '19', code: 'A', label: 'Distributions - cash and marketable securities' }
+];
+
+/** Distribution types that do not come out of the waterfall */
+const NON_WATERFALL_DISTRIBUTION_TYPES = ['TAX_DISTRIBUTION', 'RETURN_OF_CAPITAL'];
+
+const CANCELLED_STATUSES = ['CANCELLED', 'VOID'];
+
+/** Amounts within a cent are treated as equal */
+const TOLERANCE = 0.01;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function yearWindow(year) {
+  return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) };
+}
+
+/**
+ * Split an amount across weights in whole cents (largest remainder)
+ * The parts always sum to the amount exactly.
+ *
+ * @param {number} amount - Amount to split (may be negative)
+ * @param {Map<string, number>} weights - Non-negative weight per key
+ * @returns {Map<string, number>} Amount per key
+ */
+export function allocateByWeight(amount, weights) {
+  const result = new Map([...weights.keys()].map(key => [key, 0]));
+  const totalWeight = [...weights.values()].reduce((sum, w) => sum + Math.max(0, w), 0);
+  const cents = Math.round(amount * 100);
+  if (cents === 0 || totalWeight <= 0) return result;
+
+  const sign = Math.sign(cents);
+  const abs = Math.abs(cents);
+  const shares = [...weights.entries()].map(([key, weight]) => {
+    const exact = abs * Math.max(0, weight) / totalWeight;
+    return { key, floor: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = abs - shares.reduce((sum, s) => sum + s.floor, 0);
+  // Stable sort: ties go to the earlier key
+  const byRemainder = [...shares].sort((a, b) => b.remainder - a.remainder);
+  for (const share of byRemainder) {
+    if (leftover <= 0) break;
+    share.floor += 1;
+    leftover -= 1;
+  }
+
+  for (const share of shares) {
+    result.set(share.key, sign * share.floor / 100);
+  }
+  return result;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate the GP-entered inputs for a tax year
+ *
+ * @param {Object} inputs - Partnership totals, gpAllocationPct and liabilities
+ * @param {Array} stateApportionment - [{ state, pct }], percentages summing to 100
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateTaxYearInputs(inputs = {}, stateApportionment = []) {
+  const errors = [];
+
+  for (const key of [...INCOME_ITEMS, ...DEDUCTION_ITEMS]) {
+    if (inputs[key] != null && !isNumber(inputs[key])) {
+      errors.push(`${key} must be a number`);
+    }
+  }
+  for (const key of DEDUCTION_ITEMS) {
+    if (isNumber(inputs[key]) && inputs[key] < 0) {
+      errors.push(`${key} must not be negative`);
+    }
+  }
+  if (isNumber(inputs.unrecapturedSection1250Gain) && inputs.unrecapturedSection1250Gain > Math.max(0, inputs.longTermCapitalGain || 0)) {
+    errors.push('unrecapturedSection1250Gain cannot exceed longTermCapitalGain');
+  }
+  if (inputs.gpAllocationPct != null && (!isNumber(inputs.gpAllocationPct) || inputs.gpAllocationPct < 0 || inputs.gpAllocationPct > 100)) {
+    errors.push('gpAllocationPct must be between 0 and 100');
+  }
+  for (const type of LIABILITY_TYPES) {
+    const value = inputs.liabilities?.[type];
+    if (value != null && (!isNumber(value) || value < 0)) {
+      errors.push(`liabilities.${type} must be a non-negative number`);
+    }
+  }
+
+  if (!Array.isArray(stateApportionment)) {
+    errors.push('stateApportionment must be a list of { state, pct }');
+    return errors;
+  }
+  const seen = new Set();
+  for (const entry of stateApportionment) {
+    if (typeof entry?.state !== 'string' || !/^[A-Z]{2}$/.test(entry.state)) {
+      errors.push('Each state must be a two-letter code');
+    } else if (seen.has(entry.state)) {
+      errors.push(`State ${entry.state} is listed more than once`);
+    } else {
+      seen.add(entry.state);
+    }
+    if (!isNumber(entry?.pct) || entry.pct <= 0 || entry.pct > 100) {
+      errors.push(`Apportionment for ${entry?.state ?? 'state'} must be between 0 and 100`);
+    }
+  }
+  const totalPct = stateApportionment.reduce((sum, e) => sum + (isNumber(e?.pct) ? e.pct : 0), 0);
+  if (stateApportionment.length > 0 && Math.abs(totalPct - 100) > TOLERANCE) {
+    errors.push(`State apportionment must total 100% (got ${round2(totalPct)}%)`);
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// ALLOCATION BASES
+// ============================================================================
+
+/**
+ * Each LP's capital activity before and during the tax year
+ *
+ * Contributions are funded capital call allocations (fundedAt, else due date).
+ * Distributions are paid allocations, net + withholding. Completed transfers
+ * move the capital they conveyed (contributed less distributions transferred,
+ * see services/secondary-transfer.js).
+ *
+ * @returns {Object} { activity: Map<lpActorId, Object>, warnings }
+ */
+function collectCapitalActivity({ lpActors, capitalCalls, distributions, transfers }, year) {
+  const { start, end } = yearWindow(year);
+  const activity = new Map();
+  const warnings = [];
+  const rowFor = (id) => {
+    if (!activity.has(id)) {
+      activity.set(id, {
+        priorContributions: 0,
+        priorDistributions: 0,
+        priorTransfers: 0,
+        contributions: 0,
+        distributions: 0,
+        waterfallDistributions: 0,
+        withholding: 0,
+        transfersIn: 0,
+        transfersOut: 0
+      });
+    }
+    return activity.get(id);
+  };
+  for (const lp of lpActors) rowFor(lp.id);
+
+  for (const call of capitalCalls) {
+    if (CANCELLED_STATUSES.includes(call.status)) continue;
+    for (const alloc of call.allocations || []) {
+      if (!(alloc.fundedAmount > 0)) continue;
+      const date = toDate(alloc.fundedAt || call.dueDate);
+      if (!date || date >= end) continue;
+      const row = rowFor(alloc.lpActorId);
+      if (date < start) row.priorContributions += alloc.fundedAmount;
+      else row.contributions += alloc.fundedAmount;
+    }
+  }
+
+  for (const dist of distributions) {
+    if (CANCELLED_STATUSES.includes(dist.status)) continue;
+    const date = toDate(dist.distributionDate);
+    if (!date || date >= end) continue;
+    for (const alloc of dist.allocations || []) {
+      if (alloc.status !== 'PAID') continue;
+      const amount = (alloc.netAmount || 0) + (alloc.withholdingAmount || 0);
+      const row = rowFor(alloc.lpActorId);
+      if (date < start) {
+        row.priorDistributions += amount;
+        continue;
+      }
+      row.distributions += amount;
+      row.withholding += alloc.withholdingAmount || 0;
+      if (!NON_WATERFALL_DISTRIBUTION_TYPES.includes(dist.type)) {
+        row.waterfallDistributions += alloc.grossAmount || 0;
+      }
+    }
+  }
+
+  for (const transfer of transfers) {
+    if (transfer.status !== 'COMPLETED') continue;
+    const date = toDate(transfer.effectiveDate);
+    if (!date || date >= end) continue;
+    if (transfer.contributedTransferred == null) {
+      warnings.push(`Transfer ${transfer.id} has no conveyed capital recorded; capital accounts exclude it`);
+      continue;
+    }
+    const conveyed = (transfer.contributedTransferred || 0) - (transfer.distributionsTransferred || 0);
+    if (date < start) {
+      rowFor(transfer.fromLpActorId).priorTransfers -= conveyed;
+      rowFor(transfer.toLpActorId).priorTransfers += conveyed;
+    } else {
+      rowFor(transfer.fromLpActorId).transfersOut += conveyed;
+      rowFor(transfer.toLpActorId).transfersIn += conveyed;
+    }
+  }
+
+  return { activity, warnings };
+}
+
+/**
+ * Beginning capital per LP: last year's K-1 ending balance when one was
+ * published, otherwise rebuilt from capital activity before the year
+ */
+function beginningCapital(lpActorId, row, priorEndings) {
+  if (priorEndings.has(lpActorId)) {
+    return { amount: round2(priorEndings.get(lpActorId)), source: 'PRIOR_K1' };
+  }
+  return {
+    amount: round2(row.priorContributions - row.priorDistributions + row.priorTransfers),
+    source: 'HISTORY'
+  };
+}
+
+/**
+ * Allocation weights for the two bases
+ * - Profit: waterfall distributions received in the year; capital when nothing
+ *   was distributed
+ * - Capital: beginning capital plus contributions and capital transferred in
+ *   during the year; ownership when no capital is on the books
+ */
+function allocationWeights(lpActors, activity, beginnings) {
+  const capital = new Map();
+  for (const [id, row] of activity) {
+    const weight = beginnings.get(id).amount + row.contributions + row.transfersIn - row.transfersOut;
+    capital.set(id, Math.max(0, weight));
+  }
+  if ([...capital.values()].every(w => w === 0)) {
+    const ownership = new Map(lpActors.map(lp => [lp.id, lp.ownershipPct || 0]));
+    for (const id of capital.keys()) capital.set(id, ownership.get(id) || 0);
+  }
+
+  const waterfall = new Map([...activity.entries()].map(([id, row]) => [id, Math.max(0, row.waterfallDistributions)]));
+  const profitBasis = [...waterfall.values()].some(w => w > 0) ? 'WATERFALL' : 'CAPITAL';
+
+  return {
+    profit: profitBasis === 'WATERFALL' ? waterfall : capital,
+    capital,
+    profitBasis
+  };
+}
+
+// ============================================================================
+// ALLOCATION
+// ============================================================================
+
+/**
+ * Allocate each partnership item between the GP and the LPs
+ *
+ * Positive income and gains: the GP allocation percentage goes to the GP and
+ * the remainder follows the profit weights. Losses, depreciation and
+ * deductions go to the LPs by capital.
+ *
+ * @returns {Object} { byLp: Map<lpActorId, Object>, gpShare, totals }
+ */
+function allocateItems(inputs, weights) {
+  const gpPct = inputs.gpAllocationPct || 0;
+  const byLp = new Map([...weights.capital.keys()].map(id => [id, {}]));
+  const gpShare = {};
+  const totals = {};
+
+  for (const key of [...INCOME_ITEMS, ...DEDUCTION_ITEMS]) {
+    const total = round2(inputs[key] || 0);
+    totals[key] = total;
+    const isGain = INCOME_ITEMS.includes(key) && total > 0;
+    const gp = isGain ? round2(total * gpPct / 100) : 0;
+    gpShare[key] = gp;
+
+    const parts = allocateByWeight(total - gp, isGain ? weights.profit : weights.capital);
+    for (const [id, amount] of parts) byLp.get(id)[key] = amount;
+  }
+
+  return { byLp, gpShare, totals };
+}
+
+/**
+ * K-1 line amounts from allocated items; line 2 nets depreciation against rental income
+ */
+function toLines(items, distributions) {
+  return {
+    ordinaryIncome: items.ordinaryIncome,
+    netRentalIncome: round2(items.rentalIncome - items.depreciation),
+    interestIncome: items.interestIncome,
+    ordinaryDividends: items.ordinaryDividends,
+    shortTermCapitalGain: items.shortTermCapitalGain,
+    longTermCapitalGain: items.longTermCapitalGain,
+    unrecapturedSection1250Gain: items.unrecapturedSection1250Gain,
+    section1231Gain: items.section1231Gain,
+    otherDeductions: items.otherDeductions,
+    distributions: round2(distributions)
+  };
+}
+
+/**
+ * Net income (loss) for the capital account. Line 9c is part of line 9a and
+ * line 19 is a withdrawal, so neither is added.
+ */
+function netIncome(lines) {
+  return round2(
+    lines.ordinaryIncome + lines.netRentalIncome + lines.interestIncome + lines.ordinaryDividends +
+    lines.shortTermCapitalGain + lines.longTermCapitalGain + lines.section1231Gain - lines.otherDeductions
+  );
+}
+
+/**
+ * Split an LP's income across states by apportionment percentage
+ * @returns {Array} [{ state, pct, income }] summing to the LP's income
+ */
+export function apportionToStates(income, stateApportionment = []) {
+  const weights = new Map(stateApportionment.map(entry => [entry.state, entry.pct]));
+  const parts = allocateByWeight(income, weights);
+  return stateApportionment.map(entry => ({ state: entry.state, pct: entry.pct, income: parts.get(entry.state) }));
+}
+
+function sharePct(value, total) {
+  return total > 0 ? Math.round(value / total * 1e6) / 1e4 : 0;
+}
+
+// ============================================================================
+// K-1 PACKAGES
+// ============================================================================
+
+/**
+ * Build the K-1 data for every LP of a deal for one tax year
+ *
+ * @param {Object} taxYear - { year, inputs, stateApportionment, partnershipName, partnershipEin, partnershipAddress }
+ * @param {Object} records
+ * @param {Array} records.lpActors - LPActors of the deal
+ * @param {Array} records.capitalCalls - Capital calls with allocations
+ * @param {Array} records.distributions - Distributions with allocations
+ * @param {Array} records.transfers - LP transfers (completed ones are used)
+ * @param {Array} records.profiles - LP payment profiles ({ lpActorId, taxIdType, taxIdLast4, mailingAddress })
+ * @param {Array} records.priorPackages - Last year's published K-1 data ({ lpActorId, data })
+ * @returns {Object} { year, partnership, profitBasis, totals, gpShare, packages, reconciliation, warnings }
+ */
+export function buildK1Packages(taxYear, { lpActors = [], capitalCalls = [], distributions = [], transfers = [], profiles = [], priorPackages = [] }) {
+  const inputs = taxYear.inputs || {};
+  const stateApportionment = taxYear.stateApportionment || [];
+  const liabilities = inputs.liabilities || {};
+
+  const { activity, warnings } = collectCapitalActivity({ lpActors, capitalCalls, distributions, transfers }, taxYear.year);
+
+  // K-1s go to active LPs and to anyone with capital activity in the year
+  for (const [id, row] of activity) {
+    const lp = lpActors.find(a => a.id === id);
+    const active = row.contributions || row.distributions || row.transfersIn || row.transfersOut;
+    if (!active && (!lp || lp.status !== 'ACTIVE')) activity.delete(id);
+  }
+
+  const priorEndings = new Map(priorPackages.map(p => [p.lpActorId, p.data?.capitalAccount?.ending ?? 0]));
+  const beginnings = new Map([...activity.keys()].map(id => [id, beginningCapital(id, activity.get(id), priorEndings)]));
+  const weights = allocationWeights(lpActors, activity, beginnings);
+  const { byLp, gpShare, totals } = allocateItems(inputs, weights);
+
+  const names = new Map(lpActors.map(lp => [lp.id, lp]));
+  const profileByLp = new Map(profiles.map(p => [p.lpActorId, p]));
+  const totalProfitWeight = [...weights.profit.values()].reduce((s, w) => s + w, 0);
+  const totalCapitalWeight = [...weights.capital.values()].reduce((s, w) => s + w, 0);
+  const gpProfitPct = inputs.gpAllocationPct || 0;
+
+  const drafts = [...activity.entries()].map(([lpActorId, row]) => {
+    const lp = names.get(lpActorId);
+    const lines = toLines(byLp.get(lpActorId), row.distributions);
+    const income = netIncome(lines);
+    const beginning = beginnings.get(lpActorId);
+    const capitalAccount = {
+      method: 'TAX_BASIS',
+      beginning: beginning.amount,
+      beginningSource: beginning.source,
+      contributed: round2(row.contributions),
+      currentYearIncome: income,
+      otherIncreaseDecrease: round2(row.transfersIn - row.transfersOut),
+      withdrawalsDistributions: round2(row.distributions)
+    };
+    capitalAccount.ending = round2(
+      capitalAccount.beginning + capitalAccount.contributed + capitalAccount.currentYearIncome +
+      capitalAccount.otherIncreaseDecrease - capitalAccount.withdrawalsDistributions
+    );
+
+    const profit = sharePct(weights.profit.get(lpActorId), totalProfitWeight) * (100 - gpProfitPct) / 100;
+    const profile = profileByLp.get(lpActorId);
+
+    return {
+      lpActorId,
+      partner: {
+        name: lp?.entityName || lpActorId,
+        email: lp?.email || null,
+        type: 'LIMITED',
+        taxIdType: profile?.taxIdType || null,
+        taxIdLast4: profile?.taxIdLast4 || null,
+        address: profile?.mailingAddress || null
+      },
+      lines,
+      lineItems: K1_LINES.map(def => ({ line: def.line, code: def.code, label: def.label, amount: lines[def.key] })),
+      sharePct: {
+        profit: Math.round(profit * 1e4) / 1e4,
+        loss: sharePct(weights.capital.get(lpActorId), totalCapitalWeight),
+        capital: 0
+      },
+      capitalAccount,
+      stateAllocations: apportionToStates(income, stateApportionment),
+      supplemental: {
+        depreciationAllocated: byLp.get(lpActorId).depreciation,
+        rentalIncomeBeforeDepreciation: byLp.get(lpActorId).rentalIncome,
+        federalWithholding: round2(row.withholding)
+      }
+    };
+  });
+
+  // Capital share and liabilities need every LP's ending balance and profit share
+  const totalEnding = drafts.reduce((s, d) => s + Math.max(0, d.capitalAccount.ending), 0);
+  const nonrecourse = allocateByWeight(liabilities.nonrecourse || 0, new Map(drafts.map(d => [d.lpActorId, d.sharePct.profit])));
+  const qualified = allocateByWeight(liabilities.qualifiedNonrecourse || 0, new Map(drafts.map(d => [d.lpActorId, d.sharePct.profit])));
+  const profitTotal = drafts.reduce((s, d) => s + d.sharePct.profit, 0);
+  const lpLiabilityShare = profitTotal / 100;
+
+  const packages = drafts.map(draft => ({
+    year: taxYear.year,
+    ...draft,
+    sharePct: { ...draft.sharePct, capital: sharePct(Math.max(0, draft.capitalAccount.ending), totalEnding) },
+    // Limited partners bear no economic risk of loss for recourse debt
+    liabilities: {
+      nonrecourse: round2((nonrecourse.get(draft.lpActorId) || 0) * lpLiabilityShare),
+      qualifiedNonrecourse: round2((qualified.get(draft.lpActorId) || 0) * lpLiabilityShare),
+      recourse: 0
+    }
+  })).sort((a, b) => a.partner.name.localeCompare(b.partner.name) || a.lpActorId.localeCompare(b.lpActorId));
+
+  const reconciliation = reconcile(totals, gpShare, packages);
+  if (!reconciliation.balanced) {
+    warnings.push('LP and GP allocations do not reconcile to partnership totals');
+  }
+
+  logDebug(`Built K-1 packages`, { year: taxYear.year, packages: packages.length, profitBasis: weights.profitBasis });
+
+  return {
+    year: taxYear.year,
+    partnership: {
+      name: taxYear.partnershipName || null,
+      ein: taxYear.partnershipEin || null,
+      address: taxYear.partnershipAddress || null
+    },
+    profitBasis: weights.profitBasis,
+    stateApportionment,
+    totals,
+    gpShare,
+    packages,
+    reconciliation,
+    warnings
+  };
+}
+
+/**
+ * Check that LP allocations plus the GP share equal each partnership total
+ */
+function reconcile(totals, gpShare, packages) {
+  const items = Object.keys(totals).map(key => {
+    const lpTotal = round2(packages.reduce((s, p) => s + (key === 'rentalIncome'
+      ? p.supplemental.rentalIncomeBeforeDepreciation
+      : key === 'depreciation' ? p.supplemental.depreciationAllocated : p.lines[key]), 0));
+    const difference = round2(totals[key] - gpShare[key] - lpTotal);
+    return { item: key, total: totals[key], gpShare: gpShare[key], lpTotal, difference };
+  });
+  return { items, balanced: items.every(i => Math.abs(i.difference) < TOLERANCE) };
+}
+
+/**
+ * Stable hash of a K-1 data file
+ */
+export function hashK1Data(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+export default {
+  INCOME_ITEMS,
+  DEDUCTION_ITEMS,
+  LIABILITY_TYPES,
+  K1_LINES,
+  allocateByWeight,
+  validateTaxYearInputs,
+  apportionToStates,
+  buildK1Packages,
+  hashK1Data
+};
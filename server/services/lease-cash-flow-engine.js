@@ -0,0 +1,643 @@
+/**
+ * Lease Cash Flow Engine
+ *
+ * Lease-by-lease revenue for commercial deals, built from RentRollUnit rows:
+ * - Contractual bumps (percent or fixed $/SF) on lease anniversaries
+ * - Expiry and rollover with renewal probability blending (market rent,
+ *   downtime, TI/LC and free rent weighted between renewal and new lease)
+ * - Speculative leases chained to the end of the analysis
+ * - CAM/tax recoveries: NNN, base year, expense stop and gross
+ *
+ * Annual totals feed projectDetailedCashFlows (model.leaseCashFlows), so a
+ * lease-by-lease projection has the same shape as the growth-rate one, plus
+ * a lease expiration schedule and per-year rollover-risk report.
+ *
+ * All functions are pure; routes/underwriting.js loads the rent roll.
+ */
+
+import { projectDetailedCashFlows } from './underwriting-calculator.js';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[LeaseEngine]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_LEASE_ENGINE === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const RECOVERY_TYPES = {
+  NNN: 'NNN',                   // Tenant pays its pro-rata share of all recoverable expenses
+  BASE_YEAR: 'BASE_YEAR',       // Tenant pays increases over its base-year expenses
+  EXPENSE_STOP: 'EXPENSE_STOP', // Tenant pays expenses above a fixed $/SF stop
+  GROSS: 'GROSS'                // Landlord absorbs all expenses
+};
+
+export const ESCALATION_TYPES = ['PERCENT', 'FIXED'];
+
+/** Market leasing assumptions applied at rollover (overridable per lease) */
+export const DEFAULT_LEASING_ASSUMPTIONS = {
+  marketRentPSF: null,          // Annual $/SF; falls back to unit marketRent, then in-place rent
+  marketRentGrowth: 0.03,
+  renewalProbability: 0.65,
+  downtimeMonths: 6,            // Downtime if the tenant leaves
+  newLeaseTermMonths: 60,
+  tiNewPSF: 30,
+  tiRenewalPSF: 10,
+  lcNewPct: 0.06,               // Of total base rent over the lease term
+  lcRenewalPct: 0.03,
+  freeRentNewMonths: 4,
+  freeRentRenewalMonths: 1,
+  contractualBump: 0.03,        // Annual percent bump when a lease has no escalation terms
+  recoveryType: RECOVERY_TYPES.NNN,
+  expenseStopPSF: null,
+  generalVacancyRate: null,     // Defaults to the model vacancy rate
+  recoverableExpenseRatio: 1,   // Share of operating expenses that is recoverable
+  buildingSF: null              // Defaults to model grossSF, then the rent roll total
+};
+
+/** Share of building SF expiring in a year that marks rollover risk */
+export const ROLLOVER_RISK_THRESHOLDS = {
+  HIGH: 0.20,
+  MEDIUM: 0.10
+};
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+/**
+ * Parse a JSON column that may already be an object
+ */
+export function parseJsonField(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Merge stored leasing assumptions over the defaults
+ *
+ * @param {Object|string} assumptions - UnderwritingModel.leasingAssumptions
+ */
+export function resolveLeasingAssumptions(assumptions) {
+  const parsed = parseJsonField(assumptions);
+  const resolved = { ...DEFAULT_LEASING_ASSUMPTIONS };
+  for (const [key, value] of Object.entries(parsed)) {
+    if (key in DEFAULT_LEASING_ASSUMPTIONS && value !== undefined && value !== null && value !== '') {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Validate leasing assumptions or per-lease terms. Returns a list of errors.
+ *
+ * @param {Object} terms
+ */
+export function validateLeaseTerms(terms = {}) {
+  const errors = [];
+
+  if (terms.recoveryType && !RECOVERY_TYPES[terms.recoveryType]) {
+    errors.push(`recoveryType must be one of ${Object.keys(RECOVERY_TYPES).join(', ')}`);
+  }
+  if (terms.renewalProbability !== undefined && terms.renewalProbability !== null &&
+      (terms.renewalProbability < 0 || terms.renewalProbability > 1)) {
+    errors.push('renewalProbability must be between 0 and 1');
+  }
+  if (terms.escalation && !ESCALATION_TYPES.includes(terms.escalation.type)) {
+    errors.push(`escalation.type must be one of ${ESCALATION_TYPES.join(', ')}`);
+  }
+  for (const key of ['downtimeMonths', 'newLeaseTermMonths', 'renewalTermMonths', 'freeRentMonths',
+    'freeRentNewMonths', 'freeRentRenewalMonths', 'tiNewPSF', 'tiRenewalPSF', 'tiPSF', 'marketRentPSF', 'buildingSF']) {
+    if (terms[key] !== undefined && terms[key] !== null && !(Number(terms[key]) >= 0)) {
+      errors.push(`${key} must be a non-negative number`);
+    }
+  }
+  for (const key of ['newLeaseTermMonths', 'renewalTermMonths']) {
+    if (terms[key] !== undefined && terms[key] !== null && Number(terms[key]) < 1) {
+      errors.push(`${key} must be at least 1 month`);
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// LEASE TIMELINE
+// ============================================================================
+
+function toUTCMonthStart(value) {
+  const date = value ? new Date(value) : new Date();
+  const valid = isNaN(date.getTime()) ? new Date() : date;
+  return new Date(Date.UTC(valid.getUTCFullYear(), valid.getUTCMonth(), 1));
+}
+
+/** Months from the analysis start month to the month containing date */
+function monthIndex(startDate, date) {
+  const d = new Date(date);
+  return (d.getUTCFullYear() - startDate.getUTCFullYear()) * 12 + (d.getUTCMonth() - startDate.getUTCMonth());
+}
+
+/** Last day of the month at index m */
+function monthEndDate(startDate, m) {
+  return new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + m + 1, 0));
+}
+
+/**
+ * Annual $/SF rent in month m for a lease whose anniversaries fall on
+ * anchor + 12k, starting from rentPSF at month `from`
+ */
+function escalatedRentPSF(rentPSF, escalation, anchor, from, m) {
+  const bumps = Math.floor((m - anchor) / 12) - Math.floor((from - anchor) / 12);
+  if (bumps <= 0) return rentPSF;
+  if (escalation.type === 'FIXED') return rentPSF + bumps * (escalation.amountPSF || 0);
+  return rentPSF * Math.pow(1 + (escalation.rate || 0), bumps);
+}
+
+/**
+ * Recovery per SF per year under a recovery structure
+ *
+ * @param {string} recoveryType
+ * @param {number} expensesPSF - Recoverable expenses $/SF in the year
+ * @param {number} thresholdPSF - Base-year expenses or stop $/SF
+ */
+function recoveryPSF(recoveryType, expensesPSF, thresholdPSF) {
+  switch (recoveryType) {
+    case RECOVERY_TYPES.NNN:
+      return expensesPSF;
+    case RECOVERY_TYPES.BASE_YEAR:
+    case RECOVERY_TYPES.EXPENSE_STOP:
+      return Math.max(0, expensesPSF - (thresholdPSF || 0));
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Blend renewal and new-lease terms by renewal probability
+ */
+function blendRolloverTerms(assumptions, terms, probability) {
+  const p = probability;
+  const blend = (renewal, fresh) => p * renewal + (1 - p) * fresh;
+  return {
+    downtimeMonths: Math.round((1 - p) * (terms.downtimeMonths ?? assumptions.downtimeMonths)),
+    termMonths: Math.max(1, Math.round(terms.renewalTermMonths ?? assumptions.newLeaseTermMonths)),
+    tiPSF: terms.tiPSF ?? blend(assumptions.tiRenewalPSF, assumptions.tiNewPSF),
+    lcPct: terms.lcPct ?? blend(assumptions.lcRenewalPct, assumptions.lcNewPct),
+    freeRentMonths: Math.round(terms.freeRentMonths ?? blend(assumptions.freeRentRenewalMonths, assumptions.freeRentNewMonths))
+  };
+}
+
+/**
+ * Build the monthly timeline for one unit: the contract lease (or initial
+ * absorption when vacant), then downtime and speculative leases to the horizon.
+ *
+ * @returns {{ months: Array<Object>, expirations: Array<Object>, warnings: string[] }}
+ */
+function buildUnitTimeline(unit, context) {
+  const { assumptions, startDate, horizonMonths, expensesPSFByYear, startYear } = context;
+  const terms = parseJsonField(unit.leaseTerms);
+  const sf = unit.sqft;
+  const label = unit.tenant ? `${unit.unitNumber} (${unit.tenant})` : unit.unitNumber;
+  const warnings = [];
+
+  const months = Array.from({ length: horizonMonths }, () => ({
+    potentialBaseRent: 0,
+    turnoverVacancy: 0,
+    freeRent: 0,
+    expenseRecoveries: 0,
+    tenantImprovements: 0,
+    leasingCommissions: 0,
+    occupiedSF: 0
+  }));
+  const expirations = [];
+
+  const status = (unit.status || 'OCCUPIED').toUpperCase();
+  const baseProbability = terms.renewalProbability ?? assumptions.renewalProbability;
+  const marketGrowth = assumptions.marketRentGrowth || 0;
+  const recoveryType = terms.recoveryType || assumptions.recoveryType;
+
+  let marketPSF0 = terms.marketRentPSF ?? (unit.marketRent ? unit.marketRent * 12 / sf : assumptions.marketRentPSF);
+  const inPlacePSF = terms.baseRentPSF ?? (unit.currentRent ? unit.currentRent * 12 / sf : null);
+  if (!marketPSF0) {
+    marketPSF0 = inPlacePSF || 0;
+    warnings.push(`${label}: no market rent; rolling at in-place rent`);
+  }
+  const marketPSFAt = (m) => marketPSF0 * Math.pow(1 + marketGrowth, Math.floor(m / 12));
+
+  const expensesPSFAt = (m) => expensesPSFByYear(Math.floor(m / 12));
+  const thresholdFor = (type, baseYearIndex, explicit) => {
+    if (type === RECOVERY_TYPES.EXPENSE_STOP) {
+      return explicit ?? terms.expenseStopPSF ?? assumptions.expenseStopPSF ?? expensesPSFByYear(baseYearIndex);
+    }
+    if (type === RECOVERY_TYPES.BASE_YEAR) {
+      return explicit ?? expensesPSFByYear(baseYearIndex);
+    }
+    return 0;
+  };
+  if (recoveryType === RECOVERY_TYPES.EXPENSE_STOP && terms.expenseStopPSF == null && assumptions.expenseStopPSF == null) {
+    warnings.push(`${label}: no expense stop; using expenses in the lease start year`);
+  }
+
+  const occupy = (from, to, { rentPSF, escalation, anchor, freeRentMonths, recovery, threshold }) => {
+    for (let m = Math.max(0, from); m <= Math.min(to, horizonMonths - 1); m++) {
+      const rent = escalatedRentPSF(rentPSF, escalation, anchor, from, m) * sf / 12;
+      const month = months[m];
+      month.potentialBaseRent += rent;
+      if (m - from < freeRentMonths) month.freeRent += rent;
+      month.expenseRecoveries += recoveryPSF(recovery, expensesPSFAt(m), threshold) * sf / 12;
+      month.occupiedSF += sf;
+    }
+  };
+
+  const vacate = (from, to) => {
+    let lost = 0;
+    for (let m = Math.max(0, from); m <= Math.min(to, horizonMonths - 1); m++) {
+      const rent = marketPSFAt(m) * sf / 12;
+      months[m].potentialBaseRent += rent;
+      months[m].turnoverVacancy += rent;
+      lost += rent;
+    }
+    return lost;
+  };
+
+  // Contract lease (or immediate absorption when vacant)
+  let rolloverMonth = 0;
+  let probability = baseProbability;
+  const vacant = status === 'VACANT' || !unit.currentRent;
+
+  if (!vacant) {
+    const escalation = terms.escalation || { type: 'PERCENT', rate: assumptions.contractualBump };
+    const anchor = unit.leaseStart ? monthIndex(startDate, unit.leaseStart) : 0;
+    let endMonth = unit.leaseEnd ? monthIndex(startDate, unit.leaseEnd) : null;
+    const holdover = status === 'MTM' || endMonth === null || endMonth < 0;
+
+    if (holdover) {
+      warnings.push(`${label}: ${status === 'MTM' ? 'month-to-month' : endMonth === null ? 'no lease end date' : 'lease already expired'}; treated as expiring in month 1`);
+      endMonth = 0;
+    }
+    if (status === 'NOTICE') probability = 0;
+
+    const leaseStartYear = unit.leaseStart ? new Date(unit.leaseStart).getUTCFullYear() - startYear : 0;
+    occupy(0, endMonth, {
+      rentPSF: inPlacePSF,
+      escalation,
+      anchor,
+      freeRentMonths: 0,
+      recovery: recoveryType,
+      threshold: thresholdFor(recoveryType, terms.baseYear ? terms.baseYear - startYear : leaseStartYear, terms.baseYearExpensesPSF)
+    });
+
+    rolloverMonth = endMonth + 1;
+    expirations.push({
+      month: endMonth,
+      leaseEnd: holdover ? monthEndDate(startDate, endMonth) : new Date(unit.leaseEnd),
+      expiringRentPSF: escalatedRentPSF(inPlacePSF, escalation, anchor, 0, endMonth),
+      generation: 0
+    });
+  } else {
+    probability = 0;
+  }
+
+  // Rollovers: blended downtime, then a speculative lease at market
+  let generation = 0;
+  let pendingExpiration = expirations[0] || null;
+
+  while (rolloverMonth < horizonMonths) {
+    const rollover = blendRolloverTerms(assumptions, terms, probability);
+    const commencement = rolloverMonth + rollover.downtimeMonths;
+    const expiry = commencement + rollover.termMonths - 1;
+    const rentPSF = marketPSFAt(commencement);
+    const escalation = { type: 'PERCENT', rate: assumptions.contractualBump };
+
+    const downtimeLoss = vacate(rolloverMonth, commencement - 1);
+
+    let leaseTermRent = 0;
+    for (let m = commencement; m <= expiry; m++) {
+      leaseTermRent += escalatedRentPSF(rentPSF, escalation, commencement, commencement, m) * sf / 12;
+    }
+    const ti = rollover.tiPSF * sf;
+    const lc = rollover.lcPct * leaseTermRent;
+    if (commencement < horizonMonths) {
+      months[commencement].tenantImprovements += ti;
+      months[commencement].leasingCommissions += lc;
+    }
+
+    if (pendingExpiration) {
+      Object.assign(pendingExpiration, {
+        marketRentPSF: rentPSF,
+        renewalProbability: probability,
+        downtimeMonths: rollover.downtimeMonths,
+        downtimeLoss,
+        tenantImprovements: ti,
+        leasingCommissions: lc
+      });
+    }
+
+    occupy(commencement, expiry, {
+      rentPSF,
+      escalation,
+      anchor: commencement,
+      freeRentMonths: rollover.freeRentMonths,
+      recovery: assumptions.recoveryType,
+      threshold: thresholdFor(assumptions.recoveryType, Math.floor(commencement / 12), null)
+    });
+
+    generation++;
+    pendingExpiration = {
+      month: expiry,
+      leaseEnd: monthEndDate(startDate, expiry),
+      expiringRentPSF: escalatedRentPSF(rentPSF, escalation, commencement, commencement, expiry),
+      generation
+    };
+    expirations.push(pendingExpiration);
+
+    rolloverMonth = expiry + 1;
+    probability = baseProbability;
+  }
+
+  return {
+    months,
+    // Expirations past the horizon never roll, so they keep these defaults
+    expirations: expirations.map(e => ({
+      unitNumber: unit.unitNumber,
+      tenant: e.generation > 0 ? 'Speculative' : unit.tenant || null,
+      sf,
+      marketRentPSF: marketPSFAt(e.month + 1),
+      renewalProbability: baseProbability,
+      downtimeMonths: 0,
+      downtimeLoss: 0,
+      tenantImprovements: 0,
+      leasingCommissions: 0,
+      ...e
+    })),
+    warnings
+  };
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Lease-by-lease revenue, leasing costs and rollover for a rent roll
+ *
+ * Annual lines cover years + 1 so the exit can be priced on forward NOI.
+ *
+ * @param {Array<Object>} units - RentRollUnit rows (leaseTerms may be JSON)
+ * @param {Object} options
+ * @param {Object} options.assumptions - Resolved leasing assumptions
+ * @param {Date|string} options.startDate - Analysis start (first of month)
+ * @param {number} options.years - Hold period
+ * @param {number} options.recoverableExpenses - Year 1 recoverable expense pool ($)
+ * @param {number} options.expenseGrowth - Annual expense growth
+ * @param {number} options.generalVacancyRate - Credit/general vacancy on top of downtime
+ * @param {number} options.buildingSF - Rentable SF for pro-rata shares
+ * @returns {Object} { annual, expirationSchedule, rolloverRisk, walt, warnings }
+ */
+export function buildLeaseCashFlows(units, options = {}) {
+  const assumptions = options.assumptions || resolveLeasingAssumptions();
+  const years = options.years || 5;
+  const horizonMonths = (years + 1) * 12;
+  const startDate = toUTCMonthStart(options.startDate);
+  const startYear = startDate.getUTCFullYear();
+  const expenseGrowth = options.expenseGrowth ?? 0.02;
+  const warnings = [];
+
+  const leases = (units || []).filter(unit => {
+    if (!(unit.sqft > 0)) {
+      warnings.push(`${unit.unitNumber}: no square footage; excluded from the lease-by-lease analysis`);
+      return false;
+    }
+    return true;
+  });
+
+  const rentRollSF = leases.reduce((sum, unit) => sum + unit.sqft, 0);
+  const buildingSF = options.buildingSF || rentRollSF;
+  const expensesPSF0 = buildingSF > 0 ? (options.recoverableExpenses || 0) / buildingSF : 0;
+  const expensesPSFByYear = (yearIndex) => expensesPSF0 * Math.pow(1 + expenseGrowth, yearIndex);
+
+  logDebug('Building lease cash flows', { leases: leases.length, buildingSF, years });
+
+  const context = { assumptions, startDate, startYear, horizonMonths, expensesPSFByYear };
+  const timelines = leases.map(unit => buildUnitTimeline(unit, context));
+  timelines.forEach(t => warnings.push(...t.warnings));
+
+  // Annual totals
+  const generalVacancyRate = options.generalVacancyRate ?? 0;
+  const annual = [];
+  for (let y = 0; y <= years; y++) {
+    const line = {
+      year: y + 1,
+      potentialBaseRent: 0,
+      turnoverVacancy: 0,
+      freeRent: 0,
+      expenseRecoveries: 0,
+      generalVacancy: 0,
+      tenantImprovements: 0,
+      leasingCommissions: 0,
+      occupancy: 0
+    };
+    let occupiedSFMonths = 0;
+    for (const timeline of timelines) {
+      for (let m = y * 12; m < (y + 1) * 12; m++) {
+        const month = timeline.months[m];
+        line.potentialBaseRent += month.potentialBaseRent;
+        line.turnoverVacancy += month.turnoverVacancy;
+        line.freeRent += month.freeRent;
+        line.expenseRecoveries += month.expenseRecoveries;
+        line.tenantImprovements += month.tenantImprovements;
+        line.leasingCommissions += month.leasingCommissions;
+        occupiedSFMonths += month.occupiedSF;
+      }
+    }
+    // General vacancy is a floor: downtime already counts toward it
+    line.generalVacancy = Math.max(
+      0,
+      generalVacancyRate * (line.potentialBaseRent + line.expenseRecoveries) - line.turnoverVacancy
+    );
+    line.occupancy = buildingSF > 0 ? occupiedSFMonths / 12 / buildingSF : 0;
+    annual.push(line);
+  }
+
+  // Expiration schedule inside the hold
+  const expirationSchedule = timelines
+    .flatMap(t => t.expirations)
+    .filter(e => e.month < years * 12)
+    .sort((a, b) => a.month - b.month)
+    .map(e => ({
+      unitNumber: e.unitNumber,
+      tenant: e.tenant,
+      sf: e.sf,
+      leaseEnd: e.leaseEnd.toISOString().slice(0, 10),
+      year: Math.floor(e.month / 12) + 1,
+      generation: e.generation,
+      speculative: e.generation > 0,
+      expiringRentPSF: round(e.expiringRentPSF, 2),
+      marketRentPSF: round(e.marketRentPSF, 2),
+      markToMarket: e.expiringRentPSF > 0 ? round(e.marketRentPSF / e.expiringRentPSF - 1, 4) : null,
+      renewalProbability: e.renewalProbability,
+      downtimeMonths: e.downtimeMonths,
+      downtimeLoss: round(e.downtimeLoss),
+      tenantImprovements: round(e.tenantImprovements),
+      leasingCommissions: round(e.leasingCommissions),
+      _expiringRent: e.expiringRentPSF * e.sf
+    }));
+
+  const rolloverRisk = buildRolloverRisk(expirationSchedule, annual, years, buildingSF);
+
+  return {
+    annual,
+    expirationSchedule: expirationSchedule.map(({ _expiringRent, ...e }) => e),
+    rolloverRisk,
+    walt: calculateWALT(leases, startDate),
+    buildingSF,
+    rentRollSF,
+    warnings
+  };
+}
+
+/**
+ * Per-year rollover exposure: expiring SF and rent, expected downtime loss
+ * and leasing costs
+ */
+function buildRolloverRisk(expirationSchedule, annual, years, buildingSF) {
+  const report = [];
+  let cumulativeSF = 0;
+
+  for (let year = 1; year <= years; year++) {
+    const expiring = expirationSchedule.filter(e => e.year === year);
+    const expiringSF = expiring.reduce((sum, e) => sum + e.sf, 0);
+    const expiringRent = expiring.reduce((sum, e) => sum + e._expiringRent, 0);
+    const rentBase = annual[year - 1].potentialBaseRent;
+    const pctOfSF = buildingSF > 0 ? expiringSF / buildingSF : 0;
+    cumulativeSF += expiringSF;
+
+    report.push({
+      year,
+      leasesExpiring: expiring.length,
+      tenants: expiring.map(e => e.tenant || e.unitNumber),
+      expiringSF,
+      pctOfBuildingSF: round(pctOfSF, 4),
+      cumulativePctOfBuildingSF: buildingSF > 0 ? round(cumulativeSF / buildingSF, 4) : 0,
+      expiringRent: round(expiringRent),
+      pctOfRent: rentBase > 0 ? round(expiringRent / rentBase, 4) : 0,
+      expectedDowntimeLoss: round(expiring.reduce((sum, e) => sum + e.downtimeLoss, 0)),
+      expectedLeasingCosts: round(expiring.reduce((sum, e) => sum + e.tenantImprovements + e.leasingCommissions, 0)),
+      risk: pctOfSF > ROLLOVER_RISK_THRESHOLDS.HIGH ? 'HIGH' : pctOfSF > ROLLOVER_RISK_THRESHOLDS.MEDIUM ? 'MEDIUM' : 'LOW'
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Weighted average lease term remaining (years) at the analysis start,
+ * weighted by SF and by in-place rent
+ */
+export function calculateWALT(units, startDate) {
+  const start = toUTCMonthStart(startDate);
+  let sfWeight = 0;
+  let sfYears = 0;
+  let rentWeight = 0;
+  let rentYears = 0;
+
+  for (const unit of units || []) {
+    const status = (unit.status || '').toUpperCase();
+    if (status === 'VACANT' || !unit.currentRent || !unit.leaseEnd || !(unit.sqft > 0)) continue;
+    const remaining = Math.max(0, (new Date(unit.leaseEnd) - start) / (365.25 * 24 * 60 * 60 * 1000));
+    sfWeight += unit.sqft;
+    sfYears += unit.sqft * remaining;
+    rentWeight += unit.currentRent;
+    rentYears += unit.currentRent * remaining;
+  }
+
+  return {
+    bySF: sfWeight > 0 ? round(sfYears / sfWeight, 2) : null,
+    byRent: rentWeight > 0 ? round(rentYears / rentWeight, 2) : null
+  };
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Project cash flows lease by lease
+ *
+ * Runs buildLeaseCashFlows on the rent roll and feeds the annual totals to
+ * projectDetailedCashFlows, so the result has the usual projection shape
+ * (revenue gains freeRent and expenseRecoveries, each year gains
+ * leasingCosts) plus the lease expiration schedule and rollover risk.
+ *
+ * @param {Object} model - Underwriting model (leasingAssumptions, monthlyAssumptions may be JSON)
+ * @param {Array<Object>} units - RentRollUnit rows
+ * @param {number} years - Hold period (default from model or 5)
+ */
+export function projectLeaseByLeaseCashFlows(model, units, years = null) {
+  const holdPeriod = years || model.holdPeriod || 5;
+  const assumptions = resolveLeasingAssumptions(model.leasingAssumptions);
+  const monthly = parseJsonField(model.monthlyAssumptions);
+
+  const operatingExpenses = model.operatingExpenses ||
+    (model.taxes || 0) + (model.insurance || 0) + (model.management || 0) + (model.reserves || 0);
+
+  const leaseResult = buildLeaseCashFlows(units, {
+    assumptions,
+    startDate: monthly.analysisStartDate,
+    years: holdPeriod,
+    recoverableExpenses: operatingExpenses * assumptions.recoverableExpenseRatio,
+    expenseGrowth: model.expenseGrowth || 0.02,
+    generalVacancyRate: assumptions.generalVacancyRate ?? model.vacancyRate ?? 0.05,
+    buildingSF: assumptions.buildingSF || model.grossSF
+  });
+
+  if (leaseResult.annual.every(line => line.potentialBaseRent === 0)) {
+    leaseResult.warnings.push('Rent roll produced no rent; check square footage and rents');
+  }
+
+  const projection = projectDetailedCashFlows({ ...model, leaseCashFlows: leaseResult.annual }, holdPeriod);
+
+  return {
+    ...projection,
+    leaseByLease: true,
+    leasingAssumptions: assumptions,
+    leaseExpirationSchedule: leaseResult.expirationSchedule,
+    rolloverRisk: leaseResult.rolloverRisk,
+    walt: leaseResult.walt,
+    buildingSF: leaseResult.buildingSF,
+    occupancy: leaseResult.annual.slice(0, holdPeriod).map(line => ({ year: line.year, occupancy: round(line.occupancy, 4) })),
+    warnings: leaseResult.warnings
+  };
+}
+
+function round(value, decimals = 0) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  RECOVERY_TYPES,
+  ESCALATION_TYPES,
+  DEFAULT_LEASING_ASSUMPTIONS,
+  ROLLOVER_RISK_THRESHOLDS,
+  parseJsonField,
+  resolveLeasingAssumptions,
+  validateLeaseTerms,
+  buildLeaseCashFlows,
+  calculateWALT,
+  projectLeaseByLeaseCashFlows
+};
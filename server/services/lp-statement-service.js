@@ -3,12 +3,18 @@
  *
  * Aggregates all financial activity for an LP in a specific deal:
  * - Capital call allocations (called, funded, pending)
- * - Distribution allocations (gross, withholding, net, paid)
+ * - Distribution allocations (gross, withholding, fees, net, paid)
+ * - Management fee and fund expense lines (per quarter, this LP only)
  * - Current holdings (commitment, ownership, share class)
  * - Performance summary (deployed, received, net cash flow)
+ * - Since-inception returns (XIRR, TVPI, DPI, RVPI) from the dated cash-flow ledger,
+ *   with the LP's NAV from the latest approved valuation mark as residual value
+ * - Completed interest transfers and the transfer-adjusted capital account
  */
 
 import { getPrisma } from "../db.js";
+import { calculateXIRR } from "./underwriting-calculator.js";
+import { calculateTransferSummary, calculateCapitalAccount } from "./secondary-transfer.js";
 
 // ============================================================================
 // LOGGING UTILITIES
@@ -63,7 +69,7 @@ function calculateCapitalCallSummary(allocations) {
 
     if (alloc.status === 'FUNDED' || alloc.status === 'COMPLETED') {
       summary.fundedCount++;
-    } else if (alloc.status === 'PENDING' || alloc.status === 'ISSUED') {
+    } else if (alloc.status === 'PENDING' || alloc.status === 'ISSUED' || alloc.status === 'OVERDUE') {
       summary.pendingCount++;
       summary.totalPending += (alloc.amount || 0) - (alloc.fundedAmount || 0);
     }
@@ -84,6 +90,7 @@ function calculateDistributionSummary(allocations) {
   const summary = {
     totalGross: 0,
     totalWithholding: 0,
+    totalFees: 0,
     totalNet: 0,
     totalPaid: 0,
     distributionCount: allocations.length,
@@ -94,6 +101,7 @@ function calculateDistributionSummary(allocations) {
   for (const alloc of allocations) {
     summary.totalGross += alloc.grossAmount || 0;
     summary.totalWithholding += alloc.withholdingAmount || 0;
+    summary.totalFees += alloc.feeAmount || 0;
     summary.totalNet += alloc.netAmount || 0;
 
     if (alloc.status === 'PAID' || alloc.status === 'COMPLETED') {
@@ -108,14 +116,254 @@ function calculateDistributionSummary(allocations) {
   return summary;
 }
 
+/**
+ * Calculate fee summary from the LP's fee invoice lines
+ * @param {Array} lines - FeeInvoiceLine records with invoice
+ * @returns {Object} Summary with totals
+ */
+function calculateFeeSummary(lines) {
+  logDebug(`Calculating fee summary`, { lineCount: lines.length });
+
+  const summary = {
+    totalManagementFees: 0,
+    totalOffsets: 0,
+    totalFundExpenses: 0,
+    totalDue: 0,
+    totalSettled: 0,
+    outstanding: 0,
+    quarterCount: 0
+  };
+
+  for (const line of lines) {
+    if (line.invoice?.status === 'VOID') continue;
+    summary.totalManagementFees += line.managementFee || 0;
+    summary.totalOffsets += line.offsetAmount || 0;
+    summary.totalFundExpenses += line.expenseShare || 0;
+    summary.totalDue += line.totalDue || 0;
+    summary.totalSettled += line.settledAmount || 0;
+    summary.quarterCount++;
+  }
+  summary.outstanding = summary.totalDue - summary.totalSettled;
+
+  logDebug(`Fee summary calculated`, summary);
+  return summary;
+}
+
+// ============================================================================
+// CASH FLOW LEDGER
+// ============================================================================
+
+const PAID_DISTRIBUTION_STATUSES = ['PAID', 'COMPLETED'];
+
+function firstValidDate(...values) {
+  for (const value of values) {
+    if (!value) continue;
+    const date = value instanceof Date ? value : new Date(value);
+    if (!isNaN(date.getTime())) return date;
+  }
+  return null;
+}
+
+/**
+ * Parse a statement period boundary. Date-only values ("2025-12-31") cover
+ * the whole day so flows dated that day are included.
+ */
+function parseStatementDate(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T23:59:59.999Z`);
+  }
+  return firstValidDate(value);
+}
+
+/**
+ * Build the investor's dated cash-flow ledger from actual funding and payments.
+ * Contributions are negative (funded amount, dated when funded, else the call's
+ * due date); distributions are positive (net amount of paid allocations, dated
+ * when paid, else the distribution date). Priced secondary transfers add the
+ * purchase price (negative) or sale proceeds (positive) at the effective date.
+ *
+ * @param {Array} capitalCallAllocations - CapitalCallAllocation records with capitalCall
+ * @param {Array} distributionAllocations - DistributionAllocation records with distribution
+ * @param {Object} options
+ * @param {Date|string} options.asOfDate - Ignore flows after this date
+ * @param {string} options.lpActorId - Position the transfers are read for
+ * @param {Array} options.transfers - Completed LPTransfer records
+ * @returns {Array<Object>} Ledger entries sorted by date: { id, type, date, amount, sourceId, title }
+ */
+function buildInvestorLedger(capitalCallAllocations = [], distributionAllocations = [], options = {}) {
+  const asOf = firstValidDate(options.asOfDate);
+  const ledger = [];
+
+  for (const alloc of capitalCallAllocations) {
+    const funded = alloc.fundedAmount || 0;
+    if (funded <= 0) continue;
+    const date = firstValidDate(alloc.fundedAt, alloc.capitalCall?.dueDate, alloc.capitalCall?.createdAt);
+    if (!date) continue;
+    ledger.push({
+      id: alloc.id,
+      type: 'CONTRIBUTION',
+      date,
+      amount: -funded,
+      sourceId: alloc.capitalCall?.id || alloc.capitalCallId || null,
+      title: alloc.capitalCall?.title || null
+    });
+  }
+
+  for (const alloc of distributionAllocations) {
+    if (!PAID_DISTRIBUTION_STATUSES.includes(alloc.status)) continue;
+    const net = alloc.netAmount || 0;
+    if (net <= 0) continue;
+    const date = firstValidDate(alloc.paidAt, alloc.distribution?.distributionDate, alloc.distribution?.createdAt);
+    if (!date) continue;
+    ledger.push({
+      id: alloc.id,
+      type: 'DISTRIBUTION',
+      date,
+      amount: net,
+      sourceId: alloc.distribution?.id || alloc.distributionId || null,
+      title: alloc.distribution?.title || null
+    });
+  }
+
+  for (const transfer of options.transfers || []) {
+    if (transfer.status !== 'COMPLETED' || !transfer.price) continue;
+    const isIn = transfer.toLpActorId === options.lpActorId;
+    const isOut = transfer.fromLpActorId === options.lpActorId;
+    if (!isIn && !isOut) continue;
+    const date = firstValidDate(transfer.effectiveDate, transfer.completedAt);
+    if (!date) continue;
+    ledger.push({
+      id: transfer.id,
+      type: isIn ? 'TRANSFER_PURCHASE' : 'TRANSFER_SALE',
+      date,
+      amount: isIn ? -transfer.price : transfer.price,
+      sourceId: transfer.id,
+      title: isIn ? 'Secondary purchase' : 'Secondary sale'
+    });
+  }
+
+  const filtered = asOf ? ledger.filter(entry => entry.date <= asOf) : ledger;
+  filtered.sort((a, b) => a.date - b.date);
+
+  logDebug(`Ledger built`, { entryCount: filtered.length, asOfDate: asOf?.toISOString() || null });
+  return filtered;
+}
+
+/**
+ * Since-inception return metrics from a dated ledger.
+ *
+ * Residual value is the investor's unrealized position; when it is unknown
+ * (null) RVPI is reported as null and TVPI reflects realized value only.
+ * A positive residual is included in the XIRR as a terminal flow at asOfDate.
+ *
+ * @param {Array} ledger - Output of buildInvestorLedger
+ * @param {Object} options
+ * @param {number|null} options.residualValue - Unrealized value of the position
+ * @param {Date|string} options.asOfDate - Valuation date (defaults to now)
+ * @returns {Object} { paidIn, distributed, residualValue, dpi, rvpi, tvpi, irr, firstContributionDate, lastActivityDate }
+ */
+function calculateLedgerMetrics(ledger = [], options = {}) {
+  const residualValue = options.residualValue ?? null;
+  const asOf = firstValidDate(options.asOfDate) || new Date();
+
+  const paidIn = ledger.filter(e => e.amount < 0).reduce((sum, e) => sum - e.amount, 0);
+  const distributed = ledger.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0);
+  const residual = residualValue || 0;
+
+  const flows = ledger.map(e => ({ date: e.date, amount: e.amount }));
+  if (residual > 0) {
+    flows.push({ date: asOf, amount: residual });
+  }
+
+  const firstContribution = ledger.find(e => e.amount < 0);
+
+  return {
+    paidIn,
+    distributed,
+    residualValue,
+    dpi: paidIn > 0 ? distributed / paidIn : null,
+    rvpi: paidIn > 0 && residualValue !== null ? residual / paidIn : null,
+    tvpi: paidIn > 0 ? (distributed + residual) / paidIn : null,
+    irr: calculateXIRR(flows),
+    firstContributionDate: firstContribution ? firstContribution.date.toISOString() : null,
+    lastActivityDate: ledger.length > 0 ? ledger[ledger.length - 1].date.toISOString() : null
+  };
+}
+
+/**
+ * Load an investor's ledger directly from their allocations.
+ * Used by callers that need returns without the full statement.
+ *
+ * @param {string} lpActorId - LP Actor ID
+ * @param {Object} options - { asOfDate }
+ * @returns {Promise<Array>} Ledger entries
+ */
+async function loadInvestorLedger(lpActorId, options = {}) {
+  const prisma = getPrisma();
+
+  const [capitalCallAllocations, distributionAllocations, transfers] = await Promise.all([
+    prisma.capitalCallAllocation.findMany({
+      where: { lpActorId },
+      include: {
+        capitalCall: { select: { id: true, title: true, dueDate: true, createdAt: true } }
+      }
+    }),
+    prisma.distributionAllocation.findMany({
+      where: { lpActorId },
+      include: {
+        distribution: { select: { id: true, title: true, distributionDate: true, createdAt: true } }
+      }
+    }),
+    prisma.lPTransfer.findMany({
+      where: { status: 'COMPLETED', OR: [{ fromLpActorId: lpActorId }, { toLpActorId: lpActorId }] }
+    })
+  ]);
+
+  return buildInvestorLedger(capitalCallAllocations, distributionAllocations, { ...options, lpActorId, transfers });
+}
+
+/**
+ * Load the LP's NAV from the latest approved valuation mark on or before a date
+ *
+ * @param {string} lpActorId - LP Actor ID
+ * @param {Object} options - { asOfDate } (defaults to now)
+ * @returns {Promise<Object|null>} { markId, nav, asOfDate, year, quarter, method, approvedAt } or null
+ */
+async function loadLatestNav(lpActorId, options = {}) {
+  const prisma = getPrisma();
+  const asOf = firstValidDate(options.asOfDate) || new Date();
+
+  const row = await prisma.valuationMarkLPNav.findFirst({
+    where: { lpActorId, asOfDate: { lte: asOf }, mark: { status: 'APPROVED' } },
+    orderBy: { asOfDate: 'desc' },
+    include: {
+      mark: { select: { id: true, year: true, quarter: true, method: true, approvedAt: true } }
+    }
+  });
+  if (!row) return null;
+
+  return {
+    markId: row.mark.id,
+    nav: row.nav,
+    asOfDate: row.asOfDate.toISOString(),
+    year: row.mark.year,
+    quarter: row.mark.quarter,
+    method: row.mark.method,
+    approvedAt: row.mark.approvedAt?.toISOString() || null
+  };
+}
+
 /**
  * Calculate performance metrics
  * @param {Object} lpActor - LP Actor record
  * @param {Object} capitalSummary - Capital call summary
  * @param {Object} distributionSummary - Distribution summary
+ * @param {Array|null} ledger - Dated ledger (buildInvestorLedger); adds since-inception returns
+ * @param {Object} options - { residualValue, asOfDate } passed to calculateLedgerMetrics;
+ *   transferSummary (calculateTransferSummary) adjusts remaining capital for conveyed paid-in
  * @returns {Object} Performance metrics
  */
-function calculatePerformance(lpActor, capitalSummary, distributionSummary) {
+function calculatePerformance(lpActor, capitalSummary, distributionSummary, ledger = null, options = {}) {
   logDebug(`Calculating performance metrics`, {
     lpActorId: lpActor.id,
     commitment: lpActor.commitment
@@ -124,12 +372,13 @@ function calculatePerformance(lpActor, capitalSummary, distributionSummary) {
   const performance = {
     capitalCommitted: lpActor.commitment || 0,
     capitalDeployed: capitalSummary.totalFunded,
-    capitalRemaining: (lpActor.commitment || 0) - capitalSummary.totalFunded,
+    capitalRemaining: (lpActor.commitment || 0) - capitalSummary.totalFunded
+      - (options.transferSummary ? options.transferSummary.contributedIn - options.transferSummary.contributedOut : 0),
     capitalPending: capitalSummary.totalPending,
     distributionsReceived: distributionSummary.totalPaid,
     distributionsPending: distributionSummary.totalNet - distributionSummary.totalPaid,
     netCashFlow: distributionSummary.totalPaid - capitalSummary.totalFunded,
-    unrealizedValue: null // Future: NAV integration
+    unrealizedValue: options.residualValue ?? null
   };
 
   // Calculate multiple if capital deployed > 0
@@ -139,6 +388,20 @@ function calculatePerformance(lpActor, capitalSummary, distributionSummary) {
     performance.distributionMultiple = null;
   }
 
+  if (ledger) {
+    const metrics = calculateLedgerMetrics(ledger, options);
+    performance.sinceInception = {
+      irr: metrics.irr,
+      tvpi: metrics.tvpi,
+      dpi: metrics.dpi,
+      rvpi: metrics.rvpi,
+      paidIn: metrics.paidIn,
+      distributed: metrics.distributed,
+      firstContributionDate: metrics.firstContributionDate,
+      asOfDate: (firstValidDate(options.asOfDate) || new Date()).toISOString()
+    };
+  }
+
   logDebug(`Performance metrics calculated`, performance);
   return performance;
 }
@@ -173,6 +436,9 @@ export async function buildLPStatement(dealId, lpActorId, options = {}) {
             name: true,
             preferredReturn: true,
             managementFee: true,
+            feeBasis: true,
+            investmentPeriodEnd: true,
+            stepDownFee: true,
             carryPercent: true,
             priority: true
           }
@@ -247,14 +513,66 @@ export async function buildLPStatement(dealId, lpActorId, options = {}) {
       totalNet: distributionAllocations.reduce((s, a) => s + (a.netAmount || 0), 0)
     });
 
-    // Step 4: Calculate summaries
+    // Step 4: Fetch this LP's management fee lines
+    const feeLines = await prisma.feeInvoiceLine.findMany({
+      where: { lpActorId },
+      include: {
+        invoice: {
+          select: {
+            id: true,
+            year: true,
+            quarter: true,
+            periodStart: true,
+            periodEnd: true,
+            status: true,
+            distributionId: true,
+            capitalCallId: true
+          }
+        }
+      },
+      orderBy: [{ invoice: { year: 'desc' } }, { invoice: { quarter: 'desc' } }]
+    });
+
+    log(`Fetched fee lines`, {
+      count: feeLines.length,
+      totalDue: feeLines.reduce((s, l) => s + (l.totalDue || 0), 0)
+    });
+
+    // Step 4b: Fetch completed transfers in and out of this position
+    const transfers = await prisma.lPTransfer.findMany({
+      where: { status: 'COMPLETED', OR: [{ fromLpActorId: lpActorId }, { toLpActorId: lpActorId }] },
+      include: {
+        fromLpActor: { select: { id: true, entityName: true } },
+        toLpActor: { select: { id: true, entityName: true } }
+      },
+      orderBy: { effectiveDate: 'desc' }
+    });
+
+    log(`Fetched transfers`, { count: transfers.length });
+
+    // Step 5: Calculate summaries
     const capitalSummary = calculateCapitalCallSummary(capitalCallAllocations);
     const distributionSummary = calculateDistributionSummary(distributionAllocations);
+    const feeSummary = calculateFeeSummary(feeLines);
+    const transferSummary = calculateTransferSummary(lpActorId, transfers);
+    const capitalAccount = calculateCapitalAccount(lpActor, capitalSummary, distributionSummary, feeSummary, transferSummary);
 
-    // Step 5: Calculate performance
-    const performance = calculatePerformance(lpActor, capitalSummary, distributionSummary);
+    if (!capitalAccount.reconciled) {
+      log(`Capital account does not reconcile`, { lpActorId, differences: capitalAccount.differences });
+    }
 
-    // Step 6: Build response
+    // Step 6: Calculate performance from the dated ledger; unless the caller
+    // supplies a residual value, the latest approved NAV is the unrealized value
+    const asOfDate = parseStatementDate(options.toDate) || reportDate;
+    const ledger = buildInvestorLedger(capitalCallAllocations, distributionAllocations, { asOfDate, lpActorId, transfers });
+    const valuation = options.residualValue == null ? await loadLatestNav(lpActorId, { asOfDate }) : null;
+    const performance = calculatePerformance(lpActor, capitalSummary, distributionSummary, ledger, {
+      asOfDate,
+      residualValue: options.residualValue ?? valuation?.nav ?? null,
+      transferSummary
+    });
+
+    // Step 7: Build response
     const statement = {
       reportDate: reportDate.toISOString(),
       reportPeriod: {
@@ -275,6 +593,9 @@ export async function buildLPStatement(dealId, lpActorId, options = {}) {
           name: lpActor.shareClass.name,
           preferredReturn: lpActor.shareClass.preferredReturn,
           managementFee: lpActor.shareClass.managementFee,
+          feeBasis: lpActor.shareClass.feeBasis,
+          investmentPeriodEnd: lpActor.shareClass.investmentPeriodEnd?.toISOString() || null,
+          stepDownFee: lpActor.shareClass.stepDownFee,
           carryPercent: lpActor.shareClass.carryPercent,
           priority: lpActor.shareClass.priority
         } : null
@@ -307,6 +628,7 @@ export async function buildLPStatement(dealId, lpActorId, options = {}) {
           period: alloc.distribution.period,
           grossAmount: alloc.grossAmount,
           withholdingAmount: alloc.withholdingAmount || 0,
+          feeAmount: alloc.feeAmount || 0,
           netAmount: alloc.netAmount,
           status: alloc.status,
           paidAt: alloc.paidAt?.toISOString() || null
@@ -314,7 +636,59 @@ export async function buildLPStatement(dealId, lpActorId, options = {}) {
         summary: distributionSummary
       },
 
-      performance
+      fees: {
+        items: feeLines.map(line => ({
+          id: line.id,
+          invoiceId: line.invoice.id,
+          period: `Q${line.invoice.quarter} ${line.invoice.year}`,
+          periodStart: line.invoice.periodStart?.toISOString() || null,
+          periodEnd: line.invoice.periodEnd?.toISOString() || null,
+          basis: line.basis,
+          basisAmount: line.basisAmount,
+          feeRate: line.feeRate,
+          managementFee: line.managementFee,
+          offsetAmount: line.offsetAmount || 0,
+          expenseShare: line.expenseShare || 0,
+          totalDue: line.totalDue,
+          settledAmount: line.settledAmount || 0,
+          status: line.invoice.status,
+          settledBy: line.invoice.capitalCallId ? 'CAPITAL_CALL' : line.invoice.distributionId ? 'DISTRIBUTION' : null
+        })),
+        summary: feeSummary
+      },
+
+      transfers: {
+        items: transfers.map(transfer => {
+          const isIn = transfer.toLpActorId === lpActorId;
+          return {
+            id: transfer.id,
+            direction: isIn ? 'IN' : 'OUT',
+            counterparty: isIn ? transfer.fromLpActor?.entityName : transfer.toLpActor?.entityName,
+            effectiveDate: transfer.effectiveDate?.toISOString() || null,
+            commitmentTransferred: transfer.transferAmount,
+            ownershipPctTransferred: transfer.transferPct,
+            contributedTransferred: transfer.contributedTransferred ?? null,
+            distributionsTransferred: transfer.distributionsTransferred ?? null,
+            unfundedTransferred: transfer.unfundedTransferred ?? null,
+            price: transfer.price ?? null,
+            navAtTransfer: transfer.navAtTransfer ?? null,
+            premiumDiscountPct: transfer.premiumDiscountPct ?? null,
+            accruedPref: isIn ? transfer.prefToTransferee ?? null : transfer.prefToTransferor ?? null
+          };
+        }),
+        summary: transferSummary
+      },
+
+      capitalAccount,
+
+      ledger: ledger.map(entry => ({
+        ...entry,
+        date: entry.date.toISOString()
+      })),
+
+      performance,
+
+      valuation
     };
 
     log(`Statement built successfully`, {
@@ -381,7 +755,12 @@ export async function requireLPDealAccess(authUser, dealId) {
 export {
   calculateCapitalCallSummary,
   calculateDistributionSummary,
-  calculatePerformance
+  calculateFeeSummary,
+  calculatePerformance,
+  buildInvestorLedger,
+  calculateLedgerMetrics,
+  loadInvestorLedger,
+  loadLatestNav
 };
 
 export default {
@@ -389,5 +768,10 @@ export default {
   requireLPDealAccess,
   calculateCapitalCallSummary,
   calculateDistributionSummary,
-  calculatePerformance
+  calculateFeeSummary,
+  calculatePerformance,
+  buildInvestorLedger,
+  calculateLedgerMetrics,
+  loadInvestorLedger,
+  loadLatestNav
 };
@@ -0,0 +1,418 @@
+/**
+ * Marketing Room Service
+ *
+ * Pure rules for deal-by-deal equity raises:
+ * - Room content validation and DRAFT -> OPEN -> CLOSED lifecycle
+ * - Soft-circle (non-binding indication) validation
+ * - Commitment tracker against target and the prospect conversion funnel
+ * - Prospect-safe room view and per-viewer document watermarks
+ */
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[MarketingRoom]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_MARKETING_ROOM === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const ROOM_STATUSES = ['DRAFT', 'OPEN', 'CLOSED'];
+export const ACCESS_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+export const INTEREST_STATUSES = ['INDICATED', 'WITHDRAWN', 'CONVERTED'];
+export const RISK_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+export const MAX_PROSPECT_FIELD_LENGTH = 120;
+
+const TRANSITIONS = {
+  DRAFT: ['OPEN'],
+  OPEN: ['CLOSED'],
+  CLOSED: ['OPEN']
+};
+
+export const FUNNEL_STAGES = [
+  { key: 'requested', label: 'Requested access' },
+  { key: 'approved', label: 'Approved' },
+  { key: 'viewed', label: 'Viewed room' },
+  { key: 'indicated', label: 'Soft-circled' },
+  { key: 'converted', label: 'Invited' },
+  { key: 'committed', label: 'Committed' }
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseJsonArray(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// ============================================================================
+// ROOM VALIDATION AND LIFECYCLE
+// ============================================================================
+
+/**
+ * Validate room content
+ *
+ * @param {Object} data - Room fields (thesis/keyRisks/documentIds as arrays)
+ * @param {Object} options
+ * @param {Object} options.existing - Current room, for min/target checks on PATCH
+ * @returns {string[]} Validation errors
+ */
+export function validateRoom(data, { existing = null } = {}) {
+  const errors = [];
+
+  for (const field of ['minCommitment', 'targetCommitment']) {
+    if (data[field] !== undefined && data[field] !== null && !isPositiveNumber(data[field])) {
+      errors.push(`${field} must be a positive number`);
+    }
+  }
+
+  const min = data.minCommitment !== undefined ? data.minCommitment : existing?.minCommitment;
+  const target = data.targetCommitment !== undefined ? data.targetCommitment : existing?.targetCommitment;
+  if (isPositiveNumber(min) && isPositiveNumber(target) && min > target) {
+    errors.push('minCommitment cannot exceed targetCommitment');
+  }
+
+  if (data.thesis !== undefined &&
+    (!Array.isArray(data.thesis) || data.thesis.some(point => typeof point !== 'string' || !point.trim()))) {
+    errors.push('thesis must be an array of bullet points');
+  }
+
+  if (data.keyRisks !== undefined &&
+    (!Array.isArray(data.keyRisks) || data.keyRisks.some(r => !r?.risk || !RISK_SEVERITIES.includes(r.severity)))) {
+    errors.push(`keyRisks must be an array of { risk, severity } with severity ${RISK_SEVERITIES.join(', ')}`);
+  }
+
+  if (data.documentIds !== undefined &&
+    (!Array.isArray(data.documentIds) || data.documentIds.some(id => typeof id !== 'string'))) {
+    errors.push('documentIds must be an array of document IDs');
+  }
+
+  if (data.targetCloseDate && Number.isNaN(new Date(data.targetCloseDate).getTime())) {
+    errors.push('targetCloseDate must be a valid date');
+  }
+
+  return errors;
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Validate a status change; opening needs enough content to market
+ *
+ * @returns {string[]} Validation errors
+ */
+export function validateStatusChange(room, to) {
+  if (!ROOM_STATUSES.includes(to)) {
+    return [`status must be one of ${ROOM_STATUSES.join(', ')}`];
+  }
+  if (!canTransition(room.status, to)) {
+    return [`Cannot move marketing room from ${room.status} to ${to}`];
+  }
+
+  const errors = [];
+  if (to === 'OPEN') {
+    if (!room.offeringName) errors.push('offeringName is required to open the room');
+    if (!isPositiveNumber(room.targetCommitment)) errors.push('targetCommitment is required to open the room');
+    if (parseJsonArray(room.thesis).length === 0) errors.push('thesis is required to open the room');
+  }
+  return errors;
+}
+
+// ============================================================================
+// SOFT CIRCLES
+// ============================================================================
+
+/**
+ * Validate the optional name and company on a public access request
+ *
+ * @param {Object} data - { name, company }
+ * @returns {string[]} Validation errors
+ */
+export function validateAccessRequest({ name, company }) {
+  const errors = [];
+  for (const [field, value] of Object.entries({ name, company })) {
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.trim().length > MAX_PROSPECT_FIELD_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_PROSPECT_FIELD_LENGTH} characters`);
+    } else if (/[\u0000-\u001f<>]/.test(value)) {
+      errors.push(`${field} contains characters that are not allowed`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a prospect's non-binding indication
+ *
+ * @param {Object} room
+ * @param {Object} data - { indicatedAmount }
+ * @param {Object} existingInterest - Current indication, if any
+ * @returns {string[]} Validation errors
+ */
+export function validateIndication(room, { indicatedAmount }, existingInterest = null) {
+  const errors = [];
+
+  if (room.status !== 'OPEN') {
+    errors.push('The offering is not accepting indications');
+  }
+  if (existingInterest?.status === 'CONVERTED') {
+    errors.push('This indication has already been converted to an invitation');
+  }
+  if (!isPositiveNumber(indicatedAmount)) {
+    errors.push('indicatedAmount must be a positive number');
+  } else if (isPositiveNumber(room.minCommitment) && indicatedAmount < room.minCommitment) {
+    errors.push(`indicatedAmount must be at least the minimum commitment of ${room.minCommitment}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Default ownership for a converted indication: share of the raise target
+ *
+ * @returns {number|null} Percentage (0-100), or null when there is no target
+ */
+export function suggestOwnershipPct(amount, room) {
+  if (!isPositiveNumber(amount) || !isPositiveNumber(room?.targetCommitment)) return null;
+  return round(Math.min(100, (amount / room.targetCommitment) * 100), 4);
+}
+
+// ============================================================================
+// TRACKER AND FUNNEL
+// ============================================================================
+
+/**
+ * Commitments against target
+ *
+ * softCircled counts live indications (INDICATED and CONVERTED), invited the
+ * amounts on outstanding invitations, committed the accepted invitations.
+ *
+ * @param {Object} room
+ * @param {Array} interests - MarketingRoomInterest rows
+ * @param {Array} invitations - LPInvitation rows for converted interests
+ * @returns {Object}
+ */
+export function buildCommitmentTracker(room, interests, invitations = []) {
+  const target = room.targetCommitment || 0;
+  const live = interests.filter(i => i.status !== 'WITHDRAWN');
+
+  const softCircled = live.reduce((sum, i) => sum + (i.indicatedAmount || 0), 0);
+  const invited = invitations
+    .filter(inv => inv.status === 'PENDING')
+    .reduce((sum, inv) => sum + (inv.commitment || 0), 0);
+  const committed = invitations
+    .filter(inv => inv.status === 'ACCEPTED')
+    .reduce((sum, inv) => sum + (inv.commitment || 0), 0);
+
+  const pct = (amount) => (target > 0 ? round((amount / target) * 100, 1) : null);
+
+  return {
+    targetCommitment: target || null,
+    minCommitment: room.minCommitment ?? null,
+    softCircled,
+    invited,
+    committed,
+    softCircledPct: pct(softCircled),
+    committedPct: pct(committed),
+    remaining: target > 0 ? Math.max(0, target - committed) : null,
+    indicationCount: live.length,
+    averageIndication: live.length > 0 ? round(softCircled / live.length) : null
+  };
+}
+
+/**
+ * Prospect conversion funnel, keyed by email
+ * Each stage counts prospects who reached at least that stage; rate is the
+ * share of the previous stage that moved on.
+ *
+ * @param {Array} accessRequests - MarketingRoomAccess rows
+ * @param {Array} interests - MarketingRoomInterest rows
+ * @param {Array} invitations - LPInvitation rows for converted interests
+ * @returns {Array} [{ key, label, count, rate }]
+ */
+export function buildConversionFunnel(accessRequests, interests, invitations = []) {
+  const invitationById = new Map(invitations.map(inv => [inv.id, inv]));
+  const liveInterests = interests.filter(i => i.status !== 'WITHDRAWN');
+  const converted = interests.filter(i => i.status === 'CONVERTED');
+
+  const counts = {
+    requested: accessRequests.length,
+    approved: accessRequests.filter(a => a.status === 'APPROVED').length,
+    viewed: accessRequests.filter(a => a.status === 'APPROVED' && a.viewCount > 0).length,
+    indicated: liveInterests.length,
+    converted: converted.length,
+    committed: converted.filter(i => invitationById.get(i.invitationId)?.status === 'ACCEPTED').length
+  };
+
+  return FUNNEL_STAGES.map((stage, index) => {
+    const previous = index > 0 ? counts[FUNNEL_STAGES[index - 1].key] : null;
+    return {
+      ...stage,
+      count: counts[stage.key],
+      rate: previous ? round(counts[stage.key] / previous, 3) : null
+    };
+  });
+}
+
+// ============================================================================
+// PROSPECT VIEW
+// ============================================================================
+
+/**
+ * Public teaser shown before access is granted
+ */
+export function buildTeaser(room) {
+  return {
+    id: room.id,
+    status: room.status,
+    isGated: room.isGated,
+    offeringName: room.offeringName,
+    strategy: room.strategy,
+    targetCloseDate: room.targetCloseDate,
+    minCommitment: room.minCommitment
+  };
+}
+
+/**
+ * Room as seen by an approved prospect
+ * Internal fields (creator, prospect list, tracker) are not included.
+ *
+ * @param {Object} room
+ * @param {Array} documents - LPDocument rows listed in room.documentIds
+ * @param {Object} interest - The prospect's own indication, if any
+ */
+export function buildProspectRoomView(room, documents = [], interest = null) {
+  return {
+    ...buildTeaser(room),
+    targetCommitment: room.targetCommitment,
+    targetReturnIRR: room.targetReturnIRR,
+    targetMultiple: room.targetMultiple,
+    thesis: parseJsonArray(room.thesis),
+    keyRisks: parseJsonArray(room.keyRisks),
+    documents: documents.map(doc => ({
+      id: doc.id,
+      filename: doc.filename,
+      documentType: doc.documentType,
+      mimeType: doc.mimeType,
+      sizeBytes: doc.sizeBytes
+    })),
+    myIndication: interest ? {
+      indicatedAmount: interest.indicatedAmount,
+      shareClassId: interest.shareClassId,
+      notes: interest.notes,
+      status: interest.status,
+      indicatedAt: interest.indicatedAt
+    } : null
+  };
+}
+
+/**
+ * Watermark stamped on a document for one viewer
+ * The fingerprint is stored with the view so a leaked copy can be traced.
+ *
+ * @param {Object} access - MarketingRoomAccess row
+ * @param {string} fingerprint
+ * @param {Date} now
+ * @returns {Object} { text, fingerprint }
+ */
+export function buildWatermark(access, fingerprint, now = new Date()) {
+  const viewer = [access.name, access.company].filter(Boolean).join(', ') || access.email;
+  const text = `CONFIDENTIAL - Prepared for ${viewer} <${access.email}> - ${now.toISOString().slice(0, 10)} - ${fingerprint}`;
+
+  logDebug('Built watermark', { accessId: access.id, fingerprint });
+  return { text, fingerprint };
+}
+
+/**
+ * Escape text for interpolation into HTML (emails, rendered documents)
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+/**
+ * HTML that re-renders a document's pages with the viewer's watermark
+ * stamped across and under every page, for pdf-renderer to print.
+ * Pages are images, so the stamp cannot be lifted out as a text layer.
+ *
+ * @param {Array} pages - [{ pageNumber, mimeType, data: Buffer }]
+ * @param {Object} watermark - Output of buildWatermark
+ * @param {string} title - Document filename
+ * @returns {string}
+ */
+export function buildWatermarkedDocumentHtml(pages, watermark, title) {
+  const stamp = escapeHtml(watermark.text);
+  const body = pages.map(page => `
+    <div class="wm-page">
+      <img src="data:${page.mimeType};base64,${page.data.toString('base64')}" alt="Page ${page.pageNumber}">
+      <div class="wm-stamp">${stamp}</div>
+      <div class="wm-caption">${stamp}</div>
+    </div>`).join('');
+
+  logDebug('Built watermarked document', { fingerprint: watermark.fingerprint, pageCount: pages.length });
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>${escapeHtml(title)}</title>
+<style>
+  .wm-page { position: relative; page-break-after: always; text-align: center; }
+  .wm-page:last-child { page-break-after: auto; }
+  .wm-page img { max-width: 100%; max-height: 8.5in; }
+  .wm-stamp { position: absolute; top: 45%; left: 0; right: 0; transform: rotate(-30deg); font-size: 14pt; font-weight: bold; color: rgba(200, 0, 0, 0.25); }
+  .wm-caption { font-family: monospace; font-size: 7pt; color: #737373; margin-top: 4pt; }
+</style>
+</head>
+<body>${body}
+</body>
+</html>`;
+}
+
+export default {
+  ROOM_STATUSES,
+  ACCESS_STATUSES,
+  INTEREST_STATUSES,
+  RISK_SEVERITIES,
+  MAX_PROSPECT_FIELD_LENGTH,
+  FUNNEL_STAGES,
+  validateRoom,
+  canTransition,
+  validateStatusChange,
+  validateAccessRequest,
+  validateIndication,
+  suggestOwnershipPct,
+  buildCommitmentTracker,
+  buildConversionFunnel,
+  buildTeaser,
+  buildProspectRoomView,
+  buildWatermark,
+  buildWatermarkedDocumentHtml,
+  escapeHtml
+};
@@ -68,6 +68,11 @@ export function generateMemo(deal, model, scenarios = [], conflicts = [], analys
   // Debt Structure
   sections.push(generateDebtStructure(model));
 
+  // Development Budget (ground-up deals only)
+  if (model?.development) {
+    sections.push(generateDevelopmentSummary(model));
+  }
+
   // Key Assumptions
   sections.push(generateAssumptions(model, inputs));
 
@@ -228,6 +233,52 @@ function generateDebtStructure(model) {
 | DSCR | ${debt.dscr?.toFixed(2) || 'N/A'}x | 1.25x min |`;
 }
 
+function generateDevelopmentSummary(model) {
+  const { budget = {}, sources = {}, timeline = {}, returns = {} } = model.development;
+  const formatBps = (bps) => (bps === null || bps === undefined ? 'N/A' : `${formatNumber(bps)} bps`);
+
+  return `## Development Budget
+
+### Uses
+| Line Item | Amount |
+|-----------|--------------|
+| Land | ${formatCurrency(budget.landCost)} |
+| Hard Costs | ${formatCurrency(budget.hardCosts)} |
+| Hard Cost Contingency | ${formatCurrency(budget.hardContingency)} |
+| Soft Costs | ${formatCurrency(budget.softCosts)} |
+| Soft Cost Contingency | ${formatCurrency(budget.softContingency)} |
+| Financing Fees | ${formatCurrency(budget.financingFees)} |
+| Interest Reserve | ${formatCurrency(budget.interestReserve)} |
+| Lease-Up Deficit | ${formatCurrency(budget.leaseUpDeficit)} |
+| **Total Development Cost** | **${formatCurrency(budget.totalCost)}** |
+
+### Sources
+| | |
+|-----------|--------------|
+| Equity (funded first) | ${formatCurrency(sources.equity)} |
+| Construction Loan | ${formatCurrency(sources.loan)} |
+| Loan-to-Cost | ${formatPercent(sources.ltc)} |
+
+### Timeline
+| | |
+|-----------|--------------|
+| Construction Start | ${timeline.constructionStart || 'N/A'} |
+| Completion | ${timeline.completionDate || 'N/A'} (${timeline.constructionMonths || 'N/A'} months) |
+| Stabilization | ${timeline.stabilizationDate || 'N/A'} |
+| Sale | ${timeline.saleDate || 'N/A'} |
+
+### Returns on Cost
+| Metric | Value |
+|--------|-------|
+| Yield on Cost | ${formatPercent(returns.yieldOnCost)} |
+| Untrended Return on Cost | ${formatPercent(returns.untrendedReturnOnCost)} |
+| Trended Return on Cost | ${formatPercent(returns.trendedReturnOnCost)} |
+| Market Cap Rate | ${formatPercent(returns.marketCapRate)} |
+| Development Spread | ${formatBps(returns.developmentSpreadBps)} |
+| Levered IRR | ${formatPercent(returns.leveredIRR)} |
+| Equity Multiple | ${returns.equityMultiple?.toFixed(2) || 'N/A'}x |`;
+}
+
 function generateAssumptions(model, inputs) {
   const modelInputs = model?.inputs || {};
 
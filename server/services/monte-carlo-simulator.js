@@ -0,0 +1,514 @@
+/**
+ * Monte Carlo Simulator
+ *
+ * Probabilistic underwriting on top of the deterministic calculators:
+ * - Draws rent growth, vacancy, exit cap, expense growth and interest rate
+ *   from normal, triangular, uniform or fixed distributions
+ * - Optional correlations between inputs (Gaussian copula)
+ * - Seedable RNG so a run can be reproduced exactly
+ * - Reruns calculateUnderwriting and projectDetailedCashFlows per draw
+ * - Percentile bands, hurdle and DSCR covenant breach probabilities,
+ *   and tornado-chart swings per input
+ *
+ * All functions are pure; routes/underwriting.js loads the base model.
+ */
+
+import { calculateUnderwriting, projectDetailedCashFlows } from './underwriting-calculator.js';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[MonteCarlo]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_MONTE_CARLO === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Inputs that can be simulated, with default spreads around the base case */
+export const SIMULATION_VARIABLES = {
+  rentGrowth: { label: 'Rent Growth', defaultStdDev: 0.01, fallback: 0.03 },
+  vacancyRate: { label: 'Vacancy', defaultStdDev: 0.02, fallback: 0.05, min: 0, max: 1 },
+  exitCapRate: { label: 'Exit Cap Rate', defaultStdDev: 0.005, fallback: 0.055, min: 0.01 },
+  expenseGrowth: { label: 'Expense Growth', defaultStdDev: 0.005, fallback: 0.02 },
+  interestRate: { label: 'Interest Rate', defaultStdDev: 0.0075, fallback: 0.065, min: 0 }
+};
+
+export const DISTRIBUTION_TYPES = ['normal', 'triangular', 'uniform', 'fixed'];
+
+export const DEFAULT_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+export const MAX_ITERATIONS = 10000;
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+/**
+ * Seedable uniform RNG (mulberry32). Returns a function yielding [0, 1).
+ *
+ * @param {number|string} seed - Integer seed or string (hashed)
+ */
+export function createRng(seed = Date.now()) {
+  let state = typeof seed === 'string' ? hashSeed(seed) : (Number(seed) >>> 0);
+
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/** Standard normal draw (Box-Muller) */
+function standardNormal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/** Standard normal CDF (Abramowitz-Stegun 7.1.26) */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// ============================================================================
+// DISTRIBUTIONS
+// ============================================================================
+
+/**
+ * Resolve the distribution for each simulated variable. Variables without a
+ * user distribution get a normal centred on the base model value.
+ *
+ * @param {Object} baseModel - Base underwriting inputs
+ * @param {Object} distributions - { [variable]: { type, mean?, stdDev?, min?, mode?, max?, value? } }
+ * @returns {Object} { [variable]: normalized distribution }
+ */
+export function resolveDistributions(baseModel, distributions = {}) {
+  const resolved = {};
+
+  for (const [variable, config] of Object.entries(SIMULATION_VARIABLES)) {
+    const base = baseModel[variable] ?? config.fallback;
+    const spec = distributions[variable] || { type: 'normal' };
+
+    switch (spec.type) {
+      case 'fixed':
+        resolved[variable] = { type: 'fixed', value: spec.value ?? base };
+        break;
+      case 'uniform':
+        resolved[variable] = { type: 'uniform', min: spec.min, max: spec.max };
+        break;
+      case 'triangular':
+        resolved[variable] = {
+          type: 'triangular',
+          min: spec.min,
+          mode: Math.min(spec.max, Math.max(spec.min, spec.mode ?? base)),
+          max: spec.max
+        };
+        break;
+      case 'normal':
+      default:
+        resolved[variable] = {
+          type: 'normal',
+          mean: spec.mean ?? base,
+          stdDev: spec.stdDev ?? config.defaultStdDev,
+          min: spec.min ?? config.min,
+          max: spec.max ?? config.max
+        };
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate simulation options. Returns a list of error messages (empty when valid).
+ */
+export function validateSimulationOptions(options = {}) {
+  const errors = [];
+  const { iterations, distributions = {}, correlations = [] } = options;
+
+  if (iterations !== undefined && (!Number.isInteger(iterations) || iterations < 10 || iterations > MAX_ITERATIONS)) {
+    errors.push(`iterations must be a whole number between 10 and ${MAX_ITERATIONS}`);
+  }
+
+  for (const [variable, spec] of Object.entries(distributions)) {
+    if (!SIMULATION_VARIABLES[variable]) {
+      errors.push(`Unknown variable: ${variable}`);
+      continue;
+    }
+    if (!DISTRIBUTION_TYPES.includes(spec?.type)) {
+      errors.push(`${variable}: type must be one of ${DISTRIBUTION_TYPES.join(', ')}`);
+      continue;
+    }
+    if (spec.type === 'normal' && spec.stdDev !== undefined && !(spec.stdDev >= 0)) {
+      errors.push(`${variable}: stdDev must be zero or positive`);
+    }
+    if (spec.type === 'uniform' && !(spec.min < spec.max)) {
+      errors.push(`${variable}: uniform needs min < max`);
+    }
+    if (spec.type === 'triangular' && !(spec.min <= (spec.mode ?? spec.min) && (spec.mode ?? spec.max) <= spec.max && spec.min < spec.max)) {
+      errors.push(`${variable}: triangular needs min <= mode <= max`);
+    }
+  }
+
+  if (!Array.isArray(correlations)) {
+    errors.push('correlations must be an array of { a, b, rho }');
+  } else {
+    for (const c of correlations) {
+      if (!SIMULATION_VARIABLES[c?.a] || !SIMULATION_VARIABLES[c?.b] || c.a === c.b) {
+        errors.push(`Correlation must name two different variables (got ${c?.a}, ${c?.b})`);
+      } else if (typeof c.rho !== 'number' || c.rho <= -1 || c.rho >= 1) {
+        errors.push(`Correlation ${c.a}/${c.b}: rho must be between -1 and 1`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Map a standard normal draw to a value from the distribution
+ */
+function sampleDistribution(dist, z) {
+  switch (dist.type) {
+    case 'fixed':
+      return dist.value;
+    case 'uniform':
+      return dist.min + normalCdf(z) * (dist.max - dist.min);
+    case 'triangular': {
+      const u = normalCdf(z);
+      const { min, mode, max } = dist;
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'normal':
+    default: {
+      const value = dist.mean + dist.stdDev * z;
+      return Math.min(dist.max ?? Infinity, Math.max(dist.min ?? -Infinity, value));
+    }
+  }
+}
+
+/**
+ * Value of a distribution at a percentile (for tornado swings)
+ */
+function distributionQuantile(dist, p) {
+  // Invert normalCdf by bisection; precise enough for P10/P90
+  let lo = -8;
+  let hi = 8;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < p) lo = mid; else hi = mid;
+  }
+  return sampleDistribution(dist, (lo + hi) / 2);
+}
+
+// ============================================================================
+// CORRELATION
+// ============================================================================
+
+/**
+ * Build the correlation matrix for the variables and return its Cholesky
+ * factor. Throws when the correlations are not jointly possible.
+ *
+ * @param {Array<string>} variables
+ * @param {Array<Object>} correlations - [{ a, b, rho }]
+ * @returns {Array<Array<number>>} Lower-triangular factor
+ */
+export function buildCholesky(variables, correlations = []) {
+  const n = variables.length;
+  const matrix = variables.map((_, i) => variables.map((_, j) => (i === j ? 1 : 0)));
+
+  for (const { a, b, rho } of correlations) {
+    const i = variables.indexOf(a);
+    const j = variables.indexOf(b);
+    if (i < 0 || j < 0) continue;
+    matrix[i][j] = rho;
+    matrix[j][i] = rho;
+  }
+
+  const lower = variables.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 0) {
+          throw new Error('Correlation matrix is not positive definite; reduce or reconcile the correlations');
+        }
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+
+  return lower;
+}
+
+/**
+ * Draw correlated input sets. Correlated standard normals drive every
+ * distribution (Gaussian copula), so correlations apply to triangular and
+ * uniform inputs too.
+ *
+ * @param {Object} distributions - Output of resolveDistributions
+ * @param {Array<Object>} correlations - [{ a, b, rho }]
+ * @param {number} iterations
+ * @param {Function} rng - Output of createRng
+ * @returns {Array<Object>} [{ [variable]: value }]
+ */
+export function generateDraws(distributions, correlations, iterations, rng) {
+  const variables = Object.keys(distributions);
+  const cholesky = buildCholesky(variables, correlations);
+  const draws = [];
+
+  for (let i = 0; i < iterations; i++) {
+    const independent = variables.map(() => standardNormal(rng));
+    const draw = {};
+    variables.forEach((variable, row) => {
+      let z = 0;
+      for (let k = 0; k <= row; k++) z += cholesky[row][k] * independent[k];
+      draw[variable] = sampleDistribution(distributions[variable], z);
+    });
+    draws.push(draw);
+  }
+
+  return draws;
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Percentiles of a list of numbers (linear interpolation)
+ *
+ * @returns {Object} { p5, p10, ..., mean, min, max }
+ */
+export function percentileBands(values, percentiles = DEFAULT_PERCENTILES) {
+  const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const at = (p) => {
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  };
+
+  const bands = {};
+  for (const p of percentiles) bands[`p${p}`] = at(p);
+  bands.mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  bands.min = sorted[0];
+  bands.max = sorted[sorted.length - 1];
+  return bands;
+}
+
+// ============================================================================
+// SINGLE RUN
+// ============================================================================
+
+/**
+ * Run the deterministic calculators on one set of drawn inputs
+ */
+function evaluateDraw(baseModel, draw) {
+  const model = { ...baseModel, ...draw };
+  const underwriting = calculateUnderwriting(model);
+  const projection = projectDetailedCashFlows(model);
+
+  const dscrs = projection.years.map(y => y.metrics.dscr).filter(d => d !== null);
+
+  return {
+    irr: projection.totals.irr,
+    equityMultiple: projection.totals.equityMultiple,
+    cashOnCash: underwriting.returns?.cashOnCash ?? null,
+    yearOneDSCR: underwriting.debtMetrics?.dscr ?? null,
+    minDSCR: dscrs.length > 0 ? Math.min(...dscrs) : null,
+    yearlyDSCR: projection.years.map(y => y.metrics.dscr),
+    yearlyCashFlow: projection.years.map(y => y.beforeTaxCashFlow)
+  };
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Run a Monte Carlo simulation of the underwriting model
+ *
+ * Inputs are drawn with generateDraws. Interest rate only
+ * moves a single fixed-rate loan; debt stacks and floating loans keep their
+ * own pricing. Draws whose IRR cannot be solved count as hurdle breaches.
+ *
+ * @param {Object} baseModel - Base underwriting inputs
+ * @param {Object} options
+ * @param {number} options.iterations - Number of draws (default 1000, max 10000)
+ * @param {number|string} options.seed - RNG seed (default: random; returned for replay)
+ * @param {Object} options.distributions - Per-variable distributions (see resolveDistributions)
+ * @param {Array<Object>} options.correlations - [{ a, b, rho }]
+ * @param {Array<number>} options.hurdles - IRR hurdles (default [preferredReturn || 0.08])
+ * @param {Array<number>} options.dscrCovenants - DSCR covenants tested against each draw's minimum (default [1.0, 1.25])
+ * @returns {Object} { seed, iterations, distributions, metrics, yearly, hurdles, covenants, tornado, warnings }
+ */
+export function runMonteCarlo(baseModel, options = {}) {
+  const errors = validateSimulationOptions(options);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const iterations = options.iterations || 1000;
+  const seed = options.seed ?? Math.floor(Math.random() * 2 ** 31);
+  const rng = createRng(seed);
+  const distributions = resolveDistributions(baseModel, options.distributions);
+  const variables = Object.keys(distributions);
+
+  const hurdles = options.hurdles?.length ? options.hurdles : [baseModel.preferredReturn || 0.08];
+  const dscrCovenants = options.dscrCovenants?.length ? options.dscrCovenants : [1.0, 1.25];
+
+  const draws = [];
+  const results = [];
+  const warnings = [];
+  let failed = 0;
+
+  generateDraws(distributions, options.correlations, iterations, rng).forEach((draw, i) => {
+    try {
+      results.push(evaluateDraw(baseModel, draw));
+      draws.push(draw);
+    } catch (error) {
+      failed++;
+      logDebug(`Draw failed`, { iteration: i, error: error.message });
+    }
+  });
+
+  if (failed > 0) {
+    warnings.push(`${failed} of ${iterations} draws could not be evaluated and were skipped`);
+  }
+  const completed = results.length;
+  const unsolvedIRR = results.filter(r => r.irr === null).length;
+  if (unsolvedIRR > 0) {
+    warnings.push(`${unsolvedIRR} draws had no solvable IRR and count as hurdle breaches`);
+  }
+
+  const share = (count) => (completed > 0 ? count / completed : null);
+
+  const hurdleResults = hurdles.map(hurdle => ({
+    hurdle,
+    probabilityBelow: share(results.filter(r => r.irr === null || r.irr < hurdle).length)
+  }));
+
+  const covenantResults = dscrCovenants.map(covenant => ({
+    covenant,
+    probabilityBreach: share(results.filter(r => r.minDSCR !== null && r.minDSCR < covenant).length),
+    probabilityYearOneBreach: share(results.filter(r => r.yearOneDSCR !== null && r.yearOneDSCR < covenant).length)
+  }));
+
+  const holdYears = results[0]?.yearlyDSCR.length || 0;
+  const yearly = Array.from({ length: holdYears }, (_, index) => ({
+    year: index + 1,
+    dscr: percentileBands(results.map(r => r.yearlyDSCR[index])),
+    beforeTaxCashFlow: percentileBands(results.map(r => r.yearlyCashFlow[index]))
+  }));
+
+  const summary = {
+    seed,
+    iterations,
+    completed,
+    distributions,
+    correlations: options.correlations || [],
+    metrics: {
+      irr: percentileBands(results.map(r => r.irr)),
+      equityMultiple: percentileBands(results.map(r => r.equityMultiple)),
+      cashOnCash: percentileBands(results.map(r => r.cashOnCash)),
+      minDSCR: percentileBands(results.map(r => r.minDSCR)),
+      inputs: Object.fromEntries(variables.map(v => [v, percentileBands(draws.map(d => d[v]))]))
+    },
+    yearly,
+    hurdles: hurdleResults,
+    covenants: covenantResults,
+    tornado: calculateTornado(baseModel, distributions),
+    warnings
+  };
+
+  logDebug(`Simulation complete`, { seed, iterations, completed, p50IRR: summary.metrics.irr?.p50 });
+  return summary;
+}
+
+/**
+ * Tornado-chart swings: IRR with each input at its P10 and P90 while the
+ * others stay at base. Contribution is each swing's share of the summed
+ * squared swings.
+ *
+ * @returns {Array<Object>} Sorted by swing, largest first
+ */
+export function calculateTornado(baseModel, distributions) {
+  const baseIRR = projectDetailedCashFlows(baseModel).totals.irr;
+
+  const rows = Object.entries(distributions)
+    .filter(([, dist]) => dist.type !== 'fixed')
+    .map(([variable, dist]) => {
+      const lowValue = distributionQuantile(dist, 0.10);
+      const highValue = distributionQuantile(dist, 0.90);
+      const irrAt = (value) => {
+        try {
+          return projectDetailedCashFlows({ ...baseModel, [variable]: value }).totals.irr;
+        } catch {
+          return null;
+        }
+      };
+      const lowIRR = irrAt(lowValue);
+      const highIRR = irrAt(highValue);
+      const swing = lowIRR !== null && highIRR !== null ? Math.abs(highIRR - lowIRR) : 0;
+
+      return {
+        variable,
+        label: SIMULATION_VARIABLES[variable].label,
+        lowValue,
+        highValue,
+        lowIRR,
+        highIRR,
+        swing
+      };
+    });
+
+  const totalSquared = rows.reduce((sum, r) => sum + r.swing * r.swing, 0);
+  return rows
+    .map(r => ({ ...r, baseIRR, contribution: totalSquared > 0 ? (r.swing * r.swing) / totalSquared : 0 }))
+    .sort((a, b) => b.swing - a.swing);
+}
+
+export default {
+  SIMULATION_VARIABLES,
+  DISTRIBUTION_TYPES,
+  DEFAULT_PERCENTILES,
+  MAX_ITERATIONS,
+  createRng,
+  resolveDistributions,
+  validateSimulationOptions,
+  buildCholesky,
+  generateDraws,
+  percentileBands,
+  runMonteCarlo,
+  calculateTornado
+};
@@ -16,13 +16,10 @@
 
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
+import { callLLM, isLLMConfigured } from '../llm.js';
 
 const prisma = new PrismaClient();
 
-// OpenAI configuration
-const OPENAI_API_KEY = process.env.BFF_OPENAI_API_KEY;
-const OPENAI_MODEL = process.env.BFF_OPENAI_MODEL || 'gpt-4o-mini';
-const OPENAI_BASE_URL = process.env.BFF_OPENAI_BASE_URL || 'https://api.openai.com/v1';
 
 // Debug logging helper
 const DEBUG = process.env.DEBUG_OM_DRAFTER === 'true' || process.env.NODE_ENV !== 'production';
@@ -437,11 +434,11 @@ class OMDrafterService {
       };
     }
 
-    // Generate content using LLM if API key is available
+    // Generate content using LLM if one is configured
     let content;
     let generated = false;
 
-    if (OPENAI_API_KEY) {
+    if (isLLMConfigured('om-draft')) {
       try {
         content = await this.generateSectionContent(sectionDef, sectionClaims);
         generated = true;
@@ -450,7 +447,7 @@ class OMDrafterService {
         content = this.generateTemplateContent(sectionDef, sectionClaims);
       }
     } else {
-      log('debug', 'No API key, using template generation', { sectionId });
+      log('debug', 'No LLM configured, using template generation', { sectionId });
       content = this.generateTemplateContent(sectionDef, sectionClaims);
     }
 
@@ -493,34 +490,18 @@ Rules:
 Return ONLY the section content, no headers or JSON.`;
 
     try {
-      const response = await fetch(`${OPENAI_BASE_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
+      const result = await callLLM([
+        {
+          role: 'system',
+          content: 'You are a professional commercial real estate analyst drafting an Offering Memorandum. Be concise, professional, and conservative with claims. Never overstate or speculate.'
         },
-        body: JSON.stringify({
-          model: OPENAI_MODEL,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a professional commercial real estate analyst drafting an Offering Memorandum. Be concise, professional, and conservative with claims. Never overstate or speculate.'
-            },
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0.3,
-          max_tokens: 1500
-        })
+        { role: 'user', content: prompt }
+      ], {
+        feature: 'om-draft',
+        temperature: 0.3,
+        maxTokens: 1500
       });
-
-      if (!response.ok) {
-        const error = await response.text();
-        log('error', 'OpenAI API error', { error });
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content?.trim();
+      const content = result.content.trim();
 
       if (!content) {
         throw new Error('Empty response from LLM');
@@ -0,0 +1,363 @@
+/**
+ * LP Payment Profile Service
+ *
+ * Pure rules for LP bank and tax details:
+ * - Validation (ABA routing checksum, account number, SSN/EIN formats)
+ * - Masked views for the LP portal and GP screens
+ * - Change-request lifecycle (verified out-of-band before it is applied)
+ * - Distribution payment holds after a recent change
+ *
+ * Encryption lives in payment-vault.js; this module never sees ciphertext.
+ */
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[PaymentProfiles]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_PAYMENT_PROFILES === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const SENSITIVE_FIELDS = ['accountNumber', 'routingNumber', 'taxId'];
+export const DETAIL_FIELDS = ['bankName', 'accountName', 'accountType', 'taxIdType', 'mailingAddress'];
+
+export const ACCOUNT_TYPES = ['CHECKING', 'SAVINGS'];
+export const TAX_ID_TYPES = ['SSN', 'EIN'];
+
+export const CHANGE_STATUSES = {
+  PENDING_VERIFICATION: 'PENDING_VERIFICATION',
+  APPLIED: 'APPLIED',
+  REJECTED: 'REJECTED',
+  CANCELLED: 'CANCELLED'
+};
+
+export const VERIFICATION_METHODS = ['PHONE_CALLBACK', 'VIDEO_CALL', 'IN_PERSON'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_COOLING_OFF_DAYS = 10;
+
+/**
+ * Parse the cooling-off setting. Unset or non-numeric falls back to the
+ * default; 0 turns the hold off; negative values are a configuration error.
+ */
+export function parseCoolingOffDays(value, fallback = DEFAULT_COOLING_OFF_DAYS) {
+  if (value === undefined || value === null || String(value).trim() === '') return fallback;
+  const days = Number(value);
+  if (Number.isNaN(days)) return fallback;
+  if (days < 0) {
+    throw new Error(`BFF_PAYMENT_COOLING_OFF_DAYS must be a non-negative number of days (got ${value})`);
+  }
+  return days;
+}
+
+/**
+ * Days a changed profile is held before distributions may be paid to it
+ */
+export const PAYMENT_COOLING_OFF_DAYS = parseCoolingOffDays(process.env.BFF_PAYMENT_COOLING_OFF_DAYS);
+
+// ============================================================================
+// NORMALIZATION AND VALIDATION
+// ============================================================================
+
+/**
+ * Strip spaces and dashes from an account/routing number or tax ID
+ */
+export function normalizeDigits(value) {
+  if (value === undefined || value === null) return value;
+  return String(value).replace(/[\s-]/g, '');
+}
+
+/**
+ * ABA routing number check: 9 digits, 3-7-1 weighted checksum
+ */
+export function isValidRoutingNumber(value) {
+  const digits = normalizeDigits(value);
+  if (!/^\d{9}$/.test(digits ?? '')) return false;
+
+  const d = digits.split('').map(Number);
+  const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+  return sum % 10 === 0;
+}
+
+function isValidTaxId(taxIdType, value) {
+  const digits = normalizeDigits(value);
+  if (!/^\d{9}$/.test(digits ?? '')) return false;
+  if (taxIdType === 'SSN') {
+    // No 000/666/9xx area, 00 group or 0000 serial
+    return !/^(000|666|9\d\d)/.test(digits) && digits.slice(3, 5) !== '00' && digits.slice(5) !== '0000';
+  }
+  return !digits.startsWith('00');
+}
+
+/**
+ * Validate a requested payment profile change
+ *
+ * Bank details travel together: a new account number needs its routing
+ * number and vice versa. A tax ID needs its type.
+ *
+ * @param {Object} data - Requested values
+ * @returns {string[]} Validation errors
+ */
+export function validatePaymentDetails(data) {
+  const errors = [];
+  const has = (field) => data[field] !== undefined && data[field] !== null && data[field] !== '';
+
+  const changed = [...SENSITIVE_FIELDS, ...DETAIL_FIELDS].filter(has);
+  if (changed.length === 0) {
+    errors.push('At least one payment detail is required');
+    return errors;
+  }
+
+  if (has('accountNumber') || has('routingNumber')) {
+    if (!has('accountNumber')) errors.push('accountNumber is required with routingNumber');
+    else if (!/^\d{4,17}$/.test(normalizeDigits(data.accountNumber))) {
+      errors.push('accountNumber must be 4-17 digits');
+    }
+
+    if (!has('routingNumber')) errors.push('routingNumber is required with accountNumber');
+    else if (!isValidRoutingNumber(data.routingNumber)) {
+      errors.push('routingNumber is not a valid ABA routing number');
+    }
+  }
+
+  if (has('accountType') && !ACCOUNT_TYPES.includes(data.accountType)) {
+    errors.push(`accountType must be one of ${ACCOUNT_TYPES.join(', ')}`);
+  }
+
+  if (has('taxId') || has('taxIdType')) {
+    if (!TAX_ID_TYPES.includes(data.taxIdType)) {
+      errors.push(`taxIdType must be one of ${TAX_ID_TYPES.join(', ')}`);
+    } else if (has('taxId') && !isValidTaxId(data.taxIdType, data.taxId)) {
+      errors.push(`taxId is not a valid ${data.taxIdType}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Split a request into clear-text columns and values to encrypt
+ *
+ * @returns {Object} { details, sensitive, last4 }
+ */
+export function splitPaymentDetails(data) {
+  const details = {};
+  for (const field of DETAIL_FIELDS) {
+    if (data[field] !== undefined && data[field] !== '') details[field] = data[field];
+  }
+
+  const sensitive = {};
+  const last4 = {};
+  for (const field of SENSITIVE_FIELDS) {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+      sensitive[field] = normalizeDigits(data[field]);
+      last4[`${field}Last4`] = lastFour(sensitive[field]);
+    }
+  }
+
+  return { details, sensitive, last4 };
+}
+
+// ============================================================================
+// MASKING
+// ============================================================================
+
+export function lastFour(value) {
+  if (!value) return null;
+  return String(value).slice(-4);
+}
+
+/**
+ * Mask a value from its last 4 digits, e.g. '••••6789'
+ */
+export function maskLast4(last4) {
+  return last4 ? `••••${last4}` : null;
+}
+
+function parseAddress(value) {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Masked payment profile - safe for the LP portal and GP lists
+ *
+ * @param {Object} profile - LPPaymentProfile row
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {number} options.coolingOffDays
+ */
+export function buildMaskedProfile(profile, { now = new Date(), coolingOffDays = PAYMENT_COOLING_OFF_DAYS } = {}) {
+  if (!profile) return null;
+
+  const holdUntil = paymentHoldUntil(profile, coolingOffDays);
+  return {
+    id: profile.id,
+    lpActorId: profile.lpActorId,
+    bankName: profile.bankName,
+    accountName: profile.accountName,
+    accountType: profile.accountType,
+    accountNumber: maskLast4(profile.accountNumberLast4),
+    routingNumber: maskLast4(profile.routingNumberLast4),
+    taxIdType: profile.taxIdType,
+    taxId: maskLast4(profile.taxIdLast4),
+    w9OnFile: profile.w9OnFile,
+    w8OnFile: profile.w8OnFile,
+    k1DeliveryMethod: profile.k1DeliveryMethod,
+    mailingAddress: parseAddress(profile.mailingAddress),
+    detailsChangedAt: profile.detailsChangedAt,
+    paymentHoldUntil: holdUntil && holdUntil > now ? holdUntil.toISOString() : null,
+    updatedAt: profile.updatedAt
+  };
+}
+
+/**
+ * Masked change request
+ */
+export function buildMaskedChange(change) {
+  if (!change) return null;
+
+  return {
+    id: change.id,
+    lpActorId: change.lpActorId,
+    status: change.status,
+    bankName: change.bankName,
+    accountName: change.accountName,
+    accountType: change.accountType,
+    accountNumber: maskLast4(change.accountNumberLast4),
+    routingNumber: maskLast4(change.routingNumberLast4),
+    taxIdType: change.taxIdType,
+    taxId: maskLast4(change.taxIdLast4),
+    mailingAddress: parseAddress(change.mailingAddress),
+    requestedByName: change.requestedByName,
+    requestedAt: change.requestedAt,
+    verificationMethod: change.verificationMethod,
+    verifiedByName: change.verifiedByName,
+    verifiedAt: change.verifiedAt,
+    rejectionReason: change.rejectionReason,
+    rejectedAt: change.rejectedAt
+  };
+}
+
+// ============================================================================
+// CHANGE LIFECYCLE
+// ============================================================================
+
+/**
+ * Validate GP verification of a change request
+ *
+ * @param {Object} change
+ * @param {Object} verification - { method, notes }
+ * @param {Object} actor - { id } of the verifying GP
+ * @returns {string[]} Validation errors
+ */
+export function validateVerification(change, { method, notes } = {}, actor = {}) {
+  const errors = [];
+
+  if (change.status !== CHANGE_STATUSES.PENDING_VERIFICATION) {
+    errors.push(`Change request is ${change.status}`);
+  }
+  if (!VERIFICATION_METHODS.includes(method)) {
+    errors.push(`method must be one of ${VERIFICATION_METHODS.join(', ')}`);
+  }
+  if (!notes || !String(notes).trim()) {
+    errors.push('notes are required (who was contacted, on which number on file)');
+  }
+  if (actor.id && actor.id === change.requestedBy) {
+    errors.push('A change cannot be verified by the person who requested it');
+  }
+
+  return errors;
+}
+
+/**
+ * Whether applying a change replaces payment details that were already on file
+ * (first-time setup does not start a cooling-off period)
+ */
+export function replacesExistingDetails(profile, change) {
+  if (!profile) return false;
+
+  const replacesBank = !!change.accountNumberLast4 && !!profile.accountNumberLast4;
+  const replacesTaxId = !!change.taxIdLast4 && !!profile.taxIdLast4;
+  const replacesAddress = !!change.mailingAddress && !!profile.mailingAddress &&
+    change.mailingAddress !== profile.mailingAddress;
+  return replacesBank || replacesTaxId || replacesAddress;
+}
+
+// ============================================================================
+// PAYMENT HOLDS
+// ============================================================================
+
+/**
+ * End of the cooling-off period for a profile, or null if never changed
+ */
+export function paymentHoldUntil(profile, coolingOffDays = PAYMENT_COOLING_OFF_DAYS) {
+  if (!profile?.detailsChangedAt) return null;
+  return new Date(new Date(profile.detailsChangedAt).getTime() + coolingOffDays * DAY_MS);
+}
+
+/**
+ * Allocations that must not be paid because the LP's payment details
+ * changed within the cooling-off period
+ *
+ * @param {Array} allocations - DistributionAllocation rows ({ id, lpActorId })
+ * @param {Array} profiles - LPPaymentProfile rows
+ * @param {Object} options - { now, coolingOffDays }
+ * @returns {Array} [{ allocationId, lpActorId, detailsChangedAt, holdUntil }]
+ */
+export function findPaymentHolds(allocations, profiles, { now = new Date(), coolingOffDays = PAYMENT_COOLING_OFF_DAYS } = {}) {
+  const profileByActor = new Map(profiles.map(p => [p.lpActorId, p]));
+  const holds = [];
+
+  for (const allocation of allocations) {
+    const profile = profileByActor.get(allocation.lpActorId);
+    const holdUntil = paymentHoldUntil(profile, coolingOffDays);
+    if (holdUntil && holdUntil > now) {
+      holds.push({
+        allocationId: allocation.id,
+        lpActorId: allocation.lpActorId,
+        detailsChangedAt: new Date(profile.detailsChangedAt).toISOString(),
+        holdUntil: holdUntil.toISOString()
+      });
+    }
+  }
+
+  logDebug('Evaluated payment holds', { allocations: allocations.length, holds: holds.length, coolingOffDays });
+  return holds;
+}
+
+export default {
+  SENSITIVE_FIELDS,
+  DETAIL_FIELDS,
+  ACCOUNT_TYPES,
+  TAX_ID_TYPES,
+  CHANGE_STATUSES,
+  VERIFICATION_METHODS,
+  PAYMENT_COOLING_OFF_DAYS,
+  parseCoolingOffDays,
+  normalizeDigits,
+  isValidRoutingNumber,
+  validatePaymentDetails,
+  splitPaymentDetails,
+  lastFour,
+  maskLast4,
+  buildMaskedProfile,
+  buildMaskedChange,
+  validateVerification,
+  replacesExistingDetails,
+  paymentHoldUntil,
+  findPaymentHolds
+};
@@ -0,0 +1,188 @@
+/**
+ * Payment Vault
+ *
+ * Envelope encryption for LP bank and tax identifiers:
+ * - Each record gets a fresh 256-bit data key (DEK); the fields are sealed
+ *   with AES-256-GCM under it, bound to the record (e.g. lpActorId) as AAD
+ * - The DEK is wrapped by a key-encryption key (KEK) held by a key provider
+ *   and stored next to the ciphertext with the KEK id
+ *
+ * Key providers (BFF_PAYMENT_KEK_PROVIDER):
+ * - local-file (default): KEK in BFF_PAYMENT_KEK_FILE, created on first use
+ *   (server/.data/payment-kek.key, mode 0600). Stand-in for a KMS.
+ * - env: base64 KEK in BFF_PAYMENT_KEK
+ * A real KMS only needs to implement { kekId, wrapKey, unwrapKey }.
+ */
+
+import crypto from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[PaymentVault]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_PAYMENT_VAULT === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+const DEFAULT_KEK_FILE = resolve(process.cwd(), "server", ".data", "payment-kek.key");
+
+// ============================================================================
+// AES-GCM PRIMITIVES
+// ============================================================================
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+function open(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+  if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]);
+}
+
+// ============================================================================
+// KEY PROVIDERS
+// ============================================================================
+
+/**
+ * Key provider around a raw 32-byte KEK
+ *
+ * @param {Buffer} kek
+ * @returns {Object} { kekId, wrapKey(dek), unwrapKey(wrapped, kekId) }
+ */
+export function createStaticKeyProvider(kek) {
+  if (!Buffer.isBuffer(kek) || kek.length !== KEY_BYTES) {
+    throw new Error(`Payment KEK must be ${KEY_BYTES} bytes`);
+  }
+  const kekId = crypto.createHash('sha256').update(kek).digest('hex').slice(0, 16);
+
+  return {
+    kekId,
+    wrapKey(dek) {
+      return JSON.stringify(seal(kek, dek, kekId));
+    },
+    unwrapKey(wrapped, wrappedKekId) {
+      if (wrappedKekId !== kekId) {
+        throw new Error(`Payment data was sealed with key ${wrappedKekId}, current key is ${kekId}`);
+      }
+      return open(kek, JSON.parse(wrapped), kekId);
+    }
+  };
+}
+
+/**
+ * Local key file provider; creates the file with a random KEK if missing
+ *
+ * @param {string} filePath
+ */
+export function createLocalFileKeyProvider(filePath = DEFAULT_KEK_FILE) {
+  if (!existsSync(filePath)) {
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, crypto.randomBytes(KEY_BYTES).toString('base64'), { mode: 0o600 });
+    console.log(`${LOG_PREFIX} Created payment key file ${filePath}`);
+  }
+  return createStaticKeyProvider(Buffer.from(readFileSync(filePath, 'utf8').trim(), 'base64'));
+}
+
+let cachedProvider = null;
+
+/**
+ * Key provider configured by the environment (cached)
+ */
+export function getKeyProvider() {
+  if (cachedProvider) return cachedProvider;
+
+  const providerName = process.env.BFF_PAYMENT_KEK_PROVIDER || 'local-file';
+  if (providerName === 'env') {
+    if (!process.env.BFF_PAYMENT_KEK) {
+      throw new Error('BFF_PAYMENT_KEK is required when BFF_PAYMENT_KEK_PROVIDER=env');
+    }
+    cachedProvider = createStaticKeyProvider(Buffer.from(process.env.BFF_PAYMENT_KEK, 'base64'));
+  } else if (providerName === 'local-file') {
+    cachedProvider = createLocalFileKeyProvider(process.env.BFF_PAYMENT_KEK_FILE || DEFAULT_KEK_FILE);
+  } else {
+    throw new Error(`Unknown BFF_PAYMENT_KEK_PROVIDER: ${providerName}`);
+  }
+
+  logDebug('Key provider ready', { provider: providerName, kekId: cachedProvider.kekId });
+  return cachedProvider;
+}
+
+// ============================================================================
+// ENVELOPE ENCRYPTION
+// ============================================================================
+
+/**
+ * Encrypt a set of fields under a fresh data key
+ *
+ * @param {Object} fields - Plain values, e.g. { accountNumber, routingNumber, taxId }
+ * @param {Object} options
+ * @param {string} options.context - Record binding (AAD), e.g. the lpActorId
+ * @param {Object} options.provider - Key provider (defaults to getKeyProvider())
+ * @returns {Object} { encryptedData, encryptedDek, kekId } ready to store
+ */
+export function encryptFields(fields, { context, provider = getKeyProvider() } = {}) {
+  const dek = crypto.randomBytes(KEY_BYTES);
+  const sealed = seal(dek, Buffer.from(JSON.stringify(fields), 'utf8'), context);
+  const encryptedDek = provider.wrapKey(dek);
+  dek.fill(0);
+
+  logDebug('Encrypted fields', { context, fields: Object.keys(fields), kekId: provider.kekId });
+  return {
+    encryptedData: JSON.stringify(sealed),
+    encryptedDek,
+    kekId: provider.kekId
+  };
+}
+
+/**
+ * Decrypt fields sealed by encryptFields
+ * Throws if the data, data key or context has been tampered with.
+ *
+ * @param {Object} record - { encryptedData, encryptedDek, kekId }
+ * @param {Object} options
+ * @param {string} options.context - Must match the context used to encrypt
+ * @param {Object} options.provider
+ * @returns {Object} Plain fields ({} when nothing is stored)
+ */
+export function decryptFields(record, { context, provider = getKeyProvider() } = {}) {
+  if (!record?.encryptedData || !record?.encryptedDek) return {};
+
+  const dek = provider.unwrapKey(record.encryptedDek, record.kekId);
+  try {
+    return JSON.parse(open(dek, JSON.parse(record.encryptedData), context).toString('utf8'));
+  } finally {
+    dek.fill(0);
+  }
+}
+
+export default {
+  createStaticKeyProvider,
+  createLocalFileKeyProvider,
+  getKeyProvider,
+  encryptFields,
+  decryptFields
+};
@@ -0,0 +1,727 @@
+/**
+ * Period Close Service
+ *
+ * Builds the quarter-end close package for an accounting period:
+ * - Activity in the period: capital calls funded, distributions paid,
+ *   fees accrued and transfers completed
+ * - LP capital account roll-forward
+ *   (beginning + contributions - distributions +/- allocations = ending)
+ * - Exceptions: allocations that do not reconcile to their parent record
+ * - Double-entry journal entries, exportable as CSV or QuickBooks IIF
+ *
+ * Pure functions: callers load the records, this module does the accounting.
+ */
+
+import crypto from 'node:crypto';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[PeriodClose]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_PERIOD_CLOSE === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Chart of accounts used in exported journal entries */
+export const GL_ACCOUNTS = {
+  CASH: { number: '1000', name: 'Cash' },
+  DUE_TO_GP: { number: '2100', name: 'Due to General Partner' },
+  WITHHOLDING_PAYABLE: { number: '2200', name: 'Withholding Tax Payable' },
+  PARTNERS_CAPITAL: { number: '3000', name: "Partners' Capital" },
+  MANAGEMENT_FEE_EXPENSE: { number: '6100', name: 'Management Fee Expense' },
+  FUND_EXPENSES: { number: '6200', name: 'Fund Expenses' }
+};
+
+export const EXCEPTION_SEVERITIES = ['ERROR', 'WARNING'];
+
+/** Amounts within a cent are treated as equal */
+const TOLERANCE = 0.01;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function differs(a, b) {
+  return Math.abs((a || 0) - (b || 0)) > TOLERANCE;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function isoDate(value) {
+  return toDate(value)?.toISOString().slice(0, 10) ?? null;
+}
+
+function sum(items, pick) {
+  return round2(items.reduce((total, item) => total + (pick(item) || 0), 0));
+}
+
+function inWindow(date, start, end) {
+  const d = toDate(date);
+  return !!d && d >= start && d <= end;
+}
+
+/**
+ * Paid on or before the period end; later payments belong to a later period.
+ * Without a paidAt the distribution date stands in for the payment date.
+ */
+function paidBy(alloc, dist, end) {
+  return alloc.status === 'PAID' && toDate(alloc.paidAt || dist.distributionDate) <= end;
+}
+
+/** Funded amount received on or before the period end */
+function fundedBy(alloc, call, end) {
+  if (!(alloc.fundedAmount > 0)) return 0;
+  return toDate(alloc.fundedAt || call.dueDate) <= end ? alloc.fundedAmount : 0;
+}
+
+/** Completed on or before the period end */
+function completedBy(transfer, end) {
+  return transfer.status === 'COMPLETED' && (!transfer.completedAt || toDate(transfer.completedAt) <= end);
+}
+
+function line(account, { debit = 0, credit = 0, name = null }) {
+  return {
+    account: account.number,
+    accountName: account.name,
+    name,
+    debit: round2(debit),
+    credit: round2(credit)
+  };
+}
+
+// ============================================================================
+// CAPITAL ACCOUNT MOVEMENTS
+// ============================================================================
+
+/**
+ * Dated capital account movements from inception up to the period end
+ *
+ * - Contribution: funded capital call allocation (fundedAt, else due date)
+ * - Distribution: paid allocation, net + withholding. The fee deducted from a
+ *   distribution settles the LP's fee allocation and is not a distribution.
+ * - Fee: the LP's share of an accrued fee invoice, dated at invoice period end
+ * - Transfer: completed transfer, moving the transferor's capital account in
+ *   proportion to the commitment transferred
+ *
+ * @returns {Array} [{ date, type, lpActorId, amount, ref }] sorted by date
+ */
+function collectMovements({ lpActors, capitalCalls, distributions, feeInvoices, transfers }, end) {
+  const movements = [];
+
+  for (const call of capitalCalls) {
+    if (call.status === 'CANCELLED') continue;
+    for (const alloc of call.allocations || []) {
+      if (!(alloc.fundedAmount > 0)) continue;
+      const date = toDate(alloc.fundedAt || call.dueDate);
+      if (date > end) continue;
+      movements.push({ date, type: 'CONTRIBUTION', lpActorId: alloc.lpActorId, amount: alloc.fundedAmount, ref: { call, alloc } });
+    }
+  }
+
+  for (const dist of distributions) {
+    if (dist.status === 'CANCELLED') continue;
+    const date = toDate(dist.distributionDate);
+    if (date > end) continue;
+    for (const alloc of dist.allocations || []) {
+      if (!paidBy(alloc, dist, end)) continue;
+      const amount = (alloc.netAmount || 0) + (alloc.withholdingAmount || 0);
+      movements.push({ date, type: 'DISTRIBUTION', lpActorId: alloc.lpActorId, amount, ref: { dist, alloc } });
+    }
+  }
+
+  for (const invoice of feeInvoices) {
+    if (invoice.status === 'VOID') continue;
+    const date = toDate(invoice.periodEnd);
+    if (date > end) continue;
+    for (const feeLine of invoice.lines || []) {
+      movements.push({ date, type: 'FEE', lpActorId: feeLine.lpActorId, amount: feeLine.totalDue, ref: { invoice, feeLine } });
+    }
+  }
+
+  // Commitment held before each transfer, rebuilt backwards from today's commitments
+  const completed = transfers
+    .filter(t => t.status === 'COMPLETED')
+    .sort((a, b) => toDate(b.effectiveDate) - toDate(a.effectiveDate));
+  const commitment = new Map(lpActors.map(lp => [lp.id, lp.commitment || 0]));
+  for (const transfer of completed) {
+    const after = commitment.get(transfer.fromLpActorId) || 0;
+    const before = after + transfer.transferAmount;
+    commitment.set(transfer.fromLpActorId, before);
+    commitment.set(transfer.toLpActorId, (commitment.get(transfer.toLpActorId) || 0) - transfer.transferAmount);
+
+    const date = toDate(transfer.effectiveDate);
+    if (date > end || !completedBy(transfer, end)) continue;
+    movements.push({
+      date,
+      type: 'TRANSFER',
+      lpActorId: transfer.fromLpActorId,
+      // Fraction frozen at completion; older transfers fall back to the rebuilt commitment
+      fraction: transfer.transferFraction ?? (before > 0 ? Math.min(1, transfer.transferAmount / before) : 0),
+      ref: { transfer }
+    });
+  }
+
+  // Same-day order: money in, fees, money out, then transfers of what remains
+  const order = { CONTRIBUTION: 0, FEE: 1, DISTRIBUTION: 2, TRANSFER: 3 };
+  return movements.sort((a, b) => (a.date - b.date) || (order[a.type] - order[b.type]));
+}
+
+/**
+ * Roll each LP's capital account forward through the period
+ *
+ * @returns {Object} { rows, transfers } - per-LP rows and capital moved by each transfer
+ */
+function rollForward(lpActors, movements, start) {
+  const emptyRow = (lpActorId, entityName) => ({
+    lpActorId,
+    entityName,
+    beginning: 0,
+    contributions: 0,
+    distributions: 0,
+    feeAllocations: 0,
+    transfersIn: 0,
+    transfersOut: 0,
+    allocations: 0,
+    ending: 0
+  });
+  const rows = new Map(lpActors.map(lp => [lp.id, emptyRow(lp.id, lp.entityName)]));
+  // Activity for an LP no longer on the deal still rolls forward (and is flagged)
+  const rowFor = (id) => {
+    if (!rows.has(id)) rows.set(id, emptyRow(id, id));
+    return rows.get(id);
+  };
+
+  const balance = new Map();
+  const move = (id, amount) => balance.set(id, (balance.get(id) || 0) + amount);
+  const transferred = new Map();
+
+  for (const m of movements) {
+    const inPeriod = m.date >= start;
+    if (m.type === 'TRANSFER') {
+      const { transfer } = m.ref;
+      const amount = round2((balance.get(transfer.fromLpActorId) || 0) * m.fraction);
+      transferred.set(transfer.id, amount);
+      move(transfer.fromLpActorId, -amount);
+      move(transfer.toLpActorId, amount);
+      if (inPeriod) {
+        rowFor(transfer.fromLpActorId).transfersOut += amount;
+        rowFor(transfer.toLpActorId).transfersIn += amount;
+      } else {
+        rowFor(transfer.fromLpActorId).beginning -= amount;
+        rowFor(transfer.toLpActorId).beginning += amount;
+      }
+      continue;
+    }
+
+    const signed = m.type === 'CONTRIBUTION' ? m.amount : -m.amount;
+    move(m.lpActorId, signed);
+    const row = rowFor(m.lpActorId);
+    if (!inPeriod) {
+      row.beginning += signed;
+    } else if (m.type === 'CONTRIBUTION') {
+      row.contributions += m.amount;
+    } else if (m.type === 'DISTRIBUTION') {
+      row.distributions += m.amount;
+    } else {
+      row.feeAllocations -= m.amount;
+    }
+  }
+
+  const result = [...rows.values()].map(row => {
+    const rounded = {
+      ...row,
+      beginning: round2(row.beginning),
+      contributions: round2(row.contributions),
+      distributions: round2(row.distributions),
+      feeAllocations: round2(row.feeAllocations),
+      transfersIn: round2(row.transfersIn),
+      transfersOut: round2(row.transfersOut)
+    };
+    rounded.allocations = round2(rounded.feeAllocations + rounded.transfersIn - rounded.transfersOut);
+    rounded.ending = round2(rounded.beginning + rounded.contributions - rounded.distributions + rounded.allocations);
+    return rounded;
+  }).sort((a, b) => a.entityName.localeCompare(b.entityName) || a.lpActorId.localeCompare(b.lpActorId));
+
+  return { rows: result, transfers: transferred };
+}
+
+// ============================================================================
+// EXCEPTIONS
+// ============================================================================
+
+/**
+ * Allocations that do not reconcile to their parent record
+ *
+ * @returns {Array} [{ code, severity, message, refType, refId, lpActorId? }]
+ */
+function findExceptions({ lpActors, calls, distributions, invoices, pendingTransfers, end }) {
+  const exceptions = [];
+  const knownLps = new Set(lpActors.map(lp => lp.id));
+  const add = (code, severity, message, refType, refId, lpActorId = null) => {
+    exceptions.push({ code, severity, message, refType, refId, ...(lpActorId ? { lpActorId } : {}) });
+  };
+  const checkLp = (lpActorId, refType, refId, label) => {
+    if (!knownLps.has(lpActorId)) {
+      add('UNKNOWN_LP', 'ERROR', `${label} is allocated to an LP that is not on the deal`, refType, refId, lpActorId);
+    }
+  };
+
+  for (const call of calls) {
+    const allocations = call.allocations || [];
+    const allocated = sum(allocations, a => a.amount);
+    if (differs(allocated, call.totalAmount)) {
+      add('CAPITAL_CALL_ALLOCATION_MISMATCH', 'ERROR',
+        `Capital call "${call.title}" allocations total ${allocated} but the call is for ${call.totalAmount}`,
+        'CAPITAL_CALL', call.id);
+    }
+    for (const alloc of allocations) {
+      checkLp(alloc.lpActorId, 'CAPITAL_CALL', call.id, `Capital call "${call.title}"`);
+      const funded = fundedBy(alloc, call, end);
+      if (funded - alloc.amount > TOLERANCE) {
+        add('CAPITAL_CALL_OVERFUNDED', 'ERROR',
+          `Allocation funded ${funded} against ${alloc.amount} called on "${call.title}"`,
+          'CAPITAL_CALL', call.id, alloc.lpActorId);
+      } else if (alloc.status === 'FUNDED' && funded > 0 && differs(funded, alloc.amount)) {
+        add('CAPITAL_CALL_FUNDING_MISMATCH', 'ERROR',
+          `Allocation marked funded with ${funded} of ${alloc.amount} on "${call.title}"`,
+          'CAPITAL_CALL', call.id, alloc.lpActorId);
+      } else if (differs(funded, alloc.amount)) {
+        add('CAPITAL_CALL_UNFUNDED', 'WARNING',
+          `${round2(alloc.amount - funded)} outstanding at period end on "${call.title}"`,
+          'CAPITAL_CALL', call.id, alloc.lpActorId);
+      }
+    }
+  }
+
+  for (const dist of distributions) {
+    const allocations = dist.allocations || [];
+    const allocated = sum(allocations, a => a.grossAmount);
+    if (differs(allocated, dist.totalAmount)) {
+      add('DISTRIBUTION_ALLOCATION_MISMATCH', 'ERROR',
+        `Distribution "${dist.title}" allocations total ${allocated} but the distribution is for ${dist.totalAmount}`,
+        'DISTRIBUTION', dist.id);
+    }
+    for (const alloc of allocations) {
+      checkLp(alloc.lpActorId, 'DISTRIBUTION', dist.id, `Distribution "${dist.title}"`);
+      const expectedNet = round2(alloc.grossAmount - (alloc.withholdingAmount || 0) - (alloc.feeAmount || 0));
+      if (differs(alloc.netAmount, expectedNet)) {
+        add('DISTRIBUTION_NET_MISMATCH', 'ERROR',
+          `Net ${alloc.netAmount} does not equal gross less withholding and fees (${expectedNet}) on "${dist.title}"`,
+          'DISTRIBUTION', dist.id, alloc.lpActorId);
+      }
+      if (!paidBy(alloc, dist, end)) {
+        add('DISTRIBUTION_UNPAID', 'WARNING',
+          `Allocation was not paid by period end on "${dist.title}"`,
+          'DISTRIBUTION', dist.id, alloc.lpActorId);
+      }
+    }
+  }
+
+  for (const invoice of invoices) {
+    const lines = invoice.lines || [];
+    const allocated = sum(lines, l => l.totalDue);
+    if (differs(allocated, invoice.totalDue)) {
+      add('FEE_ALLOCATION_MISMATCH', 'ERROR',
+        `Fee invoice ${invoice.year} Q${invoice.quarter} lines total ${allocated} but the invoice is for ${invoice.totalDue}`,
+        'FEE_INVOICE', invoice.id);
+    }
+    for (const feeLine of lines) {
+      checkLp(feeLine.lpActorId, 'FEE_INVOICE', invoice.id, `Fee invoice ${invoice.year} Q${invoice.quarter}`);
+    }
+  }
+
+  for (const transfer of pendingTransfers) {
+    add('TRANSFER_NOT_COMPLETED', 'WARNING',
+      `Transfer effective ${isoDate(transfer.effectiveDate)} was not completed by period end`,
+      'TRANSFER', transfer.id, transfer.fromLpActorId);
+  }
+
+  return exceptions;
+}
+
+// ============================================================================
+// JOURNAL ENTRIES
+// ============================================================================
+
+function buildJournalEntries({ calls, distributions, invoices, settledInvoices, completedTransfers, transferred, names, start, end }) {
+  const entries = [];
+  const name = (id) => names.get(id) || id;
+
+  for (const call of calls) {
+    for (const alloc of call.allocations || []) {
+      const date = alloc.fundedAt || call.dueDate;
+      if (!fundedBy(alloc, call, end) || !inWindow(date, start, end)) continue;
+      entries.push({
+        id: `CC-${alloc.id}`,
+        date: isoDate(date),
+        type: 'CAPITAL_CONTRIBUTION',
+        reference: call.id,
+        memo: `Capital call: ${call.title}`,
+        lines: [
+          line(GL_ACCOUNTS.CASH, { debit: alloc.fundedAmount, name: name(alloc.lpActorId) }),
+          line(GL_ACCOUNTS.PARTNERS_CAPITAL, { credit: alloc.fundedAmount, name: name(alloc.lpActorId) })
+        ]
+      });
+    }
+  }
+
+  for (const invoice of invoices) {
+    for (const feeLine of invoice.lines || []) {
+      const managementFee = round2((feeLine.managementFee || 0) - (feeLine.offsetAmount || 0));
+      const lines = [];
+      if (managementFee !== 0) {
+        lines.push(line(GL_ACCOUNTS.MANAGEMENT_FEE_EXPENSE, { debit: managementFee, name: name(feeLine.lpActorId) }));
+      }
+      if (feeLine.expenseShare) {
+        lines.push(line(GL_ACCOUNTS.FUND_EXPENSES, { debit: feeLine.expenseShare, name: name(feeLine.lpActorId) }));
+      }
+      if (lines.length === 0) continue;
+      lines.push(line(GL_ACCOUNTS.DUE_TO_GP, { credit: feeLine.totalDue, name: name(feeLine.lpActorId) }));
+      entries.push({
+        id: `FA-${feeLine.id}`,
+        date: isoDate(invoice.periodEnd),
+        type: 'FEE_ACCRUAL',
+        reference: invoice.id,
+        memo: `Management fee ${invoice.year} Q${invoice.quarter}`,
+        lines
+      });
+    }
+  }
+
+  for (const dist of distributions) {
+    for (const alloc of dist.allocations || []) {
+      if (!paidBy(alloc, dist, end)) continue;
+      const fee = alloc.feeAmount || 0;
+      const withholding = alloc.withholdingAmount || 0;
+      const lines = [
+        line(GL_ACCOUNTS.PARTNERS_CAPITAL, { debit: alloc.netAmount + withholding, name: name(alloc.lpActorId) })
+      ];
+      if (fee) lines.push(line(GL_ACCOUNTS.DUE_TO_GP, { debit: fee, name: name(alloc.lpActorId) }));
+      lines.push(line(GL_ACCOUNTS.CASH, { credit: alloc.netAmount + fee, name: name(alloc.lpActorId) }));
+      if (withholding) lines.push(line(GL_ACCOUNTS.WITHHOLDING_PAYABLE, { credit: withholding, name: name(alloc.lpActorId) }));
+      entries.push({
+        id: `DP-${alloc.id}`,
+        date: isoDate(dist.distributionDate),
+        type: 'DISTRIBUTION',
+        reference: dist.id,
+        memo: `Distribution: ${dist.title}`,
+        lines
+      });
+    }
+  }
+
+  // Fees settled by a capital call are paid to the GP from the call proceeds
+  for (const { invoice, settlements } of settledInvoices) {
+    const amount = sum(settlements, s => s.amount);
+    const lastSettled = settlements.map(s => toDate(s.settledAt)).reduce((a, b) => (b > a ? b : a));
+    entries.push({
+      id: `FS-${invoice.id}`,
+      date: isoDate(lastSettled),
+      type: 'FEE_SETTLEMENT',
+      reference: invoice.id,
+      memo: `Management fee ${invoice.year} Q${invoice.quarter} paid from capital call`,
+      lines: [
+        line(GL_ACCOUNTS.DUE_TO_GP, { debit: amount }),
+        line(GL_ACCOUNTS.CASH, { credit: amount })
+      ]
+    });
+  }
+
+  for (const transfer of completedTransfers) {
+    const amount = transferred.get(transfer.id) || 0;
+    if (amount === 0) continue;
+    entries.push({
+      id: `TR-${transfer.id}`,
+      date: isoDate(transfer.effectiveDate),
+      type: 'TRANSFER',
+      reference: transfer.id,
+      memo: `Transfer of interest: ${name(transfer.fromLpActorId)} to ${name(transfer.toLpActorId)}`,
+      lines: [
+        line(GL_ACCOUNTS.PARTNERS_CAPITAL, { debit: amount, name: name(transfer.fromLpActorId) }),
+        line(GL_ACCOUNTS.PARTNERS_CAPITAL, { credit: amount, name: name(transfer.toLpActorId) })
+      ]
+    });
+  }
+
+  return entries.sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+}
+
+// ============================================================================
+// CLOSE PACKAGE
+// ============================================================================
+
+/**
+ * Build the close package for an accounting period
+ *
+ * Records are everything for the deal up to the period end; earlier activity
+ * forms the beginning capital balances.
+ *
+ * @param {Object} period - AccountingPeriod
+ * @param {Object} data
+ * @param {Array} data.lpActors - All LP actors on the deal (any status); those
+ *   admitted after period end are left out
+ * @param {Array} data.capitalCalls - CapitalCall with allocations
+ * @param {Array} data.distributions - Distribution with allocations
+ * @param {Array} data.feeInvoices - FeeInvoice with lines
+ * @param {Array} data.transfers - LPTransfer
+ * @returns {Object} Close package as of period end. Later payments or status
+ *   changes do not alter it, so a hard-closed period can be re-verified by hash.
+ */
+export function buildClosePackage(period, { lpActors: allLpActors = [], capitalCalls = [], distributions = [], feeInvoices = [], transfers = [] }) {
+  const start = toDate(period.startDate);
+  const end = toDate(period.endDate);
+  const lpActors = allLpActors.filter(lp => !lp.createdAt || toDate(lp.createdAt) <= end);
+  const names = new Map(lpActors.map(lp => [lp.id, lp.entityName]));
+
+  const movements = collectMovements({ lpActors, capitalCalls, distributions, feeInvoices, transfers }, end);
+  const { rows, transfers: transferred } = rollForward(lpActors, movements, start);
+
+  const calls = capitalCalls.filter(c =>
+    !['DRAFT', 'CANCELLED'].includes(c.status) && inWindow(c.dueDate, start, end));
+  const periodDistributions = distributions.filter(d =>
+    !['DRAFT', 'CANCELLED'].includes(d.status) && inWindow(d.distributionDate, start, end));
+  const invoices = feeInvoices.filter(i =>
+    i.status !== 'VOID' && (i.periodId === period.id || inWindow(i.periodEnd, start, end)));
+  // Fee call allocations funded in the period (FeeSettlement records)
+  const settledInvoices = feeInvoices
+    .map(invoice => ({
+      invoice,
+      settlements: (invoice.settlements || []).filter(s =>
+        s.method === 'CAPITAL_CALL' && s.status === 'SETTLED' && inWindow(s.settledAt, start, end))
+    }))
+    .filter(({ settlements }) => settlements.length > 0);
+  const periodTransfers = transfers.filter(t => inWindow(t.effectiveDate, start, end));
+  const completedTransfers = periodTransfers.filter(t => completedBy(t, end));
+  const pendingTransfers = periodTransfers.filter(t => !completedBy(t, end) &&
+    !(t.status === 'CANCELLED' && (!t.cancelledAt || toDate(t.cancelledAt) <= end)));
+
+  // Calls funded in the period (may be due earlier) and paid distributions
+  const fundedInPeriod = (call) => sum((call.allocations || []).filter(a =>
+    fundedBy(a, call, end) > 0 && inWindow(a.fundedAt || call.dueDate, start, end)), a => a.fundedAmount);
+  const paidAllocations = (dist) => (dist.allocations || []).filter(a => paidBy(a, dist, end));
+
+  const capitalCallActivity = capitalCalls
+    .filter(c => c.status !== 'CANCELLED' && (calls.includes(c) || fundedInPeriod(c) > 0))
+    .map(c => ({
+      id: c.id,
+      title: c.title,
+      purpose: c.purpose,
+      dueDate: isoDate(c.dueDate),
+      totalAmount: c.totalAmount,
+      fundedInPeriod: fundedInPeriod(c)
+    }));
+
+  const distributionActivity = periodDistributions.map(d => {
+    const paid = paidAllocations(d);
+    return {
+      id: d.id,
+      title: d.title,
+      type: d.type,
+      distributionDate: isoDate(d.distributionDate),
+      totalAmount: d.totalAmount,
+      grossPaid: sum(paid, a => a.grossAmount),
+      withholding: sum(paid, a => a.withholdingAmount),
+      feesDeducted: sum(paid, a => a.feeAmount),
+      netPaid: sum(paid, a => a.netAmount)
+    };
+  });
+
+  const feeActivity = invoices.map(i => ({
+    id: i.id,
+    year: i.year,
+    quarter: i.quarter,
+    managementFee: i.managementFee,
+    offsetAmount: i.offsetAmount || 0,
+    fundExpenses: i.fundExpenses || 0,
+    totalDue: i.totalDue
+  }));
+
+  const transferActivity = completedTransfers.map(t => ({
+    id: t.id,
+    fromLpActorId: t.fromLpActorId,
+    fromEntityName: names.get(t.fromLpActorId) || t.fromLpActorId,
+    toLpActorId: t.toLpActorId,
+    toEntityName: names.get(t.toLpActorId) || t.toLpActorId,
+    effectiveDate: isoDate(t.effectiveDate),
+    transferAmount: t.transferAmount,
+    transferPct: t.transferPct,
+    capitalTransferred: transferred.get(t.id) || 0
+  }));
+
+  const journalEntries = buildJournalEntries({
+    calls: capitalCalls.filter(c => c.status !== 'CANCELLED'),
+    distributions: periodDistributions,
+    invoices,
+    settledInvoices,
+    completedTransfers,
+    transferred,
+    names,
+    start,
+    end
+  });
+  const journalLines = journalEntries.flatMap(e => e.lines);
+
+  const exceptions = findExceptions({
+    lpActors,
+    calls,
+    distributions: periodDistributions,
+    invoices,
+    pendingTransfers,
+    end
+  });
+
+  const pkg = {
+    period: {
+      id: period.id,
+      dealId: period.dealId,
+      year: period.year,
+      quarter: period.quarter,
+      periodType: period.periodType,
+      startDate: isoDate(period.startDate),
+      endDate: isoDate(period.endDate)
+    },
+    summary: {
+      capitalCalled: sum(calls, c => c.totalAmount),
+      capitalFunded: sum(capitalCallActivity, c => c.fundedInPeriod),
+      distributionsPaid: sum(distributionActivity, d => d.grossPaid),
+      withholding: sum(distributionActivity, d => d.withholding),
+      feesAccrued: sum(feeActivity, f => f.totalDue),
+      transfersCompleted: completedTransfers.length,
+      capitalTransferred: sum(transferActivity, t => t.capitalTransferred),
+      errorCount: exceptions.filter(e => e.severity === 'ERROR').length,
+      warningCount: exceptions.filter(e => e.severity === 'WARNING').length
+    },
+    capitalCalls: capitalCallActivity,
+    distributions: distributionActivity,
+    fees: feeActivity,
+    transfers: transferActivity,
+    rollForward: {
+      rows,
+      totals: {
+        beginning: sum(rows, r => r.beginning),
+        contributions: sum(rows, r => r.contributions),
+        distributions: sum(rows, r => r.distributions),
+        allocations: sum(rows, r => r.allocations),
+        ending: sum(rows, r => r.ending)
+      }
+    },
+    exceptions,
+    journal: {
+      entries: journalEntries,
+      totalDebits: sum(journalLines, l => l.debit),
+      totalCredits: sum(journalLines, l => l.credit)
+    }
+  };
+
+  logDebug('Built close package', {
+    periodId: period.id,
+    lpCount: rows.length,
+    entryCount: journalEntries.length,
+    exceptionCount: exceptions.length
+  });
+  return pkg;
+}
+
+// Display text that can change after close without changing the period's numbers
+const UNHASHED_FIELDS = new Set(['entityName', 'fromEntityName', 'toEntityName', 'name', 'memo']);
+
+/**
+ * SHA-256 of the close package, stored with the period at hard close.
+ * Only period-bound fields are hashed: LP names (and the row order they
+ * drive) are left out, so renaming an LP does not break re-verification.
+ */
+export function hashClosePackage(pkg) {
+  const rows = [...pkg.rollForward.rows].sort((a, b) => a.lpActorId.localeCompare(b.lpActorId));
+  const periodBound = { ...pkg, rollForward: { ...pkg.rollForward, rows } };
+  const json = JSON.stringify(periodBound, (key, value) => (UNHASHED_FIELDS.has(key) ? undefined : value));
+  return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+// ============================================================================
+// GL EXPORT
+// ============================================================================
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Journal entries as CSV, one row per line
+ */
+export function journalToCsv(entries) {
+  const header = ['Entry', 'Date', 'Account', 'Account Name', 'Name', 'Debit', 'Credit', 'Memo', 'Reference'];
+  const rows = entries.flatMap(entry => entry.lines.map(l => [
+    entry.id,
+    entry.date,
+    l.account,
+    l.accountName,
+    l.name,
+    l.debit ? l.debit.toFixed(2) : '',
+    l.credit ? l.credit.toFixed(2) : '',
+    entry.memo,
+    entry.reference
+  ]));
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function iifCell(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/[\t\r\n]/g, ' ');
+}
+
+function iifDate(isoDay) {
+  const [year, month, day] = isoDay.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+/**
+ * Journal entries as QuickBooks IIF general journal transactions
+ * Debits are positive and credits negative; the first line is the TRNS row.
+ */
+export function journalToIif(entries) {
+  const columns = 'TRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO';
+  const out = [`!TRNS\tTRNSID\t${columns}`, `!SPL\tSPLID\t${columns}`, '!ENDTRNS'];
+
+  for (const entry of entries) {
+    entry.lines.forEach((l, index) => {
+      const amount = round2(l.debit - l.credit).toFixed(2);
+      out.push([
+        index === 0 ? 'TRNS' : 'SPL',
+        '',
+        'GENERAL JOURNAL',
+        iifDate(entry.date),
+        `${l.account} ${l.accountName}`,
+        l.name,
+        amount,
+        entry.id,
+        entry.memo
+      ].map(iifCell).join('\t'));
+    });
+    out.push('ENDTRNS');
+  }
+
+  return out.join('\r\n') + '\r\n';
+}
+
+export default {
+  GL_ACCOUNTS,
+  EXCEPTION_SEVERITIES,
+  buildClosePackage,
+  hashClosePackage,
+  journalToCsv,
+  journalToIif
+};
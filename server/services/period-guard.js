@@ -8,27 +8,11 @@
 import { getPrisma } from "../db.js";
 
 /**
- * Check if a transaction date falls within a closed accounting period.
- *
- * @param {string} dealId - UUID of the deal
- * @param {Date|string} transactionDate - Date of the transaction to check
- * @returns {Promise<object>} { allowed: boolean, warning?: string, reason?: string, periodId?: string }
+ * Close-status check for a period record (or null when none is defined).
  */
-export async function checkPeriodOpen(dealId, transactionDate) {
-  const prisma = getPrisma();
-  const txDate = new Date(transactionDate);
-
-  // Find the accounting period this date falls into
-  const period = await prisma.accountingPeriod.findFirst({
-    where: {
-      dealId,
-      startDate: { lte: txDate },
-      endDate: { gte: txDate }
-    }
-  });
-
+function periodStatusCheck(period) {
   if (!period) {
-    // No period defined for this date - allow by default
+    // No period defined - allow by default
     return { allowed: true };
   }
 
@@ -57,6 +41,48 @@ export async function checkPeriodOpen(dealId, transactionDate) {
   };
 }
 
+/**
+ * Check if a transaction date falls within a closed accounting period.
+ *
+ * @param {string} dealId - UUID of the deal
+ * @param {Date|string} transactionDate - Date of the transaction to check
+ * @returns {Promise<object>} { allowed: boolean, warning?: string, reason?: string, periodId?: string }
+ */
+export async function checkPeriodOpen(dealId, transactionDate) {
+  const prisma = getPrisma();
+  const txDate = new Date(transactionDate);
+
+  // Find the accounting period this date falls into
+  const period = await prisma.accountingPeriod.findFirst({
+    where: {
+      dealId,
+      startDate: { lte: txDate },
+      endDate: { gte: txDate }
+    }
+  });
+
+  return periodStatusCheck(period);
+}
+
+/**
+ * Check the accounting period for a calendar quarter directly, for records
+ * booked to a quarter rather than a transaction date (e.g. fee accruals).
+ * Matching on year/quarter avoids the boundary drift between UTC quarter
+ * bounds and the stored period dates.
+ *
+ * @param {string} dealId - UUID of the deal
+ * @param {number} year
+ * @param {number} quarter - 1-4
+ * @returns {Promise<object>} Same shape as checkPeriodOpen
+ */
+export async function checkQuarterOpen(dealId, year, quarter) {
+  const prisma = getPrisma();
+  const period = await prisma.accountingPeriod.findFirst({
+    where: { dealId, year, quarter }
+  });
+  return periodStatusCheck(period);
+}
+
 /**
  * Get the current open period for a deal (if any).
  *
@@ -91,8 +117,24 @@ export async function getCurrentPeriod(dealId, date = new Date()) {
  * @returns {Promise<object>} { blocked: boolean, status?: number, message?: string, warning?: string, periodId?: string }
  */
 export async function validatePeriodForOperation(dealId, transactionDate, operationType) {
-  const check = await checkPeriodOpen(dealId, transactionDate);
+  return toOperationCheck(await checkPeriodOpen(dealId, transactionDate), operationType);
+}
+
+/**
+ * Validate a financial operation booked to a calendar quarter against that
+ * quarter's period close status.
+ *
+ * @param {string} dealId - UUID of the deal
+ * @param {number} year
+ * @param {number} quarter - 1-4
+ * @param {string} operationType - Description of the operation for error messages
+ * @returns {Promise<object>} Same shape as validatePeriodForOperation
+ */
+export async function validateQuarterForOperation(dealId, year, quarter, operationType) {
+  return toOperationCheck(await checkQuarterOpen(dealId, year, quarter), operationType);
+}
 
+function toOperationCheck(check, operationType) {
   if (!check.allowed) {
     return {
       blocked: true,
@@ -3,8 +3,11 @@
  *
  * Provides citation-aware responses for the AI assistant by:
  * - Indexing verified claims and inputs
- * - Retrieving relevant facts for questions
- * - Generating responses with source citations
+ * - Maintaining a persistent per-deal retrieval index (RetrievalChunk) of
+ *   document text, spreadsheet cells and facts, updated incrementally
+ * - Retrieving relevant facts and excerpts for questions (hybrid BM25 and
+ *   embedding ranking, see retrieval-index.js)
+ * - Generating responses with source citations down to page and cell spans
  * - Detecting when data is unavailable
  *
  * SECURITY: All fact index operations now require organizationId to prevent
@@ -14,6 +17,7 @@
 
 import { PrismaClient } from '@prisma/client';
 import { filterFactsForUser } from './ai-context-filter.js';
+import { analyzeText, chunkPages, chunkCells, rankEntries } from './retrieval-index.js';
 
 const prisma = new PrismaClient();
 
@@ -61,10 +65,13 @@ async function buildFactIndex(dealId, organizationId = null) {
       value: JSON.parse(claim.claimedValue),
       source: {
         type: 'AI_EXTRACTION',
+        claimId: claim.id,
+        documentId: claim.documentId,
         documentName: claim.documentName,
         documentType: claim.documentType,
         pageNumber: claim.pageNumber,
         cellReference: claim.cellReference,
+        textSnippet: claim.textSnippet,
         confidence: claim.aiConfidence
       },
       verification: {
@@ -166,7 +173,7 @@ async function buildFactIndex(dealId, organizationId = null) {
 
   // 4. Get open conflicts
   const conflicts = await prisma.underwritingConflict?.findMany({
-    where: { dealId, resolved: false }
+    where: { dealId, status: 'OPEN' }
   });
 
   if (conflicts) {
@@ -175,12 +182,12 @@ async function buildFactIndex(dealId, organizationId = null) {
         type: 'CONFLICT',
         fieldPath: conflict.fieldPath,
         value: {
-          value1: conflict.value1,
-          value2: conflict.value2,
-          source1: conflict.source1,
-          source2: conflict.source2
+          value1: JSON.parse(conflict.valueA),
+          value2: JSON.parse(conflict.valueB),
+          source1: conflict.sourceA,
+          source2: conflict.sourceB
         },
-        source: { type: 'CONFLICT_DETECTION' },
+        source: { type: 'CONFLICT_DETECTION', conflictId: conflict.id },
         verification: null,
         searchTerms: buildSearchTerms(conflict.fieldPath, 'conflict'),
         // SECURITY: Add metadata for filtering
@@ -247,6 +254,310 @@ function buildSearchTerms(fieldPath, ...additionalTerms) {
   return [...terms, ...additionalTerms].filter(Boolean);
 }
 
+// =============================================================================
+// RETRIEVAL INDEX
+// =============================================================================
+
+const FACT_SOURCE_TYPES = ['VERIFIED_CLAIM', 'UNDERWRITING_INPUT', 'MODEL_VALUE', 'CONFLICT'];
+
+// Document text follows the same default as the facts extracted from it
+const DEFAULT_DOCUMENT_ROLES = ['GP', 'GP Analyst', 'Admin', 'Lender', 'Regulator', 'Auditor'];
+
+async function resolveDealOrganization(dealId) {
+  const { readStore } = await import('../store.js');
+  const store = await readStore();
+  const dealRecord = store.dealIndex.find(d => d.id === dealId);
+  if (!dealRecord) {
+    throw new Error(`Deal not found: ${dealId}`);
+  }
+  return dealRecord.organizationId || null;
+}
+
+function factSourceId(fact) {
+  return fact.source?.claimId || fact.source?.conflictId || fact.fieldPath;
+}
+
+/**
+ * Searchable text for a fact: its label, synonyms, value and source
+ */
+function factText(fact) {
+  const value = fact.type === 'CONFLICT'
+    ? `${fact.value.value1} (${fact.value.source1}) vs ${fact.value.value2} (${fact.value.source2})`
+    : formatFactValue(fact.fieldPath, fact.value);
+  return [
+    formatFieldName(fact.fieldPath),
+    ...fact.searchTerms,
+    value,
+    fact.source?.documentName,
+    fact.source?.documentType,
+    fact.source?.textSnippet
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Sync the fact chunks of a deal's retrieval index with its current verified
+ * claims, inputs, model values and conflicts. Only facts whose content
+ * changed are rewritten; facts that no longer exist are removed.
+ *
+ * @param {string} dealId - The deal ID
+ * @returns {Object} { indexed, unchanged, removed }
+ */
+async function refreshFactIndex(dealId) {
+  const organizationId = await resolveDealOrganization(dealId);
+  const facts = await buildFactIndex(dealId, organizationId);
+
+  const existing = await prisma.retrievalChunk.findMany({
+    where: { dealId, sourceType: { in: FACT_SOURCE_TYPES } },
+    select: { id: true, sourceType: true, sourceId: true, contentHash: true }
+  });
+  const existingByKey = new Map(existing.map(c => [`${c.sourceType}:${c.sourceId}`, c]));
+
+  const seen = new Set();
+  let indexed = 0;
+  let unchanged = 0;
+
+  for (const fact of facts) {
+    const sourceId = factSourceId(fact);
+    const key = `${fact.type}:${sourceId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const text = factText(fact);
+    const analyzed = analyzeText(text, fact);
+    if (existingByKey.get(key)?.contentHash === analyzed.contentHash) {
+      unchanged++;
+      continue;
+    }
+
+    const data = {
+      organizationId,
+      documentId: fact.source?.documentId || null,
+      documentName: fact.source?.documentName || null,
+      documentType: fact.source?.documentType || null,
+      pageNumber: fact.source?.pageNumber || null,
+      cellRange: fact.source?.cellReference || fact.source?.documentCell || null,
+      fieldPath: fact.fieldPath,
+      text,
+      terms: JSON.stringify(analyzed.terms),
+      termCount: analyzed.termCount,
+      embedding: JSON.stringify(analyzed.embedding),
+      fact: JSON.stringify(fact),
+      contentHash: analyzed.contentHash,
+      visibility: fact.metadata.visibility,
+      allowedRoles: JSON.stringify(fact.metadata.allowedRoles)
+    };
+    await prisma.retrievalChunk.upsert({
+      where: { dealId_sourceType_sourceId_chunkIndex: { dealId, sourceType: fact.type, sourceId, chunkIndex: 0 } },
+      create: { dealId, sourceType: fact.type, sourceId, chunkIndex: 0, ...data },
+      update: data
+    });
+    indexed++;
+  }
+
+  const stale = existing.filter(c => !seen.has(`${c.sourceType}:${c.sourceId}`)).map(c => c.id);
+  if (stale.length > 0) {
+    await prisma.retrievalChunk.deleteMany({ where: { id: { in: stale } } });
+  }
+
+  return { indexed, unchanged, removed: stale.length };
+}
+
+/**
+ * Index the text of a document: PDF/OCR pages are split into page-bounded
+ * chunks with character spans, spreadsheet cells into row blocks with cell
+ * ranges. Re-indexing an unchanged document is a no-op.
+ *
+ * @param {string} dealId - The deal ID
+ * @param {Object} document - { documentId, documentName, documentType?, pages?: [{ pageNumber, text }],
+ *                              cells?: [{ sheetName, row, col, value, label? }], allowedRoles? }
+ * @returns {Object} { documentId, chunks, changed }
+ */
+async function indexDocumentText(dealId, document) {
+  const { documentId, documentName, documentType = null, pages = [], cells = [] } = document;
+  const allowedRoles = document.allowedRoles || DEFAULT_DOCUMENT_ROLES;
+  if (!documentId || !documentName) {
+    throw new Error('documentId and documentName are required');
+  }
+  const organizationId = await resolveDealOrganization(dealId);
+
+  const chunks = [...chunkPages(pages), ...chunkCells(cells)];
+  const rows = chunks.map((chunk, chunkIndex) => {
+    const location = { documentName, documentType, pageNumber: chunk.pageNumber, charStart: chunk.charStart, cellRange: chunk.cellRange, allowedRoles };
+    const analyzed = analyzeText(chunk.text, location);
+    return {
+      dealId,
+      organizationId,
+      sourceType: 'DOCUMENT_CHUNK',
+      sourceId: documentId,
+      chunkIndex,
+      documentId,
+      documentName,
+      documentType,
+      pageNumber: chunk.pageNumber ?? null,
+      charStart: chunk.charStart ?? null,
+      charEnd: chunk.charEnd ?? null,
+      cellRange: chunk.cellRange || null,
+      text: chunk.text,
+      terms: JSON.stringify(analyzed.terms),
+      termCount: analyzed.termCount,
+      embedding: JSON.stringify(analyzed.embedding),
+      contentHash: analyzed.contentHash,
+      visibility: 'GP_ONLY',
+      allowedRoles: JSON.stringify(allowedRoles)
+    };
+  });
+
+  const existing = await prisma.retrievalChunk.findMany({
+    where: { dealId, sourceType: 'DOCUMENT_CHUNK', sourceId: documentId },
+    select: { contentHash: true },
+    orderBy: { chunkIndex: 'asc' }
+  });
+  if (existing.length === rows.length && existing.every((c, i) => c.contentHash === rows[i].contentHash)) {
+    return { documentId, chunks: rows.length, changed: false };
+  }
+
+  await prisma.$transaction([
+    prisma.retrievalChunk.deleteMany({ where: { dealId, sourceType: 'DOCUMENT_CHUNK', sourceId: documentId } }),
+    prisma.retrievalChunk.createMany({ data: rows })
+  ]);
+  return { documentId, chunks: rows.length, changed: true };
+}
+
+/**
+ * Remove a document's text from the retrieval index
+ * @returns {number} Chunks removed
+ */
+async function removeDocumentFromIndex(dealId, documentId) {
+  const { count } = await prisma.retrievalChunk.deleteMany({
+    where: { dealId, sourceType: 'DOCUMENT_CHUNK', sourceId: documentId }
+  });
+  return count;
+}
+
+function chunkToFact(row) {
+  if (row.fact) {
+    const fact = JSON.parse(row.fact);
+    return { ...fact, metadata: { ...fact.metadata, organizationId: row.organizationId } };
+  }
+  return {
+    type: 'DOCUMENT_CHUNK',
+    fieldPath: null,
+    value: row.text,
+    source: {
+      type: 'DOCUMENT',
+      documentId: row.documentId,
+      documentName: row.documentName,
+      documentType: row.documentType,
+      pageNumber: row.pageNumber,
+      charStart: row.charStart,
+      charEnd: row.charEnd,
+      cellReference: row.cellRange
+    },
+    verification: null,
+    searchTerms: [],
+    metadata: {
+      organizationId: row.organizationId,
+      dealId: row.dealId,
+      visibility: row.visibility,
+      allowedRoles: JSON.parse(row.allowedRoles)
+    }
+  };
+}
+
+/**
+ * Search a deal's retrieval index for a question
+ *
+ * SECURITY: Validates the deal belongs to the user's organization and runs
+ * every chunk through filterFactsForUser before ranking.
+ *
+ * @param {string} dealId - The deal ID
+ * @param {string} question - The user's question
+ * @param {Object} authUser - Authenticated user from JWT
+ * @param {Object} options - { limit }
+ * @returns {Array} Facts best first, each with retrieval { score, bm25, similarity }
+ */
+async function searchDealIndex(dealId, question, authUser, options = {}) {
+  if (!authUser || !authUser.organizationId) {
+    throw new Error('Authentication required for fact index access');
+  }
+  const organizationId = await resolveDealOrganization(dealId);
+  if (organizationId && organizationId !== authUser.organizationId) {
+    throw new Error('Access denied - deal belongs to different organization');
+  }
+
+  let rows = await prisma.retrievalChunk.findMany({ where: { dealId } });
+  if (!rows.some(r => FACT_SOURCE_TYPES.includes(r.sourceType))) {
+    // First search on a deal: build the fact side of the index
+    await refreshFactIndex(dealId);
+    rows = await prisma.retrievalChunk.findMany({ where: { dealId } });
+  }
+
+  const rowByFact = new Map();
+  const candidates = rows.map(row => {
+    const fact = chunkToFact(row);
+    rowByFact.set(fact, row);
+    return fact;
+  });
+  const allowed = filterFactsForUser(candidates, authUser);
+
+  const entries = allowed.map(fact => {
+    const row = rowByFact.get(fact);
+    return { fact, terms: JSON.parse(row.terms), termCount: row.termCount, embedding: JSON.parse(row.embedding) };
+  });
+
+  return rankEntries(question, entries, { limit: options.limit }).map(({ entry, score, bm25, similarity }) => ({
+    ...entry.fact,
+    retrieval: { score, bm25, similarity }
+  }));
+}
+
+/**
+ * Chunk counts for a deal's retrieval index
+ */
+async function getIndexStatus(dealId) {
+  const rows = await prisma.retrievalChunk.findMany({
+    where: { dealId },
+    select: { sourceType: true, documentId: true, updatedAt: true }
+  });
+
+  const bySourceType = {};
+  for (const row of rows) {
+    bySourceType[row.sourceType] = (bySourceType[row.sourceType] || 0) + 1;
+  }
+  const documents = new Set(rows.filter(r => r.sourceType === 'DOCUMENT_CHUNK').map(r => r.documentId));
+  const lastIndexedAt = rows.reduce((latest, r) => (!latest || r.updatedAt > latest ? r.updatedAt : latest), null);
+
+  return {
+    dealId,
+    totalChunks: rows.length,
+    bySourceType,
+    documentCount: documents.size,
+    lastIndexedAt: lastIndexedAt?.toISOString() || null
+  };
+}
+
+/**
+ * Run an index update after the response is sent. Indexing failures are
+ * logged and never fail the request that triggered them.
+ */
+function queueIndexUpdate(description, task) {
+  setImmediate(async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`[RAG-INDEX] ${description} failed:`, error.message);
+    }
+  });
+}
+
+function queueFactIndexRefresh(dealId) {
+  queueIndexUpdate(`Fact refresh for deal ${dealId}`, () => refreshFactIndex(dealId));
+}
+
+function queueDocumentIndex(dealId, document) {
+  queueIndexUpdate(`Indexing document ${document.documentId}`, () => indexDocumentText(dealId, document));
+}
+
 // =============================================================================
 // FACT RETRIEVAL
 // =============================================================================
@@ -318,8 +629,7 @@ function formatCitation(fact) {
   const parts = [];
 
   // Value
-  const formattedValue = formatFactValue(fact.fieldPath, fact.value);
-  parts.push(`**${formatFieldName(fact.fieldPath)}**: ${formattedValue}`);
+  parts.push(`**${factLabel(fact)}**: ${factValue(fact)}`);
 
   // Source
   if (fact.source) {
@@ -368,7 +678,7 @@ function buildCitationsSection(facts) {
     if (fact.source?.pageNumber) location.push(`p. ${fact.source.pageNumber}`);
     if (fact.source?.cellReference) location.push(fact.source.cellReference);
 
-    let citation = `- **${formatFieldName(fact.fieldPath)}**: ${source}`;
+    let citation = `- **${factLabel(fact)}**: ${source}`;
     if (location.length > 0) {
       citation += ` (${location.join(', ')})`;
     }
@@ -387,15 +697,15 @@ function buildCitationsSection(facts) {
 
 /**
  * Generate a citation-aware response
+ *
+ * SECURITY: Requires context.authUser - facts come from the user's filtered
+ * view of the deal's retrieval index.
  */
-async function generateCitationResponse(dealId, question, context) {
-  // Build fact index
-  const facts = await buildFactIndex(dealId);
+async function generateCitationResponse(dealId, question, context = {}) {
+  const relevantFacts = await searchDealIndex(dealId, question, context.authUser, { limit: 5 });
 
-  // Check if we can answer
-  const { canAnswer, confidence, relevantFacts } = canAnswerQuestion(question, facts);
-
-  if (!canAnswer) {
+  if (relevantFacts.length === 0) {
+    const facts = await buildFilteredFactIndex(dealId, context.authUser);
     return {
       response: generateUnknownResponse(question, facts),
       canAnswer: false,
@@ -406,18 +716,76 @@ async function generateCitationResponse(dealId, question, context) {
 
   // Generate response with citations
   const response = generateFactBasedResponse(question, relevantFacts, context);
-  const citations = relevantFacts.map(f => ({
-    fieldPath: f.fieldPath,
-    value: f.value,
-    source: f.source,
-    verified: !!f.verification?.verifiedBy
-  }));
 
   return {
     response: response + buildCitationsSection(relevantFacts),
     canAnswer: true,
-    confidence,
-    citations
+    confidence: relevantFacts.length >= 3 ? 'high' : 'medium',
+    citations: relevantFacts.map(toCitation)
+  };
+}
+
+/**
+ * Citation payload for API responses: value plus the page/cell span to
+ * highlight in the source
+ */
+function toCitation(fact) {
+  return {
+    type: fact.type,
+    fieldPath: fact.fieldPath,
+    value: fact.value,
+    source: fact.source,
+    verified: !!fact.verification?.verifiedBy,
+    score: fact.retrieval?.score ?? null
+  };
+}
+
+/**
+ * Numbered source list for an LLM system prompt, so answers can cite [S1]...
+ */
+function buildRetrievedSourcesPrompt(facts) {
+  if (facts.length === 0) return '';
+
+  const lines = [
+    'RETRIEVED SOURCES (cite as [S1], [S2], ... when you use them; say so if they do not answer the question):'
+  ];
+  facts.forEach((fact, i) => {
+    const location = [fact.source?.documentName || fact.source?.type];
+    if (fact.source?.pageNumber) location.push(`p. ${fact.source.pageNumber}`);
+    if (fact.source?.cellReference) location.push(fact.source.cellReference);
+    lines.push(`[S${i + 1}] ${factLabel(fact)}: ${factValue(fact)} (${location.filter(Boolean).join(', ')})`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Track [S1]-style markers in a streamed answer so each cited source can be
+ * sent to the client as soon as the text citing it is released
+ *
+ * @param {Array} facts - Facts in the order given to buildRetrievedSourcesPrompt
+ * @returns {Object} { add(text) => new citations, cited() => all citations so far }
+ */
+function createCitationTracker(facts) {
+  const emitted = new Map();
+  let text = '';
+
+  return {
+    add(chunk) {
+      // Scan the whole answer so a marker split across chunks is still found
+      text += chunk || '';
+      const found = [];
+      for (const match of text.matchAll(/\[S(\d+)\]/g)) {
+        const index = Number(match[1]) - 1;
+        if (emitted.has(index) || !facts[index]) continue;
+        const citation = { marker: `S${index + 1}`, ...toCitation(facts[index]) };
+        emitted.set(index, citation);
+        found.push(citation);
+      }
+      return found;
+    },
+    cited() {
+      return [...emitted.values()];
+    }
   };
 }
 
@@ -478,7 +846,7 @@ function generateFactBasedResponse(question, facts, context) {
   if (q.includes('where') && (q.includes('come from') || q.includes('source') || q.includes('from'))) {
     const relevantFact = facts[0];
     if (relevantFact) {
-      let response = `The ${formatFieldName(relevantFact.fieldPath)} of ${formatFactValue(relevantFact.fieldPath, relevantFact.value)} `;
+      let response = `The ${factLabel(relevantFact)} of ${factValue(relevantFact)} `;
 
       if (relevantFact.source?.documentName) {
         response += `comes from ${relevantFact.source.documentName}`;
@@ -511,8 +879,7 @@ function generateFactBasedResponse(question, facts, context) {
     const responses = [];
 
     for (const fact of facts) {
-      const value = formatFactValue(fact.fieldPath, fact.value);
-      responses.push(`${formatFieldName(fact.fieldPath)}: ${value}`);
+      responses.push(`${factLabel(fact)}: ${factValue(fact)}`);
     }
 
     return `Based on verified data:\n\n${responses.join('\n')}`;
@@ -522,15 +889,15 @@ function generateFactBasedResponse(question, facts, context) {
   if (q.includes('compare') || q.includes('vs') || q.includes('versus')) {
     // Build comparison from available facts
     const metrics = facts.map(f => ({
-      name: formatFieldName(f.fieldPath),
-      value: formatFactValue(f.fieldPath, f.value)
+      name: factLabel(f),
+      value: factValue(f)
     }));
 
     return `Here are the relevant metrics:\n\n${metrics.map(m => `- ${m.name}: ${m.value}`).join('\n')}`;
   }
 
   // Default: summarize available facts
-  return `Based on the deal data:\n\n${facts.map(f => `- ${formatFieldName(f.fieldPath)}: ${formatFactValue(f.fieldPath, f.value)}`).join('\n')}`;
+  return `Based on the deal data:\n\n${facts.map(f => `- ${factLabel(f)}: ${factValue(f)}`).join('\n')}`;
 }
 
 /**
@@ -564,6 +931,18 @@ function identifyMissingData(question) {
 // HELPERS
 // =============================================================================
 
+function factLabel(fact) {
+  return fact.fieldPath ? formatFieldName(fact.fieldPath) : 'Document excerpt';
+}
+
+function factValue(fact) {
+  if (fact.type === 'DOCUMENT_CHUNK') {
+    const text = String(fact.value);
+    return `"${text.length > 300 ? `${text.slice(0, 300)}...` : text}"`;
+  }
+  return formatFactValue(fact.fieldPath, fact.value);
+}
+
 function formatFieldName(fieldPath) {
   const names = {
     purchasePrice: 'Purchase Price',
@@ -634,6 +1013,16 @@ function formatDate(dateStr) {
 export {
   buildFactIndex,
   buildFilteredFactIndex,
+  refreshFactIndex,
+  indexDocumentText,
+  removeDocumentFromIndex,
+  searchDealIndex,
+  getIndexStatus,
+  queueFactIndexRefresh,
+  queueDocumentIndex,
+  buildRetrievedSourcesPrompt,
+  createCitationTracker,
+  toCitation,
   findRelevantFacts,
   canAnswerQuestion,
   generateCitationResponse,
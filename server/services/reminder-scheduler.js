@@ -1,13 +1,18 @@
 /**
  * Reminder Scheduler Service
  *
- * Handles automated deadline reminders, escalation checks, and snooze processing.
+ * Handles automated deadline reminders, escalation checks (overdue tasks and
+ * unresolved critical deal issues), snooze processing, LP consent deadlines
+ * and capital call payment defaults.
  * Uses node-cron for scheduled jobs.
  */
 
 import cron from 'node-cron';
 import { PrismaClient } from '@prisma/client';
 import { sendEmail } from './email-service.js';
+import { resolveDueMajorEvents } from '../routes/major-events.js';
+import { escalateDealIssues } from '../routes/deal-issues.js';
+import { processCapitalCallDefaults } from '../routes/capital-call-defaults.js';
 
 const prisma = new PrismaClient();
 
@@ -56,6 +61,28 @@ export function startScheduler() {
     }
   });
 
+  // Job 4: LP consent deadlines (runs every hour)
+  cron.schedule('30 * * * *', async () => {
+    console.log('[Scheduler] Resolving LP consents past deadline...');
+    try {
+      const resolved = await resolveDueMajorEvents();
+      console.log(`[Scheduler] Resolved ${resolved} consent(s)`);
+    } catch (error) {
+      console.error('[Scheduler] Consent resolution failed:', error);
+    }
+  });
+
+  // Job 5: Capital call grace periods and defaults (runs daily at 7 AM)
+  cron.schedule('0 7 * * *', async () => {
+    console.log('[Scheduler] Checking capital call payments past due...');
+    try {
+      const counts = await processCapitalCallDefaults();
+      console.log(`[Scheduler] Capital call defaults: ${counts.graceStarted} in grace, ${counts.defaulted} defaulted, ${counts.cured} cured`);
+    } catch (error) {
+      console.error('[Scheduler] Capital call default check failed:', error);
+    }
+  });
+
   console.log('[Scheduler] All jobs scheduled');
 }
 
@@ -214,6 +241,11 @@ export async function processEscalations() {
     }
   }
 
+  // Unresolved CRITICAL deal issues (rules in escalation-rules.js)
+  const issueResults = await escalateDealIssues({ now });
+  results.issuesChecked = issueResults.issuesChecked;
+  results.issuesEscalated = issueResults.escalated;
+
   console.log('[Scheduler] Escalation results:', results);
   return results;
 }
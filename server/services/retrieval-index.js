@@ -0,0 +1,415 @@
+/**
+ * Retrieval Index Service
+ *
+ * Ranking for the per-deal retrieval index behind the AI assistant's
+ * citations (services/rag-citation-service.js):
+ * - Chunking of document text by page (with character spans) and of
+ *   spreadsheet cells by row block (with cell ranges)
+ * - Term statistics for BM25 and a hashed local embedding (word stems and
+ *   character trigrams), so related wording ("roofing reserves" for "roof
+ *   reserve") still matches without an external embedding service
+ * - Hybrid ranking: BM25 and embedding similarity fused by reciprocal rank
+ *
+ * Pure functions: callers load and store the index entries.
+ */
+
+import crypto from 'node:crypto';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[RetrievalIndex]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_RETRIEVAL_INDEX === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const EMBEDDING_DIMENSIONS = 256;
+
+export const CHUNK_DEFAULTS = {
+  maxWords: 120,      // Words per document text chunk
+  overlapWords: 20,   // Words repeated between consecutive chunks
+  rowsPerChunk: 10    // Spreadsheet rows per cell chunk
+};
+
+export const RANKING_DEFAULTS = {
+  limit: 8,
+  k1: 1.2,                  // BM25 term frequency saturation
+  b: 0.75,                  // BM25 length normalization
+  rrfK: 60,                 // Reciprocal rank fusion constant
+  minSimilarity: 0.2,       // Embedding similarity for a vector-only match
+  verifiedBoost: 1.1,
+  conflictBoost: 1.5
+};
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'give', 'had', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'much', 'my',
+  'of', 'on', 'or', 'our', 'show', 'tell', 'that', 'the', 'their', 'there', 'this', 'to', 'us', 'was',
+  'we', 'were', 'what', 'whats', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Equivalent phrasings in CRE documents. A query matching one phrase also
+ * searches for the others at SYNONYM_WEIGHT.
+ */
+const SYNONYM_GROUPS = [
+  ['noi', 'net operating income'],
+  ['opex', 'operating expenses'],
+  ['capex', 'capital expenditures', 'capital improvements'],
+  ['reserves', 'replacement reserves', 'escrow'],
+  ['gpr', 'gross potential rent'],
+  ['egi', 'effective gross income'],
+  ['ltv', 'loan to value'],
+  ['dscr', 'debt service coverage'],
+  ['sf', 'square feet', 'square footage'],
+  ['occupancy', 'occupied', 'leased'],
+  ['loan', 'debt', 'mortgage', 'financing'],
+  ['taxes', 'real estate taxes', 'property taxes'],
+  ['purchase price', 'acquisition price'],
+  ['cap rate', 'capitalization rate']
+];
+
+const SYNONYM_WEIGHT = 0.5;
+
+const CONFLICT_WORDS = ['conflict', 'discrepancy', 'issue', 'mismatch'];
+
+// ============================================================================
+// TEXT PROCESSING
+// ============================================================================
+
+/**
+ * Light suffix stripping so singular/plural and simple verb forms match
+ */
+export function stem(token) {
+  if (/^\d/.test(token)) return token;
+  if (token.length > 4 && /(ies|ied)$/.test(token)) return token.slice(0, -3) + 'y';
+  if (/(sses|ches|shes|xes|zes)$/.test(token)) return token.slice(0, -2);
+  if (token.length > 5 && token.endsWith('ing')) return restoreE(token.slice(0, -3));
+  if (token.length > 4 && token.endsWith('ed')) return restoreE(token.slice(0, -2));
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/** "leas" (from leased/leasing) -> "lease", "rat" -> "rate" */
+function restoreE(base) {
+  return /[aeiou][cgstuvz]$/.test(base) ? `${base}e` : base;
+}
+
+/**
+ * Normalized terms of a text, stopwords removed
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const normalized = String(text)
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3})/g, '$1')  // 1,250,000 -> 1250000
+    .replace(/'/g, '');
+  const tokens = normalized.match(/[a-z0-9]+(?:\.[0-9]+)?/g) || [];
+  return tokens.filter(t => !STOPWORDS.has(t)).map(stem);
+}
+
+/**
+ * Weighted query terms: the question's own terms, plus synonyms of any
+ * phrase it contains
+ * @returns {Map<string, number>} term -> weight
+ */
+export function expandQuery(question) {
+  const terms = tokenize(question);
+  const weights = new Map(terms.map(t => [t, 1]));
+  const joined = ` ${terms.join(' ')} `;
+
+  for (const group of SYNONYM_GROUPS) {
+    const phrases = group.map(phrase => tokenize(phrase));
+    if (!phrases.some(p => joined.includes(` ${p.join(' ')} `))) continue;
+    for (const phrase of phrases) {
+      for (const term of phrase) {
+        if (!weights.has(term)) weights.set(term, SYNONYM_WEIGHT);
+      }
+    }
+  }
+  return weights;
+}
+
+/**
+ * Term frequencies of a token list
+ * @returns {Object} { term: count }
+ */
+export function termFrequencies(tokens) {
+  const tf = {};
+  for (const token of tokens) {
+    tf[token] = (tf[token] || 0) + 1;
+  }
+  return tf;
+}
+
+// ============================================================================
+// LOCAL EMBEDDING
+// ============================================================================
+
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  const sign = (hash & 0x80000000) ? -1 : 1;
+  vector[hash % EMBEDDING_DIMENSIONS] += sign * weight;
+}
+
+/**
+ * Hashed bag-of-features embedding: word stems plus character trigrams, so
+ * morphological variants and partial words land near each other
+ * @returns {number[]} L2-normalized vector of EMBEDDING_DIMENSIONS
+ */
+export function embedText(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const token of tokenize(text)) {
+    addFeature(vector, `w:${token}`, 1);
+    const padded = `#${token}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `c:${padded.slice(i, i + 3)}`, 0.5);
+    }
+  }
+  const norm = Math.sqrt(vector.reduce((s, v) => s + v * v, 0));
+  return norm > 0 ? vector.map(v => Math.round((v / norm) * 10000) / 10000) : vector;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// ============================================================================
+// CHUNKING
+// ============================================================================
+
+/**
+ * Split document pages into overlapping word windows. Chunks never cross a
+ * page, so each cites one page and a character span within it.
+ *
+ * @param {Array} pages - [{ pageNumber, text }]
+ * @param {Object} options - { maxWords, overlapWords }
+ * @returns {Array} [{ chunkIndex, pageNumber, charStart, charEnd, text }]
+ */
+export function chunkPages(pages, options = {}) {
+  const { maxWords, overlapWords } = { ...CHUNK_DEFAULTS, ...options };
+  const step = Math.max(1, maxWords - overlapWords);
+  const chunks = [];
+
+  for (const page of pages || []) {
+    const text = page.text || '';
+    const words = [...text.matchAll(/\S+/g)];
+    for (let start = 0; start < words.length; start += step) {
+      const window = words.slice(start, start + maxWords);
+      const charStart = window[0].index;
+      const last = window[window.length - 1];
+      const charEnd = last.index + last[0].length;
+      chunks.push({
+        chunkIndex: chunks.length,
+        pageNumber: page.pageNumber ?? null,
+        charStart,
+        charEnd,
+        text: text.slice(charStart, charEnd).replace(/\s+/g, ' ')
+      });
+      if (start + maxWords >= words.length) break;
+    }
+  }
+  return chunks;
+}
+
+export function columnLetter(col) {
+  let letters = '';
+  for (let n = col; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Group spreadsheet cells into blocks of rows. Each row reads as
+ * "label: value" pairs; each chunk cites its sheet and cell range.
+ *
+ * @param {Array} cells - [{ sheetName, row, col, value, label? }] (1-based row/col)
+ * @param {Object} options - { rowsPerChunk }
+ * @returns {Array} [{ chunkIndex, sheetName, cellRange, text }]
+ */
+export function chunkCells(cells, options = {}) {
+  const { rowsPerChunk } = { ...CHUNK_DEFAULTS, ...options };
+  const bySheet = new Map();
+  for (const cell of cells || []) {
+    if (cell.value == null || cell.value === '') continue;
+    if (!bySheet.has(cell.sheetName)) bySheet.set(cell.sheetName, new Map());
+    const rows = bySheet.get(cell.sheetName);
+    if (!rows.has(cell.row)) rows.set(cell.row, []);
+    rows.get(cell.row).push(cell);
+  }
+
+  const chunks = [];
+  for (const [sheetName, rows] of bySheet) {
+    const rowNumbers = [...rows.keys()].sort((a, b) => a - b);
+    for (let i = 0; i < rowNumbers.length; i += rowsPerChunk) {
+      const block = rowNumbers.slice(i, i + rowsPerChunk).map(r => rows.get(r).sort((a, b) => a.col - b.col));
+      const flat = block.flat();
+      const minCol = Math.min(...flat.map(c => c.col));
+      const maxCol = Math.max(...flat.map(c => c.col));
+      const lines = block.map(rowCells => {
+        const labels = new Set(rowCells.map(c => c.label).filter(Boolean).map(String));
+        return rowCells
+          .filter(c => !labels.has(String(c.value)))
+          .map(c => (c.label ? `${c.label}: ${c.value}` : String(c.value)))
+          .join(' | ');
+      });
+      chunks.push({
+        chunkIndex: chunks.length,
+        sheetName,
+        cellRange: `${sheetName}!${columnLetter(minCol)}${flat[0].row}:${columnLetter(maxCol)}${flat[flat.length - 1].row}`,
+        text: lines.join('\n')
+      });
+    }
+  }
+  return chunks;
+}
+
+// ============================================================================
+// INDEX ENTRIES
+// ============================================================================
+
+/**
+ * Term statistics, embedding and content hash for an entry's text
+ * @param {string} text - Entry text
+ * @param {Object|null} metadata - Also hashed, so a change of source or access re-indexes the entry
+ * @returns {Object} { terms, termCount, embedding, contentHash }
+ */
+export function analyzeText(text, metadata = null) {
+  const tokens = tokenize(text);
+  return {
+    terms: termFrequencies(tokens),
+    termCount: tokens.length,
+    embedding: embedText(text),
+    contentHash: crypto.createHash('sha256').update(text).update(JSON.stringify(metadata)).digest('hex')
+  };
+}
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+/**
+ * BM25 score of each entry against weighted query terms, with document
+ * frequencies taken over the entries given
+ * @returns {number[]} Scores aligned with entries
+ */
+export function bm25Scores(queryWeights, entries, options = {}) {
+  const { k1, b } = { ...RANKING_DEFAULTS, ...options };
+  const n = entries.length;
+  if (n === 0) return [];
+  const avgLength = entries.reduce((s, e) => s + (e.termCount || 0), 0) / n || 1;
+
+  const idf = new Map();
+  for (const term of queryWeights.keys()) {
+    const df = entries.filter(e => e.terms?.[term]).length;
+    idf.set(term, Math.log(1 + (n - df + 0.5) / (df + 0.5)));
+  }
+
+  return entries.map(entry => {
+    let score = 0;
+    const lengthNorm = 1 - b + b * ((entry.termCount || 0) / avgLength);
+    for (const [term, weight] of queryWeights) {
+      const tf = entry.terms?.[term] || 0;
+      if (tf === 0) continue;
+      score += weight * idf.get(term) * (tf * (k1 + 1)) / (tf + k1 * lengthNorm);
+    }
+    return score;
+  });
+}
+
+/**
+ * Rank index entries for a question: BM25 and embedding similarity are
+ * ranked separately and fused by reciprocal rank, then verified facts and
+ * (for questions about conflicts) conflicts are boosted. Only entries with
+ * a term match or a close embedding are returned.
+ *
+ * @param {string} question
+ * @param {Array} entries - [{ terms, termCount, embedding, fact? }]
+ * @param {Object} options - Overrides of RANKING_DEFAULTS
+ * @returns {Array} [{ entry, score, bm25, similarity }] best first
+ */
+export function rankEntries(question, entries, options = {}) {
+  const settings = { ...RANKING_DEFAULTS, ...options };
+  const queryWeights = expandQuery(question);
+  if (queryWeights.size === 0 || entries.length === 0) return [];
+
+  const queryVector = embedText([...queryWeights.keys()].join(' '));
+  const bm25 = bm25Scores(queryWeights, entries, settings);
+  const similarity = entries.map(e => cosineSimilarity(queryVector, e.embedding));
+
+  const rankOf = (scores, eligible) => {
+    const order = scores
+      .map((score, i) => ({ score, i }))
+      .filter(({ score, i }) => eligible(score, i))
+      .sort((a, b) => b.score - a.score);
+    return new Map(order.map(({ i }, rank) => [i, rank + 1]));
+  };
+  const bm25Rank = rankOf(bm25, score => score > 0);
+  const vectorRank = rankOf(similarity, score => score >= settings.minSimilarity);
+
+  const asksAboutConflicts = CONFLICT_WORDS.some(w => String(question).toLowerCase().includes(w));
+  const results = [];
+  entries.forEach((entry, i) => {
+    if (!bm25Rank.has(i) && !vectorRank.has(i)) return;
+    let score = (bm25Rank.has(i) ? 1 / (settings.rrfK + bm25Rank.get(i)) : 0)
+      + (vectorRank.has(i) ? 1 / (settings.rrfK + vectorRank.get(i)) : 0);
+    if (entry.fact?.verification?.verifiedBy) score *= settings.verifiedBoost;
+    if (asksAboutConflicts && entry.fact?.type === 'CONFLICT') score *= settings.conflictBoost;
+    results.push({
+      entry,
+      score,
+      bm25: Math.round(bm25[i] * 10000) / 10000,
+      similarity: Math.round(similarity[i] * 10000) / 10000
+    });
+  });
+
+  results.sort((a, b) => b.score - a.score);
+  logDebug(`Ranked entries`, { candidates: entries.length, matched: results.length, terms: [...queryWeights.keys()] });
+  return results.slice(0, settings.limit);
+}
+
+export default {
+  EMBEDDING_DIMENSIONS,
+  CHUNK_DEFAULTS,
+  RANKING_DEFAULTS,
+  stem,
+  tokenize,
+  expandQuery,
+  termFrequencies,
+  embedText,
+  cosineSimilarity,
+  chunkPages,
+  columnLetter,
+  chunkCells,
+  analyzeText,
+  bm25Scores,
+  rankEntries
+};
@@ -0,0 +1,493 @@
+/**
+ * Secondary Transfer Economics
+ *
+ * Pricing and position accounting for LP interest transfers:
+ * - Negotiated price vs NAV of the transferred interest (premium / discount)
+ * - Paid-in capital, distribution history and unfunded commitment conveyed
+ *   with the interest, pro rata to the commitment transferred
+ * - Accrued-but-unpaid preferred return at the effective date, split between
+ *   transferor and transferee
+ * - Right-of-first-refusal (ROFR) notice windows for existing LPs
+ * - Transfer-adjusted capital accounts for LP statements
+ *
+ * All functions are pure; routes/lp-transfers.js loads and persists, and
+ * lp-statement-service.js reconciles statements with the conveyed amounts.
+ */
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[SecondaryTransfer]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_SECONDARY_TRANSFER === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Who keeps the pref accrued on the transferred slice up to the effective date
+ * - TRANSFEROR: stays with the seller (default; pref after the date follows the interest)
+ * - TRANSFEREE: conveyed with the interest (usually priced in)
+ * - PRO_RATA: split by prefToTransferorPct
+ */
+export const PREF_SPLIT_METHODS = ['TRANSFEROR', 'TRANSFEREE', 'PRO_RATA'];
+
+export const ROFR_DECISIONS = ['WAIVE', 'EXERCISE'];
+
+export const ROFR_NOTICE_STATUSES = {
+  PENDING: 'PENDING',
+  WAIVED: 'WAIVED',
+  EXERCISED: 'EXERCISED'
+};
+
+export const MAX_ROFR_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAID_DISTRIBUTION_STATUSES = ['PAID', 'COMPLETED'];
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function firstDate(...values) {
+  for (const value of values) {
+    const date = toDate(value);
+    if (date) return date;
+  }
+  return null;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate the secondary terms of a transfer request
+ * @param {Object} terms - { price?, navAtTransfer?, prefSplitMethod?, prefToTransferorPct?, rofrDays? }
+ * @returns {Array<string>} Validation errors
+ */
+export function validateSecondaryTerms(terms = {}) {
+  const errors = [];
+
+  if (terms.price != null && !isNonNegativeNumber(terms.price)) {
+    errors.push('price must be a non-negative number');
+  }
+  if (terms.navAtTransfer != null && !isNonNegativeNumber(terms.navAtTransfer)) {
+    errors.push('navAtTransfer must be a non-negative number');
+  }
+  if (terms.prefSplitMethod != null && !PREF_SPLIT_METHODS.includes(terms.prefSplitMethod)) {
+    errors.push(`prefSplitMethod must be one of ${PREF_SPLIT_METHODS.join(', ')}`);
+  }
+  if (terms.prefSplitMethod === 'PRO_RATA') {
+    const pct = terms.prefToTransferorPct;
+    if (typeof pct !== 'number' || !Number.isFinite(pct) || pct < 0 || pct > 100) {
+      errors.push('prefToTransferorPct must be between 0 and 100 for PRO_RATA');
+    }
+  }
+  if (terms.rofrDays != null && (!Number.isInteger(terms.rofrDays) || terms.rofrDays < 0 || terms.rofrDays > MAX_ROFR_DAYS)) {
+    errors.push(`rofrDays must be a whole number between 0 and ${MAX_ROFR_DAYS}`);
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// POSITION HISTORY
+// ============================================================================
+
+/**
+ * Roll a position forward to a date with simple (actual/365) preferred return
+ *
+ * Funding and payments are dated the same way as the LP statement ledger.
+ * Distributions pay accrued pref first, then return capital. Completed prior
+ * transfers move the conveyed capital, history and pref in or out of the
+ * position at their effective date; transfers recorded before economics were
+ * tracked carry no amounts and are skipped.
+ *
+ * @param {Object} params
+ * @param {string} params.lpActorId - Position being rolled forward
+ * @param {Array} params.capitalCallAllocations - With capitalCall { id, title, dueDate, createdAt }
+ * @param {Array} params.distributionAllocations - With distribution { id, title, distributionDate, createdAt }
+ * @param {Array} params.priorTransfers - Completed LPTransfer rows touching the position
+ * @param {number} params.prefRate - Annual pref (0.08 = 8%); 0 disables accrual
+ * @param {Date} params.asOfDate
+ * @returns {Object} { contributed, distributed, unreturnedCapital, accruedPref }
+ */
+export function rollPositionForward({
+  lpActorId,
+  capitalCallAllocations = [],
+  distributionAllocations = [],
+  priorTransfers = [],
+  prefRate = 0,
+  asOfDate
+}) {
+  const asOf = toDate(asOfDate) || new Date();
+  // Contributions first, then transfers, then distributions on the same day
+  const events = [];
+
+  for (const alloc of capitalCallAllocations) {
+    const date = firstDate(alloc.fundedAt, alloc.capitalCall?.dueDate, alloc.capitalCall?.createdAt);
+    if ((alloc.fundedAmount || 0) <= 0 || !date || date > asOf) continue;
+    events.push({ date, order: 0, type: 'CONTRIBUTION', amount: alloc.fundedAmount });
+  }
+
+  for (const alloc of distributionAllocations) {
+    if (!PAID_DISTRIBUTION_STATUSES.includes(alloc.status)) continue;
+    const date = firstDate(alloc.paidAt, alloc.distribution?.distributionDate, alloc.distribution?.createdAt);
+    if ((alloc.netAmount || 0) <= 0 || !date || date > asOf) continue;
+    events.push({ date, order: 2, type: 'DISTRIBUTION', amount: alloc.netAmount });
+  }
+
+  for (const transfer of priorTransfers) {
+    const date = toDate(transfer.effectiveDate);
+    if (!date || date > asOf || transfer.transferFraction == null) continue;
+    const sign = transfer.toLpActorId === lpActorId ? 1 : transfer.fromLpActorId === lpActorId ? -1 : 0;
+    if (sign === 0) continue;
+    events.push({ date, order: 1, type: 'TRANSFER', sign, transfer });
+  }
+  events.sort((a, b) => a.date - b.date || a.order - b.order);
+
+  const state = { contributed: 0, distributed: 0, unreturnedCapital: 0, accruedPref: 0 };
+  let cursor = null;
+
+  const accrueTo = (date) => {
+    if (cursor && prefRate > 0 && state.unreturnedCapital > 0) {
+      const days = Math.max(0, (date - cursor) / DAY_MS);
+      state.accruedPref += state.unreturnedCapital * prefRate * days / 365;
+    }
+    cursor = date;
+  };
+
+  for (const event of events) {
+    accrueTo(event.date);
+
+    if (event.type === 'CONTRIBUTION') {
+      state.contributed += event.amount;
+      state.unreturnedCapital += event.amount;
+    } else if (event.type === 'DISTRIBUTION') {
+      state.distributed += event.amount;
+      const toPref = Math.min(state.accruedPref, event.amount);
+      state.accruedPref -= toPref;
+      state.unreturnedCapital = Math.max(0, state.unreturnedCapital - (event.amount - toPref));
+    } else {
+      const t = event.transfer;
+      state.contributed += event.sign * (t.contributedTransferred || 0);
+      state.distributed += event.sign * (t.distributionsTransferred || 0);
+      state.unreturnedCapital = Math.max(0, state.unreturnedCapital + event.sign * (t.unreturnedCapitalTransferred || 0));
+      state.accruedPref = Math.max(0, state.accruedPref + event.sign * (t.prefToTransferee || 0));
+    }
+  }
+  accrueTo(asOf);
+
+  const result = {
+    contributed: round2(state.contributed),
+    distributed: round2(state.distributed),
+    unreturnedCapital: round2(state.unreturnedCapital),
+    accruedPref: round2(state.accruedPref)
+  };
+  logDebug(`Position rolled forward`, { lpActorId, asOfDate: asOf.toISOString(), ...result });
+  return result;
+}
+
+// ============================================================================
+// TRANSFER ECONOMICS
+// ============================================================================
+
+/**
+ * Split the unpaid pref on the conveyed slice between the parties
+ * @returns {Object} { prefToTransferor, prefToTransferee }
+ */
+export function splitAccruedPref(accruedPref, method = 'TRANSFEROR', prefToTransferorPct = null) {
+  let transferorShare = 1;
+  if (method === 'TRANSFEREE') transferorShare = 0;
+  if (method === 'PRO_RATA') transferorShare = (prefToTransferorPct ?? 100) / 100;
+
+  const prefToTransferor = round2(accruedPref * transferorShare);
+  return { prefToTransferor, prefToTransferee: round2(accruedPref - prefToTransferor) };
+}
+
+/**
+ * Compute what a transfer conveys at its effective date
+ *
+ * The conveyed fraction is transferAmount over the transferor's commitment
+ * before the transfer; paid-in capital, distributions, unfunded commitment,
+ * unreturned capital and unpaid pref move in that proportion. When the GP has
+ * not entered a NAV, book value (contributed - distributed, floored at zero)
+ * is used.
+ *
+ * @param {Object} params
+ * @param {Object} params.transfer - { transferAmount, price, navAtTransfer, prefSplitMethod, prefToTransferorPct }
+ * @param {Object} params.fromLp - Transferor { commitment }
+ * @param {Object} params.position - Output of rollPositionForward at the effective date
+ * @returns {Object} Fields persisted on LPTransfer
+ */
+export function buildTransferEconomics({ transfer, fromLp, position }) {
+  const commitment = fromLp.commitment || 0;
+  const fraction = commitment > 0 ? Math.min(1, transfer.transferAmount / commitment) : 0;
+
+  const contributedTransferred = round2(position.contributed * fraction);
+  const distributionsTransferred = round2(position.distributed * fraction);
+  const unfundedTransferred = round2(Math.max(0, commitment - position.contributed) * fraction);
+  const unreturnedCapitalTransferred = round2(position.unreturnedCapital * fraction);
+  const accruedPrefTransferred = round2(position.accruedPref * fraction);
+
+  const navSource = transfer.navAtTransfer != null ? 'GP' : 'BOOK';
+  const navAtTransfer = navSource === 'GP'
+    ? transfer.navAtTransfer
+    : round2(Math.max(0, contributedTransferred - distributionsTransferred));
+
+  const price = transfer.price ?? null;
+  const premiumDiscountPct = price != null && navAtTransfer > 0
+    ? round2((price / navAtTransfer - 1) * 100)
+    : null;
+
+  const prefSplitMethod = transfer.prefSplitMethod || 'TRANSFEROR';
+  const economics = {
+    price,
+    navAtTransfer,
+    navSource,
+    premiumDiscountPct,
+    transferFraction: Math.round(fraction * 1e6) / 1e6,
+    contributedTransferred,
+    distributionsTransferred,
+    unfundedTransferred,
+    unreturnedCapitalTransferred,
+    prefSplitMethod,
+    accruedPrefTransferred,
+    ...splitAccruedPref(accruedPrefTransferred, prefSplitMethod, transfer.prefToTransferorPct)
+  };
+
+  logDebug(`Transfer economics built`, economics);
+  return economics;
+}
+
+// ============================================================================
+// RIGHT OF FIRST REFUSAL
+// ============================================================================
+
+/**
+ * Existing LPs entitled to a ROFR notice: active positions other than the parties
+ * @returns {Array<string>} LP actor IDs
+ */
+export function selectRofrHolders(lpActors = [], transfer) {
+  return lpActors
+    .filter(lp => lp.status === 'ACTIVE')
+    .filter(lp => lp.id !== transfer.fromLpActorId && lp.id !== transfer.toLpActorId)
+    .map(lp => lp.id);
+}
+
+/**
+ * ROFR window end for a transfer
+ */
+export function rofrExpiry(noticeSentAt, rofrDays) {
+  const sent = toDate(noticeSentAt);
+  if (!sent || !rofrDays) return null;
+  return new Date(sent.getTime() + rofrDays * DAY_MS);
+}
+
+/**
+ * Where the ROFR stands and whether the transfer may be approved
+ *
+ * The window closes early once every holder waives. Any exercise blocks the
+ * transfer: the GP cancels it and papers the sale to the exercising LPs.
+ * Holders who have not answered when the window lapses are treated as waived.
+ *
+ * @returns {Object} { required, status, expiresAt, pending, waived, exercised, canApprove }
+ */
+export function evaluateRofr(transfer, notices = [], now = new Date()) {
+  if (!transfer.rofrDays) {
+    return { required: false, status: 'NOT_REQUIRED', expiresAt: null, pending: [], waived: [], exercised: [], canApprove: true };
+  }
+
+  const byStatus = (status) => notices.filter(n => n.status === status).map(n => n.lpActorId);
+  const pending = byStatus(ROFR_NOTICE_STATUSES.PENDING);
+  const waived = byStatus(ROFR_NOTICE_STATUSES.WAIVED);
+  const exercised = byStatus(ROFR_NOTICE_STATUSES.EXERCISED);
+  const expiresAt = toDate(transfer.rofrExpiresAt);
+
+  let status;
+  if (exercised.length > 0) status = 'EXERCISED';
+  else if (pending.length === 0) status = 'WAIVED';
+  else if (expiresAt && now >= expiresAt) status = 'EXPIRED';
+  else status = 'OPEN';
+
+  return {
+    required: true,
+    status,
+    expiresAt: expiresAt?.toISOString() || null,
+    pending,
+    waived,
+    exercised,
+    canApprove: status === 'WAIVED' || status === 'EXPIRED'
+  };
+}
+
+/**
+ * Validate an LP's response to a ROFR notice
+ * @returns {Array<string>} Validation errors
+ */
+export function validateRofrResponse(transfer, notice, decision, now = new Date()) {
+  const errors = [];
+
+  if (!ROFR_DECISIONS.includes(decision)) {
+    errors.push(`decision must be one of ${ROFR_DECISIONS.join(', ')}`);
+  }
+  if (transfer.status !== 'PENDING') {
+    errors.push(`Transfer is no longer open for ROFR (${transfer.status})`);
+  }
+  if (notice.status !== ROFR_NOTICE_STATUSES.PENDING) {
+    errors.push('ROFR notice has already been answered');
+  }
+  const expiresAt = toDate(transfer.rofrExpiresAt);
+  if (expiresAt && now >= expiresAt) {
+    errors.push('ROFR window has closed');
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// STATEMENT RECONCILIATION
+// ============================================================================
+
+/**
+ * Summarise completed interest transfers in and out of a position
+ *
+ * Uses the conveyed amounts recorded on each transfer at completion
+ * (routes/lp-transfers.js). Transfers completed before those were tracked
+ * only carry the commitment moved.
+ *
+ * @param {string} lpActorId - LP Actor ID
+ * @param {Array} transfers - Completed LPTransfer records touching the position
+ * @returns {Object} Summary with totals
+ */
+export function calculateTransferSummary(lpActorId, transfers = []) {
+  const summary = {
+    commitmentIn: 0,
+    commitmentOut: 0,
+    contributedIn: 0,
+    contributedOut: 0,
+    distributionsIn: 0,
+    distributionsOut: 0,
+    unfundedIn: 0,
+    unfundedOut: 0,
+    purchasePrice: 0,
+    saleProceeds: 0,
+    prefRetained: 0,
+    prefAcquired: 0,
+    transferCount: 0
+  };
+
+  for (const transfer of transfers) {
+    if (transfer.status !== 'COMPLETED') continue;
+    const isIn = transfer.toLpActorId === lpActorId;
+    const isOut = transfer.fromLpActorId === lpActorId;
+    if (!isIn && !isOut) continue;
+
+    const suffix = isIn ? 'In' : 'Out';
+    summary[`commitment${suffix}`] += transfer.transferAmount || 0;
+    summary[`contributed${suffix}`] += transfer.contributedTransferred || 0;
+    summary[`distributions${suffix}`] += transfer.distributionsTransferred || 0;
+    summary[`unfunded${suffix}`] += transfer.unfundedTransferred || 0;
+    if (isIn) {
+      summary.purchasePrice += transfer.price || 0;
+      summary.prefAcquired += transfer.prefToTransferee || 0;
+    } else {
+      summary.saleProceeds += transfer.price || 0;
+      summary.prefRetained += transfer.prefToTransferor || 0;
+    }
+    summary.transferCount++;
+  }
+
+  logDebug(`Transfer summary calculated`, summary);
+  return summary;
+}
+
+/**
+ * Transfer-adjusted capital account
+ *
+ * Paid-in capital and distributions include history conveyed by completed
+ * transfers, so commitment = contributed + unfunded holds for both sides of
+ * a transfer. Each transfer must also convey exactly the commitment it moved
+ * (paid-in + unfunded); differences are listed for reconciliation.
+ *
+ * @param {Object} lpActor - LP Actor record (current commitment)
+ * @param {Object} capitalSummary - Capital call summary
+ * @param {Object} distributionSummary - Distribution summary
+ * @param {Object} feeSummary - Fee summary
+ * @param {Object} transferSummary - calculateTransferSummary output
+ * @returns {Object} Capital account with reconciliation flags
+ */
+export function calculateCapitalAccount(lpActor, capitalSummary, distributionSummary, feeSummary, transferSummary) {
+  const commitment = lpActor.commitment || 0;
+  const contributed = capitalSummary.totalFunded + transferSummary.contributedIn - transferSummary.contributedOut;
+  const distributed = distributionSummary.totalPaid + transferSummary.distributionsIn - transferSummary.distributionsOut;
+  const unfunded = commitment - contributed;
+
+  const differences = [];
+  if (unfunded < -0.01) {
+    differences.push(`Paid-in capital ${contributed.toFixed(2)} exceeds commitment ${commitment.toFixed(2)}`);
+  }
+  for (const direction of ['In', 'Out']) {
+    const moved = transferSummary[`commitment${direction}`];
+    const conveyed = transferSummary[`contributed${direction}`] + transferSummary[`unfunded${direction}`];
+    if (conveyed > 0 && Math.abs(moved - conveyed) > 0.01 * Math.max(1, transferSummary.transferCount)) {
+      differences.push(`Transfers ${direction.toLowerCase()} moved commitment ${moved.toFixed(2)} but conveyed ${conveyed.toFixed(2)}`);
+    }
+  }
+
+  return {
+    commitment,
+    contributed: {
+      own: capitalSummary.totalFunded,
+      transferredIn: transferSummary.contributedIn,
+      transferredOut: transferSummary.contributedOut,
+      total: contributed
+    },
+    distributed: {
+      own: distributionSummary.totalPaid,
+      transferredIn: transferSummary.distributionsIn,
+      transferredOut: transferSummary.distributionsOut,
+      total: distributed
+    },
+    fees: feeSummary?.totalDue || 0,
+    unfunded: Math.max(0, unfunded),
+    balance: contributed - distributed - (feeSummary?.totalDue || 0),
+    reconciled: differences.length === 0,
+    differences
+  };
+}
+
+export default {
+  PREF_SPLIT_METHODS,
+  ROFR_DECISIONS,
+  ROFR_NOTICE_STATUSES,
+  MAX_ROFR_DAYS,
+  validateSecondaryTerms,
+  rollPositionForward,
+  splitAccruedPref,
+  buildTransferEconomics,
+  selectRofrHolders,
+  rofrExpiry,
+  evaluateRofr,
+  validateRofrResponse,
+  calculateTransferSummary,
+  calculateCapitalAccount
+};
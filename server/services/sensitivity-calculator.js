@@ -5,7 +5,8 @@
  * with variations in key assumptions (exit cap, vacancy, rent growth, etc.)
  */
 
-import { calculateReturns, projectDetailedCashFlows } from './underwriting-calculator.js';
+import { calculateReturns, projectDetailedCashFlows, calculateIRR, calculateDebtServiceSchedule } from './underwriting-calculator.js';
+import { normalizeDebtTranches } from './debt-sizing-calculator.js';
 
 // Default ranges for sensitivity analysis
 const DEFAULT_RANGES = {
@@ -67,6 +68,35 @@ const DEFAULT_RANGES = {
   }
 };
 
+// Per-tranche ranges, addressed as `tranche:<trancheId>:<param>` and applied
+// through the model's trancheOverrides so each tranche of the stack can flex
+const TRANCHE_RANGES = {
+  fixedRate: {
+    label: 'Rate',
+    min: 0.04,
+    max: 0.12,
+    step: 0.005,
+    format: 'percent',
+    decimals: 2
+  },
+  spread: {
+    label: 'Spread',
+    min: 0.01,
+    max: 0.08,
+    step: 0.0025,
+    format: 'percent',
+    decimals: 2
+  },
+  amount: {
+    label: 'Amount',
+    min: -0.20,
+    max: 0.20,
+    step: 0.05,
+    format: 'percentChange',
+    decimals: 0
+  }
+};
+
 // Output metrics that can be analyzed
 const OUTPUT_METRICS = {
   irr: {
@@ -101,6 +131,65 @@ const OUTPUT_METRICS = {
   }
 };
 
+/**
+ * Split a `tranche:<trancheId>:<param>` field into its parts
+ */
+function parseTrancheField(field) {
+  const match = /^tranche:([^:]+):([A-Za-z]+)$/.exec(field || '');
+  if (!match || !TRANCHE_RANGES[match[2]]) return null;
+  return { trancheId: match[1], param: match[2] };
+}
+
+function findModelTranche(baseModel, trancheId) {
+  if (!Array.isArray(baseModel?.debtTranches)) return null;
+  const tranches = normalizeDebtTranches(baseModel.debtTranches, {
+    indexRates: baseModel.indexRates,
+    overrides: baseModel.trancheOverrides
+  });
+  return tranches.find(t => t.id === trancheId) || null;
+}
+
+/**
+ * Resolve the range config for a field (standard field or tranche field)
+ */
+function getFieldRange(field, baseModel) {
+  if (DEFAULT_RANGES[field]) return DEFAULT_RANGES[field];
+
+  const parsed = parseTrancheField(field);
+  if (!parsed) return null;
+  const tranche = findModelTranche(baseModel, parsed.trancheId);
+  if (!tranche) return null;
+
+  const range = TRANCHE_RANGES[parsed.param];
+  return { ...range, label: `${tranche.name} ${range.label}` };
+}
+
+/**
+ * Base-case value of a field (tranche fields read from the normalized stack)
+ */
+function getFieldBaseValue(baseModel, field) {
+  const parsed = parseTrancheField(field);
+  if (!parsed) return baseModel[field];
+  return findModelTranche(baseModel, parsed.trancheId)?.[parsed.param] ?? null;
+}
+
+/**
+ * Return a copy of the model with a field set to a sensitivity value
+ */
+function applyFieldValue(model, field, value) {
+  const parsed = parseTrancheField(field);
+  if (!parsed) return { ...model, [field]: value };
+
+  const overrides = model.trancheOverrides || {};
+  return {
+    ...model,
+    trancheOverrides: {
+      ...overrides,
+      [parsed.trancheId]: { ...overrides[parsed.trancheId], [parsed.param]: value }
+    }
+  };
+}
+
 /**
  * Generate values for a sensitivity axis
  */
@@ -149,11 +238,7 @@ function generateAxisValues(field, baseValue, customRange = null) {
  */
 function calculateSensitivityPoint(baseModel, xField, xValue, yField, yValue, outputMetric) {
   // Create modified model with the sensitivity values
-  const modifiedModel = {
-    ...baseModel,
-    [xField]: xValue,
-    [yField]: yValue
-  };
+  const modifiedModel = applyFieldValue(applyFieldValue(baseModel, xField, xValue), yField, yValue);
 
   try {
     const results = calculateReturns(modifiedModel);
@@ -182,10 +267,12 @@ export function calculateSensitivityMatrix(baseModel, xField, yField, outputMetr
   } = options;
 
   // Validate fields
-  if (!DEFAULT_RANGES[xField]) {
+  const xConfig = getFieldRange(xField, baseModel);
+  const yConfig = getFieldRange(yField, baseModel);
+  if (!xConfig) {
     throw new Error(`Invalid X-axis field: ${xField}`);
   }
-  if (!DEFAULT_RANGES[yField]) {
+  if (!yConfig) {
     throw new Error(`Invalid Y-axis field: ${yField}`);
   }
   if (!OUTPUT_METRICS[outputMetric]) {
@@ -193,8 +280,10 @@ export function calculateSensitivityMatrix(baseModel, xField, yField, outputMetr
   }
 
   // Generate axis values
-  const xValues = generateAxisValues(xField, baseModel[xField], xRange);
-  const yValues = generateAxisValues(yField, baseModel[yField], yRange);
+  const xBase = getFieldBaseValue(baseModel, xField);
+  const yBase = getFieldBaseValue(baseModel, yField);
+  const xValues = generateAxisValues(xField, xBase, xRange || xConfig);
+  const yValues = generateAxisValues(yField, yBase, yRange || yConfig);
 
   // Safety check
   if (xValues.length * yValues.length > maxPoints) {
@@ -235,10 +324,10 @@ export function calculateSensitivityMatrix(baseModel, xField, yField, outputMetr
 
   // Calculate base case position
   const baseXIndex = xValues.findIndex(v =>
-    Math.abs(v.value - baseModel[xField]) < 0.0001
+    Math.abs(v.value - xBase) < 0.0001
   );
   const baseYIndex = yValues.findIndex(v =>
-    Math.abs(v.value - baseModel[yField]) < 0.0001
+    Math.abs(v.value - yBase) < 0.0001
   );
 
   // Get base case result
@@ -250,13 +339,13 @@ export function calculateSensitivityMatrix(baseModel, xField, yField, outputMetr
     outputMetric,
     xAxis: {
       field: xField,
-      label: DEFAULT_RANGES[xField].label,
+      label: xConfig.label,
       values: xValues.map(v => v.label),
       rawValues: xValues.map(v => v.value)
     },
     yAxis: {
       field: yField,
-      label: DEFAULT_RANGES[yField].label,
+      label: yConfig.label,
       values: yValues.map(v => v.label),
       rawValues: yValues.map(v => v.value)
     },
@@ -396,6 +485,305 @@ function getHoldRecommendation(irr, year) {
   return 'recommended';
 }
 
+// Objectives the exit optimizer can maximize
+const EXIT_OBJECTIVES = {
+  irr: { label: 'Levered IRR', metric: 'irr' },
+  equityMultiple: { label: 'Equity Multiple', metric: 'equityMultiple' },
+  profit: { label: 'Profit', metric: 'profit' }
+};
+
+// Search space limits: every exit year x cap rate x refinance year is evaluated
+const MAX_EXIT_YEARS = 30;
+const MAX_EXIT_CAP_RATES = 10;
+
+// Default refinance terms (rate defaults to the model's interest rate,
+// valuation cap to the plan's exit cap)
+const DEFAULT_REFINANCE_TERMS = {
+  ltv: 0.65,
+  interestRate: null,
+  amortization: 30,
+  ioYears: 0,
+  costRate: 0.01,
+  valuationCapRate: null
+};
+
+/**
+ * Evaluate one exit plan: sell at the end of exitYear at exitCapRate,
+ * optionally refinancing at the end of refinanceYear.
+ *
+ * A refinance sizes a new loan at LTV on next year's NOI capitalized at the
+ * valuation cap, pays off the existing balance (stack or single loan) and
+ * distributes the net proceeds; debt service after the refinance follows the
+ * new loan, and the sale pays off the new balance.
+ *
+ * @param {Object} baseModel - The base underwriting model
+ * @param {Object} plan - { exitYear, exitCapRate, refinanceYear|null }
+ * @param {Object} refinanceTerms - Overrides for DEFAULT_REFINANCE_TERMS
+ * @param {number|null} minDSCR - Minimum DSCR in every year for the plan to be feasible
+ * Equity multiple is total distributions (operating cash flow, refinance and
+ * sale proceeds) over equity invested.
+ *
+ * @returns {Object} Plan with cash flows, returns and min DSCR
+ */
+export function evaluateExitPlan(baseModel, plan, refinanceTerms = {}, minDSCR = null) {
+  const { exitYear, exitCapRate } = plan;
+  const refinanceYear = plan.refinanceYear || null;
+  const terms = { ...DEFAULT_REFINANCE_TERMS, ...refinanceTerms };
+
+  if (refinanceYear !== null && (refinanceYear < 1 || refinanceYear >= exitYear)) {
+    throw new Error(`Refinance year ${refinanceYear} must fall before exit year ${exitYear}`);
+  }
+
+  const projection = projectDetailedCashFlows({ ...baseModel, exitCapRate }, exitYear);
+  const equity = projection.totals.equityInvested;
+  const debtService = projection.years.map(y => y.debtService.totalDebtService);
+  let loanPayoff = projection.exit.loanPayoff;
+  let refinance = null;
+
+  if (refinanceYear) {
+    const forwardNOI = projection.years[refinanceYear].noi;
+    const valuationCapRate = terms.valuationCapRate || exitCapRate;
+    const interestRate = terms.interestRate ?? baseModel.interestRate ?? 0;
+    const propertyValue = forwardNOI / valuationCapRate;
+    const newLoanAmount = propertyValue * terms.ltv;
+    const existingBalance = projection.years[refinanceYear - 1].debtService.endingBalance;
+    const costs = newLoanAmount * terms.costRate;
+
+    const newSchedule = calculateDebtServiceSchedule(
+      newLoanAmount,
+      interestRate,
+      terms.amortization,
+      terms.ioYears,
+      exitYear - refinanceYear
+    ).schedule;
+
+    for (let year = refinanceYear + 1; year <= exitYear; year++) {
+      debtService[year - 1] = newSchedule[year - refinanceYear - 1].totalPayment;
+    }
+    loanPayoff = newSchedule[newSchedule.length - 1].endingBalance;
+
+    refinance = {
+      year: refinanceYear,
+      propertyValue: Math.round(propertyValue),
+      valuationCapRate,
+      ltv: terms.ltv,
+      interestRate,
+      amortization: terms.amortization,
+      newLoanAmount: Math.round(newLoanAmount),
+      existingBalance: Math.round(existingBalance),
+      costs: Math.round(costs),
+      netProceeds: Math.round(newLoanAmount - existingBalance - costs)
+    };
+  }
+
+  const exitProceeds = projection.exit.netSaleProceeds - loanPayoff;
+  const cashFlows = [-equity];
+  let minimumDSCR = null;
+
+  projection.years.forEach((y, i) => {
+    const year = i + 1;
+    let cashFlow = y.noi - debtService[i];
+    if (refinance && year === refinanceYear) cashFlow += refinance.netProceeds;
+    if (year === exitYear) cashFlow += exitProceeds;
+    cashFlows.push(Math.round(cashFlow));
+
+    if (debtService[i] > 0) {
+      const dscr = y.noi / debtService[i];
+      minimumDSCR = minimumDSCR === null ? dscr : Math.min(minimumDSCR, dscr);
+    }
+  });
+
+  const distributed = cashFlows.slice(1).reduce((sum, cf) => sum + cf, 0);
+  const irr = calculateIRR(cashFlows);
+
+  return {
+    id: `Y${exitYear}-C${Math.round(exitCapRate * 10000)}-R${refinanceYear || 0}`,
+    exitYear,
+    exitCapRate,
+    refinanceYear,
+    irr,
+    equityMultiple: equity > 0 ? distributed / equity : null,
+    profit: Math.round(distributed - equity),
+    minDSCR: minimumDSCR,
+    feasible: irr !== null && (minDSCR === null || minimumDSCR === null || minimumDSCR >= minDSCR),
+    equityInvested: Math.round(equity),
+    grossSalePrice: projection.exit.grossSalePrice,
+    netEquityProceeds: Math.round(exitProceeds),
+    refinance,
+    cashFlows
+  };
+}
+
+/**
+ * Plans on the IRR / equity multiple efficient frontier: feasible plans no
+ * other feasible plan beats on both, ordered by exit year
+ */
+function findEfficientFrontier(plans) {
+  const feasible = plans.filter(p => p.feasible);
+  return feasible
+    .filter(p => !feasible.some(q =>
+      q.irr >= p.irr && q.equityMultiple >= p.equityMultiple &&
+      (q.irr > p.irr || q.equityMultiple > p.equityMultiple)
+    ))
+    .sort((a, b) => a.exitYear - b.exitYear || a.irr - b.irr);
+}
+
+/**
+ * Describe a plan in one line, e.g. "7-year hold at 5.50% exit cap, refinance in year 4"
+ */
+function describeExitPlan(plan) {
+  const refi = plan.refinanceYear ? `, refinance in year ${plan.refinanceYear}` : ', no refinance';
+  return `${plan.exitYear}-year hold at ${(plan.exitCapRate * 100).toFixed(2)}% exit cap${refi}`;
+}
+
+/**
+ * Optimize hold period, exit cap rate and refinance timing jointly
+ *
+ * Every combination of exit year, exit cap rate and refinance year (or no
+ * refinance) is evaluated with evaluateExitPlan. Plans whose DSCR drops below
+ * minDSCR in any year are infeasible. The chosen plan maximizes the objective
+ * among feasible plans; ties go to the shorter hold without a refinance.
+ *
+ * @param {Object} baseModel - The base underwriting model
+ * @param {Object} options
+ * @param {string} options.objective - 'irr' | 'equityMultiple' | 'profit'
+ * @param {number|null} options.minDSCR - Minimum DSCR constraint (default 1.20, null to disable)
+ * @param {Array<number>} options.exitYears - Exit years to search (default 3-10)
+ * @param {Array<number>} options.exitCapRates - Exit caps to search (default base ±25bps)
+ * @param {boolean} options.allowRefinance - Search refinance timing (default true)
+ * @param {Object} options.refinance - Refinance terms (see DEFAULT_REFINANCE_TERMS)
+ * @returns {Object} { objective, constraints, searchSpace, chosenPlan, frontier, byExitYear, rationale, plans, warnings }
+ */
+export function optimizeExitPlan(baseModel, options = {}) {
+  const objective = options.objective || 'irr';
+  if (!EXIT_OBJECTIVES[objective]) {
+    throw new Error(`Unknown exit objective: ${objective}`);
+  }
+  const metric = EXIT_OBJECTIVES[objective].metric;
+  const minDSCR = options.minDSCR === undefined ? OUTPUT_METRICS.dscr.thresholds.yellow : options.minDSCR;
+
+  if (options.exitYears?.length > MAX_EXIT_YEARS || options.exitCapRates?.length > MAX_EXIT_CAP_RATES) {
+    throw new Error(`Exit search is limited to ${MAX_EXIT_YEARS} exit years and ${MAX_EXIT_CAP_RATES} exit cap rates`);
+  }
+
+  const exitYears = options.exitYears?.length ? [...options.exitYears].sort((a, b) => a - b) : [3, 4, 5, 6, 7, 8, 9, 10];
+  const baseExitCap = baseModel.exitCapRate || 0.055;
+  const exitCapRates = options.exitCapRates?.length
+    ? options.exitCapRates
+    : [baseExitCap - 0.0025, baseExitCap, baseExitCap + 0.0025];
+  const allowRefinance = options.allowRefinance !== false;
+
+  const plans = [];
+  const warnings = [];
+
+  for (const exitYear of exitYears) {
+    const refinanceYears = [null];
+    if (allowRefinance) {
+      for (let year = 1; year < exitYear; year++) refinanceYears.push(year);
+    }
+
+    for (const exitCapRate of exitCapRates) {
+      for (const refinanceYear of refinanceYears) {
+        try {
+          plans.push(evaluateExitPlan(baseModel, { exitYear, exitCapRate, refinanceYear }, options.refinance, minDSCR));
+        } catch (error) {
+          warnings.push(`${describeExitPlan({ exitYear, exitCapRate, refinanceYear })}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  const byObjective = (a, b) => (b[metric] ?? -Infinity) - (a[metric] ?? -Infinity);
+  const feasible = plans.filter(p => p.feasible);
+  const chosenPlan = feasible.length > 0 ? [...feasible].sort(byObjective)[0] : null;
+
+  if (!chosenPlan) {
+    warnings.push(minDSCR !== null
+      ? `No plan keeps DSCR at or above ${minDSCR.toFixed(2)}x in every year`
+      : 'No plan produced a valid IRR');
+  }
+
+  // Best plan per exit year, with the gap to the chosen plan
+  const byExitYear = exitYears.map(exitYear => {
+    const best = feasible.filter(p => p.exitYear === exitYear).sort(byObjective)[0] || null;
+    return {
+      exitYear,
+      bestPlan: best ? summarizeExitPlan(best) : null,
+      vsChosen: best && chosenPlan ? {
+        irr: best.irr - chosenPlan.irr,
+        equityMultiple: best.equityMultiple - chosenPlan.equityMultiple,
+        profit: best.profit - chosenPlan.profit
+      } : null
+    };
+  });
+
+  const rationale = [];
+  if (chosenPlan) {
+    rationale.push(
+      `${describeExitPlan(chosenPlan)} maximizes ${EXIT_OBJECTIVES[objective].label}: ` +
+      `${formatMetricValue(chosenPlan.irr, 'irr')} IRR, ${formatMetricValue(chosenPlan.equityMultiple, 'equityMultiple')}, ` +
+      `$${chosenPlan.profit.toLocaleString()} profit, min DSCR ${formatMetricValue(chosenPlan.minDSCR, 'dscr')}`
+    );
+    for (const row of byExitYear) {
+      if (!row.bestPlan || row.exitYear === chosenPlan.exitYear) continue;
+      rationale.push(
+        `Best ${row.exitYear}-year plan: ${formatMetricValue(row.bestPlan.irr, 'irr')} IRR ` +
+        `(${(row.vsChosen.irr * 10000).toFixed(0)}bps), ${formatMetricValue(row.bestPlan.equityMultiple, 'equityMultiple')} ` +
+        `(${row.vsChosen.equityMultiple >= 0 ? '+' : ''}${row.vsChosen.equityMultiple.toFixed(2)}x), ` +
+        `profit ${row.vsChosen.profit >= 0 ? '+' : '-'}$${Math.abs(row.vsChosen.profit).toLocaleString()}`
+      );
+    }
+  }
+
+  return {
+    objective,
+    constraints: { minDSCR },
+    searchSpace: {
+      exitYears,
+      exitCapRates,
+      refinance: allowRefinance ? { ...DEFAULT_REFINANCE_TERMS, ...options.refinance } : null,
+      planCount: plans.length,
+      feasibleCount: feasible.length
+    },
+    chosenPlan,
+    frontier: findEfficientFrontier(plans).map(summarizeExitPlan),
+    byExitYear,
+    rationale,
+    plans: plans.map(summarizeExitPlan),
+    warnings
+  };
+}
+
+/**
+ * Plan without its cash flow vector (for lists and frontier points)
+ */
+function summarizeExitPlan(plan) {
+  const { cashFlows: _cashFlows, ...summary } = plan;
+  return { ...summary, label: describeExitPlan(plan) };
+}
+
+/**
+ * Create a scenario from an optimized exit plan
+ *
+ * Assumptions carry only the hold period and exit cap, which the scenario
+ * calculators apply. They do not model a refinance, so the plan's refinance
+ * stays in the description and in the saved exit plan results.
+ */
+export function createScenarioFromExitPlan(plan, optimization = null) {
+  const objectiveLabel = optimization ? EXIT_OBJECTIVES[optimization.objective]?.label : null;
+
+  return {
+    name: `Exit Plan: ${describeExitPlan(plan)}`,
+    description: objectiveLabel
+      ? `Optimized for ${objectiveLabel}${optimization.constraints?.minDSCR ? ` with min DSCR ${optimization.constraints.minDSCR.toFixed(2)}x` : ''}. ${optimization.rationale.join('. ')}`
+      : `Exit plan: ${describeExitPlan(plan)}`,
+    assumptions: {
+      holdPeriod: plan.exitYear,
+      exitCapRate: plan.exitCapRate
+    }
+  };
+}
+
 /**
  * Generate a quick sensitivity summary
  * Shows how key metrics change with +/- one standard deviation
@@ -456,14 +844,34 @@ export function calculateQuickSensitivity(baseModel) {
 
 /**
  * Get available fields and metrics for sensitivity analysis
+ *
+ * When the base model carries a debt stack, each tranche's rate (fixed) or
+ * spread (floating) and amount are offered as additional fields.
  */
-export function getSensitivityOptions() {
+export function getSensitivityOptions(baseModel = null) {
+  const trancheFields = [];
+  if (Array.isArray(baseModel?.debtTranches)) {
+    for (const tranche of normalizeDebtTranches(baseModel.debtTranches, { indexRates: baseModel.indexRates })) {
+      const params = [tranche.rateType === 'FLOATING' ? 'spread' : 'fixedRate', 'amount'];
+      for (const param of params) {
+        trancheFields.push({
+          value: `tranche:${tranche.id}:${param}`,
+          label: `${tranche.name} ${TRANCHE_RANGES[param].label}`,
+          format: TRANCHE_RANGES[param].format
+        });
+      }
+    }
+  }
+
   return {
-    fields: Object.entries(DEFAULT_RANGES).map(([key, config]) => ({
-      value: key,
-      label: config.label,
-      format: config.format
-    })),
+    fields: [
+      ...Object.entries(DEFAULT_RANGES).map(([key, config]) => ({
+        value: key,
+        label: config.label,
+        format: config.format
+      })),
+      ...trancheFields
+    ],
     metrics: Object.entries(OUTPUT_METRICS).map(([key, config]) => ({
       value: key,
       label: config.label,
@@ -476,19 +884,25 @@ export function getSensitivityOptions() {
  * Create a scenario from a sensitivity matrix cell
  */
 export function createScenarioFromCell(baseModel, xField, xValue, yField, yValue) {
-  const xLabel = DEFAULT_RANGES[xField]?.label || xField;
-  const yLabel = DEFAULT_RANGES[yField]?.label || yField;
+  const xRange = getFieldRange(xField, baseModel);
+  const yRange = getFieldRange(yField, baseModel);
+  const xLabel = xRange?.label || xField;
+  const yLabel = yRange?.label || yField;
 
   // Format values for name
-  const xFormatted = formatFieldValue(xValue, xField);
-  const yFormatted = formatFieldValue(yValue, yField);
+  const xFormatted = formatFieldValue(xValue, xRange);
+  const yFormatted = formatFieldValue(yValue, yRange);
+
+  // Tranche fields land in trancheOverrides; the rest are plain assumptions
+  const { trancheOverrides } = applyFieldValue(applyFieldValue({}, xField, xValue), yField, yValue);
 
   return {
     name: `${xLabel} ${xFormatted}, ${yLabel} ${yFormatted}`,
     description: `Sensitivity scenario with ${xLabel} at ${xFormatted} and ${yLabel} at ${yFormatted}`,
     assumptions: {
-      [xField]: xValue,
-      [yField]: yValue
+      ...(parseTrancheField(xField) ? {} : { [xField]: xValue }),
+      ...(parseTrancheField(yField) ? {} : { [yField]: yValue }),
+      ...(trancheOverrides ? { trancheOverrides } : {})
     }
   };
 }
@@ -496,13 +910,15 @@ export function createScenarioFromCell(baseModel, xField, xValue, yField, yValue
 /**
  * Format a field value for display
  */
-function formatFieldValue(value, field) {
-  const range = DEFAULT_RANGES[field];
+function formatFieldValue(value, range) {
   if (!range) return value.toString();
 
   switch (range.format) {
     case 'percent':
+      return `${(value * 100).toFixed(range.decimals)}%`;
     case 'percentChange':
+      // Cells carry the flexed dollar value (price, tranche amount), not the % change
+      if (Math.abs(value) > 1) return Math.round(value).toLocaleString();
       return `${(value * 100).toFixed(range.decimals)}%`;
     case 'years':
       return `${value} years`;
@@ -511,4 +927,4 @@ function formatFieldValue(value, field) {
   }
 }
 
-export { DEFAULT_RANGES, OUTPUT_METRICS };
+export { DEFAULT_RANGES, TRANCHE_RANGES, OUTPUT_METRICS, EXIT_OBJECTIVES, MAX_EXIT_YEARS, MAX_EXIT_CAP_RATES };
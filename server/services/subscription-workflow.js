@@ -0,0 +1,245 @@
+/**
+ * Subscription Workflow
+ *
+ * State machine and validation for LP subscription documents:
+ *   DRAFT → SUBMITTED → COUNTERSIGN_PENDING → ACCEPTED → FUNDED
+ * - LP completes investor details (entity type, signatory, address, tax
+ *   classification) and signs → SUBMITTED (sub-doc generated)
+ * - GP reviews → COUNTERSIGN_PENDING, or returns to DRAFT / rejects
+ * - GP countersigns → ACCEPTED (LPActor created, initial capital call allocation)
+ * - Initial allocation funded → FUNDED
+ *
+ * All functions are pure; routes/subscriptions.js loads and persists.
+ */
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[Subscriptions]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_SUBSCRIPTIONS === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const SUBSCRIPTION_STATUSES = {
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  COUNTERSIGN_PENDING: 'COUNTERSIGN_PENDING',
+  ACCEPTED: 'ACCEPTED',
+  REJECTED: 'REJECTED',
+  FUNDED: 'FUNDED'
+};
+
+/** Allowed status transitions */
+const TRANSITIONS = {
+  DRAFT: ['SUBMITTED'],
+  SUBMITTED: ['DRAFT', 'COUNTERSIGN_PENDING', 'REJECTED'],
+  COUNTERSIGN_PENDING: ['ACCEPTED', 'REJECTED'],
+  ACCEPTED: ['FUNDED'],
+  REJECTED: [],
+  FUNDED: []
+};
+
+export const ENTITY_TYPES = ['INDIVIDUAL', 'TRUST', 'LLC', 'FUND', 'PENSION', 'FAMILY_OFFICE', 'INSTITUTION'];
+
+/** Federal tax classification as certified on the LP's W-9 / W-8 */
+export const TAX_CLASSIFICATIONS = [
+  'INDIVIDUAL',
+  'C_CORPORATION',
+  'S_CORPORATION',
+  'PARTNERSHIP',
+  'TRUST_ESTATE',
+  'LLC_DISREGARDED',
+  'TAX_EXEMPT',
+  'FOREIGN'
+];
+
+/** Investor detail fields the LP may edit while the subscription is a draft */
+export const LP_EDITABLE_FIELDS = [
+  'lpEntityName',
+  'lpEntityType',
+  'signatoryName',
+  'signatoryTitle',
+  'address',
+  'taxClassification'
+];
+
+const REQUIRED_ADDRESS_FIELDS = ['street', 'city', 'postalCode', 'country'];
+
+/** Default share of the commitment called at acceptance */
+export const DEFAULT_INITIAL_FUNDING_PCT = 1.0;
+
+/** Days from acceptance until the initial funding is due */
+export const DEFAULT_FUNDING_DUE_DAYS = 10;
+
+// ============================================================================
+// STATE MACHINE
+// ============================================================================
+
+/**
+ * Check whether a subscription may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Whether the LP may still edit investor details
+ */
+export function isEditableByLP(subscription) {
+  return subscription.status === SUBSCRIPTION_STATUSES.DRAFT;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function parseAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'object') return address;
+  try {
+    return JSON.parse(address);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the LP-editable investor details out of a request body
+ *
+ * @param {Object} body
+ * @returns {Object} Only the fields present in LP_EDITABLE_FIELDS
+ */
+export function pickSubscriptionDetails(body = {}) {
+  const details = {};
+  for (const field of LP_EDITABLE_FIELDS) {
+    if (body[field] !== undefined) details[field] = body[field];
+  }
+  return details;
+}
+
+/**
+ * Validate investor details. Returns a list of errors.
+ *
+ * A partial update (draft save) only checks the values supplied; a complete
+ * check (submission) also requires every field the sub-doc needs.
+ *
+ * @param {Object} details - Subscription row or LP-supplied fields
+ * @param {Object} options
+ * @param {boolean} options.requireComplete - Require all fields for submission
+ */
+export function validateSubscriptionDetails(details = {}, { requireComplete = false } = {}) {
+  const errors = [];
+
+  if (details.lpEntityName !== undefined && (typeof details.lpEntityName !== 'string' || !details.lpEntityName.trim())) {
+    errors.push('lpEntityName must be a non-empty string');
+  }
+  if (details.lpEntityType !== undefined && details.lpEntityType !== null && !ENTITY_TYPES.includes(details.lpEntityType)) {
+    errors.push(`lpEntityType must be one of ${ENTITY_TYPES.join(', ')}`);
+  }
+  if (details.taxClassification !== undefined && details.taxClassification !== null &&
+      !TAX_CLASSIFICATIONS.includes(details.taxClassification)) {
+    errors.push(`taxClassification must be one of ${TAX_CLASSIFICATIONS.join(', ')}`);
+  }
+  for (const field of ['signatoryName', 'signatoryTitle']) {
+    if (details[field] !== undefined && details[field] !== null && typeof details[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  const address = parseAddress(details.address);
+  if (details.address !== undefined && details.address !== null && !address) {
+    errors.push('address must be an object');
+  }
+
+  if (requireComplete) {
+    if (!details.lpEntityType) errors.push('lpEntityType is required');
+    if (!details.taxClassification) errors.push('taxClassification is required');
+    if (!details.signatoryName?.trim?.()) errors.push('signatoryName is required');
+    // Entities sign through an officer or trustee; individuals sign for themselves
+    if (details.lpEntityType && details.lpEntityType !== 'INDIVIDUAL' && !details.signatoryTitle?.trim?.()) {
+      errors.push('signatoryTitle is required for entity investors');
+    }
+    const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !address?.[field]);
+    if (missing.length > 0) {
+      errors.push(`address is missing ${missing.join(', ')}`);
+    }
+  }
+
+  logDebug('Validated subscription details', { requireComplete, errorCount: errors.length });
+  return errors;
+}
+
+/**
+ * Check the LP's electronic signature against the signatory on file
+ *
+ * @param {Object} subscription - Subscription row
+ * @param {string} signatureName - Name typed by the LP when signing
+ * @returns {string|null} Error message or null
+ */
+export function validateSignature(subscription, signatureName) {
+  if (typeof signatureName !== 'string' || !signatureName.trim()) {
+    return 'signatureName is required';
+  }
+  const normalize = (value) => value.trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!subscription.signatoryName || normalize(signatureName) !== normalize(subscription.signatoryName)) {
+    return 'signatureName must match the signatory name';
+  }
+  return null;
+}
+
+// ============================================================================
+// ACCEPTANCE
+// ============================================================================
+
+/**
+ * Size the initial capital call allocation opened at acceptance
+ *
+ * @param {number} commitmentAmount
+ * @param {number} fundingPct - Share of the commitment called (0-1]
+ * @returns {number} Amount rounded to cents
+ */
+export function calculateInitialFunding(commitmentAmount, fundingPct = DEFAULT_INITIAL_FUNDING_PCT) {
+  if (!(fundingPct > 0 && fundingPct <= 1)) {
+    throw new Error('initialFundingPct must be greater than 0 and at most 1');
+  }
+  return Math.round(commitmentAmount * fundingPct * 100) / 100;
+}
+
+/**
+ * Due date for the initial funding
+ *
+ * @param {Date} acceptedAt
+ * @param {number} days
+ * @returns {Date}
+ */
+export function initialFundingDueDate(acceptedAt, days = DEFAULT_FUNDING_DUE_DAYS) {
+  return new Date(acceptedAt.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+export default {
+  SUBSCRIPTION_STATUSES,
+  ENTITY_TYPES,
+  TAX_CLASSIFICATIONS,
+  LP_EDITABLE_FIELDS,
+  DEFAULT_INITIAL_FUNDING_PCT,
+  DEFAULT_FUNDING_DUE_DAYS,
+  canTransition,
+  isEditableByLP,
+  pickSubscriptionDetails,
+  validateSubscriptionDetails,
+  validateSignature,
+  calculateInitialFunding,
+  initialFundingDueDate
+};
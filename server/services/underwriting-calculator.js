@@ -15,6 +15,8 @@
  */
 
 import { getSectorConfig, detectSector, validateAgainstBenchmark } from './sector-config.js';
+import { normalizeDebtTranches } from './debt-sizing-calculator.js';
+import { calculateFloatingDebtSchedule } from './floating-rate-calculator.js';
 
 /**
  * Calculate full underwriting model from inputs
@@ -40,8 +42,8 @@ export function calculateUnderwriting(inputs) {
     reserves,
 
     // Debt (from loan terms)
-    loanAmount,
-    interestRate,
+    loanAmount: singleLoanAmount,
+    interestRate: singleInterestRate,
     amortization = 30,
     loanTerm,
     ioPeriod = 0,
@@ -53,6 +55,15 @@ export function calculateUnderwriting(inputs) {
     expenseGrowth = 0.02
   } = inputs;
 
+  // A multi-tranche stack replaces the single loan: total amount and blended rate
+  const debtTranches = resolveModelTranches(inputs);
+  const loanAmount = debtTranches ? sumTrancheAmounts(debtTranches) : singleLoanAmount;
+  // A floating-rate loan is priced off the forward curve: year-one effective rate
+  const floatingYear1 = !debtTranches && loanAmount ? floatingYearOne(inputs, loanAmount) : null;
+  const interestRate = debtTranches
+    ? blendedTrancheRate(debtTranches)
+    : floatingYear1 ? floatingYear1.effectiveRate : singleInterestRate;
+
   const result = {
     // Input echo
     inputs: {
@@ -108,10 +119,21 @@ export function calculateUnderwriting(inputs) {
 
   // Calculate debt service
   if (loanAmount && interestRate) {
-    const debtService = calculateDebtService(loanAmount, interestRate, amortization, ioPeriod);
+    const debtService = debtTranches
+      ? calculateStackDebtService(debtTranches)
+      : floatingYear1
+        ? {
+          annualDebtService: floatingYear1.totalPayment,
+          monthlyPayment: floatingYear1.totalPayment / 12,
+          isInterestOnly: floatingYear1.isInterestOnly
+        }
+        : calculateDebtService(loanAmount, interestRate, amortization, ioPeriod);
     result.debtMetrics.annualDebtService = debtService.annualDebtService;
     result.debtMetrics.monthlyPayment = debtService.monthlyPayment;
     result.debtMetrics.isInterestOnly = debtService.isInterestOnly;
+    if (debtService.byTranche) {
+      result.debtMetrics.byTranche = debtService.byTranche;
+    }
 
     // DSCR
     if (result.income.netOperatingIncome) {
@@ -206,6 +228,93 @@ function calculateDebtService(loanAmount, interestRate, amortization, ioPeriod =
   };
 }
 
+/**
+ * Resolve a model's multi-tranche debt stack (model.debtTranches with any
+ * model.trancheOverrides applied). Returns null for single-loan models.
+ */
+function resolveModelTranches(model) {
+  if (!Array.isArray(model.debtTranches) || model.debtTranches.length === 0) return null;
+  const tranches = normalizeDebtTranches(model.debtTranches, {
+    indexRates: model.indexRates,
+    overrides: model.trancheOverrides
+  }).filter(t => (t.amount || 0) > 0);
+  return tranches.length > 0 ? tranches : null;
+}
+
+function sumTrancheAmounts(tranches) {
+  return tranches.reduce((sum, t) => sum + t.amount, 0);
+}
+
+function blendedTrancheRate(tranches) {
+  const total = sumTrancheAmounts(tranches);
+  return total > 0 ? tranches.reduce((sum, t) => sum + t.amount * t.rate, 0) / total : 0;
+}
+
+/**
+ * Year-one debt service for a tranche stack (sum of each tranche's payment)
+ */
+function calculateStackDebtService(tranches) {
+  const byTranche = tranches.map(t => {
+    const service = calculateDebtService(t.amount, t.rate, t.amortization || 0, trancheIsIO(t, 12) ? 1 : 0);
+    return {
+      id: t.id,
+      name: t.name,
+      type: t.type,
+      amount: t.amount,
+      rate: t.rate,
+      annualDebtService: service.annualDebtService,
+      isInterestOnly: service.isInterestOnly
+    };
+  });
+
+  const annualDebtService = byTranche.reduce((sum, t) => sum + t.annualDebtService, 0);
+  return {
+    annualDebtService,
+    monthlyPayment: annualDebtService / 12,
+    isInterestOnly: byTranche.every(t => t.isInterestOnly),
+    byTranche
+  };
+}
+
+function trancheIsIO(tranche, month) {
+  return !tranche.amortization || (tranche.ioMonths || 0) >= month;
+}
+
+/**
+ * Resolve a model's floating-rate loan terms (model.floatingRate). Returns
+ * null for fixed-rate models or when no forward curve has been entered.
+ * Floating terms default to interest-only, as bridge loans usually are.
+ */
+function resolveFloatingRate(model) {
+  const terms = model.floatingRate;
+  if (!terms || !Array.isArray(terms.forwardCurve) || terms.forwardCurve.length === 0) return null;
+  return {
+    ...terms,
+    spread: terms.spread || 0,
+    amortization: terms.amortization ?? 0,
+    ioMonths: terms.ioMonths ?? model.ioMonths ?? 0,
+    startDate: terms.startDate || model.analysisStartDate || model.acquisitionDate || null
+  };
+}
+
+function floatingYearOne(model, loanAmount) {
+  const floatingRate = resolveFloatingRate(model);
+  if (!floatingRate) return null;
+  return calculateFloatingDebtSchedule({ ...floatingRate, loanAmount, months: 12 }).schedule[0];
+}
+
+function summarizeFloatingRate(floatingRate, debtServiceInfo) {
+  return {
+    spread: floatingRate.spread,
+    indexFloor: floatingRate.indexFloor ?? null,
+    cap: debtServiceInfo.cap,
+    swap: debtServiceInfo.swap,
+    capCost: debtServiceInfo.capCost,
+    totalCapPayout: round(debtServiceInfo.totalCapPayout),
+    totalSwapPayment: round(debtServiceInfo.totalSwapPayment)
+  };
+}
+
 /**
  * Calculate projected returns including IRR and equity multiple
  */
@@ -318,6 +427,93 @@ export function calculateIRR(cashFlows, guess = 0.1, tolerance = 0.0001, maxIter
   return rate; // Return best estimate even if didn't converge
 }
 
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize dated cash flows to { time (years from first flow), amount }, sorted by date.
+ * Flows with an unparseable date or non-finite amount are dropped.
+ */
+function normalizeDatedFlows(flows) {
+  const parsed = (flows || [])
+    .map(cf => ({ date: new Date(cf.date), amount: Number(cf.amount) }))
+    .filter(cf => !isNaN(cf.date.getTime()) && Number.isFinite(cf.amount))
+    .sort((a, b) => a.date - b.date);
+
+  if (parsed.length === 0) return [];
+  const origin = parsed[0].date.getTime();
+  return parsed.map(cf => ({
+    time: (cf.date.getTime() - origin) / MS_PER_DAY / DAYS_PER_YEAR,
+    amount: cf.amount
+  }));
+}
+
+/**
+ * Net present value of irregularly dated cash flows (Excel XNPV convention:
+ * actual days / 365, discounted to the earliest flow date).
+ *
+ * @param {number} rate - Annual discount rate
+ * @param {Array<{date: string|Date, amount: number}>} flows
+ * @returns {number}
+ */
+export function calculateXNPV(rate, flows) {
+  return normalizeDatedFlows(flows)
+    .reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.time), 0);
+}
+
+/**
+ * Annualized IRR of irregularly dated cash flows (Excel XIRR convention).
+ * Uses Newton-Raphson, falling back to bisection when Newton leaves the
+ * valid range. Returns null when the flows never change sign.
+ *
+ * @param {Array<{date: string|Date, amount: number}>} flows
+ * @param {number} guess
+ * @returns {number|null}
+ */
+export function calculateXIRR(flows, guess = 0.1, tolerance = 1e-7, maxIterations = 100) {
+  const dated = normalizeDatedFlows(flows);
+  const hasOutflow = dated.some(cf => cf.amount < 0);
+  const hasInflow = dated.some(cf => cf.amount > 0);
+  if (!hasOutflow || !hasInflow) return null;
+
+  const npvAt = (rate) => dated.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.time), 0);
+
+  let rate = guess;
+  for (let i = 0; i < maxIterations; i++) {
+    let npv = 0;
+    let dnpv = 0;
+    for (const cf of dated) {
+      npv += cf.amount / Math.pow(1 + rate, cf.time);
+      dnpv -= cf.time * cf.amount / Math.pow(1 + rate, cf.time + 1);
+    }
+    if (dnpv === 0) break;
+
+    const newRate = rate - npv / dnpv;
+    if (!Number.isFinite(newRate) || newRate <= -0.99 || newRate > 10) break;
+    if (Math.abs(newRate - rate) < tolerance) return newRate;
+    rate = newRate;
+  }
+
+  // Bisection fallback over the same range calculateIRR accepts
+  let low = -0.99;
+  let high = 10;
+  let npvLow = npvAt(low);
+  if (npvLow * npvAt(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npvAt(mid);
+    if (Math.abs(npvMid) < tolerance || (high - low) / 2 < tolerance) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
 /**
  * Calculate returns for a scenario with modified assumptions
  */
@@ -371,11 +567,21 @@ export function sensitivityAnalysis(baseInputs, field, variations) {
  * - Before-tax cash flow
  * - Exit analysis
  *
+ * Pass options.granularity = 'monthly' or 'quarterly' to run the monthly
+ * engine instead (see projectMonthlyCashFlows).
+ *
  * @param {Object} model - Underwriting model inputs
  * @param {number} years - Hold period (default from model or 5)
+ * @param {Object} options
+ * @param {string} options.granularity - 'annual' (default), 'quarterly' or 'monthly'
  * @returns {Object} Detailed cash flow projection
  */
-export function projectDetailedCashFlows(model, years = null) {
+export function projectDetailedCashFlows(model, years = null, options = {}) {
+  const granularity = options.granularity || 'annual';
+  if (granularity !== 'annual') {
+    return projectMonthlyCashFlows(model, years, { granularity });
+  }
+
   const holdPeriod = years || model.holdPeriod || 5;
 
   // Extract inputs with defaults
@@ -390,9 +596,12 @@ export function projectDetailedCashFlows(model, years = null) {
   const reserves = model.reserves || 0;
   const operatingExpenses = model.operatingExpenses || (taxes + insurance + management + reserves);
 
-  // Debt parameters
-  const loanAmount = model.loanAmount || 0;
-  const interestRate = model.interestRate || 0;
+  // Debt parameters (a tranche stack replaces the single loan; a floating
+  // loan is priced month by month off its forward curve)
+  const debtTranches = resolveModelTranches(model);
+  const floatingRate = debtTranches ? null : resolveFloatingRate(model);
+  const loanAmount = debtTranches ? sumTrancheAmounts(debtTranches) : model.loanAmount || 0;
+  const interestRate = debtTranches ? blendedTrancheRate(debtTranches) : model.interestRate || 0;
   const amortization = model.amortization || 30;
   const ioPeriod = model.ioPeriod || 0;
 
@@ -401,13 +610,17 @@ export function projectDetailedCashFlows(model, years = null) {
   const expenseGrowth = model.expenseGrowth || 0.02;
   const otherIncomeGrowth = model.otherIncomeGrowth || rentGrowth;
 
+  // Lease-by-lease revenue (lease-cash-flow-engine.js) replaces the GPR and
+  // vacancy growth model year by year; one year past the hold prices the exit
+  const leaseCashFlows = Array.isArray(model.leaseCashFlows) ? model.leaseCashFlows : null;
+
   // Exit assumptions
   const exitCapRate = model.exitCapRate || 0.055;
   const sellingCostRate = model.sellingCostRate || 0.02;
 
-  // Purchase info
+  // Purchase info (a rate cap premium is funded with equity at closing)
   const purchasePrice = model.purchasePrice || 0;
-  const equityRequired = purchasePrice - loanAmount;
+  const equityRequired = purchasePrice - loanAmount + (floatingRate?.cap?.cost || 0);
 
   // Calculate Year 1 base values
   const year1GPR = grossPotentialRent;
@@ -435,13 +648,17 @@ export function projectDetailedCashFlows(model, years = null) {
   const year1NOI = year1EGI - year1TotalExpenses;
 
   // Calculate debt service
-  const debtServiceInfo = calculateDebtServiceSchedule(
-    loanAmount,
-    interestRate,
-    amortization,
-    ioPeriod,
-    holdPeriod
-  );
+  const debtServiceInfo = debtTranches
+    ? calculateStackDebtSchedule(debtTranches, holdPeriod)
+    : floatingRate
+      ? calculateFloatingDebtSchedule({ ...floatingRate, loanAmount, months: holdPeriod * 12 })
+      : calculateDebtServiceSchedule(
+        loanAmount,
+        interestRate,
+        amortization,
+        ioPeriod,
+        holdPeriod
+      );
 
   // Build year-by-year projections
   const yearlyProjections = [];
@@ -454,10 +671,11 @@ export function projectDetailedCashFlows(model, years = null) {
     const growthMultiplierOther = Math.pow(1 + otherIncomeGrowth, year - 1);
 
     // Revenue
-    const gpr = year1GPR * growthMultiplierRevenue;
-    const vacancy = gpr * vacancyRate;
+    const leaseYear = leaseCashFlows?.[year - 1] || null;
+    const gpr = leaseYear ? leaseYear.potentialBaseRent : year1GPR * growthMultiplierRevenue;
+    const vacancy = leaseYear ? leaseYear.turnoverVacancy + leaseYear.generalVacancy : gpr * vacancyRate;
     const other = year1OtherIncome * growthMultiplierOther;
-    const egi = gpr - vacancy + other;
+    const egi = leaseYear ? leaseYearEGI(leaseYear, other) : gpr - vacancy + other;
 
     // Expenses (grow at expense growth rate)
     const opEx = year1OpEx * growthMultiplierExpense;
@@ -477,8 +695,11 @@ export function projectDetailedCashFlows(model, years = null) {
     const totalDebtService = interestPayment + principalPayment;
     const endingBalance = yearDebtInfo.endingBalance || 0;
 
+    // Leasing costs (TI/LC) sit below NOI
+    const leasingCosts = leaseYear ? leaseYear.tenantImprovements + leaseYear.leasingCommissions : 0;
+
     // Before-tax cash flow
-    const btcf = noi - totalDebtService;
+    const btcf = noi - leasingCosts - totalDebtService;
     cumulativeCashFlow += btcf;
 
     yearlyProjections.push({
@@ -486,7 +707,11 @@ export function projectDetailedCashFlows(model, years = null) {
       revenue: {
         grossPotentialRent: round(gpr),
         vacancy: round(-vacancy),
-        vacancyRate: vacancyRate,
+        vacancyRate: leaseYear ? (gpr > 0 ? vacancy / gpr : 0) : vacancyRate,
+        ...(leaseYear ? {
+          freeRent: round(-leaseYear.freeRent),
+          expenseRecoveries: round(leaseYear.expenseRecoveries)
+        } : {}),
         otherIncome: round(other),
         effectiveGrossIncome: round(egi)
       },
@@ -500,13 +725,27 @@ export function projectDetailedCashFlows(model, years = null) {
         expenseRatio: totalExpenses / egi
       },
       noi: round(noi),
+      ...(leaseYear ? {
+        leasingCosts: {
+          tenantImprovements: round(leaseYear.tenantImprovements),
+          leasingCommissions: round(leaseYear.leasingCommissions),
+          total: round(leasingCosts)
+        }
+      } : {}),
       debtService: {
         interestPayment: round(interestPayment),
         principalPayment: round(principalPayment),
         totalDebtService: round(totalDebtService),
         beginningBalance: round(year === 1 ? loanAmount : yearlyProjections[year - 2]?.debtService?.endingBalance || currentLoanBalance),
         endingBalance: round(endingBalance),
-        isInterestOnly: year <= ioPeriod
+        isInterestOnly: debtTranches || floatingRate ? yearDebtInfo.isInterestOnly : year <= ioPeriod,
+        ...(yearDebtInfo.byTranche ? { byTranche: yearDebtInfo.byTranche.map(roundTrancheService) } : {}),
+        ...(floatingRate ? {
+          indexRate: round(yearDebtInfo.averageIndexRate, 5),
+          effectiveRate: round(yearDebtInfo.effectiveRate, 5),
+          capPayout: round(yearDebtInfo.capPayout),
+          swapPayment: round(yearDebtInfo.swapPayment)
+        } : {})
       },
       beforeTaxCashFlow: round(btcf),
       cumulativeCashFlow: round(cumulativeCashFlow),
@@ -522,7 +761,11 @@ export function projectDetailedCashFlows(model, years = null) {
 
   // Calculate exit
   const finalYearNOI = yearlyProjections[holdPeriod - 1].noi;
-  const exitNOI = finalYearNOI * (1 + rentGrowth); // Next year's NOI for exit cap
+  const exitLeaseYear = leaseCashFlows?.[holdPeriod];
+  const exitNOI = exitLeaseYear
+    ? leaseYearEGI(exitLeaseYear, year1OtherIncome * Math.pow(1 + otherIncomeGrowth, holdPeriod)) -
+      year1TotalExpenses * Math.pow(1 + expenseGrowth, holdPeriod)
+    : finalYearNOI * (1 + rentGrowth); // Next year's NOI for exit cap
   const grossSalePrice = exitNOI / exitCapRate;
   const sellingCosts = grossSalePrice * sellingCostRate;
   const netSaleProceeds = grossSalePrice - sellingCosts;
@@ -573,19 +816,483 @@ export function projectDetailedCashFlows(model, years = null) {
       exitCapRate,
       interestRate,
       amortization,
-      ioPeriod
+      ioPeriod,
+      ...(debtTranches ? { debtTranches: summarizeTranches(debtTranches) } : {}),
+      ...(floatingRate ? { floatingRate: summarizeFloatingRate(floatingRate, debtServiceInfo) } : {})
     }
   };
 }
 
+/**
+ * Effective gross income for one year of lease-by-lease revenue
+ */
+function leaseYearEGI(leaseYear, otherIncome) {
+  return leaseYear.potentialBaseRent - leaseYear.turnoverVacancy - leaseYear.generalVacancy -
+    leaseYear.freeRent + leaseYear.expenseRecoveries + otherIncome;
+}
+
+export const CASH_FLOW_GRANULARITIES = ['annual', 'quarterly', 'monthly'];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Project Month-by-Month Cash Flows
+ *
+ * Monthly engine behind projectDetailedCashFlows(..., { granularity }):
+ * - Lease-up curve from a starting occupancy to stabilized (1 - vacancyRate)
+ * - Free rent that burns off linearly over a number of months
+ * - Month-level IO-to-amortization switchover (ioMonths)
+ * - Monthly debt service from calculateDebtServiceSchedule
+ * - Quarterly and annual rollups derived from the monthly series
+ * - XIRR on the dated monthly equity cash flows
+ *
+ * Rent and expenses step up on each anniversary, so a stabilized model with no
+ * lease-up or free rent rolls up to the same annual figures as the annual engine.
+ *
+ * @param {Object} model - Underwriting model inputs, plus optional:
+ * @param {string} model.analysisStartDate - ISO date of month 0 (defaults to acquisitionDate or this month)
+ * @param {Object} model.leaseUp - { startOccupancy, months, curve: 'LINEAR' | 'S_CURVE' }
+ * @param {Array<number>} model.occupancyCurve - Explicit occupancy per month (overrides leaseUp)
+ * @param {Object} model.freeRent - { initialPercent, burnOffMonths } concession as % of occupied rent
+ * @param {number} model.ioMonths - IO period in months (overrides ioPeriod years)
+ * @param {number} years - Hold period (default from model or 5)
+ * @param {Object} options
+ * @param {string} options.granularity - Series returned as `periods`: 'monthly' (default) or 'quarterly'
+ * @returns {Object} { granularity, periods, months, quarters, years, exit, totals, assumptions, equityCashFlows }
+ */
+export function projectMonthlyCashFlows(model, years = null, options = {}) {
+  const granularity = options.granularity || 'monthly';
+  const holdPeriod = years || model.holdPeriod || 5;
+  const totalMonths = holdPeriod * 12;
+
+  const grossPotentialRent = model.grossPotentialRent || 0;
+  const vacancyRate = model.vacancyRate || 0.05;
+  const otherIncome = model.otherIncome || 0;
+
+  const taxes = model.taxes || 0;
+  const insurance = model.insurance || 0;
+  const management = model.management || 0;
+  const reserves = model.reserves || 0;
+  const operatingExpenses = model.operatingExpenses || (taxes + insurance + management + reserves);
+
+  const debtTranches = resolveModelTranches(model);
+  const floatingRate = debtTranches ? null : resolveFloatingRate(model);
+  const loanAmount = debtTranches ? sumTrancheAmounts(debtTranches) : model.loanAmount || 0;
+  const interestRate = debtTranches ? blendedTrancheRate(debtTranches) : model.interestRate || 0;
+  const amortization = model.amortization || 30;
+  const ioPeriod = model.ioPeriod || 0;
+
+  const rentGrowth = model.rentGrowth || 0.03;
+  const expenseGrowth = model.expenseGrowth || 0.02;
+  const otherIncomeGrowth = model.otherIncomeGrowth || rentGrowth;
+
+  const exitCapRate = model.exitCapRate || 0.055;
+  const sellingCostRate = model.sellingCostRate || 0.02;
+
+  const purchasePrice = model.purchasePrice || 0;
+  const equityRequired = purchasePrice - loanAmount + (floatingRate?.cap?.cost || 0);
+
+  const startDate = resolveAnalysisStartDate(model.analysisStartDate || model.acquisitionDate);
+  const stabilizedOccupancy = 1 - vacancyRate;
+  const occupancyCurve = buildOccupancyCurve(model, totalMonths, stabilizedOccupancy);
+  const freeRent = model.freeRent || null;
+
+  // Same expense breakdown as the annual engine
+  let baseOpEx = operatingExpenses - taxes - insurance - management - reserves;
+  let baseTaxes = taxes;
+  let baseInsurance = insurance;
+  let baseManagement = management;
+  let baseReserves = reserves;
+  if (operatingExpenses > 0 && taxes === 0 && insurance === 0) {
+    baseOpEx = operatingExpenses * 0.50;
+    baseTaxes = operatingExpenses * 0.25;
+    baseInsurance = operatingExpenses * 0.08;
+    baseManagement = operatingExpenses * 0.12;
+    baseReserves = operatingExpenses * 0.05;
+  }
+
+  const debtServiceInfo = debtTranches
+    ? calculateStackDebtSchedule(debtTranches, holdPeriod)
+    : floatingRate
+      ? calculateFloatingDebtSchedule({ ...floatingRate, loanAmount, months: totalMonths })
+      : calculateDebtServiceSchedule(
+        loanAmount,
+        interestRate,
+        amortization,
+        ioPeriod,
+        holdPeriod,
+        { ioMonths: model.ioMonths }
+      );
+
+  const months = [];
+  let cumulativeCashFlow = 0;
+
+  for (let month = 1; month <= totalMonths; month++) {
+    const year = Math.ceil(month / 12);
+    const growthMultiplierRevenue = Math.pow(1 + rentGrowth, year - 1);
+    const growthMultiplierExpense = Math.pow(1 + expenseGrowth, year - 1);
+    const growthMultiplierOther = Math.pow(1 + otherIncomeGrowth, year - 1);
+
+    const occupancy = occupancyCurve[month - 1];
+
+    // Revenue
+    const gpr = grossPotentialRent / 12 * growthMultiplierRevenue;
+    const vacancy = gpr * (1 - occupancy);
+    const freeRentPercent = freeRent?.initialPercent && freeRent?.burnOffMonths
+      ? freeRent.initialPercent * Math.max(0, 1 - (month - 1) / freeRent.burnOffMonths)
+      : 0;
+    const concessions = gpr * occupancy * freeRentPercent;
+    // Other income tracks occupancy relative to stabilized
+    const other = otherIncome / 12 * growthMultiplierOther * (occupancy / stabilizedOccupancy);
+    const egi = gpr - vacancy - concessions + other;
+
+    // Expenses
+    const opEx = baseOpEx / 12 * growthMultiplierExpense;
+    const taxesMonth = baseTaxes / 12 * growthMultiplierExpense;
+    const insuranceMonth = baseInsurance / 12 * growthMultiplierExpense;
+    const managementMonth = baseManagement / 12 * growthMultiplierExpense;
+    const reservesMonth = baseReserves / 12 * growthMultiplierExpense;
+    const totalExpenses = opEx + taxesMonth + insuranceMonth + managementMonth + reservesMonth;
+
+    const noi = egi - totalExpenses;
+
+    const debt = debtServiceInfo.monthlySchedule[month - 1];
+    const btcf = noi - debt.totalPayment;
+    cumulativeCashFlow += btcf;
+
+    months.push({
+      month,
+      year,
+      quarter: Math.ceil(month / 3),
+      startDate: toISODate(addMonths(startDate, month - 1)),
+      endDate: toISODate(addDays(addMonths(startDate, month), -1)),
+      label: monthLabel(addMonths(startDate, month - 1)),
+      occupancy,
+      revenue: {
+        grossPotentialRent: gpr,
+        vacancy: -vacancy,
+        freeRent: concessions ? -concessions : 0,
+        otherIncome: other,
+        effectiveGrossIncome: egi
+      },
+      expenses: {
+        operating: opEx,
+        taxes: taxesMonth,
+        insurance: insuranceMonth,
+        management: managementMonth,
+        reserves: reservesMonth,
+        totalExpenses
+      },
+      noi,
+      debtService: {
+        interestPayment: debt.interestPayment,
+        principalPayment: debt.principalPayment,
+        totalDebtService: debt.totalPayment,
+        beginningBalance: debt.beginningBalance,
+        endingBalance: debt.endingBalance,
+        isInterestOnly: debt.isInterestOnly,
+        ...(debt.byTranche ? { byTranche: debt.byTranche } : {}),
+        ...(floatingRate ? {
+          indexRate: debt.indexRate,
+          effectiveRate: debt.effectiveRate,
+          capPayout: debt.capPayout,
+          swapPayment: debt.swapPayment
+        } : {})
+      },
+      beforeTaxCashFlow: btcf,
+      cumulativeCashFlow
+    });
+  }
+
+  // Exit at the end of the final month on forward 12-month NOI
+  const trailingNOI = months.slice(-12).reduce((sum, m) => sum + m.noi, 0);
+  const exitNOI = trailingNOI * (1 + rentGrowth);
+  const grossSalePrice = exitNOI / exitCapRate;
+  const sellingCosts = grossSalePrice * sellingCostRate;
+  const netSaleProceeds = grossSalePrice - sellingCosts;
+  const loanPayoff = months[months.length - 1].debtService.endingBalance;
+  const netEquityProceeds = netSaleProceeds - loanPayoff;
+
+  // Dated equity cash flows: equity at the start date, then month-end flows
+  const equityCashFlows = [{ date: toISODate(startDate), amount: -equityRequired }];
+  for (const m of months) {
+    const amount = m.month === totalMonths ? m.beforeTaxCashFlow + netEquityProceeds : m.beforeTaxCashFlow;
+    equityCashFlows.push({ date: m.endDate, amount });
+  }
+
+  const irr = calculateXIRR(equityCashFlows);
+
+  const context = { loanAmount, purchasePrice };
+  const quarters = rollUpCashFlows(months, 'quarterly', context);
+  const annual = rollUpCashFlows(months, 'annual', context);
+
+  const totalDistributed = cumulativeCashFlow + netEquityProceeds;
+  const equityMultiple = (totalDistributed + equityRequired) / equityRequired;
+  const avgCashOnCash = cumulativeCashFlow / holdPeriod / equityRequired;
+
+  const roundedMonths = months.map(m => roundPeriod({
+    ...m,
+    metrics: periodMetrics(m.noi, m.debtService.totalDebtService, 12, context)
+  }));
+
+  return {
+    granularity,
+    periods: granularity === 'quarterly' ? quarters : roundedMonths,
+    months: roundedMonths,
+    quarters,
+    years: annual,
+    exit: {
+      year: holdPeriod,
+      month: totalMonths,
+      date: months[months.length - 1].endDate,
+      noiAtExit: round(trailingNOI),
+      exitNOI: round(exitNOI),
+      exitCapRate: exitCapRate,
+      grossSalePrice: round(grossSalePrice),
+      sellingCosts: round(sellingCosts),
+      sellingCostRate: sellingCostRate,
+      netSaleProceeds: round(netSaleProceeds),
+      loanPayoff: round(loanPayoff),
+      netEquityProceeds: round(netEquityProceeds)
+    },
+    totals: {
+      equityInvested: round(equityRequired),
+      totalCashDistributed: round(cumulativeCashFlow),
+      totalSaleProceeds: round(netEquityProceeds),
+      totalReturned: round(totalDistributed + equityRequired),
+      equityMultiple: round(equityMultiple, 2),
+      irr: irr !== null ? round(irr, 4) : null,
+      avgCashOnCash: round(avgCashOnCash, 4),
+      avgDSCR: round(annual.reduce((sum, y) => sum + (y.metrics.dscr || 0), 0) / holdPeriod, 2),
+      stabilizationMonth: findStabilizationMonth(occupancyCurve, stabilizedOccupancy)
+    },
+    equityCashFlows: equityCashFlows.map(cf => ({ date: cf.date, amount: round(cf.amount) })),
+    assumptions: {
+      holdPeriod,
+      rentGrowth,
+      expenseGrowth,
+      exitCapRate,
+      interestRate,
+      amortization,
+      ioPeriod,
+      ioMonths: debtServiceInfo.ioMonths,
+      analysisStartDate: toISODate(startDate),
+      leaseUp: model.leaseUp || null,
+      freeRent,
+      ...(debtTranches ? { debtTranches: summarizeTranches(debtTranches) } : {}),
+      ...(floatingRate ? { floatingRate: summarizeFloatingRate(floatingRate, debtServiceInfo) } : {})
+    }
+  };
+}
+
+/**
+ * Roll a monthly cash flow series up to quarterly or annual periods
+ *
+ * Flows are summed, occupancy is averaged, and loan balances are taken from
+ * the first/last month of each period. Ratios are recomputed from the sums.
+ *
+ * @param {Array<Object>} months - Unrounded monthly periods from projectMonthlyCashFlows
+ * @param {string} granularity - 'quarterly' or 'annual'
+ * @param {Object} context - { loanAmount, purchasePrice } for debt yield / cap rate
+ * @returns {Array<Object>} Rounded rollup periods
+ */
+export function rollUpCashFlows(months, granularity, context = {}) {
+  const size = granularity === 'quarterly' ? 3 : 12;
+  const periods = [];
+
+  for (let i = 0; i < months.length; i += size) {
+    const group = months.slice(i, i + size);
+    const first = group[0];
+    const last = group[group.length - 1];
+    const index = i / size + 1;
+    const sum = (pick) => group.reduce((total, m) => total + pick(m), 0);
+
+    const gpr = sum(m => m.revenue.grossPotentialRent);
+    const vacancy = sum(m => m.revenue.vacancy);
+    const egi = sum(m => m.revenue.effectiveGrossIncome);
+    const totalExpenses = sum(m => m.expenses.totalExpenses);
+    const noi = sum(m => m.noi);
+    const totalDebtService = sum(m => m.debtService.totalDebtService);
+
+    const period = {
+      period: index,
+      startDate: first.startDate,
+      endDate: last.endDate,
+      label: granularity === 'quarterly'
+        ? `Y${first.year} Q${((index - 1) % 4) + 1}`
+        : `Year ${index}`,
+      occupancy: sum(m => m.occupancy) / group.length,
+      revenue: {
+        grossPotentialRent: gpr,
+        vacancy,
+        vacancyRate: gpr > 0 ? -vacancy / gpr : 0,
+        freeRent: sum(m => m.revenue.freeRent),
+        otherIncome: sum(m => m.revenue.otherIncome),
+        effectiveGrossIncome: egi
+      },
+      expenses: {
+        operating: sum(m => m.expenses.operating),
+        taxes: sum(m => m.expenses.taxes),
+        insurance: sum(m => m.expenses.insurance),
+        management: sum(m => m.expenses.management),
+        reserves: sum(m => m.expenses.reserves),
+        totalExpenses,
+        expenseRatio: egi ? totalExpenses / egi : null
+      },
+      noi,
+      debtService: {
+        interestPayment: sum(m => m.debtService.interestPayment),
+        principalPayment: sum(m => m.debtService.principalPayment),
+        totalDebtService,
+        beginningBalance: first.debtService.beginningBalance,
+        endingBalance: last.debtService.endingBalance,
+        isInterestOnly: group.every(m => m.debtService.isInterestOnly),
+        ...(first.debtService.byTranche ? { byTranche: rollUpTrancheService(group) } : {}),
+        ...(first.debtService.indexRate !== undefined ? {
+          indexRate: sum(m => m.debtService.indexRate) / group.length,
+          effectiveRate: sum(m => m.debtService.effectiveRate) / group.length,
+          capPayout: sum(m => m.debtService.capPayout),
+          swapPayment: sum(m => m.debtService.swapPayment)
+        } : {})
+      },
+      beforeTaxCashFlow: sum(m => m.beforeTaxCashFlow),
+      cumulativeCashFlow: last.cumulativeCashFlow,
+      metrics: periodMetrics(noi, totalDebtService, 12 / size, context)
+    };
+
+    if (granularity === 'quarterly') {
+      period.quarter = index;
+      period.year = first.year;
+    } else {
+      period.year = index;
+    }
+
+    periods.push(roundPeriod(period));
+  }
+
+  return periods;
+}
+
+/**
+ * Build the monthly occupancy curve.
+ * Explicit occupancyCurve wins; otherwise leaseUp ramps from startOccupancy
+ * to stabilized over leaseUp.months (linear or S-curve).
+ */
+function buildOccupancyCurve(model, totalMonths, stabilizedOccupancy) {
+  const curve = [];
+  const explicit = Array.isArray(model.occupancyCurve) ? model.occupancyCurve : null;
+  const leaseUp = model.leaseUp || null;
+  const leaseUpMonths = leaseUp?.months || 0;
+  const startOccupancy = leaseUp?.startOccupancy ?? stabilizedOccupancy;
+
+  for (let month = 1; month <= totalMonths; month++) {
+    if (explicit && explicit[month - 1] !== undefined) {
+      curve.push(Math.min(1, Math.max(0, explicit[month - 1])));
+      continue;
+    }
+
+    if (month > leaseUpMonths) {
+      curve.push(stabilizedOccupancy);
+      continue;
+    }
+
+    const progress = month / leaseUpMonths;
+    const shaped = leaseUp.curve === 'S_CURVE' ? sCurve(progress) : progress;
+    curve.push(startOccupancy + (stabilizedOccupancy - startOccupancy) * shaped);
+  }
+
+  return curve;
+}
+
+/**
+ * Logistic curve rescaled so sCurve(0) = 0 and sCurve(1) = 1
+ */
+function sCurve(progress, steepness = 10) {
+  const logistic = (x) => 1 / (1 + Math.exp(-steepness * (x - 0.5)));
+  return (logistic(progress) - logistic(0)) / (logistic(1) - logistic(0));
+}
+
+/**
+ * First month at or above stabilized occupancy (null if never stabilizes)
+ */
+function findStabilizationMonth(occupancyCurve, stabilizedOccupancy) {
+  const index = occupancyCurve.findIndex(o => o >= stabilizedOccupancy - 0.0001);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * DSCR, debt yield and cap rate for a period, annualized by periodsPerYear
+ */
+function periodMetrics(noi, totalDebtService, periodsPerYear, { loanAmount, purchasePrice }) {
+  return {
+    dscr: totalDebtService > 0 ? noi / totalDebtService : null,
+    debtYield: loanAmount > 0 ? (noi * periodsPerYear) / loanAmount : null,
+    capRate: purchasePrice > 0 ? (noi * periodsPerYear) / purchasePrice : null
+  };
+}
+
+/**
+ * Round currency values in a cash flow period (ratios are left unrounded)
+ */
+function roundPeriod(period) {
+  const roundAll = (obj, skip = []) => Object.fromEntries(
+    Object.entries(obj).map(([key, value]) => [
+      key,
+      typeof value === 'number' && !skip.includes(key) ? round(value) : value
+    ])
+  );
+
+  return {
+    ...period,
+    revenue: roundAll(period.revenue, ['vacancyRate']),
+    expenses: roundAll(period.expenses, ['expenseRatio']),
+    noi: round(period.noi),
+    debtService: period.debtService.byTranche
+      ? { ...roundAll(period.debtService), byTranche: period.debtService.byTranche.map(roundTrancheService) }
+      : roundAll(period.debtService, ['indexRate', 'effectiveRate']),
+    beforeTaxCashFlow: round(period.beforeTaxCashFlow),
+    cumulativeCashFlow: round(period.cumulativeCashFlow)
+  };
+}
+
+function resolveAnalysisStartDate(value) {
+  const date = value ? new Date(value) : new Date();
+  const valid = isNaN(date.getTime()) ? new Date() : date;
+  return new Date(Date.UTC(valid.getUTCFullYear(), valid.getUTCMonth(), 1));
+}
+
+function addMonths(date, count) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, date.getUTCDate()));
+}
+
+function addDays(date, count) {
+  return new Date(date.getTime() + count * 24 * 60 * 60 * 1000);
+}
+
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthLabel(date) {
+  return `${MONTH_LABELS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
 /**
  * Calculate full debt service schedule with amortization
+ *
+ * Debt service is computed month by month so the IO-to-amortization switchover
+ * can land mid-year. The annual schedule is a rollup of the monthly one.
+ *
+ * @param {Object} options
+ * @param {number} options.ioMonths - IO period in months (overrides ioPeriod years)
  */
-function calculateDebtServiceSchedule(loanAmount, interestRate, amortization, ioPeriod, holdPeriod) {
+export function calculateDebtServiceSchedule(loanAmount, interestRate, amortization, ioPeriod, holdPeriod, options = {}) {
   const schedule = [];
+  const monthlySchedule = [];
   let balance = loanAmount;
   const monthlyRate = interestRate / 12;
   const numPayments = amortization * 12;
+  const ioMonths = options.ioMonths ?? Math.round((ioPeriod || 0) * 12);
 
   // Calculate amortizing payment
   let monthlyPayment = 0;
@@ -597,44 +1304,156 @@ function calculateDebtServiceSchedule(loanAmount, interestRate, amortization, io
     monthlyPayment = loanAmount / numPayments;
   }
 
-  for (let year = 1; year <= holdPeriod; year++) {
-    const isIO = year <= ioPeriod;
-    let yearInterest = 0;
-    let yearPrincipal = 0;
-
-    for (let month = 1; month <= 12; month++) {
-      const interestPayment = balance * monthlyRate;
+  for (let month = 1; month <= holdPeriod * 12; month++) {
+    const isIO = month <= ioMonths;
+    const beginningBalance = balance;
+    const interestPayment = balance * monthlyRate;
+    // No principal in IO period
+    const principalPayment = isIO ? 0 : monthlyPayment - interestPayment;
+    balance -= principalPayment;
+
+    monthlySchedule.push({
+      month,
+      beginningBalance,
+      interestPayment,
+      principalPayment,
+      totalPayment: interestPayment + principalPayment,
+      endingBalance: balance,
+      isInterestOnly: isIO
+    });
+  }
 
-      if (isIO) {
-        yearInterest += interestPayment;
-        // No principal in IO period
-      } else {
-        yearInterest += interestPayment;
-        const principalPayment = monthlyPayment - interestPayment;
-        yearPrincipal += principalPayment;
-        balance -= principalPayment;
-      }
-    }
+  for (let year = 1; year <= holdPeriod; year++) {
+    const months = monthlySchedule.slice((year - 1) * 12, year * 12);
+    const yearInterest = months.reduce((sum, m) => sum + m.interestPayment, 0);
+    const yearPrincipal = months.reduce((sum, m) => sum + m.principalPayment, 0);
 
     schedule.push({
       year,
-      beginningBalance: year === 1 ? loanAmount : schedule[year - 2]?.endingBalance || balance + yearPrincipal,
+      beginningBalance: months[0].beginningBalance,
       interestPayment: yearInterest,
       principalPayment: yearPrincipal,
       totalPayment: yearInterest + yearPrincipal,
-      endingBalance: balance,
-      isInterestOnly: isIO
+      endingBalance: months[months.length - 1].endingBalance,
+      isInterestOnly: months.every(m => m.isInterestOnly)
     });
   }
 
   return {
     schedule,
+    monthlySchedule,
     monthlyPayment,
+    ioMonths,
     totalInterest: schedule.reduce((sum, y) => sum + y.interestPayment, 0),
     totalPrincipal: schedule.reduce((sum, y) => sum + y.principalPayment, 0)
   };
 }
 
+/**
+ * Debt service schedule for a multi-tranche stack
+ *
+ * Each tranche runs through calculateDebtServiceSchedule on its own rate, IO
+ * period and amortization; the combined schedule is the sum, with the
+ * per-tranche lines kept in `byTranche` on every month and year.
+ */
+function calculateStackDebtSchedule(tranches, holdPeriod) {
+  const totalMonths = holdPeriod * 12;
+  const perTranche = tranches.map(t => calculateDebtServiceSchedule(
+    t.amount,
+    t.rate,
+    t.amortization || 0,
+    0,
+    holdPeriod,
+    { ioMonths: t.amortization ? (t.ioMonths || 0) : totalMonths }
+  ));
+
+  const combine = (rows, key) => rows.map((row, i) => {
+    const byTranche = perTranche.map((info, t) => {
+      const line = info[key][i];
+      return {
+        id: tranches[t].id,
+        name: tranches[t].name,
+        type: tranches[t].type,
+        rate: tranches[t].rate,
+        interestPayment: line.interestPayment,
+        principalPayment: line.principalPayment,
+        totalPayment: line.totalPayment,
+        beginningBalance: line.beginningBalance,
+        endingBalance: line.endingBalance,
+        isInterestOnly: line.isInterestOnly
+      };
+    });
+    const sum = (field) => byTranche.reduce((total, line) => total + line[field], 0);
+    return {
+      ...row,
+      beginningBalance: sum('beginningBalance'),
+      interestPayment: sum('interestPayment'),
+      principalPayment: sum('principalPayment'),
+      totalPayment: sum('totalPayment'),
+      endingBalance: sum('endingBalance'),
+      isInterestOnly: byTranche.every(line => line.isInterestOnly),
+      byTranche
+    };
+  });
+
+  const schedule = combine(perTranche[0].schedule.map(y => ({ year: y.year })), 'schedule');
+  const monthlySchedule = combine(perTranche[0].monthlySchedule.map(m => ({ month: m.month })), 'monthlySchedule');
+
+  return {
+    schedule,
+    monthlySchedule,
+    monthlyPayment: perTranche.reduce((sum, info) => sum + info.monthlyPayment, 0),
+    ioMonths: Math.max(...perTranche.map(info => info.ioMonths)),
+    totalInterest: schedule.reduce((sum, y) => sum + y.interestPayment, 0),
+    totalPrincipal: schedule.reduce((sum, y) => sum + y.principalPayment, 0),
+    tranches: summarizeTranches(tranches)
+  };
+}
+
+function rollUpTrancheService(group) {
+  return group[0].debtService.byTranche.map((line, t) => {
+    const lines = group.map(m => m.debtService.byTranche[t]);
+    const sum = (field) => lines.reduce((total, l) => total + l[field], 0);
+    return {
+      id: line.id,
+      name: line.name,
+      type: line.type,
+      rate: line.rate,
+      interestPayment: sum('interestPayment'),
+      principalPayment: sum('principalPayment'),
+      totalPayment: sum('totalPayment'),
+      beginningBalance: lines[0].beginningBalance,
+      endingBalance: lines[lines.length - 1].endingBalance,
+      isInterestOnly: lines.every(l => l.isInterestOnly)
+    };
+  });
+}
+
+function roundTrancheService(line) {
+  return {
+    ...line,
+    interestPayment: round(line.interestPayment),
+    principalPayment: round(line.principalPayment),
+    totalPayment: round(line.totalPayment),
+    beginningBalance: round(line.beginningBalance),
+    endingBalance: round(line.endingBalance)
+  };
+}
+
+function summarizeTranches(tranches) {
+  return tranches.map(t => ({
+    id: t.id,
+    name: t.name,
+    type: t.type,
+    priority: t.priority,
+    amount: t.amount,
+    rate: t.rate,
+    rateType: t.rateType,
+    ioMonths: t.ioMonths,
+    amortization: t.amortization
+  }));
+}
+
 /**
  * Helper to round numbers
  */
@@ -2078,7 +2897,11 @@ export default {
   compareScenarios,
   sensitivityAnalysis,
   calculateIRR,
+  calculateXIRR,
+  calculateXNPV,
   projectDetailedCashFlows,
+  projectMonthlyCashFlows,
+  rollUpCashFlows,
   calculateSectorMetrics,
   calculateReturns
 };
@@ -0,0 +1,472 @@
+/**
+ * Valuation Marks Service
+ *
+ * Quarterly valuation of a deal for LP reporting:
+ * - Property value from one of three methods: direct capitalization of
+ *   trailing NOI, DCF of the underwriting projection
+ *   (projectDetailedCashFlows), or an appraisal override
+ * - Net equity value after debt, selling costs and other net assets
+ * - Each LP's NAV: the net equity value run through the deal waterfall as a
+ *   hypothetical liquidation at the mark date, after actual distributions
+ * - Mark approval workflow and field-level change history
+ *
+ * Pure functions: callers load the records, this module does the valuation.
+ */
+
+import crypto from 'node:crypto';
+import { projectDetailedCashFlows } from './underwriting-calculator.js';
+import { calculateWaterfall, groupLPsByClassPriority } from './waterfall-calculator.js';
+import { allocateByWeight } from './k1-tax.js';
+
+// ============================================================================
+// LOGGING UTILITIES
+// ============================================================================
+const LOG_PREFIX = "[ValuationMarks]";
+
+function logDebug(message, data = {}) {
+  if (process.env.DEBUG_VALUATION_MARKS === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`${timestamp} ${LOG_PREFIX} DEBUG: ${message}`, JSON.stringify(data, null, 0));
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const VALUATION_METHODS = {
+  DIRECT_CAP: 'DIRECT_CAP',
+  DCF: 'DCF',
+  APPRAISAL: 'APPRAISAL'
+};
+
+export const MARK_STATUSES = {
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  SUPERSEDED: 'SUPERSEDED'
+};
+
+/** Workflow actions and the statuses they are allowed from */
+const TRANSITIONS = {
+  EDIT: { from: [MARK_STATUSES.DRAFT, MARK_STATUSES.REJECTED], to: MARK_STATUSES.DRAFT },
+  SUBMIT: { from: [MARK_STATUSES.DRAFT], to: MARK_STATUSES.SUBMITTED },
+  APPROVE: { from: [MARK_STATUSES.SUBMITTED], to: MARK_STATUSES.APPROVED },
+  REJECT: { from: [MARK_STATUSES.SUBMITTED], to: MARK_STATUSES.REJECTED }
+};
+
+/** Mark fields recorded in the change history */
+export const AUDITED_FIELDS = ['method', 'inputs', 'memo', 'grossAssetValue', 'netEquityValue', 'status'];
+
+export const SELF_APPROVAL_ERROR = 'Cannot approve your own valuation mark - requires another GP/Admin to approve';
+
+const PAID_DISTRIBUTION_STATUSES = ['PAID'];
+
+const MAX_DCF_YEARS = 30;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isRate(value) {
+  return isNumber(value) && value > 0 && value < 1;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+/**
+ * Last moment of a calendar quarter (UTC)
+ */
+export function quarterEndDate(year, quarter) {
+  return new Date(Date.UTC(year, quarter * 3, 0, 23, 59, 59, 999));
+}
+
+// ============================================================================
+// VALIDATION AND WORKFLOW
+// ============================================================================
+
+/**
+ * Validate a mark request
+ *
+ * @param {Object} request - { year, quarter, method, inputs, memo }
+ * @param {Object} options - { partial } skips year/quarter for edits
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateMarkRequest(request = {}, options = {}) {
+  const errors = [];
+  const { year, quarter, method, inputs = {}, memo } = request;
+
+  if (!options.partial) {
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      errors.push('year must be a four-digit year');
+    }
+    if (![1, 2, 3, 4].includes(quarter)) {
+      errors.push('quarter must be 1, 2, 3 or 4');
+    }
+  }
+  if (!Object.values(VALUATION_METHODS).includes(method)) {
+    errors.push(`method must be one of ${Object.values(VALUATION_METHODS).join(', ')}`);
+  }
+  if (memo != null && typeof memo !== 'string') {
+    errors.push('memo must be text');
+  }
+
+  if (method === VALUATION_METHODS.DIRECT_CAP) {
+    if (!isRate(inputs.capRate)) errors.push('capRate must be between 0 and 1');
+    if (inputs.trailingNoi != null && !isNumber(inputs.trailingNoi)) errors.push('trailingNoi must be a number');
+  }
+  if (method === VALUATION_METHODS.DCF) {
+    if (!isRate(inputs.discountRate)) errors.push('discountRate must be between 0 and 1');
+    if (inputs.exitCapRate != null && !isRate(inputs.exitCapRate)) errors.push('exitCapRate must be between 0 and 1');
+    if (inputs.holdYears != null && (!Number.isInteger(inputs.holdYears) || inputs.holdYears < 1 || inputs.holdYears > MAX_DCF_YEARS)) {
+      errors.push(`holdYears must be a whole number between 1 and ${MAX_DCF_YEARS}`);
+    }
+  }
+  if (method === VALUATION_METHODS.APPRAISAL) {
+    if (!isNumber(inputs.appraisedValue) || inputs.appraisedValue <= 0) errors.push('appraisedValue must be a positive number');
+    if (typeof inputs.appraiser !== 'string' || !inputs.appraiser.trim()) errors.push('appraiser is required for an appraisal mark');
+    if (inputs.appraisalDate != null && isNaN(new Date(inputs.appraisalDate).getTime())) errors.push('appraisalDate must be a date');
+  }
+
+  if (inputs.debtBalance != null && (!isNumber(inputs.debtBalance) || inputs.debtBalance < 0)) {
+    errors.push('debtBalance must be a non-negative number');
+  }
+  if (inputs.sellingCostPct != null && (!isNumber(inputs.sellingCostPct) || inputs.sellingCostPct < 0 || inputs.sellingCostPct >= 1)) {
+    errors.push('sellingCostPct must be between 0 and 1');
+  }
+  if (inputs.otherNetAssets != null && !isNumber(inputs.otherNetAssets)) {
+    errors.push('otherNetAssets must be a number');
+  }
+
+  return errors;
+}
+
+/**
+ * Check a workflow action against the mark's status and the acting user
+ *
+ * @param {Object} mark - ValuationMark with status, createdBy, submittedBy, memo
+ * @param {string} action - EDIT, SUBMIT, APPROVE or REJECT
+ * @param {Object} actor - { id }
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function checkTransition(mark, action, actor = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) return `Unknown action ${action}`;
+  if (!transition.from.includes(mark.status)) {
+    return `Cannot ${action.toLowerCase()} a mark with status ${mark.status}`;
+  }
+  if (action === 'SUBMIT' && !mark.memo?.trim()) {
+    return 'A supporting memo is required before submitting';
+  }
+  // Prevent self-approval: the preparer cannot approve their own mark
+  if (action === 'APPROVE' && (actor.id === mark.createdBy || actor.id === mark.submittedBy)) {
+    return SELF_APPROVAL_ERROR;
+  }
+  return null;
+}
+
+export function nextStatus(action) {
+  return TRANSITIONS[action]?.to || null;
+}
+
+/**
+ * Field-level changes between two versions of a mark, for the history log
+ * @returns {Array} [{ field, from, to }]
+ */
+export function diffMark(before = {}, after = {}) {
+  const changes = [];
+  for (const field of AUDITED_FIELDS) {
+    if (!(field in after)) continue;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// ============================================================================
+// PROPERTY VALUATION
+// ============================================================================
+
+/**
+ * Trailing NOI from extracted T12 line items
+ * @returns {Object|null} { noi, revenue, expenses }, or null without T12 data
+ */
+export function trailingNoiFromT12(lineItems = []) {
+  if (lineItems.length === 0) return null;
+  const revenue = lineItems.filter(l => l.category === 'REVENUE').reduce((s, l) => s + (l.annualAmount || 0), 0);
+  const expenses = lineItems.filter(l => l.category === 'EXPENSE').reduce((s, l) => s + (l.annualAmount || 0), 0);
+  return { noi: round2(revenue - expenses), revenue: round2(revenue), expenses: round2(expenses) };
+}
+
+function directCapValue(inputs, context) {
+  const t12 = trailingNoiFromT12(context.t12LineItems);
+  let noi = null;
+  let noiSource = null;
+  if (isNumber(inputs.trailingNoi)) {
+    noi = inputs.trailingNoi;
+    noiSource = 'GP_INPUT';
+  } else if (t12) {
+    noi = t12.noi;
+    noiSource = 'T12';
+  } else if (isNumber(context.model?.netOperatingIncome)) {
+    noi = context.model.netOperatingIncome;
+    noiSource = 'UNDERWRITING';
+  }
+  if (noi === null) {
+    return { error: 'No trailing NOI: enter trailingNoi or load a T12' };
+  }
+
+  return {
+    grossAssetValue: round2(noi / inputs.capRate),
+    details: { trailingNoi: round2(noi), noiSource, capRate: inputs.capRate, t12 }
+  };
+}
+
+/**
+ * DCF: the levered cash flows and reversion of the underwriting projection,
+ * discounted at the equity discount rate. The result is an equity value;
+ * gross value adds back the debt the projection starts from.
+ */
+function dcfValue(inputs, context) {
+  if (!context.modelInputs) {
+    return { error: 'DCF requires an underwriting model for the deal' };
+  }
+  const holdYears = inputs.holdYears || context.modelInputs.holdPeriod || 5;
+  const projection = projectDetailedCashFlows(
+    { ...context.modelInputs, ...(isNumber(inputs.exitCapRate) ? { exitCapRate: inputs.exitCapRate } : {}) },
+    holdYears
+  );
+
+  const rate = inputs.discountRate;
+  const pvCashFlows = projection.years.reduce((sum, y) => sum + y.beforeTaxCashFlow / Math.pow(1 + rate, y.year), 0);
+  const pvReversion = projection.exit.netEquityProceeds / Math.pow(1 + rate, holdYears);
+  const equityValue = pvCashFlows + pvReversion;
+  const debtBalance = isNumber(inputs.debtBalance) ? inputs.debtBalance : (context.modelInputs.loanAmount || 0);
+
+  return {
+    grossAssetValue: round2(equityValue + debtBalance),
+    equityValue: round2(equityValue),
+    details: {
+      holdYears,
+      discountRate: rate,
+      exitCapRate: projection.exit.exitCapRate,
+      exitNOI: projection.exit.exitNOI,
+      grossSalePrice: projection.exit.grossSalePrice,
+      presentValueOfCashFlows: round2(pvCashFlows),
+      presentValueOfReversion: round2(pvReversion)
+    }
+  };
+}
+
+function appraisalValue(inputs) {
+  return {
+    grossAssetValue: round2(inputs.appraisedValue),
+    details: {
+      appraiser: inputs.appraiser,
+      appraisalDate: inputs.appraisalDate || null,
+      reportReference: inputs.reportReference || null
+    }
+  };
+}
+
+/**
+ * Value the deal by the chosen method
+ *
+ * Net equity = gross asset value - debt - selling costs + other net assets.
+ * DCF already nets debt service, payoff and selling costs, so its equity
+ * value is used directly.
+ *
+ * @param {string} method - VALUATION_METHODS key
+ * @param {Object} inputs - Method inputs plus debtBalance, sellingCostPct, otherNetAssets
+ * @param {Object} context - { model, modelInputs, t12LineItems, debtBalance }
+ * @returns {Object} { grossAssetValue, debtBalance, sellingCosts, otherNetAssets, netEquityValue, details } or { error }
+ */
+export function valueProperty(method, inputs = {}, context = {}) {
+  let result;
+  if (method === VALUATION_METHODS.DIRECT_CAP) result = directCapValue(inputs, context);
+  else if (method === VALUATION_METHODS.DCF) result = dcfValue(inputs, context);
+  else if (method === VALUATION_METHODS.APPRAISAL) result = appraisalValue(inputs);
+  else return { error: `Unknown valuation method: ${method}` };
+  if (result.error) return result;
+
+  const otherNetAssets = round2(inputs.otherNetAssets || 0);
+  let debtBalance;
+  let sellingCosts;
+  let netEquityValue;
+  if (method === VALUATION_METHODS.DCF) {
+    debtBalance = round2(result.grossAssetValue - result.equityValue);
+    sellingCosts = 0;
+    netEquityValue = round2(result.equityValue + otherNetAssets);
+  } else {
+    debtBalance = round2(isNumber(inputs.debtBalance) ? inputs.debtBalance : (context.debtBalance || 0));
+    sellingCosts = round2(result.grossAssetValue * (inputs.sellingCostPct || 0));
+    netEquityValue = round2(result.grossAssetValue - debtBalance - sellingCosts + otherNetAssets);
+  }
+
+  logDebug(`Valued property`, { method, grossAssetValue: result.grossAssetValue, netEquityValue });
+
+  return {
+    method,
+    grossAssetValue: result.grossAssetValue,
+    debtBalance,
+    sellingCosts,
+    otherNetAssets,
+    netEquityValue,
+    details: result.details
+  };
+}
+
+// ============================================================================
+// LP NAV
+// ============================================================================
+
+function waterfallParams(structure) {
+  return {
+    lpEquity: structure.lpEquity,
+    gpEquity: structure.gpEquity || 0,
+    preferredReturn: structure.preferredReturn,
+    promoteTiers: structure.promoteTiers,
+    gpCatchUp: structure.gpCatchUp,
+    catchUpPercent: structure.catchUpPercent || 1.0,
+    lookback: structure.lookback || false
+  };
+}
+
+function proRata(amount, lps) {
+  return allocateByWeight(amount, new Map(lps.map(lp => [lp.id, lp.ownershipPct || 0])));
+}
+
+/**
+ * Run the net equity value through the waterfall to get each LP's NAV
+ *
+ * The waterfall replays the deal's paid distributions, then distributes the
+ * net equity value at the mark date as if the deal were liquidated. The LP
+ * and GP shares of that final period are the NAV. Without a waterfall
+ * structure the value is split by ownership.
+ *
+ * @param {Object} params
+ * @param {number} params.netEquityValue - Net equity value of the mark (floored at 0)
+ * @param {Date|string} params.asOfDate - Mark date
+ * @param {Object|null} params.structure - WaterfallStructure row
+ * @param {Array} params.lpActors - LPActors with shareClass
+ * @param {Array} params.capitalCalls - Capital calls with allocations (first funding dates the equity)
+ * @param {Array} params.distributions - Distributions (paid ones before the mark are replayed)
+ * @returns {Object} { method, netEquityValue, lpTotal, gpTotal, byLp, warnings }
+ */
+export function allocateNav({ netEquityValue, asOfDate, structure = null, lpActors = [], capitalCalls = [], distributions = [] }) {
+  const asOf = toDate(asOfDate);
+  const value = Math.max(0, round2(netEquityValue || 0));
+  const lps = lpActors.filter(lp => lp.status === 'ACTIVE');
+  const warnings = [];
+  if (netEquityValue < 0) {
+    warnings.push('Net equity value is negative; LP NAV is floored at zero');
+  }
+
+  const result = (method, lpTotal, gpTotal, navByLp) => ({
+    method,
+    netEquityValue: round2(netEquityValue || 0),
+    lpTotal: round2(lpTotal),
+    gpTotal: round2(gpTotal),
+    byLp: lps.map(lp => ({
+      lpActorId: lp.id,
+      entityName: lp.entityName,
+      shareClassCode: lp.shareClass?.code || 'NONE',
+      nav: navByLp.get(lp.id) || 0
+    })),
+    warnings
+  });
+
+  if (!structure || !(structure.lpEquity > 0)) {
+    return result('PRO_RATA', value, 0, proRata(value, lps));
+  }
+
+  const history = distributions
+    .filter(d => PAID_DISTRIBUTION_STATUSES.includes(d.status) && toDate(d.distributionDate) <= asOf && d.totalAmount > 0)
+    .sort((a, b) => toDate(a.distributionDate) - toDate(b.distributionDate));
+  const fundingDates = capitalCalls
+    .filter(call => call.status !== 'CANCELLED')
+    .flatMap(call => (call.allocations || [])
+      .filter(a => a.fundedAmount > 0)
+      .map(a => toDate(a.fundedAt || call.dueDate)))
+    .filter(d => d && d <= asOf)
+    .sort((a, b) => a - b);
+
+  const cashFlows = [...history.map(d => d.totalAmount), value];
+  const options = fundingDates.length > 0
+    ? { dates: [fundingDates[0], ...history.map(d => toDate(d.distributionDate)), asOf] }
+    : {};
+
+  const lpOwnership = lps.map(lp => ({
+    lpActorId: lp.id,
+    entityName: lp.entityName,
+    ownershipPct: lp.ownershipPct || 0,
+    commitment: lp.commitment || 0,
+    shareClass: lp.shareClass
+  }));
+  const perClassConfig = groupLPsByClassPriority(lpOwnership);
+  const hasClassTerms = perClassConfig.size > 1 ||
+    [...perClassConfig.values()].some(c => c.class.preferredReturn !== null && c.class.preferredReturn !== undefined);
+  if (structure.usePerClassWaterfall === true && hasClassTerms) {
+    options.useClassTerms = true;
+    options.perClassConfig = perClassConfig;
+  }
+
+  const waterfall = calculateWaterfall(cashFlows, waterfallParams(structure), options);
+  if (waterfall.error) {
+    warnings.push(`Waterfall failed (${waterfall.error}); NAV split by ownership`);
+    return result('PRO_RATA', value, 0, proRata(value, lps));
+  }
+
+  const terminal = waterfall.yearlyDistributions[waterfall.yearlyDistributions.length - 1];
+  const navByLp = new Map();
+  if (options.useClassTerms && terminal.byClass) {
+    for (const group of perClassConfig.values()) {
+      const classTotal = terminal.byClass[group.class.code]?.total || 0;
+      const members = lps.filter(lp => group.lps.some(m => m.lpActorId === lp.id));
+      for (const [id, nav] of proRata(classTotal, members)) navByLp.set(id, nav);
+    }
+    logDebug(`NAV allocated per class`, { classes: Object.keys(terminal.byClass) });
+    return result('WATERFALL_PER_CLASS', terminal.lpShare, terminal.gpShare, navByLp);
+  }
+
+  for (const [id, nav] of proRata(terminal.lpShare, lps)) navByLp.set(id, nav);
+  logDebug(`NAV allocated`, { lpTotal: terminal.lpShare, gpTotal: terminal.gpShare, replayed: history.length });
+  return result('WATERFALL', terminal.lpShare, terminal.gpShare, navByLp);
+}
+
+/**
+ * Stable hash of an approved NAV allocation
+ */
+export function hashNav(nav) {
+  return crypto.createHash('sha256').update(JSON.stringify(nav)).digest('hex');
+}
+
+export default {
+  VALUATION_METHODS,
+  MARK_STATUSES,
+  AUDITED_FIELDS,
+  SELF_APPROVAL_ERROR,
+  quarterEndDate,
+  validateMarkRequest,
+  checkTransition,
+  nextStatus,
+  diffMark,
+  trailingNoiFromT12,
+  valueProperty,
+  allocateNav,
+  hashNav
+};
@@ -9,7 +9,7 @@
  * - Per-class waterfall calculations (different terms per share class)
  */
 
-import { calculateIRR } from './underwriting-calculator.js';
+import { calculateIRR, calculateXIRR } from './underwriting-calculator.js';
 
 // ============================================================================
 // LOGGING UTILITIES
@@ -42,6 +42,34 @@ function logWarn(message, data = {}) {
   console.warn(`${timestamp} ${LOG_PREFIX} WARN: ${message}`, JSON.stringify(data, null, 0));
 }
 
+// ============================================================================
+// DATED CASH FLOWS
+// ============================================================================
+
+/**
+ * Resolve the dates for a waterfall run. options.dates must hold the equity
+ * contribution date followed by one date per cash flow; anything else falls
+ * back to evenly spaced annual periods.
+ */
+function resolveFlowDates(cashFlows, options = {}) {
+  const { dates } = options;
+  if (!Array.isArray(dates)) return null;
+  if (dates.length !== cashFlows.length + 1 || dates.some(d => isNaN(new Date(d).getTime()))) {
+    logWarn(`Ignoring cash flow dates`, { dateCount: dates.length, cashFlowCount: cashFlows.length });
+    return null;
+  }
+  return dates;
+}
+
+/**
+ * IRR for one side of the waterfall: XIRR when dates are known, otherwise
+ * the periodic IRR. flows[i] is paired with dates[i].
+ */
+function participantIRR(flows, dates) {
+  if (!dates) return calculateIRR(flows);
+  return calculateXIRR(flows.map((amount, i) => ({ date: dates[i], amount })));
+}
+
 // ============================================================================
 // PER-CLASS WATERFALL HELPER FUNCTIONS
 // ============================================================================
@@ -262,9 +290,11 @@ export function getEffectivePreferredReturn(classConfig, dealLevelPref) {
  * @param {Array<number>} cashFlows - Array of cash flows by year
  * @param {Object} structure - Deal-level waterfall structure
  * @param {Map<number, Object>} perClassConfig - Map from groupLPsByClassPriority
+ * @param {Array<number>|null} dates - Flow dates for XIRR, or null for periodic IRR
+ * @param {Object} [modeConfig] - { mode, capitalEvents } from resolveWaterfallMode/resolveCapitalEvents
  * @returns {Object} Waterfall distribution results with per-class breakdown
  */
-function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
+function calculatePerClassWaterfall(cashFlows, structure, perClassConfig, dates = null, modeConfig = null) {
   const {
     lpEquity,
     gpEquity,
@@ -306,6 +336,10 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
 
   // Use the larger of totalLPCapital or lpEquity (for consistency)
   const effectiveLPCapital = Math.max(totalLPCapital, lpEquity) || lpEquity;
+  const gpOwnership = totalEquity > 0 ? gpEquity / totalEquity : 0;
+
+  const mode = modeConfig?.mode || WATERFALL_MODES.EUROPEAN;
+  const capitalEvents = modeConfig?.capitalEvents || new Set([cashFlows.length - 1]);
 
   // Parse promote tiers if string
   let tiers = promoteTiers;
@@ -361,6 +395,7 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
     let remaining = cashFlows[year];
     let totalLpShare = 0;
     let gpShare = 0;
+    let promotePaid = 0;
     const yearClassAlloc = new Map(); // Track this year's per-class distributions
 
     log(`Year ${year + 1} starting`, { cashFlow: remaining });
@@ -391,8 +426,9 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
 
     // ========================================================================
     // PHASE 1: RETURN OF CAPITAL (by class priority)
+    // Deal-by-deal waterfalls only return capital out of capital events
     // ========================================================================
-    if (remaining > 0) {
+    if (remaining > 0 && (mode === WATERFALL_MODES.EUROPEAN || capitalEvents.has(year))) {
       log(`Year ${year + 1} ROC phase starting`, { remaining });
 
       for (const [priority, state] of classState) {
@@ -502,6 +538,7 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
           const catchUpPayment = Math.min(remaining, gpNeedsCatchUp * catchUpPercent);
           gpShare += catchUpPayment;
           gpCatchUpPaid += catchUpPayment;
+          promotePaid += catchUpPayment * (1 - gpOwnership);
           remaining -= catchUpPayment;
 
           logDebug(`Year ${year + 1} GP Catch-up`, {
@@ -530,7 +567,7 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
     if (remaining > 0) {
       // Calculate current IRR to determine which tier
       const tempLpCashFlows = [...lpCashFlows, totalLpShare + remaining * 0.5]; // Estimate
-      const currentIRR = calculateIRR(tempLpCashFlows);
+      const currentIRR = participantIRR(tempLpCashFlows, dates);
 
       // Find applicable tier (handle empty tiers array)
       let applicableTier = tiers && tiers.length > 0
@@ -571,6 +608,7 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
 
       totalLpShare += lpPromote;
       gpShare += gpPromote;
+      promotePaid += remaining * (applicableTier.gpSplit - gpOwnership);
       remaining = 0;
 
       logDebug(`Year ${year + 1} Promote distributed`, {
@@ -589,6 +627,8 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
       cashFlow: cashFlows[year],
       lpShare: totalLpShare,
       gpShare,
+      promotePaid,
+      cumulativePromotePaid: yearlyDistributions.reduce((sum, d) => sum + d.promotePaid, 0) + promotePaid,
       byClass: Object.fromEntries(
         Array.from(yearClassAlloc.entries()).map(([priority, alloc]) => {
           const state = classState.get(priority);
@@ -628,8 +668,8 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
   const gpTotalReturn = yearlyDistributions.reduce((sum, d) => sum + d.gpShare, 0);
 
   // IRRs
-  const lpIRR = calculateIRR(lpCashFlows);
-  const gpIRR = calculateIRR(gpCashFlows);
+  const lpIRR = participantIRR(lpCashFlows, dates);
+  const gpIRR = participantIRR(gpCashFlows, dates);
 
   // Equity multiples
   const lpEquityMultiple = effectiveLPCapital > 0 ? lpTotalReturn / effectiveLPCapital : 0;
@@ -697,7 +737,9 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
       lpCapitalReturned: Array.from(classState.values()).reduce((sum, s) => sum + s.capitalReturned, 0),
       gpCapitalReturned,
       lpPrefPaid: Array.from(classState.values()).reduce((sum, s) => sum + s.prefPaid, 0),
-      gpCatchUpPaid
+      gpCatchUpPaid,
+      waterfallMode: mode,
+      irrMethod: dates ? 'XIRR' : 'IRR'
     },
     byClass: classSummary,
     structure: {
@@ -708,6 +750,7 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
       gpCatchUp,
       catchUpPercent,
       lookback,
+      waterfallMode: mode,
       perClassTerms: Object.fromEntries(
         Array.from(classState.entries()).map(([priority, state]) => [
           state.classCode,
@@ -719,6 +762,172 @@ function calculatePerClassWaterfall(cashFlows, structure, perClassConfig) {
   };
 }
 
+// ============================================================================
+// WATERFALL MODE AND CLAWBACK
+// ============================================================================
+
+/**
+ * Distribution modes.
+ * EUROPEAN: whole-fund - all capital and pref come back before any promote.
+ * AMERICAN: deal-by-deal - interim cash pays pref and promote, capital comes
+ * back at capital events, and the GP settles a clawback/true-up at liquidation.
+ */
+export const WATERFALL_MODES = {
+  EUROPEAN: 'EUROPEAN',
+  AMERICAN: 'AMERICAN'
+};
+
+function resolveWaterfallMode(structure) {
+  const mode = String(structure.waterfallMode || WATERFALL_MODES.EUROPEAN).toUpperCase();
+  if (!WATERFALL_MODES[mode]) {
+    logWarn(`Unknown waterfall mode, using EUROPEAN`, { waterfallMode: structure.waterfallMode });
+    return WATERFALL_MODES.EUROPEAN;
+  }
+  return mode;
+}
+
+/**
+ * Zero-based indexes of the periods that return capital in AMERICAN mode.
+ * Defaults to the final period (sale).
+ */
+function resolveCapitalEvents(cashFlows, options = {}) {
+  const periods = Array.isArray(options.capitalEventPeriods) && options.capitalEventPeriods.length > 0
+    ? options.capitalEventPeriods
+    : [cashFlows.length];
+  return new Set(periods.map(p => p - 1));
+}
+
+/**
+ * Normalize GP promote recipients. Promote shares are rescaled to sum to 1;
+ * without entities the whole promote goes to a single General Partner.
+ *
+ * @param {Array<Object>} [entities] - [{ id, name, promoteShare, taxRate }]
+ * @param {number} [defaultTaxRate=0] - Tax rate for entities that don't set one
+ * @returns {Array<Object>} Normalized entities
+ */
+export function normalizeGpEntities(entities, defaultTaxRate = 0) {
+  if (!Array.isArray(entities) || entities.length === 0) {
+    return [{ id: 'GP', name: 'General Partner', promoteShare: 1, taxRate: defaultTaxRate }];
+  }
+
+  const totalShare = entities.reduce((sum, e) => sum + Math.max(0, e.promoteShare || 0), 0);
+
+  return entities.map((entity, i) => {
+    const id = entity.id || `gp-${i + 1}`;
+    return {
+      id,
+      name: entity.name || id,
+      promoteShare: totalShare > 0
+        ? Math.max(0, entity.promoteShare || 0) / totalShare
+        : 1 / entities.length,
+      taxRate: entity.taxRate ?? defaultTaxRate
+    };
+  });
+}
+
+/**
+ * Compare promote paid on interim distributions with promote earned at final
+ * liquidation and build the clawback/true-up schedule per GP entity.
+ *
+ * Excess promote is clawed back net of the taxes each entity already paid on
+ * it; a shortfall is a true-up owed to the GP.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.yearlyDistributions - Distributions with promotePaid per period
+ * @param {number} params.promoteEarned - Promote under the whole-fund (European) waterfall
+ * @param {Array<Object>} [params.gpEntities] - GP promote recipients
+ * @param {number} [params.gpTaxRate=0] - Default tax rate for GP entities
+ * @returns {Object} Clawback result with byEntity and schedule
+ */
+export function calculateClawback({ yearlyDistributions, promoteEarned, gpEntities, gpTaxRate = 0 }) {
+  const entities = normalizeGpEntities(gpEntities, gpTaxRate);
+  const promotePaid = yearlyDistributions.reduce((sum, d) => sum + (d.promotePaid || 0), 0);
+
+  const byEntity = entities.map(entity => {
+    const paid = promotePaid * entity.promoteShare;
+    const earned = promoteEarned * entity.promoteShare;
+    const excess = Math.max(0, paid - earned);
+    const taxesPaid = excess * entity.taxRate;
+
+    return {
+      ...entity,
+      promotePaid: paid,
+      promoteEarned: earned,
+      excessPromote: excess,
+      taxesPaid,
+      clawbackDue: excess - taxesPaid,
+      trueUpDue: Math.max(0, earned - paid)
+    };
+  });
+
+  let cumulative = 0;
+  const schedule = yearlyDistributions.map(d => {
+    cumulative += d.promotePaid || 0;
+    return {
+      year: d.year,
+      promotePaid: d.promotePaid || 0,
+      cumulativePromotePaid: cumulative,
+      byEntity: Object.fromEntries(byEntity.map(e => [e.id, (d.promotePaid || 0) * e.promoteShare]))
+    };
+  });
+
+  const sum = (field) => byEntity.reduce((total, e) => total + e[field], 0);
+
+  return {
+    promotePaid,
+    promoteEarned,
+    excessPromote: sum('excessPromote'),
+    taxesPaid: sum('taxesPaid'),
+    clawbackDue: sum('clawbackDue'),
+    trueUpDue: sum('trueUpDue'),
+    byEntity,
+    schedule
+  };
+}
+
+/**
+ * Attach the clawback/true-up to an AMERICAN result by re-running the same
+ * cash flows through the whole-fund waterfall to get the promote earned.
+ */
+function attachClawback(result, cashFlows, structure, options) {
+  if (result.summary.waterfallMode !== WATERFALL_MODES.AMERICAN) {
+    result.clawback = null;
+    return result;
+  }
+
+  const european = calculateWaterfall(
+    cashFlows,
+    { ...structure, waterfallMode: WATERFALL_MODES.EUROPEAN },
+    options
+  );
+  const promoteEarned = european.yearlyDistributions.reduce((sum, d) => sum + d.promotePaid, 0);
+
+  const clawback = calculateClawback({
+    yearlyDistributions: result.yearlyDistributions,
+    promoteEarned,
+    gpEntities: structure.gpEntities,
+    gpTaxRate: structure.gpTaxRate || 0
+  });
+  const settlement = clawback.clawbackDue - clawback.trueUpDue;
+
+  result.clawback = {
+    ...clawback,
+    adjustedLpReturn: result.summary.lpTotalReturn + settlement,
+    adjustedGpReturn: result.summary.gpTotalReturn - settlement,
+    europeanLpIRR: european.summary.lpIRR,
+    europeanGpIRR: european.summary.gpIRR
+  };
+
+  log(`Clawback calculated`, {
+    promotePaid: clawback.promotePaid,
+    promoteEarned,
+    clawbackDue: clawback.clawbackDue,
+    trueUpDue: clawback.trueUpDue
+  });
+
+  return result;
+}
+
 /**
  * Default waterfall structure if none provided
  * Updated with 2025 industry standards based on institutional research
@@ -890,6 +1099,15 @@ export const WATERFALL_TEMPLATES = {
  * @param {boolean} params.structure.gpCatchUp - Whether GP catches up after pref
  * @param {number} params.structure.catchUpPercent - Percentage to GP during catch-up
  * @param {boolean} params.structure.lookback - Whether to apply lookback provision
+ * @param {string} [params.structure.waterfallMode] - 'EUROPEAN' (whole-fund, default) or
+ *   'AMERICAN' (deal-by-deal, with a clawback/true-up against the European result)
+ * @param {Array<Object>} [params.structure.gpEntities] - [{ id, name, promoteShare, taxRate }]
+ * @param {number} [params.structure.gpTaxRate] - Default tax rate for GP entities
+ * @param {Object} [options]
+ * @param {Array<string|Date>} [options.dates] - Equity date followed by one date per cash flow;
+ *   when present, LP/GP IRRs (and promote hurdles) use XIRR on the actual dates
+ * @param {Array<number>} [options.capitalEventPeriods] - 1-based periods that return capital
+ *   in AMERICAN mode (sale, refinance); defaults to the final period
  * @returns {Object} Waterfall distribution results
  */
 export function calculateWaterfall(cashFlows, structure, options = {}) {
@@ -926,6 +1144,10 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
     return { error: 'Cash flows must be a non-empty array' };
   }
 
+  const dates = resolveFlowDates(cashFlows, options);
+  const mode = resolveWaterfallMode(structure);
+  const capitalEvents = resolveCapitalEvents(cashFlows, options);
+
   const totalEquity = lpEquity + gpEquity;
   const lpOwnership = lpEquity / totalEquity;
   const gpOwnership = gpEquity / totalEquity;
@@ -942,7 +1164,10 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
       classCount: options.perClassConfig.size || Object.keys(options.perClassConfig).length,
       useClassTerms: true
     });
-    return calculatePerClassWaterfall(cashFlows, structure, options.perClassConfig);
+    const perClassResult = calculatePerClassWaterfall(
+      cashFlows, structure, options.perClassConfig, dates, { mode, capitalEvents }
+    );
+    return attachClawback(perClassResult, cashFlows, structure, options);
   }
 
   // ==========================================================================
@@ -981,6 +1206,7 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
     let remaining = cashFlows[year];
     let lpShare = 0;
     let gpShare = 0;
+    let promotePaid = 0;
 
     logDebug(`Year ${year + 1} starting`, { cashFlow: cashFlows[year], remaining });
 
@@ -988,8 +1214,10 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
     const lpUnreturnedCapital = Math.max(0, lpEquity - lpCapitalReturned);
     lpPrefAccrued += lpUnreturnedCapital * preferredReturn;
 
-    // Step 1: Return of capital (pari passu based on ownership)
-    if (lpCapitalReturned < lpEquity || gpCapitalReturned < gpEquity) {
+    // Step 1: Return of capital (pari passu based on ownership). Deal-by-deal
+    // waterfalls only return capital out of capital events
+    const returnsCapital = mode === WATERFALL_MODES.EUROPEAN || capitalEvents.has(year);
+    if (returnsCapital && (lpCapitalReturned < lpEquity || gpCapitalReturned < gpEquity)) {
       const lpCapitalNeeded = Math.max(0, lpEquity - lpCapitalReturned);
       const gpCapitalNeeded = Math.max(0, gpEquity - gpCapitalReturned);
       const totalCapitalNeeded = lpCapitalNeeded + gpCapitalNeeded;
@@ -1050,6 +1278,7 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
         const catchUpPayment = Math.min(remaining, gpNeedsCatchUp * catchUpPercent);
         gpShare += catchUpPayment;
         gpCatchUpPaid += catchUpPayment;
+        promotePaid += catchUpPayment * (1 - gpOwnership);
         remaining -= catchUpPayment;
 
         logDebug(`Year ${year + 1} GP Catch-up phase`, {
@@ -1074,7 +1303,7 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
     if (remaining > 0) {
       // Calculate current IRR to determine which tier we're in
       const tempLpCashFlows = [...lpCashFlows, lpShare + remaining * lpOwnership];
-      const currentIRR = calculateIRR(tempLpCashFlows);
+      const currentIRR = participantIRR(tempLpCashFlows, dates);
 
       // Find the appropriate tier (handle empty tiers array)
       let applicableTier = tiers && tiers.length > 0
@@ -1098,6 +1327,7 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
       // Distribute remaining according to tier split
       lpShare += remaining * applicableTier.lpSplit;
       gpShare += remaining * applicableTier.gpSplit;
+      promotePaid += remaining * (applicableTier.gpSplit - gpOwnership);
       remaining = 0;
     }
 
@@ -1113,6 +1343,8 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
       lpPrefAccrued,
       gpCatchUpPaid,
       inCatchUp,
+      promotePaid,
+      cumulativePromotePaid: yearlyDistributions.reduce((sum, d) => sum + d.promotePaid, 0) + promotePaid,
       cumulativeLp: yearlyDistributions.reduce((sum, d) => sum + d.lpShare, 0) + lpShare,
       cumulativeGp: yearlyDistributions.reduce((sum, d) => sum + d.gpShare, 0) + gpShare
     });
@@ -1133,8 +1365,8 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
   const lpTotalReturn = yearlyDistributions.reduce((sum, d) => sum + d.lpShare, 0);
   const gpTotalReturn = yearlyDistributions.reduce((sum, d) => sum + d.gpShare, 0);
 
-  const lpIRR = calculateIRR(lpCashFlows);
-  const gpIRR = calculateIRR(gpCashFlows);
+  const lpIRR = participantIRR(lpCashFlows, dates);
+  const gpIRR = participantIRR(gpCashFlows, dates);
 
   const lpEquityMultiple = lpEquity > 0 ? lpTotalReturn / lpEquity : 0;
   const gpEquityMultiple = gpEquity > 0 ? gpTotalReturn / gpEquity : 0;
@@ -1173,7 +1405,7 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
     hasLookback: !!lookbackAdjustment
   });
 
-  return {
+  return attachClawback({
     yearlyDistributions,
     summary: {
       lpIRR,
@@ -1186,7 +1418,9 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
       lpCapitalReturned,
       gpCapitalReturned,
       lpPrefPaid,
-      gpCatchUpPaid
+      gpCatchUpPaid,
+      waterfallMode: mode,
+      irrMethod: dates ? 'XIRR' : 'IRR'
     },
     structure: {
       lpEquity,
@@ -1195,10 +1429,11 @@ export function calculateWaterfall(cashFlows, structure, options = {}) {
       promoteTiers: tiers,
       gpCatchUp,
       catchUpPercent,
-      lookback
+      lookback,
+      waterfallMode: mode
     },
     lookbackAdjustment
-  };
+  }, cashFlows, structure, options);
 }
 
 /**
@@ -1230,7 +1465,7 @@ export function formatWaterfallForDisplay(results) {
     return { error: results.error };
   }
 
-  const { yearlyDistributions, summary, structure, lookbackAdjustment } = results;
+  const { yearlyDistributions, summary, structure, lookbackAdjustment, clawback } = results;
 
   // Format yearly distributions
   const formattedDistributions = yearlyDistributions.map(d => ({
@@ -1241,7 +1476,8 @@ export function formatWaterfallForDisplay(results) {
     lpPercent: d.cashFlow > 0 ? (d.lpShare / d.cashFlow * 100).toFixed(1) + '%' : '—',
     gpPercent: d.cashFlow > 0 ? (d.gpShare / d.cashFlow * 100).toFixed(1) + '%' : '—',
     cumulativeLp: d.cumulativeLp,
-    cumulativeGp: d.cumulativeGp
+    cumulativeGp: d.cumulativeGp,
+    promotePaid: d.promotePaid
   }));
 
   // Format summary
@@ -1252,7 +1488,9 @@ export function formatWaterfallForDisplay(results) {
     gpEquityMultiple: summary.gpEquityMultiple.toFixed(2) + 'x',
     lpTotalReturn: formatCurrency(summary.lpTotalReturn),
     gpTotalReturn: formatCurrency(summary.gpTotalReturn),
-    totalPromote: formatCurrency(summary.totalPromote)
+    totalPromote: formatCurrency(summary.totalPromote),
+    waterfallMode: summary.waterfallMode,
+    irrMethod: summary.irrMethod
   };
 
   // Format structure
@@ -1265,6 +1503,9 @@ export function formatWaterfallForDisplay(results) {
     preferredReturn: (structure.preferredReturn * 100).toFixed(1) + '%',
     gpCatchUp: structure.gpCatchUp ? 'Yes' : 'No',
     lookback: structure.lookback ? 'Yes' : 'No',
+    waterfallMode: structure.waterfallMode === WATERFALL_MODES.AMERICAN
+      ? 'American (deal-by-deal)'
+      : 'European (whole-fund)',
     promoteTiers: structure.promoteTiers.map(t => ({
       hurdle: t.hurdle === Infinity ? 'Above' : (t.hurdle * 100).toFixed(0) + '%',
       lpSplit: (t.lpSplit * 100).toFixed(0) + '%',
@@ -1282,6 +1523,25 @@ export function formatWaterfallForDisplay(results) {
       adjustedLpReturn: formatCurrency(lookbackAdjustment.adjustedLpReturn),
       adjustedGpReturn: formatCurrency(lookbackAdjustment.adjustedGpReturn)
     } : null,
+    clawback: clawback ? {
+      promotePaid: formatCurrency(clawback.promotePaid),
+      promoteEarned: formatCurrency(clawback.promoteEarned),
+      clawbackDue: formatCurrency(clawback.clawbackDue),
+      trueUpDue: formatCurrency(clawback.trueUpDue),
+      adjustedLpReturn: formatCurrency(clawback.adjustedLpReturn),
+      adjustedGpReturn: formatCurrency(clawback.adjustedGpReturn),
+      byEntity: clawback.byEntity.map(e => ({
+        id: e.id,
+        name: e.name,
+        promoteShare: (e.promoteShare * 100).toFixed(1) + '%',
+        taxRate: (e.taxRate * 100).toFixed(1) + '%',
+        promotePaid: formatCurrency(e.promotePaid),
+        promoteEarned: formatCurrency(e.promoteEarned),
+        taxesPaid: formatCurrency(e.taxesPaid),
+        clawbackDue: formatCurrency(e.clawbackDue),
+        trueUpDue: formatCurrency(e.trueUpDue)
+      }))
+    } : null,
     raw: results // Include raw data for charts
   };
 }
@@ -1329,6 +1589,9 @@ export default {
   compareWaterfallScenarios,
   DEFAULT_WATERFALL_STRUCTURE,
   WATERFALL_TEMPLATES,
+  WATERFALL_MODES,
+  normalizeGpEntities,
+  calculateClawback,
   // Per-class helper functions
   groupLPsByClassPriority,
   calculateClassPreferred,
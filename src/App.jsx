@@ -8,6 +8,7 @@ import PageNotFound from './lib/PageNotFound';
 import { AuthProvider, useAuth } from '@/lib/AuthContext';
 import UserNotRegisteredError from '@/components/UserNotRegisteredError';
 import LenderPortal from './pages/LenderPortal';
+import MarketingRoomPortal, { MarketingRoomRequest } from './pages/MarketingRoomPortal';
 import LPPortalAuth from './pages/LPPortalAuth';
 import LPInvestmentDetailAuth from './pages/LPInvestmentDetailAuth';
 // New LP Portal pages
@@ -19,6 +20,10 @@ import LPDistributions from './pages/lp/LPDistributions';
 import LPDistributionDetail from './pages/lp/LPDistributionDetail';
 import LPUpdates from './pages/lp/LPUpdates';
 import LPUpdateDetail from './pages/lp/LPUpdateDetail';
+import LPIssueDetail from './pages/lp/LPIssueDetail';
+import LPSubscription from './pages/lp/LPSubscription';
+import LPConsents from './pages/lp/LPConsents';
+import LPPaymentDetails from './pages/lp/LPPaymentDetails';
 import ApiErrorOverlay from '@/components/dev/ApiErrorOverlay';
 import ErrorBoundary from '@/components/ErrorBoundary';
 
@@ -47,6 +52,10 @@ const LPUserApp = () => {
       <Route path="/investments/:dealId/distributions/:distributionId" element={<LPDistributionDetail />} />
       <Route path="/investments/:dealId/updates" element={<LPUpdates />} />
       <Route path="/investments/:dealId/updates/:updateId" element={<LPUpdateDetail />} />
+      <Route path="/investments/:dealId/issues/:issueId" element={<LPIssueDetail />} />
+      <Route path="/subscriptions/:dealId" element={<LPSubscription />} />
+      <Route path="/consents" element={<LPConsents />} />
+      <Route path="/account/payment" element={<LPPaymentDetails />} />
 
       {/* Legacy routes - redirect to new pages */}
       <Route path="/LPPortal" element={<Navigate to="/" replace />} />
@@ -128,6 +137,22 @@ function App() {
                 </ErrorBoundary>
               }
             />
+            <Route
+              path="/portal/marketing"
+              element={
+                <ErrorBoundary>
+                  <MarketingRoomPortal />
+                </ErrorBoundary>
+              }
+            />
+            <Route
+              path="/portal/marketing/:roomId/request"
+              element={
+                <ErrorBoundary>
+                  <MarketingRoomRequest />
+                </ErrorBoundary>
+              }
+            />
             {/* All other routes require auth */}
             <Route path="*" element={<AuthenticatedApp />} />
           </Routes>
@@ -195,6 +195,8 @@ export default function Layout({ children, currentPageName }) {
         { name: 'Capital Calls', href: 'CapitalCalls', icon: LayoutDashboard },
         { name: 'Distributions', href: 'Distributions', icon: LayoutDashboard },
         { name: 'Investor Updates', href: 'InvestorUpdates', icon: LayoutDashboard },
+        { name: 'Deal Issues', href: 'DealIssues', icon: LayoutDashboard },
+        { name: 'Marketing Room', href: 'MarketingRoom', icon: LayoutDashboard },
         { name: 'Lifecycle', href: 'Lifecycle', icon: GitBranch },
         { name: 'Traceability', href: 'Traceability', icon: Search },
         { name: 'Explain', href: 'Explain', icon: MessageSquare },
@@ -144,6 +144,86 @@ async function requestJson(path, options = {}) {
   return data;
 }
 
+/**
+ * POST a JSON body and read a server-sent event reply.
+ * Calls onEvent(event, data) for every event and resolves with the `done`
+ * payload; an `error` event rejects. Failures before the stream opens
+ * (auth, rate limit, consent) arrive as JSON and reject like requestJson.
+ *
+ * @param {string} path
+ * @param {Object} body
+ * @param {{ onEvent?: Function, signal?: AbortSignal }} [handlers]
+ */
+async function requestEventStream(path, body, { onEvent, signal } = {}) {
+  const authToken = getAuthToken();
+  const headers = {
+    "Content-Type": "application/json",
+    Accept: "text/event-stream"
+  };
+  if (authToken) {
+    headers["Authorization"] = `Bearer ${authToken}`;
+  }
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.headers.get("content-type")?.includes("text/event-stream")) {
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = text;
+    }
+    if (!response.ok) {
+      const error = Object.assign(
+        new Error(data?.message || data?.error || `Request failed (${response.status})`),
+        { status: response.status, data }
+      );
+      debugLog("bff", "Stream request failed", { path, status: response.status, message: error.message });
+      throw error;
+    }
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let result = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const dataLines = [];
+      block.split("\n").forEach(line => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+      });
+      const data = dataLines.length > 0 ? JSON.parse(dataLines.join("\n")) : null;
+
+      if (event === "error") {
+        throw Object.assign(new Error(data?.message || "Stream failed"), { data });
+      }
+      if (event === "done") result = data;
+      onEvent?.(event, data);
+    }
+  }
+
+  return result;
+}
+
 function buildQuery(params = {}) {
   const search = new URLSearchParams();
   Object.entries(params).forEach(([key, value]) => {
@@ -1268,6 +1348,10 @@ export const bff = {
       });
       return data;
     },
+    // Same as ask, with the answer delivered through onEvent('delta', { text })
+    askStream: async ({ question, conversationId, dealId }, handlers = {}) => {
+      return requestEventStream("/ai-assistant/ask", { question, conversationId, dealId }, handlers);
+    },
     getSuggestions: async () => {
       const data = await requestJson("/ai-assistant/suggestions");
       return data;
@@ -1412,19 +1496,82 @@ export const bff = {
       return data;
     },
 
-    // Year-by-Year Cash Flows
-    getCashFlows: async (dealId, years = null) => {
-      const params = years ? `?years=${years}` : '';
-      const data = await requestJson(`/deals/${dealId}/underwriting/cash-flows${params}`);
+    // Cash Flows (granularity: 'annual' | 'quarterly' | 'monthly')
+    getCashFlows: async (dealId, years = null, granularity = 'annual') => {
+      const params = new URLSearchParams();
+      if (years) params.set('years', years);
+      if (granularity && granularity !== 'annual') params.set('granularity', granularity);
+      const query = params.toString() ? `?${params.toString()}` : '';
+      const data = await requestJson(`/deals/${dealId}/underwriting/cash-flows${query}`);
       return data;
     },
-    getScenarioCashFlows: async (dealId, assumptions) => {
+    getScenarioCashFlows: async (dealId, assumptions, granularity = 'annual') => {
       const data = await requestJson(`/deals/${dealId}/underwriting/cash-flows/scenario`, {
         method: "POST",
+        body: JSON.stringify({ assumptions, granularity })
+      });
+      return data;
+    },
+
+    // Debt Stack (ordered tranches; unsized tranches are sized by their covenants)
+    getDebtStack: async (dealId) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/debt-stack`);
+      return data;
+    },
+    updateDebtStack: async (dealId, { tranches, indexRates, noi }) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/debt-stack`, {
+        method: "PUT",
+        body: JSON.stringify({ tranches, indexRates, noi })
+      });
+      return data;
+    },
+
+    // Floating Rate (index + spread, forward curve, cap / swap, rate-path stress test)
+    getFloatingRate: async (dealId) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/floating-rate`);
+      return data;
+    },
+    updateFloatingRate: async (dealId, { terms, forwardCurveCsv, forwardCurveRateUnit }) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/floating-rate`, {
+        method: "PUT",
+        body: JSON.stringify({ terms, forwardCurveCsv, forwardCurveRateUnit })
+      });
+      return data;
+    },
+
+    // Lease-by-Lease (commercial rent roll: rollover, recoveries, TI/LC)
+    getLeaseCashFlows: async (dealId, years = null) => {
+      const query = years ? `?years=${years}` : '';
+      const data = await requestJson(`/deals/${dealId}/underwriting/lease-cash-flows${query}`);
+      return data;
+    },
+    updateLeasingAssumptions: async (dealId, assumptions) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/leasing-assumptions`, {
+        method: "PUT",
         body: JSON.stringify({ assumptions })
       });
       return data;
     },
+    updateLeaseTerms: async (dealId, unitId, leaseTerms) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/rent-roll/${unitId}/lease-terms`, {
+        method: "PUT",
+        body: JSON.stringify({ leaseTerms })
+      });
+      return data;
+    },
+
+    // Development Budget
+    getDevelopmentBudget: async (dealId) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/development`);
+      return data;
+    },
+    updateDevelopmentBudget: async (dealId, budget) => {
+      const data = await requestJson(`/deals/${dealId}/underwriting/development`, {
+        method: "PUT",
+        body: JSON.stringify({ budget })
+      });
+      return data;
+    },
 
     // Input Provenance
     getInputProvenance: async (dealId) => {
@@ -1455,10 +1602,10 @@ export const bff = {
       });
       return data;
     },
-    calculateWaterfall: async (dealId, scenarioId = null) => {
+    calculateWaterfall: async (dealId, scenarioId = null, options = {}) => {
       const data = await requestJson(`/deals/${dealId}/waterfall/calculate`, {
         method: "POST",
-        body: JSON.stringify({ scenarioId })
+        body: JSON.stringify({ scenarioId, ...options })
       });
       return data;
     },
@@ -1501,6 +1648,33 @@ export const bff = {
       });
       return data;
     },
+    optimizeExitPlan: async (dealId, options) => {
+      const data = await requestJson(`/deals/${dealId}/sensitivity/exit-optimizer`, {
+        method: "POST",
+        body: JSON.stringify(options || {})
+      });
+      return data;
+    },
+    runMonteCarlo: async (dealId, options) => {
+      const data = await requestJson(`/deals/${dealId}/sensitivity/monte-carlo`, {
+        method: "POST",
+        body: JSON.stringify(options || {})
+      });
+      return data;
+    },
+    createScenarioFromExitPlan: async (dealId, plan, options, customName = null) => {
+      const data = await requestJson(`/deals/${dealId}/sensitivity/exit-optimizer/create-scenario`, {
+        method: "POST",
+        body: JSON.stringify({
+          ...options,
+          exitYear: plan.exitYear,
+          exitCapRate: plan.exitCapRate,
+          refinanceYear: plan.refinanceYear,
+          customName
+        })
+      });
+      return data;
+    },
 
     // Excel Import
     getMappableFields: async () => {
@@ -1602,6 +1776,10 @@ export const bff = {
       });
       return data;
     },
+    // Streaming chat: onEvent receives meta, delta, citation, tool and aborted events
+    chatStream: async (dealId, { message, conversationHistory = [] }, handlers = {}) => {
+      return requestEventStream(`/deals/${dealId}/chat`, { message, conversationHistory }, handlers);
+    },
     // Get chat history for a deal
     getChatHistory: async (dealId, { limit = 50 } = {}) => {
       const params = limit ? `?limit=${limit}` : '';
@@ -89,12 +89,23 @@ export default function DealChat({ dealId, dealName }) {
         content: m.content
       }));
 
-      const response = await bff.dealAI.chat(dealId, {
+      // Render the answer as it streams in
+      let streamed = '';
+      const response = await bff.dealAI.chatStream(dealId, {
         message: userMessage.content,
         conversationHistory
+      }, {
+        onEvent: (event, data) => {
+          if (event !== 'delta') return;
+          const isFirst = !streamed;
+          streamed += data.text;
+          setMessages(prev => isFirst
+            ? [...prev, { role: 'assistant', content: streamed, timestamp: new Date().toISOString() }]
+            : [...prev.slice(0, -1), { ...prev[prev.length - 1], content: streamed }]);
+        }
       });
 
-      // Add assistant response
+      // Replace the streamed text with the final response
       const assistantMessage = {
         role: 'assistant',
         content: response.response || response.message,
@@ -102,7 +113,7 @@ export default function DealChat({ dealId, dealName }) {
         sources: response.sources || []
       };
 
-      setMessages(prev => [...prev, assistantMessage]);
+      setMessages(prev => streamed ? [...prev.slice(0, -1), assistantMessage] : [...prev, assistantMessage]);
     } catch (err) {
       console.error('Chat error:', err);
       setError(err.message || 'Failed to get response');
@@ -305,8 +316,8 @@ export default function DealChat({ dealId, dealName }) {
               </div>
             ))}
 
-            {/* Loading indicator */}
-            {isLoading && (
+            {/* Loading indicator (until the first streamed text arrives) */}
+            {isLoading && messages[messages.length - 1]?.role !== 'assistant' && (
               <div className="flex gap-3">
                 <div className="w-8 h-8 rounded-full bg-purple-100 flex items-center justify-center flex-shrink-0">
                   <Bot className="w-4 h-4 text-purple-600" />
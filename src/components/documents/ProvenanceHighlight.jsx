@@ -243,6 +243,43 @@ export function ProvenanceBadge({ sourceType, confidence }) {
   );
 }
 
+/**
+ * PageRegionPreview - Miniature page with the region a value was read from
+ *
+ * boundingBox is { x, y, width, height } as fractions of the page, as stored
+ * on claims by the OCR/layout pipeline.
+ *
+ * @param {{ pageNumber?: number, boundingBox?: { x: number, y: number, width: number, height: number }, className?: string }} props
+ */
+export function PageRegionPreview({ pageNumber, boundingBox, className }) {
+  if (!boundingBox) return null;
+
+  const percent = (value) => `${(value * 100).toFixed(2)}%`;
+
+  return (
+    <div className={cn("flex items-end gap-2", className)}>
+      <div
+        className="relative w-16 aspect-[8.5/11] bg-white border border-[#E5E5E5] rounded-sm shadow-sm"
+        title={`Page ${pageNumber ?? '?'} region`}
+      >
+        <div
+          className="absolute bg-amber-300/60 border border-amber-500 rounded-[1px]"
+          style={{
+            left: percent(boundingBox.x),
+            top: percent(boundingBox.y),
+            // Keep tiny regions (a single number) visible
+            width: `max(${percent(boundingBox.width)}, 3px)`,
+            height: `max(${percent(boundingBox.height)}, 3px)`
+          }}
+        />
+      </div>
+      {pageNumber && (
+        <span className="text-xs text-[#737373]">Page {pageNumber}</span>
+      )}
+    </div>
+  );
+}
+
 /**
  * ProvenanceTable - Shows provenance for multiple fields
  */
@@ -6,6 +6,7 @@ import { Badge } from "@/components/ui/badge";
 import { CheckCircle, XCircle, Edit2, FileText, ChevronDown, ChevronUp } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { debugLog } from "@/lib/debug";
+import { PageRegionPreview } from "@/components/documents/ProvenanceHighlight";
 
 const CONFIDENCE_COLORS = {
   high: "bg-green-100 text-green-700",
@@ -132,6 +133,13 @@ export function ClaimVerificationCard({ claim, onVerify, isVerifying }) {
             <p>
               <strong>Method:</strong> {claim.extraction?.method}
             </p>
+            {claim.source.boundingBox && (
+              <PageRegionPreview
+                className="mt-2"
+                pageNumber={claim.source.pageNumber}
+                boundingBox={claim.source.boundingBox}
+              />
+            )}
           </div>
         )}
       </CardContent>
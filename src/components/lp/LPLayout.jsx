@@ -3,7 +3,7 @@ import { NavLink, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/lib/AuthContext';
 import {
   Building2, Home, Briefcase, FileText, Activity, MessageSquare,
-  User, Settings, LogOut, Bell, ChevronDown, HelpCircle, Search
+  User, Settings, LogOut, Bell, ChevronDown, HelpCircle, Search, Landmark
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import {
@@ -128,6 +128,10 @@ export default function LPLayout({ children }) {
                     <Settings className="w-4 h-4 mr-2" />
                     Notification Preferences
                   </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => navigate('/account/payment')}>
+                    <Landmark className="w-4 h-4 mr-2" />
+                    Payment Details
+                  </DropdownMenuItem>
                   <DropdownMenuItem onClick={() => navigate('/account/tax')}>
                     <FileText className="w-4 h-4 mr-2" />
                     Tax Documents
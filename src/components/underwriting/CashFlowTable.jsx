@@ -16,8 +16,15 @@ import {
   ChevronUp
 } from 'lucide-react';
 
+const GRANULARITY_OPTIONS = [
+  { value: 'annual', label: 'Annual' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'monthly', label: 'Monthly' }
+];
+
 export default function CashFlowTable({ dealId }) {
   const [holdYears, setHoldYears] = useState(5);
+  const [granularity, setGranularity] = useState('annual');
   const [expandedSections, setExpandedSections] = useState({
     revenue: true,
     expenses: true,
@@ -28,8 +35,8 @@ export default function CashFlowTable({ dealId }) {
 
   // Fetch cash flows
   const { data: cashFlowData, isLoading, error } = useQuery({
-    queryKey: ['cash-flows', dealId, holdYears],
-    queryFn: () => bff.underwriting.getCashFlows(dealId, holdYears),
+    queryKey: ['cash-flows', dealId, holdYears, granularity],
+    queryFn: () => bff.underwriting.getCashFlows(dealId, holdYears, granularity),
     enabled: !!dealId
   });
 
@@ -46,16 +53,22 @@ export default function CashFlowTable({ dealId }) {
       return;
     }
 
-    const { years, exit, totals } = cashFlowData.cashFlows;
+    const { exit, totals } = cashFlowData.cashFlows;
+    const years = cashFlowData.cashFlows.periods || cashFlowData.cashFlows.years;
+    const isSubAnnual = !!cashFlowData.cashFlows.periods;
     const rows = [];
 
     // Header row
-    rows.push(['', ...years.map(y => `Year ${y.year}`)].join(','));
+    rows.push(['', ...years.map(periodLabel)].join(','));
 
     // Revenue section
     rows.push('REVENUE');
     rows.push(['Gross Potential Rent', ...years.map(y => y.revenue.grossPotentialRent)].join(','));
     rows.push(['Vacancy Loss', ...years.map(y => -y.revenue.vacancy)].join(','));
+    if (isSubAnnual) {
+      rows.push(['Occupancy', ...years.map(y => y.occupancy)].join(','));
+      rows.push(['Free Rent', ...years.map(y => -y.revenue.freeRent)].join(','));
+    }
     rows.push(['Other Income', ...years.map(y => y.revenue.otherIncome)].join(','));
     rows.push(['Effective Gross Income', ...years.map(y => y.revenue.effectiveGrossIncome)].join(','));
 
@@ -114,7 +127,7 @@ export default function CashFlowTable({ dealId }) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `cash-flows-${dealId}.csv`;
+    a.download = `cash-flows-${dealId}-${granularity}.csv`;
     a.click();
     URL.revokeObjectURL(url);
 
@@ -148,7 +161,11 @@ export default function CashFlowTable({ dealId }) {
     );
   }
 
-  const { years, exit, totals, assumptions } = cashFlowData?.cashFlows || {};
+  const { exit, totals, assumptions } = cashFlowData?.cashFlows || {};
+  // Quarterly/monthly responses carry the requested series in `periods`
+  const years = cashFlowData?.cashFlows?.periods || cashFlowData?.cashFlows?.years;
+  const isSubAnnual = !!cashFlowData?.cashFlows?.periods;
+  const granularityLabel = GRANULARITY_OPTIONS.find(g => g.value === granularity)?.label || 'Annual';
 
   if (!years || years.length === 0) {
     return (
@@ -169,12 +186,25 @@ export default function CashFlowTable({ dealId }) {
       {/* Header with controls */}
       <div className="flex items-center justify-between print:hidden">
         <div>
-          <h3 className="text-lg font-semibold text-[#171717]">Year-by-Year Cash Flows</h3>
+          <h3 className="text-lg font-semibold text-[#171717]">
+            {isSubAnnual ? `${granularityLabel} Cash Flows` : 'Year-by-Year Cash Flows'}
+          </h3>
           <p className="text-sm text-[#737373]">
-            Detailed annual projection with {assumptions?.holdPeriod || holdYears}-year hold
+            Detailed {granularityLabel.toLowerCase()} projection with {assumptions?.holdPeriod || holdYears}-year hold
+            {isSubAnnual && totals?.stabilizationMonth > 1 && ` · stabilizes in month ${totals.stabilizationMonth}`}
           </p>
         </div>
         <div className="flex items-center gap-3">
+          <Select value={granularity} onValueChange={setGranularity}>
+            <SelectTrigger className="w-32">
+              <SelectValue placeholder="Granularity" />
+            </SelectTrigger>
+            <SelectContent>
+              {GRANULARITY_OPTIONS.map(g => (
+                <SelectItem key={g.value} value={g.value}>{g.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
           <Select value={holdYears.toString()} onValueChange={(v) => setHoldYears(parseInt(v))}>
             <SelectTrigger className="w-32">
               <SelectValue placeholder="Hold Period" />
@@ -236,9 +266,9 @@ export default function CashFlowTable({ dealId }) {
               <thead>
                 <tr className="border-b bg-slate-50">
                   <th className="text-left p-3 font-medium text-[#737373] min-w-[200px]"></th>
-                  {years.map(y => (
-                    <th key={y.year} className="text-right p-3 font-medium text-[#737373] min-w-[100px]">
-                      Year {y.year}
+                  {years.map((y, i) => (
+                    <th key={i} className="text-right p-3 font-medium text-[#737373] min-w-[100px]">
+                      {periodLabel(y)}
                     </th>
                   ))}
                 </tr>
@@ -255,6 +285,12 @@ export default function CashFlowTable({ dealId }) {
                   <>
                     <DataRow label="Gross Potential Rent" values={years.map(y => y.revenue.grossPotentialRent)} type="currency" />
                     <DataRow label="Vacancy Loss" values={years.map(y => -y.revenue.vacancy)} type="currency" isNegative />
+                    {isSubAnnual && (
+                      <>
+                        <DataRow label="Occupancy" values={years.map(y => y.occupancy)} type="percentage" isSubtle />
+                        <DataRow label="Free Rent" values={years.map(y => -y.revenue.freeRent)} type="currency" isNegative />
+                      </>
+                    )}
                     <DataRow label="Other Income" values={years.map(y => y.revenue.otherIncome)} type="currency" />
                   </>
                 )}
@@ -517,6 +553,10 @@ function ReturnBox({ label, value, type, highlight }) {
 }
 
 // Formatting helpers
+function periodLabel(period) {
+  return period.label || `Year ${period.year}`;
+}
+
 function formatValue(value, type) {
   if (value === null || value === undefined) return '—';
 
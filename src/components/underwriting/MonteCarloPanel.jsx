@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { bff } from '@/api/bffClient';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { toast } from "@/components/ui/use-toast";
+import { cn } from "@/lib/utils";
+import { Dices, RefreshCw, AlertTriangle, Target, ShieldAlert } from 'lucide-react';
+
+const VARIABLES = [
+  { key: 'rentGrowth', label: 'Rent Growth', defaultStdDev: 1.0 },
+  { key: 'vacancyRate', label: 'Vacancy', defaultStdDev: 2.0 },
+  { key: 'exitCapRate', label: 'Exit Cap Rate', defaultStdDev: 0.5 },
+  { key: 'expenseGrowth', label: 'Expense Growth', defaultStdDev: 0.5 },
+  { key: 'interestRate', label: 'Interest Rate', defaultStdDev: 0.75 }
+];
+
+const BAND_KEYS = ['p5', 'p10', 'p25', 'p50', 'p75', 'p90', 'p95'];
+
+const formatPercent = (value, decimals = 1) =>
+  value === null || value === undefined ? '—' : `${(value * 100).toFixed(decimals)}%`;
+
+const formatMultiple = (value) =>
+  value === null || value === undefined ? '—' : `${value.toFixed(2)}x`;
+
+export default function MonteCarloPanel({ dealId }) {
+  const [iterations, setIterations] = useState('1000');
+  const [seed, setSeed] = useState('');
+  const [hurdle, setHurdle] = useState('8');
+  const [stdDevs, setStdDevs] = useState(
+    Object.fromEntries(VARIABLES.map(v => [v.key, String(v.defaultStdDev)]))
+  );
+  const [rentCapCorrelation, setRentCapCorrelation] = useState('-0.3');
+
+  const simulationMutation = useMutation({
+    mutationFn: () => {
+      const rho = Number(rentCapCorrelation);
+      return bff.underwriting.runMonteCarlo(dealId, {
+        iterations: Number(iterations),
+        ...(seed !== '' ? { seed: Number.isNaN(Number(seed)) ? seed : Number(seed) } : {}),
+        hurdles: [(Number(hurdle) || 0) / 100],
+        dscrCovenants: [1.0, 1.25],
+        distributions: Object.fromEntries(VARIABLES.map(v => [
+          v.key,
+          { type: 'normal', stdDev: (Number(stdDevs[v.key]) || 0) / 100 }
+        ])),
+        correlations: rho ? [{ a: 'rentGrowth', b: 'exitCapRate', rho }] : []
+      });
+    },
+    onSuccess: (data) => {
+      setSeed(String(data.seed));
+    },
+    onError: (error) => {
+      toast({ title: 'Simulation failed', description: error.message, variant: 'destructive' });
+    }
+  });
+
+  const result = simulationMutation.data;
+  const maxSwing = result?.tornado?.length ? Math.max(...result.tornado.map(t => t.swing)) : 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base flex items-center gap-2">
+              <Dices className="w-4 h-4" />
+              Monte Carlo Simulation
+            </CardTitle>
+            <CardDescription>
+              Probability of missing the pref or breaching DSCR covenants across thousands of draws
+            </CardDescription>
+          </div>
+          <Button
+            size="sm"
+            onClick={() => simulationMutation.mutate()}
+            disabled={simulationMutation.isPending}
+          >
+            <RefreshCw className={cn("w-4 h-4 mr-2", simulationMutation.isPending && "animate-spin")} />
+            Run Simulation
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Settings */}
+        <div className="grid grid-cols-4 gap-4">
+          <div>
+            <Label className="text-xs text-slate-500 mb-1 block">Iterations</Label>
+            <Select value={iterations} onValueChange={setIterations}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {['500', '1000', '2500', '5000', '10000'].map(n => (
+                  <SelectItem key={n} value={n}>{Number(n).toLocaleString()}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label className="text-xs text-slate-500 mb-1 block">Seed</Label>
+            <Input placeholder="Random" value={seed} onChange={(e) => setSeed(e.target.value)} />
+          </div>
+          <div>
+            <Label className="text-xs text-slate-500 mb-1 block">IRR Hurdle (%)</Label>
+            <Input type="number" step="0.5" value={hurdle} onChange={(e) => setHurdle(e.target.value)} />
+          </div>
+          <div>
+            <Label className="text-xs text-slate-500 mb-1 block">Rent Growth / Exit Cap Correlation</Label>
+            <Input
+              type="number"
+              step="0.1"
+              min="-0.95"
+              max="0.95"
+              value={rentCapCorrelation}
+              onChange={(e) => setRentCapCorrelation(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-5 gap-4">
+          {VARIABLES.map(v => (
+            <div key={v.key}>
+              <Label className="text-xs text-slate-500 mb-1 block">{v.label} Std Dev (%)</Label>
+              <Input
+                type="number"
+                step="0.05"
+                value={stdDevs[v.key]}
+                onChange={(e) => setStdDevs({ ...stdDevs, [v.key]: e.target.value })}
+              />
+            </div>
+          ))}
+        </div>
+
+        {simulationMutation.isPending ? (
+          <div className="h-48 flex items-center justify-center">
+            <RefreshCw className="w-6 h-6 animate-spin text-slate-400" />
+          </div>
+        ) : result ? (
+          <div className="space-y-6">
+            {result.warnings?.length > 0 && (
+              <div className="p-3 rounded-lg bg-amber-50 border border-amber-100 text-sm text-amber-800 flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4" />
+                {result.warnings.join('. ')}
+              </div>
+            )}
+
+            {/* Summary Cards */}
+            <div className="grid grid-cols-3 gap-4">
+              <div className="p-4 rounded-lg bg-blue-50 border border-blue-100">
+                <div className="text-xs font-medium text-blue-700 mb-1">Median IRR (P10 – P90)</div>
+                <div className="text-2xl font-bold text-blue-800">{formatPercent(result.metrics.irr?.p50)}</div>
+                <div className="text-sm text-blue-600">
+                  {formatPercent(result.metrics.irr?.p10)} – {formatPercent(result.metrics.irr?.p90)}
+                </div>
+              </div>
+              {result.hurdles.map(h => (
+                <div key={h.hurdle} className="p-4 rounded-lg bg-violet-50 border border-violet-100">
+                  <div className="flex items-center gap-2 text-violet-700 mb-1">
+                    <Target className="w-4 h-4" />
+                    <span className="text-xs font-medium">P(IRR &lt; {formatPercent(h.hurdle)})</span>
+                  </div>
+                  <div className="text-2xl font-bold text-violet-800">{formatPercent(h.probabilityBelow)}</div>
+                </div>
+              ))}
+              <div className="p-4 rounded-lg bg-red-50 border border-red-100">
+                <div className="flex items-center gap-2 text-red-700 mb-1">
+                  <ShieldAlert className="w-4 h-4" />
+                  <span className="text-xs font-medium">DSCR Covenant Breach</span>
+                </div>
+                {result.covenants.map(c => (
+                  <div key={c.covenant} className="text-sm text-red-800">
+                    &lt; {c.covenant.toFixed(2)}x: <span className="font-bold">{formatPercent(c.probabilityBreach)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Percentile Bands */}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b">
+                    <th className="p-2 text-left font-medium text-slate-500">Metric</th>
+                    {BAND_KEYS.map(k => (
+                      <th key={k} className="p-2 text-right font-medium text-slate-500">{k.toUpperCase()}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    { key: 'irr', label: 'Levered IRR', format: formatPercent },
+                    { key: 'equityMultiple', label: 'Equity Multiple', format: formatMultiple },
+                    { key: 'cashOnCash', label: 'Cash-on-Cash', format: formatPercent },
+                    { key: 'minDSCR', label: 'Min DSCR', format: formatMultiple }
+                  ].map(row => (
+                    <tr key={row.key} className="border-b">
+                      <td className="p-2 font-medium">{row.label}</td>
+                      {BAND_KEYS.map(k => (
+                        <td key={k} className={cn("p-2 text-right", k === 'p50' && "font-semibold")}>
+                          {row.format(result.metrics[row.key]?.[k])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Tornado */}
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-slate-700">IRR Drivers (P10 to P90 of each input)</h4>
+              {result.tornado.map(t => (
+                <div key={t.variable} className="flex items-center gap-3 text-sm">
+                  <div className="w-32 text-slate-600">{t.label}</div>
+                  <div className="flex-1 h-5 bg-slate-100 rounded">
+                    <div
+                      className="h-5 rounded bg-blue-500"
+                      style={{ width: `${maxSwing > 0 ? (t.swing / maxSwing) * 100 : 0}%` }}
+                    />
+                  </div>
+                  <div className="w-40 text-right text-slate-600">
+                    {formatPercent(Math.min(t.lowIRR, t.highIRR))} – {formatPercent(Math.max(t.lowIRR, t.highIRR))}
+                  </div>
+                  <div className="w-16 text-right font-medium">{formatPercent(t.contribution, 0)}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="text-xs text-slate-400">
+              {result.completed.toLocaleString()} of {result.iterations.toLocaleString()} draws · seed {result.seed}
+            </div>
+          </div>
+        ) : (
+          <div className="h-32 flex items-center justify-center text-slate-500">
+            Set distributions and run the simulation
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -40,18 +40,27 @@ import {
   Calendar,
   Zap,
   Check,
-  AlertTriangle
+  AlertTriangle,
+  Route
 } from 'lucide-react';
 
+const EXIT_OBJECTIVE_OPTIONS = [
+  { value: 'irr', label: 'Levered IRR' },
+  { value: 'equityMultiple', label: 'Equity Multiple' },
+  { value: 'profit', label: 'Profit' }
+];
+
 export default function SensitivityMatrix({ dealId, model, onUpdate }) {
   const queryClient = useQueryClient();
-  const [activeView, setActiveView] = useState('matrix'); // matrix, hold-period, quick
+  const [activeView, setActiveView] = useState('matrix'); // matrix, hold-period, exit-plan, quick
   const [xField, setXField] = useState('exitCapRate');
   const [yField, setYField] = useState('vacancyRate');
   const [outputMetric, setOutputMetric] = useState('irr');
   const [showCreateScenario, setShowCreateScenario] = useState(false);
   const [selectedCell, setSelectedCell] = useState(null);
   const [customScenarioName, setCustomScenarioName] = useState('');
+  const [exitObjective, setExitObjective] = useState('irr');
+  const [exitMinDSCR, setExitMinDSCR] = useState('1.20');
 
   // Fetch sensitivity options
   const { data: optionsData } = useQuery({
@@ -74,6 +83,17 @@ export default function SensitivityMatrix({ dealId, model, onUpdate }) {
     enabled: !!dealId && activeView === 'hold-period'
   });
 
+  // Optimize exit year, exit cap and refinance timing
+  const exitOptions = {
+    objective: exitObjective,
+    minDSCR: exitMinDSCR === '' ? null : Number(exitMinDSCR)
+  };
+  const { data: exitPlanData, isLoading: exitPlanLoading } = useQuery({
+    queryKey: ['sensitivity-exit-plan', dealId, exitObjective, exitMinDSCR],
+    queryFn: () => bff.underwriting.optimizeExitPlan(dealId, exitOptions),
+    enabled: !!dealId && activeView === 'exit-plan'
+  });
+
   // Fetch quick sensitivity
   const { data: quickData, isLoading: quickLoading } = useQuery({
     queryKey: ['sensitivity-quick', dealId],
@@ -98,7 +118,21 @@ export default function SensitivityMatrix({ dealId, model, onUpdate }) {
     }
   });
 
+  // Save an exit plan as a scenario
+  const createExitScenarioMutation = useMutation({
+    mutationFn: (plan) => bff.underwriting.createScenarioFromExitPlan(dealId, plan, exitOptions),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['scenarios', dealId] });
+      toast({ title: 'Scenario created', description: 'Exit plan saved as a scenario.' });
+      onUpdate?.();
+    },
+    onError: (error) => {
+      toast({ title: 'Failed to create scenario', description: error.message, variant: 'destructive' });
+    }
+  });
+
   const options = optionsData || { fields: [], metrics: [] };
+  const frontierIds = new Set((exitPlanData?.frontier || []).map(p => p.id));
 
   const handleCellClick = (cell) => {
     setSelectedCell(cell);
@@ -159,6 +193,15 @@ export default function SensitivityMatrix({ dealId, model, onUpdate }) {
             <Calendar className="w-4 h-4" />
             Hold Period
           </Button>
+          <Button
+            variant={activeView === 'exit-plan' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setActiveView('exit-plan')}
+            className="gap-2"
+          >
+            <Route className="w-4 h-4" />
+            Exit Plan
+          </Button>
           <Button
             variant={activeView === 'quick' ? 'default' : 'outline'}
             size="sm"
@@ -469,6 +512,165 @@ export default function SensitivityMatrix({ dealId, model, onUpdate }) {
         </Card>
       )}
 
+      {/* Exit Plan Optimizer View */}
+      {activeView === 'exit-plan' && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Exit Plan Optimizer</CardTitle>
+            <CardDescription>
+              Searches exit year, exit cap rate and refinance timing together
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div>
+                <Label className="text-xs text-slate-500 mb-1 block">Objective</Label>
+                <Select value={exitObjective} onValueChange={setExitObjective}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {EXIT_OBJECTIVE_OPTIONS.map((o) => (
+                      <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-xs text-slate-500 mb-1 block">Min DSCR</Label>
+                <Input
+                  type="number"
+                  step="0.05"
+                  placeholder="No constraint"
+                  value={exitMinDSCR}
+                  onChange={(e) => setExitMinDSCR(e.target.value)}
+                />
+              </div>
+            </div>
+
+            {exitPlanLoading ? (
+              <div className="h-64 flex items-center justify-center">
+                <RefreshCw className="w-6 h-6 animate-spin text-slate-400" />
+              </div>
+            ) : exitPlanData ? (
+              <div className="space-y-6">
+                {exitPlanData.chosenPlan ? (
+                  <div className="p-4 rounded-lg bg-green-50 border border-green-100">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="flex items-center gap-2 text-green-700 mb-1">
+                          <Target className="w-4 h-4" />
+                          <span className="text-xs font-medium">Recommended Plan</span>
+                        </div>
+                        <div className="text-lg font-bold text-green-800">{exitPlanData.chosenPlan.label}</div>
+                        <div className="text-sm text-green-600">
+                          IRR {exitPlanData.chosenPlan.irr !== null ? `${(exitPlanData.chosenPlan.irr * 100).toFixed(1)}%` : '—'}
+                          {' · '}{exitPlanData.chosenPlan.equityMultiple?.toFixed(2)}x
+                          {' · '}${(exitPlanData.chosenPlan.profit / 1000000).toFixed(2)}M profit
+                          {' · '}Min DSCR {exitPlanData.chosenPlan.minDSCR ? `${exitPlanData.chosenPlan.minDSCR.toFixed(2)}x` : '—'}
+                        </div>
+                      </div>
+                      <Button
+                        size="sm"
+                        onClick={() => createExitScenarioMutation.mutate(exitPlanData.chosenPlan)}
+                        disabled={createExitScenarioMutation.isPending}
+                      >
+                        <Plus className="w-4 h-4 mr-2" />
+                        Save as Scenario
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="p-4 rounded-lg bg-amber-50 border border-amber-100 text-sm text-amber-800 flex items-center gap-2">
+                    <AlertTriangle className="w-4 h-4" />
+                    {exitPlanData.warnings?.[0] || 'No feasible exit plan'}
+                  </div>
+                )}
+
+                {exitPlanData.rationale?.length > 1 && (
+                  <ul className="text-sm text-slate-600 space-y-1 list-disc pl-5">
+                    {exitPlanData.rationale.slice(1).map((line, i) => (
+                      <li key={i}>{line}</li>
+                    ))}
+                  </ul>
+                )}
+
+                {/* Best plan per exit year */}
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b">
+                        <th className="p-2 text-left font-medium text-slate-500">Exit Year</th>
+                        <th className="p-2 text-left font-medium text-slate-500">Best Plan</th>
+                        <th className="p-2 text-right font-medium text-slate-500">IRR</th>
+                        <th className="p-2 text-right font-medium text-slate-500">Eq. Multiple</th>
+                        <th className="p-2 text-right font-medium text-slate-500">Profit</th>
+                        <th className="p-2 text-right font-medium text-slate-500">Min DSCR</th>
+                        <th className="p-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {exitPlanData.byExitYear.map(({ exitYear, bestPlan }) => (
+                        <tr
+                          key={exitYear}
+                          className={cn(
+                            "border-b transition-colors",
+                            exitYear === exitPlanData.currentHoldPeriod && "bg-blue-50",
+                            bestPlan?.id === exitPlanData.chosenPlan?.id && "bg-green-50"
+                          )}
+                        >
+                          <td className="p-2">
+                            <span className="font-medium">Year {exitYear}</span>
+                            {exitYear === exitPlanData.currentHoldPeriod && (
+                              <Badge variant="outline" className="ml-2 text-xs">Current</Badge>
+                            )}
+                            {bestPlan && frontierIds.has(bestPlan.id) && (
+                              <Badge variant="outline" className="ml-2 text-xs">Frontier</Badge>
+                            )}
+                          </td>
+                          {bestPlan ? (
+                            <>
+                              <td className="p-2 text-slate-600">
+                                {(bestPlan.exitCapRate * 100).toFixed(2)}% cap
+                                {bestPlan.refinanceYear ? `, refi yr ${bestPlan.refinanceYear}` : ''}
+                              </td>
+                              <td className="p-2 text-right font-medium">
+                                {bestPlan.irr !== null ? `${(bestPlan.irr * 100).toFixed(1)}%` : '—'}
+                              </td>
+                              <td className="p-2 text-right">{bestPlan.equityMultiple?.toFixed(2)}x</td>
+                              <td className="p-2 text-right">${(bestPlan.profit / 1000000).toFixed(2)}M</td>
+                              <td className="p-2 text-right">
+                                {bestPlan.minDSCR ? `${bestPlan.minDSCR.toFixed(2)}x` : '—'}
+                              </td>
+                              <td className="p-2 text-right">
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => createExitScenarioMutation.mutate(bestPlan)}
+                                  disabled={createExitScenarioMutation.isPending}
+                                >
+                                  <Plus className="w-4 h-4" />
+                                </Button>
+                              </td>
+                            </>
+                          ) : (
+                            <td colSpan={6} className="p-2 text-slate-400">No feasible plan</td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ) : (
+              <div className="h-64 flex items-center justify-center text-slate-500">
+                No exit plan data available
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Quick Sensitivity View */}
       {activeView === 'quick' && (
         <Card>
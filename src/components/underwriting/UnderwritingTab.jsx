@@ -30,6 +30,7 @@ import ExcelImportModal from './ExcelImportModal';
 import CashFlowTable from './CashFlowTable';
 import WaterfallPanel from './WaterfallPanel';
 import SensitivityMatrix from './SensitivityMatrix';
+import MonteCarloPanel from './MonteCarloPanel';
 
 export default function UnderwritingTab({ dealId, dealName }) {
   const queryClient = useQueryClient();
@@ -289,7 +290,7 @@ export default function UnderwritingTab({ dealId, dealName }) {
           />
         </TabsContent>
 
-        <TabsContent value="sensitivity" className="mt-6">
+        <TabsContent value="sensitivity" className="mt-6 space-y-6">
           <SensitivityMatrix
             dealId={dealId}
             model={model}
@@ -297,6 +298,7 @@ export default function UnderwritingTab({ dealId, dealName }) {
               queryClient.invalidateQueries({ queryKey: ['scenarios', dealId] });
             }}
           />
+          <MonteCarloPanel dealId={dealId} />
         </TabsContent>
 
         <TabsContent value="sector" className="mt-6">
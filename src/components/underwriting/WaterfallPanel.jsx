@@ -8,6 +8,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { toast } from "@/components/ui/use-toast";
 import { cn } from "@/lib/utils";
@@ -21,9 +22,15 @@ import {
   Trash2,
   DollarSign,
   Percent,
-  AlertCircle
+  AlertCircle,
+  Undo2
 } from 'lucide-react';
 
+const WATERFALL_MODE_LABELS = {
+  EUROPEAN: 'European (whole-fund)',
+  AMERICAN: 'American (deal-by-deal)'
+};
+
 export default function WaterfallPanel({ dealId }) {
   const queryClient = useQueryClient();
   const [showSetup, setShowSetup] = useState(false);
@@ -254,6 +261,12 @@ export default function WaterfallPanel({ dealId }) {
                   {structure.lookback ? 'Yes' : 'No'}
                 </Badge>
               </div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-[#737373]">Waterfall Mode</span>
+                <span className="text-sm font-medium">
+                  {WATERFALL_MODE_LABELS[structure.waterfallMode] || WATERFALL_MODE_LABELS.EUROPEAN}
+                </span>
+              </div>
               {/* Per-Class Status */}
               <div className="flex items-center justify-between pt-2 border-t">
                 <span className="text-sm text-[#737373]">Per-Class Waterfall</span>
@@ -327,6 +340,9 @@ export default function WaterfallPanel({ dealId }) {
                         <th className="text-right p-2 font-medium text-green-700">LP Share</th>
                         <th className="text-right p-2 font-medium text-green-700">GP Share</th>
                         <th className="text-right p-2 font-medium text-green-700">Cumulative LP</th>
+                        {latestDistribution.clawback && (
+                          <th className="text-right p-2 font-medium text-green-700">Promote Paid</th>
+                        )}
                       </tr>
                     </thead>
                     <tbody>
@@ -337,6 +353,9 @@ export default function WaterfallPanel({ dealId }) {
                           <td className="p-2 text-right text-green-700">{formatCurrency(d.lpShare)}</td>
                           <td className="p-2 text-right text-violet-700">{formatCurrency(d.gpShare)}</td>
                           <td className="p-2 text-right font-medium">{formatCurrency(d.cumulativeLp)}</td>
+                          {latestDistribution.clawback && (
+                            <td className="p-2 text-right text-violet-700">{formatCurrency(d.promotePaid)}</td>
+                          )}
                         </tr>
                       ))}
                     </tbody>
@@ -345,6 +364,13 @@ export default function WaterfallPanel({ dealId }) {
               </div>
             )}
 
+            {/* Clawback / True-Up - deal-by-deal waterfalls only */}
+            {latestDistribution.clawback && (
+              <div className="mt-6 pt-4 border-t border-green-200">
+                <ClawbackSchedule clawback={latestDistribution.clawback} />
+              </div>
+            )}
+
             {/* Per-Class Breakdown - only show if multiple classes */}
             {latestDistribution.byClass && Object.keys(latestDistribution.byClass).length > 1 && (
               <div className="mt-6 pt-4 border-t border-green-200">
@@ -382,6 +408,8 @@ function WaterfallSetupForm({ defaults, onSubmit, isPending, isEdit = false }) {
     gpCatchUp: defaults?.gpCatchUp !== false,
     catchUpPercent: (defaults?.catchUpPercent || 1.0) * 100,
     lookback: defaults?.lookback || false,
+    waterfallMode: defaults?.waterfallMode || 'EUROPEAN',
+    gpTaxRate: (defaults?.gpTaxRate || 0) * 100,
     usePerClassWaterfall: defaults?.usePerClassWaterfall || false,
     promoteTiers: defaults?.promoteTiers || [
       { hurdle: 12, lpSplit: 80, gpSplit: 20 },
@@ -403,6 +431,8 @@ function WaterfallSetupForm({ defaults, onSubmit, isPending, isEdit = false }) {
       gpCatchUp: formData.gpCatchUp,
       catchUpPercent: formData.catchUpPercent / 100,
       lookback: formData.lookback,
+      waterfallMode: formData.waterfallMode,
+      gpTaxRate: (Number(formData.gpTaxRate) || 0) / 100,
       usePerClassWaterfall: formData.usePerClassWaterfall,
       promoteTiers: formData.promoteTiers.map(t => ({
         hurdle: t.hurdle === null ? Infinity : t.hurdle / 100,
@@ -502,6 +532,43 @@ function WaterfallSetupForm({ defaults, onSubmit, isPending, isEdit = false }) {
             <Label>Lookback Provision</Label>
           </div>
         </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <Label>Waterfall Mode</Label>
+            <Select
+              value={formData.waterfallMode}
+              onValueChange={(value) => setFormData({ ...formData, waterfallMode: value })}
+            >
+              <SelectTrigger className="mt-1">
+                <SelectValue placeholder="Waterfall mode" />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(WATERFALL_MODE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {formData.waterfallMode === 'AMERICAN' && (
+            <div>
+              <Label htmlFor="gpTaxRate">GP Tax Rate for Clawback (%)</Label>
+              <Input
+                id="gpTaxRate"
+                type="number"
+                step="0.1"
+                value={formData.gpTaxRate}
+                onChange={(e) => setFormData({ ...formData, gpTaxRate: e.target.value })}
+                placeholder="0.0"
+              />
+            </div>
+          )}
+        </div>
+        {formData.waterfallMode === 'AMERICAN' && (
+          <p className="text-xs text-[#737373]">
+            Promote is paid on interim distributions and capital is returned at sale.
+            Excess promote is clawed back at liquidation, net of taxes paid.
+          </p>
+        )}
 
         {/* Per-Class Waterfall */}
         <div className="pt-4 border-t mt-4">
@@ -616,6 +683,58 @@ function WaterfallSetupForm({ defaults, onSubmit, isPending, isEdit = false }) {
 }
 
 // Helper Components
+function ClawbackSchedule({ clawback }) {
+  const settlesToLp = clawback.clawbackDue > 0;
+
+  return (
+    <div>
+      <h4 className="flex items-center gap-2 text-sm font-medium text-green-800 mb-3">
+        <Undo2 className="w-4 h-4" />
+        Clawback / True-Up at Liquidation
+      </h4>
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <ReturnBox label="Interim Promote Paid" value={clawback.promotePaid} type="currency" />
+        <ReturnBox label="Promote Earned (Whole-Fund)" value={clawback.promoteEarned} type="currency" />
+        <ReturnBox
+          label={settlesToLp ? 'Clawback to LPs (Net of Tax)' : 'True-Up to GP'}
+          value={settlesToLp ? clawback.clawbackDue : clawback.trueUpDue}
+          type="currency"
+          highlight
+        />
+        <ReturnBox label="Adjusted LP Return" value={clawback.adjustedLpReturn} type="currency" />
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-green-200">
+              <th className="text-left p-2 font-medium text-green-700">GP Entity</th>
+              <th className="text-right p-2 font-medium text-green-700">Share</th>
+              <th className="text-right p-2 font-medium text-green-700">Paid</th>
+              <th className="text-right p-2 font-medium text-green-700">Earned</th>
+              <th className="text-right p-2 font-medium text-green-700">Taxes Paid</th>
+              <th className="text-right p-2 font-medium text-green-700">Clawback</th>
+              <th className="text-right p-2 font-medium text-green-700">True-Up</th>
+            </tr>
+          </thead>
+          <tbody>
+            {clawback.byEntity.map((entity) => (
+              <tr key={entity.id} className="border-b border-green-100">
+                <td className="p-2">{entity.name}</td>
+                <td className="p-2 text-right">{(entity.promoteShare * 100).toFixed(1)}%</td>
+                <td className="p-2 text-right">{formatCurrency(entity.promotePaid)}</td>
+                <td className="p-2 text-right">{formatCurrency(entity.promoteEarned)}</td>
+                <td className="p-2 text-right text-[#737373]">{formatCurrency(entity.taxesPaid)}</td>
+                <td className="p-2 text-right text-red-600">{formatCurrency(entity.clawbackDue)}</td>
+                <td className="p-2 text-right text-violet-700">{formatCurrency(entity.trueUpDue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 function PromoteTierCard({ tier, index }) {
   const hurdleDisplay = tier.hurdle === Infinity || tier.hurdle > 1 ?
     'Above' : `${(tier.hurdle * 100).toFixed(0)}%`;
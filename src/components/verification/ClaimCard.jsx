@@ -24,6 +24,7 @@ import {
   Bot,
   Edit2
 } from 'lucide-react';
+import { PageRegionPreview } from '@/components/documents/ProvenanceHighlight';
 
 const CONFIDENCE_COLORS = {
   high: { bg: 'bg-green-100', text: 'text-green-700', border: 'border-green-200' },
@@ -386,10 +387,11 @@ export default function ClaimCard({ claim, dealId, isSelected, onSelect, onActio
                     </div>
                     {claim.source.boundingBox && (
                       <div>
-                        <span className="text-[#737373]">Bounding box:</span>
-                        <span className="ml-1 text-[#171717] font-mono">
-                          {JSON.stringify(claim.source.boundingBox)}
-                        </span>
+                        <span className="text-[#737373] block mb-1">Source region:</span>
+                        <PageRegionPreview
+                          pageNumber={claim.source.pageNumber}
+                          boundingBox={claim.source.boundingBox}
+                        />
                       </div>
                     )}
                   </div>
@@ -310,10 +310,19 @@ export function ChatProvider({ children }) {
 
       setMessages(prev => [...prev, aiThinkingMessage]);
 
-      // Call the AI assistant API
-      const aiResult = await bff.aiAssistant.ask({
+      // Call the AI assistant API, showing the answer as it streams in
+      let partialAnswer = '';
+      const aiResult = await bff.aiAssistant.askStream({
         question,
         conversationId: activeConversationId
+      }, {
+        onEvent: (event, data) => {
+          if (event !== 'delta') return;
+          partialAnswer += data.text;
+          setMessages(prev => prev.map(msg =>
+            msg.id === aiTempId ? { ...msg, content: partialAnswer } : msg
+          ));
+        }
       });
 
       // Format the AI response
@@ -401,7 +401,11 @@ export const lpPerformanceSnapshotSchema = z.object({
   cash_out: z.number(),
   net_invested: z.number(),
   distributions_to_date: z.number(),
-  period: z.string().nullable().optional()
+  period: z.string().nullable().optional(),
+  irr: z.number().nullable().optional(),
+  tvpi: z.number().nullable().optional(),
+  dpi: z.number().nullable().optional(),
+  rvpi: z.number().nullable().optional()
 });
 
 export const lpInvestmentDetailSchema = z.object({
@@ -463,7 +467,8 @@ export const lpInvitationSchema = z.object({
   ownershipPct: z.number(),
   createdAt: z.string(),
   acceptedAt: z.string().nullable().optional(),
-  expiresAt: z.string()
+  expiresAt: z.string(),
+  subscriptionId: z.string().nullable().optional()
 });
 
 export function verifyExplainBlockKeys(explain) {
@@ -149,6 +149,10 @@ export const IntakeClaim = z
         documentId: z.string().nullable().optional(),
         documentName: z.string().nullable().optional(),
         pageNumber: z.number().nullable().optional(),
+        boundingBox: z
+          .object({ x: z.number(), y: z.number(), width: z.number(), height: z.number() })
+          .nullable()
+          .optional(),
         location: z.string().nullable().optional(),
         textSnippet: z.string().nullable().optional()
       })
@@ -20,6 +20,8 @@ import Investors from './pages/Investors';
 import CapitalCalls from './pages/CapitalCalls';
 import Distributions from './pages/Distributions';
 import InvestorUpdates from './pages/InvestorUpdates';
+import DealIssues from './pages/DealIssues';
+import MarketingRoom from './pages/MarketingRoom';
 import DealDrafts from './pages/intake/DealDrafts';
 import CreateDealDraft from './pages/intake/CreateDealDraft';
 import DealDraftDetail from './pages/intake/DealDraftDetail';
@@ -58,6 +60,8 @@ export const PAGES = {
     "CapitalCalls": CapitalCalls,
     "Distributions": Distributions,
     "InvestorUpdates": InvestorUpdates,
+    "DealIssues": DealIssues,
+    "MarketingRoom": MarketingRoom,
     "DealDrafts": DealDrafts,
     "CreateDealDraft": CreateDealDraft,
     "DealDraftDetail": DealDraftDetail,
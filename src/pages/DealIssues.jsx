@@ -0,0 +1,671 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/lib/AuthContext';
+import {
+  AlertTriangle, Plus, Loader2, Clock, CheckCircle2, Send,
+  Eye, EyeOff, ShieldAlert
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import { cn } from '@/lib/utils';
+
+const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || '';
+
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function formatDateTime(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+async function readError(res, fallback) {
+  const body = await res.json().catch(() => null);
+  const details = Array.isArray(body?.details) ? `: ${body.details.join('; ')}` : '';
+  return new Error(`${body?.message || fallback}${details}`);
+}
+
+const SEVERITY_CONFIG = {
+  LOW: { label: 'Low', color: 'bg-gray-100 text-gray-700' },
+  MEDIUM: { label: 'Medium', color: 'bg-yellow-100 text-yellow-800' },
+  HIGH: { label: 'High', color: 'bg-orange-100 text-orange-800' },
+  CRITICAL: { label: 'Critical', color: 'bg-red-100 text-red-800' }
+};
+
+const STATUS_CONFIG = {
+  OPEN: { label: 'Open', color: 'bg-red-50 text-red-700', icon: AlertTriangle },
+  INVESTIGATING: { label: 'Investigating', color: 'bg-amber-100 text-amber-700', icon: Clock },
+  MITIGATING: { label: 'Mitigating', color: 'bg-blue-100 text-blue-700', icon: Clock },
+  RESOLVED: { label: 'Resolved', color: 'bg-green-100 text-green-700', icon: CheckCircle2 },
+  CLOSED: { label: 'Closed', color: 'bg-gray-100 text-gray-700', icon: CheckCircle2 }
+};
+
+const CATEGORY_OPTIONS = [
+  { value: 'CASUALTY', label: 'Property Casualty' },
+  { value: 'TENANT_DEFAULT', label: 'Tenant Default' },
+  { value: 'LITIGATION', label: 'Litigation' },
+  { value: 'ENVIRONMENTAL', label: 'Environmental' },
+  { value: 'REGULATORY', label: 'Regulatory' },
+  { value: 'FINANCING', label: 'Financing' },
+  { value: 'OTHER', label: 'Other' }
+];
+
+const EMPTY_ISSUE = {
+  title: '',
+  category: 'CASUALTY',
+  severity: 'MEDIUM',
+  occurredAt: '',
+  whatHappened: '',
+  impact: '',
+  whatWeAreDoing: '',
+  lpSummary: ''
+};
+
+function IssueRow({ issue, onSelect }) {
+  const severity = SEVERITY_CONFIG[issue.severity] || SEVERITY_CONFIG.MEDIUM;
+  const status = STATUS_CONFIG[issue.status] || STATUS_CONFIG.OPEN;
+  const StatusIcon = status.icon;
+  const category = CATEGORY_OPTIONS.find(c => c.value === issue.category);
+
+  return (
+    <tr
+      className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+      onClick={() => onSelect(issue)}
+    >
+      <td className="py-4 px-4">
+        <div className="font-medium text-gray-900">{issue.title}</div>
+        <div className="text-sm text-gray-500">
+          {category?.label || issue.category}
+          {issue.updateCount ? ` • ${issue.updateCount} update${issue.updateCount !== 1 ? 's' : ''}` : ''}
+        </div>
+      </td>
+      <td className="py-4 px-4">
+        <Badge className={severity.color}>{severity.label}</Badge>
+      </td>
+      <td className="py-4 px-4">
+        <Badge className={cn("gap-1", status.color)}>
+          <StatusIcon className="w-3 h-3" />
+          {status.label}
+        </Badge>
+      </td>
+      <td className="py-4 px-4 text-sm text-gray-600">{issue.ownerName || '-'}</td>
+      <td className="py-4 px-4 text-sm">
+        {issue.publishedAt ? (
+          <span className="flex items-center gap-1 text-green-700"><Eye className="w-4 h-4" />Published</span>
+        ) : (
+          <span className="flex items-center gap-1 text-gray-500"><EyeOff className="w-4 h-4" />Internal</span>
+        )}
+      </td>
+      <td className="py-4 px-4 text-sm text-gray-600">
+        {formatDate(issue.createdAt)}
+        {issue.escalationLevel > 0 && (
+          <div className="flex items-center gap-1 text-xs text-red-600 mt-1">
+            <ShieldAlert className="w-3 h-3" />
+            {issue.escalationLabel}
+          </div>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+function CreateIssueDialog({ open, onClose, dealId }) {
+  const { authToken } = useAuth();
+  const queryClient = useQueryClient();
+  const [formData, setFormData] = useState(EMPTY_ISSUE);
+
+  const createMutation = useMutation({
+    mutationFn: async (data) => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${dealId}/issues`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+        },
+        body: JSON.stringify({
+          ...data,
+          occurredAt: data.occurredAt || undefined,
+          impact: data.impact || undefined,
+          whatWeAreDoing: data.whatWeAreDoing || undefined,
+          lpSummary: data.lpSummary || undefined
+        })
+      });
+      if (!res.ok) throw await readError(res, 'Failed to log issue');
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['deal-issues']);
+      toast({ title: 'Issue logged' });
+      setFormData(EMPTY_ISSUE);
+      onClose();
+    },
+    onError: (error) => {
+      toast({ title: 'Error', description: error.message, variant: 'destructive' });
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.title || !formData.whatHappened) {
+      toast({ title: 'Missing fields', description: 'Title and what happened are required', variant: 'destructive' });
+      return;
+    }
+    createMutation.mutate(formData);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Log Issue</DialogTitle>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+            <Input
+              value={formData.title}
+              onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+              placeholder="e.g., Storm damage to Building B roof"
+            />
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <Select value={formData.category} onValueChange={(v) => setFormData({ ...formData, category: v })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {CATEGORY_OPTIONS.map(opt => (
+                    <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Severity</label>
+              <Select value={formData.severity} onValueChange={(v) => setFormData({ ...formData, severity: v })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(SEVERITY_CONFIG).map(([value, config]) => (
+                    <SelectItem key={value} value={value}>{config.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Occurred</label>
+              <Input
+                type="date"
+                value={formData.occurredAt}
+                onChange={(e) => setFormData({ ...formData, occurredAt: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">What happened (internal) *</label>
+            <Textarea
+              value={formData.whatHappened}
+              onChange={(e) => setFormData({ ...formData, whatHappened: e.target.value })}
+              rows={3}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Impact</label>
+              <Textarea
+                value={formData.impact}
+                onChange={(e) => setFormData({ ...formData, impact: e.target.value })}
+                placeholder="Visible to LPs once published"
+                rows={2}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">What we are doing</label>
+              <Textarea
+                value={formData.whatWeAreDoing}
+                onChange={(e) => setFormData({ ...formData, whatWeAreDoing: e.target.value })}
+                placeholder="Visible to LPs once published"
+                rows={2}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">LP summary</label>
+            <Textarea
+              value={formData.lpSummary}
+              onChange={(e) => setFormData({ ...formData, lpSummary: e.target.value })}
+              placeholder="LP-safe description, shown instead of the internal account"
+              rows={2}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>Cancel</Button>
+            <Button type="submit" disabled={createMutation.isPending}>
+              {createMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+              Log Issue
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function IssueDetailDialog({ issueRef, onClose }) {
+  const { authToken } = useAuth();
+  const queryClient = useQueryClient();
+  const [updateText, setUpdateText] = useState('');
+  const [newStatus, setNewStatus] = useState('');
+  const [resolution, setResolution] = useState('');
+  const [lpVisible, setLpVisible] = useState(false);
+  const [lpSummary, setLpSummary] = useState(null);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+  };
+
+  const issueQuery = useQuery({
+    queryKey: ['deal-issue', issueRef?.dealId, issueRef?.id],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${issueRef.dealId}/issues/${issueRef.id}`, { headers });
+      if (!res.ok) throw await readError(res, 'Failed to load issue');
+      return res.json();
+    },
+    enabled: !!issueRef
+  });
+
+  const onMutationSuccess = (message) => {
+    queryClient.invalidateQueries(['deal-issues']);
+    queryClient.invalidateQueries(['deal-issue', issueRef?.dealId, issueRef?.id]);
+    toast({ title: message });
+  };
+  const onMutationError = (error) => {
+    toast({ title: 'Error', description: error.message, variant: 'destructive' });
+  };
+
+  const postUpdateMutation = useMutation({
+    mutationFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${issueRef.dealId}/issues/${issueRef.id}/updates`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          updateText,
+          lpVisible,
+          status: newStatus || undefined,
+          resolution: newStatus === 'RESOLVED' ? resolution : undefined
+        })
+      });
+      if (!res.ok) throw await readError(res, 'Failed to post update');
+      return res.json();
+    },
+    onSuccess: () => {
+      setUpdateText('');
+      setNewStatus('');
+      setResolution('');
+      setLpVisible(false);
+      onMutationSuccess('Update posted');
+    },
+    onError: onMutationError
+  });
+
+  const publishMutation = useMutation({
+    mutationFn: async (summary) => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${issueRef.dealId}/issues/${issueRef.id}/publish`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ lpSummary: summary })
+      });
+      if (!res.ok) throw await readError(res, 'Failed to publish issue');
+      return res.json();
+    },
+    onSuccess: () => onMutationSuccess('Published to LP portal'),
+    onError: onMutationError
+  });
+
+  const issue = issueQuery.data?.issue;
+  const updates = issueQuery.data?.updates || [];
+  const isClosed = issue?.status === 'CLOSED';
+  const summaryDraft = lpSummary ?? issue?.lpSummary ?? '';
+
+  return (
+    <Dialog open={!!issueRef} onOpenChange={onClose}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{issueRef?.title}</DialogTitle>
+        </DialogHeader>
+
+        {issueQuery.isLoading || !issue ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge className={SEVERITY_CONFIG[issue.severity]?.color}>{SEVERITY_CONFIG[issue.severity]?.label}</Badge>
+              <Badge className={STATUS_CONFIG[issue.status]?.color}>{STATUS_CONFIG[issue.status]?.label}</Badge>
+              <span className="text-sm text-gray-500">
+                Logged {formatDate(issue.createdAt)} by {issue.createdByName}
+                {issue.ownerName && ` • Owner: ${issue.ownerName}`}
+              </span>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-4 space-y-3 text-sm">
+              <div>
+                <div className="font-medium text-gray-900">What happened</div>
+                <p className="text-gray-700 whitespace-pre-line">{issue.whatHappened}</p>
+              </div>
+              {issue.impact && (
+                <div>
+                  <div className="font-medium text-gray-900">Impact</div>
+                  <p className="text-gray-700 whitespace-pre-line">{issue.impact}</p>
+                </div>
+              )}
+              {issue.whatWeAreDoing && (
+                <div>
+                  <div className="font-medium text-gray-900">What we are doing</div>
+                  <p className="text-gray-700 whitespace-pre-line">{issue.whatWeAreDoing}</p>
+                </div>
+              )}
+              {issue.resolution && (
+                <div>
+                  <div className="font-medium text-gray-900">Resolution</div>
+                  <p className="text-gray-700 whitespace-pre-line">{issue.resolution}</p>
+                </div>
+              )}
+            </div>
+
+            {/* LP publication */}
+            {issue.publishedAt ? (
+              <div className="border border-green-200 bg-green-50 rounded-lg p-4 text-sm text-green-800">
+                <div className="font-medium mb-1">Published to LPs {formatDate(issue.publishedAt)} by {issue.publishedByName}</div>
+                <p className="whitespace-pre-line">{issue.lpSummary}</p>
+              </div>
+            ) : !isClosed && (
+              <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+                <div className="font-medium text-gray-900">Publish to LP portal</div>
+                <Textarea
+                  value={summaryDraft}
+                  onChange={(e) => setLpSummary(e.target.value)}
+                  placeholder="LP-safe summary (internal details are never shown to LPs)"
+                  rows={3}
+                />
+                <Button
+                  size="sm"
+                  onClick={() => publishMutation.mutate(summaryDraft)}
+                  disabled={!summaryDraft.trim() || publishMutation.isPending}
+                >
+                  {publishMutation.isPending ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Send className="w-3 h-3 mr-1" />}
+                  Publish
+                </Button>
+              </div>
+            )}
+
+            {/* Timeline */}
+            <div>
+              <h4 className="font-medium text-gray-900 mb-3">Updates</h4>
+              {updates.length === 0 ? (
+                <p className="text-sm text-gray-500">No updates yet.</p>
+              ) : (
+                <ol className="space-y-3">
+                  {updates.map(update => (
+                    <li key={update.id} className="border-l-2 border-gray-200 pl-3">
+                      <div className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+                        <span>{formatDateTime(update.createdAt)} • {update.createdByName}</span>
+                        {update.statusTo && (
+                          <Badge variant="outline" className="text-xs">
+                            {STATUS_CONFIG[update.statusFrom]?.label} → {STATUS_CONFIG[update.statusTo]?.label}
+                          </Badge>
+                        )}
+                        {update.lpVisible ? <Eye className="w-3 h-3 text-green-600" /> : <EyeOff className="w-3 h-3" />}
+                      </div>
+                      <p className="text-sm text-gray-700 whitespace-pre-line">{update.updateText}</p>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
+            {!isClosed && (
+              <div className="border-t border-gray-100 pt-4 space-y-3">
+                <Textarea
+                  value={updateText}
+                  onChange={(e) => setUpdateText(e.target.value)}
+                  placeholder="Post an update..."
+                  rows={3}
+                />
+                <div className="flex flex-wrap items-center gap-4">
+                  <Select value={newStatus || 'unchanged'} onValueChange={(v) => setNewStatus(v === 'unchanged' ? '' : v)}>
+                    <SelectTrigger className="w-[200px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="unchanged">Status unchanged</SelectItem>
+                      {Object.entries(STATUS_CONFIG)
+                        .filter(([value]) => value !== issue.status)
+                        .map(([value, config]) => (
+                          <SelectItem key={value} value={value}>Move to {config.label}</SelectItem>
+                        ))}
+                    </SelectContent>
+                  </Select>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={lpVisible}
+                      onChange={(e) => setLpVisible(e.target.checked)}
+                    />
+                    Visible to LPs
+                  </label>
+                </div>
+                {newStatus === 'RESOLVED' && (
+                  <Textarea
+                    value={resolution}
+                    onChange={(e) => setResolution(e.target.value)}
+                    placeholder="Resolution (internal)"
+                    rows={2}
+                  />
+                )}
+                <DialogFooter>
+                  <Button
+                    onClick={() => postUpdateMutation.mutate()}
+                    disabled={!updateText.trim() || postUpdateMutation.isPending}
+                  >
+                    {postUpdateMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+                    Post Update
+                  </Button>
+                </DialogFooter>
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default function DealIssues() {
+  const { authToken } = useAuth();
+  const urlParams = new URLSearchParams(window.location.search);
+  const [selectedDeal, setSelectedDeal] = useState(urlParams.get('dealId') || '');
+  const [statusFilter, setStatusFilter] = useState('unresolved');
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [showCreateDialog, setShowCreateDialog] = useState(false);
+  const [selectedIssue, setSelectedIssue] = useState(
+    urlParams.get('issueId') && urlParams.get('dealId')
+      ? { id: urlParams.get('issueId'), dealId: urlParams.get('dealId') }
+      : null
+  );
+
+  const dealsQuery = useQuery({
+    queryKey: ['deals'],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+        }
+      });
+      if (!res.ok) throw new Error('Failed to fetch deals');
+      return res.json();
+    }
+  });
+
+  const deals = dealsQuery.data || [];
+  const dealId = selectedDeal || deals[0]?.id || '';
+
+  const issuesQuery = useQuery({
+    queryKey: ['deal-issues', dealId, severityFilter],
+    queryFn: async () => {
+      const query = severityFilter !== 'all' ? `?severity=${severityFilter}` : '';
+      const res = await fetch(`${BFF_BASE}/api/deals/${dealId}/issues${query}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+        }
+      });
+      if (!res.ok) throw await readError(res, 'Failed to fetch issues');
+      return res.json();
+    },
+    enabled: !!dealId
+  });
+
+  const issues = (issuesQuery.data?.issues || []).filter(issue => {
+    if (statusFilter === 'unresolved') return ['OPEN', 'INVESTIGATING', 'MITIGATING'].includes(issue.status);
+    if (statusFilter === 'resolved') return ['RESOLVED', 'CLOSED'].includes(issue.status);
+    return true;
+  });
+
+  const isLoading = dealsQuery.isLoading || issuesQuery.isLoading;
+
+  return (
+    <div className="p-8 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="flex-1">
+          <h1 className="text-2xl font-semibold text-gray-900 tracking-tight">Deal Issues</h1>
+          <p className="text-sm text-gray-500 mt-1">Track property incidents and keep LPs informed</p>
+        </div>
+        <Button onClick={() => setShowCreateDialog(true)} disabled={!dealId}>
+          <Plus className="w-4 h-4 mr-2" />
+          Log Issue
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex gap-4 mb-6">
+        <Select value={dealId} onValueChange={setSelectedDeal}>
+          <SelectTrigger className="w-[240px]">
+            <SelectValue placeholder="Select a deal" />
+          </SelectTrigger>
+          <SelectContent>
+            {deals.map(deal => (
+              <SelectItem key={deal.id} value={deal.id}>{deal.name || deal.id}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={statusFilter} onValueChange={setStatusFilter}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="unresolved">Unresolved</SelectItem>
+            <SelectItem value="resolved">Resolved</SelectItem>
+            <SelectItem value="all">All Statuses</SelectItem>
+          </SelectContent>
+        </Select>
+        <Select value={severityFilter} onValueChange={setSeverityFilter}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All Severities</SelectItem>
+            {Object.entries(SEVERITY_CONFIG).map(([value, config]) => (
+              <SelectItem key={value} value={value}>{config.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {/* Issues Table */}
+      <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+          </div>
+        ) : issues.length === 0 ? (
+          <div className="text-center py-12">
+            <CheckCircle2 className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No Issues</h3>
+            <p className="text-gray-500">Nothing matches these filters.</p>
+          </div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Issue</th>
+                <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Severity</th>
+                <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Status</th>
+                <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Owner</th>
+                <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">LP Portal</th>
+                <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Logged</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map(issue => (
+                <IssueRow key={issue.id} issue={issue} onSelect={setSelectedIssue} />
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <CreateIssueDialog
+        open={showCreateDialog}
+        onClose={() => setShowCreateDialog(false)}
+        dealId={dealId}
+      />
+
+      <IssueDetailDialog
+        key={selectedIssue?.id}
+        issueRef={selectedIssue}
+        onClose={() => setSelectedIssue(null)}
+      />
+    </div>
+  );
+}
@@ -1,15 +1,17 @@
 import React, { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { Link, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { createPageUrl } from '../utils';
 import { useAuth } from '@/lib/AuthContext';
 import {
   Users, DollarSign, TrendingUp, ChevronRight,
   Plus, Search, Loader2,
-  Banknote, PiggyBank, FileText, Send
+  Banknote, PiggyBank, FileText, Send,
+  Landmark, Eye, Clock, ShieldCheck, XCircle
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
 import { Badge } from '@/components/ui/badge';
 import {
   Select,
@@ -18,6 +20,14 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
 import { cn } from '@/lib/utils';
 
 const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || '';
@@ -32,6 +42,15 @@ function formatCurrency(value) {
   }).format(value);
 }
 
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
 function SummaryCard({ icon: Icon, label, value, subtext, color = 'blue' }) {
   const colors = {
     blue: 'bg-blue-50 text-blue-600',
@@ -54,7 +73,7 @@ function SummaryCard({ icon: Icon, label, value, subtext, color = 'blue' }) {
   );
 }
 
-function InvestorRow({ investor, deals }) {
+function InvestorRow({ investor, deals, onOpenPaymentDetails }) {
   const deal = deals.find(d => d.id === investor.dealId);
 
   return (
@@ -90,6 +109,9 @@ function InvestorRow({ investor, deals }) {
         </Badge>
       </td>
       <td className="py-4 px-4 text-right">
+        <Button variant="ghost" size="sm" title="Payment details" onClick={() => onOpenPaymentDetails(investor)}>
+          <Landmark className="w-4 h-4" />
+        </Button>
         <Button variant="ghost" size="sm">
           <ChevronRight className="w-4 h-4" />
         </Button>
@@ -98,11 +120,271 @@ function InvestorRow({ investor, deals }) {
   );
 }
 
+const VERIFICATION_METHODS = [
+  { value: 'PHONE_CALLBACK', label: 'Phone callback to number on file' },
+  { value: 'VIDEO_CALL', label: 'Video call' },
+  { value: 'IN_PERSON', label: 'In person' }
+];
+
+function MaskedDetails({ details, revealed }) {
+  const show = (field) => revealed?.[field] || details[field] || '-';
+
+  return (
+    <div className="grid grid-cols-2 gap-3 text-sm">
+      <div>
+        <div className="text-gray-500">Bank</div>
+        <div className="font-medium">{details.bankName || '-'}</div>
+      </div>
+      <div>
+        <div className="text-gray-500">Name on account</div>
+        <div className="font-medium">{details.accountName || '-'}</div>
+      </div>
+      <div>
+        <div className="text-gray-500">Account ({details.accountType || 'type unknown'})</div>
+        <div className="font-mono">{show('accountNumber')}</div>
+      </div>
+      <div>
+        <div className="text-gray-500">Routing</div>
+        <div className="font-mono">{show('routingNumber')}</div>
+      </div>
+      <div>
+        <div className="text-gray-500">{details.taxIdType || 'Tax ID'}</div>
+        <div className="font-mono">{show('taxId')}</div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Masked LP payment details with audited reveal, and out-of-band
+ * verification of pending change requests
+ */
+function PaymentProfileDialog({ investor, open, onOpenChange }) {
+  const { authToken } = useAuth();
+  const queryClient = useQueryClient();
+  const [revealReason, setRevealReason] = useState('');
+  const [revealedProfile, setRevealedProfile] = useState(null);
+  const [revealedChange, setRevealedChange] = useState(null);
+  const [method, setMethod] = useState('PHONE_CALLBACK');
+  const [notes, setNotes] = useState('');
+  const [rejectReason, setRejectReason] = useState('');
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+  };
+
+  const profilesQuery = useQuery({
+    queryKey: ['payment-profiles', investor?.dealId],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${investor.dealId}/payment-profiles`, { headers });
+      if (!res.ok) throw new Error('Failed to fetch payment details');
+      return res.json();
+    },
+    enabled: open && !!investor?.dealId
+  });
+
+  const entry = profilesQuery.data?.profiles?.find(p => p.lpActorId === investor?.id);
+  const profile = entry?.profile;
+  const pendingChange = entry?.pendingChange;
+
+  const postAction = async (path, body) => {
+    const res = await fetch(`${BFF_BASE}/api/deals/${investor.dealId}/${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      throw new Error([data?.message || 'Request failed', ...(data?.details || [])].join(': '));
+    }
+    return data;
+  };
+
+  const clearRevealed = () => {
+    setRevealedProfile(null);
+    setRevealedChange(null);
+  };
+
+  const onError = (error) => {
+    toast({ title: 'Error', description: error.message, variant: 'destructive' });
+  };
+
+  const revealMutation = useMutation({
+    mutationFn: ({ target }) => postAction(
+      target === 'profile'
+        ? `payment-profiles/${investor.id}/reveal`
+        : `payment-profile-changes/${pendingChange.id}/reveal`,
+      { reason: revealReason }
+    ),
+    onSuccess: (data, { target }) => {
+      (target === 'profile' ? setRevealedProfile : setRevealedChange)(data.values);
+      toast({ title: 'Unmasked view logged to the audit trail' });
+    },
+    onError
+  });
+
+  const verifyMutation = useMutation({
+    mutationFn: () => postAction(`payment-profile-changes/${pendingChange.id}/verify`, { method, notes }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['payment-profiles', investor.dealId]);
+      setNotes('');
+      clearRevealed();
+      toast({ title: 'Change verified and applied' });
+    },
+    onError
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: () => postAction(`payment-profile-changes/${pendingChange.id}/reject`, { reason: rejectReason }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['payment-profiles', investor.dealId]);
+      setRejectReason('');
+      clearRevealed();
+      toast({ title: 'Change rejected' });
+    },
+    onError
+  });
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen) {
+      // Never keep unmasked values around once the dialog closes
+      clearRevealed();
+      setRevealReason('');
+    }
+    onOpenChange(nextOpen);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Payment Details: {investor?.entityName}</DialogTitle>
+        </DialogHeader>
+
+        {profilesQuery.isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {profile ? (
+              <div className="space-y-3">
+                <MaskedDetails details={profile} revealed={revealedProfile} />
+                {profile.paymentHoldUntil && (
+                  <div className="flex items-center gap-2 text-sm text-amber-700">
+                    <Clock className="w-4 h-4" />
+                    <span>Changed {formatDate(profile.detailsChangedAt)}; distributions held until {formatDate(profile.paymentHoldUntil)}</span>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No payment details on file.</p>
+            )}
+
+            {(profile || pendingChange) && (
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Reason for viewing unmasked details (audited)"
+                  value={revealReason}
+                  onChange={(e) => setRevealReason(e.target.value)}
+                />
+                {profile && (
+                  <Button
+                    variant="outline"
+                    disabled={!revealReason.trim() || revealMutation.isPending}
+                    onClick={() => revealMutation.mutate({ target: 'profile' })}
+                  >
+                    <Eye className="w-4 h-4 mr-2" />
+                    Reveal
+                  </Button>
+                )}
+              </div>
+            )}
+
+            {pendingChange && (
+              <div className="border border-amber-200 bg-amber-50 rounded-lg p-4 space-y-4">
+                <div className="flex items-center justify-between">
+                  <div className="font-medium text-amber-900">
+                    Change requested by {pendingChange.requestedByName || 'LP'} on {formatDate(pendingChange.requestedAt)}
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={!revealReason.trim() || revealMutation.isPending}
+                    onClick={() => revealMutation.mutate({ target: 'change' })}
+                  >
+                    <Eye className="w-4 h-4 mr-2" />
+                    Reveal
+                  </Button>
+                </div>
+                <MaskedDetails details={pendingChange} revealed={revealedChange} />
+                <p className="text-sm text-amber-800">
+                  Call the LP on a phone number already on file (not one supplied with this request) and read back the new details before verifying.
+                </p>
+                <div className="space-y-2">
+                  <Select value={method} onValueChange={setMethod}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {VERIFICATION_METHODS.map(m => (
+                        <SelectItem key={m.value} value={m.value}>{m.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Textarea
+                    placeholder="Who you spoke with and the number you called"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                  />
+                  <Input
+                    placeholder="Rejection reason"
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {pendingChange && (
+          <DialogFooter>
+            <Button
+              variant="outline"
+              disabled={!rejectReason.trim() || rejectMutation.isPending}
+              onClick={() => rejectMutation.mutate()}
+            >
+              <XCircle className="w-4 h-4 mr-2" />
+              Reject
+            </Button>
+            <Button
+              disabled={!notes.trim() || verifyMutation.isPending}
+              onClick={() => verifyMutation.mutate()}
+            >
+              <ShieldCheck className="w-4 h-4 mr-2" />
+              Verify & Apply
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
 export default function Investors() {
   const navigate = useNavigate();
   const { authToken } = useAuth();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedDeal, setSelectedDeal] = useState('all');
+  const [searchParams] = useSearchParams();
+  // Opened from a payment change notification: /Investors?dealId=&lpActorId=
+  const [paymentInvestor, setPaymentInvestor] = useState(() => (
+    searchParams.get('lpActorId')
+      ? { id: searchParams.get('lpActorId'), dealId: searchParams.get('dealId') }
+      : null
+  ));
 
   // Fetch all deals
   const dealsQuery = useQuery({
@@ -350,12 +632,23 @@ export default function Investors() {
             </thead>
             <tbody>
               {filteredInvestors.map(investor => (
-                <InvestorRow key={investor.id} investor={investor} deals={deals} />
+                <InvestorRow
+                  key={investor.id}
+                  investor={investor}
+                  deals={deals}
+                  onOpenPaymentDetails={setPaymentInvestor}
+                />
               ))}
             </tbody>
           </table>
         )}
       </div>
+
+      <PaymentProfileDialog
+        investor={paymentInvestor && (investors.find(inv => inv.id === paymentInvestor.id) || paymentInvestor)}
+        open={!!paymentInvestor}
+        onOpenChange={(open) => !open && setPaymentInvestor(null)}
+      />
     </div>
   );
 }
@@ -30,6 +30,11 @@ function formatPercent(value) {
   return `${(value * 100).toFixed(1)}%`;
 }
 
+function formatMultiple(value) {
+  if (value === null || value === undefined) return '—';
+  return `${value.toFixed(2)}x`;
+}
+
 // Overview Tab Component
 function OverviewTab({ deal, lpActor }) {
   return (
@@ -228,6 +233,26 @@ function CapitalTab({ deal, lpActor }) {
         </div>
       </div>
 
+      {/* Since-inception returns from actual capital activity */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-white rounded-xl border border-gray-200 p-4">
+          <div className="text-xs text-gray-500 uppercase tracking-wide mb-1">Net IRR</div>
+          <div className="text-xl font-bold text-gray-900">{formatPercent(performance.irr)}</div>
+        </div>
+        <div className="bg-white rounded-xl border border-gray-200 p-4">
+          <div className="text-xs text-gray-500 uppercase tracking-wide mb-1">TVPI</div>
+          <div className="text-xl font-bold text-gray-900">{formatMultiple(performance.tvpi)}</div>
+        </div>
+        <div className="bg-white rounded-xl border border-gray-200 p-4">
+          <div className="text-xs text-gray-500 uppercase tracking-wide mb-1">DPI</div>
+          <div className="text-xl font-bold text-gray-900">{formatMultiple(performance.dpi)}</div>
+        </div>
+        <div className="bg-white rounded-xl border border-gray-200 p-4">
+          <div className="text-xs text-gray-500 uppercase tracking-wide mb-1">RVPI</div>
+          <div className="text-xl font-bold text-gray-900">{formatMultiple(performance.rvpi)}</div>
+        </div>
+      </div>
+
       {/* Capital activity timeline */}
       <div className="bg-white rounded-xl border border-gray-200">
         <div className="p-4 border-b border-gray-100">
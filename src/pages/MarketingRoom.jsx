@@ -0,0 +1,652 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/lib/AuthContext';
+import {
+  Megaphone, Loader2, CheckCircle2, XCircle, UserPlus, Copy, Eye, Lock, Unlock
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import { cn } from '@/lib/utils';
+
+const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || '';
+
+function formatCurrency(amount) {
+  if (amount === null || amount === undefined) return '-';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+async function readError(res, fallback) {
+  const body = await res.json().catch(() => null);
+  const details = Array.isArray(body?.details) ? `: ${body.details.join('; ')}` : '';
+  return new Error(`${body?.message || fallback}${details}`);
+}
+
+const ROOM_STATUS_CONFIG = {
+  DRAFT: { label: 'Draft', color: 'bg-gray-100 text-gray-700' },
+  OPEN: { label: 'Open', color: 'bg-green-100 text-green-700' },
+  CLOSED: { label: 'Closed', color: 'bg-slate-200 text-slate-700' }
+};
+
+const ACCESS_STATUS_CONFIG = {
+  PENDING: { label: 'Pending', color: 'bg-amber-100 text-amber-700' },
+  APPROVED: { label: 'Approved', color: 'bg-green-100 text-green-700' },
+  REJECTED: { label: 'Rejected', color: 'bg-red-100 text-red-700' }
+};
+
+const INTEREST_STATUS_CONFIG = {
+  INDICATED: { label: 'Soft-circled', color: 'bg-blue-100 text-blue-700' },
+  WITHDRAWN: { label: 'Withdrawn', color: 'bg-gray-100 text-gray-600' },
+  CONVERTED: { label: 'Invited', color: 'bg-green-100 text-green-700' }
+};
+
+const RISK_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+function toForm(room) {
+  return {
+    offeringName: room?.offeringName || '',
+    strategy: room?.strategy || '',
+    targetCloseDate: room?.targetCloseDate ? room.targetCloseDate.slice(0, 10) : '',
+    minCommitment: room?.minCommitment ?? '',
+    targetCommitment: room?.targetCommitment ?? '',
+    targetReturnIRR: room?.targetReturnIRR || '',
+    targetMultiple: room?.targetMultiple || '',
+    isGated: room?.isGated ?? true,
+    thesis: (room?.thesis || []).join('\n'),
+    // One risk per line: "HIGH: Lease-up takes longer than plan"
+    keyRisks: (room?.keyRisks || []).map(r => `${r.severity}: ${r.risk}`).join('\n'),
+    documentIds: room?.documentIds || []
+  };
+}
+
+function fromForm(form) {
+  const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+  return {
+    offeringName: form.offeringName || null,
+    strategy: form.strategy || null,
+    targetCloseDate: form.targetCloseDate || null,
+    minCommitment: form.minCommitment === '' ? null : Number(form.minCommitment),
+    targetCommitment: form.targetCommitment === '' ? null : Number(form.targetCommitment),
+    targetReturnIRR: form.targetReturnIRR || null,
+    targetMultiple: form.targetMultiple || null,
+    isGated: form.isGated,
+    thesis: lines(form.thesis),
+    keyRisks: lines(form.keyRisks).map(line => {
+      const [head, ...rest] = line.split(':');
+      const severity = head.trim().toUpperCase();
+      return RISK_SEVERITIES.includes(severity) && rest.length > 0
+        ? { severity, risk: rest.join(':').trim() }
+        : { severity: 'MEDIUM', risk: line };
+    }),
+    documentIds: form.documentIds
+  };
+}
+
+function RoomEditor({ dealId, room, availableDocuments, onSaved }) {
+  const { authToken } = useAuth();
+  const [form, setForm] = useState(() => toForm(room));
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const saveMutation = useMutation({
+    mutationFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${dealId}/marketing-room`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+        },
+        body: JSON.stringify(fromForm(form))
+      });
+      if (!res.ok) throw await readError(res, 'Failed to save marketing room');
+      return res.json();
+    },
+    onSuccess: () => {
+      toast({ title: 'Marketing room saved' });
+      onSaved();
+    },
+    onError: (error) => {
+      toast({ title: 'Error', description: error.message, variant: 'destructive' });
+    }
+  });
+
+  const toggleDocument = (id) => {
+    setForm(prev => ({
+      ...prev,
+      documentIds: prev.documentIds.includes(id)
+        ? prev.documentIds.filter(docId => docId !== id)
+        : [...prev.documentIds, id]
+    }));
+  };
+
+  const readOnly = room?.status === 'CLOSED';
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <Input placeholder="Offering name" value={form.offeringName} onChange={set('offeringName')} disabled={readOnly} />
+        <Input placeholder="Strategy (e.g. Value-add multifamily)" value={form.strategy} onChange={set('strategy')} disabled={readOnly} />
+        <Input type="number" placeholder="Target raise" value={form.targetCommitment} onChange={set('targetCommitment')} disabled={readOnly} />
+        <Input type="number" placeholder="Minimum commitment" value={form.minCommitment} onChange={set('minCommitment')} disabled={readOnly} />
+        <Input placeholder="Target IRR (e.g. 15-18%)" value={form.targetReturnIRR} onChange={set('targetReturnIRR')} disabled={readOnly} />
+        <Input placeholder="Target multiple (e.g. 1.8-2.2x)" value={form.targetMultiple} onChange={set('targetMultiple')} disabled={readOnly} />
+        <div>
+          <label className="text-sm text-gray-500">Target close</label>
+          <Input type="date" value={form.targetCloseDate} onChange={set('targetCloseDate')} disabled={readOnly} />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 mt-6">
+          <input
+            type="checkbox"
+            checked={form.isGated}
+            onChange={(e) => setForm(prev => ({ ...prev, isGated: e.target.checked }))}
+            disabled={readOnly}
+          />
+          Approve each prospect before they can enter
+        </label>
+      </div>
+      <div>
+        <label className="text-sm text-gray-500">Investment thesis (one point per line)</label>
+        <Textarea rows={4} value={form.thesis} onChange={set('thesis')} disabled={readOnly} />
+      </div>
+      <div>
+        <label className="text-sm text-gray-500">Key risks (one per line, e.g. "HIGH: Lease-up slower than plan")</label>
+        <Textarea rows={3} value={form.keyRisks} onChange={set('keyRisks')} disabled={readOnly} />
+      </div>
+      <div>
+        <label className="text-sm text-gray-500">Documents in the room</label>
+        {availableDocuments.length === 0 ? (
+          <p className="text-sm text-gray-400 mt-1">Upload documents in the LP document center first.</p>
+        ) : (
+          <div className="grid grid-cols-2 gap-2 mt-1">
+            {availableDocuments.map(doc => (
+              <label key={doc.id} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.documentIds.includes(doc.id)}
+                  onChange={() => toggleDocument(doc.id)}
+                  disabled={readOnly}
+                />
+                {doc.filename}
+                <span className="text-xs text-gray-400">{doc.category}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+      {!readOnly && (
+        <div className="flex justify-end">
+          <Button onClick={() => saveMutation.mutate()} disabled={saveMutation.isPending}>
+            {saveMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+            {room ? 'Save Changes' : 'Create Marketing Room'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CommitmentTracker({ tracker }) {
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <h2 className="text-lg font-medium text-gray-900 mb-4">Commitment Tracker</h2>
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <div>
+          <div className="text-sm text-gray-500">Target</div>
+          <div className="text-xl font-semibold">{formatCurrency(tracker.targetCommitment)}</div>
+        </div>
+        <div>
+          <div className="text-sm text-gray-500">Soft-circled</div>
+          <div className="text-xl font-semibold text-blue-700">{formatCurrency(tracker.softCircled)}</div>
+          <div className="text-xs text-gray-500">{tracker.indicationCount} indications</div>
+        </div>
+        <div>
+          <div className="text-sm text-gray-500">Invited</div>
+          <div className="text-xl font-semibold text-amber-700">{formatCurrency(tracker.invited)}</div>
+        </div>
+        <div>
+          <div className="text-sm text-gray-500">Committed</div>
+          <div className="text-xl font-semibold text-green-700">{formatCurrency(tracker.committed)}</div>
+          <div className="text-xs text-gray-500">{formatCurrency(tracker.remaining)} remaining</div>
+        </div>
+      </div>
+      <div className="space-y-2">
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>Soft-circled {tracker.softCircledPct ?? 0}% of target</span>
+          <span>Committed {tracker.committedPct ?? 0}%</span>
+        </div>
+        <Progress value={Math.min(100, tracker.softCircledPct ?? 0)} className="bg-blue-100" />
+        <Progress value={Math.min(100, tracker.committedPct ?? 0)} className="bg-green-100" />
+      </div>
+    </div>
+  );
+}
+
+function ConversionFunnel({ funnel }) {
+  const top = funnel[0]?.count || 0;
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <h2 className="text-lg font-medium text-gray-900 mb-4">Conversion Funnel</h2>
+      <div className="space-y-3">
+        {funnel.map(stage => (
+          <div key={stage.key}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="text-gray-700">{stage.label}</span>
+              <span className="text-gray-900 font-medium">
+                {stage.count}
+                {stage.rate !== null && (
+                  <span className="text-gray-400 font-normal ml-2">{Math.round(stage.rate * 100)}%</span>
+                )}
+              </span>
+            </div>
+            <Progress value={top > 0 ? (stage.count / top) * 100 : 0} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ConvertDialog({ dealId, interest, shareClasses, onClose }) {
+  const { authToken } = useAuth();
+  const queryClient = useQueryClient();
+  const [commitment, setCommitment] = useState(interest?.indicatedAmount ?? '');
+  const [ownershipPct, setOwnershipPct] = useState(interest?.suggestedOwnershipPct ?? '');
+  const [shareClassId, setShareClassId] = useState(interest?.shareClassId || '');
+  const [lpEntityName, setLpEntityName] = useState(interest?.company || interest?.name || '');
+
+  const convertMutation = useMutation({
+    mutationFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${dealId}/marketing-room/interests/${interest.id}/convert`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+        },
+        body: JSON.stringify({
+          commitment: Number(commitment),
+          ownershipPct: ownershipPct === '' ? undefined : Number(ownershipPct),
+          shareClassId: shareClassId || undefined,
+          lpEntityName: lpEntityName || undefined
+        })
+      });
+      if (!res.ok) throw await readError(res, 'Failed to send invitation');
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['marketing-room', dealId]);
+      toast({ title: 'Invitation sent', description: `${interest.email} has been invited to subscribe` });
+      onClose();
+    },
+    onError: (error) => {
+      toast({ title: 'Error', description: error.message, variant: 'destructive' });
+    }
+  });
+
+  return (
+    <Dialog open={!!interest} onOpenChange={onClose}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Invite {interest?.name || interest?.email} as LP</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-3">
+          <p className="text-sm text-gray-500">
+            Soft-circled {formatCurrency(interest?.indicatedAmount)}. The invitation uses these terms and can be adjusted before sending.
+          </p>
+          <Input placeholder="LP entity name" value={lpEntityName} onChange={(e) => setLpEntityName(e.target.value)} />
+          <div className="grid grid-cols-2 gap-3">
+            <Input type="number" placeholder="Commitment" value={commitment} onChange={(e) => setCommitment(e.target.value)} />
+            <Input type="number" placeholder="Ownership %" value={ownershipPct} onChange={(e) => setOwnershipPct(e.target.value)} />
+          </div>
+          {shareClasses.length > 0 && (
+            <Select value={shareClassId} onValueChange={setShareClassId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Share class" />
+              </SelectTrigger>
+              <SelectContent>
+                {shareClasses.map(sc => (
+                  <SelectItem key={sc.id} value={sc.id}>{sc.name} ({sc.code})</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={() => convertMutation.mutate()} disabled={!commitment || convertMutation.isPending}>
+            {convertMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <UserPlus className="w-4 h-4 mr-2" />}
+            Send Invitation
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default function MarketingRoom() {
+  const { authToken } = useAuth();
+  const queryClient = useQueryClient();
+  const urlParams = new URLSearchParams(window.location.search);
+  const [selectedDeal, setSelectedDeal] = useState(urlParams.get('dealId') || '');
+  const [convertingInterest, setConvertingInterest] = useState(null);
+
+  const authHeaders = {
+    'Content-Type': 'application/json',
+    ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+  };
+
+  const dealsQuery = useQuery({
+    queryKey: ['deals'],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals`, { headers: authHeaders });
+      if (!res.ok) throw new Error('Failed to fetch deals');
+      return res.json();
+    }
+  });
+
+  const deals = dealsQuery.data || [];
+  const dealId = selectedDeal || deals[0]?.id || '';
+
+  const roomQuery = useQuery({
+    queryKey: ['marketing-room', dealId],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${dealId}/marketing-room`, { headers: authHeaders });
+      if (!res.ok) throw await readError(res, 'Failed to fetch marketing room');
+      return res.json();
+    },
+    enabled: !!dealId
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: async (status) => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${dealId}/marketing-room/status`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({ status })
+      });
+      if (!res.ok) throw await readError(res, 'Failed to change room status');
+      return res.json();
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['marketing-room', dealId]);
+      toast({ title: data.room.status === 'OPEN' ? 'Marketing room opened' : 'Marketing room closed' });
+    },
+    onError: (error) => {
+      toast({ title: 'Error', description: error.message, variant: 'destructive' });
+    }
+  });
+
+  const reviewMutation = useMutation({
+    mutationFn: async ({ accessId, decision }) => {
+      const res = await fetch(`${BFF_BASE}/api/deals/${dealId}/marketing-room/access/${accessId}/${decision}`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({})
+      });
+      if (!res.ok) throw await readError(res, 'Failed to review access request');
+      return res.json();
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['marketing-room', dealId]);
+      toast({
+        title: data.access.status === 'APPROVED' ? 'Access granted' : 'Access rejected',
+        description: data.access.status === 'APPROVED' ? `A room link was emailed to ${data.access.email}` : undefined
+      });
+    },
+    onError: (error) => {
+      toast({ title: 'Error', description: error.message, variant: 'destructive' });
+    }
+  });
+
+  const data = roomQuery.data;
+  const room = data?.room;
+  const accessRequests = data?.accessRequests || [];
+  const interests = data?.interests || [];
+  const isLoading = dealsQuery.isLoading || roomQuery.isLoading;
+  const roomStatus = room ? ROOM_STATUS_CONFIG[room.status] : null;
+
+  const copyRequestLink = () => {
+    navigator.clipboard.writeText(`${window.location.origin}/portal/marketing/${room.id}/request`);
+    toast({ title: 'Link copied', description: 'Share it with prospects to request access' });
+  };
+
+  return (
+    <div className="p-8 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center gap-4 mb-8">
+        <div className="flex-1">
+          <h1 className="text-2xl font-semibold text-gray-900 tracking-tight flex items-center gap-3">
+            Marketing Room
+            {roomStatus && <Badge className={roomStatus.color}>{roomStatus.label}</Badge>}
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">Market the raise, track soft-circles and invite committed LPs</p>
+        </div>
+        <Select value={dealId} onValueChange={setSelectedDeal}>
+          <SelectTrigger className="w-[240px]">
+            <SelectValue placeholder="Select a deal" />
+          </SelectTrigger>
+          <SelectContent>
+            {deals.map(deal => (
+              <SelectItem key={deal.id} value={deal.id}>{deal.name || deal.id}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {room?.status === 'OPEN' && (
+          <Button variant="outline" onClick={copyRequestLink}>
+            <Copy className="w-4 h-4 mr-2" />
+            Copy Invite Link
+          </Button>
+        )}
+        {room && room.status !== 'OPEN' && (
+          <Button onClick={() => statusMutation.mutate('OPEN')} disabled={statusMutation.isPending}>
+            <Unlock className="w-4 h-4 mr-2" />
+            {room.status === 'CLOSED' ? 'Reopen' : 'Open Room'}
+          </Button>
+        )}
+        {room?.status === 'OPEN' && (
+          <Button variant="outline" onClick={() => statusMutation.mutate('CLOSED')} disabled={statusMutation.isPending}>
+            <Lock className="w-4 h-4 mr-2" />
+            Close Room
+          </Button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+        </div>
+      ) : !dealId ? (
+        <div className="text-center py-12">
+          <Megaphone className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500">Select a deal to set up its marketing room.</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {room && (
+            <div className="grid grid-cols-2 gap-6">
+              <CommitmentTracker tracker={data.tracker} />
+              <ConversionFunnel funnel={data.funnel} />
+            </div>
+          )}
+
+          {/* Prospects */}
+          {room && (
+            <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Prospects</h2>
+              </div>
+              {accessRequests.length === 0 ? (
+                <p className="text-sm text-gray-500 px-6 py-8 text-center">No access requests yet.</p>
+              ) : (
+                <table className="w-full">
+                  <thead className="bg-gray-50 border-b border-gray-200">
+                    <tr>
+                      <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Prospect</th>
+                      <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Requested</th>
+                      <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Status</th>
+                      <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Activity</th>
+                      <th className="py-3 px-4"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {accessRequests.map(access => {
+                      const status = ACCESS_STATUS_CONFIG[access.status] || ACCESS_STATUS_CONFIG.PENDING;
+                      return (
+                        <tr key={access.id} className="border-b border-gray-100">
+                          <td className="py-3 px-4">
+                            <div className="font-medium text-gray-900">{access.name || access.email}</div>
+                            <div className="text-sm text-gray-500">{[access.company, access.email].filter(Boolean).join(' • ')}</div>
+                          </td>
+                          <td className="py-3 px-4 text-sm text-gray-600">{formatDate(access.requestedAt)}</td>
+                          <td className="py-3 px-4">
+                            <Badge className={status.color}>{status.label}</Badge>
+                          </td>
+                          <td className="py-3 px-4 text-sm text-gray-600">
+                            {access.viewCount > 0 ? (
+                              <span className="flex items-center gap-1">
+                                <Eye className="w-4 h-4" />
+                                {access.viewCount} visit{access.viewCount !== 1 ? 's' : ''}, last {formatDate(access.lastViewedAt)}
+                              </span>
+                            ) : '-'}
+                          </td>
+                          <td className="py-3 px-4 text-right whitespace-nowrap">
+                            {access.status !== 'APPROVED' && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => reviewMutation.mutate({ accessId: access.id, decision: 'approve' })}
+                                disabled={reviewMutation.isPending}
+                              >
+                                <CheckCircle2 className="w-4 h-4 mr-1" />
+                                Approve
+                              </Button>
+                            )}
+                            {access.status !== 'REJECTED' && (
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                className="ml-2"
+                                onClick={() => reviewMutation.mutate({ accessId: access.id, decision: 'reject' })}
+                                disabled={reviewMutation.isPending}
+                              >
+                                <XCircle className="w-4 h-4 mr-1" />
+                                {access.status === 'APPROVED' ? 'Revoke' : 'Reject'}
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {/* Soft-circles */}
+          {room && (
+            <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Soft-Circles</h2>
+              </div>
+              {interests.length === 0 ? (
+                <p className="text-sm text-gray-500 px-6 py-8 text-center">No indications yet.</p>
+              ) : (
+                <table className="w-full">
+                  <thead className="bg-gray-50 border-b border-gray-200">
+                    <tr>
+                      <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Prospect</th>
+                      <th className="text-right py-3 px-4 text-sm font-medium text-gray-500">Indicated</th>
+                      <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Share Class</th>
+                      <th className="text-left py-3 px-4 text-sm font-medium text-gray-500">Status</th>
+                      <th className="py-3 px-4"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {interests.map(interest => {
+                      const status = INTEREST_STATUS_CONFIG[interest.status] || INTEREST_STATUS_CONFIG.INDICATED;
+                      const shareClass = data.shareClasses.find(sc => sc.id === interest.shareClassId);
+                      return (
+                        <tr key={interest.id} className={cn("border-b border-gray-100", interest.status === 'WITHDRAWN' && "opacity-60")}>
+                          <td className="py-3 px-4">
+                            <div className="font-medium text-gray-900">{interest.name || interest.email}</div>
+                            <div className="text-sm text-gray-500">{[interest.company, formatDate(interest.indicatedAt)].filter(Boolean).join(' • ')}</div>
+                          </td>
+                          <td className="py-3 px-4 text-right font-medium">{formatCurrency(interest.indicatedAmount)}</td>
+                          <td className="py-3 px-4 text-sm text-gray-600">{shareClass?.name || '-'}</td>
+                          <td className="py-3 px-4">
+                            <Badge className={status.color}>{status.label}</Badge>
+                            {interest.invitationStatus && (
+                              <span className="text-xs text-gray-500 ml-2">Invitation {interest.invitationStatus.toLowerCase()}</span>
+                            )}
+                          </td>
+                          <td className="py-3 px-4 text-right">
+                            {interest.status === 'INDICATED' && (
+                              <Button size="sm" onClick={() => setConvertingInterest(interest)}>
+                                <UserPlus className="w-4 h-4 mr-1" />
+                                Invite as LP
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {/* Room content */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">{room ? 'Room Content' : 'Set Up Marketing Room'}</h2>
+            <RoomEditor
+              key={`${dealId}-${room?.updatedAt || 'new'}`}
+              dealId={dealId}
+              room={room}
+              availableDocuments={data?.availableDocuments || []}
+              onSaved={() => queryClient.invalidateQueries(['marketing-room', dealId])}
+            />
+          </div>
+        </div>
+      )}
+
+      <ConvertDialog
+        key={convertingInterest?.id}
+        dealId={dealId}
+        interest={convertingInterest}
+        shareClasses={data?.shareClasses || []}
+        onClose={() => setConvertingInterest(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,415 @@
+import React, { useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Building2, FileText, CheckCircle, Loader2, AlertCircle, AlertTriangle,
+  TrendingUp, Target, Shield
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+
+const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || 'http://localhost:8787';
+
+// Direct API calls for portal (no auth required, token-based)
+const portalApi = {
+  getTeaser: async (roomId) => {
+    const res = await fetch(`${BFF_BASE}/api/marketing-rooms/${encodeURIComponent(roomId)}/teaser`);
+    if (!res.ok) throw { status: res.status, data: await res.json() };
+    return res.json();
+  },
+  requestAccess: async (roomId, body) => {
+    const res = await fetch(`${BFF_BASE}/api/marketing-rooms/${encodeURIComponent(roomId)}/access-requests`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) throw { status: res.status, data: await res.json() };
+    return res.json();
+  },
+  getRoom: async (token) => {
+    const res = await fetch(`${BFF_BASE}/api/portal/marketing?token=${encodeURIComponent(token)}`);
+    if (!res.ok) throw { status: res.status, data: await res.json() };
+    return res.json();
+  },
+  getDocument: async (token, documentId) => {
+    const res = await fetch(`${BFF_BASE}/api/portal/marketing/documents/${documentId}?token=${encodeURIComponent(token)}`);
+    if (!res.ok) throw { status: res.status, data: await res.json() };
+    return { blob: await res.blob(), fingerprint: res.headers.get('X-Watermark-Fingerprint') };
+  },
+  indicate: async (token, body) => {
+    const res = await fetch(`${BFF_BASE}/api/portal/marketing/interest?token=${encodeURIComponent(token)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) throw { status: res.status, data: await res.json() };
+    return res.json();
+  },
+  withdraw: async (token) => {
+    const res = await fetch(`${BFF_BASE}/api/portal/marketing/interest/withdraw?token=${encodeURIComponent(token)}`, {
+      method: 'POST'
+    });
+    if (!res.ok) throw { status: res.status, data: await res.json() };
+    return res.json();
+  }
+};
+
+function formatCurrency(value) {
+  if (value === null || value === undefined) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+}
+
+function formatDate(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+function errorMessage(error, fallback) {
+  const details = Array.isArray(error?.data?.details) ? ` ${error.data.details.join('; ')}` : '';
+  return `${error?.data?.message || fallback}${details}`;
+}
+
+const RISK_COLORS = {
+  HIGH: 'text-red-700 bg-red-50',
+  MEDIUM: 'text-amber-700 bg-amber-50',
+  LOW: 'text-gray-700 bg-gray-50'
+};
+
+function CenteredCard({ children }) {
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Public teaser and access request form
+ * Reached from the link the sponsor shares: /portal/marketing/:roomId/request
+ */
+export function MarketingRoomRequest() {
+  const { roomId } = useParams();
+  const [form, setForm] = useState({ email: '', name: '', company: '' });
+  const [submitted, setSubmitted] = useState(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['marketing-teaser', roomId],
+    queryFn: () => portalApi.getTeaser(roomId),
+    retry: false
+  });
+
+  const requestMutation = useMutation({
+    mutationFn: () => portalApi.requestAccess(roomId, form),
+    onSuccess: (result) => setSubmitted(result.message)
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <CenteredCard>
+        <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Offering Unavailable</h1>
+        <p className="text-gray-600">This offering is not currently accepting investors.</p>
+      </CenteredCard>
+    );
+  }
+
+  if (submitted) {
+    return (
+      <CenteredCard>
+        <CheckCircle className="w-12 h-12 text-emerald-600 mx-auto mb-4" />
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Request Received</h1>
+        <p className="text-gray-600">{submitted}</p>
+      </CenteredCard>
+    );
+  }
+
+  const room = data.room;
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <CenteredCard>
+      <Building2 className="w-12 h-12 text-blue-600 mx-auto mb-4" />
+      <h1 className="text-xl font-semibold text-gray-900 mb-1">{room.offeringName}</h1>
+      {room.strategy && <p className="text-gray-600 mb-2">{room.strategy}</p>}
+      <p className="text-sm text-gray-500 mb-6">
+        Minimum {formatCurrency(room.minCommitment)} • Target close {formatDate(room.targetCloseDate)}
+      </p>
+      <form
+        className="space-y-3 text-left"
+        onSubmit={(e) => {
+          e.preventDefault();
+          requestMutation.mutate();
+        }}
+      >
+        <Input type="email" required placeholder="Email" value={form.email} onChange={set('email')} />
+        <Input placeholder="Name" value={form.name} onChange={set('name')} />
+        <Input placeholder="Company" value={form.company} onChange={set('company')} />
+        {requestMutation.error && (
+          <p className="text-sm text-red-600">{errorMessage(requestMutation.error, 'Request failed')}</p>
+        )}
+        <Button type="submit" className="w-full" disabled={requestMutation.isPending}>
+          {requestMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+          {room.isGated ? 'Request Access' : 'Email Me the Room Link'}
+        </Button>
+      </form>
+    </CenteredCard>
+  );
+}
+
+export default function MarketingRoomPortal() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const queryClient = useQueryClient();
+  const [amount, setAmount] = useState('');
+  const [shareClassId, setShareClassId] = useState('');
+  const [notes, setNotes] = useState('');
+  const [openedDocument, setOpenedDocument] = useState(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['marketing-portal', token],
+    queryFn: () => portalApi.getRoom(token),
+    enabled: !!token,
+    retry: false
+  });
+
+  const documentMutation = useMutation({
+    mutationFn: (documentId) => portalApi.getDocument(token, documentId),
+    onSuccess: ({ blob, fingerprint }, documentId) => {
+      const doc = data?.room?.documents?.find(d => d.id === documentId);
+      const url = URL.createObjectURL(blob);
+      setOpenedDocument(prev => {
+        if (prev) URL.revokeObjectURL(prev.url);
+        return { filename: doc?.filename, fingerprint, url };
+      });
+    }
+  });
+
+  const indicateMutation = useMutation({
+    mutationFn: () => portalApi.indicate(token, {
+      indicatedAmount: Number(amount),
+      shareClassId: shareClassId || undefined,
+      notes: notes || undefined
+    }),
+    onSuccess: () => {
+      setAmount('');
+      queryClient.invalidateQueries(['marketing-portal', token]);
+    }
+  });
+
+  const withdrawMutation = useMutation({
+    mutationFn: () => portalApi.withdraw(token),
+    onSuccess: () => queryClient.invalidateQueries(['marketing-portal', token])
+  });
+
+  if (!token) {
+    return (
+      <CenteredCard>
+        <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Invalid Access</h1>
+        <p className="text-gray-600">No access token provided. Please use the link from your email.</p>
+      </CenteredCard>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <Loader2 className="w-8 h-8 animate-spin text-blue-600 mx-auto mb-4" />
+          <p className="text-gray-600">Loading offering...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <CenteredCard>
+        <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Access Error</h1>
+        <p className="text-gray-600">{errorMessage(error, 'Unable to load the offering. The link may have expired.')}</p>
+      </CenteredCard>
+    );
+  }
+
+  const { room, shareClasses, prospect } = data;
+  const indication = room.myIndication;
+  const hasLiveIndication = indication && indication.status !== 'WITHDRAWN';
+  const mutationError = indicateMutation.error || withdrawMutation.error || documentMutation.error;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-6 py-6">
+          <div className="text-sm text-gray-500 mb-1">Confidential offering • Prepared for {prospect.name || prospect.email}</div>
+          <h1 className="text-2xl font-bold text-gray-900">{room.offeringName}</h1>
+          {room.strategy && <p className="text-gray-600 mt-1">{room.strategy}</p>}
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-6 py-8 space-y-6">
+        {/* Terms */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            { label: 'Raise', value: formatCurrency(room.targetCommitment), icon: Target },
+            { label: 'Minimum', value: formatCurrency(room.minCommitment), icon: Shield },
+            { label: 'Target IRR', value: room.targetReturnIRR || '—', icon: TrendingUp },
+            { label: 'Target Multiple', value: room.targetMultiple || '—', icon: TrendingUp }
+          ].map(({ label, value, icon: Icon }) => (
+            <div key={label} className="bg-white rounded-xl border border-gray-200 p-4">
+              <div className="flex items-center gap-2 text-sm text-gray-500 mb-1">
+                <Icon className="w-4 h-4" />
+                {label}
+              </div>
+              <div className="text-lg font-semibold text-gray-900">{value}</div>
+            </div>
+          ))}
+        </div>
+
+        {mutationError && (
+          <div className="bg-red-50 rounded-xl border border-red-200 p-4 text-sm text-red-800">
+            {errorMessage(mutationError, 'Something went wrong')}
+          </div>
+        )}
+
+        <div className="grid md:grid-cols-3 gap-6">
+          <div className="md:col-span-2 space-y-6">
+            {/* Thesis */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Investment Thesis</h2>
+              <ul className="list-disc pl-5 space-y-2 text-gray-700">
+                {room.thesis.map((point, index) => <li key={index}>{point}</li>)}
+              </ul>
+            </div>
+
+            {/* Risks */}
+            {room.keyRisks.length > 0 && (
+              <div className="bg-white rounded-xl border border-gray-200 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">Key Risks</h2>
+                <div className="space-y-2">
+                  {room.keyRisks.map((risk, index) => (
+                    <div key={index} className={`flex items-start gap-2 rounded-lg p-3 text-sm ${RISK_COLORS[risk.severity] || RISK_COLORS.LOW}`}>
+                      <AlertTriangle className="w-4 h-4 mt-0.5" />
+                      <span>{risk.risk}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Documents */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Documents</h2>
+              {room.documents.length === 0 ? (
+                <p className="text-sm text-gray-500">No documents have been shared yet.</p>
+              ) : (
+                <div className="divide-y divide-gray-100">
+                  {room.documents.map(doc => (
+                    <button
+                      key={doc.id}
+                      className="w-full flex items-center gap-3 py-3 text-left hover:bg-gray-50"
+                      onClick={() => documentMutation.mutate(doc.id)}
+                    >
+                      <FileText className="w-5 h-5 text-gray-400" />
+                      <span className="flex-1 text-gray-900">{doc.filename}</span>
+                      {documentMutation.isPending && documentMutation.variables === doc.id && (
+                        <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {openedDocument && (
+                <div className="mt-4 rounded-lg border border-gray-200 bg-gray-50 p-4 text-sm">
+                  <div className="font-medium text-gray-900 mb-1">{openedDocument.filename}</div>
+                  <div className="text-xs text-gray-500 font-mono mb-2">Reference {openedDocument.fingerprint}</div>
+                  <a href={openedDocument.url} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-600 hover:underline">
+                    Open watermarked copy
+                  </a>
+                </div>
+              )}
+              <p className="text-xs text-gray-400 mt-4">
+                Documents are watermarked with your name and a unique reference. Do not forward.
+              </p>
+            </div>
+          </div>
+
+          {/* Soft-circle */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 h-fit">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Indicate Interest</h2>
+            <p className="text-sm text-gray-500 mb-4">Non-binding. The sponsor will follow up with subscription documents.</p>
+
+            {hasLiveIndication && (
+              <div className="bg-blue-50 rounded-lg p-3 mb-4 text-sm text-blue-900">
+                <div className="font-medium">{formatCurrency(indication.indicatedAmount)}</div>
+                <div>
+                  {indication.status === 'CONVERTED'
+                    ? 'Invitation sent — check your email to subscribe.'
+                    : `Indicated ${formatDate(indication.indicatedAt)}`}
+                </div>
+              </div>
+            )}
+
+            {indication?.status !== 'CONVERTED' && (
+              <div className="space-y-3">
+                <Input
+                  type="number"
+                  placeholder={`Amount (min ${formatCurrency(room.minCommitment)})`}
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+                {shareClasses.length > 0 && (
+                  <select
+                    className="w-full border border-gray-200 rounded-md px-3 py-2 text-sm"
+                    value={shareClassId}
+                    onChange={(e) => setShareClassId(e.target.value)}
+                  >
+                    <option value="">Any share class</option>
+                    {shareClasses.map(sc => (
+                      <option key={sc.id} value={sc.id}>{sc.name}</option>
+                    ))}
+                  </select>
+                )}
+                <Textarea rows={2} placeholder="Notes (optional)" value={notes} onChange={(e) => setNotes(e.target.value)} />
+                <Button
+                  className="w-full"
+                  onClick={() => indicateMutation.mutate()}
+                  disabled={!amount || indicateMutation.isPending}
+                >
+                  {indicateMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+                  {hasLiveIndication ? 'Update Indication' : 'Soft-Circle'}
+                </Button>
+                {hasLiveIndication && (
+                  <Button
+                    variant="ghost"
+                    className="w-full"
+                    onClick={() => withdrawMutation.mutate()}
+                    disabled={withdrawMutation.isPending}
+                  >
+                    Withdraw Indication
+                  </Button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,360 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/lib/AuthContext';
+import LPLayout from '@/components/lp/LPLayout';
+import {
+  ArrowLeft, Loader2, CheckCircle2, XCircle, MinusCircle, Clock, FileText, Vote
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { cn } from '@/lib/utils';
+import { PageError } from '@/components/ui/page-state';
+import { debugLog } from '@/lib/debug';
+
+const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || 'http://localhost:8787';
+
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function formatPercent(value) {
+  if (value === null || value === undefined) return '-';
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function getStatusColor(status) {
+  switch (status) {
+    case 'CONSENT_OPEN':
+      return 'bg-yellow-100 text-yellow-800 border-yellow-200';
+    case 'APPROVED':
+    case 'COMPLETED':
+      return 'bg-green-100 text-green-800 border-green-200';
+    case 'REJECTED':
+      return 'bg-red-100 text-red-800 border-red-200';
+    default:
+      return 'bg-gray-100 text-gray-800 border-gray-200';
+  }
+}
+
+function getStatusLabel(status) {
+  switch (status) {
+    case 'CONSENT_OPEN':
+      return 'Vote Open';
+    case 'APPROVED':
+      return 'Approved';
+    case 'REJECTED':
+      return 'Not Approved';
+    case 'COMPLETED':
+      return 'Completed';
+    default:
+      return status;
+  }
+}
+
+function getEventTypeLabel(eventType) {
+  switch (eventType) {
+    case 'REFINANCE':
+      return 'Refinance';
+    case 'SALE':
+      return 'Sale';
+    case 'AMENDMENT':
+      return 'Amendment';
+    case 'CAPITAL_CALL':
+      return 'Capital Call';
+    default:
+      return 'Consent Request';
+  }
+}
+
+const DECISIONS = [
+  { value: 'APPROVE', label: 'Approve', icon: CheckCircle2 },
+  { value: 'REJECT', label: 'Reject', icon: XCircle },
+  { value: 'ABSTAIN', label: 'Abstain', icon: MinusCircle }
+];
+
+function ConsentCard({ consent, onVote, isVoting, onViewCertificate, isLoadingCertificate }) {
+  const [decision, setDecision] = useState(null);
+  const [notes, setNotes] = useState('');
+  const { majorEvent } = consent;
+  const isOpen = majorEvent.status === 'CONSENT_OPEN';
+  const canVote = isOpen && !consent.myDecision;
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <div className="text-sm text-gray-500 mb-1">
+            {consent.dealName || 'Investment'} · {getEventTypeLabel(majorEvent.eventType)}
+          </div>
+          <h2 className="text-lg font-semibold text-gray-900">{majorEvent.title}</h2>
+        </div>
+        <Badge className={cn('text-sm', getStatusColor(majorEvent.status))}>
+          {getStatusLabel(majorEvent.status)}
+        </Badge>
+      </div>
+
+      {majorEvent.description && (
+        <p className="text-gray-700 mb-4">{majorEvent.description}</p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm mb-4">
+        {majorEvent.whyNow && (
+          <div>
+            <div className="text-gray-500 mb-1">Why now</div>
+            <div className="text-gray-900">{majorEvent.whyNow}</div>
+          </div>
+        )}
+        {majorEvent.lpImpact && (
+          <div>
+            <div className="text-gray-500 mb-1">Impact on you</div>
+            <div className="text-gray-900">{majorEvent.lpImpact}</div>
+          </div>
+        )}
+        <div>
+          <div className="text-gray-500 mb-1">Your voting interest</div>
+          <div className="text-gray-900">{consent.myVotingWeight.toFixed(2)}% ownership</div>
+        </div>
+        <div>
+          <div className="text-gray-500 mb-1">Approval threshold</div>
+          <div className="text-gray-900">{formatPercent(majorEvent.consentThreshold)} of voting ownership</div>
+        </div>
+      </div>
+
+      {majorEvent.documentPackIds.length > 0 && (
+        <div className="flex items-center gap-2 text-sm text-gray-600 mb-4">
+          <FileText className="w-4 h-4" />
+          <span>Decision packet: {majorEvent.documentPackIds.length} document{majorEvent.documentPackIds.length !== 1 ? 's' : ''} in your investment documents</span>
+        </div>
+      )}
+
+      {canVote && (
+        <div className="border-t border-gray-100 pt-4 space-y-4">
+          <div className="flex items-center gap-2 text-sm text-amber-700">
+            <Clock className="w-4 h-4" />
+            <span>Vote by {formatDate(majorEvent.consentDeadline)}. Votes are final once cast.</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {DECISIONS.map(({ value, label, icon: Icon }) => (
+              <Button
+                key={value}
+                variant={decision === value ? 'default' : 'outline'}
+                onClick={() => setDecision(value)}
+              >
+                <Icon className="w-4 h-4 mr-2" />
+                {label}
+              </Button>
+            ))}
+          </div>
+          <Input
+            placeholder="Notes to the sponsor (optional)"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+          <Button
+            onClick={() => onVote({ eventId: majorEvent.id, decision, notes: notes || undefined })}
+            disabled={!decision || isVoting}
+          >
+            {isVoting ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Submitting...
+              </>
+            ) : (
+              <>
+                <Vote className="w-4 h-4 mr-2" />
+                Cast Vote
+              </>
+            )}
+          </Button>
+        </div>
+      )}
+
+      {consent.myDecision && (
+        <div className="border-t border-gray-100 pt-4 text-sm text-gray-700">
+          You voted <strong>{consent.myDecision}</strong> on {formatDate(consent.myDecisionAt)}.
+        </div>
+      )}
+
+      {!isOpen && majorEvent.tally && (
+        <div className="border-t border-gray-100 pt-4 mt-4 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex gap-6 text-sm">
+            <div><span className="text-gray-500">Approve</span> <span className="font-medium">{formatPercent(majorEvent.tally.approvePct)}</span></div>
+            <div><span className="text-gray-500">Reject</span> <span className="font-medium">{formatPercent(majorEvent.tally.rejectPct)}</span></div>
+            <div><span className="text-gray-500">Abstain</span> <span className="font-medium">{formatPercent(majorEvent.tally.abstainPct)}</span></div>
+          </div>
+          {majorEvent.certificateHash && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => onViewCertificate(majorEvent.id)}
+              disabled={isLoadingCertificate}
+            >
+              <FileText className="w-4 h-4 mr-2" />
+              Consent Certificate
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function LPConsents() {
+  const navigate = useNavigate();
+  const { user, authToken } = useAuth();
+  const queryClient = useQueryClient();
+
+  const consentsQuery = useQuery({
+    queryKey: ['lp-consents', user?.id],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/consents`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (!res.ok) throw new Error('Failed to fetch consent requests');
+      return res.json();
+    },
+    enabled: !!user && !!authToken,
+    onError: (error) => {
+      debugLog('lp', 'Consents load failed', { message: error?.message });
+    }
+  });
+
+  const voteMutation = useMutation({
+    mutationFn: async ({ eventId, decision, notes }) => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/consents/${eventId}/vote`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        },
+        body: JSON.stringify({ decision, notes })
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        throw new Error(body?.message || 'Failed to cast vote');
+      }
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['lp-consents']);
+    }
+  });
+
+  const certificateMutation = useMutation({
+    mutationFn: async (eventId) => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/consents/${eventId}/certificate`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (!res.ok) throw new Error('Failed to load consent certificate');
+      return res.json();
+    },
+    onSuccess: (data) => {
+      const url = URL.createObjectURL(new Blob([data.html], { type: 'text/html' }));
+      window.open(url, '_blank', 'noopener');
+    }
+  });
+
+  const consents = consentsQuery.data?.consents || [];
+  const open = consents.filter(c => c.majorEvent.status === 'CONSENT_OPEN');
+  const closed = consents.filter(c => c.majorEvent.status !== 'CONSENT_OPEN');
+
+  if (consentsQuery.isLoading) {
+    return (
+      <LPLayout>
+        <div className="flex items-center justify-center py-24">
+          <div className="text-center">
+            <Loader2 className="w-8 h-8 animate-spin text-blue-600 mx-auto mb-4" />
+            <p className="text-gray-600">Loading consent requests...</p>
+          </div>
+        </div>
+      </LPLayout>
+    );
+  }
+
+  if (consentsQuery.error) {
+    return (
+      <LPLayout>
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <PageError error={consentsQuery.error} onRetry={consentsQuery.refetch} />
+        </div>
+      </LPLayout>
+    );
+  }
+
+  const mutationError = voteMutation.error || certificateMutation.error;
+
+  return (
+    <LPLayout>
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Back link */}
+        <button
+          onClick={() => navigate('/')}
+          className="flex items-center gap-2 text-gray-500 hover:text-gray-900 mb-6"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back to portfolio</span>
+        </button>
+
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Consents</h1>
+          <p className="text-gray-500">Matters that require a vote of the limited partners</p>
+        </div>
+
+        {mutationError && (
+          <div className="bg-red-50 rounded-xl border border-red-200 p-4 mb-6 text-sm text-red-800">
+            {mutationError.message}
+          </div>
+        )}
+
+        {consents.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No consent requests</div>
+        )}
+
+        {open.length > 0 && (
+          <div className="space-y-4 mb-8">
+            <h3 className="text-lg font-semibold text-gray-900">Open</h3>
+            {open.map(consent => (
+              <ConsentCard
+                key={consent.majorEvent.id}
+                consent={consent}
+                onVote={voteMutation.mutate}
+                isVoting={voteMutation.isPending}
+                onViewCertificate={certificateMutation.mutate}
+                isLoadingCertificate={certificateMutation.isPending}
+              />
+            ))}
+          </div>
+        )}
+
+        {closed.length > 0 && (
+          <div className="space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">Closed</h3>
+            {closed.map(consent => (
+              <ConsentCard
+                key={consent.majorEvent.id}
+                consent={consent}
+                onVote={voteMutation.mutate}
+                isVoting={voteMutation.isPending}
+                onViewCertificate={certificateMutation.mutate}
+                isLoadingCertificate={certificateMutation.isPending}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </LPLayout>
+  );
+}
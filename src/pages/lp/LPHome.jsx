@@ -224,9 +224,66 @@ export default function LPHome() {
     distributions_ytd: 0
   };
 
-  // Mock actions requiring attention (will be replaced with real data)
+  // Subscriptions waiting on the LP's investor details and signature
+  const subscriptionsQuery = useQuery({
+    queryKey: ['lp-subscriptions', user?.id],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/subscriptions`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (!res.ok) throw new Error('Failed to fetch subscriptions');
+      return res.json();
+    },
+    enabled: !!user && !!authToken,
+    staleTime: 30 * 1000,
+    onError: (error) => {
+      debugLog('lp', 'Subscriptions load failed', { message: error?.message });
+    }
+  });
+
+  // Open LP consent votes not yet cast
+  const consentsQuery = useQuery({
+    queryKey: ['lp-consents', user?.id],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/consents`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (!res.ok) throw new Error('Failed to fetch consent requests');
+      return res.json();
+    },
+    enabled: !!user && !!authToken,
+    staleTime: 30 * 1000,
+    onError: (error) => {
+      debugLog('lp', 'Consents load failed', { message: error?.message });
+    }
+  });
+
   const pendingActions = [
-    // Add real pending actions when APIs are ready
+    ...(subscriptionsQuery.data?.subscriptions || [])
+      .filter(subscription => subscription.status === 'DRAFT')
+      .map(subscription => ({
+        type: 'DOCUMENT_SIGN',
+        title: `Complete your subscription${subscription.dealName ? ` to ${subscription.dealName}` : ''}`,
+        description: subscription.reviewNotes
+          ? `Returned by the sponsor: ${subscription.reviewNotes}`
+          : `Provide investor details and sign for your ${formatCurrency(subscription.commitmentAmount)} commitment`,
+        link: `/subscriptions/${subscription.dealId}`
+      })),
+    ...(consentsQuery.data?.consents || [])
+      .filter(consent => consent.majorEvent.status === 'CONSENT_OPEN' && !consent.myDecision)
+      .map(consent => ({
+        type: 'CONSENT_REQUIRED',
+        title: consent.majorEvent.title,
+        description: `Your vote is requested${consent.dealName ? ` for ${consent.dealName}` : ''}`,
+        dueDate: consent.majorEvent.consentDeadline,
+        link: '/consents'
+      }))
   ];
 
   // Generate activity based on investments
@@ -0,0 +1,231 @@
+import React from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from '@/lib/AuthContext';
+import LPLayout from '@/components/lp/LPLayout';
+import {
+  ArrowLeft, Loader2, AlertTriangle, Calendar, CheckCircle2, Clock
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { PageError } from '@/components/ui/page-state';
+import { debugLog } from '@/lib/debug';
+
+const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || 'http://localhost:8787';
+
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function formatDateTime(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function getSeverityColor(severity) {
+  switch (severity) {
+    case 'CRITICAL':
+      return 'bg-red-100 text-red-800 border-red-200';
+    case 'HIGH':
+      return 'bg-orange-100 text-orange-800 border-orange-200';
+    case 'MEDIUM':
+      return 'bg-yellow-100 text-yellow-800 border-yellow-200';
+    default:
+      return 'bg-gray-100 text-gray-800 border-gray-200';
+  }
+}
+
+function getStatusLabel(status) {
+  switch (status) {
+    case 'OPEN':
+      return 'Open';
+    case 'INVESTIGATING':
+      return 'Investigating';
+    case 'MITIGATING':
+      return 'Mitigating';
+    case 'RESOLVED':
+    case 'CLOSED':
+      return 'Resolved';
+    default:
+      return status;
+  }
+}
+
+function getCategoryLabel(category) {
+  switch (category) {
+    case 'CASUALTY':
+      return 'Property Casualty';
+    case 'TENANT_DEFAULT':
+      return 'Tenant Default';
+    case 'LITIGATION':
+      return 'Litigation';
+    case 'ENVIRONMENTAL':
+      return 'Environmental';
+    case 'REGULATORY':
+      return 'Regulatory';
+    case 'FINANCING':
+      return 'Financing';
+    default:
+      return 'Other';
+  }
+}
+
+export default function LPIssueDetail() {
+  const { dealId, issueId } = useParams();
+  const navigate = useNavigate();
+  const { authToken } = useAuth();
+
+  const issueQuery = useQuery({
+    queryKey: ['lp-issue', dealId, issueId],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/my-investments/${dealId}/issues/${issueId}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (!res.ok) throw new Error('Failed to fetch issue');
+      return res.json();
+    },
+    enabled: !!dealId && !!issueId && !!authToken,
+    onError: (error) => {
+      debugLog('lp', 'Issue load failed', { message: error?.message, dealId, issueId });
+    }
+  });
+
+  const issue = issueQuery.data?.issue;
+
+  if (issueQuery.isLoading) {
+    return (
+      <LPLayout>
+        <div className="flex items-center justify-center py-24">
+          <div className="text-center">
+            <Loader2 className="w-8 h-8 animate-spin text-blue-600 mx-auto mb-4" />
+            <p className="text-gray-600">Loading issue...</p>
+          </div>
+        </div>
+      </LPLayout>
+    );
+  }
+
+  if (issueQuery.error || !issue) {
+    return (
+      <LPLayout>
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {issueQuery.error ? (
+            <PageError error={issueQuery.error} onRetry={issueQuery.refetch} />
+          ) : (
+            <div className="text-center py-12">
+              <AlertTriangle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h2 className="text-xl font-semibold text-gray-900 mb-2">Issue Not Found</h2>
+              <Button onClick={() => navigate(`/investments/${dealId}/updates`)}>
+                Back to Updates
+              </Button>
+            </div>
+          )}
+        </div>
+      </LPLayout>
+    );
+  }
+
+  const isResolved = ['RESOLVED', 'CLOSED'].includes(issue.status);
+
+  return (
+    <LPLayout>
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Back link */}
+        <button
+          onClick={() => navigate(`/investments/${dealId}/updates`)}
+          className="flex items-center gap-2 text-gray-500 hover:text-gray-900 mb-6"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back to updates</span>
+        </button>
+
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center gap-2 mb-2">
+            <Badge variant="secondary">{getCategoryLabel(issue.category)}</Badge>
+            <Badge className={cn('border', getSeverityColor(issue.severity))}>{issue.severity}</Badge>
+            <Badge variant="outline">{getStatusLabel(issue.status)}</Badge>
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">{issue.title}</h1>
+          <div className="flex items-center gap-4 text-sm text-gray-500">
+            {issue.occurredAt && (
+              <div className="flex items-center gap-1">
+                <Calendar className="w-4 h-4" />
+                <span>Occurred {formatDate(issue.occurredAt)}</span>
+              </div>
+            )}
+            <span>Reported {formatDate(issue.publishedAt)}</span>
+          </div>
+        </div>
+
+        {isResolved && (
+          <div className="bg-green-50 border border-green-200 rounded-xl p-4 mb-6 flex items-center gap-3 text-green-800">
+            <CheckCircle2 className="w-5 h-5" />
+            <span>This issue was resolved on {formatDate(issue.resolvedAt)}.</span>
+          </div>
+        )}
+
+        {/* Summary */}
+        <div className="bg-red-50 border border-red-200 rounded-xl p-6 mb-6">
+          <h2 className="text-lg font-semibold text-red-900 mb-2">What Happened</h2>
+          <p className="text-red-800 whitespace-pre-line">{issue.summary}</p>
+        </div>
+
+        {(issue.impact || issue.whatWeAreDoing) && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            {issue.impact && (
+              <div className="bg-white rounded-xl border border-gray-200 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">Impact</h2>
+                <p className="text-gray-700 whitespace-pre-line">{issue.impact}</p>
+              </div>
+            )}
+            {issue.whatWeAreDoing && (
+              <div className="bg-white rounded-xl border border-gray-200 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">What We Are Doing</h2>
+                <p className="text-gray-700 whitespace-pre-line">{issue.whatWeAreDoing}</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Timeline */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Updates</h2>
+          {issue.updates.length === 0 ? (
+            <p className="text-sm text-gray-500">No updates yet. You'll be notified as the situation develops.</p>
+          ) : (
+            <ol className="space-y-4">
+              {issue.updates.map(update => (
+                <li key={update.id} className="border-l-2 border-gray-200 pl-4">
+                  <div className="flex items-center gap-2 text-sm text-gray-500 mb-1">
+                    <Clock className="w-4 h-4" />
+                    <span>{formatDateTime(update.createdAt)}</span>
+                    {update.statusTo && (
+                      <Badge variant="outline" className="text-xs">{getStatusLabel(update.statusTo)}</Badge>
+                    )}
+                  </div>
+                  <p className="text-gray-700 whitespace-pre-line">{update.updateText}</p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </LPLayout>
+  );
+}
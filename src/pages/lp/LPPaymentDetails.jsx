@@ -0,0 +1,321 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/lib/AuthContext';
+import LPLayout from '@/components/lp/LPLayout';
+import {
+  ArrowLeft, Loader2, Landmark, ShieldCheck, Clock, Pencil, X
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { PageError } from '@/components/ui/page-state';
+import { debugLog } from '@/lib/debug';
+
+const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || 'http://localhost:8787';
+
+const EMPTY_FORM = {
+  bankName: '',
+  accountName: '',
+  accountType: '',
+  routingNumber: '',
+  accountNumber: '',
+  taxIdType: '',
+  taxId: ''
+};
+
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function DetailRow({ label, value }) {
+  return (
+    <div>
+      <div className="text-gray-500 mb-1">{label}</div>
+      <div className="text-gray-900 font-medium">{value || '-'}</div>
+    </div>
+  );
+}
+
+function ChangeRequestForm({ onSubmit, onCancel, isSubmitting }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Only send what the LP filled in
+    const changes = Object.fromEntries(Object.entries(form).filter(([, value]) => value !== ''));
+    onSubmit(changes);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t border-gray-100 pt-4 space-y-4">
+      <p className="text-sm text-gray-500">
+        Fill in only what is changing. Bank account and routing numbers must be entered together.
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Input placeholder="Bank name" value={form.bankName} onChange={set('bankName')} />
+        <Input placeholder="Name on account" value={form.accountName} onChange={set('accountName')} />
+        <Input placeholder="Routing number" inputMode="numeric" value={form.routingNumber} onChange={set('routingNumber')} />
+        <Input placeholder="Account number" inputMode="numeric" value={form.accountNumber} onChange={set('accountNumber')} />
+        <Select value={form.accountType} onValueChange={(value) => setForm(prev => ({ ...prev, accountType: value }))}>
+          <SelectTrigger>
+            <SelectValue placeholder="Account type" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="CHECKING">Checking</SelectItem>
+            <SelectItem value="SAVINGS">Savings</SelectItem>
+          </SelectContent>
+        </Select>
+        <div className="grid grid-cols-3 gap-2">
+          <Select value={form.taxIdType} onValueChange={(value) => setForm(prev => ({ ...prev, taxIdType: value }))}>
+            <SelectTrigger>
+              <SelectValue placeholder="Tax ID" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="SSN">SSN</SelectItem>
+              <SelectItem value="EIN">EIN</SelectItem>
+            </SelectContent>
+          </Select>
+          <Input className="col-span-2" placeholder="Tax ID number" value={form.taxId} onChange={set('taxId')} />
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <Button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              Submitting...
+            </>
+          ) : 'Submit Change Request'}
+        </Button>
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+      </div>
+    </form>
+  );
+}
+
+function PaymentProfileCard({ entry, onRequestChange, onCancelChange, isSubmitting }) {
+  const [editing, setEditing] = useState(false);
+  const { profile, pendingChange } = entry;
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <div className="text-sm text-gray-500 mb-1">{entry.dealName || 'Investment'}</div>
+          <h2 className="text-lg font-semibold text-gray-900">{entry.entityName}</h2>
+        </div>
+        {!editing && !pendingChange && (
+          <Button variant="outline" size="sm" onClick={() => setEditing(true)}>
+            <Pencil className="w-4 h-4 mr-2" />
+            Request Change
+          </Button>
+        )}
+      </div>
+
+      {profile ? (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm mb-4">
+          <DetailRow label="Bank" value={profile.bankName} />
+          <DetailRow label="Account" value={profile.accountNumber && `${profile.accountNumber} (${profile.accountType || 'account'})`} />
+          <DetailRow label="Routing" value={profile.routingNumber} />
+          <DetailRow label="Name on account" value={profile.accountName} />
+          <DetailRow label={profile.taxIdType || 'Tax ID'} value={profile.taxId} />
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">No payment details on file yet.</p>
+      )}
+
+      {profile?.paymentHoldUntil && (
+        <div className="flex items-center gap-2 text-sm text-amber-700 mb-4">
+          <Clock className="w-4 h-4" />
+          <span>
+            Details changed recently. For your protection, payments resume to this account on {formatDate(profile.paymentHoldUntil)}.
+          </span>
+        </div>
+      )}
+
+      {pendingChange && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-900 flex items-start justify-between gap-4">
+          <div>
+            <div className="flex items-center gap-2 font-medium mb-1">
+              <Badge className="bg-amber-100 text-amber-800 border-amber-200">Pending verification</Badge>
+              <span>Requested {formatDate(pendingChange.requestedAt)}</span>
+            </div>
+            <p>
+              We will call you on the phone number we have on file to confirm this change before it takes effect.
+              {pendingChange.accountNumber && ` New account ${pendingChange.accountNumber}.`}
+              {pendingChange.taxId && ` New tax ID ${pendingChange.taxId}.`}
+            </p>
+          </div>
+          <Button variant="ghost" size="sm" onClick={() => onCancelChange(entry.lpActorId, pendingChange.id)}>
+            <X className="w-4 h-4 mr-1" />
+            Withdraw
+          </Button>
+        </div>
+      )}
+
+      {editing && (
+        <ChangeRequestForm
+          isSubmitting={isSubmitting}
+          onCancel={() => setEditing(false)}
+          onSubmit={(changes) => onRequestChange(entry.lpActorId, changes, () => setEditing(false))}
+        />
+      )}
+    </div>
+  );
+}
+
+export default function LPPaymentDetails() {
+  const navigate = useNavigate();
+  const { user, authToken } = useAuth();
+  const queryClient = useQueryClient();
+
+  const profilesQuery = useQuery({
+    queryKey: ['lp-payment-profiles', user?.id],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/payment-profiles`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (!res.ok) throw new Error('Failed to fetch payment details');
+      return res.json();
+    },
+    enabled: !!user && !!authToken,
+    onError: (error) => {
+      debugLog('lp', 'Payment details load failed', { message: error?.message });
+    }
+  });
+
+  const requestMutation = useMutation({
+    mutationFn: async ({ lpActorId, changes }) => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/payment-profiles/${lpActorId}/changes`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        },
+        body: JSON.stringify(changes)
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        throw new Error([body?.message || 'Failed to submit change request', ...(body?.details || [])].join(': '));
+      }
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['lp-payment-profiles']);
+    }
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: async ({ lpActorId, changeId }) => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/payment-profiles/${lpActorId}/changes/${changeId}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (!res.ok) throw new Error('Failed to withdraw change request');
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['lp-payment-profiles']);
+    }
+  });
+
+  if (profilesQuery.isLoading) {
+    return (
+      <LPLayout>
+        <div className="flex items-center justify-center py-24">
+          <div className="text-center">
+            <Loader2 className="w-8 h-8 animate-spin text-blue-600 mx-auto mb-4" />
+            <p className="text-gray-600">Loading payment details...</p>
+          </div>
+        </div>
+      </LPLayout>
+    );
+  }
+
+  if (profilesQuery.error) {
+    return (
+      <LPLayout>
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <PageError error={profilesQuery.error} onRetry={profilesQuery.refetch} />
+        </div>
+      </LPLayout>
+    );
+  }
+
+  const entries = profilesQuery.data?.profiles || [];
+  const mutationError = requestMutation.error || cancelMutation.error;
+
+  return (
+    <LPLayout>
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Back link */}
+        <button
+          onClick={() => navigate('/')}
+          className="flex items-center gap-2 text-gray-500 hover:text-gray-900 mb-6"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back to portfolio</span>
+        </button>
+
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Payment Details</h1>
+          <p className="text-gray-500">Where your distributions are paid and the tax ID used for your K-1</p>
+        </div>
+
+        <div className="bg-blue-50 rounded-xl border border-blue-200 p-4 mb-6 flex items-start gap-3 text-sm text-blue-900">
+          <ShieldCheck className="w-5 h-5 mt-0.5" />
+          <span>
+            Account numbers and tax IDs are encrypted and only the last four digits are shown.
+            Changes are confirmed by phone before they take effect, and distributions are held briefly after a change.
+          </span>
+        </div>
+
+        {mutationError && (
+          <div className="bg-red-50 rounded-xl border border-red-200 p-4 mb-6 text-sm text-red-800">
+            {mutationError.message}
+          </div>
+        )}
+
+        {entries.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Landmark className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            No investments found
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {entries.map(entry => (
+              <PaymentProfileCard
+                key={entry.lpActorId}
+                entry={entry}
+                isSubmitting={requestMutation.isPending}
+                onRequestChange={(lpActorId, changes, onDone) =>
+                  requestMutation.mutate({ lpActorId, changes }, { onSuccess: onDone })}
+                onCancelChange={(lpActorId, changeId) => cancelMutation.mutate({ lpActorId, changeId })}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </LPLayout>
+  );
+}
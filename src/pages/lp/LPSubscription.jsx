@@ -0,0 +1,494 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/lib/AuthContext';
+import LPLayout from '@/components/lp/LPLayout';
+import {
+  ArrowLeft, Loader2, AlertCircle, CheckCircle2, FileSignature, Save
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { cn } from '@/lib/utils';
+import { PageError } from '@/components/ui/page-state';
+import { debugLog } from '@/lib/debug';
+
+const BFF_BASE = import.meta.env.VITE_BFF_BASE_URL || 'http://localhost:8787';
+
+const ENTITY_TYPE_OPTIONS = [
+  { value: 'INDIVIDUAL', label: 'Individual' },
+  { value: 'TRUST', label: 'Trust' },
+  { value: 'LLC', label: 'LLC' },
+  { value: 'FUND', label: 'Fund' },
+  { value: 'PENSION', label: 'Pension' },
+  { value: 'FAMILY_OFFICE', label: 'Family Office' },
+  { value: 'INSTITUTION', label: 'Institution' }
+];
+
+const TAX_CLASSIFICATION_OPTIONS = [
+  { value: 'INDIVIDUAL', label: 'Individual / sole proprietor' },
+  { value: 'C_CORPORATION', label: 'C Corporation' },
+  { value: 'S_CORPORATION', label: 'S Corporation' },
+  { value: 'PARTNERSHIP', label: 'Partnership' },
+  { value: 'TRUST_ESTATE', label: 'Trust / estate' },
+  { value: 'LLC_DISREGARDED', label: 'Single-member LLC (disregarded)' },
+  { value: 'TAX_EXEMPT', label: 'Tax-exempt organization' },
+  { value: 'FOREIGN', label: 'Foreign person (W-8)' }
+];
+
+const EMPTY_ADDRESS = { street: '', street2: '', city: '', state: '', postalCode: '', country: '' };
+
+function formatCurrency(value) {
+  if (value === null || value === undefined) return '$0';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+}
+
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function getStatusColor(status) {
+  switch (status) {
+    case 'DRAFT':
+      return 'bg-gray-100 text-gray-800 border-gray-200';
+    case 'SUBMITTED':
+    case 'COUNTERSIGN_PENDING':
+      return 'bg-yellow-100 text-yellow-800 border-yellow-200';
+    case 'ACCEPTED':
+      return 'bg-blue-100 text-blue-800 border-blue-200';
+    case 'FUNDED':
+      return 'bg-green-100 text-green-800 border-green-200';
+    case 'REJECTED':
+      return 'bg-red-100 text-red-800 border-red-200';
+    default:
+      return 'bg-gray-100 text-gray-800 border-gray-200';
+  }
+}
+
+function getStatusLabel(status) {
+  switch (status) {
+    case 'DRAFT':
+      return 'Draft';
+    case 'SUBMITTED':
+      return 'Under Review';
+    case 'COUNTERSIGN_PENDING':
+      return 'Awaiting Countersignature';
+    case 'ACCEPTED':
+      return 'Accepted';
+    case 'FUNDED':
+      return 'Funded';
+    case 'REJECTED':
+      return 'Rejected';
+    default:
+      return status;
+  }
+}
+
+function detailsFromSubscription(subscription) {
+  return {
+    lpEntityName: subscription?.lpEntityName || '',
+    lpEntityType: subscription?.lpEntityType || '',
+    signatoryName: subscription?.signatoryName || '',
+    signatoryTitle: subscription?.signatoryTitle || '',
+    taxClassification: subscription?.taxClassification || '',
+    address: { ...EMPTY_ADDRESS, ...(subscription?.address || {}) }
+  };
+}
+
+async function readError(res, fallback) {
+  const body = await res.json().catch(() => null);
+  const details = Array.isArray(body?.details) ? `: ${body.details.join('; ')}` : '';
+  return new Error(`${body?.message || fallback}${details}`);
+}
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label className="text-sm font-medium text-gray-700 mb-1 block">{label}</label>
+      {children}
+    </div>
+  );
+}
+
+export default function LPSubscription() {
+  const { dealId } = useParams();
+  const navigate = useNavigate();
+  const { authToken } = useAuth();
+  const queryClient = useQueryClient();
+  const [details, setDetails] = useState(detailsFromSubscription(null));
+  const [signatureName, setSignatureName] = useState('');
+
+  const subscriptionQuery = useQuery({
+    queryKey: ['lp-subscription', dealId],
+    queryFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/subscriptions/${dealId}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        }
+      });
+      if (res.status === 404) return { subscription: null };
+      if (!res.ok) throw new Error('Failed to fetch subscription');
+      return res.json();
+    },
+    enabled: !!dealId && !!authToken,
+    onError: (error) => {
+      debugLog('lp', 'Subscription load failed', { message: error?.message, dealId });
+    }
+  });
+
+  const subscription = subscriptionQuery.data?.subscription;
+
+  useEffect(() => {
+    if (subscription) setDetails(detailsFromSubscription(subscription));
+  }, [subscription]);
+
+  const saveMutation = useMutation({
+    mutationFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/subscriptions/${dealId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        },
+        body: JSON.stringify({
+          lpEntityName: details.lpEntityName,
+          lpEntityType: details.lpEntityType || null,
+          signatoryName: details.signatoryName || null,
+          signatoryTitle: details.signatoryTitle || null,
+          taxClassification: details.taxClassification || null,
+          address: details.address
+        })
+      });
+      if (!res.ok) throw await readError(res, 'Failed to save subscription');
+      return res.json();
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(['lp-subscription', dealId], { subscription: data.subscription });
+    }
+  });
+
+  const submitMutation = useMutation({
+    mutationFn: async () => {
+      const res = await fetch(`${BFF_BASE}/api/lp/portal/subscriptions/${dealId}/submit`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        },
+        body: JSON.stringify({ signatureName })
+      });
+      if (!res.ok) throw await readError(res, 'Failed to submit subscription');
+      return res.json();
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(['lp-subscription', dealId], { subscription: data.subscription });
+      queryClient.invalidateQueries(['lp-subscriptions']);
+      setSignatureName('');
+    }
+  });
+
+  const setField = (field, value) => setDetails(prev => ({ ...prev, [field]: value }));
+  const setAddressField = (field, value) => setDetails(prev => ({
+    ...prev,
+    address: { ...prev.address, [field]: value }
+  }));
+
+  if (subscriptionQuery.isLoading) {
+    return (
+      <LPLayout>
+        <div className="flex items-center justify-center py-24">
+          <div className="text-center">
+            <Loader2 className="w-8 h-8 animate-spin text-blue-600 mx-auto mb-4" />
+            <p className="text-gray-600">Loading subscription...</p>
+          </div>
+        </div>
+      </LPLayout>
+    );
+  }
+
+  if (subscriptionQuery.error) {
+    return (
+      <LPLayout>
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <PageError error={subscriptionQuery.error} onRetry={subscriptionQuery.refetch} />
+        </div>
+      </LPLayout>
+    );
+  }
+
+  if (!subscription) {
+    return (
+      <LPLayout>
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="text-center py-12">
+            <AlertCircle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">Subscription Not Found</h2>
+            <p className="text-gray-500 mb-4">There is no subscription for this deal on your account.</p>
+            <Button onClick={() => navigate('/')}>Back to Portfolio</Button>
+          </div>
+        </div>
+      </LPLayout>
+    );
+  }
+
+  const isDraft = subscription.status === 'DRAFT';
+  const mutationError = saveMutation.error || submitMutation.error;
+
+  return (
+    <LPLayout>
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Back link */}
+        <button
+          onClick={() => navigate('/')}
+          className="flex items-center gap-2 text-gray-500 hover:text-gray-900 mb-6"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back to portfolio</span>
+        </button>
+
+        {/* Header */}
+        <div className="flex items-start justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Subscription Agreement</h1>
+            <p className="text-gray-500">
+              {formatCurrency(subscription.commitmentAmount)} commitment
+              {subscription.shareClass ? ` · Class ${subscription.shareClass}` : ''}
+            </p>
+          </div>
+          <Badge className={cn('text-sm', getStatusColor(subscription.status))}>
+            {getStatusLabel(subscription.status)}
+          </Badge>
+        </div>
+
+        {isDraft && subscription.reviewNotes && (
+          <div className="bg-amber-50 rounded-xl border border-amber-200 p-4 mb-6">
+            <div className="font-medium text-amber-900 mb-1">Returned by the sponsor</div>
+            <p className="text-sm text-amber-800">{subscription.reviewNotes}</p>
+          </div>
+        )}
+
+        {subscription.status === 'REJECTED' && (
+          <div className="bg-red-50 rounded-xl border border-red-200 p-4 mb-6">
+            <div className="font-medium text-red-900 mb-1">Subscription rejected</div>
+            <p className="text-sm text-red-800">{subscription.rejectionReason}</p>
+          </div>
+        )}
+
+        {['ACCEPTED', 'FUNDED'].includes(subscription.status) && (
+          <div className="bg-green-50 rounded-xl border border-green-200 p-4 mb-6 flex items-center gap-3">
+            <CheckCircle2 className="w-6 h-6 text-green-600" />
+            <div className="text-sm text-green-800">
+              Countersigned by {subscription.countersignedByName || 'the sponsor'} on {formatDate(subscription.acceptedAt)}.
+              {subscription.status === 'ACCEPTED' && ' Your initial capital call is available under the investment.'}
+            </div>
+          </div>
+        )}
+
+        {mutationError && (
+          <div className="bg-red-50 rounded-xl border border-red-200 p-4 mb-6 text-sm text-red-800">
+            {mutationError.message}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Investor details */}
+          <div className="lg:col-span-2 bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Investor Details</h2>
+
+            <Field label="Investor Name">
+              <Input
+                value={details.lpEntityName}
+                onChange={(e) => setField('lpEntityName', e.target.value)}
+                disabled={!isDraft}
+              />
+            </Field>
+
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="Entity Type">
+                <Select
+                  value={details.lpEntityType}
+                  onValueChange={(v) => setField('lpEntityType', v)}
+                  disabled={!isDraft}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select entity type" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ENTITY_TYPE_OPTIONS.map(option => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field label="Tax Classification">
+                <Select
+                  value={details.taxClassification}
+                  onValueChange={(v) => setField('taxClassification', v)}
+                  disabled={!isDraft}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select classification" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {TAX_CLASSIFICATION_OPTIONS.map(option => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Field>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="Authorized Signatory">
+                <Input
+                  value={details.signatoryName}
+                  onChange={(e) => setField('signatoryName', e.target.value)}
+                  disabled={!isDraft}
+                />
+              </Field>
+              <Field label="Signatory Title">
+                <Input
+                  placeholder={details.lpEntityType === 'INDIVIDUAL' ? 'Not required for individuals' : 'e.g., Managing Member'}
+                  value={details.signatoryTitle}
+                  onChange={(e) => setField('signatoryTitle', e.target.value)}
+                  disabled={!isDraft}
+                />
+              </Field>
+            </div>
+
+            <div className="pt-2 border-t border-gray-100 space-y-4">
+              <div className="text-sm font-medium text-gray-900 pt-2">Address</div>
+              <Field label="Street">
+                <Input
+                  value={details.address.street}
+                  onChange={(e) => setAddressField('street', e.target.value)}
+                  disabled={!isDraft}
+                />
+              </Field>
+              <Field label="Street (line 2)">
+                <Input
+                  value={details.address.street2}
+                  onChange={(e) => setAddressField('street2', e.target.value)}
+                  disabled={!isDraft}
+                />
+              </Field>
+              <div className="grid grid-cols-2 gap-4">
+                <Field label="City">
+                  <Input
+                    value={details.address.city}
+                    onChange={(e) => setAddressField('city', e.target.value)}
+                    disabled={!isDraft}
+                  />
+                </Field>
+                <Field label="State / Region">
+                  <Input
+                    value={details.address.state}
+                    onChange={(e) => setAddressField('state', e.target.value)}
+                    disabled={!isDraft}
+                  />
+                </Field>
+                <Field label="Postal Code">
+                  <Input
+                    value={details.address.postalCode}
+                    onChange={(e) => setAddressField('postalCode', e.target.value)}
+                    disabled={!isDraft}
+                  />
+                </Field>
+                <Field label="Country">
+                  <Input
+                    value={details.address.country}
+                    onChange={(e) => setAddressField('country', e.target.value)}
+                    disabled={!isDraft}
+                  />
+                </Field>
+              </div>
+            </div>
+
+            {isDraft && (
+              <Button
+                variant="outline"
+                onClick={() => saveMutation.mutate()}
+                disabled={saveMutation.isPending}
+              >
+                {saveMutation.isPending ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Save className="w-4 h-4 mr-2" />
+                )}
+                Save Draft
+              </Button>
+            )}
+          </div>
+
+          {/* Sign and submit */}
+          <div className="space-y-6">
+            {isDraft ? (
+              <div className="bg-white rounded-xl border border-gray-200 p-6">
+                <h3 className="font-semibold text-gray-900 mb-4">Sign &amp; Submit</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Save your details, then type the signatory's full name to sign the subscription agreement electronically.
+                </p>
+                <div className="space-y-4">
+                  <Input
+                    placeholder="Full name of signatory"
+                    value={signatureName}
+                    onChange={(e) => setSignatureName(e.target.value)}
+                  />
+                  <Button
+                    className="w-full"
+                    onClick={() => submitMutation.mutate()}
+                    disabled={!signatureName.trim() || submitMutation.isPending || saveMutation.isPending}
+                  >
+                    {submitMutation.isPending ? (
+                      <>
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                        Submitting...
+                      </>
+                    ) : (
+                      <>
+                        <FileSignature className="w-4 h-4 mr-2" />
+                        Sign &amp; Submit
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <div className="bg-white rounded-xl border border-gray-200 p-6">
+                <h3 className="font-semibold text-gray-900 mb-4">Submission</h3>
+                <div className="space-y-3 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Submitted</span>
+                    <span className="font-medium">{formatDate(subscription.submittedAt)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Accepted</span>
+                    <span className="font-medium">{formatDate(subscription.acceptedAt)}</span>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </LPLayout>
+  );
+}
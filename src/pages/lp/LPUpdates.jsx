@@ -76,6 +76,19 @@ function getTypeLabel(type) {
   }
 }
 
+function getSeverityColor(severity) {
+  switch (severity) {
+    case 'CRITICAL':
+      return 'bg-red-100 text-red-700';
+    case 'HIGH':
+      return 'bg-orange-100 text-orange-700';
+    case 'MEDIUM':
+      return 'bg-yellow-100 text-yellow-700';
+    default:
+      return 'bg-gray-100 text-gray-600';
+  }
+}
+
 function UpdateCard({ update, onClick }) {
   return (
     <div
@@ -99,9 +112,17 @@ function UpdateCard({ update, onClick }) {
               <p className="text-sm text-gray-500">
                 {getTypeLabel(update.updateType)}
                 {update.period && ` • ${update.period}`}
+                {update.source === 'DEAL_ISSUE' && ['RESOLVED', 'CLOSED'].includes(update.status) && ' • Resolved'}
               </p>
             </div>
-            <ChevronRight className="w-5 h-5 text-gray-400 group-hover:text-blue-500 flex-shrink-0" />
+            <div className="flex items-center gap-2 flex-shrink-0">
+              {update.severity && (
+                <span className={cn("text-xs font-medium px-2 py-0.5 rounded", getSeverityColor(update.severity))}>
+                  {update.severity}
+                </span>
+              )}
+              <ChevronRight className="w-5 h-5 text-gray-400 group-hover:text-blue-500" />
+            </div>
           </div>
 
           {update.headline && (
@@ -153,6 +174,11 @@ export default function LPUpdates() {
 
   const updates = updatesQuery.data?.updates || [];
 
+  // Deal issues share the feed but have their own detail page
+  const openUpdate = (update) => navigate(update.source === 'DEAL_ISSUE'
+    ? `/investments/${dealId}/issues/${update.id}`
+    : `/investments/${dealId}/updates/${update.id}`);
+
   // Group updates by type
   const quarterlyUpdates = updates.filter(u => u.updateType === 'QUARTERLY_UPDATE');
   const milestones = updates.filter(u => u.updateType === 'MILESTONE');
@@ -225,7 +251,7 @@ export default function LPUpdates() {
                     <UpdateCard
                       key={update.id}
                       update={update}
-                      onClick={() => navigate(`/investments/${dealId}/updates/${update.id}`)}
+                      onClick={() => openUpdate(update)}
                     />
                   ))}
                 </div>
@@ -243,7 +269,7 @@ export default function LPUpdates() {
                     <UpdateCard
                       key={update.id}
                       update={update}
-                      onClick={() => navigate(`/investments/${dealId}/updates/${update.id}`)}
+                      onClick={() => openUpdate(update)}
                     />
                   ))}
                 </div>
@@ -261,7 +287,7 @@ export default function LPUpdates() {
                     <UpdateCard
                       key={update.id}
                       update={update}
-                      onClick={() => navigate(`/investments/${dealId}/updates/${update.id}`)}
+                      onClick={() => openUpdate(update)}
                     />
                   ))}
                 </div>
@@ -279,7 +305,7 @@ export default function LPUpdates() {
                     <UpdateCard
                       key={update.id}
                       update={update}
-                      onClick={() => navigate(`/investments/${dealId}/updates/${update.id}`)}
+                      onClick={() => openUpdate(update)}
                     />
                   ))}
                 </div>